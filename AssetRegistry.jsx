@@ -0,0 +1,319 @@
+import React, { useState, useMemo } from 'react';
+import { Plus, Save, Archive, RotateCcw, Search, Tag } from 'lucide-react';
+import { DATA_SOURCE_TYPES } from './dataSources.js';
+import { SEVERITY, severityLabel } from './ruleEngine.js';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { activeBreachMatrix } from './incidents.js';
+import {
+  ASSET_TYPES,
+  ASSET_HEALTH,
+  ASSET_HEALTH_LABELS,
+  ASSET_SOURCE_TYPES,
+  DEFAULT_ASSET,
+  createBlankAsset,
+  parseTags,
+  parseThresholdOverrides,
+  validateAsset,
+} from './assets.js';
+import { t, formatDateTime } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const HEALTH_BADGE_COLORS = {
+  [ASSET_HEALTH.HEALTHY]: 'bg-green-700 text-green-100',
+  [ASSET_HEALTH.DEGRADED]: 'bg-yellow-700 text-yellow-100',
+  [ASSET_HEALTH.CRITICAL]: 'bg-red-700 text-red-100',
+  [ASSET_HEALTH.UNKNOWN]: 'bg-gray-600 text-gray-200',
+};
+
+const formatTimestamp = (value) => (value?.toDate ? formatDateTime(value) : 'N/A');
+
+// --- HEALTH BADGE ---
+export const AssetHealthBadge = ({ health }) => (
+  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${HEALTH_BADGE_COLORS[health] || HEALTH_BADGE_COLORS[ASSET_HEALTH.UNKNOWN]}`}>
+    {ASSET_HEALTH_LABELS[health] || health}
+  </span>
+);
+
+const SEVERITY_CELL_COLORS = {
+  [SEVERITY.EMERGENCY]: 'bg-orange-700 text-orange-100',
+  [SEVERITY.CRITICAL]: 'bg-red-700 text-red-100',
+  [SEVERITY.WARNING]: 'bg-yellow-700 text-yellow-100',
+  [SEVERITY.FORECAST]: 'bg-indigo-700 text-indigo-100',
+};
+
+// --- PER-ASSET HEALTH MATRIX (aset x jalur, dari insiden yang masih aktif) ---
+export const AssetHealthMatrix = ({ assets, incidents }) => {
+  const matrix = useMemo(() => activeBreachMatrix(incidents), [incidents]);
+  const rows = assets.filter(asset => !asset.archived);
+  // Incidents from the built-in local asset only show up while they are still active
+  if (matrix[DEFAULT_ASSET.id]) rows.push(DEFAULT_ASSET);
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500">{t('assetUi.noAssets')}</p>;
+  }
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-400 uppercase text-left">
+            <th className="pb-2">{t('assetUi.asset')}</th>
+            <th className="pb-2">{t('assetUi.health')}</th>
+            {RULE_PATHS.map(path => <th key={path} className="pb-2 text-center">{pathLabel(path)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(asset => (
+            <tr key={asset.id} className="border-t border-gray-700">
+              <td className="py-2 text-white">{asset.name}</td>
+              <td className="py-2"><AssetHealthBadge health={asset.health} /></td>
+              {RULE_PATHS.map(path => {
+                const cell = matrix[asset.id] && matrix[asset.id][path];
+                return (
+                  <td key={path} className="py-2 text-center">
+                    {cell ? (
+                      <span className={`text-xs font-semibold px-2 py-0.5 rounded ${SEVERITY_CELL_COLORS[cell.severity] || SEVERITY_CELL_COLORS[SEVERITY.CRITICAL]}`}>
+                        {severityLabel(cell.severity)}{cell.count > 1 && ` ×${cell.count}`}
+                      </span>
+                    ) : (
+                      <span className="text-xs text-green-400">OK</span>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const matchesSearch = (asset, search) => {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  return [asset.name, asset.owner, ...(asset.tags || [])].some(value => String(value || '').toLowerCase().includes(needle));
+};
+
+// --- ASSET FORM (create & edit) ---
+// Keyed by asset id by the caller, so live snapshot updates never overwrite an edit in progress
+const AssetForm = ({ asset, onSubmit, submitLabel, readOnly = false }) => {
+  const [draft, setDraft] = useState(asset);
+  const [tagText, setTagText] = useState((asset.tags || []).join(', '));
+  const [overrideText, setOverrideText] = useState(() => (
+    Object.keys(asset.thresholdOverrides || {}).length > 0 ? JSON.stringify(asset.thresholdOverrides, null, 2) : ''
+  ));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const parsedOverrides = parseThresholdOverrides(overrideText);
+  const candidate = { ...draft, tags: parseTags(tagText), thresholdOverrides: parsedOverrides.overrides || {} };
+  const errors = parsedOverrides.error ? [...validateAsset(candidate), parsedOverrides.error] : validateAsset(candidate);
+  const sourceDefinition = DATA_SOURCE_TYPES[draft.dataSource.type];
+
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+  const updateSource = (patch) => setDraft(prev => ({ ...prev, dataSource: { ...prev.dataSource, ...patch } }));
+
+  const handleSubmit = async () => {
+    setIsSaving(true);
+    try {
+      await onSubmit(candidate);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <fieldset disabled={readOnly} className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className={labelClass}>
+          {t('assetUi.name')}
+          <input className={inputClass} value={draft.name} onChange={(e) => update({ name: e.target.value })} />
+        </label>
+        <label className={labelClass}>
+          {t('assetUi.owner')}
+          <input className={inputClass} value={draft.owner} onChange={(e) => update({ owner: e.target.value })} />
+        </label>
+        <label className={labelClass}>
+          {t('assetUi.type')}
+          <select className={inputClass} value={draft.type} onChange={(e) => update({ type: e.target.value })}>
+            {Object.entries(ASSET_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </label>
+        <label className={labelClass}>
+          {t('assetUi.health')}
+          <select className={inputClass} value={draft.health} onChange={(e) => update({ health: e.target.value })}>
+            {Object.entries(ASSET_HEALTH_LABELS).map(([health, label]) => <option key={health} value={health}>{label}</option>)}
+          </select>
+        </label>
+        <label className={labelClass}>
+          {t('assetUi.dataSource')}
+          <select className={inputClass} value={draft.dataSource.type} onChange={(e) => updateSource({ type: e.target.value })}>
+            {ASSET_SOURCE_TYPES.map(type => <option key={type} value={type}>{DATA_SOURCE_TYPES[type].label}</option>)}
+          </select>
+        </label>
+        {sourceDefinition && sourceDefinition.needsUrl && (
+          <label className={labelClass}>
+            Endpoint
+            <input className={inputClass} value={draft.dataSource.url || ''} onChange={(e) => updateSource({ url: e.target.value })} />
+          </label>
+        )}
+      </div>
+      <label className={labelClass}>
+        {t('assetUi.tags')}
+        <input className={inputClass} value={tagText} onChange={(e) => setTagText(e.target.value)} placeholder={t('assetUi.tagsPlaceholder')} />
+      </label>
+      <label className={labelClass}>
+        {t('assetUi.overrides')}
+        <textarea
+          rows={3}
+          className={`${inputClass} font-mono text-xs`}
+          value={overrideText}
+          onChange={(e) => setOverrideText(e.target.value)}
+          placeholder='{ "infrastruktur-latency": 300 }'
+        />
+      </label>
+      {readOnly ? (
+        <p className="text-xs text-gray-500">{t('assetUi.readOnly')}</p>
+      ) : (
+        <>
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-400 list-disc list-inside">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <button
+            onClick={handleSubmit}
+            disabled={errors.length > 0 || isSaving}
+            className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center"
+          >
+            <Save className="w-4 h-4 mr-1" /> {submitLabel}
+          </button>
+        </>
+      )}
+    </fieldset>
+  );
+};
+
+// --- ASSET REGISTRY (list + detail; read-only without canEdit) ---
+const AssetRegistry = ({ assets, onCreate, onUpdate, onArchive, onRestore, canEdit = true }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [showArchived, setShowArchived] = useState(false);
+  const blankAsset = useMemo(createBlankAsset, []);
+
+  const visible = useMemo(() => assets
+    .filter(asset => showArchived || !asset.archived)
+    .filter(asset => typeFilter === 'all' || asset.type === typeFilter)
+    .filter(asset => matchesSearch(asset, search))
+    .sort((a, b) => a.name.localeCompare(b.name)), [assets, showArchived, typeFilter, search]);
+
+  const selected = assets.find(asset => asset.id === selectedId) || null;
+
+  const handleCreate = async (asset) => {
+    const id = await onCreate(asset);
+    setIsCreating(false);
+    if (id) setSelectedId(id);
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+      {/* Daftar Aset */}
+      <div className="lg:col-span-2 bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-3">
+        <div className="flex gap-2">
+          <div className="flex-1 relative">
+            <Search className="w-4 h-4 absolute left-2 top-3 text-gray-500" />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={t('assetUi.searchPlaceholder')}
+              className="w-full bg-gray-900 border border-gray-600 rounded-lg p-2 pl-8 text-sm text-white"
+            />
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => { setIsCreating(true); setSelectedId(null); }}
+              className="bg-cyan-700 hover:bg-cyan-600 text-white text-sm px-3 rounded-lg flex items-center"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+        <div className="flex items-center gap-3 text-xs text-gray-400">
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="bg-gray-900 border border-gray-600 rounded p-1 text-white">
+            <option value="all">{t('assetUi.allTypes')}</option>
+            {Object.entries(ASSET_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          <label className="flex items-center">
+            <input type="checkbox" className="mr-1" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+            {t('assetUi.showArchived')}
+          </label>
+        </div>
+        <div className="space-y-2 max-h-96 overflow-y-auto pr-1">
+          {visible.length > 0 ? visible.map(asset => (
+            <button
+              key={asset.id}
+              onClick={() => { setSelectedId(asset.id); setIsCreating(false); }}
+              className={`w-full text-left p-3 rounded-lg border ${asset.id === selectedId ? 'border-cyan-400 bg-gray-900' : 'border-gray-700 hover:border-gray-500'} ${asset.archived ? 'opacity-50' : ''}`}
+            >
+              <div className="flex justify-between items-center">
+                <span className="font-semibold text-sm text-white">{asset.name}</span>
+                <AssetHealthBadge health={asset.health} />
+              </div>
+              <p className="text-xs text-gray-400 mt-1">{ASSET_TYPES[asset.type] || asset.type} · {asset.owner}{asset.archived && ` · ${t('assetUi.archived')}`}</p>
+            </button>
+          )) : (
+            <p className="text-sm text-gray-500 text-center py-4">{t('assetUi.noMatches')}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Detail / Formulir */}
+      <div className="lg:col-span-3 bg-gray-800 p-4 rounded-xl border border-gray-700">
+        {isCreating && (
+          <>
+            <h3 className="text-sm font-semibold text-gray-400 uppercase mb-3">{t('assetUi.newAsset')}</h3>
+            <AssetForm asset={blankAsset} onSubmit={handleCreate} submitLabel={t('assetUi.saveAsset')} />
+          </>
+        )}
+        {!isCreating && selected && (
+          <>
+            <div className="flex justify-between items-start mb-3">
+              <div>
+                <h3 className="text-lg font-bold text-white">{selected.name}</h3>
+                <p className="text-xs text-gray-500">
+                  {t('assetUi.timestamps', { created: formatTimestamp(selected.createdAt), updated: formatTimestamp(selected.updatedAt) })}
+                  {selected.archived && ` · ${t('assetUi.archivedAt', { at: formatTimestamp(selected.archivedAt) })}`}
+                </p>
+                {(selected.tags || []).length > 0 && (
+                  <p className="text-xs text-gray-400 mt-1 flex items-center flex-wrap gap-1">
+                    <Tag className="w-3 h-3" />
+                    {selected.tags.map(tag => <span key={tag} className="bg-gray-700 px-2 rounded-full">{tag}</span>)}
+                  </p>
+                )}
+              </div>
+              {!canEdit ? null : selected.archived ? (
+                <button onClick={() => onRestore(selected.id)} className="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white flex items-center">
+                  <RotateCcw className="w-3 h-3 mr-1" /> {t('assetUi.restore')}
+                </button>
+              ) : (
+                <button onClick={() => onArchive(selected.id)} className="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-red-700 text-white flex items-center">
+                  <Archive className="w-3 h-3 mr-1" /> {t('assetUi.archive')}
+                </button>
+              )}
+            </div>
+            <AssetForm key={selected.id} asset={selected} onSubmit={(asset) => onUpdate(selected.id, asset)} submitLabel={t('assetUi.saveChanges')} readOnly={!canEdit} />
+          </>
+        )}
+        {!isCreating && !selected && (
+          <p className="text-sm text-gray-500 text-center py-12">{t('assetUi.selectPrompt')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssetRegistry;
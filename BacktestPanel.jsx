@@ -0,0 +1,272 @@
+import React, { useState, useMemo } from 'react';
+import { Play, RefreshCw, FileText, History } from 'lucide-react';
+import { runBacktest, samplesFromFile, MATCH_TOLERANCE_MS } from './backtest.js';
+import { HISTORY_RANGES } from './metricsHistory.js';
+import { validateRuleSet, SEVERITY } from './ruleEngine.js';
+import { pathLabel } from './paths.js';
+import { t, formatDateTime, formatNumber } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const SEVERITY_COLORS = {
+  [SEVERITY.EMERGENCY]: '#f97316',
+  [SEVERITY.CRITICAL]: '#f87171',
+  [SEVERITY.WARNING]: '#facc15',
+};
+
+// --- TIMELINE (satu lajur per aturan) ---
+const BacktestTimeline = ({ result, width = 720 }) => {
+  const ruleIds = Object.keys(result.perRule).filter(ruleId => result.perRule[ruleId].incidents > 0);
+  if (!result.range || ruleIds.length === 0) {
+    return <p className="text-sm text-gray-500">{t('backtest.noIncidents')}</p>;
+  }
+  const laneHeight = 22;
+  const labelWidth = 160;
+  const span = (result.range.to - result.range.from) || 1;
+  const x = (time) => labelWidth + ((time - result.range.from) / span) * (width - labelWidth - 8);
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${width} ${ruleIds.length * laneHeight + 20}`} className="bg-gray-900 rounded-lg">
+      {ruleIds.map((ruleId, lane) => (
+        <g key={ruleId} transform={`translate(0, ${lane * laneHeight + 4})`}>
+          <text x="6" y="13" fontSize="10" fill="#d1d5db">{result.perRule[ruleId].name}</text>
+          {result.incidents.filter(incident => incident.ruleId === ruleId).map(incident => (
+            <rect
+              key={incident.id}
+              x={x(incident.openedAt)}
+              y="3"
+              width={Math.max(2, x(incident.closedAt ?? result.range.to) - x(incident.openedAt))}
+              height="12"
+              rx="2"
+              fill={SEVERITY_COLORS[incident.severity] || '#f87171'}
+            >
+              <title>{`${formatDateTime(incident.openedAt)} · ${t('backtest.scanCount', { count: incident.count })}`}</title>
+            </rect>
+          ))}
+        </g>
+      ))}
+      <text x={labelWidth} y={ruleIds.length * laneHeight + 16} fontSize="10" fill="#9ca3af">
+        {formatDateTime(result.range.from)}
+      </text>
+      <text x={width - 8} y={ruleIds.length * laneHeight + 16} fontSize="10" fill="#9ca3af" textAnchor="end">
+        {formatDateTime(result.range.to)}
+      </text>
+    </svg>
+  );
+};
+
+// --- BACKTEST SCREEN ---
+const BacktestPanel = ({ activeRules, loadStoredSamples, loadActualIncidents, asset }) => {
+  const [sourceMode, setSourceMode] = useState('history');
+  const [rangeKey, setRangeKey] = useState('24h');
+  const [fileSamples, setFileSamples] = useState(null);
+  const [ruleMode, setRuleMode] = useState('active');
+  const [proposedText, setProposedText] = useState(() => JSON.stringify(activeRules, null, 2));
+  const [useBaselines, setUseBaselines] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const proposed = useMemo(() => {
+    try {
+      const rules = JSON.parse(proposedText);
+      if (!Array.isArray(rules)) return { error: t('backtest.error.notArray') };
+      const problems = validateRuleSet(rules);
+      const messages = Object.entries(problems).map(([ruleId, errors]) => `${ruleId}: ${errors.join(' ')}`);
+      return messages.length > 0 ? { error: messages.join('\n') } : { rules };
+    } catch (parseError) {
+      return { error: t('asset.error.invalidJson', { error: parseError.message }) };
+    }
+  }, [proposedText]);
+
+  const handleFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setFileSamples(samplesFromFile(String(reader.result), file.name));
+        setError('');
+      } catch (parseError) {
+        setFileSamples(null);
+        setError(parseError.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleRun = async () => {
+    const rules = ruleMode === 'active' ? activeRules : proposed.rules;
+    if (!rules) return;
+    setIsRunning(true);
+    setError('');
+    try {
+      const samples = sourceMode === 'history' ? await loadStoredSamples(rangeKey) : fileSamples;
+      if (!samples || samples.length === 0) throw new Error(t('backtest.error.noSamples'));
+      // Only the incidents opened around the replayed window are needed for the diff
+      const times = samples.map(sample => sample.t);
+      const actualIncidents = await loadActualIncidents(Math.min(...times) - MATCH_TOLERANCE_MS, Math.max(...times) + MATCH_TOLERANCE_MS);
+      const startedAt = performance.now();
+      const backtest = runBacktest({ samples, rules, actualIncidents, useBaselines, asset });
+      setResult({ ...backtest, elapsedMs: performance.now() - startedAt });
+    } catch (runError) {
+      console.error("Backtest failed:", runError);
+      setError(runError.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const canRun = !isRunning
+    && (sourceMode === 'history' || (fileSamples && fileSamples.length > 0))
+    && (ruleMode === 'active' || proposed.rules);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Sumber Rekaman */}
+        <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-3">
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('backtest.source', { asset: asset.name })}</h3>
+          <div className="flex gap-2">
+            {[['history', t('backtest.source.history'), History], ['file', t('backtest.source.file'), FileText]].map(([mode, label, Icon]) => (
+              <button
+                key={mode}
+                onClick={() => setSourceMode(mode)}
+                className={`flex items-center text-xs px-3 py-1 rounded-full border ${sourceMode === mode ? 'border-cyan-400 text-cyan-300' : 'border-gray-600 text-gray-400'}`}
+              >
+                <Icon className="w-3 h-3 mr-1" /> {label}
+              </button>
+            ))}
+          </div>
+          {sourceMode === 'history' ? (
+            <label className={labelClass}>
+              {t('backtest.range')}
+              <select className={inputClass} value={rangeKey} onChange={(e) => setRangeKey(e.target.value)}>
+                {Object.entries(HISTORY_RANGES).map(([key, range]) => (
+                  <option key={key} value={key}>{t('backtest.rangeOption', { label: range.label, resolution: range.resolution === 'raw' ? t('backtest.raw') : range.resolution })}</option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <label className={labelClass}>
+              {t('backtest.fileLabel')}
+              <input type="file" accept=".csv,.ndjson,.jsonl,.json" onChange={handleFile} className="mt-1 w-full text-sm text-gray-300 normal-case font-normal" />
+              {fileSamples && <span className="block mt-1 text-gray-400 normal-case font-normal">{t('backtest.samplesLoaded', { count: fileSamples.length })}</span>}
+            </label>
+          )}
+          <label className="flex items-center text-xs text-gray-300">
+            <input type="checkbox" className="mr-2" checked={useBaselines} onChange={(e) => setUseBaselines(e.target.checked)} />
+            {t('backtest.useBaselines')}
+          </label>
+        </div>
+
+        {/* Set Aturan */}
+        <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-3">
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('backtest.ruleSet')}</h3>
+          <div className="flex gap-2">
+            {[['active', t('backtest.rules.active')], ['proposed', t('backtest.rules.proposed')]].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setRuleMode(mode)}
+                className={`text-xs px-3 py-1 rounded-full border ${ruleMode === mode ? 'border-cyan-400 text-cyan-300' : 'border-gray-600 text-gray-400'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {ruleMode === 'proposed' && (
+            <>
+              <textarea
+                rows={8}
+                className={`${inputClass} font-mono text-xs`}
+                value={proposedText}
+                onChange={(e) => setProposedText(e.target.value)}
+              />
+              {proposed.error && <p className="text-xs text-red-400 whitespace-pre-line">{proposed.error}</p>}
+            </>
+          )}
+          <button
+            onClick={handleRun}
+            disabled={!canRun}
+            className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center"
+          >
+            {isRunning ? <RefreshCw className="w-4 h-4 mr-1 animate-spin" /> : <Play className="w-4 h-4 mr-1" />}
+            {t('backtest.run')}
+          </button>
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+      </div>
+
+      {result && (
+        <>
+          <p className="text-sm text-gray-400">
+            {t('backtest.summary', { scans: result.scans, elapsed: formatNumber(result.elapsedMs, 0) })}
+            {result.range && ` (${formatDateTime(result.range.from)} – ${formatDateTime(result.range.to)})`}
+          </p>
+
+          {/* Pemicu per Aturan */}
+          <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-400 uppercase text-left">
+                  <th className="pb-2">{t('backtest.col.rule')}</th>
+                  <th className="pb-2">{t('backtest.col.path')}</th>
+                  <th className="pb-2 text-right">{t('backtest.col.breachScans')}</th>
+                  <th className="pb-2 text-right">{t('backtest.col.simulated')}</th>
+                  <th className="pb-2 text-right">{t('backtest.col.actual')}</th>
+                  <th className="pb-2 text-right">{t('backtest.col.delta')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(result.perRule).map(([ruleId, stats]) => (
+                  <tr key={ruleId} className="border-t border-gray-700">
+                    <td className="py-1">{stats.name}</td>
+                    <td className="py-1 text-gray-400">{pathLabel(stats.path)}</td>
+                    <td className="py-1 text-right">{stats.breachScans}</td>
+                    <td className="py-1 text-right">{stats.incidents}</td>
+                    <td className="py-1 text-right">{stats.actual}</td>
+                    <td className={`py-1 text-right font-semibold ${stats.incidents - stats.actual > 0 ? 'text-red-400' : stats.incidents - stats.actual < 0 ? 'text-green-400' : 'text-gray-400'}`}>
+                      {stats.incidents - stats.actual > 0 ? '+' : ''}{stats.incidents - stats.actual}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Timeline */}
+          <BacktestTimeline result={result} />
+
+          {/* Diff terhadap intervensi tercatat */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+              <p className="text-xs text-gray-400 uppercase font-semibold">{t('backtest.diff.matched')}</p>
+              <p className="text-2xl font-extrabold text-teal-400">{result.diff.matched.length}</p>
+            </div>
+            <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+              <p className="text-xs text-gray-400 uppercase font-semibold">{t('backtest.diff.onlySimulated')}</p>
+              <p className="text-2xl font-extrabold text-red-400">{result.diff.onlySimulated.length}</p>
+              {result.diff.onlySimulated.slice(0, 5).map(incident => (
+                <p key={incident.id} className="text-xs text-gray-400">
+                  [{pathLabel(incident.path)}] {incident.ruleId} · {formatDateTime(incident.openedAt)}
+                </p>
+              ))}
+            </div>
+            <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+              <p className="text-xs text-gray-400 uppercase font-semibold">{t('backtest.diff.onlyActual')}</p>
+              <p className="text-2xl font-extrabold text-yellow-400">{result.diff.onlyActual.length}</p>
+              {result.diff.onlyActual.slice(0, 5).map(incident => (
+                <p key={incident.id} className="text-xs text-gray-400">
+                  [{pathLabel(incident.path)}] {incident.ruleId || '-'} · {formatDateTime(incident.openedAtMs)}
+                </p>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
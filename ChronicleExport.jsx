@@ -0,0 +1,341 @@
+import React, { useState } from 'react';
+import { FileDown, Printer, Search, RefreshCw, ShieldCheck, ShieldAlert, X } from 'lucide-react';
+import { INCIDENT_SEVERITIES, SEVERITY_LABELS } from './ruleEngine.js';
+import { RULE_PATHS, RULE_PATH_LABELS, pathLabel } from './paths.js';
+import { INCIDENT_STATUS_LABELS } from './incidents.js';
+import { DEFAULT_ASSET } from './assets.js';
+import {
+  EXPORT_FORMATS,
+  createDefaultExportFilter,
+  loadChronicle,
+  summarizeChronicle,
+  serializeChronicle,
+  exportFileName,
+  formatDuration,
+} from './chronicleExport.js';
+import { verifyChronicle, describeChainIssue } from './chronicleChain.js';
+import { t } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+// <input type="datetime-local"> works in local time without seconds
+export const toLocalInput = (ms) => {
+  const date = new Date(ms);
+  return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+export const downloadText = (text, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const ChipGroup = ({ label, options, selected, onChange }) => (
+  <div className={labelClass}>
+    {label} <span className="normal-case font-normal text-gray-500">{t('chronicleUi.emptyMeansAll')}</span>
+    <div className="mt-1 flex flex-wrap gap-2">
+      {options.map(([value, text]) => (
+        <button
+          key={value}
+          type="button"
+          onClick={() => onChange(toggle(selected, value))}
+          className={`px-2 py-1 rounded-lg border text-xs normal-case font-normal ${selected.includes(value) ? 'border-cyan-500 bg-cyan-900 text-white' : 'border-gray-600 text-gray-400'}`}
+        >
+          {text}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const CountList = ({ title, counts, labels = {} }) => (
+  <div>
+    <h4 className="text-xs text-gray-400 uppercase font-semibold mb-1">{title}</h4>
+    <ul className="text-sm space-y-0.5">
+      {Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([key, count]) => (
+        <li key={key} className="flex justify-between gap-4"><span>{labels[key] || key}</span><span className="text-gray-400">{count}</span></li>
+      ))}
+      {Object.keys(counts).length === 0 && <li className="text-gray-500">-</li>}
+    </ul>
+  </div>
+);
+
+// --- FINALITY CHRONICLE EXPORT SCREEN ---
+const ChronicleExport = ({ repository, assets, assetNames, userId }) => {
+  const [filter, setFilter] = useState(createDefaultExportFilter);
+  const [records, setRecords] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateFilter = (patch) => {
+    setFilter(prev => ({ ...prev, ...patch }));
+    setRecords(null);
+  };
+
+  const handleLoad = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      setRecords(await loadChronicle(repository, filter, assetNames));
+    } catch (loadError) {
+      console.error("Failed to load chronicle:", loadError);
+      setError(t('chronicleUi.error.load', { error: loadError.message }));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownload = (format) => {
+    const text = serializeChronicle(format, { records, filter, generatedBy: userId });
+    downloadText(text, exportFileName(format, filter), EXPORT_FORMATS[format].mimeType);
+  };
+
+  const handlePrint = () => {
+    const report = window.open('', '_blank');
+    if (!report) {
+      setError(t('chronicleUi.error.popupBlocked'));
+      return;
+    }
+    report.document.write(serializeChronicle('html', { records, filter, generatedBy: userId }));
+    report.document.close();
+    report.focus();
+    report.print();
+  };
+
+  const summary = records ? summarizeChronicle(records) : null;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Filter */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-3">
+        <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('chronicleUi.filter')}</h3>
+        <label className={labelClass}>
+          {t('chronicleUi.from')}
+          <input
+            type="datetime-local"
+            className={inputClass}
+            value={toLocalInput(filter.fromMs)}
+            onChange={(e) => e.target.value && updateFilter({ fromMs: new Date(e.target.value).getTime() })}
+          />
+        </label>
+        <label className={labelClass}>
+          {t('chronicleUi.to')}
+          <input
+            type="datetime-local"
+            className={inputClass}
+            value={toLocalInput(filter.toMs)}
+            onChange={(e) => e.target.value && updateFilter({ toMs: new Date(e.target.value).getTime() })}
+          />
+        </label>
+        <ChipGroup
+          label={t('chronicle.column.path')}
+          options={RULE_PATHS.map(path => [path, pathLabel(path)])}
+          selected={filter.paths}
+          onChange={(paths) => updateFilter({ paths })}
+        />
+        <ChipGroup
+          label={t('chronicle.column.severity')}
+          options={INCIDENT_SEVERITIES.map(severity => [severity, SEVERITY_LABELS[severity]])}
+          selected={filter.severities}
+          onChange={(severities) => updateFilter({ severities })}
+        />
+        <ChipGroup
+          label={t('assetUi.asset')}
+          options={[DEFAULT_ASSET, ...assets].map(asset => [asset.id, asset.name])}
+          selected={filter.assetIds}
+          onChange={(assetIds) => updateFilter({ assetIds })}
+        />
+        <button
+          onClick={handleLoad}
+          disabled={isLoading || filter.fromMs > filter.toMs}
+          className="w-full bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center justify-center"
+        >
+          {isLoading ? <RefreshCw className="w-4 h-4 mr-1 animate-spin" /> : <Search className="w-4 h-4 mr-1" />} {t('chronicleUi.load')}
+        </button>
+        {filter.fromMs > filter.toMs && <p className="text-xs text-red-400">{t('chronicleUi.error.range')}</p>}
+        {error && <p className="text-xs text-red-400">{error}</p>}
+      </div>
+
+      {/* Ringkasan & Unduhan */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-2 space-y-4">
+        {summary ? (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {[
+                [t('chronicle.summary.total'), summary.total],
+                [t('chronicle.summary.active'), summary.active],
+                [t('chronicle.summary.resolved'), summary.resolvedCount],
+                [t('chronicle.summary.meanTimeToResolve'), formatDuration(summary.meanTimeToResolveMs)],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-gray-900 p-3 rounded-lg border border-gray-700">
+                  <p className="text-xs text-gray-400 uppercase">{label}</p>
+                  <p className="text-xl font-extrabold text-cyan-300">{value}</p>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              <CountList title={t('chronicleUi.byPath')} counts={summary.byPath} labels={RULE_PATH_LABELS} />
+              <CountList title={t('chronicleUi.bySeverity')} counts={summary.bySeverity} labels={SEVERITY_LABELS} />
+              <CountList title={t('chronicleUi.byStatus')} counts={summary.byStatus} labels={INCIDENT_STATUS_LABELS} />
+              <CountList title={t('chronicle.report.topRules')} counts={Object.fromEntries(summary.topRules.map(({ ruleId, count }) => [ruleId, count]))} />
+            </div>
+            <div className="border-t border-gray-700 pt-3 flex flex-wrap gap-3">
+              {['csv', 'ndjson', 'html'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => handleDownload(format)}
+                  disabled={records.length === 0}
+                  className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center"
+                >
+                  <FileDown className="w-4 h-4 mr-1" /> {EXPORT_FORMATS[format].label}
+                </button>
+              ))}
+              <button
+                onClick={handlePrint}
+                disabled={records.length === 0}
+                className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center"
+              >
+                <Printer className="w-4 h-4 mr-1" /> {t('chronicleUi.print')}
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-gray-400">{t('chronicleUi.prompt')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- FINALITY CHRONICLE INTEGRITY (chronicleChain.js) ---
+// Shown issues per report; the full list is in the CLI report (chronicleVerify.js --json)
+const MAX_SHOWN_ISSUES = 50;
+
+export const ChronicleIntegrity = ({ repositories, trustedKeys, canEdit, onSaveTrustedKeys }) => {
+  const [report, setReport] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState('');
+  const [newKey, setNewKey] = useState('');
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    setError('');
+    try {
+      setReport(await verifyChronicle(repositories, { trustedKeys }));
+    } catch (verifyError) {
+      console.error("Failed to verify chronicle:", verifyError);
+      setError(t('chronicleChain.error.verify', { error: verifyError.message }));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleAddKey = () => {
+    const keyId = newKey.trim();
+    if (keyId && !trustedKeys.includes(keyId)) onSaveTrustedKeys([...trustedKeys, keyId]);
+    setNewKey('');
+    setReport(null);
+  };
+
+  const handleRemoveKey = (keyId) => {
+    onSaveTrustedKeys(trustedKeys.filter(item => item !== keyId));
+    setReport(null);
+  };
+
+  return (
+    <div className="mt-6 bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('chronicleChain.title')}</h3>
+          <p className="text-xs text-gray-500">{t('chronicleChain.description')}</p>
+        </div>
+        <button
+          onClick={handleVerify}
+          disabled={isVerifying}
+          className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center"
+        >
+          {isVerifying ? <RefreshCw className="w-4 h-4 mr-1 animate-spin" /> : <ShieldCheck className="w-4 h-4 mr-1" />} {t('chronicleChain.verify')}
+        </button>
+      </div>
+
+      {/* Kunci penanda tangan checkpoint yang dipercaya */}
+      <div className={labelClass}>
+        {t('chronicleChain.trustedKeysLabel')}
+        <div className="mt-1 flex flex-wrap items-center gap-2 normal-case font-normal">
+          {trustedKeys.map(keyId => (
+            <span key={keyId} className="px-2 py-1 rounded-lg border border-gray-600 text-xs text-gray-300 font-mono flex items-center">
+              {keyId}
+              {canEdit && (
+                <button onClick={() => handleRemoveKey(keyId)} className="ml-1 text-gray-500 hover:text-red-400" title={t('chronicleChain.removeKey')}>
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </span>
+          ))}
+          {trustedKeys.length === 0 && <span className="text-xs text-gray-500">{t('chronicleChain.noTrustedKeys')}</span>}
+          {canEdit && (
+            <>
+              <input
+                className="bg-gray-900 border border-gray-600 rounded-lg px-2 py-1 text-xs text-white font-mono"
+                value={newKey}
+                placeholder={t('chronicleChain.keyPlaceholder')}
+                onChange={(e) => setNewKey(e.target.value)}
+              />
+              <button
+                onClick={handleAddKey}
+                disabled={newKey.trim() === ''}
+                className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white text-xs font-semibold px-3 py-1 rounded-lg"
+              >
+                {t('chronicleChain.addKey')}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {report && (
+        <div className="border-t border-gray-700 pt-3 space-y-2">
+          <p className={`text-sm font-bold flex items-center ${report.ok ? 'text-green-400' : 'text-red-400'}`}>
+            {report.ok ? <ShieldCheck className="w-4 h-4 mr-1" /> : <ShieldAlert className="w-4 h-4 mr-1" />}
+            {report.ok ? t('chronicleChain.ok') : t('chronicleChain.broken', { count: report.issues.length })}
+          </p>
+          <p className="text-xs text-gray-400">
+            {t('chronicleChain.summary', {
+              checked: report.checked,
+              lastSeq: report.lastSeq,
+              verified: report.checkpoints.verified,
+              total: report.checkpoints.total,
+            })}
+          </p>
+          {report.unchained > 0 && <p className="text-xs text-gray-500">{t('chronicleChain.unchained', { count: report.unchained })}</p>}
+          {report.issues.length > 0 && (
+            <ul className="text-sm space-y-1">
+              {report.issues.slice(0, MAX_SHOWN_ISSUES).map((issue, index) => (
+                <li
+                  key={`${issue.type}-${issue.seq}-${issue.id}`}
+                  className={`p-2 rounded-lg border ${index === 0 ? 'border-red-600 bg-red-900/40 text-red-200' : 'border-gray-700 text-gray-300'}`}
+                >
+                  {index === 0 && <span className="text-xs font-bold uppercase mr-2">{t('chronicleChain.firstIssue')}</span>}
+                  {describeChainIssue(issue)}
+                </li>
+              ))}
+              {report.issues.length > MAX_SHOWN_ISSUES && (
+                <li className="text-xs text-gray-500">{t('chronicleChain.moreIssues', { count: report.issues.length - MAX_SHOWN_ISSUES })}</li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChronicleExport;
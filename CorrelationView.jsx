@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { GitBranch, Link2, Save, Settings, AlertTriangle, Plus, Trash2, CheckCircle } from 'lucide-react';
+import { SEVERITY, severityLabel } from './ruleEngine.js';
+import { pathLabel } from './paths.js';
+import {
+  graphNodes,
+  parseNode,
+  nodeLabel,
+  nodeOptions,
+  nodeSeverities,
+  validateCorrelationConfig,
+  describeRootCause,
+} from './correlation.js';
+import { t, formatNumber, formatTime } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const SEVERITY_NODE_COLORS = {
+  [SEVERITY.EMERGENCY]: '#ea580c',
+  [SEVERITY.CRITICAL]: '#dc2626',
+  [SEVERITY.WARNING]: '#ca8a04',
+  [SEVERITY.FORECAST]: '#4f46e5',
+};
+
+// Correlated events listed at most
+const MAX_EVENTS = 8;
+
+// --- DEPENDENCY GRAPH ---
+const GRAPH_WIDTH = 520;
+const GRAPH_HEIGHT = 300;
+const NODE_RADIUS = 34;
+
+// Nodes evenly on an ellipse, in the order given
+const layoutNodes = (nodes) => {
+  const cx = GRAPH_WIDTH / 2;
+  const cy = GRAPH_HEIGHT / 2;
+  const radius = Math.min(cx, cy) - NODE_RADIUS - 8;
+  return Object.fromEntries(nodes.map((node, index) => {
+    const angle = (index / nodes.length) * Math.PI * 2 - Math.PI / 2;
+    return [node, { x: cx + radius * Math.cos(angle) * 1.5, y: cy + radius * Math.sin(angle) }];
+  }));
+};
+
+// Edge line stopping at the node borders, so the arrow head stays visible
+const edgeLine = (from, to) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy) || 1;
+  const ux = dx / length;
+  const uy = dy / length;
+  return { x1: from.x + ux * NODE_RADIUS, y1: from.y + uy * NODE_RADIUS, x2: to.x - ux * (NODE_RADIUS + 4), y2: to.y - uy * (NODE_RADIUS + 4) };
+};
+
+export const DependencyGraph = ({ config, incidents }) => {
+  // Metric nodes follow their path, so edges inside one path stay short
+  const nodes = useMemo(() => {
+    const all = graphNodes(config);
+    return all
+      .filter(node => !parseNode(node).metric)
+      .flatMap(path => [path, ...all.filter(node => parseNode(node).metric && parseNode(node).path === path)]);
+  }, [config]);
+  const positions = useMemo(() => layoutNodes(nodes), [nodes]);
+  const severities = useMemo(() => nodeSeverities(incidents, config), [incidents, config]);
+
+  return (
+    <svg viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`} className="w-full h-auto">
+      <defs>
+        <marker id="dependency-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+        </marker>
+        <marker id="dependency-arrow-active" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#f87171" />
+        </marker>
+      </defs>
+      {config.edges.filter(edge => positions[edge.from] && positions[edge.to]).map((edge) => {
+        // An edge lights up when both of its ends are breaching right now
+        const isActive = Boolean(severities[edge.from] && severities[edge.to]);
+        return (
+          <line
+            key={`${edge.from}->${edge.to}`}
+            {...edgeLine(positions[edge.from], positions[edge.to])}
+            stroke={isActive ? '#f87171' : '#6b7280'}
+            strokeWidth={isActive ? 2.5 : 1.5}
+            markerEnd={`url(#${isActive ? 'dependency-arrow-active' : 'dependency-arrow'})`}
+          />
+        );
+      })}
+      {nodes.map((node) => {
+        const { x, y } = positions[node];
+        const severity = severities[node];
+        const { path, metric } = parseNode(node);
+        return (
+          <g key={node}>
+            <title>{severity ? `${nodeLabel(node)} — ${severityLabel(severity)}` : nodeLabel(node)}</title>
+            <circle cx={x} cy={y} r={NODE_RADIUS} fill={severity ? SEVERITY_NODE_COLORS[severity] : '#1f2937'} stroke={severity ? '#fecaca' : '#4b5563'} strokeWidth="1.5" />
+            <text x={x} y={metric ? y - 3 : y + 4} textAnchor="middle" fontSize="11" fontWeight="600" fill="#f3f4f6">{pathLabel(path)}</text>
+            {metric && <text x={x} y={y + 11} textAnchor="middle" fontSize="9" fill="#d1d5db">{metric}</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// --- LOG TAG ---
+/**
+ * Penanda di log intervensi untuk insiden yang termasuk peristiwa terkorelasi.
+ * @param {object} props.event - Peristiwa dari correlationIndex(), atau undefined.
+ */
+export const CorrelationTag = ({ event, incident }) => {
+  if (!event) return null;
+  const others = event.incidents.length - 1;
+  return (
+    <p className="text-xs text-fuchsia-300 mt-1 flex items-center" title={describeRootCause(event)}>
+      <Link2 className="w-3 h-3 mr-1" />
+      {event.rootCause.id === incident.id
+        ? t('correlation.tag.rootCause', { count: others })
+        : t('correlation.tag.related', { node: pathLabel(event.rootCause.path), count: others })}
+    </p>
+  );
+};
+
+// --- EVENT LIST ---
+const CorrelatedEvent = ({ event, assetNames }) => (
+  <div className={`p-3 rounded-lg border ${event.breachActive ? 'bg-fuchsia-900/20 border-fuchsia-700' : 'bg-gray-800 border-gray-700'}`}>
+    <div className="flex items-center justify-between gap-2">
+      <p className="text-sm font-semibold text-fuchsia-200">
+        [{assetNames[event.assetId] || event.assetId}] {t('correlation.event', { count: event.incidents.length, severity: severityLabel(event.severity) })}
+      </p>
+      <span className="text-xs text-gray-400 whitespace-nowrap">{formatTime(event.openedAtMs)}</span>
+    </div>
+    <p className="text-xs text-gray-300 mt-1">
+      <span className="font-semibold text-fuchsia-300">{t('correlation.suggestedRootCause')}</span> {describeRootCause(event)}
+    </p>
+    <ul className="mt-2 space-y-1 text-xs text-gray-400">
+      {event.incidents.map(incident => (
+        <li key={incident.id} className="flex justify-between gap-2">
+          <span>
+            {incident.id === event.rootCause.id ? '● ' : '↳ '}
+            <span className="text-gray-300">{pathLabel(incident.path)}</span> · {severityLabel(incident.severity)} — {incident.description}
+          </span>
+          <span className="font-mono whitespace-nowrap">
+            +{formatNumber(Math.round((incident.openedAtMs - event.openedAtMs) / 1000), 0)} {t('correlation.seconds')}
+          </span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// --- SETTINGS FORM (admin) ---
+const CorrelationSettingsForm = ({ config, rules, onSave }) => {
+  const [draft, setDraft] = useState(config);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset draft when the stored configuration changes
+  useEffect(() => {
+    setDraft(config);
+  }, [config]);
+
+  const options = useMemo(() => {
+    const fromRules = nodeOptions(rules);
+    return [...fromRules, ...graphNodes(draft).filter(node => !fromRules.includes(node))];
+  }, [rules, draft]);
+  const errors = useMemo(() => validateCorrelationConfig(draft), [draft]);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(config);
+  const updateEdge = (index, patch) => setDraft(prev => ({
+    ...prev,
+    edges: prev.edges.map((edge, position) => (position === index ? { ...edge, ...patch } : edge)),
+  }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const nodeSelect = (value, onChange) => (
+    <select value={value} onChange={event => onChange(event.target.value)} className={inputClass}>
+      {options.map(node => <option key={node} value={node}>{nodeLabel(node)}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-4">
+      <label className={`${labelClass} max-w-xs`}>
+        {t('correlation.windowMinutes')}
+        <input
+          type="number"
+          min="1"
+          value={draft.windowMinutes ?? ''}
+          onChange={event => setDraft(prev => ({ ...prev, windowMinutes: event.target.value === '' ? null : Number(event.target.value) }))}
+          className={inputClass}
+        />
+      </label>
+      <div>
+        <p className={labelClass}>{t('correlation.edges')}</p>
+        <div className="space-y-2 mt-1">
+          {draft.edges.map((edge, index) => (
+            <div key={index} className="grid grid-cols-[1fr_auto_1fr_auto] gap-2 items-center">
+              {nodeSelect(edge.from, from => updateEdge(index, { from }))}
+              <span className="text-gray-400 text-sm">→</span>
+              {nodeSelect(edge.to, to => updateEdge(index, { to }))}
+              <button
+                onClick={() => setDraft(prev => ({ ...prev, edges: prev.edges.filter((_, position) => position !== index) }))}
+                className="text-gray-400 hover:text-red-400"
+                title={t('correlation.removeEdge')}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setDraft(prev => ({ ...prev, edges: [...prev.edges, { from: options[0], to: options[1] }] }))}
+          className="mt-2 flex items-center text-xs text-cyan-400 hover:text-cyan-300"
+        >
+          <Plus className="w-4 h-4 mr-1" /> {t('correlation.addEdge')}
+        </button>
+      </div>
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-400 space-y-1">
+          {errors.map(error => (
+            <li key={error} className="flex items-center"><AlertTriangle className="w-3 h-3 mr-1" /> {error}</li>
+          ))}
+        </ul>
+      )}
+      <button
+        onClick={handleSave}
+        disabled={!isDirty || errors.length > 0 || isSaving}
+        className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-cyan-700 text-white disabled:opacity-50"
+      >
+        <Save className="w-4 h-4 mr-2" /> {t('correlation.save')}
+      </button>
+    </div>
+  );
+};
+
+// --- CORRELATION PANEL (GCP) ---
+/**
+ * Graf dependensi antarjalur dan peristiwa terkorelasi beserta akar masalah yang disarankan.
+ * @param {object[]} props.events - Hasil correlateIncidents() (jendela waktu + insiden aktif).
+ * @param {object[]} props.incidents - Insiden yang pelanggarannya masih aktif (pewarnaan graf).
+ */
+const CorrelationPanel = ({ events, incidents, config, rules, assetNames, canEdit, onSaveConfig }) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const correlated = events.filter(event => event.correlated).slice(0, MAX_EVENTS);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+          <h3 className="text-sm font-semibold text-gray-300 flex items-center mb-2">
+            <GitBranch className="w-4 h-4 mr-2" /> {t('correlation.graph')}
+          </h3>
+          <DependencyGraph config={config} incidents={incidents} />
+          <p className="text-xs text-gray-500 mt-2">{t('correlation.graphHint', { minutes: config.windowMinutes })}</p>
+        </div>
+        <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+          <h3 className="text-sm font-semibold text-gray-300 flex items-center mb-2">
+            <Link2 className="w-4 h-4 mr-2" /> {t('correlation.events')}
+          </h3>
+          {correlated.length > 0 ? (
+            <div className="space-y-2 max-h-80 overflow-y-auto pr-2">
+              {correlated.map(event => <CorrelatedEvent key={event.id} event={event} assetNames={assetNames} />)}
+            </div>
+          ) : (
+            <p className="text-xs text-green-400 flex items-center"><CheckCircle className="w-3 h-3 mr-1" /> {t('correlation.noEvents')}</p>
+          )}
+        </div>
+      </div>
+
+      {canEdit && (
+        <div>
+          <button
+            onClick={() => setShowSettings(prev => !prev)}
+            className="flex items-center text-xs text-cyan-400 hover:text-cyan-300 mb-2"
+          >
+            <Settings className="w-4 h-4 mr-1" /> {t('correlation.settings')}
+          </button>
+          {showSettings && <CorrelationSettingsForm config={config} rules={rules} onSave={onSaveConfig} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CorrelationPanel;
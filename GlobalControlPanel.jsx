@@ -1,76 +1,50 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, query, limit, orderBy } from 'firebase/firestore';
-import { Network, TrendingUp, Users, Zap, Shield, Globe } from 'lucide-react';
-
-// --- INITIAL CONFIG & FIREBASE HOOK ---
-const useFirebase = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-
-    useEffect(() => {
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-        const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-        if (Object.keys(firebaseConfig).length === 0) {
-            console.error("Firebase config is missing.");
-            return;
-        }
-
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authInstance = getAuth(app);
-        
-        setDb(firestore);
-        setAuth(authInstance);
-
-        // Sign In and set Auth State
-        onAuthStateChanged(authInstance, async (user) => {
-            if (!user) {
-                if (initialAuthToken) {
-                    try {
-                        const credential = await signInWithCustomToken(authInstance, initialAuthToken);
-                        setUserId(credential.user.uid);
-                    } catch (error) {
-                        console.error("Custom token sign-in failed, falling back to anonymous:", error);
-                        await signInAnonymously(authInstance);
-                        setUserId(authInstance.currentUser.uid);
-                    }
-                } else {
-                    await signInAnonymously(authInstance);
-                    setUserId(authInstance.currentUser.uid);
-                }
-            } else {
-                setUserId(user.uid);
-            }
-            setIsAuthReady(true);
-        });
-
-    }, []);
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Network, TrendingUp, Users, Zap, Shield, Globe, LayoutDashboard, Boxes, Grid, FileDown, Activity, GitBranch, BellOff } from 'lucide-react';
+import { formatMetric, severityLabel, latestRuleVersion } from './ruleEngine.js';
+import { DEFAULT_RULES, pathLabel } from './paths.js';
+import { COMPLIANCE_PATH } from './builtinPaths.js';
+import { assetIdOf, isForecastSeverity } from './incidents.js';
+import { transitionIncident, assignIncident, addIncidentNote, decideRemediation } from './incidentActions.js';
+import { IncidentStatusBadge, IncidentLogFilters, LoadMoreButton, IncidentActions } from './IncidentLifecycle.jsx';
+import { ACTIVE_INCIDENTS_QUERY, createLogFilter, isLogFilterActive, toIncidentView, recordedIncidentCount } from './interventionLog.js';
+import { useInterventionLog } from './useInterventionLog.js';
+import { useOdasStorage } from './useOdasStorage.js';
+import StorageSwitcher from './StorageSwitcher.jsx';
+import { summarizeAssets, DEFAULT_ASSET } from './assets.js';
+import { createAsset, updateAsset, archiveAsset, restoreAsset } from './assetActions.js';
+import AssetRegistry, { AssetHealthMatrix } from './AssetRegistry.jsx';
+import ChronicleExport, { ChronicleIntegrity } from './ChronicleExport.jsx';
+import { CHRONICLE_SETTINGS_DOC } from './chronicleChain.js';
+import WorkspaceManager from './WorkspaceManager.jsx';
+import WorkspaceSwitcher from './WorkspaceSwitcher.jsx';
+import { can } from './workspaces.js';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import { SCANNER_STATUS_DOC } from './scannerLease.js';
+import {
+    HEALTH_SETTINGS_DOC,
+    HEALTH_STATUS,
+    HEALTH_STATUS_LABELS,
+    normalizeHealthConfig,
+    healthTrend,
+    loadHealthHistory,
+    mergeIncidents,
+    liveSamplesFrom,
+} from './healthModel.js';
+import SystemHealthPanel, { HEALTH_STATUS_CLASSES } from './SystemHealth.jsx';
+import {
+    CORRELATION_SETTINGS_DOC,
+    normalizeCorrelationConfig,
+    correlateIncidents,
+    correlationIndex,
+} from './correlation.js';
+import CorrelationPanel, { CorrelationTag } from './CorrelationView.jsx';
+import { silencesQuery } from './silences.js';
+import { createSilence, endSilence } from './silenceActions.js';
+import SilencePanel, { SuppressedTag } from './Silences.jsx';
+import { t, formatNumber } from './i18n.js';
 
-    // Memoized Collection References (Private Data Path)
-    const interventionCollectionRef = useMemo(() => {
-        if (!db || !userId) return null;
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        // Path: /artifacts/{appId}/users/{userId}/odas_interventions
-        return collection(db, `artifacts/${appId}/users/${userId}/odas_interventions`);
-    }, [db, userId]);
-
-    // Mock/Future Strategic Asset Collections
-    const assetCollectionRef = useMemo(() => {
-        if (!db || !userId) return null;
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        // Path: /artifacts/{appId}/users/{userId}/strategic_assets
-        return collection(db, `artifacts/${appId}/users/${userId}/strategic_assets`);
-    }, [db, userId]);
-
-
-    return { userId, isAuthReady, interventionCollectionRef, assetCollectionRef };
-};
+// The health trend is rebuilt from stored rollups once a minute (and whenever ongoing breaches change)
+const HEALTH_REFRESH_MS = 60 * 1000;
 
 // --- DATA CARD COMPONENT ---
 const DataCard = ({ title, value, unit, icon: Icon, color, description }) => (
@@ -88,81 +62,272 @@ const DataCard = ({ title, value, unit, icon: Icon, color, description }) => (
 
 // --- MAIN APPLICATION COMPONENT ---
 const App = () => {
-  const { userId, isAuthReady, interventionCollectionRef, assetCollectionRef } = useFirebase();
-  const [interventions, setInterventions] = useState([]);
+  const { userId, isAuthReady, storageKind, storageError, repositories, storage, workspace, role, memberships } = useOdasStorage();
+  const [activeIncidents, setActiveIncidents] = useState([]);
+  const [logFilter, setLogFilter] = useState(createLogFilter);
+  const interventionLog = useInterventionLog(repositories && repositories.interventions, logFilter);
+  const [assets, setAssets] = useState([]);
+  const [activeView, setActiveView] = useState('overview');
   const [strategicMetrics, setStrategicMetrics] = useState({
       totalAssets: 0,
       personaRating: 0,
       totalInterventions: 0,
-      systemHealth: 'Offline',
   });
+  const [ruleVersions, setRuleVersions] = useState([]);
+  const [scannerStatus, setScannerStatus] = useState(null);
+  const [healthConfig, setHealthConfig] = useState(() => normalizeHealthConfig());
+  const [healthHistory, setHealthHistory] = useState({ history: {}, incidents: [], at: Date.now() });
+  const [healthError, setHealthError] = useState(null);
+  const [correlationConfig, setCorrelationConfig] = useState(() => normalizeCorrelationConfig());
+  const [trustedChronicleKeys, setTrustedChronicleKeys] = useState([]);
+  const [silences, setSilences] = useState([]);
 
-  // 1. Fetch Intervention Data (ODAS Log)
+  // 1. Fetch Intervention Data (ODAS Log): ongoing breaches live, the log pages through history itself
   useEffect(() => {
-    if (!isAuthReady || !interventionCollectionRef) return;
+    if (!isAuthReady || !repositories) return;
 
-    // NOTE: orderBy() is disabled per instruction, sorting is done client-side if needed
-    const q = query(interventionCollectionRef);
+    const unsubscribe = repositories.interventions.subscribe((docs) => {
+        setActiveIncidents(docs.map(toIncidentView));
+    }, (error) => {
+        console.error("Failed to fetch interventions:", error);
+    }, ACTIVE_INCIDENTS_QUERY);
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-        const fetchedInterventions = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            // Mock timestamp for display
-            timestamp: doc.data().timestamp?.toDate ? doc.data().timestamp.toDate().toLocaleTimeString() : 'N/A'
-        }));
-        
-        // Count total interventions and critical ones
-        const criticalCount = fetchedInterventions.filter(i => i.severity === 'Kritis').length;
-        
-        setInterventions(fetchedInterventions);
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
+
+  // 1b. Recorded intervention total (no forecasts, no silenced breaches) via count aggregation,
+  // refreshed whenever the set of ongoing breaches changes
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+    let cancelled = false;
+
+    recordedIncidentCount(repositories.interventions).then((total) => {
+        if (cancelled) return;
+        setStrategicMetrics(prev => ({ ...prev, totalInterventions: total }));
+    }).catch((error) => {
+        console.error("Failed to count interventions:", error);
+    });
+
+    return () => {
+        cancelled = true;
+    };
+  }, [isAuthReady, repositories, activeIncidents]);
+
+  // 2. Strategic asset registry (strategic_assets)
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+
+    const unsubscribe = repositories.assets.subscribe((docs) => {
+        setAssets(docs);
+        const summary = summarizeAssets(docs);
         setStrategicMetrics(prev => ({ 
             ...prev, 
-            totalInterventions: fetchedInterventions.length,
-            systemHealth: criticalCount > 5 ? 'Kritis (High Alert)' : criticalCount > 0 ? 'Peringatan' : 'Optimal',
+            totalAssets: summary.total,
+            personaRating: summary.personaRating === null ? '-' : Number(summary.personaRating.toFixed(1)),
         }));
     }, (error) => {
-        console.error("Failed to fetch interventions:", error);
+        console.error("Failed to fetch strategic assets:", error);
     });
 
     return () => unsubscribe();
-  }, [isAuthReady, interventionCollectionRef]);
+  }, [isAuthReady, repositories]);
 
-  // 2. Mock Strategic Asset Data Fetch (Simulating other ODAS apps)
+  // 2a. Inputs of the health model: active rule set, latest scanner status, the model settings and silences
   useEffect(() => {
-    if (!isAuthReady || !assetCollectionRef) return;
+    if (!isAuthReady || !repositories) return;
 
-    // This section would typically fetch data from other apps/collections
-    // For now, use mock data that is dependent on the userId's existence
-    if (userId) {
-        setStrategicMetrics(prev => ({ 
-            ...prev, 
-            totalAssets: 3, // Mock count of assets being managed
-            personaRating: 92.5, // Mock PersonaFrame Score
-        }));
+    const unsubscribeRules = repositories.ruleVersions.subscribe(setRuleVersions, (error) => {
+        console.error("Failed to fetch rule versions:", error);
+    });
+    const unsubscribeStatus = repositories.scanner.subscribeDoc(SCANNER_STATUS_DOC, setScannerStatus, (error) => {
+        console.error("Failed to fetch scanner status:", error);
+    });
+    const unsubscribeSettings = repositories.settings.subscribeDoc(HEALTH_SETTINGS_DOC, (settings) => {
+        setHealthConfig(normalizeHealthConfig(settings));
+    }, (error) => {
+        console.error("Failed to fetch health settings:", error);
+    });
+    const unsubscribeCorrelation = repositories.settings.subscribeDoc(CORRELATION_SETTINGS_DOC, (settings) => {
+        setCorrelationConfig(normalizeCorrelationConfig(settings));
+    }, (error) => {
+        console.error("Failed to fetch correlation settings:", error);
+    });
+    const unsubscribeChronicle = repositories.settings.subscribeDoc(CHRONICLE_SETTINGS_DOC, (settings) => {
+        setTrustedChronicleKeys(settings && Array.isArray(settings.trustedKeys) ? settings.trustedKeys : []);
+    }, (error) => {
+        console.error("Failed to fetch chronicle settings:", error);
+    });
+    const unsubscribeSilences = repositories.silences.subscribe(setSilences, (error) => {
+        console.error("Failed to fetch silences:", error);
+    }, silencesQuery());
+
+    return () => {
+        unsubscribeRules();
+        unsubscribeStatus();
+        unsubscribeSettings();
+        unsubscribeCorrelation();
+        unsubscribeChronicle();
+        unsubscribeSilences();
+    };
+  }, [isAuthReady, repositories]);
+
+  // 2b. Metric rollups and incidents inside the health window, reloaded every HEALTH_REFRESH_MS only;
+  // live incidents are merged into it at render time (mergeIncidents), so they never trigger a reload
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+    let cancelled = false;
+
+    const refresh = () => {
+        const now = Date.now();
+        loadHealthHistory(repositories, healthConfig, now).then((loaded) => {
+            if (cancelled) return;
+            setHealthHistory({ ...loaded, at: now });
+            setHealthError(null);
+        }).catch((error) => {
+            console.error("Failed to load health history:", error);
+            if (!cancelled) setHealthError(error.message);
+        });
+    };
+    refresh();
+    const interval = setInterval(refresh, HEALTH_REFRESH_MS);
+
+    return () => {
+        cancelled = true;
+        clearInterval(interval);
+    };
+  }, [isAuthReady, repositories, healthConfig]);
+
+  const activeRules = useMemo(() => {
+    const activeVersion = latestRuleVersion(ruleVersions);
+    return activeVersion ? activeVersion.rules : DEFAULT_RULES;
+  }, [ruleVersions]);
+
+  const healthTrendPoints = useMemo(() => (
+    healthTrend({
+        rules: activeRules,
+        assets: [DEFAULT_ASSET, ...assets],
+        history: healthHistory.history,
+        liveSamples: liveSamplesFrom(scannerStatus, healthConfig, healthHistory.at),
+        incidents: mergeIncidents(healthHistory.incidents, activeIncidents),
+        silences,
+        config: healthConfig,
+        now: healthHistory.at,
+    })
+  ), [activeRules, assets, healthHistory, scannerStatus, healthConfig, activeIncidents, silences]);
+  const systemHealth = healthTrendPoints[healthTrendPoints.length - 1];
+  // Agency Shield reports the Cipher Compliance Engine through the health of its compliance path
+  const complianceHealth = systemHealth.paths[COMPLIANCE_PATH] || null;
+
+  const saveHealthConfig = useCallback(async (config) => {
+    try {
+        await repositories.settings.set(HEALTH_SETTINGS_DOC, { ...config, updatedBy: userId }, { merge: true });
+    } catch (error) {
+        console.error("Failed to save health settings:", error);
     }
+  }, [repositories, userId]);
 
-  }, [isAuthReady, assetCollectionRef, userId]);
+  // Incidents of the health window grouped into correlated events (root cause suggestion per event)
+  const correlatedEvents = useMemo(() => (
+    correlateIncidents(mergeIncidents(healthHistory.incidents, activeIncidents), correlationConfig)
+  ), [healthHistory, activeIncidents, correlationConfig]);
+  // Older log pages fall outside the health window, so the tags are correlated over the loaded log as well
+  const correlationByIncident = useMemo(() => correlationIndex(correlateIncidents(
+    mergeIncidents([...interventionLog.items, ...healthHistory.incidents], activeIncidents),
+    correlationConfig,
+  )), [interventionLog.items, healthHistory, activeIncidents, correlationConfig]);
+
+  const saveCorrelationConfig = useCallback(async (config) => {
+    try {
+        await repositories.settings.set(CORRELATION_SETTINGS_DOC, { ...config, updatedBy: userId }, { merge: true });
+    } catch (error) {
+        console.error("Failed to save correlation settings:", error);
+    }
+  }, [repositories, userId]);
+
+  const saveTrustedChronicleKeys = useCallback(async (trustedKeys) => {
+    try {
+        await repositories.settings.set(CHRONICLE_SETTINGS_DOC, { trustedKeys, updatedBy: userId }, { merge: true });
+    } catch (error) {
+        console.error("Failed to save chronicle settings:", error);
+    }
+  }, [repositories, userId]);
+
+  const handleCreateSilence = useCallback((draft) => (
+    createSilence(repositories.silences, draft, userId)
+        .catch(error => console.error("Failed to create silence:", error))
+  ), [repositories, userId]);
+
+  const handleEndSilence = useCallback((silence) => (
+    endSilence(repositories.silences, silence.id, userId)
+        .catch(error => console.error("Failed to end silence:", error))
+  ), [repositories, userId]);
+
+  const assetNames = useMemo(() => Object.fromEntries(
+      [DEFAULT_ASSET, ...assets].map(asset => [asset.id, asset.name])
+  ), [assets]);
+
+  const handleCreateAsset = useCallback((asset) => (
+    createAsset(repositories.assets, asset, userId)
+        .catch(error => console.error("Failed to create asset:", error))
+  ), [repositories, userId]);
+
+  const handleUpdateAsset = useCallback((id, asset) => (
+    updateAsset(repositories.assets, id, asset, userId)
+        .catch(error => console.error("Failed to update asset:", error))
+  ), [repositories, userId]);
+
+  const handleArchiveAsset = useCallback((id) => (
+    archiveAsset(repositories.assets, id, userId)
+        .catch(error => console.error("Failed to archive asset:", error))
+  ), [repositories, userId]);
+
+  const handleRestoreAsset = useCallback((id) => (
+    restoreAsset(repositories.assets, id, userId)
+        .catch(error => console.error("Failed to restore asset:", error))
+  ), [repositories, userId]);
+
+  // 3. Operator actions on incidents (shared with the ODAS log)
+  const handleTransition = useCallback((incident, to) => (
+    transitionIncident(repositories.interventions, incident, to, { actor: userId })
+        .catch(error => console.error("Failed to update incident state:", error))
+  ), [repositories, userId]);
+
+  const handleAssign = useCallback((incident, assignee) => (
+    assignIncident(repositories.interventions, incident, assignee, userId)
+        .catch(error => console.error("Failed to assign incident:", error))
+  ), [repositories, userId]);
+
+  const handleAddNote = useCallback((incident, text) => (
+    addIncidentNote(repositories.interventions, incident, text, userId)
+        .catch(error => console.error("Failed to add incident note:", error))
+  ), [repositories, userId]);
+
+  // Approved runs are executed by whichever scanner holds the lease
+  const handleDecideRemediation = useCallback((incident, to) => (
+    decideRemediation(repositories.interventions, incident, to, userId)
+        .catch(error => console.error("Failed to decide remediation run:", error))
+  ), [repositories, userId]);
 
   // Status Colors based on System Health
   const statusColor = useMemo(() => {
-      switch (strategicMetrics.systemHealth) {
-          case 'Optimal':
+      switch (systemHealth.status) {
+          case HEALTH_STATUS.OPTIMAL:
               return 'bg-green-700/80 border-green-500';
-          case 'Peringatan':
+          case HEALTH_STATUS.WARNING:
               return 'bg-yellow-700/80 border-yellow-500';
-          case 'Kritis (High Alert)':
+          case HEALTH_STATUS.CRITICAL:
               return 'bg-red-700/80 border-red-500';
           default:
               return 'bg-gray-700/80 border-gray-500';
       }
-  }, [strategicMetrics.systemHealth]);
+  }, [systemHealth.status]);
 
 
   if (!isAuthReady) {
     return (
-        <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center">
-            <p className="flex items-center text-xl text-cyan-400"><Network className="w-6 h-6 mr-2 animate-pulse" /> Membangun Koneksi PSV...</p>
+        <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center">
+            <p className="flex items-center text-xl text-cyan-400"><Network className="w-6 h-6 mr-2 animate-pulse" /> {t('gcp.connecting')}</p>
+            <p className="mt-4 text-xs text-gray-500">{t('footer.storage')} <StorageSwitcher storageKind={storageKind} storageError={storageError} /></p>
         </div>
     );
   }
@@ -183,7 +348,7 @@ const App = () => {
             Global Control Panel (GCP)
           </h1>
           <p className="text-gray-400 text-lg">
-            Dashboard Konsolidasi Data Strategis | Node Agensi Utama
+            {t('gcp.subtitle')}
           </p>
         </header>
 
@@ -200,8 +365,11 @@ const App = () => {
                     </div>
                 </div>
                 <div className="mt-4 sm:mt-0 text-right">
-                    <p className="text-sm font-medium text-gray-300">Status Kesehatan Sistem</p>
-                    <p className="text-2xl font-black">{strategicMetrics.systemHealth}</p>
+                    <p className="text-sm font-medium text-gray-300">{t('gcp.systemHealth')}</p>
+                    <p className="text-2xl font-black">{HEALTH_STATUS_LABELS[systemHealth.status]}</p>
+                    {systemHealth.score !== null && (
+                        <p className="text-xs text-gray-300">{t('healthUi.score', { score: formatNumber(systemHealth.score, 0) })}</p>
+                    )}
                 </div>
             </div>
         </div>
@@ -209,75 +377,219 @@ const App = () => {
         {/* Key Strategic Metrics */}
         <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
             <TrendingUp className="w-5 h-5 mr-2 text-fuchsia-400" />
-            Metrik Kunci DominationProtocol
+            {t('gcp.keyMetrics')}
         </h2>
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-10">
           <DataCard
-            title="Total Aset ODAS"
+            title={t('gcp.card.assets')}
             value={strategicMetrics.totalAssets}
-            unit="Assets"
+            unit={t('gcp.card.assets.unit')}
             icon={Network}
             color="text-cyan-400"
-            description="Jumlah Aset Digital/Strategis yang Dikelola."
+            description={t('gcp.card.assets.description')}
           />
           <DataCard
-            title="Skor PersonaFrame"
+            title={t('gcp.card.persona')}
             value={strategicMetrics.personaRating}
             unit="%"
             icon={Users}
             color="text-yellow-400"
-            description="Skor Kepercayaan & Resonansi Publik (PersonaFrame)."
+            description={t('gcp.card.persona.description')}
           />
           <DataCard
-            title="Intervensi Tercatat"
+            title={t('gcp.card.interventions')}
             value={strategicMetrics.totalInterventions}
-            unit="Aksi"
+            unit={t('gcp.card.interventions.unit')}
             icon={Zap}
             color="text-red-400"
-            description="Total Intervensi Finalitas yang Telah Dieksekusi."
+            description={t('gcp.card.interventions.description')}
           />
           <DataCard
-            title="Pelindung Agensi"
-            value="Aktif"
-            unit=""
+            title={t('gcp.card.shield')}
+            value={complianceHealth ? HEALTH_STATUS_LABELS[complianceHealth.status] : t('gcp.card.shield.unregistered')}
+            unit={complianceHealth && complianceHealth.score !== null ? t('healthUi.score', { score: formatNumber(complianceHealth.score, 0) }) : ''}
             icon={Shield}
-            color="text-green-400"
-            description="Status Cipher Compliance Engine (CCE)."
+            color={HEALTH_STATUS_CLASSES[complianceHealth ? complianceHealth.status : HEALTH_STATUS.OFFLINE].text}
+            description={t('gcp.card.shield.description')}
+          />
+        </div>
+
+        {/* Kesehatan Sistem per Jalur */}
+        <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
+            <Activity className="w-5 h-5 mr-2 text-green-400" />
+            {t('healthUi.title')}
+        </h2>
+        <div className="mb-10">
+          <SystemHealthPanel
+            trend={healthTrendPoints}
+            config={healthConfig}
+            error={healthError}
+            canEdit={can(role, 'manageSettings')}
+            onSaveConfig={saveHealthConfig}
           />
         </div>
 
-        {/* Log Intervensi Terbaru */}
+        {/* Korelasi & Dependensi antarjalur */}
         <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
-            <Zap className="w-5 h-5 mr-2 text-red-400" />
-            Log Intervensi Terbaru (Finality Chronicle)
+            <GitBranch className="w-5 h-5 mr-2 text-fuchsia-400" />
+            {t('correlation.title')}
         </h2>
-        <div className="space-y-3 max-h-96 overflow-y-auto pr-3">
-          {interventions.length > 0 ? (
-            interventions
-              .slice(0, 5) // Tampilkan 5 terbaru
-              .map((intervention) => (
-              <div key={intervention.id} className="bg-red-900/40 p-3 rounded-lg border border-red-700 flex justify-between items-center">
-                <div>
-                    <p className="font-bold text-sm text-red-200 uppercase">
-                        [{intervention.path}] {intervention.severity}
-                    </p>
-                    <p className="text-xs text-gray-300 mt-1">{intervention.description}</p>
+        <div className="mb-10">
+          <CorrelationPanel
+            events={correlatedEvents}
+            incidents={activeIncidents}
+            config={correlationConfig}
+            rules={activeRules}
+            assetNames={assetNames}
+            canEdit={can(role, 'manageSettings')}
+            onSaveConfig={saveCorrelationConfig}
+          />
+        </div>
+
+        {/* Jendela Pemeliharaan & Silence */}
+        <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
+            <BellOff className="w-5 h-5 mr-2 text-sky-400" />
+            {t('silences.title')}
+        </h2>
+        <div className="mb-10">
+          <SilencePanel
+            silences={silences}
+            assets={assets}
+            rules={activeRules}
+            canEdit={can(role, 'silenceAlerts')}
+            onCreate={handleCreateSilence}
+            onEnd={handleEndSilence}
+          />
+        </div>
+
+        {/* Matriks Kesehatan per Aset */}
+        <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
+            <Grid className="w-5 h-5 mr-2 text-cyan-400" />
+            {t('gcp.assetMatrix')}
+        </h2>
+        <div className="mb-10">
+          <AssetHealthMatrix assets={assets} incidents={activeIncidents} />
+        </div>
+
+        {/* Navigasi Tampilan */}
+        <div className="flex gap-2 mb-6">
+          {[['overview', t('gcp.tab.overview'), LayoutDashboard], ['assets', t('gcp.tab.assets'), Boxes], ['reports', t('gcp.tab.reports'), FileDown], ['team', t('gcp.tab.team'), Users]].map(([view, label, TabIcon]) => (
+            <button
+              key={view}
+              onClick={() => setActiveView(view)}
+              className={`flex items-center px-4 py-2 rounded-lg text-sm font-semibold ${activeView === view ? 'bg-cyan-700 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'}`}
+            >
+              <TabIcon className="w-4 h-4 mr-2" /> {label}
+            </button>
+          ))}
+        </div>
+
+        {activeView === 'assets' && (
+          <AssetRegistry
+            assets={assets}
+            onCreate={handleCreateAsset}
+            onUpdate={handleUpdateAsset}
+            onArchive={handleArchiveAsset}
+            onRestore={handleRestoreAsset}
+            canEdit={can(role, 'manageAssets')}
+          />
+        )}
+
+        {activeView === 'team' && (
+          <WorkspaceManager
+            storage={storage}
+            workspace={workspace}
+            role={role}
+            userId={userId}
+          />
+        )}
+
+        {activeView === 'reports' && (
+          <>
+            <ChronicleExport
+              repository={repositories.interventions}
+              assets={assets}
+              assetNames={assetNames}
+              userId={userId}
+            />
+            <ChronicleIntegrity
+              repositories={repositories}
+              trustedKeys={trustedChronicleKeys}
+              canEdit={can(role, 'manageSettings')}
+              onSaveTrustedKeys={saveTrustedChronicleKeys}
+            />
+          </>
+        )}
+
+        {activeView === 'overview' && (
+          <>
+            {/* Log Intervensi Terbaru */}
+            <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
+                <Zap className="w-5 h-5 mr-2 text-red-400" />
+                {t('gcp.latestLog')}
+            </h2>
+            <IncidentLogFilters value={logFilter} onChange={setLogFilter} />
+            {interventionLog.error && <p className="text-xs text-red-400 mb-2">{t('log.error.load', { error: interventionLog.error })}</p>}
+            <div className="space-y-3 max-h-96 overflow-y-auto pr-3">
+              {interventionLog.items.length > 0 ? (
+                interventionLog.items.map((intervention) => (
+                  <div key={intervention.id} className={`p-3 rounded-lg border ${intervention.breachActive === false ? 'bg-gray-800 border-gray-700' : isForecastSeverity(intervention.severity) ? 'bg-indigo-900/40 border-indigo-700' : 'bg-red-900/40 border-red-700'}`}>
+                    <div className="flex justify-between items-center">
+                        <div>
+                            <p className="font-bold text-sm text-red-200 uppercase">
+                                [{assetNames[assetIdOf(intervention)] || assetIdOf(intervention)} · {pathLabel(intervention.path)}] {severityLabel(intervention.severity)}
+                                {intervention.status && (
+                                    <span className={`ml-2 text-xs normal-case ${intervention.breachActive ? 'text-red-300' : 'text-green-400'}`}>
+                                        {intervention.breachActive ? t('log.breachActive') : t('log.breachRecovered')} · {intervention.count}x
+                                    </span>
+                                )}
+                            </p>
+                            <p className="text-xs text-gray-300 mt-1">{intervention.description}</p>
+                            <CorrelationTag event={correlationByIncident.get(intervention.id)} incident={intervention} />
+                            <SuppressedTag incident={intervention} silences={silences} />
+                            {intervention.metric && (
+                                <p className="text-xs text-gray-400 mt-1">
+                                    {t('log.peak', { value: formatMetric(intervention.metric, intervention.peakValue) })}
+                                    {typeof intervention.expectedLow === 'number' && (
+                                        <> · {t('log.expected')} {formatMetric(intervention.metric, intervention.expectedLow)} – {formatMetric(intervention.metric, intervention.expectedHigh)}</>
+                                    )}
+                                </p>
+                            )}
+                        </div>
+                        <div className="text-xs text-gray-400 mt-1 italic whitespace-nowrap ml-4 text-right">
+                            <IncidentStatusBadge status={intervention.status || 'open'} />
+                            <span className="block mt-1">{intervention.timestamp}</span>
+                            {intervention.recoveredAt && <span className="block">{t('log.recoveredAt', { at: intervention.recoveredAt })}</span>}
+                        </div>
+                    </div>
+                    <IncidentActions
+                        incident={intervention}
+                        onTransition={handleTransition}
+                        onAssign={handleAssign}
+                        onAddNote={handleAddNote}
+                        onDecideRemediation={handleDecideRemediation}
+                        canEdit={can(role, 'handleIncidents')}
+                    />
+                  </div>
+                ))
+              ) : (
+                <div className="bg-gray-800 p-4 rounded-lg text-center text-gray-400">
+                  {isLogFilterActive(logFilter)
+                    ? t('log.noMatches')
+                    : <><Shield className="w-5 h-5 inline mr-2" /> {t('log.waiting')}</>}
                 </div>
-                <p className="text-xs text-gray-400 mt-1 italic whitespace-nowrap ml-4">
-                    {intervention.timestamp}
-                </p>
-              </div>
-            ))
-          ) : (
-            <div className="bg-gray-800 p-4 rounded-lg text-center text-gray-400">
-              <Shield className="w-5 h-5 inline mr-2" /> Menunggu data Intervensi Finalitas pertama Anda.
+              )}
+              <LoadMoreButton hasMore={interventionLog.hasMore} isLoading={interventionLog.isLoading} onClick={interventionLog.loadMore} />
             </div>
-          )}
-        </div>
+          </>
+        )}
         
         {/* Footer Info */}
         <div className="mt-8 pt-4 border-t border-gray-700 text-center text-xs text-gray-500">
-            <p>GCP Aktif. Membangun fondasi untuk ODAS Singularity (Timestamp: 16:30 WIB, 8 November 2025)</p>
+            <p>{t('gcp.footer')}</p>
+            <p className="mt-2">{t('footer.storage')} <StorageSwitcher storageKind={storageKind} storageError={storageError} /></p>
+            <p className="mt-2">{t('footer.workspace')} <WorkspaceSwitcher workspace={workspace} role={role} memberships={memberships} /></p>
+            <p className="mt-2">{t('footer.language')} <LanguageSwitcher /></p>
         </div>
       </div>
     </div>
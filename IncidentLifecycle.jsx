@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { UserCheck, MessageSquare, ChevronDown, ChevronUp, Search, X, Wrench } from 'lucide-react';
+import {
+  INCIDENT_STATUS,
+  INCIDENT_STATUS_LABELS,
+  INCIDENT_ACTION_LABELS,
+  allowedTransitions,
+} from './incidents.js';
+import { INCIDENT_SEVERITIES, SEVERITY_LABELS, severityLabel } from './ruleEngine.js';
+import { RULE_PATHS, RULE_PATH_LABELS } from './paths.js';
+import {
+  LOG_FILTER_ALL,
+  LOG_STATUS_OPTIONS,
+  MIN_SEARCH_TOKEN_LENGTH,
+  createLogFilter,
+  isLogFilterActive,
+} from './interventionLog.js';
+import {
+  RUN_STATUS,
+  RUN_STATUS_LABELS,
+  STEP_STATUS,
+  STEP_STATUS_LABELS,
+  describeStep,
+} from './playbooks.js';
+import { t, formatDateTime } from './i18n.js';
+
+const STATUS_BADGE_COLORS = {
+  [INCIDENT_STATUS.OPEN]: 'bg-red-700 text-red-100',
+  [INCIDENT_STATUS.ACKNOWLEDGED]: 'bg-yellow-700 text-yellow-100',
+  [INCIDENT_STATUS.IN_PROGRESS]: 'bg-blue-700 text-blue-100',
+  [INCIDENT_STATUS.RESOLVED]: 'bg-green-700 text-green-100',
+  [INCIDENT_STATUS.DISMISSED]: 'bg-gray-600 text-gray-200',
+};
+
+const RUN_STATUS_COLORS = {
+  [RUN_STATUS.DRY_RUN]: 'text-gray-300',
+  [RUN_STATUS.PENDING_APPROVAL]: 'text-yellow-300',
+  [RUN_STATUS.APPROVED]: 'text-cyan-300',
+  [RUN_STATUS.REJECTED]: 'text-gray-400',
+  [RUN_STATUS.RUNNING]: 'text-blue-300',
+  [RUN_STATUS.SUCCEEDED]: 'text-green-400',
+  [RUN_STATUS.FAILED]: 'text-red-400',
+  [RUN_STATUS.ROLLED_BACK]: 'text-orange-400',
+};
+
+const STEP_STATUS_COLORS = {
+  [STEP_STATUS.SUCCEEDED]: 'text-green-400',
+  [STEP_STATUS.FAILED]: 'text-red-400',
+  [STEP_STATUS.SIMULATED]: 'text-gray-400',
+};
+
+const describeHistory = (item) => {
+  if (item.type === 'assignment') return t('incident.history.assigned', { assignee: item.to || '-' });
+  if (item.type === 'escalation') return `${severityLabel(item.from)} → ${severityLabel(item.to)}`;
+  const labels = item.type === 'remediation' ? RUN_STATUS_LABELS : INCIDENT_STATUS_LABELS;
+  return `${item.type === 'remediation' ? 'Playbook: ' : ''}${labels[item.from] || item.from} → ${labels[item.to] || item.to}`;
+};
+
+// System notes carry a catalog key, so they read in the viewer's language
+const historyNoteText = (item) => (item.noteKey ? t(item.noteKey, item.noteParams) : item.note);
+
+// --- STATUS BADGE ---
+export const IncidentStatusBadge = ({ status }) => (
+  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full normal-case ${STATUS_BADGE_COLORS[status] || STATUS_BADGE_COLORS[INCIDENT_STATUS.OPEN]}`}>
+    {INCIDENT_STATUS_LABELS[status] || status}
+  </span>
+);
+
+// --- LOG FILTERS: path, severity, state, date range and free-text search ---
+const filterSelectClass = 'bg-gray-900 border border-gray-600 rounded-lg p-1.5 text-xs text-white';
+
+export const IncidentLogFilters = ({ value, onChange }) => {
+  const [text, setText] = useState(value.text);
+  const update = (patch) => onChange({ ...value, ...patch });
+  const submitText = () => {
+    if (text.trim() !== value.text) update({ text: text.trim() });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3">
+      <select className={filterSelectClass} value={value.path} onChange={(e) => update({ path: e.target.value })}>
+        <option value={LOG_FILTER_ALL}>{t('log.filter.allPaths')}</option>
+        {RULE_PATHS.map(path => <option key={path} value={path}>{RULE_PATH_LABELS[path]}</option>)}
+      </select>
+      <select className={filterSelectClass} value={value.severity} onChange={(e) => update({ severity: e.target.value })}>
+        <option value={LOG_FILTER_ALL}>{t('log.filter.allSeverities')}</option>
+        {INCIDENT_SEVERITIES.map(severity => <option key={severity} value={severity}>{SEVERITY_LABELS[severity]}</option>)}
+      </select>
+      <select className={filterSelectClass} value={value.status} onChange={(e) => update({ status: e.target.value })}>
+        <option value={LOG_FILTER_ALL}>{t('log.filter.allStatuses')}</option>
+        {LOG_STATUS_OPTIONS.map(status => <option key={status} value={status}>{INCIDENT_STATUS_LABELS[status]}</option>)}
+      </select>
+      <input type="date" className={filterSelectClass} value={value.fromDate} onChange={(e) => update({ fromDate: e.target.value })} title={t('log.filter.fromDate')} />
+      <input type="date" className={filterSelectClass} value={value.toDate} onChange={(e) => update({ toDate: e.target.value })} title={t('log.filter.toDate')} />
+      <span className="flex items-center flex-1 min-w-[10rem]">
+        <input
+          type="search"
+          className={`${filterSelectClass} flex-1`}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && submitText()}
+          onBlur={submitText}
+          placeholder={t('log.filter.search', { min: MIN_SEARCH_TOKEN_LENGTH })}
+        />
+        <Search className="w-4 h-4 ml-1 text-gray-500" />
+      </span>
+      {isLogFilterActive(value) && (
+        <button
+          onClick={() => {
+            setText('');
+            onChange(createLogFilter());
+          }}
+          className="text-xs text-gray-400 hover:text-white flex items-center"
+        >
+          <X className="w-3 h-3 mr-1" /> {t('common.reset')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export const LoadMoreButton = ({ hasMore, isLoading, onClick }) => (hasMore ? (
+  <button
+    onClick={onClick}
+    disabled={isLoading}
+    className="w-full text-xs text-cyan-300 hover:text-white border border-gray-700 rounded-lg py-2 disabled:opacity-40"
+  >
+    {isLoading ? t('common.loading') : t('log.loadMore')}
+  </button>
+) : null);
+
+// --- REMEDIATION RUN: playbook status, approval gate and per-step results ---
+const RemediationRun = ({ run, canDecide, onDecide, isExpanded }) => {
+  const isPending = run.status === RUN_STATUS.PENDING_APPROVAL;
+  return (
+    <div className="mt-2 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-300 flex items-center">
+          <Wrench className="w-3 h-3 mr-1" /> {t('incident.remediation.title', { name: run.playbookName })}
+        </span>
+        <span className={`font-semibold ${RUN_STATUS_COLORS[run.status] || ''}`}>{RUN_STATUS_LABELS[run.status] || run.status}</span>
+        {run.decidedBy && <span className="text-gray-500">{t('incident.remediation.decidedBy', { user: run.decidedBy })}</span>}
+        {isPending && canDecide && (
+          <>
+            <button onClick={() => onDecide(RUN_STATUS.APPROVED)} className="px-2 py-1 rounded bg-cyan-700 hover:bg-cyan-600 text-white">
+              {t('incident.remediation.approve')}
+            </button>
+            <button onClick={() => onDecide(RUN_STATUS.REJECTED)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white">
+              {t('incident.remediation.reject')}
+            </button>
+          </>
+        )}
+      </div>
+      {run.error && <p className="text-red-300 mt-1">{run.error}</p>}
+      {(isExpanded || isPending) && (
+        <ol className="mt-1 space-y-0.5 list-decimal list-inside text-gray-400">
+          {run.results.length > 0
+            ? run.results.map((result, index) => (
+              <li key={`${result.phase}-${result.stepId}-${index}`}>
+                {result.phase === 'rollback' && <span className="text-orange-300">[rollback] </span>}
+                {result.name} — <span className={STEP_STATUS_COLORS[result.status] || ''}>{STEP_STATUS_LABELS[result.status] || result.status}</span>
+                {result.durationMs > 0 && ` (${result.durationMs} ms)`}
+                {(result.detail || result.error) && <span className="block pl-4 text-gray-500 whitespace-pre-wrap">{result.error || result.detail}</span>}
+              </li>
+            ))
+            : [...run.plan.steps, ...run.plan.rollback].map((step, index) => (
+              <li key={`${step.id}-${index}`}>
+                {index >= run.plan.steps.length && <span className="text-orange-300">[rollback] </span>}
+                {step.name}: {describeStep(step)}
+              </li>
+            ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// --- ACTIONS: transition buttons, assignee, operator notes and playbook approval (read-only without canEdit) ---
+export const IncidentActions = ({ incident, onTransition, onAssign, onAddNote, onDecideRemediation, canEdit = true }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [assignee, setAssignee] = useState(incident.assignee || '');
+  const [note, setNote] = useState('');
+  const transitions = canEdit ? allowedTransitions(incident.status || INCIDENT_STATUS.OPEN) : [];
+  const notes = incident.notes || [];
+
+  const submitNote = () => {
+    if (!note.trim()) return;
+    onAddNote(incident, note.trim());
+    setNote('');
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {transitions.map(to => (
+          <button
+            key={to}
+            onClick={() => onTransition(incident, to)}
+            className="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white"
+          >
+            {INCIDENT_ACTION_LABELS[to]}
+          </button>
+        ))}
+        {incident.assignee && (
+          <span className="text-xs text-gray-300 flex items-center">
+            <UserCheck className="w-3 h-3 mr-1" /> {incident.assignee}
+          </span>
+        )}
+        <button
+          onClick={() => setIsExpanded(prev => !prev)}
+          className="text-xs text-gray-400 hover:text-white flex items-center ml-auto"
+        >
+          <MessageSquare className="w-3 h-3 mr-1" /> {t('incident.details', { count: notes.length })}
+          {isExpanded ? <ChevronUp className="w-3 h-3 ml-1" /> : <ChevronDown className="w-3 h-3 ml-1" />}
+        </button>
+      </div>
+
+      {incident.remediation && (
+        <RemediationRun
+          run={incident.remediation}
+          canDecide={canEdit && Boolean(onDecideRemediation) && incident.breachActive !== false}
+          onDecide={(to) => onDecideRemediation(incident, to)}
+          isExpanded={isExpanded}
+        />
+      )}
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2 bg-gray-900/60 p-2 rounded-lg">
+          {canEdit && (
+            <>
+              <div className="flex gap-2">
+                <input
+                  value={assignee}
+                  onChange={(e) => setAssignee(e.target.value)}
+                  placeholder={t('incident.assigneePlaceholder')}
+                  className="flex-1 bg-gray-900 border border-gray-600 rounded p-1 text-xs text-white"
+                />
+                <button
+                  onClick={() => onAssign(incident, assignee.trim())}
+                  disabled={assignee.trim() === (incident.assignee || '')}
+                  className="text-xs px-2 py-1 rounded bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white"
+                >
+                  {t('incident.assign')}
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <input
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && submitNote()}
+                  placeholder={t('incident.notePlaceholder')}
+                  className="flex-1 bg-gray-900 border border-gray-600 rounded p-1 text-xs text-white"
+                />
+                <button onClick={submitNote} className="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white">
+                  {t('common.add')}
+                </button>
+              </div>
+            </>
+          )}
+          {notes.map((item, index) => (
+            <p key={`${item.at}-${index}`} className="text-xs text-gray-300">
+              <span className="text-gray-500">{formatDateTime(item.at)} · {item.by}:</span> {item.text}
+            </p>
+          ))}
+          {(incident.history || []).map((item, index) => (
+            <p key={`${item.at}-history-${index}`} className="text-xs text-gray-500 italic">
+              {formatDateTime(item.at)} · {item.by}: {describeHistory(item)}
+              {item.note && ` (${historyNoteText(item)})`}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LOCALES, LOCALE_PREFERENCE_KEY, locale } from './i18n.js';
+
+// --- LANGUAGE SWITCHER (footer kedua panel) ---
+// Pilihan disimpan di localStorage lalu halaman dimuat ulang, karena label modul dihitung saat impor (i18n.js).
+const LanguageSwitcher = () => {
+  const handleChange = (event) => {
+    window.localStorage.setItem(LOCALE_PREFERENCE_KEY, event.target.value);
+    window.location.reload();
+  };
+
+  return (
+    <span className="inline-flex items-center gap-2">
+      <Languages className="w-3 h-3" />
+      <select
+        value={locale}
+        onChange={handleChange}
+        className="bg-gray-900 border border-gray-700 rounded px-1 py-0.5 text-xs text-gray-300"
+      >
+        {Object.entries(LOCALES).map(([code, label]) => (
+          <option key={code} value={code}>{label}</option>
+        ))}
+      </select>
+    </span>
+  );
+};
+
+export default LanguageSwitcher;
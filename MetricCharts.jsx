@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { X, RefreshCw } from 'lucide-react';
+import { HISTORY_RANGES } from './metricsHistory.js';
+import { formatMetric, SEVERITY } from './ruleEngine.js';
+import { t, formatDateTime } from './i18n.js';
+
+const SEVERITY_LINE_COLORS = {
+  [SEVERITY.EMERGENCY]: '#f97316',
+  [SEVERITY.CRITICAL]: '#f87171',
+  [SEVERITY.WARNING]: '#facc15',
+  [SEVERITY.FORECAST]: '#818cf8',
+};
+
+const scaleFor = (values, size, padding) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || Math.abs(max) || 1;
+  return (value) => size - padding - ((value - min) / span) * (size - padding * 2);
+};
+
+// --- SPARKLINE (StatusCard) ---
+// With a forecast the history fills the left two thirds and the forecast band the rest, up to the horizon
+export const Sparkline = ({ points, forecast = null, width = 120, height = 28, color = '#2dd4bf' }) => {
+  if (!points || points.length < 2) {
+    return <div style={{ height }} />;
+  }
+  const ahead = forecast && forecast.points.length > 0 ? forecast.points : [];
+  const threshold = forecast && forecast.breach ? forecast.breach : null;
+  const y = scaleFor([
+    ...points.map(point => point.value),
+    ...ahead.flatMap(point => [point.low, point.high]),
+    ...(threshold ? [threshold.threshold] : []),
+  ], height, 2);
+  const historyWidth = ahead.length > 0 ? (width * 2) / 3 : width;
+  const step = historyWidth / (points.length - 1);
+  const line = points.map((point, index) => `${(index * step).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+
+  const last = points[points.length - 1];
+  const tEnd = ahead.length > 0 ? ahead[ahead.length - 1].t : last.t;
+  const x = (t) => historyWidth + ((t - last.t) / ((tEnd - last.t) || 1)) * (width - historyWidth);
+  const anchor = { t: last.t, value: last.value, low: last.value, high: last.value };
+  const projected = [anchor, ...ahead];
+  const band = [
+    ...projected.map(point => `${x(point.t).toFixed(1)},${y(point.high).toFixed(1)}`),
+    ...projected.slice().reverse().map(point => `${x(point.t).toFixed(1)},${y(point.low).toFixed(1)}`),
+  ].join(' ');
+  const predicted = projected.map(point => `${x(point.t).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const forecastColor = SEVERITY_LINE_COLORS[SEVERITY.FORECAST];
+
+  return (
+    <svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="mt-2">
+      {ahead.length > 0 && (
+        <>
+          <polygon points={band} fill={forecastColor} fillOpacity="0.2" stroke="none" />
+          <polyline points={predicted} fill="none" stroke={forecastColor} strokeWidth="1.2" strokeDasharray="3 2" />
+        </>
+      )}
+      {threshold && (
+        <line
+          x1={historyWidth}
+          x2={width}
+          y1={y(threshold.threshold)}
+          y2={y(threshold.threshold)}
+          stroke={SEVERITY_LINE_COLORS[threshold.severity] || '#f87171'}
+          strokeWidth="0.8"
+          strokeDasharray="2 2"
+        />
+      )}
+      <polyline points={line} fill="none" stroke={color} strokeWidth="1.5" />
+      {threshold && ahead.length > 0 && (
+        <circle
+          cx={x(Math.min(threshold.at, tEnd))}
+          cy={y(threshold.threshold)}
+          r="2"
+          fill={SEVERITY_LINE_COLORS[threshold.severity] || '#f87171'}
+        />
+      )}
+    </svg>
+  );
+};
+
+// --- HISTORY CHART (detail view) ---
+export const MetricHistoryChart = ({ series, thresholds, metric, width = 640, height = 240 }) => {
+  if (series.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-16">{t('charts.noHistory')}</p>;
+  }
+  const padding = 24;
+  const values = [
+    ...series.map(point => point.value),
+    ...series.filter(point => typeof point.min === 'number').flatMap(point => [point.min, point.max]),
+    ...thresholds.map(threshold => threshold.value),
+  ];
+  const y = scaleFor(values, height, padding);
+  const tMin = series[0].t;
+  const tSpan = (series[series.length - 1].t - tMin) || 1;
+  const x = (t) => padding + ((t - tMin) / tSpan) * (width - padding * 2);
+
+  const line = series.map(point => `${x(point.t).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const banded = series.filter(point => typeof point.min === 'number' && typeof point.max === 'number');
+  const band = banded.length > 1
+    ? [
+      ...banded.map(point => `${x(point.t).toFixed(1)},${y(point.max).toFixed(1)}`),
+      ...banded.slice().reverse().map(point => `${x(point.t).toFixed(1)},${y(point.min).toFixed(1)}`),
+    ].join(' ')
+    : null;
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${width} ${height}`} className="bg-gray-900 rounded-lg">
+      {band && <polygon points={band} fill="#2dd4bf" fillOpacity="0.15" />}
+      <polyline points={line} fill="none" stroke="#2dd4bf" strokeWidth="2" />
+      {thresholds.map(threshold => (
+        <g key={`${threshold.ruleId}-${threshold.value}`}>
+          <line
+            x1={padding}
+            x2={width - padding}
+            y1={y(threshold.value)}
+            y2={y(threshold.value)}
+            stroke={SEVERITY_LINE_COLORS[threshold.severity] || '#f87171'}
+            strokeDasharray="6 4"
+          />
+          <text x={width - padding} y={y(threshold.value) - 4} textAnchor="end" fontSize="10" fill={SEVERITY_LINE_COLORS[threshold.severity] || '#f87171'}>
+            {threshold.op} {formatMetric(metric, threshold.value)}
+          </text>
+        </g>
+      ))}
+      <text x={padding} y={height - 6} fontSize="10" fill="#9ca3af">{formatDateTime(tMin)}</text>
+      <text x={width - padding} y={height - 6} fontSize="10" fill="#9ca3af" textAnchor="end">
+        {formatDateTime(series[series.length - 1].t)}
+      </text>
+    </svg>
+  );
+};
+
+// --- DETAIL VIEW (modal dengan pilihan rentang waktu) ---
+export const MetricDetailView = ({ metric, title, thresholds, loadSeries, onClose }) => {
+  const [rangeKey, setRangeKey] = useState('15m');
+  const [series, setSeries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isCancelled = false;
+    setIsLoading(true);
+    setError('');
+    loadSeries(metric, rangeKey)
+      .then(result => { if (!isCancelled) setSeries(result); })
+      .catch(loadError => {
+        console.error("Failed to load metric history:", loadError);
+        if (!isCancelled) setError(t('charts.loadFailed'));
+      })
+      .finally(() => { if (!isCancelled) setIsLoading(false); });
+    return () => { isCancelled = true; };
+  }, [metric, rangeKey, loadSeries]);
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-gray-800 rounded-xl border border-gray-700 p-5 w-full max-w-3xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-white">{t('charts.historyTitle', { title })}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white"><X className="w-5 h-5" /></button>
+        </div>
+        <div className="flex gap-2 mb-4">
+          {Object.entries(HISTORY_RANGES).map(([key, range]) => (
+            <button
+              key={key}
+              onClick={() => setRangeKey(key)}
+              className={`text-xs px-3 py-1 rounded-full border ${rangeKey === key ? 'border-cyan-400 text-cyan-300' : 'border-gray-600 text-gray-400 hover:text-white'}`}
+            >
+              {range.label}
+            </button>
+          ))}
+          {isLoading && <RefreshCw className="w-4 h-4 text-cyan-400 animate-spin ml-2" />}
+        </div>
+        {error
+          ? <p className="text-sm text-red-400">{error}</p>
+          : <MetricHistoryChart series={series} thresholds={thresholds} metric={metric} />}
+        <p className="text-xs text-gray-500 mt-2">
+          {t('charts.resolution', {
+            resolution: HISTORY_RANGES[rangeKey].resolution === 'raw'
+              ? t('charts.rawSamples')
+              : t('charts.rollup', { resolution: HISTORY_RANGES[rangeKey].resolution }),
+          })}
+          {' '}· {t('charts.points', { count: series.length })}
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, Trash2, Save, Send, AlertTriangle, ListChecks } from 'lucide-react';
+import {
+  INCIDENT_SEVERITIES,
+  SEVERITY_LABELS,
+  normalizeSeverity,
+  severityLabel,
+} from './ruleEngine.js';
+import { RULE_PATHS, RULE_PATH_LABELS, pathLabel } from './paths.js';
+import {
+  CHANNEL_TYPES,
+  DELIVERY_STATUS,
+  DELIVERY_STATUS_LABELS,
+  NOTIFICATION_EVENT_LABELS,
+  createBlankChannel,
+  validateChannel,
+} from './notifications.js';
+import { t, formatDateTime } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const STATUS_CLASSES = {
+  [DELIVERY_STATUS.SENT]: 'text-green-400',
+  [DELIVERY_STATUS.RETRYING]: 'text-yellow-400',
+  [DELIVERY_STATUS.RATE_LIMITED]: 'text-orange-400',
+  [DELIVERY_STATUS.FAILED]: 'text-red-400',
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+// --- ROUTE PICKER (kosong = semua) ---
+const RoutePicker = ({ label, options, labels, selected, onChange }) => (
+  <div className={labelClass}>
+    {label} <span className="normal-case font-normal text-gray-500">{t('chronicleUi.emptyMeansAll')}</span>
+    <div className="mt-1 flex flex-wrap gap-2">
+      {options.map(option => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => onChange(toggle(selected, option))}
+          className={`px-2 py-1 rounded-lg border text-xs normal-case font-normal ${selected.includes(option) ? 'border-cyan-500 bg-cyan-900 text-white' : 'border-gray-600 text-gray-400'}`}
+        >
+          {labels[option] || option}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// --- NOTIFICATION SETTINGS SCREEN ---
+const NotificationSettings = ({ channels, deliveryLog, onSave, onTest }) => {
+  const [draft, setDraft] = useState(channels);
+  const [selected, setSelected] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+
+  // Reset draft when the stored configuration changes
+  useEffect(() => {
+    setDraft(channels);
+    setSelected(0);
+  }, [channels]);
+
+  const channel = draft[selected];
+  const problems = useMemo(() => Object.fromEntries(
+    draft.map(item => [item.id, validateChannel(item)]).filter(([, errors]) => errors.length > 0)
+  ), [draft]);
+  const duplicateIds = draft.length !== new Set(draft.map(item => item.id)).size;
+  const hasProblems = Object.keys(problems).length > 0 || duplicateIds;
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(channels);
+
+  const updateChannel = (patch) => {
+    setDraft(prev => prev.map((item, index) => (index === selected ? { ...item, ...patch } : item)));
+  };
+
+  const updateNested = (field, patch) => updateChannel({ [field]: { ...channel[field], ...patch } });
+
+  const addChannel = () => {
+    setDraft(prev => [...prev, createBlankChannel(prev.length + 1)]);
+    setSelected(draft.length);
+  };
+
+  const removeChannel = () => {
+    setDraft(prev => prev.filter((_, index) => index !== selected));
+    setSelected(0);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setTestingId(channel.id);
+    try {
+      await onTest(channel);
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Daftar Kanal */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('notifyUi.channels')}</h3>
+          <button onClick={addChannel} className="text-cyan-400 hover:text-cyan-300 flex items-center text-xs">
+            <Plus className="w-4 h-4 mr-1" /> {t('common.add')}
+          </button>
+        </div>
+        {draft.length > 0 ? (
+          <ul className="space-y-2">
+            {draft.map((item, index) => (
+              <li key={`${item.id}-${index}`}>
+                <button
+                  onClick={() => setSelected(index)}
+                  className={`w-full text-left p-2 rounded-lg border text-sm ${index === selected ? 'border-cyan-500 bg-gray-900' : 'border-gray-700'} ${item.enabled === false ? 'opacity-50' : ''}`}
+                >
+                  <span className="font-semibold">{item.name}</span>
+                  <span className="block text-xs text-gray-400">{CHANNEL_TYPES[item.type] ? CHANNEL_TYPES[item.type].label : item.type}</span>
+                  {problems[item.id] && (
+                    <span className="block text-xs text-red-400 flex items-center">
+                      <AlertTriangle className="w-3 h-3 mr-1" /> {t('ruleEditor.invalid')}
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-500">{t('notifyUi.noChannels')}</p>
+        )}
+      </div>
+
+      {/* Form Kanal */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-2 space-y-3">
+        {channel ? (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              <label className={labelClass}>
+                ID
+                <input className={inputClass} value={channel.id} onChange={(e) => updateChannel({ id: e.target.value })} />
+              </label>
+              <label className={labelClass}>
+                {t('ruleEditor.name')}
+                <input className={inputClass} value={channel.name} onChange={(e) => updateChannel({ name: e.target.value })} />
+              </label>
+              <label className={labelClass}>
+                {t('notifyUi.type')}
+                <select className={inputClass} value={channel.type} onChange={(e) => updateChannel({ type: e.target.value })}>
+                  {Object.entries(CHANNEL_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+              </label>
+              <label className={`${labelClass} flex items-center mt-5`}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={channel.enabled !== false}
+                  onChange={(e) => updateChannel({ enabled: e.target.checked })}
+                />
+                {t('ruleEditor.enabled')}
+              </label>
+            </div>
+
+            {CHANNEL_TYPES[channel.type] && CHANNEL_TYPES[channel.type].needsUrl && (
+              <div className="grid grid-cols-2 gap-3">
+                <label className={`${labelClass} ${channel.type === 'webhook' ? '' : 'col-span-2'}`}>
+                  URL Webhook
+                  <input className={inputClass} value={channel.url} placeholder="http://localhost:8787/hook" onChange={(e) => updateChannel({ url: e.target.value })} />
+                </label>
+                {channel.type === 'webhook' && (
+                  <label className={labelClass}>
+                    Secret HMAC
+                    <input type="password" className={inputClass} value={channel.secret} onChange={(e) => updateChannel({ secret: e.target.value })} />
+                  </label>
+                )}
+              </div>
+            )}
+
+            {channel.type === 'email' && (
+              <div className="grid grid-cols-2 gap-3">
+                <label className={labelClass}>
+                  Host SMTP
+                  <input className={inputClass} value={channel.email.host} onChange={(e) => updateNested('email', { host: e.target.value })} />
+                </label>
+                <label className={labelClass}>
+                  Port
+                  <input
+                    type="number"
+                    className={inputClass}
+                    value={channel.email.port}
+                    onChange={(e) => updateNested('email', { port: parseInt(e.target.value, 10) || 0 })}
+                  />
+                </label>
+                <label className={labelClass}>
+                  {t('notifyUi.smtpUser')}
+                  <input className={inputClass} value={channel.email.user} onChange={(e) => updateNested('email', { user: e.target.value })} />
+                </label>
+                <label className={labelClass}>
+                  Password
+                  <input type="password" className={inputClass} value={channel.email.pass} onChange={(e) => updateNested('email', { pass: e.target.value })} />
+                </label>
+                <label className={labelClass}>
+                  {t('notifyUi.smtpFrom')}
+                  <input className={inputClass} value={channel.email.from} onChange={(e) => updateNested('email', { from: e.target.value })} />
+                </label>
+                <label className={labelClass}>
+                  {t('notifyUi.smtpTo')}
+                  <input className={inputClass} value={channel.email.to} onChange={(e) => updateNested('email', { to: e.target.value })} />
+                </label>
+                <label className={`${labelClass} flex items-center`}>
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={Boolean(channel.email.secure)}
+                    onChange={(e) => updateNested('email', { secure: e.target.checked })}
+                  />
+                  {t('notifyUi.smtpSecure')}
+                </label>
+                <p className="text-xs text-gray-500 col-span-2">{t('notifyUi.smtpNote')}</p>
+              </div>
+            )}
+
+            <RoutePicker
+              label={t('notifyUi.routePaths')}
+              options={RULE_PATHS}
+              labels={RULE_PATH_LABELS}
+              selected={channel.routes.paths}
+              onChange={(paths) => updateNested('routes', { paths })}
+            />
+            <RoutePicker
+              label={t('notifyUi.routeSeverities')}
+              options={INCIDENT_SEVERITIES}
+              labels={SEVERITY_LABELS}
+              selected={channel.routes.severities.map(normalizeSeverity)}
+              onChange={(severities) => updateNested('routes', { severities })}
+            />
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className={labelClass}>
+                {t('notifyUi.rateMax')}
+                <input
+                  type="number"
+                  min="1"
+                  className={inputClass}
+                  value={channel.rateLimit.max}
+                  onChange={(e) => updateNested('rateLimit', { max: parseInt(e.target.value, 10) || 0 })}
+                />
+              </label>
+              <label className={labelClass}>
+                {t('notifyUi.ratePer')}
+                <input
+                  type="number"
+                  min="1"
+                  className={inputClass}
+                  value={channel.rateLimit.perMinutes}
+                  onChange={(e) => updateNested('rateLimit', { perMinutes: parseFloat(e.target.value) || 0 })}
+                />
+              </label>
+            </div>
+
+            {(problems[channel.id] || []).map(message => (
+              <p key={message} className="text-xs text-red-400">{message}</p>
+            ))}
+            {duplicateIds && <p className="text-xs text-red-400">{t('notifyUi.duplicateIds')}</p>}
+            <div className="flex items-center gap-4">
+              <button onClick={removeChannel} className="text-red-400 hover:text-red-300 flex items-center text-xs">
+                <Trash2 className="w-4 h-4 mr-1" /> {t('notifyUi.remove')}
+              </button>
+              <button
+                onClick={handleTest}
+                disabled={Boolean(problems[channel.id]) || testingId !== null}
+                className="text-cyan-400 hover:text-cyan-300 disabled:opacity-40 flex items-center text-xs"
+              >
+                <Send className="w-4 h-4 mr-1" /> {testingId === channel.id ? t('notifyUi.sending') : t('notifyUi.sendTest')}
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-gray-400">{t('notifyUi.empty')}</p>
+        )}
+
+        <div className="border-t border-gray-700 pt-3 flex justify-end">
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || hasProblems || isSaving}
+            className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center justify-center"
+          >
+            <Save className="w-4 h-4 mr-1" /> {t('notifyUi.save')}
+          </button>
+        </div>
+      </div>
+
+      {/* Log Pengiriman */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-3">
+        <h3 className="text-sm font-semibold text-gray-400 uppercase mb-3 flex items-center">
+          <ListChecks className="w-4 h-4 mr-2" /> {t('notifyUi.deliveryLog')}
+        </h3>
+        {deliveryLog.length > 0 ? (
+          <div className="max-h-80 overflow-y-auto pr-2">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-400 uppercase">
+                  <th className="p-2">{t('notifications.payload.time')}</th>
+                  <th className="p-2">{t('notifyUi.col.channel')}</th>
+                  <th className="p-2">{t('notifyUi.col.event')}</th>
+                  <th className="p-2">{t('notifications.payload.incident')}</th>
+                  <th className="p-2">{t('notifyUi.col.attempt')}</th>
+                  <th className="p-2">{t('chronicle.column.status')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveryLog.map(entry => (
+                  <tr key={entry.id} className="border-t border-gray-700">
+                    <td className="p-2 text-gray-400">{formatDateTime(entry.atMs)}</td>
+                    <td className="p-2">{entry.channelName}</td>
+                    <td className="p-2">{NOTIFICATION_EVENT_LABELS[entry.event] || entry.event}</td>
+                    <td className="p-2 text-gray-300">[{pathLabel(entry.path)}] {severityLabel(entry.severity)}</td>
+                    <td className="p-2">{entry.attempt}</td>
+                    <td className={`p-2 font-semibold ${STATUS_CLASSES[entry.status] || ''}`}>
+                      {DELIVERY_STATUS_LABELS[entry.status] || entry.status}
+                      {entry.statusCode && <span className="ml-1 font-normal text-gray-400">({entry.statusCode})</span>}
+                      {entry.error && <span className="block text-xs font-normal text-gray-400">{entry.error}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">{t('notifyUi.noDeliveries')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -1,268 +1,802 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, addDoc, serverTimestamp, query } from 'firebase/firestore';
-import { Zap, DollarSign, Cloud, Heart, BarChart2, ShieldCheck, RefreshCw } from 'lucide-react';
-
-// --- INITIAL CONFIG & GLOBAL STATE HOOK ---
-const useFirebase = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-
-    useEffect(() => {
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-        const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-        if (Object.keys(firebaseConfig).length === 0) {
-            console.error("Firebase config is missing.");
-            return;
-        }
-
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authInstance = getAuth(app);
-        
-        setDb(firestore);
-        setAuth(authInstance);
-
-        onAuthStateChanged(authInstance, async (user) => {
-            if (!user) {
-                if (initialAuthToken) {
-                    try {
-                        const credential = await signInWithCustomToken(authInstance, initialAuthToken);
-                        setUserId(credential.user.uid);
-                    } catch (error) {
-                        console.error("Custom token sign-in failed, falling back to anonymous:", error);
-                        await signInAnonymously(authInstance);
-                        setUserId(authInstance.currentUser.uid);
-                    }
-                } else {
-                    await signInAnonymously(authInstance);
-                    setUserId(authInstance.currentUser.uid);
-                }
-            } else {
-                setUserId(user.uid);
-            }
-            setIsAuthReady(true);
-        });
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { icons, Zap, BarChart2, ShieldCheck, RefreshCw, Database, AlertTriangle, Settings, Rewind, Bell, Cpu, Wrench, CloudOff, UploadCloud } from 'lucide-react';
+import { DATA_SOURCE_TYPES, SOURCE_STATE_LABELS, isSourceStale } from './dataSources.js';
+import { DEMO_SCENARIO } from './scenarios.js';
+import { downloadText } from './ChronicleExport.jsx';
+import {
+  SEVERITY,
+  primaryCondition,
+  latestRuleVersion,
+  formatMetric,
+  ruleThresholds,
+  applyThresholdOverrides,
+  severityLabel,
+} from './ruleEngine.js';
+import { PATH_PLUGINS, DEFAULT_RULES, pathLabel } from './paths.js';
+import { isCriticalSeverity, isForecastSeverity, assetIdOf, DEFAULT_ESCALATION_TIMEOUT_MINUTES } from './incidents.js';
+import { transitionIncident, assignIncident, addIncidentNote, decideRemediation } from './incidentActions.js';
+import { saveRuleVersion } from './ruleActions.js';
+import { IncidentStatusBadge, IncidentLogFilters, LoadMoreButton, IncidentActions } from './IncidentLifecycle.jsx';
+import { ACTIVE_INCIDENTS_QUERY, createLogFilter, isLogFilterActive, toIncidentView, loadIncidentsInRange } from './interventionLog.js';
+import { useInterventionLog } from './useInterventionLog.js';
+import { HISTORY_RANGES, toSeries, toSample } from './metricsHistory.js';
+import { createMetricsRecorder, loadMetricHistory } from './metricsRecorder.js';
+import { computeAnomalyScores, expectedRangeFor, BASELINE_LABELS } from './anomalyDetection.js';
+import { DEFAULT_ASSET, DEFAULT_ASSET_ID, ASSET_HEALTH } from './assets.js';
+import {
+  SCAN_INTERVAL_MS,
+  createAssetViewState,
+  selectScanTargets,
+  effectiveSource,
+  syncAssetSources,
+  disconnectAssetSources,
+  loadAssetSeed,
+  applyAssetSeed,
+  runScanCycle,
+  describeScanResult,
+} from './scanCycle.js';
+import {
+  SCANNER_LEASE_DOC,
+  SCANNER_STATUS_DOC,
+  LEASE_PRIORITY,
+  acquireLease,
+  releaseLease,
+  writeScannerStatus,
+  isLeaseLive,
+} from './scannerLease.js';
+import { CHRONICLE_HEAD_DOC, newerHead } from './chronicleChain.js';
+import { AssetHealthBadge } from './AssetRegistry.jsx';
+import {
+  createDispatcher,
+  createHttpTransport,
+  createRateLimiter,
+  createDeliveryLog,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_SETTINGS_DOC,
+} from './notifications.js';
+import { PLAYBOOK_SETTINGS_DOC, createPlaybookRunner, createRemediator } from './playbooks.js';
+import RuleEditor from './RuleEditor.jsx';
+import NotificationSettings from './NotificationSettings.jsx';
+import PlaybookEditor from './PlaybookEditor.jsx';
+import BacktestPanel from './BacktestPanel.jsx';
+import { Sparkline, MetricDetailView } from './MetricCharts.jsx';
+import { useOdasStorage } from './useOdasStorage.js';
+import { createOutbox, browserOutboxStore, outboxName } from './outbox.js';
+import { CORRELATION_SETTINGS_DOC, normalizeCorrelationConfig, correlateIncidents, correlationIndex } from './correlation.js';
+import { CorrelationTag } from './CorrelationView.jsx';
+import { silencesQuery } from './silences.js';
+import {
+  FORECAST_SETTINGS_DOC,
+  FORECAST_METHODS,
+  FORECAST_METHOD_LABELS,
+  normalizeForecastConfig,
+  validateForecastConfig,
+  describeForecast,
+} from './forecasting.js';
+import { createSilence, endSilence } from './silenceActions.js';
+import SilencePanel, { SuppressedTag } from './Silences.jsx';
+import { mergeIncidents } from './healthModel.js';
+import StorageSwitcher from './StorageSwitcher.jsx';
+import WorkspaceSwitcher from './WorkspaceSwitcher.jsx';
+import { can } from './workspaces.js';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import { t, formatDateTime, formatPercent, formatTime } from './i18n.js';
 
-    }, []);
+// --- DATA SOURCE SELECTOR ---
+const DataSourceSelector = ({ sourceType, sourceConfig, onApply }) => {
+  const [draftType, setDraftType] = useState(sourceType);
+  const [draftUrl, setDraftUrl] = useState(sourceConfig.url || '');
+  const [fileError, setFileError] = useState('');
+  const definition = DATA_SOURCE_TYPES[draftType];
 
-    const interventionCollectionRef = useMemo(() => {
-        if (!db || !userId) return null;
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        // Path: /artifacts/{appId}/users/{userId}/odas_interventions
-        return collection(db, `artifacts/${appId}/users/${userId}/odas_interventions`);
-    }, [db, userId]);
+  const handleFile = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFileError('');
+      onApply(draftType, { text: String(reader.result), fileName: file.name });
+    };
+    reader.onerror = () => setFileError(t('odas.source.fileReadFailed'));
+    reader.readAsText(file);
+  };
 
-    return { db, auth, userId, isAuthReady, interventionCollectionRef };
+  return (
+    <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 flex flex-col sm:flex-row sm:items-end gap-3">
+      <label className="flex-1 text-xs text-gray-400 uppercase font-semibold">
+        {t('assetUi.dataSource')}
+        <select
+          value={draftType}
+          onChange={(event) => setDraftType(event.target.value)}
+          className="mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white normal-case font-normal"
+        >
+          {Object.entries(DATA_SOURCE_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {definition.needsUrl && (
+        <label className="flex-[2] text-xs text-gray-400 uppercase font-semibold">
+          Endpoint
+          <input
+            type="text"
+            value={draftUrl}
+            onChange={(event) => setDraftUrl(event.target.value)}
+            placeholder={draftType === 'websocket' ? 'ws://localhost:8080/metrics' : 'http://localhost:8080/metrics.json'}
+            className="mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white normal-case font-normal"
+          />
+        </label>
+      )}
+      {definition.needsFile ? (
+        <label className="flex-[2] text-xs text-gray-400 uppercase font-semibold">
+          {t('odas.source.file')}
+          <input
+            type="file"
+            accept={draftType === 'scenario' ? '.json' : '.csv,.ndjson,.jsonl'}
+            onChange={handleFile}
+            className="mt-1 w-full text-sm text-gray-300 normal-case font-normal"
+          />
+          {fileError && <span className="block mt-1 text-red-400 normal-case">{fileError}</span>}
+          {draftType === 'scenario' && (
+            <button
+              type="button"
+              onClick={() => downloadText(`${JSON.stringify(DEMO_SCENARIO, null, 2)}\n`, `${DEMO_SCENARIO.name}.json`, 'application/json')}
+              className="block mt-1 text-cyan-400 hover:text-cyan-300 normal-case font-normal"
+            >
+              {t('odas.source.scenarioTemplate')}
+            </button>
+          )}
+        </label>
+      ) : (
+        <button
+          onClick={() => onApply(draftType, { url: draftUrl.trim() })}
+          className="bg-cyan-700 hover:bg-cyan-600 text-white text-sm font-semibold px-4 py-2 rounded-lg"
+        >
+          {t('odas.source.apply')}
+        </button>
+      )}
+    </div>
+  );
 };
 
+// --- ASSET SELECTOR ---
+const AssetSelector = ({ assets, selectedId, onSelect }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <span className="text-xs text-gray-400 uppercase font-semibold mr-1">{t('assetUi.asset')}</span>
+    {assets.map(asset => (
+      <button
+        key={asset.id}
+        onClick={() => onSelect(asset.id)}
+        className={`flex items-center gap-2 text-xs px-3 py-1 rounded-full border ${asset.id === selectedId ? 'border-cyan-400 text-cyan-300 bg-gray-800' : 'border-gray-700 text-gray-400 hover:text-white'}`}
+      >
+        {asset.name}
+        {asset.id !== DEFAULT_ASSET_ID && <AssetHealthBadge health={asset.health || ASSET_HEALTH.UNKNOWN} />}
+      </button>
+    ))}
+  </div>
+);
+
+// Identitas tab ini sebagai kandidat pemegang lease pemindai
+const createPanelHolderId = () => `panel-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
 
-// --- ODAS LOGIC CORE: ORCHESTRATION ---
+const PANEL_SCANNER_LABEL = t('odas.scannerLabel');
 
-// 1. Thresholds for Intervention (Batas Kritis)
-const INTERVENTION_THRESHOLDS = {
-  // Jalur Finansial
-  MAX_VOLATILITY: 0.15, // > 15% volatilitas memerlukan intervensi
-  MIN_LIQUIDITY: 100000, // < 100K likuiditas memerlukan intervensi
-  // Jalur Infrastruktur
-  MAX_LATENCY: 150, // > 150ms latency memerlukan intervensi
-  // Jalur Persona
-  MIN_SENTIMENT: 0.40, // < 40% sentimen publik positif memerlukan intervensi
-  // Jalur Sensor
-  MAX_ANOMALY_SCORE: 0.85, // > 85% skor anomali memerlukan intervensi
+// Panel connection state is kept as a code; the headline text is looked up from it
+const ODAS_STATUS_LABELS = {
+  initializing: t('odas.status.initializing'),
+  loading: t('odas.status.loading'),
+  online: t('odas.status.online'),
+  dbError: t('odas.status.dbError'),
 };
 
-/**
- * Fungsi inti ODAS: Mengorkestrasi kontrol seluruh jalur digital.
- * @param {object} pathData - Data real-time dari setiap jalur digital.
- * @returns {object} - Status orkestrasi dan intervensi yang terdeteksi.
- */
-const orchestrateControl = (pathData) => {
-  const interventions = [];
-
-  // Pengecekan Jalur Finansial (UmbraQuant)
-  if (pathData.assetVolatility > INTERVENTION_THRESHOLDS.MAX_VOLATILITY) {
-    interventions.push({
-      path: 'Finansial',
-      description: `Volatilitas aset Kritis (${(pathData.assetVolatility * 100).toFixed(1)}%). Memerlukan Chronos Executor (CE) Lock.`,
-      severity: 'Kritis',
+// --- REACT COMPONENT START ---
+
+const App = () => {
+  const { userId, isAuthReady, storageKind, storageError, repositories, storage, workspace, role, memberships } = useOdasStorage();
+  const canScan = can(role, 'runScanner');
+
+  const [detailMetric, setDetailMetric] = useState(null);
+  const [activeIncidents, setActiveIncidents] = useState([]);
+  const [logFilter, setLogFilter] = useState(createLogFilter);
+  const interventionLog = useInterventionLog(repositories && repositories.interventions, logFilter);
+  const [escalationTimeout, setEscalationTimeout] = useState(DEFAULT_ESCALATION_TIMEOUT_MINUTES);
+  const [correlationConfig, setCorrelationConfig] = useState(() => normalizeCorrelationConfig());
+  const [notificationChannels, setNotificationChannels] = useState([]);
+  const [deliveryLog, setDeliveryLog] = useState([]);
+  const [playbooks, setPlaybooks] = useState([]);
+  const [silences, setSilences] = useState([]);
+  const [forecastConfig, setForecastConfig] = useState(() => normalizeForecastConfig());
+  const [odasStatus, setOdasStatus] = useState('initializing');
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [activeView, setActiveView] = useState('dashboard');
+
+  // Aturan intervensi berversi (v0 = DEFAULT_RULES bawaan)
+  const [ruleVersions, setRuleVersions] = useState([]);
+  const activeRuleVersion = useMemo(() => latestRuleVersion(ruleVersions), [ruleVersions]);
+  const activeRules = activeRuleVersion ? activeRuleVersion.rules : DEFAULT_RULES;
+
+  // Aset yang dipindai: registry strategic_assets (non-arsip), atau aset lokal bawaan bila registry kosong
+  const [registeredAssets, setRegisteredAssets] = useState([]);
+  const scanTargets = useMemo(() => selectScanTargets(registeredAssets), [registeredAssets]);
+  const [selectedAssetId, setSelectedAssetId] = useState(DEFAULT_ASSET_ID);
+  const selectedAsset = scanTargets.find(asset => asset.id === selectedAssetId) || scanTargets[0];
+  const assetNames = useMemo(() => Object.fromEntries(
+    [DEFAULT_ASSET, ...registeredAssets].map(asset => [asset.id, asset.name])
+  ), [registeredAssets]);
+
+  // Pemindai tunggal: daemon atau satu tab memegang lease; panel lain hanya menampilkan odas_scanner/status
+  const holderId = useMemo(createPanelHolderId, []);
+  const [scannerLease, setScannerLease] = useState(null);
+  const [scannerStatus, setScannerStatus] = useState(null);
+  const isLeader = isLeaseLive(scannerLease) && scannerLease.holderId === holderId;
+
+  // State scan per aset (baseline statistik, state aturan, sampel terbaru); sebagai penampil dari status pemindai
+  const [assetStates, setAssetStates] = useState({});
+  const viewStates = isLeader ? assetStates : ((scannerStatus && scannerStatus.assets) || {});
+  const selectedState = { ...createAssetViewState(), ...viewStates[selectedAsset.id] };
+  const { pathData, recentSamples, ruleState, deviations, forecasts } = selectedState;
+
+  // Adapter sumber data per aset (hanya saat tab ini memindai); pemilih sumber menimpa sumber aset terpilih selama sesi ini
+  const [sourceOverrides, setSourceOverrides] = useState({});
+  const [sourceStatuses, setSourceStatuses] = useState({});
+  const sourcesRef = useRef(new Map());
+  const chronicleHeadRef = useRef(null);
+  const selectedSource = effectiveSource(selectedAsset, sourceOverrides);
+  const sourceStatus = isLeader ? (sourceStatuses[selectedAsset.id] || null) : (viewStates[selectedAsset.id] && viewStates[selectedAsset.id].sourceStatus) || null;
+
+  useEffect(() => {
+    syncAssetSources(sourcesRef.current, isLeader ? scanTargets : [], sourceOverrides, (assetId, status) => (
+      setSourceStatuses(prev => ({ ...prev, [assetId]: status }))
+    ));
+  }, [isLeader, scanTargets, sourceOverrides]);
+
+  useEffect(() => () => disconnectAssetSources(sourcesRef.current), []);
+
+  // Outbox tulisan intervensi (outbox.js): scan tidak menunggu backend, tulisan dikirim ulang saat koneksi kembali
+  const [outbox, setOutbox] = useState(null);
+  const [outboxStatus, setOutboxStatus] = useState(null);
+  const [isBrowserOnline, setIsBrowserOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+
+  useEffect(() => {
+    if (!storage || !canScan) return;
+
+    const created = createOutbox({ backend: storage.backend, store: browserOutboxStore(outboxName(storage)) });
+    const unsubscribe = created.subscribe(setOutboxStatus);
+    setOutbox(created);
+
+    return () => {
+        unsubscribe();
+        created.close();
+        setOutbox(null);
+        setOutboxStatus(null);
+    };
+  }, [storage, canScan]);
+
+  useEffect(() => {
+    const update = () => setIsBrowserOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+        window.removeEventListener('online', update);
+        window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const applyDataSource = useCallback((type, config) => {
+    setSourceOverrides(prev => ({ ...prev, [selectedAsset.id]: { type, config } }));
+  }, [selectedAsset.id]);
+
+  // 1. Incidents whose breach is still ongoing (scan, escalation and status); the log pages through history itself
+  useEffect(() => {
+    if (!isAuthReady || !repositories) {
+        setOdasStatus('loading');
+        return;
+    }
+    setOdasStatus('online');
+    setIsSimulating(true);
+
+    const unsubscribe = repositories.interventions.subscribe((docs) => {
+        setActiveIncidents(docs.map(toIncidentView));
+    }, (error) => {
+        console.error("Failed to fetch interventions:", error);
+        setOdasStatus('dbError');
+    }, ACTIVE_INCIDENTS_QUERY);
+
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
+
+  // 1f. Scanner lease and the status written by whichever scanner holds it
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+
+    const unsubscribeLease = repositories.scanner.subscribeDoc(SCANNER_LEASE_DOC, setScannerLease, (error) => {
+        console.error("Failed to fetch scanner lease:", error);
     });
-  }
-  if (pathData.marketLiquidity < INTERVENTION_THRESHOLDS.MIN_LIQUIDITY) {
-    interventions.push({
-      path: 'Finansial',
-      description: `Likuiditas rendah: $${pathData.marketLiquidity.toFixed(0)}. Memerlukan injeksi dana/stabilisasi.`,
-      severity: 'Peringatan',
+    const unsubscribeStatus = repositories.scanner.subscribeDoc(SCANNER_STATUS_DOC, setScannerStatus, (error) => {
+        console.error("Failed to fetch scanner status:", error);
+    });
+    // Finality Chronicle head: new incidents are chained after it (chronicleChain.js)
+    chronicleHeadRef.current = null;
+    const unsubscribeHead = repositories.scanner.subscribeDoc(CHRONICLE_HEAD_DOC, (head) => {
+        chronicleHeadRef.current = newerHead(chronicleHeadRef.current, head);
+    }, (error) => {
+        console.error("Failed to fetch chronicle head:", error);
     });
-  }
 
-  // Pengecekan Jalur Infrastruktur (CCE)
-  if (pathData.systemLatency > INTERVENTION_THRESHOLDS.MAX_LATENCY) {
-    interventions.push({
-      path: 'Infrastruktur',
-      description: `Latency sistem Kritis (${pathData.systemLatency.toFixed(0)}ms). Memerlukan realokasi sumber daya I/O.`,
-      severity: 'Kritis',
+    return () => {
+        unsubscribeLease();
+        unsubscribeStatus();
+        unsubscribeHead();
+    };
+  }, [isAuthReady, repositories]);
+
+  // 1a. Registered strategic assets (each one is scanned independently)
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+
+    const unsubscribe = repositories.assets.subscribe((docs) => {
+        setRegisteredAssets(docs);
+    }, (error) => {
+        console.error("Failed to fetch strategic assets:", error);
     });
-  }
 
-  // Pengecekan Jalur Persona (PersonaFrame Engine)
-  if (pathData.publicSentiment < INTERVENTION_THRESHOLDS.MIN_SENTIMENT) {
-    interventions.push({
-      path: 'Persona',
-      description: `Sentimen Publik Rendah (${(pathData.publicSentiment * 100).toFixed(0)}%). Memerlukan Narasi Frame Shift Otomatis.`,
-      severity: 'Peringatan',
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
+
+  // 1b. Fetch versioned rule sets
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+
+    const unsubscribe = repositories.ruleVersions.subscribe((docs) => {
+        const fetchedVersions = docs.map(data => ({
+            ...data,
+            createdAt: data.createdAt?.toDate ? formatDateTime(data.createdAt) : 'N/A'
+        }));
+        fetchedVersions.sort((a, b) => b.version - a.version);
+        setRuleVersions(fetchedVersions);
+    }, (error) => {
+        console.error("Failed to fetch rule versions:", error);
     });
-  }
 
-  // Pengecekan Jalur Sensor (UmbraIoT & RRA)
-  if (pathData.anomalyScore > INTERVENTION_THRESHOLDS.MAX_ANOMALY_SCORE) {
-    interventions.push({
-      path: 'Sensor',
-      description: `Anomali Data Masif Terdeteksi (${(pathData.anomalyScore * 100).toFixed(0)}%). Memerlukan Recursive Resonance Alert (RRA).`,
-      severity: 'Kritis',
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
+
+  const saveRules = useCallback(async (rules, note) => {
+    if (!repositories) return;
+    try {
+        await saveRuleVersion(repositories.ruleVersions, { rules, note }, userId, activeRuleVersion ? activeRuleVersion.version : 0);
+    } catch (error) {
+        console.error("Failed to save rule version:", error);
+    }
+  }, [repositories, activeRuleVersion, userId]);
+
+  const rollbackRules = useCallback((version) => (
+    saveRules(version.rules, t('odas.rollbackNote', { version: version.version }))
+  ), [saveRules]);
+
+  // 1c. Lifecycle settings (escalation timeout)
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+
+    const unsubscribe = repositories.settings.subscribeDoc('lifecycle', (settings) => {
+        const timeout = settings ? settings.escalationTimeoutMinutes : null;
+        setEscalationTimeout(typeof timeout === 'number' ? timeout : DEFAULT_ESCALATION_TIMEOUT_MINUTES);
+    }, (error) => {
+        console.error("Failed to fetch lifecycle settings:", error);
     });
-  }
 
-  return interventions;
-};
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
 
-// --- REACT COMPONENT START ---
+  // 1h. Dependency edges for grouping correlated interventions in the log (edited on the GCP)
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
 
-const App = () => {
-  const { userId, isAuthReady, interventionCollectionRef } = useFirebase();
-
-  const [pathData, setPathData] = useState({
-    assetVolatility: 0.05, // 5%
-    marketLiquidity: 500000,
-    systemLatency: 50, // ms
-    publicSentiment: 0.80, // 80% positif
-    anomalyScore: 0.30, // 30% anomali
-    lastScan: new Date().toLocaleTimeString(),
-  });
-
-  const [interventions, setInterventions] = useState([]);
-  const [odasStatus, setOdasStatus] = useState('Initializing...');
-  const [isSimulating, setIsSimulating] = useState(false);
+    const unsubscribe = repositories.settings.subscribeDoc(CORRELATION_SETTINGS_DOC, (settings) => {
+        setCorrelationConfig(normalizeCorrelationConfig(settings));
+    }, (error) => {
+        console.error("Failed to fetch correlation settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
 
-  // 1. Fetch real-time interventions from Firestore
+  // 1i. Maintenance windows and silences: suppressed breaches are still logged, without notifications or playbooks
   useEffect(() => {
-    if (!isAuthReady || !interventionCollectionRef) {
-        setOdasStatus('Memuat Database ODAS...');
-        return;
-    }
-    setOdasStatus('ODAS Online');
-    setIsSimulating(true);
+    if (!isAuthReady || !repositories) return;
 
-    const q = query(interventionCollectionRef);
+    const unsubscribe = repositories.silences.subscribe(setSilences, (error) => {
+        console.error("Failed to fetch silences:", error);
+    }, silencesQuery());
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-        const fetchedInterventions = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            timestamp: doc.data().timestamp?.toDate ? doc.data().timestamp.toDate().toLocaleTimeString() : 'N/A'
-        }));
-        
-        // Sort client-side by time
-        fetchedInterventions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        setInterventions(fetchedInterventions);
+    return () => unsubscribe();
+  }, [isAuthReady, repositories]);
+
+  const handleCreateSilence = useCallback((draft) => (
+    createSilence(repositories.silences, draft, userId)
+        .catch(error => console.error("Failed to create silence:", error))
+  ), [repositories, userId]);
+
+  const handleEndSilence = useCallback((silence) => (
+    endSilence(repositories.silences, silence.id, userId)
+        .catch(error => console.error("Failed to end silence:", error))
+  ), [repositories, userId]);
+
+  // 1j. Breach forecasting: Prediksi pre-warnings and the forecast band on the status cards
+  useEffect(() => {
+    if (!isAuthReady || !repositories) return;
+
+    const unsubscribe = repositories.settings.subscribeDoc(FORECAST_SETTINGS_DOC, (settings) => {
+        setForecastConfig(normalizeForecastConfig(settings));
     }, (error) => {
-        console.error("Failed to fetch interventions:", error);
-        setOdasStatus('DB Error');
+        console.error("Failed to fetch forecast settings:", error);
     });
 
     return () => unsubscribe();
-  }, [isAuthReady, interventionCollectionRef]);
+  }, [isAuthReady, repositories]);
 
-  // 2. Main ODAS Scan and Logging
-  const runOdasScan = useCallback(async () => {
-    if (!isSimulating || !interventionCollectionRef) return;
-
-    // Simulate input data fluctuations (Randomness for 'Digital Chaos')
-    const newPathData = {
-      assetVolatility: Math.min(0.5, pathData.assetVolatility + (Math.random() * 0.1 - 0.05)),
-      marketLiquidity: Math.max(0, pathData.marketLiquidity + (Math.random() * 50000 - 30000)),
-      systemLatency: Math.min(300, pathData.systemLatency + (Math.random() * 40 - 20)),
-      publicSentiment: Math.min(1.0, pathData.publicSentiment + (Math.random() * 0.2 - 0.1)),
-      anomalyScore: Math.min(1.0, pathData.anomalyScore + (Math.random() * 0.3 - 0.1)),
-      lastScan: new Date().toLocaleTimeString(),
+  const saveForecastConfig = useCallback(async (patch) => {
+    const next = normalizeForecastConfig({ ...forecastConfig, ...patch });
+    if (!repositories || validateForecastConfig(next).length > 0) return;
+    try {
+        await repositories.settings.set(FORECAST_SETTINGS_DOC, next);
+    } catch (error) {
+        console.error("Failed to save forecast settings:", error);
+    }
+  }, [repositories, forecastConfig]);
+
+  const correlationByIncident = useMemo(() => correlationIndex(correlateIncidents(
+    mergeIncidents(interventionLog.items, activeIncidents),
+    correlationConfig,
+  )), [interventionLog.items, activeIncidents, correlationConfig]);
+
+  const saveEscalationTimeout = useCallback(async (minutes) => {
+    if (!repositories || !Number.isFinite(minutes) || minutes < 1) return;
+    try {
+        await repositories.settings.set('lifecycle', { escalationTimeoutMinutes: minutes }, { merge: true });
+    } catch (error) {
+        console.error("Failed to save escalation timeout:", error);
+    }
+  }, [repositories]);
+
+  // 1e. Notification channels and delivery log (channel secrets are only readable by scanners and admins)
+  useEffect(() => {
+    if (!isAuthReady || !repositories || !canScan) return;
+
+    const unsubscribeSettings = repositories.settings.subscribeDoc(NOTIFICATION_SETTINGS_DOC, (settings) => {
+        setNotificationChannels(settings && Array.isArray(settings.channels) ? settings.channels : []);
+    }, (error) => {
+        console.error("Failed to fetch notification settings:", error);
+    });
+    const unsubscribeLog = repositories.notificationLog.subscribe((docs) => {
+        // Sort client-side by attempt time, newest first
+        setDeliveryLog([...docs].sort((a, b) => b.atMs - a.atMs).slice(0, 100));
+    }, (error) => {
+        console.error("Failed to fetch notification log:", error);
+    });
+
+    return () => {
+        unsubscribeSettings();
+        unsubscribeLog();
     };
+  }, [isAuthReady, repositories, canScan]);
 
-    setPathData(newPathData);
+  const saveNotificationChannels = useCallback(async (channels) => {
+    try {
+        await repositories.settings.set(NOTIFICATION_SETTINGS_DOC, { channels, updatedBy: userId }, { merge: true });
+    } catch (error) {
+        console.error("Failed to save notification channels:", error);
+    }
+  }, [repositories, userId]);
 
-    // Run Orchestration Core
-    const newInterventions = orchestrateControl(newPathData);
+  // SMTP needs a Node socket, so email channels are delivered by the daemon only
+  const rateLimiter = useMemo(() => createRateLimiter(), []);
+  const dispatcher = useMemo(() => (repositories ? createDispatcher({
+    transports: { http: createHttpTransport(), smtp: null },
+    log: createDeliveryLog(repositories.notificationLog),
+    rateLimiter,
+  }) : null), [repositories, rateLimiter]);
 
-    if (newInterventions.length > 0) {
-        setOdasStatus(`Intervensi ${newInterventions.length} Kritis`);
-        // Log to Firestore
-        try {
-            for (const intervention of newInterventions) {
-                const { timestamp: clientTimestamp, ...interventionToSave } = intervention; 
-                await addDoc(interventionCollectionRef, { ...interventionToSave, timestamp: serverTimestamp() });
-            }
-        } catch (error) {
-            console.error("Failed to log intervention to Firestore:", error);
-        }
-    } else {
-        setOdasStatus('ODAS Operasional Normal');
+  // Fire-and-forget: a slow or failing channel must never block the scan loop
+  const notify = useCallback((type, incident) => {
+    if (!dispatcher || notificationChannels.length === 0) return;
+    dispatcher.dispatch(notificationChannels, { type, incident, assetName: assetNames[assetIdOf(incident)] })
+        .catch(error => console.error("Failed to dispatch notification:", error));
+  }, [dispatcher, notificationChannels, assetNames]);
+
+  const sendTestNotification = useCallback(async (channel) => {
+    if (!dispatcher) return;
+    try {
+        await dispatcher.deliver(channel, {
+            type: NOTIFICATION_EVENTS.TEST,
+            incident: {
+                path: 'Infrastruktur',
+                severity: SEVERITY.CRITICAL,
+                ruleId: 'uji-kanal',
+                description: t('odas.testMessage', { userId }),
+            },
+        });
+    } catch (error) {
+        console.error("Failed to send test notification:", error);
     }
+  }, [dispatcher, userId]);
 
-  }, [isSimulating, pathData, interventionCollectionRef]);
+  // 1g. Remediation playbooks (HTTP steps may carry credentials, so only scanners and admins read them)
+  useEffect(() => {
+    if (!isAuthReady || !repositories || !canScan) return;
+
+    const unsubscribe = repositories.settings.subscribeDoc(PLAYBOOK_SETTINGS_DOC, (settings) => {
+        setPlaybooks(settings && Array.isArray(settings.playbooks) ? settings.playbooks : []);
+    }, (error) => {
+        console.error("Failed to fetch playbooks:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, repositories, canScan]);
+
+  const savePlaybooks = useCallback(async (nextPlaybooks) => {
+    try {
+        await repositories.settings.set(PLAYBOOK_SETTINGS_DOC, { playbooks: nextPlaybooks, updatedBy: userId }, { merge: true });
+    } catch (error) {
+        console.error("Failed to save playbooks:", error);
+    }
+  }, [repositories, userId]);
+
+  // Wait steps outlive a single scan, so they read the newest asset state through a ref
+  const assetStatesRef = useRef({});
+  assetStatesRef.current = assetStates;
+
+  // Script steps need the Node sandbox and fail here; runs started by this tab continue while it stays open
+  const remediator = useMemo(() => (repositories ? createRemediator({
+    repository: repositories.interventions,
+    runner: createPlaybookRunner({
+      runScript: null,
+      readSample: (assetId) => (assetStatesRef.current[assetId] ? assetStatesRef.current[assetId].pathData : null),
+    }),
+  }) : null), [repositories]);
+
+  const remediate = useCallback((incident) => {
+    if (remediator) remediator.remediate(incident, playbooks);
+  }, [remediator, playbooks]);
 
-  // 3. Execution Loop (Chronos Executor Simulation)
+  // Operator actions on incidents
+  const handleTransition = useCallback((incident, to) => (
+    transitionIncident(repositories.interventions, incident, to, { actor: userId })
+        .catch(error => console.error("Failed to update incident state:", error))
+  ), [repositories, userId]);
+
+  const handleAssign = useCallback((incident, assignee) => (
+    assignIncident(repositories.interventions, incident, assignee, userId)
+        .catch(error => console.error("Failed to assign incident:", error))
+  ), [repositories, userId]);
+
+  const handleAddNote = useCallback((incident, text) => (
+    addIncidentNote(repositories.interventions, incident, text, userId)
+        .catch(error => console.error("Failed to add incident note:", error))
+  ), [repositories, userId]);
+
+  const handleDecideRemediation = useCallback((incident, to) => (
+    decideRemediation(repositories.interventions, incident, to, userId)
+        .catch(error => console.error("Failed to decide remediation run:", error))
+  ), [repositories, userId]);
+
+  // 1d. Metric history: recorder for every scan sample, sparkline seed and detail-view loader
+  const metricsRecorder = useMemo(() => (
+    repositories ? createMetricsRecorder(repositories.metrics) : null
+  ), [repositories]);
+
+  const updateAssetState = useCallback((assetId, updater) => {
+    setAssetStates(prev => ({ ...prev, [assetId]: updater(prev[assetId] || createAssetViewState()) }));
+  }, []);
+
+  // Seed every newly scanned asset once (only while this tab scans): sparkline, rolling and seasonal baselines
+  const seededAssetsRef = useRef(new Set());
   useEffect(() => {
-    let interval;
-    if (isSimulating && isAuthReady) {
-        interval = setInterval(runOdasScan, 5000); // Scan setiap 5 detik
+    if (!isAuthReady || !repositories || !isLeader) return;
+    for (const asset of scanTargets) {
+      if (seededAssetsRef.current.has(asset.id)) continue;
+      seededAssetsRef.current.add(asset.id);
+
+      loadAssetSeed(repositories, asset.id)
+          .then(seed => updateAssetState(asset.id, state => applyAssetSeed(state, seed)));
+    }
+  }, [isAuthReady, repositories, isLeader, scanTargets, updateAssetState]);
+
+  const loadSeries = useCallback(async (metric, rangeKey) => {
+    const range = HISTORY_RANGES[rangeKey];
+    const records = await loadMetricHistory(repositories.metrics[range.resolution], Date.now() - range.ms, selectedAsset.id);
+    return toSeries(records, metric);
+  }, [repositories, selectedAsset.id]);
+
+  const loadActualIncidents = useCallback((fromMs, toMs) => (
+    loadIncidentsInRange(repositories.interventions, fromMs, toMs)
+  ), [repositories]);
+
+  // Recorded pathData series for replay / backtest
+  const loadStoredSamples = useCallback(async (rangeKey) => {
+    const range = HISTORY_RANGES[rangeKey];
+    const records = await loadMetricHistory(repositories.metrics[range.resolution], Date.now() - range.ms, selectedAsset.id);
+    return records.map(toSample);
+  }, [repositories, selectedAsset.id]);
+
+  const selectedRules = useMemo(() => (
+    applyThresholdOverrides(activeRules, selectedAsset.thresholdOverrides)
+  ), [activeRules, selectedAsset]);
+
+  const anomalyScores = useMemo(() => computeAnomalyScores(deviations), [deviations]);
+
+  // Metrik yang sedang melanggar aturan aktif (untuk penanda StatusCard)
+  const breachedMetrics = useMemo(() => new Set(
+    activeRules
+      .filter(rule => ruleState[rule.id] && ruleState[rule.id].active)
+      .map(rule => primaryCondition(rule.condition))
+      .filter(Boolean)
+      .map(condition => condition.metric)
+  ), [activeRules, ruleState]);
+
+  // 2. Main ODAS Scan and Logging: every asset is evaluated independently (scanCycle.js)
+  const runOdasScan = useCallback(async () => {
+    if (!isSimulating || !repositories || !outbox) return;
+
+    const scannedAt = Date.now();
+    const result = await runScanCycle({
+        repositories,
+        metricsRecorder,
+        targets: scanTargets,
+        sources: sourcesRef.current,
+        states: assetStates,
+        rules: activeRules,
+        incidents: activeIncidents,
+        outbox,
+        escalationTimeout,
+        silences,
+        forecastConfig,
+        chronicleHead: chronicleHeadRef.current,
+        notify,
+        remediate,
+        now: scannedAt,
+    });
+    chronicleHeadRef.current = newerHead(chronicleHeadRef.current, result.chronicleHead);
+    const nextStates = { ...assetStates, ...result.states };
+    setAssetStates(prev => ({ ...prev, ...result.states }));
+    setSourceStatuses(prev => ({ ...prev, ...result.sourceStatuses }));
+
+    try {
+        await writeScannerStatus(repositories.scanner, {
+            holderId,
+            label: PANEL_SCANNER_LABEL,
+            scannedAt,
+            breachCount: result.breachCount,
+            suppressedCount: result.suppressedCount,
+            forecastCount: result.forecastCount,
+            states: Object.fromEntries(scanTargets.filter(asset => nextStates[asset.id]).map(asset => [asset.id, nextStates[asset.id]])),
+            sourceStatuses: { ...sourceStatuses, ...result.sourceStatuses },
+        });
+    } catch (error) {
+        console.error("Failed to write scanner status:", error);
     }
-    return () => clearInterval(interval);
-  }, [isSimulating, isAuthReady, runOdasScan]);
+  }, [isSimulating, repositories, outbox, scanTargets, assetStates, activeRules, activeIncidents, escalationTimeout, silences, forecastConfig, metricsRecorder, notify, remediate, holderId, sourceStatuses]);
+
+  // 3. Execution Loop (Chronos Executor): renew the scanner lease, scan only while holding it
+  const runOdasScanRef = useRef(runOdasScan);
+  runOdasScanRef.current = runOdasScan;
+
+  useEffect(() => {
+    // Viewers never compete for the lease; they follow whichever scanner holds it
+    if (!isSimulating || !isAuthReady || !repositories || !canScan) return;
+
+    // The next tick is scheduled only after this one settles (as in odasDaemon.js), so a slow scan never overlaps
+    // the next one on the same states, incidents and chronicle head
+    let timer = null;
+    let stopped = false;
+    const tick = async () => {
+        try {
+            const leading = await acquireLease(repositories.scanner, {
+                holderId,
+                label: PANEL_SCANNER_LABEL,
+                priority: LEASE_PRIORITY.panel,
+                ttlMs: SCAN_INTERVAL_MS * 3,
+            });
+            if (leading && !stopped) await runOdasScanRef.current();
+        } catch (error) {
+            console.error("Failed to run scanner tick:", error);
+        }
+        if (!stopped) timer = setTimeout(tick, SCAN_INTERVAL_MS); // Scan setiap 5 detik
+    };
+    tick();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+        releaseLease(repositories.scanner, holderId)
+            .catch(error => console.error("Failed to release scanner lease:", error));
+    };
+  }, [isSimulating, isAuthReady, repositories, holderId, canScan]);
 
   // --- UI Components ---
 
-  const StatusCard = ({ title, value, unit, icon: Icon, isCritical }) => {
-    const displayValue = unit === '$' ? `$${value.toFixed(0)}` : unit === '%' ? `${(value * 100).toFixed(1)}${unit}` : `${value.toFixed(0)}${unit}`;
+  const StatusCard = ({ title, metric, value, icon: Icon, isCritical }) => {
     const color = isCritical ? 'text-red-400' : 'text-teal-400';
+    const expectedRange = expectedRangeFor(deviations, metric);
+    const forecast = forecastConfig.enabled ? forecasts[metric] : null;
     return (
-      <div className="bg-gray-800 p-5 rounded-xl border border-gray-700 shadow-md">
+      <button
+        onClick={() => setDetailMetric({ metric, title })}
+        className="bg-gray-800 p-5 rounded-xl border border-gray-700 shadow-md text-left hover:border-cyan-600 transition"
+      >
         <div className="flex items-center justify-between">
           <h3 className="text-sm font-semibold text-gray-400 uppercase">{title}</h3>
           <Icon className="w-5 h-5 text-indigo-400" />
         </div>
         <p className={`text-2xl font-extrabold mt-1 ${color}`}>
-          {displayValue}
+          {formatMetric(metric, value)}
         </p>
-      </div>
+        {expectedRange ? (
+          <p className="text-xs text-gray-500 mt-1" title={BASELINE_LABELS[expectedRange.method]}>
+            {t('log.expected')} {formatMetric(metric, expectedRange.expectedLow)} – {formatMetric(metric, expectedRange.expectedHigh)}
+            {' '}· {t('odas.card.anomaly', { score: formatPercent(anomalyScores[metric]) })}
+          </p>
+        ) : (
+          <p className="text-xs text-gray-600 mt-1">{t('odas.card.baselineNotReady')}</p>
+        )}
+        <Sparkline points={toSeries(recentSamples, metric)} forecast={forecast} color={isCritical ? '#f87171' : '#2dd4bf'} />
+        {forecast && (
+          <p
+            className={`text-xs mt-1 ${forecast.breach && !isCritical ? 'text-indigo-300 font-semibold' : 'text-gray-500'}`}
+            title={t('odas.card.forecastMethod', { method: FORECAST_METHOD_LABELS[forecast.method] })}
+          >
+            {describeForecast(forecast)}
+          </p>
+        )}
+      </button>
     );
   };
 
   const MainStatusDisplay = useMemo(() => {
-    const isCritical = interventions.some(i => i.severity === 'Kritis');
+    const isCritical = activeIncidents.some(i => !i.suppressed && isCriticalSeverity(i.severity));
     const color = isCritical ? 'bg-red-800' : 'bg-green-700';
     const Icon = isCritical ? Zap : ShieldCheck;
+    const isStale = isSourceStale(sourceStatus);
+    const scannerLive = isLeaseLive(scannerLease);
+    const headline = scannerLive && scannerStatus && odasStatus !== 'dbError' ? describeScanResult(scannerStatus.breachCount, scannerStatus.suppressedCount, scannerStatus.forecastCount) : ODAS_STATUS_LABELS[odasStatus];
 
     return (
       <div className={`p-6 rounded-xl shadow-2xl transition duration-300 ${color} text-white`}>
         <div className="flex items-center justify-between">
-          <h2 className="text-xl font-bold">Status ODAS Master Control</h2>
+          <h2 className="text-xl font-bold">{t('odas.masterStatus')}</h2>
           <Icon className="w-7 h-7" />
         </div>
-        <p className="text-3xl font-extrabold mt-2">{odasStatus}</p>
+        <p className="text-3xl font-extrabold mt-2">{headline}</p>
+        <p className="text-sm mt-2 flex items-center opacity-90">
+          <Cpu className="w-4 h-4 mr-1" />
+          {scannerLive
+            ? `${t('odas.scanner', { holder: isLeader ? t('odas.scanner.thisTab') : scannerLease.label })}${scannerStatus && scannerStatus.scannedAt ? ` · ${t('odas.scanner.lastScan', { at: formatTime(scannerStatus.scannedAt) })}` : ''}`
+            : t('odas.scanner.none')}
+        </p>
+        {sourceStatus && (
+          <p className="text-sm mt-2 flex items-center opacity-90">
+            <Database className="w-4 h-4 mr-1" />
+            {selectedAsset.name} · {t('odas.source', { source: DATA_SOURCE_TYPES[selectedSource.type].label })} — {SOURCE_STATE_LABELS[sourceStatus.state]}
+            {sourceStatus.message && <span className="ml-1 opacity-70">({sourceStatus.message})</span>}
+          </p>
+        )}
+        {isStale && (
+          <p className="text-sm mt-1 flex items-center text-yellow-300 font-semibold">
+            <AlertTriangle className="w-4 h-4 mr-1" />
+            {t('odas.source.stale', { at: formatTime(sourceStatus.lastUpdate) })}
+          </p>
+        )}
         <p className="text-xs mt-1 opacity-70">User ID: {userId}</p>
       </div>
     );
-  }, [odasStatus, interventions, userId]);
+  }, [odasStatus, activeIncidents, userId, selectedAsset, selectedSource, sourceStatus, scannerLease, scannerStatus, isLeader]);
   
   // Tampilan Utama
   if (!isAuthReady) {
     return (
-        <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center">
-            <p className="flex items-center text-xl text-teal-400"><RefreshCw className="w-6 h-6 mr-2 animate-spin" /> Menginisialisasi ODAS Database...</p>
+        <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center">
+            <p className="flex items-center text-xl text-teal-400"><RefreshCw className="w-6 h-6 mr-2 animate-spin" /> {t('odas.initializingDatabase')}</p>
+            <p className="mt-4 text-xs text-gray-500">{t('footer.storage')} <StorageSwitcher storageKind={storageKind} storageError={storageError} /></p>
         </div>
     );
   }
@@ -283,77 +817,274 @@ const App = () => {
             ODAS: Omnidirectional Digital Asset Steward
           </h1>
           <p className="text-gray-400">
-            Pusat Kontrol Orkestrasi Jalur Digital Global (Simulasi Agensi ODAS)
+            {t('odas.subtitle')}
           </p>
         </header>
 
         {/* Status Master */}
-        <div className="mb-8">
+        <div className="mb-6">
             {MainStatusDisplay}
         </div>
 
-        {/* Data Path Mapping */}
-        <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
-            <BarChart2 className="w-5 h-5 mr-2 text-cyan-400" />
-            Pemetaan Jalur Utama (Real-time Simulation)
-        </h2>
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
-          <StatusCard
-            title="Volatilitas Aset"
-            value={pathData.assetVolatility}
-            unit="%"
-            icon={DollarSign}
-            isCritical={pathData.assetVolatility > INTERVENTION_THRESHOLDS.MAX_VOLATILITY}
+        {/* Sinkronisasi tulisan intervensi */}
+        {(!isBrowserOnline || (outboxStatus && outboxStatus.offline)) && (
+          <div className="mb-6 p-4 rounded-xl bg-yellow-900 border border-yellow-600 text-yellow-100 flex items-center justify-between gap-4">
+            <p className="text-sm flex items-center">
+              <CloudOff className="w-5 h-5 mr-2 flex-shrink-0" />
+              <span>
+                <span className="font-semibold">{t('odas.outbox.offline')}</span>{' '}
+                {t('odas.outbox.offlineHint', { count: outboxStatus ? outboxStatus.pending : 0 })}
+                {outboxStatus && outboxStatus.retryAt && ` ${t('odas.outbox.retryAt', { at: formatTime(outboxStatus.retryAt) })}`}
+              </span>
+            </p>
+            {outbox && outboxStatus && outboxStatus.pending > 0 && (
+              <button onClick={() => outbox.flush()} className="px-3 py-1 rounded-lg text-xs font-semibold bg-yellow-700 hover:bg-yellow-600 whitespace-nowrap">
+                {t('odas.outbox.retryNow')}
+              </button>
+            )}
+          </div>
+        )}
+        {outboxStatus && (outboxStatus.pending > 0 || outboxStatus.failed > 0) && (
+          <div className="-mt-4 mb-6 text-xs flex items-center gap-4">
+            {outboxStatus.pending > 0 && (
+              <span className="flex items-center text-yellow-300"><UploadCloud className="w-4 h-4 mr-1" /> {t('odas.outbox.pending', { count: outboxStatus.pending })}</span>
+            )}
+            {outboxStatus.failed > 0 && (
+              <span className="flex items-center text-red-400" title={outboxStatus.lastError || ''}><AlertTriangle className="w-4 h-4 mr-1" /> {t('odas.outbox.failed', { count: outboxStatus.failed })}</span>
+            )}
+          </div>
+        )}
+
+        {/* Pemilihan Aset */}
+        <div className="mb-6">
+            <AssetSelector assets={scanTargets} selectedId={selectedAsset.id} onSelect={setSelectedAssetId} />
+        </div>
+
+        {/* Navigasi Tampilan */}
+        <div className="flex gap-2 mb-6">
+          {[['dashboard', t('odas.tab.dashboard'), BarChart2], ['rules', t('odas.tab.rules'), Settings], ['backtest', t('odas.tab.backtest'), Rewind], ['notifications', t('odas.tab.notifications'), Bell], ['playbooks', t('odas.tab.playbooks'), Wrench]]
+            // Channel secrets and playbook credentials are admin-only
+            .filter(([view]) => (view !== 'notifications' || can(role, 'manageSettings')) && (view !== 'playbooks' || can(role, 'managePlaybooks')))
+            .map(([view, label, TabIcon]) => (
+              <button
+                key={view}
+                onClick={() => setActiveView(view)}
+                className={`flex items-center px-4 py-2 rounded-lg text-sm font-semibold ${activeView === view ? 'bg-cyan-700 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'}`}
+              >
+                <TabIcon className="w-4 h-4 mr-2" /> {label}
+              </button>
+            ))}
+        </div>
+
+        {activeView === 'rules' && (
+          <RuleEditor
+            rules={activeRules}
+            versions={ruleVersions}
+            activeVersion={activeRuleVersion ? activeRuleVersion.version : 0}
+            onSave={saveRules}
+            onRollback={rollbackRules}
+            canEdit={can(role, 'editRules')}
           />
-          <StatusCard
-            title="Latency Sistem"
-            value={pathData.systemLatency}
-            unit="ms"
-            icon={Cloud}
-            isCritical={pathData.systemLatency > INTERVENTION_THRESHOLDS.MAX_LATENCY}
+        )}
+
+        {activeView === 'backtest' && (
+          <BacktestPanel
+            key={selectedAsset.id}
+            asset={selectedAsset}
+            activeRules={activeRules}
+            loadStoredSamples={loadStoredSamples}
+            loadActualIncidents={loadActualIncidents}
           />
-          <StatusCard
-            title="Sentimen Publik"
-            value={pathData.publicSentiment}
-            unit="%"
-            icon={Heart}
-            isCritical={pathData.publicSentiment < INTERVENTION_THRESHOLDS.MIN_SENTIMENT}
+        )}
+
+        {activeView === 'notifications' && can(role, 'manageSettings') && (
+          <NotificationSettings
+            channels={notificationChannels}
+            deliveryLog={deliveryLog}
+            onSave={saveNotificationChannels}
+            onTest={sendTestNotification}
           />
-          <StatusCard
-            title="Skor Anomali"
-            value={pathData.anomalyScore}
-            unit="%"
-            icon={Zap}
-            isCritical={pathData.anomalyScore > INTERVENTION_THRESHOLDS.MAX_ANOMALY_SCORE}
+        )}
+
+        {activeView === 'playbooks' && can(role, 'managePlaybooks') && (
+          <PlaybookEditor
+            playbooks={playbooks}
+            rules={activeRules}
+            onSave={savePlaybooks}
+            scriptRunner={isLeaseLive(scannerLease) && scannerLease.priority === LEASE_PRIORITY.daemon}
           />
-        </div>
+        )}
 
-        {/* Intervensi Finalitas Log */}
-        <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
-            <Zap className="w-5 h-5 mr-2 text-red-400" />
-            Log Intervensi Finalitas ({interventions.length})
-        </h2>
-        <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
-          {interventions.length > 0 ? (
-            interventions.map((intervention) => (
-              <div key={intervention.id} className="bg-red-900/40 p-3 rounded-lg border border-red-700">
-                <p className="font-bold text-sm text-red-200 uppercase">
-                    [{intervention.path}] {intervention.severity}
-                </p>
-                <p className="text-xs text-gray-300 mt-1">{intervention.description}</p>
-                <p className="text-xs text-gray-400 mt-1 italic">Logged: {intervention.timestamp}</p>
-              </div>
-            ))
-          ) : (
-            <div className="bg-green-900/30 p-4 rounded-lg text-center text-gray-400">
-              <ShieldCheck className="w-5 h-5 inline mr-2" /> Tidak ada intervensi kritis yang diperlukan. Semua jalur dalam batas.
+        {activeView === 'dashboard' && (
+          <>
+            {/* Pemilihan Sumber Data */}
+            <div className="mb-8">
+                <DataSourceSelector
+                  key={selectedAsset.id}
+                  sourceType={selectedSource.type}
+                  sourceConfig={selectedSource.config}
+                  onApply={applyDataSource}
+                />
+                {!isLeader && isLeaseLive(scannerLease) && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {t('odas.viewerMode', { holder: scannerLease.label })}
+                  </p>
+                )}
             </div>
-          )}
-        </div>
-        
+
+            {/* Data Path Mapping */}
+            <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
+                <BarChart2 className="w-5 h-5 mr-2 text-cyan-400" />
+                {t('odas.pathMapping', { asset: selectedAsset.name, source: DATA_SOURCE_TYPES[selectedSource.type].label })}
+                <span className="ml-auto text-xs font-normal text-gray-400 flex items-center gap-1">
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={forecastConfig.enabled}
+                      disabled={!can(role, 'manageSettings')}
+                      onChange={(e) => saveForecastConfig({ enabled: e.target.checked })}
+                      className="mr-1 disabled:opacity-60"
+                    />
+                    {t('odas.forecast')}
+                  </label>
+                  <select
+                    value={forecastConfig.method}
+                    disabled={!can(role, 'manageSettings') || !forecastConfig.enabled}
+                    onChange={(e) => saveForecastConfig({ method: e.target.value })}
+                    className="bg-gray-900 border border-gray-600 rounded p-1 text-xs text-white disabled:opacity-60"
+                  >
+                    {FORECAST_METHODS.map(method => <option key={method} value={method}>{FORECAST_METHOD_LABELS[method]}</option>)}
+                  </select>
+                  {t('odas.forecastHorizon')}
+                  <input
+                    type="number"
+                    min="1"
+                    key={forecastConfig.horizonMinutes}
+                    defaultValue={forecastConfig.horizonMinutes}
+                    disabled={!can(role, 'manageSettings') || !forecastConfig.enabled}
+                    onBlur={(e) => saveForecastConfig({ horizonMinutes: parseInt(e.target.value, 10) })}
+                    className="w-14 bg-gray-900 border border-gray-600 rounded p-1 text-xs text-white disabled:opacity-60"
+                  />
+                  {t('odas.minutes')}
+                </span>
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-8">
+              {PATH_PLUGINS.flatMap(plugin => plugin.metrics.map(metric => (
+                <StatusCard
+                  key={metric.key}
+                  title={metric.label}
+                  metric={metric.key}
+                  value={pathData[metric.key]}
+                  icon={icons[plugin.icon] || BarChart2}
+                  isCritical={breachedMetrics.has(metric.key)}
+                />
+              )))}
+            </div>
+
+            {/* Jendela Pemeliharaan & Silence */}
+            <div className="mb-8">
+                <SilencePanel
+                  silences={silences}
+                  assets={registeredAssets}
+                  rules={activeRules}
+                  canEdit={can(role, 'silenceAlerts')}
+                  onCreate={handleCreateSilence}
+                  onEnd={handleEndSilence}
+                />
+            </div>
+
+            {/* Intervensi Finalitas Log */}
+            <h2 className="text-xl font-bold mb-4 text-gray-300 border-b border-gray-700 pb-2 flex items-center">
+                <Zap className="w-5 h-5 mr-2 text-red-400" />
+                {t('odas.incidentLog', { count: activeIncidents.length })}
+                <label className="ml-auto text-xs font-normal text-gray-400 flex items-center">
+                  {t('odas.escalateAfter')}
+                  <input
+                    type="number"
+                    min="1"
+                    key={escalationTimeout}
+                    defaultValue={escalationTimeout}
+                    disabled={!can(role, 'manageSettings')}
+                    onBlur={(e) => saveEscalationTimeout(parseInt(e.target.value, 10))}
+                    className="mx-1 w-14 bg-gray-900 border border-gray-600 rounded p-1 text-xs text-white disabled:opacity-60"
+                  />
+                  {t('odas.minutes')}
+                </label>
+            </h2>
+            <IncidentLogFilters value={logFilter} onChange={setLogFilter} />
+            {interventionLog.error && <p className="text-xs text-red-400 mb-2">{t('log.error.load', { error: interventionLog.error })}</p>}
+            <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
+              {interventionLog.items.length > 0 ? (
+                interventionLog.items.map((intervention) => (
+                  <div key={intervention.id} className={`p-3 rounded-lg border ${intervention.breachActive === false ? 'bg-gray-800 border-gray-700' : isForecastSeverity(intervention.severity) ? 'bg-indigo-900/40 border-indigo-700' : 'bg-red-900/40 border-red-700'}`}>
+                    <div className="flex items-center justify-between">
+                      <p className="font-bold text-sm text-red-200 uppercase">
+                          [{assetNames[assetIdOf(intervention)] || assetIdOf(intervention)} · {pathLabel(intervention.path)}] {severityLabel(intervention.severity)}
+                          {intervention.escalatedFrom && <span className="ml-2 text-xs normal-case text-orange-300">{t('odas.escalatedFrom', { severity: severityLabel(intervention.escalatedFrom) })}</span>}
+                      </p>
+                      <span className="flex items-center gap-2">
+                        {intervention.status && (
+                          <span className={`text-xs font-semibold ${intervention.breachActive ? 'text-red-300' : 'text-green-400'}`}>
+                            {intervention.breachActive ? t('log.breachActive') : t('log.breachRecovered')} · {t('odas.scanCount', { count: intervention.count })}
+                          </span>
+                        )}
+                        <IncidentStatusBadge status={intervention.status || 'open'} />
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-300 mt-1">{intervention.description}</p>
+                    <CorrelationTag event={correlationByIncident.get(intervention.id)} incident={intervention} />
+                    <SuppressedTag incident={intervention} silences={silences} />
+                    {intervention.metric && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        {t('odas.observed', { value: formatMetric(intervention.metric, intervention.lastValue) })} · {t('log.peak', { value: formatMetric(intervention.metric, intervention.peakValue) })}
+                        {typeof intervention.expectedLow === 'number' && (
+                          <> · {t('odas.expectedRange')} {formatMetric(intervention.metric, intervention.expectedLow)} – {formatMetric(intervention.metric, intervention.expectedHigh)}</>
+                        )}
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1 italic">
+                      {t('odas.logged', { at: intervention.timestamp })}{intervention.recoveredAt && ` — ${t('odas.recovered', { at: intervention.recoveredAt })}`}
+                    </p>
+                    <IncidentActions
+                      incident={intervention}
+                      onTransition={handleTransition}
+                      onAssign={handleAssign}
+                      onAddNote={handleAddNote}
+                      onDecideRemediation={handleDecideRemediation}
+                      canEdit={can(role, 'handleIncidents')}
+                    />
+                  </div>
+                ))
+              ) : isLogFilterActive(logFilter) ? (
+                <div className="bg-gray-800 p-4 rounded-lg text-center text-gray-400">
+                  {t('log.noMatches')}
+                </div>
+              ) : (
+                <div className="bg-green-900/30 p-4 rounded-lg text-center text-gray-400">
+                  <ShieldCheck className="w-5 h-5 inline mr-2" /> {t('odas.allClear')}
+                </div>
+              )}
+              <LoadMoreButton hasMore={interventionLog.hasMore} isLoading={interventionLog.isLoading} onClick={interventionLog.loadMore} />
+            </div>
+          </>
+        )}
+
+        {detailMetric && (
+          <MetricDetailView
+            metric={detailMetric.metric}
+            title={detailMetric.title}
+            thresholds={ruleThresholds(selectedRules, detailMetric.metric)}
+            loadSeries={loadSeries}
+            onClose={() => setDetailMetric(null)}
+          />
+        )}
+
         {/* Footer Info */}
         <div className="mt-8 pt-4 border-t border-gray-700 text-center text-xs text-gray-500">
-            <p>ODAS beroperasi. Semua data intervensi dicatat ke Firestore untuk pelacakan Agensi.</p>
+            <p>{t('odas.footer')}</p>
+            <p className="mt-2">{t('footer.storage')} <StorageSwitcher storageKind={storageKind} storageError={storageError} /></p>
+            <p className="mt-2">{t('footer.workspace')} <WorkspaceSwitcher workspace={workspace} role={role} memberships={memberships} /></p>
+            <p className="mt-2">{t('footer.language')} <LanguageSwitcher /></p>
         </div>
       </div>
     </div>
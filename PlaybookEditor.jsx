@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, Trash2, Save, AlertTriangle, ArrowUp, ArrowDown, Undo2 } from 'lucide-react';
+import { RULE_OPERATORS } from './ruleEngine.js';
+import { PATH_METRIC_KEYS, pathLabel, metricLabel } from './paths.js';
+import {
+  PLAYBOOK_MODES,
+  PLAYBOOK_MODE_LABELS,
+  STEP_TYPES,
+  HTTP_METHODS,
+  createBlankPlaybook,
+  createBlankStep,
+  validatePlaybookSet,
+} from './playbooks.js';
+import { t } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const MODE_HINTS = {
+  [PLAYBOOK_MODES.DRY_RUN]: t('playbookUi.modeHint.dryRun'),
+  [PLAYBOOK_MODES.APPROVAL]: t('playbookUi.modeHint.approval'),
+  [PLAYBOOK_MODES.AUTO]: t('playbookUi.modeHint.auto'),
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+const move = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// --- STEP FORM (fields depend on the step type) ---
+const StepForm = ({ step, onChange, scriptRunner }) => {
+  const update = (patch) => onChange({ ...step, ...patch });
+
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <label className={labelClass}>
+        ID
+        <input className={inputClass} value={step.id} onChange={(e) => update({ id: e.target.value })} />
+      </label>
+      <label className={labelClass}>
+        {t('ruleEditor.name')}
+        <input className={inputClass} value={step.name} onChange={(e) => update({ name: e.target.value })} />
+      </label>
+      <label className={labelClass}>
+        {t('notifyUi.type')}
+        <select className={inputClass} value={step.type} onChange={(e) => update({ type: e.target.value })}>
+          {Object.entries(STEP_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type} disabled={type === 'script' && !scriptRunner}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className={labelClass}>
+        {t('playbookUi.timeout')}
+        <input
+          type="number"
+          min="1"
+          className={inputClass}
+          value={step.timeoutMs / 1000}
+          onChange={(e) => update({ timeoutMs: Math.round((parseFloat(e.target.value) || 0) * 1000) })}
+        />
+      </label>
+
+      {step.type === 'http' && (
+        <>
+          <label className={labelClass}>
+            {t('playbookUi.method')}
+            <select className={inputClass} value={step.method} onChange={(e) => update({ method: e.target.value })}>
+              {HTTP_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+            </select>
+          </label>
+          <label className={labelClass}>
+            URL
+            <input className={inputClass} value={step.url} placeholder="http://localhost:8787/ce-lock?aset={assetId}" onChange={(e) => update({ url: e.target.value })} />
+          </label>
+          <label className={`${labelClass} col-span-2`}>
+            {t('playbookUi.headers')}
+            <textarea rows={2} className={`${inputClass} font-mono`} value={step.headers} onChange={(e) => update({ headers: e.target.value })} />
+          </label>
+          <label className={`${labelClass} col-span-2`}>
+            Body <span className="normal-case font-normal text-gray-500">{t('playbookUi.bodyHint')}</span>
+            <textarea rows={3} className={`${inputClass} font-mono`} value={step.body} onChange={(e) => update({ body: e.target.value })} />
+          </label>
+        </>
+      )}
+
+      {step.type === 'script' && (
+        <label className={`${labelClass} col-span-2`}>
+          {t('playbookUi.script')} <span className="normal-case font-normal text-gray-500">{t('playbookUi.scriptHint')}</span>
+          <textarea rows={4} className={`${inputClass} font-mono`} value={step.code} onChange={(e) => update({ code: e.target.value })} />
+          <span className="block mt-1 normal-case font-normal text-gray-500">{t('playbookUi.scriptNodeOnly')}</span>
+        </label>
+      )}
+
+      {step.type === 'wait' && (
+        <div className="col-span-2 grid grid-cols-3 gap-3">
+          <label className={labelClass}>
+            {t('playbookUi.metric')}
+            <select className={inputClass} value={step.condition.metric} onChange={(e) => update({ condition: { ...step.condition, metric: e.target.value } })}>
+              {PATH_METRIC_KEYS.map(metric => <option key={metric} value={metric}>{metricLabel(metric)}</option>)}
+            </select>
+          </label>
+          <label className={labelClass}>
+            Operator
+            <select className={inputClass} value={step.condition.op} onChange={(e) => update({ condition: { ...step.condition, op: e.target.value } })}>
+              {RULE_OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+            </select>
+          </label>
+          <label className={labelClass}>
+            {t('playbookUi.value')}
+            <input
+              type="number"
+              step="any"
+              className={inputClass}
+              value={step.condition.value}
+              onChange={(e) => update({ condition: { ...step.condition, value: parseFloat(e.target.value) } })}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- STEP LIST (ordered steps or rollback steps) ---
+const StepList = ({ title, hint, steps, onChange, nextIndex, scriptRunner }) => (
+  <div className="space-y-3">
+    <div className="flex items-center justify-between">
+      <h4 className="text-xs font-semibold text-gray-400 uppercase">{title}</h4>
+      <button onClick={() => onChange([...steps, createBlankStep('http', nextIndex)])} className="text-cyan-400 hover:text-cyan-300 flex items-center text-xs">
+        <Plus className="w-4 h-4 mr-1" /> {t('playbookUi.addStep')}
+      </button>
+    </div>
+    {steps.length === 0 && <p className="text-xs text-gray-500">{hint}</p>}
+    {steps.map((step, index) => (
+      <div key={index} className="bg-gray-900/60 border border-gray-700 rounded-lg p-3 space-y-2">
+        <div className="flex items-center gap-3 text-xs text-gray-400">
+          <span className="font-semibold">#{index + 1}</span>
+          <button onClick={() => onChange(move(steps, index, -1))} disabled={index === 0} className="hover:text-white disabled:opacity-30" title={t('playbookUi.moveUp')}>
+            <ArrowUp className="w-4 h-4" />
+          </button>
+          <button onClick={() => onChange(move(steps, index, 1))} disabled={index === steps.length - 1} className="hover:text-white disabled:opacity-30" title={t('playbookUi.moveDown')}>
+            <ArrowDown className="w-4 h-4" />
+          </button>
+          <button onClick={() => onChange(steps.filter((_, i) => i !== index))} className="ml-auto text-red-400 hover:text-red-300" title={t('playbookUi.removeStep')}>
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+        <StepForm step={step} scriptRunner={scriptRunner} onChange={(next) => onChange(steps.map((item, i) => (i === index ? next : item)))} />
+      </div>
+    ))}
+  </div>
+);
+
+// --- PLAYBOOK EDITOR SCREEN ---
+// scriptRunner: a daemon holds the scanner lease, so script steps have a sandbox to run in
+const PlaybookEditor = ({ playbooks, rules, onSave, scriptRunner }) => {
+  const [draft, setDraft] = useState(playbooks);
+  const [selected, setSelected] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset draft when the stored configuration changes
+  useEffect(() => {
+    setDraft(playbooks);
+    setSelected(0);
+  }, [playbooks]);
+
+  const playbook = draft[selected];
+  const ruleIds = useMemo(() => rules.map(rule => rule.id), [rules]);
+  const problems = useMemo(() => validatePlaybookSet(draft, ruleIds, { scripts: scriptRunner }), [draft, ruleIds, scriptRunner]);
+  const hasProblems = Object.keys(problems).length > 0;
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(playbooks);
+
+  const updatePlaybook = (patch) => {
+    setDraft(prev => prev.map((item, index) => (index === selected ? { ...item, ...patch } : item)));
+  };
+
+  const addPlaybook = () => {
+    setDraft(prev => [...prev, createBlankPlaybook(prev.length + 1)]);
+    setSelected(draft.length);
+  };
+
+  const removePlaybook = () => {
+    setDraft(prev => prev.filter((_, index) => index !== selected));
+    setSelected(0);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const stepCount = playbook ? playbook.steps.length + playbook.rollback.length : 0;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Daftar Playbook */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('playbookUi.playbooks')}</h3>
+          <button onClick={addPlaybook} className="text-cyan-400 hover:text-cyan-300 flex items-center text-xs">
+            <Plus className="w-4 h-4 mr-1" /> {t('common.add')}
+          </button>
+        </div>
+        {draft.length > 0 ? (
+          <ul className="space-y-2">
+            {draft.map((item, index) => (
+              <li key={`${item.id}-${index}`}>
+                <button
+                  onClick={() => setSelected(index)}
+                  className={`w-full text-left p-2 rounded-lg border text-sm ${index === selected ? 'border-cyan-500 bg-gray-900' : 'border-gray-700'} ${item.enabled === false ? 'opacity-50' : ''}`}
+                >
+                  <span className="font-semibold">{item.name}</span>
+                  <span className="block text-xs text-gray-400">
+                    {PLAYBOOK_MODE_LABELS[item.mode] || item.mode} · {t('playbookUi.counts', { steps: item.steps.length, rules: item.ruleIds.length })}
+                  </span>
+                  {problems[item.id] && (
+                    <span className="block text-xs text-red-400 flex items-center">
+                      <AlertTriangle className="w-3 h-3 mr-1" /> {t('ruleEditor.invalid')}
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-500">{t('playbookUi.noPlaybooks')}</p>
+        )}
+      </div>
+
+      {/* Form Playbook */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-2 space-y-4">
+        {playbook ? (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              <label className={labelClass}>
+                ID
+                <input className={inputClass} value={playbook.id} onChange={(e) => updatePlaybook({ id: e.target.value })} />
+              </label>
+              <label className={labelClass}>
+                {t('ruleEditor.name')}
+                <input className={inputClass} value={playbook.name} onChange={(e) => updatePlaybook({ name: e.target.value })} />
+              </label>
+              <label className={labelClass}>
+                Mode
+                <select className={inputClass} value={playbook.mode} onChange={(e) => updatePlaybook({ mode: e.target.value })}>
+                  {Object.entries(PLAYBOOK_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                </select>
+              </label>
+              <label className={`${labelClass} flex items-center mt-5`}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={playbook.enabled !== false}
+                  onChange={(e) => updatePlaybook({ enabled: e.target.checked })}
+                />
+                {t('ruleEditor.enabled')}
+              </label>
+            </div>
+            <p className="text-xs text-gray-500">{MODE_HINTS[playbook.mode]}</p>
+
+            <div className={labelClass}>
+              {t('playbookUi.triggerRules')}
+              <div className="mt-1 flex flex-wrap gap-2">
+                {rules.map(rule => (
+                  <button
+                    key={rule.id}
+                    type="button"
+                    onClick={() => updatePlaybook({ ruleIds: toggle(playbook.ruleIds, rule.id) })}
+                    title={rule.messageKey ? t(rule.messageKey) : rule.message}
+                    className={`px-2 py-1 rounded-lg border text-xs normal-case font-normal ${playbook.ruleIds.includes(rule.id) ? 'border-cyan-500 bg-cyan-900 text-white' : 'border-gray-600 text-gray-400'}`}
+                  >
+                    [{pathLabel(rule.path)}] {rule.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <StepList
+              title={t('playbookUi.steps')}
+              hint={t('playbookUi.stepsHint')}
+              steps={playbook.steps}
+              onChange={(steps) => updatePlaybook({ steps })}
+              nextIndex={stepCount + 1}
+              scriptRunner={scriptRunner}
+            />
+            <StepList
+              title={<span className="flex items-center"><Undo2 className="w-3 h-3 mr-1" /> {t('playbookUi.rollback')}</span>}
+              hint={t('playbookUi.rollbackHint')}
+              steps={playbook.rollback}
+              onChange={(rollback) => updatePlaybook({ rollback })}
+              nextIndex={stepCount + 1}
+              scriptRunner={scriptRunner}
+            />
+            <p className="text-xs text-gray-500">
+              {t('playbookUi.placeholders', {
+                placeholders: '{incidentId} {ruleId} {assetId} {path} {severity} {metric} {lastValue} {peakValue} {description}',
+              })}
+            </p>
+
+            {(problems[playbook.id] || []).map(message => (
+              <p key={message} className="text-xs text-red-400">{message}</p>
+            ))}
+            <button onClick={removePlaybook} className="text-red-400 hover:text-red-300 flex items-center text-xs">
+              <Trash2 className="w-4 h-4 mr-1" /> {t('playbookUi.remove')}
+            </button>
+          </>
+        ) : (
+          <p className="text-sm text-gray-400">
+            {t('playbookUi.empty')}
+          </p>
+        )}
+
+        <div className="border-t border-gray-700 pt-3 flex justify-end">
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || hasProblems || isSaving}
+            className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center justify-center"
+          >
+            <Save className="w-4 h-4 mr-1" /> {t('playbookUi.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlaybookEditor;
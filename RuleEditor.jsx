@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, Trash2, Save, RotateCcw, History, AlertTriangle } from 'lucide-react';
+import {
+  RULE_SEVERITIES,
+  RULE_OPERATORS,
+  TEMPLATE_FORMATS,
+  SEVERITY,
+  SEVERITY_LABELS,
+  severityLabel,
+  validateRuleSet,
+} from './ruleEngine.js';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { BASELINE_METHODS } from './anomalyDetection.js';
+import { t } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const toJson = (value) => (value ? JSON.stringify(value, null, 2) : '');
+
+const createBlankRule = (index) => ({
+  id: `aturan-baru-${index}`,
+  name: t('ruleEditor.newRule.name'),
+  path: RULE_PATHS[0],
+  severity: SEVERITY.WARNING,
+  enabled: true,
+  condition: { metric: 'systemLatency', op: '>', value: 200 },
+  forScans: 1,
+  message: t('ruleEditor.newRule.message'),
+});
+
+// --- RULE EDITOR SCREEN ---
+const RuleEditor = ({ rules, versions, activeVersion, onSave, onRollback, canEdit = true }) => {
+  const [draft, setDraft] = useState(rules);
+  const [selected, setSelected] = useState(0);
+  const [conditionText, setConditionText] = useState('');
+  const [clearText, setClearText] = useState('');
+  const [jsonError, setJsonError] = useState('');
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset draft when a new version becomes active (save or rollback)
+  useEffect(() => {
+    setDraft(rules);
+    setSelected(0);
+  }, [rules]);
+
+  const rule = draft[selected];
+  const ruleId = rule ? rule.id : null;
+
+  // Refresh the JSON fields only when switching rules, not on every keystroke
+  useEffect(() => {
+    setConditionText(rule ? toJson(rule.condition) : '');
+    setClearText(rule ? toJson(rule.clearCondition) : '');
+    setJsonError('');
+  }, [selected, ruleId, rules]);
+
+  const problems = useMemo(() => validateRuleSet(draft), [draft]);
+  const hasProblems = Object.keys(problems).length > 0 || jsonError !== '';
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(rules);
+
+  const updateRule = (patch) => {
+    setDraft(prev => prev.map((item, index) => (index === selected ? { ...item, ...patch } : item)));
+  };
+
+  // A hand-edited message replaces the catalog text, so the messageKey has to go with it
+  const updateMessage = (message) => {
+    setDraft(prev => prev.map((item, index) => {
+      if (index !== selected) return item;
+      const { messageKey, ...rest } = item;
+      return { ...rest, message };
+    }));
+  };
+
+  const handleJsonChange = (field, text, setText) => {
+    setText(text);
+    if (field === 'clearCondition' && text.trim() === '') {
+      setJsonError('');
+      const { clearCondition, ...rest } = rule;
+      setDraft(prev => prev.map((item, index) => (index === selected ? rest : item)));
+      return;
+    }
+    try {
+      updateRule({ [field]: JSON.parse(text) });
+      setJsonError('');
+    } catch (error) {
+      setJsonError(t('asset.error.invalidJson', { error: error.message }));
+    }
+  };
+
+  const addRule = () => {
+    setDraft(prev => [...prev, createBlankRule(prev.length + 1)]);
+    setSelected(draft.length);
+  };
+
+  const removeRule = () => {
+    setDraft(prev => prev.filter((_, index) => index !== selected));
+    setSelected(0);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft, note.trim());
+      setNote('');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Daftar Aturan */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('ruleEditor.rules', { version: activeVersion })}</h3>
+          {canEdit && (
+            <button onClick={addRule} className="text-cyan-400 hover:text-cyan-300 flex items-center text-xs">
+              <Plus className="w-4 h-4 mr-1" /> {t('common.add')}
+            </button>
+          )}
+        </div>
+        <ul className="space-y-2">
+          {draft.map((item, index) => (
+            <li key={`${item.id}-${index}`}>
+              <button
+                onClick={() => setSelected(index)}
+                className={`w-full text-left p-2 rounded-lg border text-sm ${index === selected ? 'border-cyan-500 bg-gray-900' : 'border-gray-700'} ${item.enabled === false ? 'opacity-50' : ''}`}
+              >
+                <span className="font-semibold">{item.name}</span>
+                <span className="block text-xs text-gray-400">[{pathLabel(item.path)}] {severityLabel(item.severity)}</span>
+                {problems[item.id || `#${index + 1}`] && (
+                  <span className="block text-xs text-red-400 flex items-center">
+                    <AlertTriangle className="w-3 h-3 mr-1" /> {t('ruleEditor.invalid')}
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Form Aturan */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-2 space-y-3">
+        {rule ? (
+          <fieldset disabled={!canEdit} className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <label className={labelClass}>
+                ID
+                <input className={inputClass} value={rule.id} onChange={(e) => updateRule({ id: e.target.value })} />
+              </label>
+              <label className={labelClass}>
+                {t('ruleEditor.name')}
+                <input className={inputClass} value={rule.name} onChange={(e) => updateRule({ name: e.target.value })} />
+              </label>
+              <label className={labelClass}>
+                {t('ruleEditor.path')}
+                <select className={inputClass} value={rule.path} onChange={(e) => updateRule({ path: e.target.value })}>
+                  {RULE_PATHS.map(path => <option key={path} value={path}>{pathLabel(path)}</option>)}
+                </select>
+              </label>
+              <label className={labelClass}>
+                {t('ruleEditor.severity')}
+                <select className={inputClass} value={rule.severity} onChange={(e) => updateRule({ severity: e.target.value })}>
+                  {RULE_SEVERITIES.map(severity => <option key={severity} value={severity}>{SEVERITY_LABELS[severity]}</option>)}
+                </select>
+              </label>
+              <label className={labelClass}>
+                {t('ruleEditor.forScans')}
+                <input
+                  type="number"
+                  min="1"
+                  className={inputClass}
+                  value={rule.forScans}
+                  onChange={(e) => updateRule({ forScans: parseInt(e.target.value, 10) || 0 })}
+                />
+              </label>
+              <label className={`${labelClass} flex items-center mt-5`}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={rule.enabled !== false}
+                  onChange={(e) => updateRule({ enabled: e.target.checked })}
+                />
+                {t('ruleEditor.enabled')}
+              </label>
+            </div>
+            <label className={labelClass}>
+              {t('ruleEditor.message')}
+              <input
+                className={inputClass}
+                value={rule.messageKey ? t(rule.messageKey) : rule.message}
+                onChange={(e) => updateMessage(e.target.value)}
+              />
+              <span className="block mt-1 text-gray-500 normal-case font-normal">
+                {t('ruleEditor.messageHint', { formats: TEMPLATE_FORMATS.join(', ') })}
+                {rule.messageKey && <span className="block">{t('ruleEditor.messageKeyHint')}</span>}
+              </span>
+            </label>
+            <label className={labelClass}>
+              {t('ruleEditor.condition')}
+              <textarea
+                rows={5}
+                className={`${inputClass} font-mono`}
+                value={conditionText}
+                onChange={(e) => handleJsonChange('condition', e.target.value, setConditionText)}
+              />
+              <span className="block mt-1 text-gray-500 normal-case font-normal">
+                {t('ruleEditor.conditionHint', { operators: RULE_OPERATORS.join(' ') })}
+                <span className="block">
+                  {t('ruleEditor.baselineHint', { methods: BASELINE_METHODS.join(', ') })}
+                </span>
+              </span>
+            </label>
+            <label className={labelClass}>
+              {t('ruleEditor.clearCondition')}
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono`}
+                value={clearText}
+                onChange={(e) => handleJsonChange('clearCondition', e.target.value, setClearText)}
+              />
+            </label>
+            {jsonError && <p className="text-xs text-red-400">{jsonError}</p>}
+            {(problems[rule.id || `#${selected + 1}`] || []).map(message => (
+              <p key={message} className="text-xs text-red-400">{message}</p>
+            ))}
+            {canEdit && (
+              <button onClick={removeRule} className="text-red-400 hover:text-red-300 flex items-center text-xs">
+                <Trash2 className="w-4 h-4 mr-1" /> {t('ruleEditor.remove')}
+              </button>
+            )}
+          </fieldset>
+        ) : (
+          <p className="text-sm text-gray-400">{t('ruleEditor.empty')}</p>
+        )}
+
+        {!canEdit ? (
+          <p className="border-t border-gray-700 pt-3 text-xs text-gray-500">{t('ruleEditor.readOnly')}</p>
+        ) : (
+          <div className="border-t border-gray-700 pt-3 flex flex-col sm:flex-row gap-3">
+            <input
+              className={`${inputClass} mt-0 flex-1`}
+              placeholder={t('ruleEditor.notePlaceholder')}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <button
+              onClick={handleSave}
+              disabled={!isDirty || hasProblems || isSaving}
+              className="bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center justify-center"
+            >
+              <Save className="w-4 h-4 mr-1" /> {t('ruleEditor.save', { version: activeVersion + 1 })}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Riwayat Versi */}
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-3">
+        <h3 className="text-sm font-semibold text-gray-400 uppercase mb-3 flex items-center">
+          <History className="w-4 h-4 mr-2" /> {t('ruleEditor.versions')}
+        </h3>
+        {versions.length > 0 ? (
+          <ul className="space-y-2 max-h-60 overflow-y-auto pr-2">
+            {versions.map(version => (
+              <li key={version.id} className="flex items-center justify-between text-sm bg-gray-900 p-2 rounded-lg">
+                <span>
+                  <span className="font-bold">v{version.version}</span>
+                  <span className="text-gray-400 ml-2">{version.createdAt}</span>
+                  {version.note && <span className="text-gray-300 ml-2 italic">— {version.note}</span>}
+                </span>
+                {version.version === activeVersion ? (
+                  <span className="text-xs text-green-400 font-semibold">{t('ruleEditor.active')}</span>
+                ) : canEdit && (
+                  <button
+                    onClick={() => onRollback(version)}
+                    className="text-xs text-yellow-400 hover:text-yellow-300 flex items-center"
+                  >
+                    <RotateCcw className="w-3 h-3 mr-1" /> Rollback
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-500">{t('ruleEditor.noVersions')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RuleEditor;
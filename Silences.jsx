@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BellOff, Wrench, Plus, Save, X, AlertTriangle, CheckCircle, CalendarClock } from 'lucide-react';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { DEFAULT_ASSET } from './assets.js';
+import {
+  SILENCE_KINDS,
+  SILENCE_KIND_LABELS,
+  SCHEDULE_TYPES,
+  SILENCE_DURATIONS,
+  activeSilences,
+  nextWindow,
+  createSilenceDraft,
+  createCronSchedule,
+  validateSilence,
+  describeScope,
+  describeSchedule,
+} from './silences.js';
+import { ChipGroup, toLocalInput } from './ChronicleExport.jsx';
+import { t, formatDateTime } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+const KIND_ICONS = {
+  [SILENCE_KINDS.MAINTENANCE]: Wrench,
+  [SILENCE_KINDS.SILENCE]: BellOff,
+};
+
+// Windows open and close on the minute, so the list is re-evaluated on that cadence
+const CLOCK_TICK_MS = 30 * 1000;
+
+const useClock = () => {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+  return now;
+};
+
+const fromLocalInput = (value) => (value ? new Date(value).getTime() : NaN);
+
+// An ad-hoc silence always starts when it is saved; its end follows the chosen duration
+const effectiveDraft = (draft, durationMinutes, now = Date.now()) => (draft.kind === SILENCE_KINDS.SILENCE
+  ? { ...draft, schedule: { type: SCHEDULE_TYPES.ONCE, startsAtMs: now, endsAtMs: now + durationMinutes * 60000 } }
+  : draft);
+
+/**
+ * Penanda insiden yang pelanggarannya diredam jendela pemeliharaan atau silence.
+ * @param {object} props.incident
+ * @param {object[]} props.silences - Dokumen odas_silences yang dimuat panel (alasan ditampilkan bila ditemukan).
+ */
+export const SuppressedTag = ({ incident, silences }) => {
+  if (!incident.suppressed) return null;
+  const silence = silences.find(item => item.id === incident.suppressedBy);
+  return (
+    <p className="text-xs text-sky-300 mt-1 flex items-center">
+      <BellOff className="w-3 h-3 mr-1" />
+      {silence
+        ? t('silences.tag.suppressedBy', { kind: SILENCE_KIND_LABELS[silence.kind], reason: silence.reason })
+        : t('silences.tag.suppressed')}
+    </p>
+  );
+};
+
+// --- CREATE FORM (operator) ---
+const SilenceForm = ({ assets, rules, onCreate, onCancel }) => {
+  const [draft, setDraft] = useState(() => createSilenceDraft(SILENCE_KINDS.SILENCE));
+  const [durationMinutes, setDurationMinutes] = useState(SILENCE_DURATIONS[1]);
+  const [isSaving, setIsSaving] = useState(false);
+  const { schedule } = draft;
+
+  const errors = useMemo(() => validateSilence(effectiveDraft(draft, durationMinutes)), [draft, durationMinutes]);
+
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+  const updateScope = (patch) => setDraft(prev => ({ ...prev, scope: { ...prev.scope, ...patch } }));
+  const updateSchedule = (patch) => setDraft(prev => ({ ...prev, schedule: { ...prev.schedule, ...patch } }));
+
+  const selectKind = (kind) => setDraft(prev => ({ ...createSilenceDraft(kind), reason: prev.reason, scope: prev.scope }));
+  const selectScheduleType = (type) => update({
+    schedule: type === SCHEDULE_TYPES.CRON ? createCronSchedule() : createSilenceDraft(SILENCE_KINDS.MAINTENANCE).schedule,
+  });
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onCreate(effectiveDraft(draft, durationMinutes));
+      onCancel();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg border border-gray-700 space-y-3">
+      <div className="flex gap-2">
+        {Object.values(SILENCE_KINDS).map((kind) => {
+          const KindIcon = KIND_ICONS[kind];
+          return (
+            <button
+              key={kind}
+              type="button"
+              onClick={() => selectKind(kind)}
+              className={`flex items-center px-3 py-1 rounded-lg text-xs font-semibold border ${draft.kind === kind ? 'border-cyan-500 bg-cyan-900 text-white' : 'border-gray-600 text-gray-400'}`}
+            >
+              <KindIcon className="w-4 h-4 mr-1" /> {SILENCE_KIND_LABELS[kind]}
+            </button>
+          );
+        })}
+      </div>
+      <label className={labelClass}>
+        {t('silences.reason')}
+        <input
+          type="text"
+          value={draft.reason}
+          onChange={(e) => update({ reason: e.target.value })}
+          placeholder={t('silences.reasonPlaceholder')}
+          className={inputClass}
+        />
+      </label>
+      <ChipGroup
+        label={t('chronicle.column.path')}
+        options={RULE_PATHS.map(path => [path, pathLabel(path)])}
+        selected={draft.scope.paths}
+        onChange={(paths) => updateScope({ paths })}
+      />
+      <ChipGroup
+        label={t('assetUi.asset')}
+        options={[DEFAULT_ASSET, ...assets.filter(asset => !asset.archived)].map(asset => [asset.id, asset.name])}
+        selected={draft.scope.assetIds}
+        onChange={(assetIds) => updateScope({ assetIds })}
+      />
+      <ChipGroup
+        label={t('silences.rules')}
+        options={rules.map(rule => [rule.id, rule.name])}
+        selected={draft.scope.ruleIds}
+        onChange={(ruleIds) => updateScope({ ruleIds })}
+      />
+
+      {draft.kind === SILENCE_KINDS.SILENCE ? (
+        <label className={`${labelClass} max-w-xs`}>
+          {t('silences.duration')}
+          <select value={durationMinutes} onChange={(e) => setDurationMinutes(Number(e.target.value))} className={inputClass}>
+            {SILENCE_DURATIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{t('silences.durationOption', { minutes })}</option>
+            ))}
+          </select>
+        </label>
+      ) : (
+        <>
+          <label className={`${labelClass} max-w-xs`}>
+            {t('silences.scheduleType')}
+            <select value={schedule.type} onChange={(e) => selectScheduleType(e.target.value)} className={inputClass}>
+              <option value={SCHEDULE_TYPES.ONCE}>{t('silences.scheduleType.once')}</option>
+              <option value={SCHEDULE_TYPES.CRON}>{t('silences.scheduleType.cron')}</option>
+            </select>
+          </label>
+          {schedule.type === SCHEDULE_TYPES.ONCE ? (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <label className={labelClass}>
+                {t('chronicleUi.from')}
+                <input
+                  type="datetime-local"
+                  value={Number.isFinite(schedule.startsAtMs) ? toLocalInput(schedule.startsAtMs) : ''}
+                  onChange={(e) => updateSchedule({ startsAtMs: fromLocalInput(e.target.value) })}
+                  className={inputClass}
+                />
+              </label>
+              <label className={labelClass}>
+                {t('chronicleUi.to')}
+                <input
+                  type="datetime-local"
+                  value={Number.isFinite(schedule.endsAtMs) ? toLocalInput(schedule.endsAtMs) : ''}
+                  onChange={(e) => updateSchedule({ endsAtMs: fromLocalInput(e.target.value) })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <label className={labelClass}>
+                {t('silences.cron')}
+                <input
+                  type="text"
+                  value={schedule.cron}
+                  onChange={(e) => updateSchedule({ cron: e.target.value })}
+                  className={`${inputClass} font-mono`}
+                />
+                <span className="block mt-1 normal-case font-normal text-gray-500">{t('silences.cronHint')}</span>
+              </label>
+              <label className={labelClass}>
+                {t('silences.windowMinutes')}
+                <input
+                  type="number"
+                  min="1"
+                  value={schedule.durationMinutes ?? ''}
+                  onChange={(e) => updateSchedule({ durationMinutes: e.target.value === '' ? null : Number(e.target.value) })}
+                  className={inputClass}
+                />
+              </label>
+              <label className={labelClass}>
+                {t('silences.until')}
+                <input
+                  type="datetime-local"
+                  value={typeof schedule.untilMs === 'number' ? toLocalInput(schedule.untilMs) : ''}
+                  onChange={(e) => updateSchedule({ untilMs: e.target.value ? fromLocalInput(e.target.value) : null })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+          )}
+        </>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-400 space-y-1">
+          {errors.map(error => (
+            <li key={error} className="flex items-center"><AlertTriangle className="w-3 h-3 mr-1" /> {error}</li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          disabled={errors.length > 0 || isSaving}
+          className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-cyan-700 text-white disabled:opacity-50"
+        >
+          <Save className="w-4 h-4 mr-2" /> {t('silences.save')}
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm text-gray-400 hover:text-white">
+          {t('silences.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- SILENCE PANEL (ODAS & GCP) ---
+/**
+ * Jendela pemeliharaan dan silence yang sedang berlaku, jendela pemeliharaan berikutnya, dan formulir pembuatannya.
+ * @param {object[]} props.silences - Dokumen odas_silences (silencesQuery()).
+ * @param {object[]} props.assets - Registry aset (nama dan pilihan cakupan).
+ * @param {object[]} props.rules - Set aturan aktif (nama dan pilihan cakupan).
+ * @param {boolean} props.canEdit - PERMISSIONS.silenceAlerts.
+ * @param {Function} props.onCreate - onCreate(draft)
+ * @param {Function} props.onEnd - onEnd(silence), mengakhiri lebih awal.
+ */
+const SilencePanel = ({ silences, assets, rules, canEdit, onCreate, onEnd }) => {
+  const now = useClock();
+  const [isCreating, setIsCreating] = useState(false);
+  const names = useMemo(() => ({
+    assets: Object.fromEntries([DEFAULT_ASSET, ...assets].map(asset => [asset.id, asset.name])),
+    rules: Object.fromEntries(rules.map(rule => [rule.id, rule.name])),
+  }), [assets, rules]);
+
+  const active = useMemo(() => activeSilences(silences, now).sort((a, b) => a.window.endMs - b.window.endMs), [silences, now]);
+  const upcoming = useMemo(() => silences
+    .filter(silence => silence.kind === SILENCE_KINDS.MAINTENANCE && !active.some(entry => entry.id === silence.id))
+    .map(silence => ({ ...silence, window: nextWindow(silence, now) }))
+    .filter(silence => silence.window)
+    .sort((a, b) => a.window.startMs - b.window.startMs), [silences, active, now]);
+
+  const renderEntry = (silence, isActive) => {
+    const KindIcon = KIND_ICONS[silence.kind] || BellOff;
+    return (
+      <li key={silence.id} className={`p-3 rounded-lg border ${isActive ? 'bg-sky-900/30 border-sky-700' : 'bg-gray-800 border-gray-700'}`}>
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <p className="text-sm font-semibold text-sky-200 flex items-center">
+              <KindIcon className="w-4 h-4 mr-1" /> {SILENCE_KIND_LABELS[silence.kind]} · {describeScope(silence, names)}
+            </p>
+            <p className="text-xs text-gray-300 mt-1">{silence.reason}</p>
+            <p className="text-xs text-gray-400 mt-1">
+              {isActive
+                ? t('silences.activeUntil', { at: formatDateTime(silence.window.endMs) })
+                : t('silences.nextWindow', { from: formatDateTime(silence.window.startMs), to: formatDateTime(silence.window.endMs) })}
+              {silence.schedule.type === SCHEDULE_TYPES.CRON && <> · {describeSchedule(silence.schedule)}</>}
+              {silence.createdBy && <> · {t('silences.createdBy', { user: silence.createdBy })}</>}
+            </p>
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => onEnd(silence)}
+              className="flex items-center text-xs text-gray-400 hover:text-red-400 whitespace-nowrap"
+              title={isActive ? t('silences.end') : t('silences.cancelSchedule')}
+            >
+              <X className="w-4 h-4 mr-1" /> {isActive ? t('silences.end') : t('silences.cancelSchedule')}
+            </button>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-300 flex items-center">
+          <BellOff className="w-4 h-4 mr-2 text-sky-400" /> {t('silences.active', { count: active.length })}
+        </h3>
+        {canEdit && !isCreating && (
+          <button onClick={() => setIsCreating(true)} className="flex items-center text-xs text-cyan-400 hover:text-cyan-300">
+            <Plus className="w-4 h-4 mr-1" /> {t('silences.create')}
+          </button>
+        )}
+      </div>
+      {isCreating && <SilenceForm assets={assets} rules={rules} onCreate={onCreate} onCancel={() => setIsCreating(false)} />}
+      {active.length > 0 ? (
+        <ul className="space-y-2">{active.map(silence => renderEntry(silence, true))}</ul>
+      ) : (
+        <p className="text-xs text-green-400 flex items-center"><CheckCircle className="w-3 h-3 mr-1" /> {t('silences.none')}</p>
+      )}
+      {upcoming.length > 0 && (
+        <>
+          <h4 className="text-xs text-gray-400 uppercase font-semibold flex items-center">
+            <CalendarClock className="w-4 h-4 mr-1" /> {t('silences.upcoming')}
+          </h4>
+          <ul className="space-y-2">{upcoming.map(silence => renderEntry(silence, false))}</ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SilencePanel;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Database } from 'lucide-react';
+import { STORAGE_KINDS, STORAGE_PREFERENCE_KEY } from './storage.js';
+import { t } from './i18n.js';
+
+// --- STORAGE SWITCHER (footer kedua panel) ---
+// Pilihan disimpan di localStorage lalu halaman dimuat ulang agar backend dibuka dari awal.
+const StorageSwitcher = ({ storageKind, storageError }) => {
+  const handleChange = (event) => {
+    window.localStorage.setItem(STORAGE_PREFERENCE_KEY, event.target.value);
+    window.location.reload();
+  };
+
+  return (
+    <span className="inline-flex items-center gap-2">
+      <Database className="w-3 h-3" />
+      <select
+        value={storageKind || ''}
+        onChange={handleChange}
+        className="bg-gray-900 border border-gray-700 rounded px-1 py-0.5 text-xs text-gray-300"
+      >
+        {!storageKind && <option value="">{t('storage.connecting')}</option>}
+        {Object.entries(STORAGE_KINDS).map(([kind, label]) => (
+          <option key={kind} value={kind}>{label}</option>
+        ))}
+      </select>
+      {storageError && <span className="text-red-400">{storageError}</span>}
+    </span>
+  );
+};
+
+export default StorageSwitcher;
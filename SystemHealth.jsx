@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Activity, Save, Settings, AlertTriangle, CheckCircle } from 'lucide-react';
+import { RULE_SEVERITIES, severityLabel } from './ruleEngine.js';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import {
+  HEALTH_STATUS,
+  HEALTH_STATUS_LABELS,
+  HEALTH_COMPONENTS,
+  HEALTH_COMPONENT_LABELS,
+  validateHealthConfig,
+  describeHealthReason,
+} from './healthModel.js';
+import { Sparkline } from './MetricCharts.jsx';
+import { t, formatNumber } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+
+export const HEALTH_STATUS_CLASSES = {
+  [HEALTH_STATUS.OPTIMAL]: { text: 'text-green-400', border: 'border-green-600', line: '#4ade80' },
+  [HEALTH_STATUS.WARNING]: { text: 'text-yellow-400', border: 'border-yellow-600', line: '#facc15' },
+  [HEALTH_STATUS.CRITICAL]: { text: 'text-red-400', border: 'border-red-600', line: '#f87171' },
+  [HEALTH_STATUS.OFFLINE]: { text: 'text-gray-400', border: 'border-gray-700', line: '#9ca3af' },
+};
+
+// Maximum number of reasons listed under "why this status"
+const MAX_REASONS = 6;
+
+const formatScore = (score) => (score === null ? '-' : formatNumber(score, 0));
+
+const trendPoints = (trend, scoreOf) => trend
+  .map(point => ({ t: point.at, value: scoreOf(point) }))
+  .filter(point => point.value !== null);
+
+// --- PATH CARD ---
+const PathHealthCard = ({ path, health, trend }) => {
+  const classes = HEALTH_STATUS_CLASSES[health.status];
+  return (
+    <div className={`bg-gray-800 p-4 rounded-xl border ${classes.border}`}>
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-300">{pathLabel(path)}</h3>
+        <span className={`text-xs font-semibold ${classes.text}`}>{HEALTH_STATUS_LABELS[health.status]}</span>
+      </div>
+      <p className={`text-3xl font-extrabold mt-1 ${classes.text}`}>{formatScore(health.score)}</p>
+      <Sparkline points={trendPoints(trend, point => point.paths[path].score)} color={classes.line} />
+      <ul className="mt-2 space-y-1 text-xs text-gray-400">
+        {HEALTH_COMPONENTS.map(key => (
+          <li key={key} className="flex justify-between">
+            <span>{HEALTH_COMPONENT_LABELS[key]}</span>
+            <span className="font-mono text-gray-300">{formatScore(health.components[key])}</span>
+          </li>
+        ))}
+      </ul>
+      {health.reasons.slice(0, 2).map((entry, index) => (
+        <p key={`${entry.key}-${index}`} className="mt-2 text-xs text-gray-500 italic">{describeHealthReason(entry)}</p>
+      ))}
+    </div>
+  );
+};
+
+// --- SETTINGS FORM (admin) ---
+const NumberField = ({ label, value, onChange, step = 1 }) => (
+  <label className={labelClass}>
+    {label}
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={value}
+      onChange={event => onChange(event.target.value === '' ? null : Number(event.target.value))}
+      className={inputClass}
+    />
+  </label>
+);
+
+const WeightGroup = ({ title, keys, labels, values, onChange }) => (
+  <div>
+    <p className={labelClass}>{title}</p>
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+      {keys.map(key => (
+        <NumberField
+          key={key}
+          label={labels(key)}
+          value={values[key] ?? ''}
+          step={0.1}
+          onChange={value => onChange({ ...values, [key]: value })}
+        />
+      ))}
+    </div>
+  </div>
+);
+
+const HealthSettingsForm = ({ config, onSave }) => {
+  const [draft, setDraft] = useState(config);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset draft when the stored configuration changes
+  useEffect(() => {
+    setDraft(config);
+  }, [config]);
+
+  const errors = useMemo(() => validateHealthConfig(draft), [draft]);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(config);
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <NumberField label={t('healthUi.windowMinutes')} value={draft.windowMinutes ?? ''} onChange={value => update({ windowMinutes: value })} />
+        <NumberField label={t('healthUi.halfLifeMinutes')} value={draft.halfLifeMinutes ?? ''} onChange={value => update({ halfLifeMinutes: value })} />
+        <NumberField
+          label={t('healthUi.fullHeadroom')}
+          value={typeof draft.fullHeadroom === 'number' ? Math.round(draft.fullHeadroom * 100) : ''}
+          onChange={value => update({ fullHeadroom: value === null ? null : value / 100 })}
+        />
+        <NumberField label={t('healthUi.openIncidentLimit')} value={draft.openIncidentLimit ?? ''} onChange={value => update({ openIncidentLimit: value })} />
+        <NumberField label={t('healthUi.recentIncidentLimit')} value={draft.recentIncidentLimit ?? ''} onChange={value => update({ recentIncidentLimit: value })} />
+        <NumberField
+          label={t('healthUi.thresholdOptimal')}
+          value={draft.thresholds.optimal ?? ''}
+          onChange={value => update({ thresholds: { ...draft.thresholds, optimal: value } })}
+        />
+        <NumberField
+          label={t('healthUi.thresholdWarning')}
+          value={draft.thresholds.warning ?? ''}
+          onChange={value => update({ thresholds: { ...draft.thresholds, warning: value } })}
+        />
+      </div>
+      <WeightGroup
+        title={t('healthUi.componentWeights')}
+        keys={HEALTH_COMPONENTS}
+        labels={key => HEALTH_COMPONENT_LABELS[key]}
+        values={draft.weights}
+        onChange={weights => update({ weights })}
+      />
+      <WeightGroup
+        title={t('healthUi.pathWeights')}
+        keys={RULE_PATHS}
+        labels={pathLabel}
+        values={draft.pathWeights}
+        onChange={pathWeights => update({ pathWeights })}
+      />
+      <WeightGroup
+        title={t('healthUi.severityWeights')}
+        keys={RULE_SEVERITIES}
+        labels={severityLabel}
+        values={draft.severityWeights}
+        onChange={severityWeights => update({ severityWeights })}
+      />
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-400 space-y-1">
+          {errors.map(error => (
+            <li key={error} className="flex items-center"><AlertTriangle className="w-3 h-3 mr-1" /> {error}</li>
+          ))}
+        </ul>
+      )}
+      <button
+        onClick={handleSave}
+        disabled={!isDirty || errors.length > 0 || isSaving}
+        className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-cyan-700 text-white disabled:opacity-50"
+      >
+        <Save className="w-4 h-4 mr-2" /> {t('healthUi.save')}
+      </button>
+    </div>
+  );
+};
+
+// --- SYSTEM HEALTH PANEL (GCP) ---
+/**
+ * Rincian kesehatan per jalur, tren sepanjang jendela waktu, dan alasan status saat ini.
+ * @param {object[]} props.trend - Hasil healthTrend(); titik terakhir = kondisi saat ini.
+ */
+const SystemHealthPanel = ({ trend, config, error, canEdit, onSaveConfig }) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const health = trend[trend.length - 1];
+  const classes = HEALTH_STATUS_CLASSES[health.status];
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-xs text-red-400">{t('healthUi.loadFailed', { error })}</p>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Skor keseluruhan & alasan */}
+        <div className={`bg-gray-800 p-4 rounded-xl border ${classes.border}`}>
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-300 flex items-center">
+              <Activity className="w-4 h-4 mr-2" /> {t('healthUi.trend', { minutes: config.windowMinutes })}
+            </h3>
+            <span className={`text-xs font-semibold ${classes.text}`}>{HEALTH_STATUS_LABELS[health.status]}</span>
+          </div>
+          <p className={`text-3xl font-extrabold mt-1 ${classes.text}`}>{t('healthUi.score', { score: formatScore(health.score) })}</p>
+          <Sparkline points={trendPoints(trend, point => point.score)} color={classes.line} height={40} />
+
+          <h4 className="text-xs font-semibold text-gray-400 uppercase mt-4 mb-2">{t('healthUi.why')}</h4>
+          {health.score === null ? (
+            <p className="text-xs text-gray-500">{t('healthUi.offline')}</p>
+          ) : health.reasons.length > 0 ? (
+            <ul className="space-y-1 text-xs text-gray-300">
+              {health.reasons.slice(0, MAX_REASONS).map((entry, index) => (
+                <li key={`${entry.path}-${entry.key}-${index}`} className="flex justify-between gap-2">
+                  <span><span className="text-gray-500">[{pathLabel(entry.path)}]</span> {describeHealthReason(entry)}</span>
+                  <span className="font-mono text-red-300 whitespace-nowrap">−{formatNumber(entry.impact, 1)}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-green-400 flex items-center"><CheckCircle className="w-3 h-3 mr-1" /> {t('healthUi.allClear')}</p>
+          )}
+        </div>
+
+        {/* Rincian per jalur */}
+        <div className="lg:col-span-2 grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {RULE_PATHS.map(path => (
+            <PathHealthCard key={path} path={path} health={health.paths[path]} trend={trend} />
+          ))}
+        </div>
+      </div>
+
+      {canEdit && (
+        <div>
+          <button
+            onClick={() => setShowSettings(prev => !prev)}
+            className="flex items-center text-xs text-cyan-400 hover:text-cyan-300 mb-2"
+          >
+            <Settings className="w-4 h-4 mr-1" /> {t('healthUi.settings')}
+          </button>
+          {showSettings && <HealthSettingsForm config={config} onSave={onSaveConfig} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SystemHealthPanel;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, LogIn, Link2, Trash2, Copy, LogOut, ShieldCheck } from 'lucide-react';
+import {
+  WORKSPACE_ROLES,
+  ROLE_LABELS,
+  can,
+  isInvitationUsable,
+  invitationLink,
+} from './workspaces.js';
+import {
+  createWorkspace,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  changeMemberRole,
+  removeMember,
+  leaveWorkspace,
+} from './workspaceActions.js';
+import { switchWorkspace } from './useOdasStorage.js';
+import { t, formatDate } from './i18n.js';
+
+const inputClass = 'mt-1 w-full bg-gray-900 border border-gray-600 rounded-lg p-2 text-sm text-white font-normal normal-case';
+const labelClass = 'block text-xs text-gray-400 uppercase font-semibold';
+const buttonClass = 'bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40 text-white text-sm font-semibold px-4 py-2 rounded-lg flex items-center';
+
+const ROLE_HINTS = {
+  [WORKSPACE_ROLES.VIEWER]: t('workspaceUi.roleHint.viewer'),
+  [WORKSPACE_ROLES.OPERATOR]: t('workspaceUi.roleHint.operator'),
+  [WORKSPACE_ROLES.ADMIN]: t('workspaceUi.roleHint.admin'),
+};
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    disabled={disabled}
+    onChange={(e) => onChange(e.target.value)}
+    className="bg-gray-900 border border-gray-600 rounded-lg p-1 text-xs text-white disabled:opacity-60"
+  >
+    {Object.values(WORKSPACE_ROLES).map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+  </select>
+);
+
+// --- TEAM WORKSPACE SCREEN: create/join workspaces, members, roles and invitations ---
+const WorkspaceManager = ({ storage, workspace, role, userId }) => {
+  const [newName, setNewName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [inviteRole, setInviteRole] = useState(WORKSPACE_ROLES.OPERATOR);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [ownerId, setOwnerId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+  const isTeam = Boolean(workspace && workspace.id);
+  const isAdmin = can(role, 'manageMembers');
+
+  useEffect(() => {
+    if (!storage || !isTeam) return;
+
+    const unsubscribeMembers = storage.repositories.members.subscribe(setMembers, (subscribeError) => {
+        console.error("Failed to fetch workspace members:", subscribeError);
+    });
+    const unsubscribeWorkspace = storage.directory.workspaces.subscribeDoc(workspace.id, (data) => {
+        setOwnerId(data ? data.ownerId : null);
+    }, (subscribeError) => {
+        console.error("Failed to fetch workspace:", subscribeError);
+    });
+
+    return () => {
+        unsubscribeMembers();
+        unsubscribeWorkspace();
+    };
+  }, [storage, isTeam, workspace]);
+
+  useEffect(() => {
+    if (!storage || !isTeam || !isAdmin) return;
+
+    const unsubscribe = storage.directory.invitations.subscribe(setInvitations, (subscribeError) => {
+        console.error("Failed to fetch invitations:", subscribeError);
+    }, { where: [['workspaceId', '==', workspace.id]] });
+
+    return () => unsubscribe();
+  }, [storage, isTeam, isAdmin, workspace]);
+
+  // Runs a write, surfacing failures (e.g. a rule rejection) next to the form
+  const run = async (action, label) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      return await action();
+    } catch (actionError) {
+      console.error(`Failed to ${label}:`, actionError);
+      setError(actionError.message);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const workspaceId = await run(() => createWorkspace(storage, newName, userId), 'create workspace');
+    if (workspaceId) switchWorkspace(workspaceId);
+  };
+
+  const handleJoin = async () => {
+    const code = joinCode.trim().replace(/^.*[?&]invite=/, '');
+    const joined = await run(() => acceptInvitation(storage, code, userId), 'accept invitation');
+    if (joined) switchWorkspace(joined.workspaceId);
+  };
+
+  const handleLeave = async () => {
+    const left = await run(() => leaveWorkspace(storage, storage.repositories.members, workspace.id, userId).then(() => true), 'leave workspace');
+    if (left) switchWorkspace(null);
+  };
+
+  const activeInvitations = invitations
+    .filter(invitation => isInvitationUsable(invitation))
+    .sort((a, b) => b.expiresAtMs - a.expiresAtMs);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 space-y-4">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('workspaceUi.active')}</h3>
+          <p className="text-lg font-bold text-white mt-1">{workspace ? workspace.name : '-'}</p>
+          <p className="text-xs text-gray-400">{t('workspaceUi.yourRole', { role: role ? ROLE_LABELS[role] : t('workspaceUi.noAccess') })}{role && ` — ${ROLE_HINTS[role]}`}</p>
+          {isTeam && ownerId !== userId && (
+            <button onClick={handleLeave} disabled={isBusy} className="mt-2 text-xs text-red-300 hover:text-red-200 flex items-center">
+              <LogOut className="w-3 h-3 mr-1" /> {t('workspaceUi.leave')}
+            </button>
+          )}
+        </div>
+        <label className={labelClass}>
+          {t('workspaceUi.newTeam')}
+          <input className={inputClass} value={newName} onChange={(e) => setNewName(e.target.value)} placeholder={t('workspaceUi.newTeamPlaceholder')} />
+        </label>
+        <button onClick={handleCreate} disabled={isBusy || !newName.trim()} className={buttonClass}>
+          <Plus className="w-4 h-4 mr-1" /> {t('workspaceUi.create')}
+        </button>
+        <label className={labelClass}>
+          {t('workspaceUi.joinCode')}
+          <input className={inputClass} value={joinCode} onChange={(e) => setJoinCode(e.target.value)} />
+        </label>
+        <button onClick={handleJoin} disabled={isBusy || !joinCode.trim()} className={buttonClass}>
+          <LogIn className="w-4 h-4 mr-1" /> {t('workspaceUi.join')}
+        </button>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+      </div>
+
+      <div className="bg-gray-800 p-4 rounded-xl border border-gray-700 lg:col-span-2 space-y-4">
+        {!isTeam ? (
+          <p className="text-sm text-gray-400">
+            {t('workspaceUi.personalHint')}
+          </p>
+        ) : (
+          <>
+            <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('workspaceUi.members', { count: members.length })}</h3>
+            <table className="w-full text-sm">
+              <tbody>
+                {members.map(member => (
+                  <tr key={member.id} className="border-t border-gray-700">
+                    <td className="py-2 font-mono text-xs text-gray-300">
+                      {member.id}{member.id === userId && ` ${t('workspaceUi.you')}`}
+                      {member.id === ownerId && <ShieldCheck className="w-3 h-3 inline ml-1 text-cyan-400" />}
+                    </td>
+                    <td className="py-2">
+                      <RoleSelect
+                        value={member.role}
+                        disabled={!isAdmin || isBusy || member.id === ownerId}
+                        onChange={(next) => run(() => changeMemberRole(storage.repositories.members, member.id, next, userId), 'change member role')}
+                      />
+                    </td>
+                    <td className="py-2 text-right">
+                      {isAdmin && member.id !== ownerId && member.id !== userId && (
+                        <button
+                          onClick={() => run(() => removeMember(storage.repositories.members, member.id), 'remove member')}
+                          disabled={isBusy}
+                          className="text-red-300 hover:text-red-200"
+                          title={t('workspaceUi.removeMember')}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {isAdmin && (
+              <div className="border-t border-gray-700 pt-4 space-y-3">
+                <h3 className="text-sm font-semibold text-gray-400 uppercase">{t('workspaceUi.invitations')}</h3>
+                <div className="flex items-center gap-2">
+                  <RoleSelect value={inviteRole} onChange={setInviteRole} disabled={isBusy} />
+                  <button
+                    onClick={() => run(() => createInvitation(storage.directory, workspace, inviteRole, userId), 'create invitation')}
+                    disabled={isBusy}
+                    className={buttonClass}
+                  >
+                    <Link2 className="w-4 h-4 mr-1" /> {t('workspaceUi.createInvitation')}
+                  </button>
+                </div>
+                {activeInvitations.map(invitation => {
+                  const link = invitationLink(invitation.id, window.location.href);
+                  return (
+                    <div key={invitation.id} className="flex items-center gap-2 text-xs bg-gray-900 p-2 rounded-lg border border-gray-700">
+                      <span className="text-cyan-300 font-semibold">{ROLE_LABELS[invitation.role]}</span>
+                      <span className="font-mono text-gray-300 truncate flex-1">{link}</span>
+                      <span className="text-gray-500 whitespace-nowrap">{t('workspaceUi.until', { date: formatDate(invitation.expiresAtMs) })}</span>
+                      <button onClick={() => navigator.clipboard.writeText(link)} className="text-gray-400 hover:text-white" title={t('workspaceUi.copyLink')}>
+                        <Copy className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => run(() => revokeInvitation(storage.directory, invitation.id), 'revoke invitation')}
+                        disabled={isBusy}
+                        className="text-red-300 hover:text-red-200"
+                        title={t('workspaceUi.revoke')}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  );
+                })}
+                {activeInvitations.length === 0 && <p className="text-xs text-gray-500">{t('workspaceUi.noInvitations')}</p>}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceManager;
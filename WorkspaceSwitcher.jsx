@@ -0,0 +1,32 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import { ROLE_LABELS, PERSONAL_WORKSPACE_NAME } from './workspaces.js';
+import { switchWorkspace } from './useOdasStorage.js';
+import { t } from './i18n.js';
+
+// --- WORKSPACE SWITCHER (footer kedua panel) ---
+// Pilihan disimpan di localStorage lalu halaman dimuat ulang (lihat switchWorkspace).
+const WorkspaceSwitcher = ({ workspace, role, memberships }) => {
+  const activeId = workspace ? workspace.id || '' : '';
+  const listed = memberships.some(item => item.id === activeId);
+
+  return (
+    <span className="inline-flex items-center gap-2">
+      <Users className="w-3 h-3" />
+      <select
+        value={activeId}
+        onChange={(event) => switchWorkspace(event.target.value || null)}
+        className="bg-gray-900 border border-gray-700 rounded px-1 py-0.5 text-xs text-gray-300"
+      >
+        <option value="">{PERSONAL_WORKSPACE_NAME}</option>
+        {activeId && !listed && <option value={activeId}>{(workspace && workspace.name) || activeId}</option>}
+        {memberships.map(item => (
+          <option key={item.id} value={item.id}>{item.name}</option>
+        ))}
+      </select>
+      <span className={role ? 'text-gray-400' : 'text-red-400'}>{role ? ROLE_LABELS[role] : t('workspace.noAccess')}</span>
+    </span>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,175 @@
+// --- ODAS STATISTICAL ANOMALY DETECTION ---
+//
+// ODAS menghitung baseline sendiri untuk setiap metrik, berdampingan dengan batas statis:
+//   - zscore   : rata-rata & deviasi standar jendela bergulir (N sampel terakhir)
+//   - ewma     : rata-rata & varians berbobot eksponensial
+//   - seasonal : rata-rata & deviasi standar per jam-dalam-sehari, dipelajari dari riwayat scan
+// Aturan dapat memakai kondisi { metric, baseline: 'zscore'|'ewma'|'seasonal', op, value },
+// yang membandingkan deviasi absolut |z| terhadap value.
+
+import { PATH_METRIC_KEYS } from './paths.js';
+import { t } from './i18n.js';
+
+export const BASELINE_METHODS = ['zscore', 'ewma', 'seasonal'];
+
+export const BASELINE_LABELS = {
+  zscore: t('baseline.zscore'),
+  ewma: 'EWMA',
+  seasonal: t('baseline.seasonal'),
+};
+
+export const BASELINE_CONFIG = {
+  windowSize: 60, // 60 sampel = 5 menit pada interval scan 5 detik
+  ewmaAlpha: 0.1,
+  minSamples: 12, // baseline belum dipakai sebelum cukup data
+  defaultK: 3, // lebar rentang normal (mean +/- k * std) untuk aturan non-statistik
+};
+
+export const createBaselineState = () => ({ window: {}, ewma: {}, seasonal: {} });
+
+const hourOf = (t) => new Date(t).getHours();
+
+const fromMoments = (n, sum, sumSq) => {
+  const mean = sum / n;
+  const variance = Math.max(0, sumSq / n - mean * mean);
+  return { mean, std: Math.sqrt(variance), n };
+};
+
+/**
+ * Mempelajari baseline musiman dari rollup per jam (odas_metrics_1h) yang memiliki sumSq.
+ * @param {object} state - State baseline.
+ * @param {object[]} hourlyRollups - Dokumen rollup { t, count, sum, sumSq }.
+ * @returns {object} - State baru.
+ */
+export const seedSeasonalBaseline = (state, hourlyRollups) => {
+  const seasonal = {};
+  for (const rollup of hourlyRollups) {
+    if (!rollup.count || !rollup.sum || !rollup.sumSq) continue;
+    const hour = hourOf(rollup.t);
+    for (const key of PATH_METRIC_KEYS) {
+      if (typeof rollup.sum[key] !== 'number' || typeof rollup.sumSq[key] !== 'number') continue;
+      const buckets = seasonal[key] || (seasonal[key] = {});
+      const bucket = buckets[hour] || (buckets[hour] = { n: 0, sum: 0, sumSq: 0 });
+      bucket.n += rollup.count;
+      bucket.sum += rollup.sum[key];
+      bucket.sumSq += rollup.sumSq[key];
+    }
+  }
+  return { ...state, seasonal };
+};
+
+/**
+ * Memasukkan sampel baru ke semua baseline. Panggil SETELAH computeDeviations()
+ * agar sampel tidak membandingkan dirinya sendiri.
+ * @param {object} state - State baseline.
+ * @param {object} sample - Sampel metrik.
+ * @param {number} t - Waktu sampel (ms).
+ * @returns {object} - State baru.
+ */
+export const updateBaselines = (state, sample, t, config = BASELINE_CONFIG) => {
+  const next = { window: { ...state.window }, ewma: { ...state.ewma }, seasonal: { ...state.seasonal } };
+  const hour = hourOf(t);
+
+  for (const key of PATH_METRIC_KEYS) {
+    const value = sample[key];
+    if (typeof value !== 'number') continue;
+
+    next.window[key] = [...(state.window[key] || []), value].slice(-config.windowSize);
+
+    const previous = state.ewma[key];
+    if (!previous) {
+      next.ewma[key] = { mean: value, variance: 0, n: 1 };
+    } else {
+      const diff = value - previous.mean;
+      const increment = config.ewmaAlpha * diff;
+      next.ewma[key] = {
+        mean: previous.mean + increment,
+        variance: (1 - config.ewmaAlpha) * (previous.variance + diff * increment),
+        n: previous.n + 1,
+      };
+    }
+
+    const buckets = { ...(state.seasonal[key] || {}) };
+    const bucket = buckets[hour] || { n: 0, sum: 0, sumSq: 0 };
+    buckets[hour] = { n: bucket.n + 1, sum: bucket.sum + value, sumSq: bucket.sumSq + value * value };
+    next.seasonal[key] = buckets;
+  }
+
+  return next;
+};
+
+const describe = ({ mean, std, n }, value, k, config) => {
+  const ready = n >= config.minSamples;
+  const z = std > 0 ? (value - mean) / std : 0;
+  return { mean, std, n, ready, z, expectedLow: mean - k * std, expectedHigh: mean + k * std };
+};
+
+/**
+ * Menghitung deviasi sampel terhadap setiap baseline.
+ * @param {object} state - State baseline (sebelum sampel ini dimasukkan).
+ * @param {object} sample - Sampel metrik.
+ * @param {number} t - Waktu sampel (ms).
+ * @returns {object} - { [metric]: { zscore, ewma, seasonal } } masing-masing { mean, std, z, ready, expectedLow, expectedHigh }.
+ */
+export const computeDeviations = (state, sample, t, config = BASELINE_CONFIG) => {
+  const deviations = {};
+  const hour = hourOf(t);
+  const k = config.defaultK;
+
+  for (const key of PATH_METRIC_KEYS) {
+    const value = sample[key];
+    if (typeof value !== 'number') continue;
+    const result = {};
+
+    const windowValues = state.window[key] || [];
+    if (windowValues.length > 0) {
+      const sum = windowValues.reduce((total, item) => total + item, 0);
+      const sumSq = windowValues.reduce((total, item) => total + item * item, 0);
+      result.zscore = describe(fromMoments(windowValues.length, sum, sumSq), value, k, config);
+    }
+
+    const ewma = state.ewma[key];
+    if (ewma) {
+      result.ewma = describe({ mean: ewma.mean, std: Math.sqrt(ewma.variance), n: ewma.n }, value, k, config);
+    }
+
+    const bucket = state.seasonal[key] && state.seasonal[key][hour];
+    if (bucket && bucket.n > 0) {
+      result.seasonal = describe(fromMoments(bucket.n, bucket.sum, bucket.sumSq), value, k, config);
+    }
+
+    deviations[key] = result;
+  }
+
+  return deviations;
+};
+
+/**
+ * Skor anomali per metrik (0..1) hasil hitungan ODAS sendiri: deviasi terbesar dari baseline yang siap.
+ * @param {object} deviations - Hasil computeDeviations().
+ * @returns {object} - { [metric]: score }
+ */
+export const computeAnomalyScores = (deviations, config = BASELINE_CONFIG) => Object.fromEntries(
+  Object.entries(deviations).map(([metric, methods]) => {
+    const maxZ = Object.values(methods)
+      .filter(method => method.ready)
+      .reduce((max, method) => Math.max(max, Math.abs(method.z)), 0);
+    return [metric, Math.min(1, maxZ / (2 * config.defaultK))];
+  }),
+);
+
+/**
+ * Rentang normal untuk metrik tertentu: memakai metode yang diminta bila siap,
+ * atau metode pertama yang siap sebagai cadangan.
+ * @returns {object|null} - { method, expectedLow, expectedHigh }
+ */
+export const expectedRangeFor = (deviations, metric, method, k) => {
+  const methods = (deviations && deviations[metric]) || {};
+  const chosen = method && methods[method] && methods[method].ready
+    ? method
+    : BASELINE_METHODS.find(candidate => methods[candidate] && methods[candidate].ready);
+  if (!chosen) return null;
+  const { mean, std } = methods[chosen];
+  const width = typeof k === 'number' ? k : BASELINE_CONFIG.defaultK;
+  return { method: chosen, expectedLow: mean - width * std, expectedHigh: mean + width * std };
+};
@@ -0,0 +1,54 @@
+// --- ODAS ASSET ACTIONS ---
+//
+// Operasi tulis registry aset strategis. Menerima repository assets dari storage.js.
+// Aset tidak pernah dihapus: pengarsipan menyembunyikannya dari ringkasan dan pemindaian.
+
+import { fieldOps } from './storage.js';
+import { parseTags } from './assets.js';
+
+const toDocument = (asset) => ({
+  name: asset.name.trim(),
+  type: asset.type,
+  owner: asset.owner.trim(),
+  tags: Array.isArray(asset.tags) ? asset.tags : parseTags(asset.tags),
+  dataSource: { type: asset.dataSource.type, url: (asset.dataSource.url || '').trim() },
+  thresholdOverrides: asset.thresholdOverrides || {},
+  health: asset.health,
+});
+
+export const createAsset = (repository, asset, actor) => repository.add({
+  ...toDocument(asset),
+  archived: false,
+  createdBy: actor,
+  createdAt: fieldOps.serverTimestamp(),
+  updatedAt: fieldOps.serverTimestamp(),
+});
+
+export const updateAsset = (repository, id, asset, actor) => repository.update(id, {
+  ...toDocument(asset),
+  updatedBy: actor,
+  updatedAt: fieldOps.serverTimestamp(),
+});
+
+export const archiveAsset = (repository, id, actor) => repository.update(id, {
+  archived: true,
+  archivedBy: actor,
+  archivedAt: fieldOps.serverTimestamp(),
+  updatedAt: fieldOps.serverTimestamp(),
+});
+
+export const restoreAsset = (repository, id, actor) => repository.update(id, {
+  archived: false,
+  archivedBy: null,
+  archivedAt: null,
+  updatedBy: actor,
+  updatedAt: fieldOps.serverTimestamp(),
+});
+
+/**
+ * Kesehatan aset hasil scan ODAS (tidak mengubah updatedAt milik editor registry).
+ */
+export const recordAssetHealth = (repository, id, health) => repository.update(id, {
+  health,
+  healthUpdatedAt: fieldOps.serverTimestamp(),
+});
@@ -0,0 +1,139 @@
+// --- ODAS STRATEGIC ASSET REGISTRY ---
+//
+// Aset strategis disimpan di koleksi strategic_assets. Bentuk dokumen:
+// { name, type, owner, tags: [], dataSource: { type, url }, thresholdOverrides: { [ruleId]: nilai },
+//   health, archived, archivedAt, createdAt, updatedAt }
+// Kartu utama GCP ("Total Aset ODAS", "Skor PersonaFrame") dihitung dari dokumen-dokumen ini.
+// ODAS memindai setiap aset non-arsip secara terpisah dan memperbarui health dari hasil scan.
+
+import { DATA_SOURCE_TYPES } from './dataSources.js';
+import { t } from './i18n.js';
+
+export const ASSET_TYPES = {
+  financial: t('asset.type.financial'),
+  infrastructure: t('asset.type.infrastructure'),
+  persona: t('asset.type.persona'),
+  sensor: t('asset.type.sensor'),
+  digital: t('asset.type.digital'),
+};
+
+export const ASSET_HEALTH = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  CRITICAL: 'critical',
+  UNKNOWN: 'unknown',
+};
+
+export const ASSET_HEALTH_LABELS = {
+  [ASSET_HEALTH.HEALTHY]: t('asset.health.healthy'),
+  [ASSET_HEALTH.DEGRADED]: t('asset.health.degraded'),
+  [ASSET_HEALTH.CRITICAL]: t('asset.health.critical'),
+  [ASSET_HEALTH.UNKNOWN]: t('asset.health.unknown'),
+};
+
+// Bobot kesehatan untuk Skor PersonaFrame (rata-rata aset persona yang aktif)
+const HEALTH_SCORES = {
+  [ASSET_HEALTH.HEALTHY]: 100,
+  [ASSET_HEALTH.DEGRADED]: 50,
+  [ASSET_HEALTH.CRITICAL]: 0,
+};
+
+// Sumber data yang bisa ditautkan ke aset (replay butuh file lokal, jadi tidak disimpan)
+export const ASSET_SOURCE_TYPES = Object.keys(DATA_SOURCE_TYPES).filter(type => !DATA_SOURCE_TYPES[type].needsFile);
+
+// Aset lokal bawaan: dipindai bila registry belum berisi aset aktif, dan pemilik data lama tanpa assetId
+export const DEFAULT_ASSET_ID = 'default';
+
+export const DEFAULT_ASSET = {
+  id: DEFAULT_ASSET_ID,
+  name: t('asset.defaultName'),
+  type: 'digital',
+  owner: '',
+  tags: [],
+  dataSource: { type: 'random', url: '' },
+  thresholdOverrides: {},
+  health: ASSET_HEALTH.UNKNOWN,
+  archived: false,
+};
+
+export const createBlankAsset = () => ({
+  name: '',
+  type: 'digital',
+  owner: '',
+  tags: [],
+  dataSource: { type: 'random', url: '' },
+  thresholdOverrides: {},
+  health: ASSET_HEALTH.UNKNOWN,
+  archived: false,
+});
+
+/**
+ * Mengubah teks "a, b, c" menjadi daftar tag unik huruf kecil.
+ */
+export const parseTags = (text) => [...new Set(
+  String(text || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean),
+)];
+
+/**
+ * Membaca override batas dari teks JSON ({ "infrastruktur-latency": 300 }). Teks kosong berarti tanpa override.
+ * @returns {object} - { overrides } atau { error }
+ */
+export const parseThresholdOverrides = (text) => {
+  if (!String(text || '').trim()) return { overrides: {} };
+  try {
+    const overrides = JSON.parse(text);
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return { error: t('asset.error.overridesObject') };
+    }
+    const invalid = Object.keys(overrides).filter(ruleId => !Number.isFinite(overrides[ruleId]));
+    if (invalid.length > 0) return { error: t('asset.error.overridesNumber', { ruleIds: invalid.join(', ') }) };
+    return { overrides };
+  } catch (error) {
+    return { error: t('asset.error.invalidJson', { error: error.message }) };
+  }
+};
+
+/**
+ * Validasi aset sebelum disimpan.
+ * @param {object} asset - Draft aset.
+ * @returns {string[]} - Daftar masalah (kosong bila valid).
+ */
+export const validateAsset = (asset) => {
+  const errors = [];
+  if (!asset.name || !asset.name.trim()) errors.push(t('asset.error.name'));
+  if (!ASSET_TYPES[asset.type]) errors.push(t('asset.error.type', { type: asset.type }));
+  if (!asset.owner || !asset.owner.trim()) errors.push(t('asset.error.owner'));
+  if (!ASSET_HEALTH_LABELS[asset.health]) errors.push(t('asset.error.health', { health: asset.health }));
+  const source = asset.dataSource || {};
+  if (!ASSET_SOURCE_TYPES.includes(source.type)) {
+    errors.push(t('asset.error.source', { type: source.type }));
+  } else if (DATA_SOURCE_TYPES[source.type].needsUrl && !(source.url || '').trim()) {
+    errors.push(t('asset.error.endpoint'));
+  }
+  return errors;
+};
+
+/**
+ * Ringkasan registry untuk kartu utama GCP.
+ * @param {object[]} assets - Semua dokumen aset (termasuk yang diarsipkan).
+ * @returns {object} - { total, archived, byHealth, byType, personaRating } (personaRating null bila tidak ada aset persona)
+ */
+export const summarizeAssets = (assets) => {
+  const active = assets.filter(asset => !asset.archived);
+  const byHealth = Object.fromEntries(Object.values(ASSET_HEALTH).map(health => [health, 0]));
+  const byType = Object.fromEntries(Object.keys(ASSET_TYPES).map(type => [type, 0]));
+  for (const asset of active) {
+    byHealth[asset.health in byHealth ? asset.health : ASSET_HEALTH.UNKNOWN] += 1;
+    if (asset.type in byType) byType[asset.type] += 1;
+  }
+
+  const scored = active.filter(asset => asset.type === 'persona' && asset.health in HEALTH_SCORES);
+  const personaRating = scored.length > 0
+    ? scored.reduce((total, asset) => total + HEALTH_SCORES[asset.health], 0) / scored.length
+    : null;
+
+  return { total: active.length, archived: assets.length - active.length, byHealth, byType, personaRating };
+};
@@ -0,0 +1,155 @@
+// --- ODAS REPLAY / BACKTEST ---
+//
+// Memutar ulang deret pathData terekam melalui orchestrateControl (set aturan aktif atau usulan)
+// secepat mungkin, lalu melaporkan jumlah pemicu per aturan, timeline insiden, dan selisihnya
+// terhadap intervensi yang benar-benar tercatat.
+
+import { orchestrateControl } from './orchestration.js';
+import { reconcileIncidents, incidentKey, assetIdOf } from './incidents.js';
+import { applyThresholdOverrides, normalizeSeverity } from './ruleEngine.js';
+import { DEFAULT_ASSET } from './assets.js';
+import { createBaselineState, updateBaselines, computeDeviations } from './anomalyDetection.js';
+import { parseRecords, normalizeSample } from './dataSources.js';
+import { isScenarioFile, parseScenario, renderScenario, DEFAULT_RENDER_STEPS } from './scenarios.js';
+
+// Jarak antar sampel bila file impor tidak memiliki kolom waktu (sama dengan interval scan)
+export const DEFAULT_SCAN_INTERVAL_MS = 5000;
+
+// Toleransi pencocokan insiden simulasi dengan insiden tercatat
+export const MATCH_TOLERANCE_MS = 60 * 1000;
+
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return numeric;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Mengubah file rekaman (CSV/NDJSON) menjadi deret sampel { t, ...metrik }.
+ * Kolom waktu yang dikenali: t, timestamp, time. File skenario (.json) dirender lewat scenarios.js
+ * sehingga berakhir tepat sekarang.
+ * @param {string} text - Isi file.
+ * @param {string} fileName - Nama file (untuk menebak format).
+ * @returns {object[]}
+ */
+export const samplesFromFile = (text, fileName) => {
+  if (isScenarioFile(fileName)) {
+    const scenario = parseScenario(text);
+    const steps = scenario.steps ?? DEFAULT_RENDER_STEPS;
+    return renderScenario(scenario, Date.now() - steps * scenario.stepMs, steps);
+  }
+  const records = parseRecords(text, fileName);
+  const start = Date.now() - records.length * DEFAULT_SCAN_INTERVAL_MS;
+  return records.map((record, index) => ({
+    t: parseTime(record.t ?? record.timestamp ?? record.time) ?? start + index * DEFAULT_SCAN_INTERVAL_MS,
+    ...normalizeSample(record),
+  }));
+};
+
+const matchIncidents = (simulated, actual, tolerance) => {
+  const unmatchedActual = [...actual];
+  const matched = [];
+  const onlySimulated = [];
+
+  for (const incident of simulated) {
+    const windowEnd = (incident.closedAt ?? incident.lastSeenAt) + tolerance;
+    const index = unmatchedActual.findIndex(candidate => (
+      incidentKey(candidate) === incident.key
+      && candidate.openedAtMs >= incident.openedAt - tolerance
+      && candidate.openedAtMs <= windowEnd
+    ));
+    if (index === -1) {
+      onlySimulated.push(incident);
+    } else {
+      matched.push({ simulated: incident, actual: unmatchedActual[index] });
+      unmatchedActual.splice(index, 1);
+    }
+  }
+
+  return { matched, onlySimulated, onlyActual: unmatchedActual };
+};
+
+/**
+ * Menjalankan backtest.
+ * @param {object} options
+ * @param {object[]} options.samples - Deret { t, ...metrik }, akan diurutkan berdasarkan t.
+ * @param {object[]} options.rules - Set aturan yang diuji.
+ * @param {object[]} [options.actualIncidents] - Insiden tercatat ({ path, ruleId, openedAtMs }) untuk diff.
+ * @param {boolean} [options.useBaselines] - Hitung baseline statistik selama replay (untuk aturan deviasi).
+ * @param {object} [options.asset] - Aset yang diputar ulang (override batas & pencocokan insiden per aset).
+ * @returns {object} - { scans, range, perRule, timeline, incidents, diff }
+ */
+export const runBacktest = ({ samples, rules, actualIncidents = [], useBaselines = true, tolerance = MATCH_TOLERANCE_MS, asset = DEFAULT_ASSET }) => {
+  const series = [...samples].sort((a, b) => a.t - b.t);
+  const effectiveRules = applyThresholdOverrides(rules, asset.thresholdOverrides);
+  const perRule = Object.fromEntries(rules.map(rule => [rule.id, {
+    name: rule.name,
+    path: rule.path,
+    severity: normalizeSeverity(rule.severity),
+    breachScans: 0,
+    incidents: 0,
+    actual: 0,
+  }]));
+  const timeline = [];
+  const incidents = [];
+  let open = [];
+  let ruleState = {};
+  let baselines = createBaselineState();
+
+  for (const sample of series) {
+    const deviations = useBaselines ? computeDeviations(baselines, sample, sample.t) : {};
+    if (useBaselines) baselines = updateBaselines(baselines, sample, sample.t);
+
+    const result = orchestrateControl(sample, effectiveRules, ruleState, deviations);
+    ruleState = result.ruleState;
+    const breaches = result.interventions.map(breach => ({ ...breach, assetId: asset.id }));
+
+    for (const breach of breaches) {
+      if (perRule[breach.ruleId]) perRule[breach.ruleId].breachScans += 1;
+    }
+
+    const { toOpen, toUpdate, toClose } = reconcileIncidents(open, breaches);
+    for (const incident of toOpen) {
+      const record = { ...incident, id: `sim-${incidents.length + 1}`, openedAt: sample.t, lastSeenAt: sample.t, closedAt: null };
+      incidents.push(record);
+      open.push(record);
+      if (perRule[incident.ruleId]) perRule[incident.ruleId].incidents += 1;
+      timeline.push({ t: sample.t, type: 'open', ruleId: incident.ruleId, path: incident.path, severity: incident.severity, value: incident.lastValue });
+    }
+    for (const { id, patch } of toUpdate) {
+      const record = open.find(item => item.id === id);
+      Object.assign(record, patch, { count: record.count + 1, lastSeenAt: sample.t });
+    }
+    for (const { id } of toClose) {
+      const record = open.find(item => item.id === id);
+      record.closedAt = sample.t;
+      record.breachActive = false;
+      timeline.push({ t: sample.t, type: 'close', ruleId: record.ruleId, path: record.path, severity: record.severity, value: record.lastValue });
+    }
+    open = open.filter(item => item.closedAt === null);
+  }
+
+  const range = series.length > 0 ? { from: series[0].t, to: series[series.length - 1].t } : null;
+  const actualInRange = range
+    ? actualIncidents.filter(incident => (
+      assetIdOf(incident) === asset.id
+      && typeof incident.openedAtMs === 'number'
+      && incident.openedAtMs >= range.from - tolerance
+      && incident.openedAtMs <= range.to + tolerance
+    ))
+    : [];
+  for (const incident of actualInRange) {
+    if (perRule[incident.ruleId]) perRule[incident.ruleId].actual += 1;
+  }
+
+  return {
+    scans: series.length,
+    range,
+    perRule,
+    timeline,
+    incidents,
+    diff: matchIncidents(incidents, actualInRange, tolerance),
+  };
+};
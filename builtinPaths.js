@@ -0,0 +1,178 @@
+// --- ODAS BUILT-IN PATH PLUGINS ---
+//
+// Jalur digital bawaan sebagai plugin (lihat paths.js untuk kontrak plugin). Hanya data: didaftarkan oleh
+// paths.js dalam urutan ini, dan urutan metrik menentukan urutan tarikan RNG simulator (scenarios.js).
+// Severity ditulis sebagai kode (SEVERITY di ruleEngine.js) karena ruleEngine.js bergantung pada registry.
+
+import { t } from './i18n.js';
+
+// Batas Kritis bawaan, dipakai sebagai set aturan awal (versi 0)
+export const INTERVENTION_THRESHOLDS = {
+  // Jalur Finansial
+  MAX_VOLATILITY: 0.15, // > 15% volatilitas memerlukan intervensi
+  MIN_LIQUIDITY: 100000, // < 100K likuiditas memerlukan intervensi
+  // Jalur Infrastruktur
+  MAX_LATENCY: 150, // > 150ms latency memerlukan intervensi
+  // Jalur Persona
+  MIN_SENTIMENT: 0.40, // < 40% sentimen publik positif memerlukan intervensi
+  // Jalur Sensor
+  MAX_ANOMALY_SCORE: 0.85, // > 85% skor anomali memerlukan intervensi
+  // Jalur Kepatuhan
+  MAX_COMPLIANCE_VIOLATION: 0.10, // > 10% kontrol CCE dilanggar memerlukan intervensi
+};
+
+// Jalur Cipher Compliance Engine (CCE), ditampilkan GCP sebagai kartu Pelindung Agensi
+export const COMPLIANCE_PATH = 'Kepatuhan';
+
+export const BUILTIN_PATH_PLUGINS = [
+  {
+    id: 'Finansial',
+    icon: 'DollarSign',
+    metrics: [
+      {
+        key: 'assetVolatility',
+        format: 'pct1',
+        model: { initial: 0.05, mean: 0.06, reversion: 0.05, volatility: 0.008, trend: 0, min: 0, max: 1, seasonality: null },
+      },
+      {
+        key: 'marketLiquidity',
+        format: 'usd',
+        model: { initial: 500000, mean: 500000, reversion: 0.05, volatility: 15000, trend: 0, min: 0, max: null, seasonality: null },
+      },
+    ],
+    rules: [
+      {
+        id: 'finansial-volatility',
+        name: t('rule.finansial-volatility.name'),
+        path: 'Finansial',
+        severity: 'critical',
+        enabled: true,
+        condition: { metric: 'assetVolatility', op: '>', value: INTERVENTION_THRESHOLDS.MAX_VOLATILITY },
+        forScans: 1,
+        message: t('rule.finansial-volatility.message'),
+        messageKey: 'rule.finansial-volatility.message',
+      },
+      {
+        id: 'finansial-liquidity',
+        name: t('rule.finansial-liquidity.name'),
+        path: 'Finansial',
+        severity: 'warning',
+        enabled: true,
+        condition: { metric: 'marketLiquidity', op: '<', value: INTERVENTION_THRESHOLDS.MIN_LIQUIDITY },
+        forScans: 1,
+        message: t('rule.finansial-liquidity.message'),
+        messageKey: 'rule.finansial-liquidity.message',
+      },
+    ],
+  },
+  {
+    id: 'Infrastruktur',
+    icon: 'Cloud',
+    metrics: [
+      {
+        key: 'systemLatency',
+        format: 'ms',
+        model: { initial: 50, mean: 60, reversion: 0.1, volatility: 6, trend: 0, min: 1, max: 5000, seasonality: null },
+      },
+    ],
+    rules: [
+      {
+        id: 'infrastruktur-latency',
+        name: t('rule.infrastruktur-latency.name'),
+        path: 'Infrastruktur',
+        severity: 'critical',
+        enabled: true,
+        condition: { metric: 'systemLatency', op: '>', value: INTERVENTION_THRESHOLDS.MAX_LATENCY },
+        forScans: 1,
+        message: t('rule.infrastruktur-latency.message'),
+        messageKey: 'rule.infrastruktur-latency.message',
+      },
+      {
+        id: 'infrastruktur-latency-deviation',
+        name: t('rule.infrastruktur-latency-deviation.name'),
+        path: 'Infrastruktur',
+        severity: 'warning',
+        enabled: false,
+        condition: { metric: 'systemLatency', baseline: 'seasonal', op: '>', value: 3 },
+        forScans: 3,
+        message: t('rule.infrastruktur-latency-deviation.message'),
+        messageKey: 'rule.infrastruktur-latency-deviation.message',
+      },
+    ],
+  },
+  {
+    id: 'Persona',
+    icon: 'Heart',
+    metrics: [
+      {
+        key: 'publicSentiment',
+        format: 'pct0',
+        model: { initial: 0.8, mean: 0.75, reversion: 0.05, volatility: 0.02, trend: 0, min: 0, max: 1, seasonality: null },
+      },
+    ],
+    rules: [
+      {
+        id: 'persona-sentiment',
+        name: t('rule.persona-sentiment.name'),
+        path: 'Persona',
+        severity: 'warning',
+        enabled: true,
+        condition: { metric: 'publicSentiment', op: '<', value: INTERVENTION_THRESHOLDS.MIN_SENTIMENT },
+        forScans: 1,
+        message: t('rule.persona-sentiment.message'),
+        messageKey: 'rule.persona-sentiment.message',
+      },
+    ],
+  },
+  {
+    id: 'Sensor',
+    icon: 'Zap',
+    metrics: [
+      {
+        key: 'anomalyScore',
+        format: 'pct0',
+        model: { initial: 0.3, mean: 0.3, reversion: 0.1, volatility: 0.03, trend: 0, min: 0, max: 1, seasonality: null },
+      },
+    ],
+    rules: [
+      {
+        id: 'sensor-anomaly',
+        name: t('rule.sensor-anomaly.name'),
+        path: 'Sensor',
+        severity: 'critical',
+        enabled: true,
+        condition: { metric: 'anomalyScore', op: '>', value: INTERVENTION_THRESHOLDS.MAX_ANOMALY_SCORE },
+        forScans: 1,
+        message: t('rule.sensor-anomaly.message'),
+        messageKey: 'rule.sensor-anomaly.message',
+      },
+    ],
+  },
+  // Cipher Compliance Engine (CCE): proporsi kontrol kepatuhan yang dilanggar. Opsional agar rekaman dan feed
+  // lama tanpa kolom ini tetap valid; jalurnya lalu dinilai dari insidennya saja.
+  {
+    id: COMPLIANCE_PATH,
+    icon: 'ShieldCheck',
+    metrics: [
+      {
+        key: 'complianceViolationRate',
+        format: 'pct1',
+        optional: true,
+        model: { initial: 0.02, mean: 0.03, reversion: 0.1, volatility: 0.006, trend: 0, min: 0, max: 1, seasonality: null },
+      },
+    ],
+    rules: [
+      {
+        id: 'kepatuhan-compliance',
+        name: t('rule.kepatuhan-compliance.name'),
+        path: COMPLIANCE_PATH,
+        severity: 'critical',
+        enabled: true,
+        condition: { metric: 'complianceViolationRate', op: '>', value: INTERVENTION_THRESHOLDS.MAX_COMPLIANCE_VIOLATION },
+        forScans: 1,
+        message: t('rule.kepatuhan-compliance.message'),
+        messageKey: 'rule.kepatuhan-compliance.message',
+      },
+    ],
+  },
+];
@@ -0,0 +1,534 @@
+// --- ODAS FINALITY CHRONICLE CHAIN ---
+//
+// Finality Chronicle yang tahan rusak: setiap insiden baru disegel saat dibuka dan dirantai ke insiden sebelumnya.
+//   chainSeq       nomor urut 1, 2, 3, ... tanpa celah
+//   chainPrevHash  chainHash rekaman sebelumnya (GENESIS_HASH untuk rekaman pertama)
+//   sealed         salinan fakta pembukaan insiden (SEALED_FIELDS) yang tidak boleh berubah
+//   chainHash      SHA-256 atas JSON kanonik { seq, prevHash, sealed }
+// Perubahan siklus hidup (status, penugasan, catatan, riwayat, eskalasi, pemulihan) menandai insiden dengan lifecycleAt
+// (waktu server). Siklus scan berikutnya merantai keadaan barunya (LIFECYCLE_FIELDS) sebagai rekaman tersendiri di
+// odas_chronicle_records dengan nomor urut yang sama, asalkan perubahannya wajar terhadap rekaman sebelumnya: catatan
+// dan riwayat hanya bertambah, status/penugasan/eskalasi hanya berubah bersama entri riwayat baru, dan teks pelanggaran
+// hanya berubah selama pelanggaran masih aktif. Field yang sering berubah (count, lastValue, remediation, ...) tidak dirantai.
+// Kepala rantai (odas_scanner/chronicle-head) ditulis dalam batch outbox yang sama dengan rekamannya, sehingga rekaman
+// terakhir yang dihapus juga terdeteksi; lifecycleAtMs di kepala adalah batas perubahan yang sudah dirantai, dan
+// lifecycleFromSeq rekaman terakhir sebelum perubahan siklus hidup mulai dirantai.
+// Checkpoint (odas_chronicle_checkpoints) ditandatangani Ed25519 oleh daemon setelah segmen sejak checkpoint
+// sebelumnya terverifikasi: rantai yang ditulis ulang lengkap dengan hash barunya tetap ketahuan karena tidak lagi
+// cocok dengan checkpoint bertanda tangan. keyId penanda tangan yang dipercaya disimpan di odas_settings/chronicle.
+// verifyChronicle() dipakai panel GCP, daemon (sebelum menandatangani), dan CLI chronicleVerify.js.
+
+import { pageCursor } from './storage.js';
+import { t } from './i18n.js';
+
+export const CHRONICLE_HEAD_DOC = 'chronicle-head';
+export const CHRONICLE_SETTINGS_DOC = 'chronicle';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+export const CHRONICLE_PAGE_SIZE = 500;
+
+export const LATEST_CHECKPOINT_QUERY = { orderBy: ['seq', 'desc'], limit: 1 };
+
+// Checkpoint ditulis setiap N rekaman baru, atau bila checkpoint terakhir lebih tua dari intervalMinutes
+export const DEFAULT_CHECKPOINT_POLICY = { every: 50, intervalMinutes: 60 };
+
+export const CHAIN_ISSUE = {
+  CHANGED: 'changed',
+  BROKEN: 'broken',
+  REMOVED: 'removed',
+  DUPLICATE: 'duplicate',
+  REWRITTEN: 'rewritten',
+  CHECKPOINT: 'checkpoint',
+};
+
+// Fakta pembukaan insiden (reconcileIncidents) yang ikut disegel
+const SEALED_FIELDS = [
+  'key', 'assetId', 'ruleId', 'path', 'metric', 'severity', 'description', 'messageKey', 'messageParams',
+  'peakValue', 'expectedLow', 'expectedHigh', 'baselineMethod',
+];
+
+// Field tingkat atas yang tidak pernah diperbarui setelah insiden dibuka, dibandingkan dengan segelnya
+const IMMUTABLE_FIELDS = ['key', 'assetId', 'ruleId', 'path', 'metric'];
+
+// Keadaan siklus hidup yang dirantai setiap kali berubah (rekaman odas_chronicle_records)
+const LIFECYCLE_FIELDS = ['status', 'assignee', 'escalatedFrom', 'breachActive', 'severity', 'notes', 'history'];
+
+// Teks pelanggaran yang diperbarui scan selama pelanggaran aktif, dan dibekukan setelah pulih
+const BREACH_TEXT_FIELDS = ['description', 'messageKey', 'messageParams'];
+
+// --- HASHING & SIGNING ---
+
+const subtleCrypto = () => {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) throw new Error(t('chronicleChain.error.webCrypto'));
+  return subtle;
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => new Uint8Array((String(hex).match(/../g) || []).map(byte => parseInt(byte, 16)));
+
+// Sorted keys and no undefined values, so the same content always serializes to the same text
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(item => (item === undefined ? null : canonicalize(item)));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+};
+
+export const canonicalJson = (value) => JSON.stringify(canonicalize(value));
+
+const sha256 = async (text) => toHex(await subtleCrypto().digest('SHA-256', new TextEncoder().encode(text)));
+
+/**
+ * @param {object} record - { seq, prevHash, sealed }
+ * @returns {Promise<string>} - Hash heksadesimal.
+ */
+export const recordHash = ({ seq, prevHash, sealed }) => sha256(canonicalJson({ seq, prevHash, sealed }));
+
+// Public half of the checkpoint key as stored in each checkpoint
+const publicJwk = (x) => ({ kty: 'OKP', crv: 'Ed25519', x });
+
+export const signingKeyId = async (publicKey) => (await sha256(publicKey)).slice(0, 16);
+
+/**
+ * Membuat pasangan kunci checkpoint baru (Ed25519).
+ * @returns {Promise<object>} - { keyId, publicKey (x JWK), privateKey (JWK) }; simpan privateKey di luar storage ODAS.
+ */
+export const generateSigningKey = async () => {
+  const subtle = subtleCrypto();
+  const pair = await subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const privateKey = await subtle.exportKey('jwk', pair.privateKey);
+  return { keyId: await signingKeyId(privateKey.x), publicKey: privateKey.x, privateKey };
+};
+
+const checkpointMessage = ({ seq, hash, at }) => new TextEncoder().encode(canonicalJson({ seq, hash, at }));
+
+/**
+ * Checkpoint bertanda tangan untuk kepala rantai yang sudah diverifikasi.
+ * @param {object} signingKey - Hasil generateSigningKey().
+ * @param {object} head - { seq, hash }
+ * @param {number} [at] - Waktu checkpoint (ms).
+ * @returns {Promise<object>} - { seq, hash, at, keyId, publicKey, signature }
+ */
+export const signCheckpoint = async (signingKey, { seq, hash }, at = Date.now()) => {
+  const subtle = subtleCrypto();
+  const key = await subtle.importKey('jwk', signingKey.privateKey, { name: 'Ed25519' }, false, ['sign']);
+  const signature = await subtle.sign('Ed25519', key, checkpointMessage({ seq, hash, at }));
+  return { seq, hash, at, keyId: signingKey.keyId, publicKey: signingKey.publicKey, signature: toHex(signature) };
+};
+
+/**
+ * Tanda tangan checkpoint sah untuk kunci publik yang dibawanya, dan keyId cocok dengan kunci itu.
+ * @param {object} checkpoint
+ * @returns {Promise<boolean>}
+ */
+export const verifyCheckpointSignature = async (checkpoint) => {
+  try {
+    const subtle = subtleCrypto();
+    if (checkpoint.keyId !== await signingKeyId(checkpoint.publicKey)) return false;
+    const key = await subtle.importKey('jwk', publicJwk(checkpoint.publicKey), { name: 'Ed25519' }, false, ['verify']);
+    return await subtle.verify('Ed25519', key, fromHex(checkpoint.signature), checkpointMessage(checkpoint));
+  } catch (error) {
+    console.error("Failed to verify chronicle checkpoint:", error);
+    return false;
+  }
+};
+
+/**
+ * Temuan untuk checkpoint yang tidak boleh dijadikan jangkar: tanda tangan tidak sah, atau penanda tangan di luar
+ * trustedKeys (kosong = setiap tanda tangan yang sah diterima).
+ * @param {object} checkpoint
+ * @param {string[]} [trustedKeys]
+ * @returns {Promise<object|null>} - Issue CHAIN_ISSUE.CHECKPOINT atau null.
+ */
+export const checkpointIssue = async (checkpoint, trustedKeys = []) => {
+  if (!await verifyCheckpointSignature(checkpoint)) {
+    return { type: CHAIN_ISSUE.CHECKPOINT, seq: checkpoint.seq, id: checkpoint.id, reason: 'signature' };
+  }
+  if (trustedKeys.length > 0 && !trustedKeys.includes(checkpoint.keyId)) {
+    return { type: CHAIN_ISSUE.CHECKPOINT, seq: checkpoint.seq, id: checkpoint.id, reason: 'untrusted', keyId: checkpoint.keyId };
+  }
+  return null;
+};
+
+export const checkpointDocId = (seq) => `checkpoint-${String(seq).padStart(10, '0')}`;
+
+// --- SEALING ---
+
+const EMPTY_HEAD = { seq: 0, hash: GENESIS_HASH, recordId: null, lifecycleAtMs: 0 };
+
+export const chronicleRecordId = (seq) => `record-${String(seq).padStart(10, '0')}`;
+
+/**
+ * Kepala rantai terbaru di antara beberapa sumber (dokumen tersimpan, hasil siklus sebelumnya, ...).
+ * Pada seq yang sama, kepala dengan batas siklus hidup (lifecycleAtMs) terbaru menang.
+ * @param {...object} heads - { seq, hash, recordId, lifecycleAtMs } atau null.
+ * @returns {object|null}
+ */
+export const newerHead = (...heads) => heads
+  .filter(head => head && typeof head.seq === 'number')
+  .reduce((latest, head) => (!latest || head.seq > latest.seq
+    || (head.seq === latest.seq && (head.lifecycleAtMs || 0) > (latest.lifecycleAtMs || 0)) ? head : latest), null);
+
+const millisOf = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : null);
+
+/**
+ * Keadaan siklus hidup insiden yang dirantai.
+ * @param {object} incident - Dokumen insiden ({ id, ...data }).
+ * @returns {object} - { id, lifecycleAtMs, ...LIFECYCLE_FIELDS, ...BREACH_TEXT_FIELDS }
+ */
+export const lifecycleSnapshot = (incident) => canonicalize({
+  id: incident.id,
+  lifecycleAtMs: millisOf(incident.lifecycleAt),
+  status: incident.status,
+  assignee: incident.assignee || null,
+  escalatedFrom: incident.escalatedFrom || null,
+  breachActive: incident.breachActive,
+  severity: incident.severity,
+  notes: incident.notes || [],
+  history: incident.history || [],
+  ...Object.fromEntries(BREACH_TEXT_FIELDS.map(field => [field, incident[field]])),
+});
+
+// The state an incident was opened in, as covered by its opening seal
+const openingSnapshot = (sealed) => canonicalize({
+  id: sealed.id,
+  lifecycleAtMs: null,
+  status: 'open',
+  assignee: null,
+  escalatedFrom: null,
+  breachActive: true,
+  severity: sealed.severity,
+  notes: [],
+  history: [],
+  ...Object.fromEntries(BREACH_TEXT_FIELDS.map(field => [field, sealed[field]])),
+});
+
+const sameJson = (a, b) => canonicalJson(a === undefined ? null : a) === canonicalJson(b === undefined ? null : b);
+
+const isPrefix = (before, after) => before.length <= after.length && before.every((item, index) => sameJson(item, after[index]));
+
+/**
+ * Field pertama yang berubah secara tidak wajar antara dua keadaan siklus hidup, atau null.
+ * @param {object} previous - Keadaan yang sudah dirantai (lifecycleSnapshot()).
+ * @param {object} current - Keadaan sekarang.
+ * @param {boolean} appended - true: perubahan baru yang belum dirantai boleh menambah catatan/riwayat;
+ *   false: keadaan harus sama persis dengan yang dirantai.
+ * @returns {string|null}
+ */
+export const lifecycleChange = (previous, current, appended) => {
+  for (const field of ['notes', 'history']) {
+    const unchanged = appended ? isPrefix(previous[field], current[field]) : sameJson(previous[field], current[field]);
+    if (!unchanged) return field;
+  }
+  const historyGrew = current.history.length > previous.history.length;
+  const changed = (field) => !sameJson(previous[field], current[field]);
+  const field = ['status', 'assignee', 'escalatedFrom'].find(name => changed(name) && !historyGrew);
+  if (field) return field;
+  if (changed('breachActive') && !(previous.breachActive === true && current.breachActive === false)) return 'breachActive';
+  // While the breach is active the scan rewrites its severity (until an escalation) and its text
+  const scanOwned = previous.breachActive === true;
+  if (changed('severity') && !historyGrew && !(scanOwned && !previous.escalatedFrom)) return 'severity';
+  return BREACH_TEXT_FIELDS.find(name => changed(name) && !scanOwned) || null;
+};
+
+/**
+ * Rekaman siklus hidup terakhir yang dirantai untuk satu insiden, atau keadaan pembukaannya.
+ */
+const latestLifecycle = async (repositories, incident) => {
+  const [record] = await repositories.chronicleRecords.list({
+    where: [['incidentId', '==', incident.id]],
+    orderBy: ['chainSeq', 'desc'],
+    limit: 1,
+  });
+  return record ? record.sealed : openingSnapshot(incident.sealed);
+};
+
+/**
+ * Insiden berantai yang siklus hidupnya berubah sejak batas kepala rantai, beserta keadaan barunya.
+ * Perubahan yang tidak wajar tidak dirantai; verifyChronicle() melaporkannya.
+ * @returns {Promise<object>} - { snapshots, lifecycleAtMs (batas baru) }
+ */
+const changedLifecycles = async (repositories, sinceMs) => {
+  // Inclusive: changes in the same millisecond as the bound may have landed after it was read
+  const docs = await repositories.interventions.list({
+    where: [['lifecycleAt', '>=', new Date(sinceMs)]],
+    orderBy: ['lifecycleAt', 'asc'],
+    limit: CHRONICLE_PAGE_SIZE,
+  });
+  const snapshots = [];
+  let lifecycleAtMs = sinceMs;
+  for (const incident of docs) {
+    const current = lifecycleSnapshot(incident);
+    lifecycleAtMs = Math.max(lifecycleAtMs, current.lifecycleAtMs || 0);
+    if (typeof incident.chainSeq !== 'number') continue;
+    const previous = await latestLifecycle(repositories, incident);
+    if (previous.lifecycleAtMs === current.lifecycleAtMs || lifecycleChange(previous, current, true)) continue;
+    snapshots.push(current);
+  }
+  return { snapshots, lifecycleAtMs };
+};
+
+/**
+ * Menyegel insiden baru dan perubahan siklus hidup dalam satu siklus, lalu menambahkan tulisan kepala rantai.
+ * Kepala yang masih menunggu di outbox ikut dihitung, jadi siklus berikutnya melanjutkan rantai walau backend belum terjangkau.
+ * @param {object} repositories - Repository storage.js (interventions, chronicleRecords, dan scanner).
+ * @param {object[]} items - Entri outbox siklus ini; tulisan 'create' ke interventions adalah insiden baru.
+ * @param {object} options
+ * @param {object} [options.head] - Kepala terakhir yang diketahui (dokumen tersimpan / hasil siklus sebelumnya).
+ * @param {object[]} [options.pending] - outbox.pending().
+ * @param {number} options.now - Waktu scan (ms), dicatat sebagai openedAtMs di segel.
+ * @returns {Promise<object>} - { items, head }
+ */
+export const sealChronicleWrites = async (repositories, items, { head = null, pending = [], now }) => {
+  const pendingHeads = pending
+    .filter(entry => entry.write.name === repositories.scanner.name && entry.write.id === CHRONICLE_HEAD_DOC)
+    .map(entry => entry.write.data);
+  const start = { ...EMPTY_HEAD, ...newerHead(head, ...pendingHeads) };
+  let { seq, hash } = start;
+  let recordId = start.recordId || null;
+  // Incidents opened up to this seq may have changed before lifecycle changes were chained
+  const lifecycleFromSeq = typeof start.lifecycleFromSeq === 'number' ? start.lifecycleFromSeq : start.seq;
+
+  const sealedItems = [];
+  for (const item of items) {
+    const { write } = item;
+    if (write.type !== 'create' || write.name !== repositories.interventions.name) {
+      sealedItems.push(item);
+      continue;
+    }
+    const sealed = canonicalize({
+      id: write.id,
+      openedAtMs: now,
+      ...Object.fromEntries(SEALED_FIELDS.map(field => [field, write.data[field]])),
+    });
+    seq += 1;
+    const chainHash = await recordHash({ seq, prevHash: hash, sealed });
+    sealedItems.push({ ...item, write: { ...write, data: { ...write.data, chainSeq: seq, chainPrevHash: hash, chainHash, sealed } } });
+    hash = chainHash;
+    recordId = write.id;
+  }
+
+  const { snapshots, lifecycleAtMs } = await changedLifecycles(repositories, start.lifecycleAtMs);
+  for (const sealed of snapshots) {
+    seq += 1;
+    const chainHash = await recordHash({ seq, prevHash: hash, sealed });
+    recordId = chronicleRecordId(seq);
+    sealedItems.push({
+      key: `chronicle-record:${seq}`,
+      write: repositories.chronicleRecords.createOp(recordId, { incidentId: sealed.id, chainSeq: seq, chainPrevHash: hash, chainHash, sealed }),
+    });
+    hash = chainHash;
+  }
+  if (seq === start.seq && lifecycleAtMs === start.lifecycleAtMs && lifecycleFromSeq === start.lifecycleFromSeq) {
+    return { items, head: newerHead(head, ...pendingHeads) };
+  }
+
+  const next = { seq, hash, recordId, lifecycleAtMs, lifecycleFromSeq, updatedAt: now };
+  // A key per head write: each one lands after the records it covers instead of being merged into an earlier entry
+  return {
+    items: [...sealedItems, { key: `chronicle-head:${seq}`, write: repositories.scanner.setOp(CHRONICLE_HEAD_DOC, next) }],
+    head: next,
+  };
+};
+
+// --- VERIFICATION ---
+
+const sameValue = (a, b) => (a === undefined ? null : a) === (b === undefined ? null : b);
+
+// Reads one chained collection in chainSeq order, a page at a time
+const chainReader = (repository, from, pageSize) => {
+  let page = [];
+  let index = 0;
+  let cursor = null;
+  let exhausted = false;
+  const peek = async () => {
+    if (index >= page.length && !exhausted) {
+      page = await repository.list({
+        ...(from ? { where: [['chainSeq', '>', from.seq]] } : {}),
+        orderBy: ['chainSeq', 'asc'],
+        limit: pageSize,
+        ...(cursor ? { startAfter: cursor } : {}),
+      });
+      index = 0;
+      cursor = page.length === pageSize ? pageCursor(page, 'chainSeq') : null;
+      exhausted = !cursor;
+    }
+    return page[index] || null;
+  };
+  return { peek, take: () => page[index++] };
+};
+
+/**
+ * Menelusuri rantai dari awal (atau dari titik yang sudah diverifikasi) dan melaporkan setiap kerusakan.
+ * Pembukaan insiden (interventions) dan rekaman siklus hidup (chronicleRecords) berbagi satu urutan seq; keadaan
+ * siklus hidup setiap insiden dibandingkan dengan rekaman terakhirnya (atau segel pembukaannya).
+ * @param {object} repositories - Repository storage.js (interventions, chronicleRecords, scanner, chronicleCheckpoints).
+ * @param {object} [options]
+ * @param {string[]} [options.trustedKeys] - keyId penanda tangan yang dipercaya; kosong = setiap tanda tangan yang sah diterima.
+ * @param {object} [options.from] - { seq, hash } yang sudah diverifikasi (mis. checkpoint terakhir); hanya rekaman
+ *   sesudahnya yang diperiksa, checkpoint dan jumlah rekaman tanpa rantai dilewati.
+ * @param {number} [options.pageSize]
+ * @returns {Promise<object>} - { ok, issues, checked, unchained, lastSeq, lastHash, lastId, head, checkpoints: { total, verified } };
+ *   issues terurut menurut seq: { type (CHAIN_ISSUE), seq, toSeq, id, prevId, otherId, field, reason, keyId }
+ *   (reason 'lifecycle': insiden id berubah sesudah rekaman seq tanpa dirantai)
+ */
+export const verifyChronicle = async (repositories, { trustedKeys = [], from = null, pageSize = CHRONICLE_PAGE_SIZE } = {}) => {
+  const issues = [];
+  const hashes = new Map();
+  // Per incident: the opening in this walk and the last lifecycle record with an intact hash
+  const opened = new Map();
+  const lifecycles = new Map();
+  let prev = from ? { seq: from.seq, hash: from.hash, id: null } : { seq: 0, hash: GENESIS_HASH, id: null };
+  let checked = 0;
+  let openings = 0;
+
+  const incidents = chainReader(repositories.interventions, from, pageSize);
+  const records = chainReader(repositories.chronicleRecords, from, pageSize);
+  for (;;) {
+    const nextOpening = await incidents.peek();
+    const nextRecord = await records.peek();
+    if (!nextOpening && !nextRecord) break;
+    const isOpening = Boolean(nextOpening) && (!nextRecord || nextOpening.chainSeq <= nextRecord.chainSeq);
+    const record = isOpening ? incidents.take() : records.take();
+    checked += 1;
+    if (isOpening) openings += 1;
+    const seq = record.chainSeq;
+    if (seq <= prev.seq) {
+      issues.push({ type: CHAIN_ISSUE.DUPLICATE, seq, id: record.id, otherId: prev.id });
+      continue;
+    }
+    if (seq > prev.seq + 1) {
+      issues.push({ type: CHAIN_ISSUE.REMOVED, seq: prev.seq + 1, toSeq: seq - 1, id: record.id, prevId: prev.id });
+    }
+    const sealed = record.sealed || {};
+    if (await recordHash({ seq, prevHash: record.chainPrevHash, sealed }) !== record.chainHash) {
+      issues.push({ type: CHAIN_ISSUE.CHANGED, seq, id: record.id, field: 'sealed' });
+    } else if (isOpening) {
+      const field = ['id', ...IMMUTABLE_FIELDS].find(name => !sameValue(record[name], sealed[name]));
+      if (field) issues.push({ type: CHAIN_ISSUE.CHANGED, seq, id: record.id, field });
+      opened.set(record.id, { seq, snapshot: openingSnapshot(sealed), current: lifecycleSnapshot(record) });
+    } else if (record.incidentId !== sealed.id) {
+      issues.push({ type: CHAIN_ISSUE.CHANGED, seq, id: record.id, field: 'incidentId' });
+    } else {
+      lifecycles.set(sealed.id, { seq, snapshot: sealed });
+    }
+    if (seq === prev.seq + 1 && record.chainPrevHash !== prev.hash) {
+      issues.push({ type: CHAIN_ISSUE.BROKEN, seq, id: record.id, prevSeq: prev.seq, prevId: prev.id });
+    }
+    if (!from) hashes.set(seq, record.chainHash);
+    prev = { seq, hash: record.chainHash, id: record.id };
+  }
+
+  const head = await repositories.scanner.get(CHRONICLE_HEAD_DOC);
+
+  // Lifecycle state of every incident against the last state chained for it; changes made after that record must
+  // still be ones the next scan would chain. Without a lifecycle record, incidents opened before lifecycle changes
+  // were chained (lifecycleFromSeq) are left out like unchained ones.
+  const lifecycleFromSeq = head && typeof head.lifecycleFromSeq === 'number' ? head.lifecycleFromSeq : Infinity;
+  const lifecycleIds = new Set([
+    ...[...opened].filter(([, { seq }]) => seq > lifecycleFromSeq).map(([id]) => id),
+    ...lifecycles.keys(),
+  ]);
+  for (const id of lifecycleIds) {
+    let current = opened.has(id) ? opened.get(id).current : null;
+    if (!current && from) {
+      // Opened before the verified segment
+      const data = await repositories.interventions.get(id);
+      current = data ? lifecycleSnapshot({ id, ...data }) : null;
+    }
+    if (!current) continue;
+    const expected = lifecycles.get(id) || opened.get(id);
+    const { lifecycleAtMs } = expected.snapshot;
+    const appended = (current.lifecycleAtMs || 0) > (lifecycleAtMs || 0);
+    const field = !appended && current.lifecycleAtMs !== lifecycleAtMs
+      ? 'lifecycleAt'
+      : lifecycleChange(expected.snapshot, current, appended);
+    if (field) issues.push({ type: CHAIN_ISSUE.CHANGED, seq: expected.seq, id, field, reason: 'lifecycle' });
+  }
+
+  // The head and the signed checkpoints say how long the chain was; anything beyond the last record was removed
+  let tailSeq = head && typeof head.seq === 'number' ? head.seq : 0;
+  if (head && head.seq === prev.seq && prev.id && head.hash !== prev.hash) {
+    issues.push({ type: CHAIN_ISSUE.CHANGED, seq: prev.seq, id: prev.id, field: 'head' });
+  }
+
+  const checkpoints = { total: 0, verified: 0 };
+  if (!from) {
+    const docs = await repositories.chronicleCheckpoints.list({ orderBy: ['seq', 'asc'] });
+    checkpoints.total = docs.length;
+    let anchorSeq = 0;
+    for (const checkpoint of docs) {
+      const issue = await checkpointIssue(checkpoint, trustedKeys);
+      if (issue) {
+        issues.push(issue);
+        continue;
+      }
+      checkpoints.verified += 1;
+      tailSeq = Math.max(tailSeq, checkpoint.seq);
+      const hash = hashes.get(checkpoint.seq);
+      if (hash !== undefined && hash !== checkpoint.hash) {
+        issues.push({ type: CHAIN_ISSUE.REWRITTEN, seq: anchorSeq + 1, toSeq: checkpoint.seq, id: checkpoint.id });
+      }
+      anchorSeq = checkpoint.seq;
+    }
+  }
+  if (tailSeq > prev.seq) {
+    issues.push({ type: CHAIN_ISSUE.REMOVED, seq: prev.seq + 1, toSeq: tailSeq, id: null, prevId: prev.id });
+  }
+
+  const total = from ? null : await repositories.interventions.count();
+  return {
+    ok: issues.length === 0,
+    issues: issues.sort((a, b) => a.seq - b.seq),
+    checked,
+    unchained: total === null ? null : Math.max(0, total - openings),
+    lastSeq: prev.seq,
+    lastHash: prev.hash,
+    lastId: prev.id,
+    head,
+    checkpoints,
+  };
+};
+
+/**
+ * @param {object} head - Kepala rantai saat ini.
+ * @param {object|null} last - Checkpoint terakhir.
+ * @param {object} policy - { every, intervalMinutes }
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const isCheckpointDue = (head, last, policy, now = Date.now()) => {
+  if (!head || head.seq <= (last ? last.seq : 0)) return false;
+  if (!last) return true;
+  return head.seq - last.seq >= policy.every || now - last.at >= policy.intervalMinutes * 60 * 1000;
+};
+
+const rangeLabel = (seq, toSeq) => (toSeq && toSeq !== seq ? `#${seq}–#${toSeq}` : `#${seq}`);
+
+/**
+ * Kalimat untuk satu temuan verifikasi.
+ * @param {object} issue - Satu entri report.issues.
+ * @returns {string}
+ */
+export const describeChainIssue = (issue) => {
+  const params = { ...issue, record: rangeLabel(issue.seq), range: rangeLabel(issue.seq, issue.toSeq), prevId: issue.prevId || '-' };
+  switch (issue.type) {
+    case CHAIN_ISSUE.CHANGED:
+      if (issue.field === 'sealed') return t('chronicleChain.issue.changed', params);
+      if (issue.field === 'head') return t('chronicleChain.issue.changedHead', params);
+      if (issue.reason === 'lifecycle') return t('chronicleChain.issue.changedLifecycle', params);
+      return t('chronicleChain.issue.changedField', params);
+    case CHAIN_ISSUE.REMOVED:
+      return issue.id ? t('chronicleChain.issue.removed', params) : t('chronicleChain.issue.removedTail', params);
+    case CHAIN_ISSUE.CHECKPOINT:
+      return t(`chronicleChain.issue.checkpoint.${issue.reason}`, params);
+    default:
+      return t(`chronicleChain.issue.${issue.type}`, params);
+  }
+};
@@ -0,0 +1,349 @@
+// --- FINALITY CHRONICLE EXPORT & REPORTING ---
+//
+// Ekspor riwayat insiden odas_interventions untuk audit dan tinjauan mingguan:
+//   - CSV    : satu baris per insiden (RFC 4180, aman dibuka di spreadsheet)
+//   - NDJSON : satu objek JSON per baris, seluruh field ternormalisasi
+//   - laporan: dokumen HTML siap cetak (Cetak -> Simpan sebagai PDF) dengan statistik ringkasan
+// Filter: rentang tanggal pembukaan insiden, jalur, severity, dan aset.
+// Waktu diekspor sebagai ISO 8601 (UTC) agar tidak bergantung zona waktu pembaca; severity sebagai kode dan
+// deskripsi dalam locale aktif (NDJSON juga membawa messageKey/messageParams). Laporan HTML memakai locale aktif.
+
+import { INCIDENT_STATUS, INCIDENT_STATUS_LABELS, assetIdOf } from './incidents.js';
+import {
+  formatMetric,
+  normalizeSeverity,
+  severityLabel,
+  describeBreach,
+} from './ruleEngine.js';
+import { pathLabel } from './paths.js';
+import { t, locale, formatDate, formatDateTime } from './i18n.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  html: { label: t('chronicle.format.html'), extension: 'html', mimeType: 'text/html;charset=utf-8' },
+};
+
+// Kolom ekspor, berurutan seperti di CSV
+export const EXPORT_COLUMNS = [
+  'id',
+  'assetId',
+  'assetName',
+  'path',
+  'severity',
+  'escalatedFrom',
+  'ruleId',
+  'status',
+  'breachActive',
+  'description',
+  'messageKey',
+  'metric',
+  'peakValue',
+  'count',
+  'assignee',
+  'openedAt',
+  'acknowledgedAt',
+  'inProgressAt',
+  'resolvedAt',
+  'dismissedAt',
+  'recoveredAt',
+  'timeToResolveMs',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filter bawaan: 7 hari terakhir, semua jalur, severity, dan aset.
+ */
+export const createDefaultExportFilter = (now = Date.now()) => ({
+  fromMs: now - 7 * DAY_MS,
+  toMs: now,
+  paths: [],
+  severities: [],
+  assetIds: [],
+});
+
+/**
+ * Waktu dari Timestamp Firestore / memori, epoch ms, atau string ISO.
+ * @returns {number|null}
+ */
+export const toTimeMs = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const toIso = (ms) => (typeof ms === 'number' ? new Date(ms).toISOString() : null);
+
+/**
+ * Meratakan dokumen insiden mentah (dengan timestamp asli) menjadi record ekspor.
+ * @param {object} incident - Dokumen { id, ...data } dari repository interventions.
+ * @param {object} [assetNames] - { [assetId]: nama }
+ * @returns {object}
+ */
+export const normalizeIncidentRecord = (incident, assetNames = {}) => {
+  const openedMs = toTimeMs(incident.timestamp);
+  const resolvedMs = toTimeMs(incident.resolvedAt);
+  const assetId = assetIdOf(incident);
+  return {
+    id: incident.id,
+    assetId,
+    assetName: assetNames[assetId] || assetId,
+    path: incident.path,
+    severity: normalizeSeverity(incident.severity),
+    escalatedFrom: incident.escalatedFrom ? normalizeSeverity(incident.escalatedFrom) : null,
+    ruleId: incident.ruleId || null,
+    status: incident.status || INCIDENT_STATUS.OPEN,
+    breachActive: incident.breachActive !== false,
+    description: describeBreach(incident),
+    messageKey: incident.messageKey || null,
+    messageParams: incident.messageParams || null,
+    metric: incident.metric || null,
+    peakValue: typeof incident.peakValue === 'number' ? incident.peakValue : null,
+    count: incident.count || 1,
+    assignee: incident.assignee || null,
+    openedAtMs: openedMs,
+    openedAt: toIso(openedMs),
+    acknowledgedAt: toIso(toTimeMs(incident.acknowledgedAt)),
+    inProgressAt: toIso(toTimeMs(incident.inProgressAt)),
+    resolvedAt: toIso(resolvedMs),
+    dismissedAt: toIso(toTimeMs(incident.dismissedAt)),
+    recoveredAt: toIso(toTimeMs(incident.recoveredAt)),
+    timeToResolveMs: openedMs !== null && resolvedMs !== null ? Math.max(0, resolvedMs - openedMs) : null,
+  };
+};
+
+/**
+ * @param {object[]} records - Hasil normalizeIncidentRecord().
+ * @param {object} filter - { fromMs, toMs, paths, severities, assetIds } (daftar kosong = semua).
+ * @returns {object[]} - Record yang lolos filter, terbaru lebih dulu.
+ */
+export const filterChronicle = (records, { fromMs, toMs, paths = [], severities = [], assetIds = [] }) => records
+  .filter(record => (
+    record.openedAtMs !== null
+    && (typeof fromMs !== 'number' || record.openedAtMs >= fromMs)
+    && (typeof toMs !== 'number' || record.openedAtMs <= toMs)
+    && (paths.length === 0 || paths.includes(record.path))
+    && (severities.length === 0 || severities.includes(record.severity))
+    && (assetIds.length === 0 || assetIds.includes(record.assetId))
+  ))
+  .sort((a, b) => b.openedAtMs - a.openedAtMs);
+
+/**
+ * Membaca insiden dalam rentang tanggal. Rentang dikueri di storage (indeks field tunggal 'timestamp'),
+ * filter lainnya dilakukan client-side.
+ * @param {object} repository - Repository interventions.
+ * @param {object} filter - Filter ekspor.
+ * @param {object} [assetNames] - { [assetId]: nama }
+ * @returns {Promise<object[]>}
+ */
+export const loadChronicle = async (repository, filter, assetNames) => {
+  const docs = await repository.list({
+    where: [['timestamp', '>=', new Date(filter.fromMs)], ['timestamp', '<=', new Date(filter.toMs)]],
+  });
+  return filterChronicle(docs.map(incident => normalizeIncidentRecord(incident, assetNames)), filter);
+};
+
+// --- SERIALIZERS ---
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records) => [
+  EXPORT_COLUMNS.join(','),
+  ...records.map(record => EXPORT_COLUMNS.map(column => csvCell(record[column])).join(',')),
+].join('\r\n');
+
+export const toNdjson = (records) => records
+  .map(({ openedAtMs, ...record }) => JSON.stringify(record))
+  .join('\n');
+
+// --- SUMMARY ---
+
+const countBy = (records, field) => records.reduce((counts, record) => {
+  const key = record[field] || '-';
+  return { ...counts, [key]: (counts[key] || 0) + 1 };
+}, {});
+
+/**
+ * Statistik ringkasan laporan.
+ * @param {object[]} records - Record yang sudah difilter.
+ * @param {number} [topN] - Jumlah aturan terbanyak yang ditampilkan.
+ * @returns {object} - { total, active, byPath, bySeverity, byStatus, resolvedCount, meanTimeToResolveMs, topRules }
+ */
+export const summarizeChronicle = (records, topN = 5) => {
+  const resolved = records.filter(record => record.timeToResolveMs !== null);
+  const ruleCounts = countBy(records, 'ruleId');
+  return {
+    total: records.length,
+    active: records.filter(record => record.breachActive).length,
+    byPath: countBy(records, 'path'),
+    bySeverity: countBy(records, 'severity'),
+    byStatus: countBy(records, 'status'),
+    resolvedCount: resolved.length,
+    meanTimeToResolveMs: resolved.length > 0
+      ? resolved.reduce((total, record) => total + record.timeToResolveMs, 0) / resolved.length
+      : null,
+    topRules: Object.entries(ruleCounts)
+      .map(([ruleId, count]) => ({ ruleId, count }))
+      .sort((a, b) => b.count - a.count || a.ruleId.localeCompare(b.ruleId))
+      .slice(0, topN),
+  };
+};
+
+/**
+ * Durasi ringkas: "2 j 5 m", "45 d" (id) / "2 h 5 m", "45 s" (en).
+ */
+export const formatDuration = (ms) => {
+  if (typeof ms !== 'number') return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return t('duration.seconds', { seconds });
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return t('duration.minutes', { minutes, seconds: seconds % 60 });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('duration.hours', { hours, minutes: minutes % 60 });
+  return t('duration.days', { days: Math.floor(hours / 24), hours: hours % 24 });
+};
+
+// --- PRINTABLE REPORT ---
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatLocal = (ms) => (typeof ms === 'number' ? formatDateTime(ms) : '-');
+
+const labelKeys = (counts, label) => Object.fromEntries(Object.entries(counts).map(([key, count]) => [label(key), count]));
+
+const countTable = (title, counts) => `
+  <table class="counts">
+    <thead><tr><th>${escapeHtml(title)}</th><th>${escapeHtml(t('chronicle.report.count'))}</th></tr></thead>
+    <tbody>${Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([key, count]) => (
+      `<tr><td>${escapeHtml(key)}</td><td>${count}</td></tr>`
+    )).join('') || '<tr><td colspan="2">-</td></tr>'}</tbody>
+  </table>`;
+
+/**
+ * Dokumen HTML lengkap untuk dicetak atau disimpan sebagai PDF.
+ * @param {object} options - { records, filter, generatedAt, generatedBy }
+ * @returns {string}
+ */
+export const renderChronicleReport = ({ records, filter, generatedAt = Date.now(), generatedBy = '' }) => {
+  const summary = summarizeChronicle(records);
+  const scope = [
+    filter.paths.length > 0
+      ? t('chronicle.report.scopePaths', { paths: filter.paths.map(pathLabel).join(', ') })
+      : t('chronicle.report.allPaths'),
+    filter.severities.length > 0
+      ? t('chronicle.report.scopeSeverities', { severities: filter.severities.map(severityLabel).join(', ') })
+      : t('chronicle.report.allSeverities'),
+    filter.assetIds.length > 0
+      ? t('chronicle.report.scopeAssets', {
+        assets: [...new Set(records.map(record => record.assetName))].join(', ') || filter.assetIds.join(', '),
+      })
+      : t('chronicle.report.allAssets'),
+  ].join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>Finality Chronicle ${escapeHtml(formatDate(filter.fromMs))} – ${escapeHtml(formatDate(filter.toMs))}</title>
+<style>
+  body { font-family: 'Inter', Arial, sans-serif; color: #111827; margin: 32px; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 24px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+  .meta { color: #4b5563; margin: 0 0 2px; }
+  .cards { display: flex; gap: 12px; margin-top: 16px; }
+  .card { border: 1px solid #d1d5db; border-radius: 8px; padding: 8px 12px; min-width: 120px; }
+  .card strong { display: block; font-size: 18px; }
+  .grid { display: flex; gap: 16px; flex-wrap: wrap; }
+  table { border-collapse: collapse; width: 100%; }
+  table.counts { width: auto; min-width: 180px; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  tr { page-break-inside: avoid; }
+  @media print { body { margin: 12mm; } .no-print { display: none; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">${escapeHtml(t('chronicle.report.print'))}</button>
+<h1>ODAS Finality Chronicle — ${escapeHtml(t('chronicle.report.title'))}</h1>
+<p class="meta">${escapeHtml(t('chronicle.report.period'))}: ${escapeHtml(formatLocal(filter.fromMs))} – ${escapeHtml(formatLocal(filter.toMs))}</p>
+<p class="meta">${escapeHtml(t('chronicle.report.scope'))}: ${escapeHtml(scope)}</p>
+<p class="meta">${escapeHtml(t('chronicle.report.generated'))}: ${escapeHtml(formatLocal(generatedAt))}${generatedBy ? ` ${escapeHtml(t('chronicle.report.by', { user: generatedBy }))}` : ''}</p>
+
+<div class="cards">
+  <div class="card">${escapeHtml(t('chronicle.summary.total'))}<strong>${summary.total}</strong></div>
+  <div class="card">${escapeHtml(t('chronicle.summary.active'))}<strong>${summary.active}</strong></div>
+  <div class="card">${escapeHtml(t('chronicle.summary.resolved'))}<strong>${summary.resolvedCount}</strong></div>
+  <div class="card">${escapeHtml(t('chronicle.summary.meanTimeToResolve'))}<strong>${escapeHtml(formatDuration(summary.meanTimeToResolveMs))}</strong></div>
+</div>
+
+<h2>${escapeHtml(t('chronicle.report.summary'))}</h2>
+<div class="grid">
+  ${countTable(t('chronicle.column.path'), labelKeys(summary.byPath, pathLabel))}
+  ${countTable(t('chronicle.column.severity'), labelKeys(summary.bySeverity, severityLabel))}
+  ${countTable(t('chronicle.column.status'), labelKeys(summary.byStatus, status => INCIDENT_STATUS_LABELS[status] || status))}
+  <table class="counts">
+    <thead><tr><th>${escapeHtml(t('chronicle.report.topRules'))}</th><th>${escapeHtml(t('chronicle.report.incidents'))}</th></tr></thead>
+    <tbody>${summary.topRules.map(({ ruleId, count }) => `<tr><td>${escapeHtml(ruleId)}</td><td>${count}</td></tr>`).join('') || '<tr><td colspan="2">-</td></tr>'}</tbody>
+  </table>
+</div>
+
+<h2>${escapeHtml(t('chronicle.report.list', { count: records.length }))}</h2>
+<table>
+  <thead>
+    <tr>${[
+      'chronicle.column.opened',
+      'chronicle.column.assetPath',
+      'chronicle.column.severity',
+      'chronicle.column.rule',
+      'chronicle.column.description',
+      'chronicle.column.peak',
+      'chronicle.column.status',
+      'chronicle.column.timeToResolve',
+    ].map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr>
+  </thead>
+  <tbody>
+    ${records.map(record => `<tr>
+      <td>${escapeHtml(formatLocal(record.openedAtMs))}</td>
+      <td>${escapeHtml(record.assetName)} · ${escapeHtml(pathLabel(record.path))}</td>
+      <td>${escapeHtml(severityLabel(record.severity))}${record.escalatedFrom ? ` (${escapeHtml(t('chronicle.report.escalatedFrom', { severity: severityLabel(record.escalatedFrom) }))})` : ''}</td>
+      <td>${escapeHtml(record.ruleId || '-')}</td>
+      <td>${escapeHtml(record.description)}</td>
+      <td>${record.metric && record.peakValue !== null ? escapeHtml(formatMetric(record.metric, record.peakValue)) : '-'}</td>
+      <td>${escapeHtml(INCIDENT_STATUS_LABELS[record.status] || record.status)}${record.breachActive ? ` · ${escapeHtml(t('chronicle.report.active'))}` : ''}</td>
+      <td>${escapeHtml(formatDuration(record.timeToResolveMs))}</td>
+    </tr>`).join('')}
+  </tbody>
+</table>
+</body>
+</html>`;
+};
+
+/**
+ * Isi file ekspor untuk format yang dipilih.
+ * @returns {string}
+ */
+export const serializeChronicle = (format, { records, filter, generatedBy }) => {
+  switch (format) {
+    case 'csv': return toCsv(records);
+    case 'ndjson': return toNdjson(records);
+    case 'html': return renderChronicleReport({ records, filter, generatedBy });
+    default: throw new Error(t('chronicle.error.format', { format }));
+  }
+};
+
+export const exportFileName = (format, filter) => {
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  return `finality-chronicle_${day(filter.fromMs)}_${day(filter.toMs)}.${EXPORT_FORMATS[format].extension}`;
+};
@@ -0,0 +1,72 @@
+// --- ODAS FINALITY CHRONICLE VERIFIER (NODE) ---
+//
+// Menelusuri rantai Finality Chronicle (chronicleChain.js) di storage yang sama dengan daemon dan melaporkan rekaman
+// persis tempat rantai diubah, putus, atau kehilangan entri.
+//
+// Jalankan:  node chronicleVerify.js --config odas.daemon.json [--trust <keyId>]... [--json]
+//   --config  konfigurasi daemon (atau env ODAS_DAEMON_CONFIG); hanya storage dan pathPlugins yang dipakai
+//   --trust   keyId penanda tangan checkpoint yang dipercaya (boleh berulang); tanpa --trust dipakai daftar di
+//             odas_settings/chronicle. Untuk audit, berikan keyId yang diperoleh di luar storage yang diperiksa.
+//   --json    laporan lengkap sebagai JSON
+// Kode keluar: 0 = rantai utuh, 1 = rantai rusak, 2 = verifikasi tidak dapat dijalankan.
+
+import { createStorage, STORAGE_KINDS } from './storage.js';
+import { filePersistence } from './storageFile.js';
+import { loadDaemonConfig } from './odasDaemon.js';
+import { CHRONICLE_SETTINGS_DOC, verifyChronicle, describeChainIssue } from './chronicleChain.js';
+import { t } from './i18n.js';
+
+const readArguments = (name) => process.argv
+  .map((value, index) => (process.argv[index - 1] === name ? value : null))
+  .filter(Boolean);
+
+/**
+ * @param {object} config - Hasil loadDaemonConfig().
+ * @param {object} [options] - { trustedKeys } (kosong: daftar di odas_settings/chronicle)
+ * @returns {Promise<object>} - Laporan verifyChronicle() beserta { storage, trustedKeys }.
+ */
+export const verifyStoredChronicle = async (config, { trustedKeys = [] } = {}) => {
+  const storageConfig = config.storage.kind === 'memory'
+    ? { ...config.storage, persistence: filePersistence(config.storage.memoryFile) }
+    : config.storage;
+  const { repositories, kind, workspaceId } = await createStorage(storageConfig);
+  const settings = trustedKeys.length > 0 ? null : await repositories.settings.get(CHRONICLE_SETTINGS_DOC);
+  const keys = trustedKeys.length > 0 ? trustedKeys : ((settings && settings.trustedKeys) || []);
+  const report = await verifyChronicle(repositories, { trustedKeys: keys });
+  return { ...report, storage: `${STORAGE_KINDS[kind]} (${workspaceId || 'pribadi'})`, trustedKeys: keys };
+};
+
+const printReport = (report) => {
+  console.log(t('chronicleChain.cli.storage', { storage: report.storage }));
+  console.log(t('chronicleChain.summary', {
+    checked: report.checked,
+    lastSeq: report.lastSeq,
+    verified: report.checkpoints.verified,
+    total: report.checkpoints.total,
+  }));
+  if (report.unchained > 0) console.log(t('chronicleChain.unchained', { count: report.unchained }));
+  console.log(report.trustedKeys.length > 0
+    ? t('chronicleChain.trustedKeys', { keys: report.trustedKeys.join(', ') })
+    : t('chronicleChain.noTrustedKeys'));
+  if (report.ok) {
+    console.log(t('chronicleChain.ok'));
+    return;
+  }
+  console.log(t('chronicleChain.broken', { count: report.issues.length }));
+  report.issues.forEach(issue => console.log(`  - ${describeChainIssue(issue)}`));
+};
+
+const isMain = typeof process !== 'undefined' && process.argv[1] && import.meta.url.endsWith(process.argv[1].split('/').pop());
+
+if (isMain) {
+  try {
+    const config = await loadDaemonConfig(readArguments('--config')[0] || process.env.ODAS_DAEMON_CONFIG);
+    const report = await verifyStoredChronicle(config, { trustedKeys: readArguments('--trust') });
+    if (process.argv.includes('--json')) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+    process.exit(report.ok ? 0 : 1);
+  } catch (error) {
+    console.error("Failed to verify chronicle:", error.message);
+    process.exit(2);
+  }
+}
@@ -0,0 +1,263 @@
+// --- ODAS CROSS-PATH CORRELATION ---
+//
+// Tahap korelasi di atas insiden: setiap jalur diperiksa sendiri oleh orchestrateControl, sehingga satu gangguan
+// (mis. lonjakan latency Infrastruktur yang menaikkan skor anomali Sensor) tercatat sebagai beberapa insiden
+// terpisah. Di sini insiden satu aset dikelompokkan menjadi satu peristiwa bila:
+//   - dibuka dalam jendela waktu yang sama (windowMinutes), dan
+//   - node-nya terhubung oleh edge dependensi (langsung atau lewat node lain), mis. Infrastruktur -> Sensor.
+// Node adalah jalur ('Infrastruktur') atau metrik di dalam jalur ('Finansial/marketLiquidity').
+// Akar masalah yang disarankan = anggota tanpa hulu di dalam peristiwa (paling awal bila lebih dari satu).
+// Pra-peringatan (forecast) dan insiden yang diredam silence bukan gangguan yang terjadi, jadi tidak dikorelasikan.
+// Murni dan dihitung dari openedAtMs, jadi hasilnya sama untuk insiden aktif maupun riwayat.
+// Konfigurasi disimpan di odas_settings/correlation dan digabung dengan DEFAULT_CORRELATION_CONFIG.
+
+import { normalizeSeverity, primaryCondition } from './ruleEngine.js';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { SEVERITY_LADDER, assetIdOf, isForecastSeverity } from './incidents.js';
+import { t, formatNumber } from './i18n.js';
+
+export const CORRELATION_SETTINGS_DOC = 'correlation';
+
+const MINUTE_MS = 60 * 1000;
+const NODE_SEPARATOR = '/';
+
+export const DEFAULT_CORRELATION_CONFIG = {
+  windowMinutes: 5,
+  // from -> to: gangguan di 'from' dapat memicu pelanggaran di 'to'
+  edges: [
+    { from: 'Infrastruktur', to: 'Sensor' },
+    { from: 'Finansial/marketLiquidity', to: 'Finansial/assetVolatility' },
+  ],
+};
+
+// --- NODES ---
+
+export const parseNode = (node) => {
+  const [path, metric = null] = String(node).split(NODE_SEPARATOR);
+  return { path, metric };
+};
+
+export const nodeId = (path, metric = null) => (metric ? `${path}${NODE_SEPARATOR}${metric}` : path);
+
+export const nodeLabel = (node) => {
+  const { path, metric } = parseNode(node);
+  return metric ? `${pathLabel(path)} · ${metric}` : pathLabel(path);
+};
+
+const matchesNode = (incident, node) => {
+  const { path, metric } = parseNode(node);
+  return incident.path === path && (!metric || incident.metric === metric);
+};
+
+/**
+ * Node yang dapat dipilih di editor edge: setiap jalur plus metrik yang dipakai aturan di jalur itu.
+ * @param {object[]} rules - Set aturan aktif.
+ * @returns {string[]}
+ */
+export const nodeOptions = (rules = []) => {
+  const metricNodes = rules
+    .map(rule => [rule.path, primaryCondition(rule.condition)])
+    .filter(([path, condition]) => RULE_PATHS.includes(path) && condition)
+    .map(([path, condition]) => nodeId(path, condition.metric));
+  return RULE_PATHS.flatMap(path => [path, ...[...new Set(metricNodes)].filter(node => parseNode(node).path === path).sort()]);
+};
+
+/**
+ * Node graf: semua jalur ditambah node metrik yang disebut edge.
+ * @param {object} config
+ * @returns {string[]}
+ */
+export const graphNodes = (config) => {
+  const nodes = new Set(RULE_PATHS);
+  config.edges.forEach(edge => [edge.from, edge.to].forEach(node => nodes.add(node)));
+  return [...nodes];
+};
+
+// --- CONFIG ---
+
+/**
+ * @param {object} [stored] - Dokumen odas_settings/correlation.
+ * @returns {object}
+ */
+export const normalizeCorrelationConfig = (stored) => ({
+  ...DEFAULT_CORRELATION_CONFIG,
+  ...(stored || {}),
+  edges: stored && Array.isArray(stored.edges) ? stored.edges : DEFAULT_CORRELATION_CONFIG.edges,
+});
+
+/**
+ * @param {object} config - Hasil normalizeCorrelationConfig().
+ * @returns {string[]} - Pesan kesalahan (kosong = valid).
+ */
+export const validateCorrelationConfig = (config) => {
+  const errors = [];
+  if (!(typeof config.windowMinutes === 'number' && Number.isFinite(config.windowMinutes) && config.windowMinutes > 0)) {
+    errors.push(t('correlation.error.window'));
+  }
+  const seen = new Set();
+  config.edges.forEach((edge, index) => {
+    const label = t('correlation.edgeLabel', { number: index + 1 });
+    if (![edge.from, edge.to].every(node => node && RULE_PATHS.includes(parseNode(node).path))) {
+      errors.push(t('correlation.error.node', { label }));
+      return;
+    }
+    if (edge.from === edge.to) errors.push(t('correlation.error.selfLoop', { label }));
+    const key = `${edge.from}->${edge.to}`;
+    if (seen.has(key)) errors.push(t('correlation.error.duplicate', { label }));
+    seen.add(key);
+  });
+  return errors;
+};
+
+// Downstream nodes of every node, following edges transitively
+const reachability = (edges) => {
+  const downstream = new Map();
+  for (const { from, to } of edges) {
+    if (!downstream.has(from)) downstream.set(from, new Set());
+    downstream.get(from).add(to);
+  }
+  const reach = new Map();
+  for (const start of downstream.keys()) {
+    const visited = new Set();
+    const stack = [...downstream.get(start)];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (visited.has(node)) continue;
+      visited.add(node);
+      stack.push(...(downstream.get(node) || []));
+    }
+    reach.set(start, visited);
+  }
+  return reach;
+};
+
+// --- CORRELATION ---
+
+const severityRank = (severity) => SEVERITY_LADDER.indexOf(normalizeSeverity(severity));
+
+/**
+ * Mengelompokkan insiden menjadi peristiwa.
+ * @param {object[]} incidents - Bentuk toIncidentView() (dengan openedAtMs); forecast dan yang diredam dilewati.
+ * @param {object} [config] - Hasil normalizeCorrelationConfig().
+ * @returns {object[]} - Peristiwa terbaru lebih dulu: { id, assetId, incidents, rootCause, links, severity,
+ *   openedAtMs, breachActive, correlated }; links: [{ from, to, edge }] antar id insiden.
+ */
+export const correlateIncidents = (incidents, config = DEFAULT_CORRELATION_CONFIG) => {
+  const reach = reachability(config.edges);
+  const windowMs = config.windowMinutes * MINUTE_MS;
+  const nodes = graphNodes(config);
+  const usable = incidents.filter(incident => (
+    typeof incident.openedAtMs === 'number'
+    && !incident.suppressed
+    && !isForecastSeverity(incident.severity)
+  ));
+  const nodesOf = new Map(usable.map(incident => [incident.id, nodes.filter(node => matchesNode(incident, node))]));
+
+  // The first edge by which a's node reaches b's node, if any
+  const edgeBetween = (a, b) => {
+    for (const from of nodesOf.get(a.id)) {
+      const downstream = reach.get(from);
+      if (!downstream) continue;
+      const to = nodesOf.get(b.id).find(node => downstream.has(node));
+      if (to) return { from, to };
+    }
+    return null;
+  };
+
+  const parent = new Map(usable.map(incident => [incident.id, incident.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+
+  const links = [];
+  for (let i = 0; i < usable.length; i += 1) {
+    for (let j = 0; j < usable.length; j += 1) {
+      const a = usable[i];
+      const b = usable[j];
+      if (i === j || assetIdOf(a) !== assetIdOf(b) || Math.abs(a.openedAtMs - b.openedAtMs) > windowMs) continue;
+      const edge = edgeBetween(a, b);
+      if (!edge) continue;
+      links.push({ from: a.id, to: b.id, edge });
+      parent.set(find(a.id), find(b.id));
+    }
+  }
+
+  const groups = new Map();
+  for (const incident of usable) {
+    const root = find(incident.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(incident);
+  }
+
+  return [...groups.values()]
+    .map((members) => {
+      const ids = new Set(members.map(incident => incident.id));
+      const groupLinks = links.filter(link => ids.has(link.from));
+      const downstream = new Set(groupLinks.map(link => link.to));
+      const byTime = [...members].sort((a, b) => a.openedAtMs - b.openedAtMs || severityRank(b.severity) - severityRank(a.severity));
+      const rootCause = byTime.find(incident => !downstream.has(incident.id)) || byTime[0];
+      return {
+        id: rootCause.id,
+        assetId: assetIdOf(rootCause),
+        incidents: byTime,
+        rootCause,
+        links: groupLinks,
+        severity: members.reduce((worst, incident) => (
+          severityRank(incident.severity) > severityRank(worst) ? normalizeSeverity(incident.severity) : worst
+        ), normalizeSeverity(rootCause.severity)),
+        openedAtMs: byTime[0].openedAtMs,
+        breachActive: members.some(incident => incident.breachActive),
+        correlated: members.length > 1,
+      };
+    })
+    .sort((a, b) => b.openedAtMs - a.openedAtMs);
+};
+
+/**
+ * Peristiwa per id insiden, hanya untuk insiden yang berkorelasi dengan insiden lain.
+ * @param {object[]} events - Hasil correlateIncidents().
+ * @returns {Map<string, object>}
+ */
+export const correlationIndex = (events) => new Map(events
+  .filter(event => event.correlated)
+  .flatMap(event => event.incidents.map(incident => [incident.id, event])));
+
+/**
+ * Penjelasan akar masalah yang disarankan.
+ * @param {object} event - Satu peristiwa dari correlateIncidents().
+ * @returns {string}
+ */
+export const describeRootCause = (event) => {
+  const { rootCause } = event;
+  const rootLink = event.links.find(link => link.from === rootCause.id);
+  const others = event.incidents.filter(incident => incident.id !== rootCause.id);
+  const firstEffect = others.reduce((earliest, incident) => Math.min(earliest, incident.openedAtMs), Infinity);
+  const leadSeconds = Math.max(0, Math.round((firstEffect - rootCause.openedAtMs) / 1000));
+  const params = {
+    // The node the root cause's own edge starts from, e.g. 'Finansial · marketLiquidity'
+    node: nodeLabel(rootLink ? rootLink.edge.from : rootCause.path),
+    count: others.length,
+    seconds: formatNumber(leadSeconds, 0),
+  };
+  return leadSeconds > 0 ? t('correlation.rootCause.lead', params) : t('correlation.rootCause.upstream', params);
+};
+
+/**
+ * Severity terberat insiden aktif per node graf (untuk mewarnai tampilan dependensi).
+ * @param {object[]} incidents - Insiden yang pelanggarannya masih aktif.
+ * @param {object} config
+ * @returns {object} - { [node]: severity }
+ */
+export const nodeSeverities = (incidents, config) => {
+  const severities = {};
+  for (const node of graphNodes(config)) {
+    for (const incident of incidents) {
+      if (!incident.breachActive || !matchesNode(incident, node)) continue;
+      if (!severities[node] || severityRank(incident.severity) > severityRank(severities[node])) {
+        severities[node] = normalizeSeverity(incident.severity);
+      }
+    }
+  }
+  return severities;
+};
@@ -0,0 +1,363 @@
+// --- ODAS DATA SOURCE ADAPTERS ---
+//
+// Setiap adapter menyediakan sampel metrik jalur digital untuk siklus scan ODAS.
+// Kontrak adapter:
+//   connect()          -> membuka koneksi (boleh async), status dilaporkan via onStatus
+//   disconnect()       -> menutup koneksi dan menghentikan timer internal
+//   read(previous)     -> Promise<sample|null>, null berarti belum ada data baru
+//   getStatus()        -> { state, message, lastUpdate }
+
+import { DEMO_SCENARIO, normalizeScenario, parseScenario, createScenarioEngine, randomSeed } from './scenarios.js';
+import { PATH_METRIC_KEYS, isOptionalMetric } from './paths.js';
+import { t } from './i18n.js';
+
+export const SOURCE_STATE = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  ERROR: 'error',
+  ENDED: 'ended',
+};
+
+export const SOURCE_STATE_LABELS = {
+  [SOURCE_STATE.IDLE]: t('source.state.idle'),
+  [SOURCE_STATE.CONNECTING]: t('source.state.connecting'),
+  [SOURCE_STATE.CONNECTED]: t('source.state.connected'),
+  [SOURCE_STATE.ERROR]: t('source.state.error'),
+  [SOURCE_STATE.ENDED]: t('source.state.ended'),
+};
+
+// Data dianggap basi bila tidak ada sampel baru selama 3 siklus scan (3 x 5 detik)
+export const STALE_AFTER_MS = 15000;
+
+/**
+ * Memvalidasi dan menormalkan payload mentah menjadi sampel metrik ODAS.
+ * @param {object} raw - Objek hasil parsing JSON/CSV dari sumber data.
+ * @returns {object} - Sampel dengan setiap metrik jalur terdaftar bertipe number (metrik opsional boleh absen).
+ */
+export const normalizeSample = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(t('source.error.notObject'));
+  }
+  const sample = {};
+  const missing = [];
+  for (const key of PATH_METRIC_KEYS) {
+    const absent = raw[key] === undefined || raw[key] === null || raw[key] === '';
+    const value = Number(raw[key]);
+    if (absent && isOptionalMetric(key)) continue;
+    if (absent || !Number.isFinite(value)) {
+      missing.push(key);
+    } else {
+      sample[key] = value;
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(t('source.error.missingMetrics', { metrics: missing.join(', ') }));
+  }
+  return sample;
+};
+
+/**
+ * Mengecek apakah data dari adapter sudah basi.
+ * @param {object} status - Hasil getStatus() adapter.
+ * @param {number} now - Waktu pembanding (ms).
+ * @returns {boolean}
+ */
+export const isSourceStale = (status, now = Date.now(), staleAfterMs = STALE_AFTER_MS) => {
+  if (!status || status.state === SOURCE_STATE.ENDED) return false;
+  if (!status.lastUpdate) return false;
+  return now - status.lastUpdate > staleAfterMs;
+};
+
+// --- FILE PARSERS (CSV / NDJSON) ---
+
+const splitCsvLine = (line) => {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+export const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const headers = splitCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    return headers.reduce((record, header, index) => ({ ...record, [header]: cells[index] }), {});
+  });
+};
+
+export const parseNdjson = (text) => text
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '')
+  .map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(t('source.error.ndjsonLine', { line: index + 1, error: error.message }));
+    }
+  });
+
+/**
+ * Mem-parsing isi file rekaman metrik. Format ditebak dari nama file bila tidak diberikan.
+ * @param {string} text - Isi file.
+ * @param {string} [formatOrName] - 'csv', 'ndjson', atau nama file.
+ * @returns {object[]} - Rekaman mentah.
+ */
+export const parseRecords = (text, formatOrName = '') => {
+  const hint = formatOrName.toLowerCase();
+  if (hint === 'csv' || hint.endsWith('.csv')) return parseCsv(text);
+  if (hint === 'ndjson' || hint.endsWith('.ndjson') || hint.endsWith('.jsonl')) return parseNdjson(text);
+  return text.trimStart().startsWith('{') ? parseNdjson(text) : parseCsv(text);
+};
+
+// --- ADAPTER BASE ---
+
+const createStatusTracker = (onStatus) => {
+  let status = { state: SOURCE_STATE.IDLE, message: '', lastUpdate: null };
+  const update = (patch) => {
+    status = { ...status, ...patch };
+    if (onStatus) onStatus({ ...status });
+  };
+  return {
+    update,
+    markData: () => update({
+      state: SOURCE_STATE.CONNECTED,
+      lastUpdate: Date.now(),
+      ...(status.state === SOURCE_STATE.ERROR ? { message: '' } : {}),
+    }),
+    markError: (error) => update({ state: SOURCE_STATE.ERROR, message: error.message || String(error) }),
+    get: () => ({ ...status }),
+  };
+};
+
+// --- ADAPTER: SCENARIO (Simulasi 'Digital Chaos' & file skenario) ---
+
+const createScenarioAdapter = (type, loadScenario, describe, onStatus) => {
+  const tracker = createStatusTracker(onStatus);
+  let engine = null;
+
+  return {
+    type,
+    connect: () => {
+      try {
+        const scenario = loadScenario();
+        engine = createScenarioEngine(scenario);
+        tracker.update({ state: SOURCE_STATE.CONNECTED, message: describe(scenario) });
+      } catch (error) {
+        engine = null;
+        tracker.markError(error);
+      }
+    },
+    disconnect: () => tracker.update({ state: SOURCE_STATE.IDLE }),
+    read: async () => {
+      if (!engine) return null;
+      const sample = engine.next();
+      if (!sample) {
+        tracker.update({ state: SOURCE_STATE.ENDED, message: t('source.message.scenarioDone') });
+        return null;
+      }
+      tracker.markData();
+      return sample;
+    },
+    getStatus: tracker.get,
+  };
+};
+
+// Demo bawaan dengan seed baru setiap koneksi; seed tampil di status agar run menarik bisa disimpan sebagai skenario
+export const createRandomSource = ({ seed = randomSeed(), onStatus } = {}) => createScenarioAdapter(
+  'random',
+  () => normalizeScenario({ ...DEMO_SCENARIO, seed }),
+  (scenario) => t('source.message.localSimulation', { seed: scenario.seed }),
+  onStatus,
+);
+
+export const createScenarioSource = ({ text = '', fileName = '', onStatus } = {}) => createScenarioAdapter(
+  'scenario',
+  () => parseScenario(text),
+  (scenario) => t('source.message.scenario', { name: scenario.name, file: fileName || 'skenario', seed: scenario.seed }),
+  onStatus,
+);
+
+// --- ADAPTER: HTTP JSON POLLING ---
+
+export const createHttpPollingSource = ({ url, onStatus, fetchImpl } = {}) => {
+  const tracker = createStatusTracker(onStatus);
+  const doFetch = fetchImpl || globalThis.fetch;
+  let controller = null;
+
+  return {
+    type: 'http',
+    connect: () => {
+      if (!url) {
+        tracker.markError(new Error(t('source.error.noEndpoint')));
+        return;
+      }
+      tracker.update({ state: SOURCE_STATE.CONNECTING, message: url });
+    },
+    disconnect: () => {
+      if (controller) controller.abort();
+      tracker.update({ state: SOURCE_STATE.IDLE });
+    },
+    read: async () => {
+      if (!url) return null;
+      controller = new AbortController();
+      try {
+        const response = await doFetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const sample = normalizeSample(await response.json());
+        tracker.markData();
+        return sample;
+      } catch (error) {
+        if (error.name === 'AbortError') return null;
+        tracker.markError(error);
+        return null;
+      } finally {
+        controller = null;
+      }
+    },
+    getStatus: tracker.get,
+  };
+};
+
+// --- ADAPTER: WEBSOCKET STREAM ---
+
+const WS_RECONNECT_DELAY_MS = 3000;
+
+export const createWebSocketSource = ({ url, onStatus, WebSocketImpl } = {}) => {
+  const tracker = createStatusTracker(onStatus);
+  const Socket = WebSocketImpl || globalThis.WebSocket;
+  let socket = null;
+  let latest = null;
+  let reconnectTimer = null;
+  let closedByUser = false;
+
+  const open = () => {
+    tracker.update({ state: SOURCE_STATE.CONNECTING, message: url });
+    socket = new Socket(url);
+    socket.onopen = () => tracker.update({ state: SOURCE_STATE.CONNECTED, message: url });
+    socket.onmessage = (event) => {
+      try {
+        latest = normalizeSample(JSON.parse(event.data));
+        tracker.markData();
+      } catch (error) {
+        tracker.markError(error);
+      }
+    };
+    socket.onerror = () => tracker.markError(new Error(t('source.error.websocketFailed')));
+    socket.onclose = () => {
+      socket = null;
+      if (closedByUser) return;
+      tracker.update({ state: SOURCE_STATE.ERROR, message: t('source.message.reconnecting') });
+      reconnectTimer = setTimeout(open, WS_RECONNECT_DELAY_MS);
+    };
+  };
+
+  return {
+    type: 'websocket',
+    connect: () => {
+      if (!url) {
+        tracker.markError(new Error(t('source.error.noWebsocketUrl')));
+        return;
+      }
+      if (!Socket) {
+        tracker.markError(new Error(t('source.error.websocketUnavailable')));
+        return;
+      }
+      closedByUser = false;
+      open();
+    },
+    disconnect: () => {
+      closedByUser = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+      tracker.update({ state: SOURCE_STATE.IDLE });
+    },
+    read: async () => {
+      const sample = latest;
+      latest = null;
+      return sample;
+    },
+    getStatus: tracker.get,
+  };
+};
+
+// --- ADAPTER: FILE REPLAY (CSV / NDJSON) ---
+
+export const createReplaySource = ({ text = '', fileName = '', loop = true, onStatus } = {}) => {
+  const tracker = createStatusTracker(onStatus);
+  let records = [];
+  let cursor = 0;
+
+  return {
+    type: 'replay',
+    connect: () => {
+      try {
+        records = parseRecords(text, fileName).map(normalizeSample);
+        cursor = 0;
+        if (records.length === 0) throw new Error(t('source.error.emptyRecording'));
+        tracker.update({ state: SOURCE_STATE.CONNECTED, message: `${fileName || 'rekaman'} (${records.length} sampel)` });
+      } catch (error) {
+        records = [];
+        tracker.markError(error);
+      }
+    },
+    disconnect: () => tracker.update({ state: SOURCE_STATE.IDLE }),
+    read: async () => {
+      if (records.length === 0) return null;
+      if (cursor >= records.length) {
+        if (!loop) {
+          tracker.update({ state: SOURCE_STATE.ENDED, message: t('source.message.replayDone') });
+          return null;
+        }
+        cursor = 0;
+      }
+      const sample = records[cursor++];
+      tracker.markData();
+      return sample;
+    },
+    getStatus: tracker.get,
+  };
+};
+
+// --- REGISTRY ---
+
+export const DATA_SOURCE_TYPES = {
+  random: { label: t('source.type.random'), create: createRandomSource, needsUrl: false, needsFile: false },
+  http: { label: 'HTTP Polling (JSON)', create: createHttpPollingSource, needsUrl: true, needsFile: false },
+  websocket: { label: 'WebSocket Stream', create: createWebSocketSource, needsUrl: true, needsFile: false },
+  replay: { label: 'Replay File (CSV/NDJSON)', create: createReplaySource, needsUrl: false, needsFile: true },
+  scenario: { label: t('source.type.scenario'), create: createScenarioSource, needsUrl: false, needsFile: true },
+};
+
+/**
+ * Membuat adapter sumber data berdasarkan tipe yang dipilih pengguna.
+ * @param {string} type - Kunci di DATA_SOURCE_TYPES.
+ * @param {object} config - Konfigurasi adapter (url, text, fileName, onStatus, ...).
+ * @returns {object} - Instance adapter.
+ */
+export const createDataSource = (type, config = {}) => {
+  const definition = DATA_SOURCE_TYPES[type];
+  if (!definition) {
+    throw new Error(t('source.error.unknownType', { type }));
+  }
+  return definition.create(config);
+};
@@ -0,0 +1,330 @@
+// --- ODAS PREDICTIVE BREACH FORECASTING ---
+//
+// ODAS tidak hanya bereaksi setelah batas terlampaui: setiap scan, model jangka pendek dipasang pada riwayat scan
+// terbaru setiap metrik untuk memperkirakan kapan batas aturan statis akan terlampaui.
+//   - linear      : garis tren kuadrat terkecil atas seluruh jendela riwayat (bawaan)
+//   - holtWinters : pemulusan eksponensial level + tren, ditambah musiman aditif bila seasonLength diisi dan
+//                   riwayat mencakup dua musim penuh; pitanya melebar lebih cepat karena tren ikut berubah, sehingga
+//                   pra-peringatan datang lebih lambat tetapi mengikuti pola musiman
+// Pita prakiraan = nilai prakiraan ± bandZ * galat standar model; melebar seiring jarak ke depan. Pelanggaran baru
+// diprakirakan bila seluruh pita melewati batas dalam horizon, sehingga derau tidak memicu pra-peringatan; perkiraan
+// waktunya adalah saat nilai prakiraan melewati batas.
+// Aturan yang diprakirakan hanya aturan berkondisi tunggal { metric, op, value } dengan op >, >=, <, <=
+// (kondisi komposit dan baseline tidak dapat diterjemahkan ke satu garis batas). Bila pelanggaran diprakirakan dalam
+// horizonMinutes (tidak lebih jauh dari rentang riwayat), pemindai membuka pra-peringatan berseverity 'forecast' (Prediksi) untuk aset + jalur + aturan
+// itu; insiden yang sama naik ke severity aturan begitu pelanggarannya benar-benar terjadi, dan pulih bila prakiraan
+// tidak lagi melewati batas selama clearScans scan berturut-turut (hysteresis, seperti clearCondition aturan), sehingga
+// pita yang keluar-masuk horizon tidak menutup dan membuka ulang insiden, catatan chronicle, dan notifikasi baru. Pra-peringatan tidak menurunkan kesehatan, tidak dieskalasi, dan tidak menjalankan playbook.
+// Konfigurasi disimpan di odas_settings/forecast dan digabung dengan DEFAULT_FORECAST_CONFIG.
+
+import { SEVERITY, describeBreach, formatMetric } from './ruleEngine.js';
+import { PATH_METRIC_KEYS } from './paths.js';
+import { t } from './i18n.js';
+
+export const FORECAST_SETTINGS_DOC = 'forecast';
+
+export const FORECAST_METHODS = ['linear', 'holtWinters'];
+
+export const FORECAST_METHOD_LABELS = {
+  linear: t('forecast.method.linear'),
+  holtWinters: 'Holt-Winters',
+};
+
+export const DEFAULT_FORECAST_CONFIG = {
+  enabled: true,
+  method: 'linear',
+  horizonMinutes: 15,
+  // Panjang musim dalam sampel untuk Holt-Winters (0 = tanpa musiman)
+  seasonLength: 0,
+};
+
+export const FORECAST_MODEL_CONFIG = {
+  historySize: 180, // 180 sampel = 15 menit pada interval scan 5 detik
+  minSamples: 20, // prakiraan belum dibuat sebelum cukup data
+  alpha: 0.5,
+  beta: 0.1,
+  gamma: 0.3,
+  bandZ: 1.96, // pita ~95%
+  chartPoints: 12, // titik prakiraan yang disimpan untuk grafik StatusCard
+  clearScans: 12, // pra-peringatan tetap terbuka sampai prakiraannya bersih 12 scan berturut-turut (1 menit)
+};
+
+const FORECAST_OPERATORS = ['>', '>=', '<', '<='];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * @param {object} [stored] - Dokumen odas_settings/forecast.
+ * @returns {object}
+ */
+export const normalizeForecastConfig = (stored) => ({ ...DEFAULT_FORECAST_CONFIG, ...(stored || {}) });
+
+/**
+ * @param {object} config - Hasil normalizeForecastConfig().
+ * @returns {string[]} - Pesan kesalahan (kosong = valid).
+ */
+export const validateForecastConfig = (config) => {
+  const errors = [];
+  if (!FORECAST_METHODS.includes(config.method)) errors.push(t('forecast.error.method', { methods: FORECAST_METHODS.join(', ') }));
+  if (!(isNumber(config.horizonMinutes) && config.horizonMinutes > 0)) errors.push(t('forecast.error.horizon'));
+  const maxSeason = Math.floor(FORECAST_MODEL_CONFIG.historySize / 2);
+  if (!(Number.isInteger(config.seasonLength) && (config.seasonLength === 0 || (config.seasonLength >= 2 && config.seasonLength <= maxSeason)))) {
+    errors.push(t('forecast.error.season', { max: maxSeason }));
+  }
+  return errors;
+};
+
+// --- MODELS ---
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const rootMeanSquare = (values) => (values.length > 0 ? Math.sqrt(mean(values.map(value => value * value))) : 0);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Least-squares line over x = steps relative to the last sample, with the prediction interval of a new observation
+const fitLinear = (xs, values) => {
+  const n = values.length;
+  const xMean = mean(xs);
+  const yMean = mean(values);
+  const sxx = xs.reduce((total, x) => total + (x - xMean) ** 2, 0);
+  const slope = sxx > 0 ? xs.reduce((total, x, index) => total + (x - xMean) * (values[index] - yMean), 0) / sxx : 0;
+  const intercept = yMean - slope * xMean;
+  const residuals = values.map((value, index) => value - (intercept + slope * xs[index]));
+  const sigma = n > 2 ? Math.sqrt(residuals.reduce((total, value) => total + value * value, 0) / (n - 2)) : 0;
+  return (h) => ({
+    value: intercept + slope * h,
+    spread: sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (h - xMean) ** 2 / sxx : 0)),
+  });
+};
+
+// Additive Holt-Winters over evenly spaced samples; without a usable season it is Holt's linear trend method
+const fitHoltWinters = (values, { alpha, beta, gamma, seasonLength }) => {
+  const m = seasonLength >= 2 && values.length >= 2 * seasonLength ? seasonLength : 0;
+  let level;
+  let trend;
+  let season = [];
+  if (m > 0) {
+    const first = mean(values.slice(0, m));
+    level = first;
+    trend = (mean(values.slice(m, 2 * m)) - first) / m;
+    season = values.slice(0, m).map(value => value - first);
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+  }
+
+  // One-step-ahead errors give the spread of the forecast
+  const errors = [];
+  for (let index = m > 0 ? m : 1; index < values.length; index += 1) {
+    const seasonal = m > 0 ? season[index % m] : 0;
+    errors.push(values[index] - (level + trend + seasonal));
+    const previousLevel = level;
+    level = alpha * (values[index] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (m > 0) season[index % m] = gamma * (values[index] - level) + (1 - gamma) * seasonal;
+  }
+  const sigma = rootMeanSquare(errors);
+  const last = values.length - 1;
+  return (h) => ({
+    value: level + h * trend + (m > 0 ? season[(last + h) % m] : 0),
+    // Prediction variance of additive level + trend smoothing; the seasonal term adds little within one season
+    spread: sigma * Math.sqrt(1 + Math.max(0, h - 1) * (alpha ** 2 + alpha * beta * h + (beta ** 2 * h * (2 * h - 1)) / 6)),
+  });
+};
+
+const fitModel = (series, metric, config, model) => {
+  const stepMs = median(series.slice(1).map((sample, index) => sample.t - series[index].t));
+  if (!(stepMs > 0)) return null;
+  const values = series.map(sample => sample[metric]);
+  const lastT = series[series.length - 1].t;
+  return {
+    stepMs,
+    predict: config.method === 'linear'
+      ? fitLinear(series.map(sample => (sample.t - lastT) / stepMs), values)
+      : fitHoltWinters(values, { ...model, seasonLength: config.seasonLength }),
+  };
+};
+
+// --- BREACH ESTIMATION ---
+
+const crosses = (value, op, threshold) => {
+  switch (op) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Aturan yang dapat diprakirakan: aktif dan berkondisi tunggal dengan batas statis.
+ * @param {object} rule
+ * @returns {boolean}
+ */
+export const isForecastableRule = (rule) => {
+  const { condition } = rule;
+  return rule.enabled !== false
+    && Boolean(condition)
+    && typeof condition.metric === 'string'
+    && !condition.baseline
+    && FORECAST_OPERATORS.includes(condition.op)
+    && isNumber(condition.value);
+};
+
+/**
+ * Prakiraan satu metrik dan pelanggaran terdekat dari aturan yang memakainya.
+ * @param {object} options
+ * @param {object[]} options.history - Sampel { t, ...metrik }, terlama lebih dulu; sampel terakhir = scan saat ini.
+ * @param {string} options.metric - Kunci metrik.
+ * @param {object[]} options.rules - Aturan efektif aset (hanya isForecastableRule() yang dinilai).
+ * @param {object} options.config - Hasil normalizeForecastConfig().
+ * @returns {object|null} - { method, stepMs, horizonMs, points: [{ t, value, low, high }], breaches: [{ rule, etaMs, at, value, low, high }] }
+ *   (horizonMs: horizonMinutes dibatasi rentang riwayat; breaches urut etaMs; etaMs 0 = nilai saat ini sudah melewati batas); null bila riwayat belum cukup.
+ */
+export const forecastMetric = ({ history, metric, rules, config, model = FORECAST_MODEL_CONFIG }) => {
+  const series = history.filter(sample => isNumber(sample[metric]) && isNumber(sample.t)).slice(-model.historySize);
+  if (series.length < model.minSamples) return null;
+  const fitted = fitModel(series, metric, config, model);
+  if (!fitted) return null;
+
+  const now = series[series.length - 1].t;
+  const current = series[series.length - 1][metric];
+  // Never extrapolate further ahead than the history reaches back
+  const steps = Math.max(1, Math.min(Math.ceil((config.horizonMinutes * 60000) / fitted.stepMs), series.length));
+  const at = (h) => {
+    const { value, spread } = fitted.predict(h);
+    const width = model.bandZ * spread;
+    return { t: now + h * fitted.stepMs, value, low: value - width, high: value + width };
+  };
+
+  const points = Array.from({ length: model.chartPoints }, (_, index) => at(Math.round(((index + 1) * steps) / model.chartPoints)));
+  const breaches = [];
+  for (const rule of rules.filter(item => isForecastableRule(item) && item.condition.metric === metric)) {
+    const { op, value: threshold } = rule.condition;
+    if (crosses(current, op, threshold)) {
+      breaches.push({ rule, etaMs: 0, at: now, value: current, low: current, high: current });
+      continue;
+    }
+    // Noise must not raise pre-warnings: the breach counts once the whole band is past the threshold within the
+    // horizon, and the estimate is when the forecast value crosses it
+    const edge = op === '>' || op === '>=' ? 'low' : 'high';
+    let crossing = null;
+    for (let h = 1; h <= steps; h += 1) {
+      const point = at(h);
+      if (!crossing && crosses(point.value, op, threshold)) crossing = point;
+      if (!crosses(point[edge], op, threshold)) continue;
+      breaches.push({ rule, etaMs: crossing.t - now, at: crossing.t, value: crossing.value, low: crossing.low, high: crossing.high });
+      break;
+    }
+  }
+  breaches.sort((a, b) => a.etaMs - b.etaMs);
+
+  return { method: config.method, stepMs: fitted.stepMs, horizonMs: steps * fitted.stepMs, points, breaches };
+};
+
+// Minutes shown in the pre-warning; never 0 so the text reads as a lead time
+const etaMinutes = (etaMs) => Math.max(1, Math.ceil(etaMs / 60000));
+
+/**
+ * Prakiraan semua metrik satu aset dan pra-peringatan untuk aturan yang belum aktif.
+ * @param {object} options
+ * @param {object[]} options.history - Sampel terbaru aset (lihat forecastMetric()).
+ * @param {object[]} options.rules - Aturan efektif aset.
+ * @param {object} options.ruleState - State aturan hasil scan ini; aturan yang sedang aktif sudah menjadi pelanggaran.
+ * @param {object} [options.warningState] - State pra-peringatan dari scan sebelumnya: { [ruleId]: { clearScans, warning } }.
+ * @param {object} options.config - Hasil normalizeForecastConfig().
+ * @returns {object} - { forecasts: { [metric]: { method, stepMs, horizonMs, points, breach } }, warnings: [pelanggaran berseverity forecast],
+ *   warningState }
+ *   breach: pelanggaran terdekat dari aturan yang belum aktif { ruleId, severity, metric, op, threshold, etaMs, at } atau null.
+ */
+export const forecastAsset = ({ history, rules, ruleState = {}, warningState = {}, config, model = FORECAST_MODEL_CONFIG }) => {
+  const forecasts = {};
+  const warnings = [];
+  const nextWarningState = {};
+  if (!config.enabled) return { forecasts, warnings, warningState: nextWarningState };
+
+  for (const metric of PATH_METRIC_KEYS) {
+    const forecast = forecastMetric({ history, metric, rules, config, model });
+    if (!forecast) continue;
+    // Rules that already breach are incidents of their own; the forecast looks for the next threshold
+    const pending = forecast.breaches.filter(({ rule }) => !(ruleState[rule.id] && ruleState[rule.id].active));
+    const nearest = pending[0];
+    forecasts[metric] = {
+      method: forecast.method,
+      stepMs: forecast.stepMs,
+      horizonMs: forecast.horizonMs,
+      points: forecast.points,
+      breach: nearest ? {
+        ruleId: nearest.rule.id,
+        severity: nearest.rule.severity,
+        metric,
+        op: nearest.rule.condition.op,
+        threshold: nearest.rule.condition.value,
+        etaMs: nearest.etaMs,
+        at: nearest.at,
+      } : null,
+    };
+
+    for (const { rule, etaMs, low, high } of pending) {
+      // Stored like a breach so incidents, notifications and the log handle it unchanged; describeBreach renders
+      // the metric label and threshold in the reader's locale
+      const message = {
+        messageKey: 'forecast.message',
+        messageTemplate: null,
+        messageParams: {
+          metric,
+          threshold: rule.condition.value,
+          minutes: etaMinutes(etaMs),
+          rule: rule.id,
+        },
+      };
+      warnings.push({
+        ruleId: rule.id,
+        path: rule.path,
+        severity: SEVERITY.FORECAST,
+        ...message,
+        description: describeBreach(message),
+        metric,
+        op: rule.condition.op,
+        value: history[history.length - 1][metric],
+        expectedLow: low,
+        expectedHigh: high,
+        baselineMethod: null,
+      });
+      nextWarningState[rule.id] = { clearScans: 0, warning: warnings[warnings.length - 1] };
+    }
+  }
+
+  // A pre-warning whose forecast cleared is held with its last text until it stays clear for clearScans scans;
+  // it ends at once when the rule itself breaches or is no longer forecastable
+  const current = history[history.length - 1];
+  for (const [ruleId, held] of Object.entries(warningState)) {
+    if (nextWarningState[ruleId] || (ruleState[ruleId] && ruleState[ruleId].active)) continue;
+    if (!rules.some(rule => rule.id === ruleId && isForecastableRule(rule))) continue;
+    const clearScans = held.clearScans + 1;
+    if (clearScans >= model.clearScans) continue;
+    const warning = { ...held.warning, value: isNumber(current[held.warning.metric]) ? current[held.warning.metric] : held.warning.value };
+    nextWarningState[ruleId] = { clearScans, warning };
+    warnings.push(warning);
+  }
+  return { forecasts, warnings, warningState: nextWarningState };
+};
+
+/**
+ * Teks waktu sampai batas terlampaui untuk StatusCard.
+ * @param {object} forecast - Prakiraan satu metrik dari forecastAsset().
+ * @returns {string}
+ */
+export const describeForecast = (forecast) => {
+  if (!forecast.breach) return t('forecast.clear', { minutes: etaMinutes(forecast.horizonMs) });
+  const threshold = formatMetric(forecast.breach.metric, forecast.breach.threshold);
+  return forecast.breach.etaMs === 0
+    ? t('forecast.atThreshold', { threshold })
+    : t('forecast.eta', { threshold, minutes: etaMinutes(forecast.breach.etaMs) });
+};
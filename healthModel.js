@@ -0,0 +1,360 @@
+// --- ODAS SYSTEM HEALTH MODEL ---
+//
+// Skor kesehatan 0..100 per jalur dan keseluruhan untuk GCP, dihitung dari tiga komponen:
+//   - metrics:         jarak nilai metrik terbaru tiap aset ke batas aturan aktif (headroom); melanggar = 0
+//   - openIncidents:   insiden yang pelanggarannya masih berlangsung, berbobot severity
+//   - recentIncidents: insiden yang dibuka dalam jendela waktu, berbobot severity dan meluruh (half-life)
+// Skor jalur = rata-rata berbobot komponen; skor keseluruhan = rata-rata berbobot jalur (pathWeights).
+// Setiap penurunan skor membawa alasan (kunci katalog + parameter) agar GCP dapat menjelaskan statusnya.
+// Konfigurasi disimpan di odas_settings/health dan digabung dengan DEFAULT_HEALTH_CONFIG.
+// Aturan dan insiden yang diredam jendela pemeliharaan atau silence (silences.js) tidak menurunkan skor, begitu pula
+// pra-peringatan Prediksi (forecasting.js) yang batasnya belum terlampaui.
+
+import {
+  SEVERITY,
+  normalizeSeverity,
+  primaryCondition,
+  applyThresholdOverrides,
+  formatMetric,
+  severityLabel,
+} from './ruleEngine.js';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { DEFAULT_ASSET_ID } from './assets.js';
+import { toSample } from './metricsHistory.js';
+import { loadMetricHistory } from './metricsRecorder.js';
+import { loadIncidentsInRange } from './interventionLog.js';
+import { activeSilences, silenceFor } from './silences.js';
+import { isForecastSeverity } from './incidents.js';
+import { t, formatPercent } from './i18n.js';
+
+export const HEALTH_SETTINGS_DOC = 'health';
+
+export const HEALTH_STATUS = {
+  OPTIMAL: 'optimal',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+  OFFLINE: 'offline',
+};
+
+export const HEALTH_STATUS_LABELS = {
+  [HEALTH_STATUS.OPTIMAL]: t('health.status.optimal'),
+  [HEALTH_STATUS.WARNING]: t('health.status.warning'),
+  [HEALTH_STATUS.CRITICAL]: t('health.status.critical'),
+  [HEALTH_STATUS.OFFLINE]: t('health.status.offline'),
+};
+
+export const HEALTH_COMPONENTS = ['metrics', 'openIncidents', 'recentIncidents'];
+
+export const HEALTH_COMPONENT_LABELS = {
+  metrics: t('health.component.metrics'),
+  openIncidents: t('health.component.openIncidents'),
+  recentIncidents: t('health.component.recentIncidents'),
+};
+
+export const DEFAULT_HEALTH_CONFIG = {
+  windowMinutes: 60,
+  halfLifeMinutes: 15,
+  // Bobot komponen dalam skor jalur
+  weights: { metrics: 0.4, openIncidents: 0.4, recentIncidents: 0.2 },
+  // Bobot jalur dalam skor keseluruhan; jalur tanpa bobot tersimpan (mis. plugin baru) berbobot 1
+  pathWeights: Object.fromEntries(RULE_PATHS.map(path => [path, 1])),
+  severityWeights: { [SEVERITY.WARNING]: 1, [SEVERITY.CRITICAL]: 3, [SEVERITY.EMERGENCY]: 6 },
+  // Headroom (proporsi batas) yang sudah dianggap sehat penuh, mis. 0.5 = 50% di bawah batas
+  fullHeadroom: 0.5,
+  // Jumlah bobot severity yang membuat komponen insiden bernilai 0
+  openIncidentLimit: 6,
+  recentIncidentLimit: 10,
+  // Skor minimum untuk status optimal / peringatan; di bawahnya kritis
+  thresholds: { optimal: 80, warning: 50 },
+  // Sampel metrik lebih tua dari ini tidak dipakai pada satu titik waktu
+  sampleMaxAgeMinutes: 5,
+};
+
+// Jumlah titik tren di sepanjang jendela waktu
+export const HEALTH_TREND_POINTS = 12;
+
+const MINUTE_MS = 60 * 1000;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const pathWeight = (config, path) => config.pathWeights[path] ?? 1;
+
+/**
+ * Menggabungkan konfigurasi tersimpan dengan bawaan (objek bersarang digabung per kunci).
+ * @param {object} [stored] - Dokumen odas_settings/health.
+ * @returns {object}
+ */
+export const normalizeHealthConfig = (stored) => {
+  const config = { ...DEFAULT_HEALTH_CONFIG, ...(stored || {}) };
+  for (const key of ['weights', 'pathWeights', 'severityWeights', 'thresholds']) {
+    config[key] = { ...DEFAULT_HEALTH_CONFIG[key], ...((stored && stored[key]) || {}) };
+  }
+  return config;
+};
+
+/**
+ * @param {object} config - Konfigurasi hasil normalizeHealthConfig().
+ * @returns {string[]} - Pesan kesalahan (kosong = valid).
+ */
+export const validateHealthConfig = (config) => {
+  const errors = [];
+  const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const isPositive = (value) => isNonNegative(value) && value > 0;
+
+  if (!isPositive(config.windowMinutes)) errors.push(t('health.error.window'));
+  if (!isPositive(config.halfLifeMinutes)) errors.push(t('health.error.halfLife'));
+  if (!isPositive(config.fullHeadroom)) errors.push(t('health.error.fullHeadroom'));
+  if (!isPositive(config.openIncidentLimit) || !isPositive(config.recentIncidentLimit)) errors.push(t('health.error.incidentLimit'));
+  if (!Object.values(config.weights).every(isNonNegative) || !HEALTH_COMPONENTS.some(key => config.weights[key] > 0)) {
+    errors.push(t('health.error.weights'));
+  }
+  if (!Object.values(config.pathWeights).every(isNonNegative) || !RULE_PATHS.some(path => pathWeight(config, path) > 0)) {
+    errors.push(t('health.error.pathWeights'));
+  }
+  if (!Object.values(config.severityWeights).every(isNonNegative)) errors.push(t('health.error.severityWeights'));
+  const { optimal, warning } = config.thresholds;
+  if (!isNonNegative(warning) || !isNonNegative(optimal) || warning >= optimal || optimal > 100) {
+    errors.push(t('health.error.thresholds'));
+  }
+  return errors;
+};
+
+export const healthStatusFor = (score, config = DEFAULT_HEALTH_CONFIG) => {
+  if (score === null) return HEALTH_STATUS.OFFLINE;
+  if (score >= config.thresholds.optimal) return HEALTH_STATUS.OPTIMAL;
+  if (score >= config.thresholds.warning) return HEALTH_STATUS.WARNING;
+  return HEALTH_STATUS.CRITICAL;
+};
+
+// Alasan penurunan skor: teks dirender saat ditampilkan, impact = poin skor jalur yang hilang
+const reason = (key, params, impact) => ({ key, params, impact });
+
+export const describeHealthReason = (entry) => t(entry.key, entry.params);
+
+// --- COMPONENTS ---
+
+// Headroom satu kondisi sederhana: > 0 masih di dalam batas, <= 0 melanggar; null bila tidak bisa dinilai
+const headroomOf = (condition, value) => {
+  const threshold = condition.value;
+  if (typeof value !== 'number' || typeof threshold !== 'number' || threshold === 0 || condition.baseline) return null;
+  if (condition.op === '>' || condition.op === '>=') return (threshold - value) / Math.abs(threshold);
+  if (condition.op === '<' || condition.op === '<=') return (value - threshold) / Math.abs(threshold);
+  return null;
+};
+
+const metricComponent = (path, rules, samples, assetNames, silenced, config) => {
+  let score = null;
+  const reasons = [];
+  for (const [assetId, sample] of Object.entries(samples)) {
+    for (const rule of rules[assetId] || []) {
+      if (rule.enabled === false || rule.path !== path) continue;
+      if (silenceFor({ assetId, path, ruleId: rule.id }, silenced)) continue;
+      const condition = primaryCondition(rule.condition);
+      const value = condition ? sample[condition.metric] : undefined;
+      const headroom = condition ? headroomOf(condition, value) : null;
+      if (headroom === null) continue;
+
+      const ruleScore = clamp01(headroom / config.fullHeadroom);
+      score = score === null ? ruleScore : Math.min(score, ruleScore);
+      if (ruleScore >= 1) continue;
+      const params = {
+        rule: rule.name,
+        asset: assetNames[assetId] || assetId,
+        value: formatMetric(condition.metric, value),
+        threshold: formatMetric(condition.metric, condition.value),
+        headroom: formatPercent(Math.max(0, headroom)),
+      };
+      reasons.push(reason(headroom <= 0 ? 'health.reason.breach' : 'health.reason.headroom', params, 1 - ruleScore));
+    }
+  }
+  return { score, reasons };
+};
+
+const severityWeight = (severity, config) => config.severityWeights[normalizeSeverity(severity)] ?? 0;
+
+// Insiden yang pelanggarannya masih berlangsung pada waktu `at`
+const isOpenAt = (incident, at) => incident.openedAtMs !== null
+  && incident.openedAtMs <= at
+  && (typeof incident.recoveredAtMs === 'number' ? incident.recoveredAtMs > at : incident.breachActive !== false);
+
+const openIncidentComponent = (incidents, at, config) => {
+  const open = incidents.filter(incident => isOpenAt(incident, at));
+  const penalty = open.reduce((total, incident) => total + severityWeight(incident.severity, config), 0);
+  const score = clamp01(1 - penalty / config.openIncidentLimit);
+  const reasons = [];
+  for (const severity of [SEVERITY.EMERGENCY, SEVERITY.CRITICAL, SEVERITY.WARNING]) {
+    const count = open.filter(incident => normalizeSeverity(incident.severity) === severity).length;
+    if (count === 0) continue;
+    reasons.push(reason('health.reason.openIncidents', { count, severity: severityLabel(severity) },
+      Math.min(1, (count * severityWeight(severity, config)) / config.openIncidentLimit)));
+  }
+  return { score, reasons };
+};
+
+const recentIncidentComponent = (incidents, at, config) => {
+  const windowMs = config.windowMinutes * MINUTE_MS;
+  const recent = incidents.filter(incident => incident.openedAtMs !== null && incident.openedAtMs <= at && at - incident.openedAtMs <= windowMs);
+  const decayed = recent.reduce((total, incident) => (
+    total + severityWeight(incident.severity, config) * 0.5 ** ((at - incident.openedAtMs) / (config.halfLifeMinutes * MINUTE_MS))
+  ), 0);
+  const score = clamp01(1 - decayed / config.recentIncidentLimit);
+  const reasons = recent.length > 0 && score < 1
+    ? [reason('health.reason.recentIncidents', { count: recent.length, minutes: config.windowMinutes }, 1 - score)]
+    : [];
+  return { score, reasons };
+};
+
+// --- SCORES ---
+
+/**
+ * Skor kesehatan pada satu titik waktu.
+ * @param {object} input
+ * @param {object[]} input.rules - Set aturan aktif.
+ * @param {object[]} input.assets - Aset yang dipindai (thresholdOverrides dipakai per aset).
+ * @param {object} input.samples - { [assetId]: sampel metrik } terbaru pada waktu `at`.
+ * @param {object[]} input.incidents - Insiden { path, severity, openedAtMs, recoveredAtMs, breachActive, suppressed }.
+ * @param {object[]} [input.silences] - Jendela pemeliharaan dan silence; yang berlaku pada `at` meredam aturannya.
+ * @param {object} [input.config] - Hasil normalizeHealthConfig().
+ * @param {number} [input.at] - Waktu penilaian (ms).
+ * @returns {object} - { at, score, status, paths: { [path]: { score, status, components, reasons } }, reasons }
+ *   score null dan status offline bila belum ada sampel maupun insiden sama sekali.
+ */
+export const computeHealth = ({ rules, assets = [], samples = {}, incidents = [], silences = [], config = DEFAULT_HEALTH_CONFIG, at = Date.now() }) => {
+  const silenced = activeSilences(silences, at);
+  const assetNames = Object.fromEntries(assets.map(asset => [asset.id, asset.name]));
+  const assetRules = Object.fromEntries(Object.keys(samples).map(assetId => {
+    const asset = assets.find(item => item.id === assetId);
+    return [assetId, applyThresholdOverrides(rules, asset && asset.thresholdOverrides)];
+  }));
+
+  const paths = {};
+  for (const path of RULE_PATHS) {
+    const pathIncidents = incidents.filter(incident => (
+      incident.path === path && !incident.suppressed && !isForecastSeverity(incident.severity)
+    ));
+    const components = {
+      metrics: metricComponent(path, assetRules, samples, assetNames, silenced, config),
+      openIncidents: openIncidentComponent(pathIncidents, at, config),
+      recentIncidents: recentIncidentComponent(pathIncidents, at, config),
+    };
+    // A path without measurable rules is judged on its incidents only
+    const scored = HEALTH_COMPONENTS.filter(key => components[key].score !== null && config.weights[key] > 0);
+    const totalWeight = scored.reduce((total, key) => total + config.weights[key], 0);
+    const score = totalWeight > 0
+      ? (100 * scored.reduce((total, key) => total + config.weights[key] * components[key].score, 0)) / totalWeight
+      : null;
+    const reasons = scored
+      .flatMap(key => components[key].reasons.map(entry => ({
+        ...entry,
+        path,
+        component: key,
+        // Points of the path score lost to this reason
+        impact: (100 * config.weights[key] * entry.impact) / totalWeight,
+      })))
+      .sort((a, b) => b.impact - a.impact);
+    if (components.metrics.score === null) reasons.push({ ...reason('health.reason.noMetrics', { path: pathLabel(path) }, 0), path, component: 'metrics' });
+
+    paths[path] = {
+      score,
+      status: healthStatusFor(score, config),
+      components: Object.fromEntries(HEALTH_COMPONENTS.map(key => [key, components[key].score === null ? null : 100 * components[key].score])),
+      reasons,
+    };
+  }
+
+  const hasData = Object.keys(samples).length > 0 || incidents.length > 0;
+  const weighted = RULE_PATHS.filter(path => paths[path].score !== null && pathWeight(config, path) > 0);
+  const totalPathWeight = weighted.reduce((total, path) => total + pathWeight(config, path), 0);
+  const score = hasData && totalPathWeight > 0
+    ? weighted.reduce((total, path) => total + pathWeight(config, path) * paths[path].score, 0) / totalPathWeight
+    : null;
+
+  // Overall explanation: the reasons that cost the most points of the overall score
+  const reasons = weighted
+    .flatMap(path => paths[path].reasons
+      .filter(entry => entry.impact > 0)
+      .map(entry => ({ ...entry, impact: (entry.impact * pathWeight(config, path)) / totalPathWeight })))
+    .sort((a, b) => b.impact - a.impact);
+
+  return { at, score, status: healthStatusFor(score, config), paths, reasons };
+};
+
+// Sampel terbaru per aset pada waktu `at`, tidak lebih tua dari sampleMaxAgeMinutes
+const samplesAt = (history, at, config) => {
+  const maxAgeMs = config.sampleMaxAgeMinutes * MINUTE_MS;
+  const samples = {};
+  for (const [assetId, series] of Object.entries(history)) {
+    let latest = null;
+    for (const sample of series) {
+      if (sample.t > at) break;
+      latest = sample;
+    }
+    if (latest && at - latest.t <= maxAgeMs) samples[assetId] = latest;
+  }
+  return samples;
+};
+
+/**
+ * Tren skor di sepanjang jendela waktu; titik terakhir memakai sampel langsung dari status pemindai bila ada.
+ * @param {object} input - Seperti computeHealth(), ditambah history { [assetId]: sampel terurut waktu }
+ *   dan liveSamples { [assetId]: sampel } untuk titik saat ini.
+ * @param {number} [points]
+ * @returns {object[]} - Hasil computeHealth() per titik, terlama lebih dulu.
+ */
+export const healthTrend = ({ history = {}, liveSamples = {}, now = Date.now(), config = DEFAULT_HEALTH_CONFIG, ...input }, points = HEALTH_TREND_POINTS) => {
+  const stepMs = (config.windowMinutes * MINUTE_MS) / (points - 1);
+  return Array.from({ length: points }, (_, index) => {
+    const at = now - (points - 1 - index) * stepMs;
+    const samples = index === points - 1
+      ? { ...samplesAt(history, at, config), ...liveSamples }
+      : samplesAt(history, at, config);
+    return computeHealth({ ...input, samples, config, at });
+  });
+};
+
+// --- LOADING ---
+
+/**
+ * Memuat riwayat yang dibutuhkan tren: rollup metrik 1 menit dan insiden yang dibuka dalam jendela waktu.
+ * Insiden yang dibuka sebelum jendela tetapi masih berlangsung digabung oleh pemanggil (ACTIVE_INCIDENTS_QUERY).
+ * @param {object} repositories - Repository workspace (storage.js).
+ * @param {object} config
+ * @param {number} [now]
+ * @returns {Promise<object>} - { history: { [assetId]: sampel[] }, incidents }
+ */
+export const loadHealthHistory = async (repositories, config, now = Date.now()) => {
+  // Reach back one extra sample age so the first trend point still has a sample
+  const fromMs = now - (config.windowMinutes + config.sampleMaxAgeMinutes) * MINUTE_MS;
+  const [records, incidents] = await Promise.all([
+    loadMetricHistory(repositories.metrics['1m'], fromMs),
+    loadIncidentsInRange(repositories.interventions, now - config.windowMinutes * MINUTE_MS, now),
+  ]);
+  const history = {};
+  for (const record of records) {
+    const assetId = record.assetId || DEFAULT_ASSET_ID;
+    (history[assetId] = history[assetId] || []).push(toSample(record));
+  }
+  for (const series of Object.values(history)) series.sort((a, b) => a.t - b.t);
+  return { history, incidents };
+};
+
+/**
+ * Menggabungkan insiden jendela waktu dengan insiden aktif (aktif menang karena lebih baru).
+ * @returns {object[]}
+ */
+export const mergeIncidents = (windowIncidents, activeIncidents) => {
+  const byId = new Map(windowIncidents.map(incident => [incident.id, incident]));
+  for (const incident of activeIncidents) byId.set(incident.id, incident);
+  return [...byId.values()];
+};
+
+/**
+ * Sampel langsung dari dokumen odas_scanner/status, hanya bila scan terakhirnya masih dalam sampleMaxAgeMinutes.
+ * @returns {object} - { [assetId]: sampel }
+ */
+export const liveSamplesFrom = (scannerStatus, config, now = Date.now()) => {
+  if (!scannerStatus || !scannerStatus.assets || now - (scannerStatus.scannedAt || 0) > config.sampleMaxAgeMinutes * MINUTE_MS) return {};
+  return Object.fromEntries(Object.entries(scannerStatus.assets)
+    .filter(([, state]) => state && state.pathData)
+    .map(([assetId, state]) => [assetId, { t: scannerStatus.scannedAt, ...state.pathData }]));
+};
@@ -0,0 +1,180 @@
+// --- ODAS I18N ---
+//
+// Lapisan bahasa untuk kedua panel, modul bersama, dan daemon.
+//   - Katalog: messagesId.js (bahasa bawaan, sekaligus cadangan untuk kunci yang belum diterjemahkan)
+//     dan messagesEn.js. Kunci bertitik per layar/modul, mis. 'incident.status.open'.
+//   - Placeholder {nama} atau {nama|format}; format: pct0, pct1, usd, ms, num, int, date, datetime.
+//     Angka, mata uang, dan tanggal diformat dengan Intl sesuai locale aktif.
+//   - Locale dipilih sekali saat modul dimuat: pilihan tersimpan di localStorage (LanguageSwitcher),
+//     lalu bahasa browser; di Node dari variabel lingkungan ODAS_LOCALE. Berganti bahasa memuat ulang
+//     halaman seperti StorageSwitcher, sehingga label yang dihitung saat impor (mis. INCIDENT_STATUS_LABELS)
+//     ikut berganti.
+//   - Data tersimpan tidak bergantung bahasa: severity berupa kode (SEVERITY di ruleEngine.js) dan deskripsi
+//     intervensi berupa messageKey/messageTemplate + messageParams yang dirender saat ditampilkan.
+
+import { MESSAGES_ID } from './messagesId.js';
+import { MESSAGES_EN } from './messagesEn.js';
+
+export const LOCALES = {
+  id: 'Bahasa Indonesia',
+  en: 'English',
+};
+
+export const DEFAULT_LOCALE = 'id';
+
+export const LOCALE_PREFERENCE_KEY = 'odas-locale';
+
+const CATALOGS = { id: MESSAGES_ID, en: MESSAGES_EN };
+
+// Tag BCP 47 untuk Intl
+const INTL_TAGS = { id: 'id-ID', en: 'en-US' };
+
+const supportedLocale = (value) => {
+  const code = String(value || '').toLowerCase().slice(0, 2);
+  return CATALOGS[code] ? code : null;
+};
+
+const resolveLocale = () => {
+  if (typeof window !== 'undefined') {
+    try {
+      const stored = supportedLocale(window.localStorage.getItem(LOCALE_PREFERENCE_KEY));
+      if (stored) return stored;
+    } catch (error) {
+      // Storage can be blocked (private mode, sandboxed iframe); fall back to the browser language
+    }
+    return supportedLocale(window.navigator && window.navigator.language) || DEFAULT_LOCALE;
+  }
+  if (typeof process !== 'undefined' && process.env) return supportedLocale(process.env.ODAS_LOCALE) || DEFAULT_LOCALE;
+  return DEFAULT_LOCALE;
+};
+
+export const locale = resolveLocale();
+
+// --- NUMBER, CURRENCY & DATE FORMATTING ---
+
+const formatterCache = new Map();
+
+const intlFormatter = (kind, options, targetLocale) => {
+  const cacheKey = `${kind}:${targetLocale}:${JSON.stringify(options)}`;
+  if (!formatterCache.has(cacheKey)) {
+    const tag = INTL_TAGS[targetLocale] || INTL_TAGS[DEFAULT_LOCALE];
+    formatterCache.set(cacheKey, kind === 'number'
+      ? new Intl.NumberFormat(tag, options)
+      : new Intl.DateTimeFormat(tag, options));
+  }
+  return formatterCache.get(cacheKey);
+};
+
+const toDate = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return value instanceof Date ? value : new Date(value);
+};
+
+/**
+ * @param {number} value
+ * @param {number} [maximumFractionDigits]
+ * @param {number} [minimumFractionDigits]
+ * @param {string} [targetLocale]
+ * @returns {string}
+ */
+export const formatNumber = (value, maximumFractionDigits = 2, minimumFractionDigits = 0, targetLocale = locale) => (
+  intlFormatter('number', { maximumFractionDigits, minimumFractionDigits }, targetLocale).format(value)
+);
+
+// Rasio 0..1 -> persen, mis. 0.153 -> '15,3%' (id) / '15.3%' (en)
+export const formatPercent = (ratio, fractionDigits = 0, targetLocale = locale) => intlFormatter(
+  'number',
+  { style: 'percent', maximumFractionDigits: fractionDigits, minimumFractionDigits: fractionDigits },
+  targetLocale,
+).format(ratio);
+
+// Nilai metrik dalam USD tanpa sen
+export const formatCurrency = (value, targetLocale = locale) => intlFormatter(
+  'number',
+  { style: 'currency', currency: 'USD', maximumFractionDigits: 0, minimumFractionDigits: 0 },
+  targetLocale,
+).format(value);
+
+/**
+ * Tanggal + jam sesuai locale. Menerima Date, epoch ms, string ISO, atau Timestamp Firestore.
+ * @returns {string} - 'N/A' bila nilai kosong atau tidak valid.
+ */
+export const formatDateTime = (value, targetLocale = locale) => {
+  if (value === null || value === undefined || value === '') return 'N/A';
+  const date = toDate(value);
+  if (Number.isNaN(date.getTime())) return 'N/A';
+  return intlFormatter('date', { dateStyle: 'medium', timeStyle: 'medium' }, targetLocale).format(date);
+};
+
+export const formatDate = (value, targetLocale = locale) => {
+  if (value === null || value === undefined || value === '') return 'N/A';
+  const date = toDate(value);
+  if (Number.isNaN(date.getTime())) return 'N/A';
+  return intlFormatter('date', { dateStyle: 'medium' }, targetLocale).format(date);
+};
+
+export const formatTime = (value, targetLocale = locale) => {
+  if (value === null || value === undefined || value === '') return 'N/A';
+  const date = toDate(value);
+  if (Number.isNaN(date.getTime())) return 'N/A';
+  return intlFormatter('date', { timeStyle: 'medium' }, targetLocale).format(date);
+};
+
+const VALUE_FORMATTERS = {
+  pct0: (value, targetLocale) => formatPercent(value, 0, targetLocale),
+  pct1: (value, targetLocale) => formatPercent(value, 1, targetLocale),
+  usd: (value, targetLocale) => formatCurrency(value, targetLocale),
+  ms: (value, targetLocale) => `${formatNumber(value, 0, 0, targetLocale)}ms`,
+  num: (value, targetLocale) => formatNumber(value, 2, 2, targetLocale),
+  int: (value, targetLocale) => formatNumber(value, 0, 0, targetLocale),
+  date: (value, targetLocale) => formatDate(value, targetLocale),
+  datetime: (value, targetLocale) => formatDateTime(value, targetLocale),
+};
+
+// Format angka yang bisa dipakai di template pesan aturan (RuleEditor)
+export const NUMBER_FORMATS = ['pct0', 'pct1', 'usd', 'ms', 'num', 'int'];
+
+export const formatValue = (value, format, targetLocale = locale) => (
+  (VALUE_FORMATTERS[format] || VALUE_FORMATTERS.num)(value, targetLocale)
+);
+
+/**
+ * Mengisi placeholder {nama} / {nama|format}; placeholder tanpa nilai dibiarkan apa adanya.
+ * @param {string} template
+ * @param {object} values
+ * @param {object} [options] - { defaultFormat, locale } — defaultFormat dipakai untuk angka tanpa format.
+ * @returns {string}
+ */
+export const formatTemplate = (template, values = {}, { defaultFormat = null, locale: targetLocale = locale } = {}) => (
+  String(template || '').replace(/\{(\w+)(?:\|(\w+))?\}/g, (match, key, format) => {
+    const value = values[key];
+    if (value === undefined || value === null) return match;
+    if (typeof value !== 'number') return String(value);
+    const formatter = VALUE_FORMATTERS[format] || VALUE_FORMATTERS[defaultFormat];
+    return formatter ? formatter(value, targetLocale) : formatNumber(value, 2, 0, targetLocale);
+  })
+);
+
+// Nama placeholder dalam template, mis. 'Latency {systemLatency|ms}' -> ['systemLatency']
+export const templateKeys = (template) => [...String(template || '').matchAll(/\{(\w+)(?:\|\w+)?\}/g)]
+  .map(([, key]) => key);
+
+// --- TRANSLATION ---
+
+/**
+ * Teks katalog untuk satu kunci; jatuh ke katalog bawaan, lalu ke kunci itu sendiri.
+ * @param {string} key - Kunci katalog, mis. 'incident.status.open'.
+ * @param {object} [params] - Nilai placeholder.
+ * @param {string} [targetLocale] - Locale lain selain locale aktif (mis. token pencarian kedua bahasa).
+ * @returns {string}
+ */
+export const t = (key, params = {}, targetLocale = locale) => {
+  const catalog = CATALOGS[targetLocale] || CATALOGS[DEFAULT_LOCALE];
+  const template = catalog[key] ?? MESSAGES_ID[key] ?? key;
+  return formatTemplate(template, params, { locale: targetLocale });
+};
+
+// Template mentah di setiap locale, untuk mengetahui placeholder yang dipakai sebuah kunci
+export const messageTemplates = (key) => Object.values(CATALOGS)
+  .map(catalog => catalog[key] ?? MESSAGES_ID[key])
+  .filter(Boolean);
@@ -0,0 +1,128 @@
+// --- ODAS INCIDENT ACTIONS ---
+//
+// Operasi tulis siklus hidup insiden yang dipakai bersama oleh ODAS dan GCP.
+// Riwayat transisi disimpan di field 'history' (arrayUnion), timestamp status memakai waktu server.
+// Setiap perubahan siklus hidup menyetel lifecycleAt agar siklus scan berikutnya merantainya ke Finality Chronicle
+// (chronicleChain.js).
+// Semua fungsi menerima repository interventions dari storage.js (backend apa pun).
+// Tulisan siklus scan (planIncidentWrites, escalationWrite) tidak ditulis langsung, melainkan dikembalikan
+// sebagai entri outbox (outbox.js) yang idempoten.
+
+import { fieldOps } from './storage.js';
+import { planTransition, openIncidentId } from './incidents.js';
+import { incidentSearchTokens } from './interventionLog.js';
+import { planRemediationDecision } from './playbooks.js';
+
+export const transitionIncident = (repository, incident, to, { actor, note } = {}) => {
+  const { status, timestampField, entry } = planTransition(incident, to, { actor, note });
+  return repository.update(incident.id, {
+    status,
+    [timestampField]: fieldOps.serverTimestamp(),
+    history: fieldOps.arrayUnion(entry),
+    lifecycleAt: fieldOps.serverTimestamp(),
+  });
+};
+
+export const assignIncident = (repository, incident, assignee, actor) => repository.update(incident.id, {
+  assignee,
+  history: fieldOps.arrayUnion({
+    type: 'assignment',
+    from: incident.assignee || null,
+    to: assignee,
+    by: actor,
+    at: new Date().toISOString(),
+  }),
+  lifecycleAt: fieldOps.serverTimestamp(),
+});
+
+export const addIncidentNote = (repository, incident, text, actor) => repository.update(incident.id, {
+  notes: fieldOps.arrayUnion({ text, by: actor, at: new Date().toISOString() }),
+  lifecycleAt: fieldOps.serverTimestamp(),
+});
+
+// Idempotency key for outbox writes (outbox.js): pending updates of one document are merged into one write
+const updateKey = (id) => `update:${id}`;
+
+/**
+ * Eskalasi otomatis sebagai entri outbox { key, write }.
+ */
+export const escalationWrite = (repository, { id, from, to, entry }) => ({
+  key: updateKey(id),
+  write: repository.updateOp(id, {
+    severity: to,
+    escalatedFrom: from,
+    escalatedAt: fieldOps.serverTimestamp(),
+    history: fieldOps.arrayUnion(entry),
+    lifecycleAt: fieldOps.serverTimestamp(),
+  }),
+});
+
+/**
+ * Menyetujui atau menolak run playbook yang menunggu persetujuan (RUN_STATUS.APPROVED / REJECTED).
+ * Run yang disetujui dijalankan oleh pemindai pemegang lease pada scan berikutnya.
+ */
+export const decideRemediation = (repository, incident, to, actor) => {
+  const { remediation, entry } = planRemediationDecision(incident, to, { actor });
+  return repository.update(incident.id, {
+    remediation,
+    history: fieldOps.arrayUnion(entry),
+    lifecycleAt: fieldOps.serverTimestamp(),
+  });
+};
+
+/**
+ * Tulisan untuk hasil reconcileIncidents() satu scan (insiden baru, pembaruan, dan pemulihan) sebagai entri outbox.
+ * Insiden baru memakai id deterministik (openIncidentId) dan hanya dibuat bila belum ada, sehingga mengirim ulang tidak
+ * membuat dokumen ganda maupun menimpa insiden yang sudah berjalan.
+ * searchTokens (deskripsi dalam setiap locale) diperbarui bersama deskripsi agar pencarian log (interventionLog.js) tetap cocok.
+ * @param {object} repository - Repository interventions.
+ * @param {object} plan - { toOpen, toUpdate, toClose }
+ * @param {number} now - Waktu scan (ms).
+ * @returns {object} - { items: [{ key, write }], opened: insiden baru beserta id-nya (untuk notifikasi) }; insiden yang
+ *   diredam silence tidak masuk opened sampai jendelanya berakhir (released dari reconcileIncidents())
+ */
+export const planIncidentWrites = (repository, { toOpen, toUpdate, toClose }, now) => {
+  const items = [];
+  const opened = [];
+  for (const incident of toOpen) {
+    const id = openIncidentId(incident.key, now);
+    items.push({
+      key: `open:${id}`,
+      write: repository.createOp(id, {
+        ...incident,
+        searchTokens: incidentSearchTokens(incident),
+        timestamp: fieldOps.serverTimestamp(),
+        lastSeenAt: fieldOps.serverTimestamp(),
+      }),
+    });
+    if (!incident.suppressed) opened.push({ id, ...incident });
+  }
+  for (const { id, patch, released } of toUpdate) {
+    items.push({
+      key: updateKey(id),
+      write: repository.updateOp(id, {
+        ...patch,
+        ...(patch.description !== undefined ? { searchTokens: incidentSearchTokens(patch) } : {}),
+        lastSeenAt: fieldOps.serverTimestamp(),
+      }),
+    });
+    if (released) opened.push({ ...released, id });
+  }
+  // Recovered breaches: the lifecycle is resolved unless an operator already closed the incident
+  for (const { id, transition } of toClose) {
+    items.push({
+      key: updateKey(id),
+      write: repository.updateOp(id, {
+        breachActive: false,
+        recoveredAt: fieldOps.serverTimestamp(),
+        lifecycleAt: fieldOps.serverTimestamp(),
+        ...(transition ? {
+          status: transition.status,
+          [transition.timestampField]: fieldOps.serverTimestamp(),
+          history: fieldOps.arrayUnion(transition.entry),
+        } : {}),
+      }),
+    });
+  }
+  return { items, opened };
+};
@@ -0,0 +1,285 @@
+// --- ODAS INCIDENT DEDUPLICATION ---
+//
+// Pelanggaran aturan yang berlangsung terus-menerus dikelompokkan menjadi satu insiden
+// per kunci (aset + jalur + aturan), bukan satu dokumen intervensi per scan.
+//   - pelanggaran pertama  -> insiden baru dibuka (status 'open')
+//   - pelanggaran berlanjut -> count bertambah, peakValue diperbarui
+//   - metrik pulih          -> insiden ditutup dengan resolvedAt
+//
+// Siklus hidup insiden (dikelola operator dari log intervensi):
+//   open -> acknowledged -> in-progress -> resolved / dismissed
+
+import { DEFAULT_ASSET_ID } from './assets.js';
+import { SEVERITY, normalizeSeverity } from './ruleEngine.js';
+import { t } from './i18n.js';
+
+export const INCIDENT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  IN_PROGRESS: 'in-progress',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed',
+};
+
+export const INCIDENT_STATUS_LABELS = {
+  [INCIDENT_STATUS.OPEN]: t('incident.status.open'),
+  [INCIDENT_STATUS.ACKNOWLEDGED]: t('incident.status.acknowledged'),
+  [INCIDENT_STATUS.IN_PROGRESS]: t('incident.status.inProgress'),
+  [INCIDENT_STATUS.RESOLVED]: t('incident.status.resolved'),
+  [INCIDENT_STATUS.DISMISSED]: t('incident.status.dismissed'),
+};
+
+// Label tombol aksi untuk setiap status tujuan
+export const INCIDENT_ACTION_LABELS = {
+  [INCIDENT_STATUS.ACKNOWLEDGED]: t('incident.action.acknowledge'),
+  [INCIDENT_STATUS.IN_PROGRESS]: t('incident.action.handle'),
+  [INCIDENT_STATUS.RESOLVED]: t('incident.action.resolve'),
+  [INCIDENT_STATUS.DISMISSED]: t('incident.action.dismiss'),
+};
+
+const INCIDENT_TRANSITIONS = {
+  [INCIDENT_STATUS.OPEN]: [INCIDENT_STATUS.ACKNOWLEDGED, INCIDENT_STATUS.IN_PROGRESS, INCIDENT_STATUS.RESOLVED, INCIDENT_STATUS.DISMISSED],
+  [INCIDENT_STATUS.ACKNOWLEDGED]: [INCIDENT_STATUS.IN_PROGRESS, INCIDENT_STATUS.RESOLVED, INCIDENT_STATUS.DISMISSED],
+  [INCIDENT_STATUS.IN_PROGRESS]: [INCIDENT_STATUS.RESOLVED, INCIDENT_STATUS.DISMISSED],
+  [INCIDENT_STATUS.RESOLVED]: [],
+  [INCIDENT_STATUS.DISMISSED]: [],
+};
+
+// Field timestamp yang diisi saat insiden memasuki status tertentu
+export const STATUS_TIMESTAMP_FIELDS = {
+  [INCIDENT_STATUS.ACKNOWLEDGED]: 'acknowledgedAt',
+  [INCIDENT_STATUS.IN_PROGRESS]: 'inProgressAt',
+  [INCIDENT_STATUS.RESOLVED]: 'resolvedAt',
+  [INCIDENT_STATUS.DISMISSED]: 'dismissedAt',
+};
+
+// Tingkat severity dari rendah ke tinggi, dipakai untuk eskalasi otomatis; Prediksi di bawah semua severity aturan
+export const SEVERITY_LADDER = [SEVERITY.FORECAST, SEVERITY.WARNING, SEVERITY.CRITICAL, SEVERITY.EMERGENCY];
+
+// Insiden Kritis yang belum diakui dieskalasi setelah batas waktu ini (bisa diubah di pengaturan)
+export const DEFAULT_ESCALATION_TIMEOUT_MINUTES = 10;
+
+export const isCriticalSeverity = (severity) => (
+  SEVERITY_LADDER.indexOf(normalizeSeverity(severity)) >= SEVERITY_LADDER.indexOf(SEVERITY.CRITICAL)
+);
+
+// Pra-peringatan dari forecasting.js: batas belum terlampaui
+export const isForecastSeverity = (severity) => severity === SEVERITY.FORECAST;
+
+/**
+ * Catatan riwayat dari sistem: teks dalam locale aktif plus kunci katalog agar tampil sesuai bahasa pembaca.
+ * @param {string} key - Kunci katalog.
+ * @param {object} [params]
+ * @returns {object} - { note, noteKey, noteParams }
+ */
+export const historyNote = (key, params = {}) => ({ note: t(key, params), noteKey: key, noteParams: params });
+
+export const isTerminalStatus = (status) => (
+  status === INCIDENT_STATUS.RESOLVED || status === INCIDENT_STATUS.DISMISSED
+);
+
+/**
+ * Status tujuan yang diizinkan dari status saat ini.
+ * @param {string} status - Status insiden saat ini.
+ * @returns {string[]}
+ */
+export const allowedTransitions = (status) => INCIDENT_TRANSITIONS[status] || [];
+
+/**
+ * Menyiapkan perubahan status insiden. Timestamp server ditambahkan oleh pemanggil
+ * (lihat incidentActions.js), entri riwayat memakai waktu klien.
+ * @param {object} incident - Insiden saat ini.
+ * @param {string} to - Status tujuan.
+ * @param {object} options - { actor, note, noteKey, noteParams, now } — noteKey dari historyNote().
+ * @returns {object} - { status, timestampField, entry }
+ */
+export const planTransition = (incident, to, {
+  actor = 'system',
+  note = '',
+  noteKey = null,
+  noteParams = {},
+  now = new Date(),
+} = {}) => {
+  const from = incident.status || INCIDENT_STATUS.OPEN;
+  if (!allowedTransitions(from).includes(to)) {
+    throw new Error(t('incident.error.transition', { from, to }));
+  }
+  return {
+    status: to,
+    timestampField: STATUS_TIMESTAMP_FIELDS[to],
+    entry: {
+      type: 'transition',
+      from,
+      to,
+      by: actor,
+      note,
+      ...(noteKey ? { noteKey, noteParams } : {}),
+      at: now.toISOString(),
+    },
+  };
+};
+
+/**
+ * Mencari insiden Kritis yang belum diakui melewati batas waktu eskalasi.
+ * @param {object[]} incidents - Insiden dengan openedAtMs (epoch ms).
+ * @param {number} timeoutMinutes - Batas waktu eskalasi.
+ * @param {number} now - Waktu saat ini (ms).
+ * @returns {object[]} - [{ id, from, to, entry }]
+ */
+export const findEscalations = (incidents, timeoutMinutes, now = Date.now()) => incidents
+  .filter(incident => (
+    incident.status === INCIDENT_STATUS.OPEN
+    && !incident.suppressed
+    && normalizeSeverity(incident.severity) === SEVERITY.CRITICAL
+    && !incident.escalatedAt
+    && typeof incident.openedAtMs === 'number'
+    && now - incident.openedAtMs >= timeoutMinutes * 60000
+  ))
+  .map(incident => {
+    const from = normalizeSeverity(incident.severity);
+    const to = SEVERITY_LADDER[SEVERITY_LADDER.indexOf(from) + 1];
+    return {
+      id: incident.id,
+      from,
+      to,
+      entry: {
+        type: 'escalation',
+        from,
+        to,
+        by: 'system',
+        ...historyNote('incident.note.unacknowledged', { minutes: timeoutMinutes }),
+        at: new Date(now).toISOString(),
+      },
+    };
+  });
+
+// Insiden lama tanpa assetId dianggap milik aset lokal bawaan
+export const assetIdOf = (record) => record.assetId || DEFAULT_ASSET_ID;
+
+export const incidentKey = (record) => `${assetIdOf(record)}::${record.path}::${record.ruleId}`;
+
+// Id dokumen insiden baru: sama untuk kunci + waktu scan yang sama, sehingga tulisan ulang (outbox) idempoten
+export const openIncidentId = (key, openedAtMs) => `${key.replace(/[^A-Za-z0-9_-]+/g, '-')}-${openedAtMs}`;
+
+// Untuk aturan batas bawah ('<', '<='), nilai terendah adalah puncak pelanggaran;
+// untuk aturan baseline, puncak adalah nilai terjauh dari tengah rentang normal
+const isWorse = (breach, peak) => {
+  if (typeof peak !== 'number') return true;
+  const { value, op, expectedLow, expectedHigh } = breach;
+  if (!op && typeof expectedLow === 'number' && typeof expectedHigh === 'number') {
+    const center = (expectedLow + expectedHigh) / 2;
+    return Math.abs(value - center) > Math.abs(peak - center);
+  }
+  return op === '<' || op === '<=' ? value < peak : value > peak;
+};
+
+/**
+ * Mencocokkan pelanggaran scan saat ini dengan insiden yang masih terbuka.
+ * @param {object[]} openIncidents - Insiden dengan breachActive === true milik aset yang sama dengan breaches.
+ * @param {object[]} breaches - Hasil evaluateRules() untuk scan ini (suppressedBy: id silence yang meredamnya).
+ * @returns {object} - { toOpen, toUpdate, toClose } yang siap ditulis ke Firestore. Entri toUpdate untuk insiden yang
+ *   jendela silence-nya baru berakhir, atau pra-peringatan Prediksi yang kini benar-benar terlampaui, membawa released
+ *   (insiden setelah patch) agar dilaporkan seperti insiden baru.
+ */
+export const reconcileIncidents = (openIncidents, breaches) => {
+  const openByKey = new Map(openIncidents.map(incident => [incidentKey(incident), incident]));
+  const toOpen = [];
+  const toUpdate = [];
+  const seenKeys = new Set();
+  const replacedIds = new Set();
+
+  for (const breach of breaches) {
+    const key = incidentKey(breach);
+    if (seenKeys.has(key)) continue;
+    seenKeys.add(key);
+
+    let existing = openByKey.get(key);
+    // A recovered breach that is forecast to return closes as recovered; the forecast opens its own pre-warning
+    if (existing && isForecastSeverity(breach.severity) && !isForecastSeverity(existing.severity)) {
+      replacedIds.add(existing.id);
+      existing = null;
+    }
+    if (!existing) {
+      toOpen.push({
+        key,
+        assetId: assetIdOf(breach),
+        ruleId: breach.ruleId,
+        path: breach.path,
+        severity: breach.severity,
+        description: breach.description,
+        messageKey: breach.messageKey,
+        messageTemplate: breach.messageTemplate,
+        messageParams: breach.messageParams,
+        metric: breach.metric,
+        peakValue: breach.value,
+        lastValue: breach.value,
+        expectedLow: breach.expectedLow,
+        expectedHigh: breach.expectedHigh,
+        baselineMethod: breach.baselineMethod,
+        count: 1,
+        status: INCIDENT_STATUS.OPEN,
+        breachActive: true,
+        suppressed: Boolean(breach.suppressedBy),
+        suppressedBy: breach.suppressedBy || null,
+      });
+      continue;
+    }
+
+    // Absolute count rather than an increment, so a retried write cannot count the same scan twice
+    const patch = {
+      count: (existing.count || 1) + 1,
+      description: breach.description,
+      messageKey: breach.messageKey,
+      messageTemplate: breach.messageTemplate,
+      messageParams: breach.messageParams,
+      lastValue: breach.value,
+      expectedLow: breach.expectedLow,
+      expectedHigh: breach.expectedHigh,
+      baselineMethod: breach.baselineMethod,
+      suppressed: Boolean(breach.suppressedBy),
+      suppressedBy: breach.suppressedBy || null,
+    };
+    // An escalated incident keeps its raised severity for as long as it stays open
+    if (!existing.escalatedAt) patch.severity = breach.severity;
+    if (typeof breach.value === 'number' && isWorse(breach, existing.peakValue)) {
+      patch.peakValue = breach.value;
+    }
+    // The silence ended while the breach lasts, or the forecast came true: report it now, as if it had just opened
+    const promoted = isForecastSeverity(existing.severity) && !isForecastSeverity(breach.severity);
+    if ((existing.suppressed || promoted) && !breach.suppressedBy) toUpdate.push({ id: existing.id, patch, released: { ...existing, ...patch } });
+    else toUpdate.push({ id: existing.id, patch });
+  }
+
+  // Recovered breaches close the incident; the lifecycle is resolved unless an operator already closed it
+  const toClose = openIncidents
+    .filter(incident => !seenKeys.has(incidentKey(incident)) || replacedIds.has(incident.id))
+    .map(incident => ({
+      id: incident.id,
+      transition: isTerminalStatus(incident.status)
+        ? null
+        : planTransition(incident, INCIDENT_STATUS.RESOLVED, historyNote('incident.note.recovered')),
+    }));
+
+  return { toOpen, toUpdate, toClose };
+};
+
+/**
+ * Matriks kesehatan per aset dan jalur dari insiden yang pelanggarannya masih aktif, tidak diredam silence, dan bukan
+ * pra-peringatan Prediksi (batasnya belum terlampaui).
+ * @param {object[]} incidents - Semua insiden.
+ * @returns {object} - { [assetId]: { [path]: { severity, count } } } dengan severity terberat.
+ */
+export const activeBreachMatrix = (incidents) => {
+  const matrix = {};
+  for (const incident of incidents) {
+    if (!incident.breachActive || incident.suppressed || isForecastSeverity(incident.severity)) continue;
+    const row = matrix[assetIdOf(incident)] || (matrix[assetIdOf(incident)] = {});
+    const cell = row[incident.path] || (row[incident.path] = { severity: null, count: 0 });
+    cell.count += 1;
+    const severity = normalizeSeverity(incident.severity);
+    if (!cell.severity || SEVERITY_LADDER.indexOf(severity) > SEVERITY_LADDER.indexOf(cell.severity)) {
+      cell.severity = severity;
+    }
+  }
+  return matrix;
+};
@@ -0,0 +1,192 @@
+// --- ODAS INTERVENTION LOG QUERIES ---
+//
+// Log intervensi dibaca per halaman, diurutkan server menurut timestamp (waktu server saat insiden dibuka)
+// dari yang terbaru. Filter jalur/severity/status/tanggal dijalankan sebagai klausa where; pencarian teks
+// memakai field searchTokens (token kata + awalan) yang ditulis bersama insiden, satu token lewat
+// 'array-contains' di server dan sisanya dicocokkan di klien pada halaman yang sudah dimuat.
+// Insiden lama tanpa searchTokens tidak muncul saat pencarian teks aktif. Deskripsi diindeks dalam setiap
+// locale (i18n.js), sehingga pencarian cocok apa pun bahasa panel penulisnya; filter severity juga mencocokkan
+// teks severity lama (severityQueryValues).
+//
+// Kombinasi filter memerlukan indeks komposit Firestore: lihat firestore.indexes.json.
+
+import { INCIDENT_STATUS } from './incidents.js';
+import { applyPendingWrite } from './outbox.js';
+import { SEVERITY, describeBreach, normalizeSeverity, severityQueryValues } from './ruleEngine.js';
+import { LOCALES, formatDateTime } from './i18n.js';
+
+export const LOG_PAGE_SIZE = 25;
+
+export const LOG_FILTER_ALL = 'all';
+
+// Token terpendek yang diindeks; awalan lebih pendek dari ini tidak bisa dicari
+export const MIN_SEARCH_TOKEN_LENGTH = 3;
+
+// Batas token per insiden agar dokumen tetap kecil (deskripsi ditulis dalam setiap locale)
+const MAX_SEARCH_TOKENS = 240;
+
+// Panjang maksimum awalan yang disimpan; kata lebih panjang tetap dicari lewat awalannya
+const MAX_PREFIX_LENGTH = 12;
+
+export const createLogFilter = () => ({
+  path: LOG_FILTER_ALL,
+  severity: LOG_FILTER_ALL,
+  status: LOG_FILTER_ALL,
+  fromDate: '', // 'YYYY-MM-DD' (waktu lokal), kosong = tanpa batas
+  toDate: '',
+  text: '',
+});
+
+export const isLogFilterActive = (filter) => Object.entries(createLogFilter())
+  .some(([key, value]) => filter[key] !== value);
+
+const wordsOf = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length >= MIN_SEARCH_TOKEN_LENGTH);
+
+/**
+ * Token pencarian untuk teks insiden: setiap kata beserta awalannya (min. MIN_SEARCH_TOKEN_LENGTH huruf).
+ * @param {...string} texts - Deskripsi, id aturan, dll.
+ * @returns {string[]}
+ */
+export const searchTokensFor = (...texts) => {
+  const tokens = new Set();
+  for (const word of texts.flatMap(wordsOf)) {
+    for (let length = MIN_SEARCH_TOKEN_LENGTH; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length += 1) {
+      tokens.add(word.slice(0, length));
+    }
+    if (tokens.size >= MAX_SEARCH_TOKENS) break;
+  }
+  return [...tokens].slice(0, MAX_SEARCH_TOKENS);
+};
+
+/**
+ * Token pencarian insiden: deskripsinya dalam setiap locale.
+ * @param {object} record - { messageKey, messageTemplate, messageParams, description }
+ * @returns {string[]}
+ */
+export const incidentSearchTokens = (record) => searchTokensFor(
+  ...Object.keys(LOCALES).map(targetLocale => describeBreach(record, targetLocale)),
+);
+
+// Kata pencarian dipotong ke panjang awalan yang disimpan
+const queryTokensOf = (text) => [...new Set(wordsOf(text).map(word => word.slice(0, MAX_PREFIX_LENGTH)))];
+
+const dayBoundary = (date, endOfDay) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+};
+
+/**
+ * Opsi query repository untuk log, terbaru lebih dulu.
+ * @param {object} filter - Hasil createLogFilter() yang sudah diubah operator.
+ * @param {number} [limit] - Jumlah dokumen (kelipatan ukuran halaman yang sudah dimuat).
+ * @returns {object} - { where, orderBy, limit }
+ */
+export const buildLogQuery = (filter, limit = LOG_PAGE_SIZE) => {
+  const clauses = [];
+  if (filter.path !== LOG_FILTER_ALL) clauses.push(['path', '==', filter.path]);
+  if (filter.severity !== LOG_FILTER_ALL) clauses.push(['severity', 'in', severityQueryValues(filter.severity)]);
+  if (filter.status !== LOG_FILTER_ALL) clauses.push(['status', '==', filter.status]);
+  if (filter.fromDate) clauses.push(['timestamp', '>=', dayBoundary(filter.fromDate, false)]);
+  if (filter.toDate) clauses.push(['timestamp', '<=', dayBoundary(filter.toDate, true)]);
+  // The longest word is the most selective one; Firestore allows a single array-contains per query
+  const [longest] = queryTokensOf(filter.text).sort((a, b) => b.length - a.length);
+  if (longest) clauses.push(['searchTokens', 'array-contains', longest]);
+  return {
+    where: clauses,
+    orderBy: ['timestamp', 'desc'],
+    limit,
+  };
+};
+
+/**
+ * Mencocokkan sisa kata pencarian (selain yang dipakai di server) dengan token insiden.
+ * @param {object} incident - Dokumen mentah dengan searchTokens.
+ * @param {string} text - Teks pencarian operator.
+ * @returns {boolean}
+ */
+export const matchesSearch = (incident, text) => {
+  const tokens = incident.searchTokens || [];
+  return queryTokensOf(text).every(token => tokens.includes(token));
+};
+
+// Status insiden yang bisa dipilih di filter log (urutan siklus hidup)
+export const LOG_STATUS_OPTIONS = Object.values(INCIDENT_STATUS);
+
+/**
+ * Dokumen insiden mentah -> bentuk tampilan panel: waktu sebagai teks locale aktif, openedAtMs/recoveredAtMs untuk
+ * perhitungan, severity sebagai kode, dan deskripsi dirender dalam locale aktif.
+ * @param {object} data - Dokumen { id, ...data } dari repository interventions.
+ * @returns {object}
+ */
+export const toIncidentView = (data) => ({
+  ...data,
+  severity: normalizeSeverity(data.severity),
+  ...(data.escalatedFrom ? { escalatedFrom: normalizeSeverity(data.escalatedFrom) } : {}),
+  description: describeBreach(data),
+  timestamp: data.timestamp?.toDate ? formatDateTime(data.timestamp) : 'N/A',
+  openedAtMs: data.timestamp?.toMillis ? data.timestamp.toMillis() : null,
+  recoveredAt: data.recoveredAt?.toDate ? formatDateTime(data.recoveredAt) : null,
+  recoveredAtMs: data.recoveredAt?.toMillis ? data.recoveredAt.toMillis() : null,
+});
+
+/**
+ * Insiden yang dibuka dalam rentang waktu (mis. pembanding backtest), tanpa memuat seluruh riwayat.
+ * @param {object} repository - Repository interventions.
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Promise<object[]>} - Bentuk toIncidentView(), terlama lebih dulu.
+ */
+export const loadIncidentsInRange = async (repository, fromMs, toMs) => {
+  const docs = await repository.list({
+    where: [['timestamp', '>=', new Date(fromMs)], ['timestamp', '<=', new Date(toMs)]],
+    orderBy: ['timestamp', 'asc'],
+  });
+  return docs.map(toIncidentView);
+};
+
+// Himpunan kerja scan, eskalasi, dan matriks kesehatan: hanya insiden yang pelanggarannya masih berlangsung
+export const ACTIVE_INCIDENTS_QUERY = { where: [['breachActive', '==', true]] };
+
+// Penghitung intervensi tercatat: tanpa pra-peringatan (forecast) dan tanpa pelanggaran yang diredam silence.
+// Insiden lama tidak punya field suppressed, jadi yang diredam dikurangkan dari jumlah non-forecast (recordedIncidentCount)
+export const NON_FORECAST_INCIDENTS_QUERY = { where: [['severity', '!=', SEVERITY.FORECAST]] };
+export const SUPPRESSED_INCIDENTS_QUERY = { where: [['severity', '!=', SEVERITY.FORECAST], ['suppressed', '==', true]] };
+
+/**
+ * Jumlah intervensi tercatat lewat dua agregasi count (tanpa mengunduh dokumen).
+ * @param {object} repository - Repository interventions.
+ * @returns {Promise<number>}
+ */
+export const recordedIncidentCount = async (repository) => {
+  const [nonForecast, suppressed] = await Promise.all([
+    repository.count(NON_FORECAST_INCIDENTS_QUERY),
+    repository.count(SUPPRESSED_INCIDENTS_QUERY),
+  ]);
+  return nonForecast - suppressed;
+};
+
+/**
+ * Insiden aktif ditambah tulisan outbox yang belum terkirim: insiden baru yang masih tertunda ikut dihitung dan
+ * insiden yang sudah pulih secara lokal dikeluarkan, sehingga scan berikutnya tidak membuka ulang insiden yang sama.
+ * @param {object[]} incidents - Bentuk toIncidentView() dari ACTIVE_INCIDENTS_QUERY.
+ * @param {object[]} pendingEntries - outbox.pending().
+ * @param {object} repository - Repository interventions (hanya entri koleksi ini yang dipakai).
+ * @returns {object[]}
+ */
+export const withPendingWrites = (incidents, pendingEntries, repository) => {
+  const relevant = pendingEntries.filter(entry => entry.write.name === repository.name);
+  if (relevant.length === 0) return incidents;
+  const byId = new Map(incidents.map(incident => [incident.id, incident]));
+  for (const entry of relevant) {
+    const current = byId.get(entry.write.id);
+    if ((entry.write.type === 'set' || entry.write.type === 'create') && !current) {
+      byId.set(entry.write.id, toIncidentView({ id: entry.write.id, ...applyPendingWrite(null, entry) }));
+    } else if (current) {
+      byId.set(entry.write.id, { ...applyPendingWrite(current, entry), id: entry.write.id });
+    }
+  }
+  return [...byId.values()].filter(incident => incident.breachActive !== false);
+};
@@ -0,0 +1,771 @@
+// --- ODAS KATALOG TEKS: ENGLISH ---
+// Kunci yang tidak ada di sini jatuh ke katalog Bahasa Indonesia (lihat i18n.js).
+
+export const MESSAGES_EN = {
+  // Severity & jalur
+  'severity.warning': 'Warning',
+  'severity.critical': 'Critical',
+  'severity.emergency': 'Emergency',
+  'path.Finansial': 'Financial',
+  'path.Infrastruktur': 'Infrastructure',
+  'path.Persona': 'Persona',
+  'path.Sensor': 'Sensor',
+  'path.Kepatuhan': 'Compliance',
+
+  // Aturan bawaan (builtinPaths.js)
+  'rule.finansial-volatility.name': 'Asset Volatility',
+  'rule.finansial-volatility.message': 'Critical asset volatility ({assetVolatility|pct1}). Requires a Chronos Executor (CE) Lock.',
+  'rule.finansial-liquidity.name': 'Market Liquidity',
+  'rule.finansial-liquidity.message': 'Low liquidity: {marketLiquidity|usd}. Requires a funding injection/stabilization.',
+  'rule.infrastruktur-latency.name': 'System Latency',
+  'rule.infrastruktur-latency.message': 'Critical system latency ({systemLatency|ms}). Requires I/O resource reallocation.',
+  'rule.persona-sentiment.name': 'Public Sentiment',
+  'rule.persona-sentiment.message': 'Low Public Sentiment ({publicSentiment|pct0}). Requires an Automatic Narrative Frame Shift.',
+  'rule.sensor-anomaly.name': 'Anomaly Score',
+  'rule.sensor-anomaly.message': 'Massive Data Anomaly Detected ({anomalyScore|pct0}). Requires a Recursive Resonance Alert (RRA).',
+  'rule.infrastruktur-latency-deviation.name': 'Latency Deviation from Seasonal Baseline',
+  'rule.infrastruktur-latency-deviation.message': 'Latency {systemLatency|ms} deviates from the normal pattern ({expectedLow|ms} - {expectedHigh|ms}, z={z|num}).',
+  'rule.kepatuhan-compliance.name': 'CCE Control Violations',
+  'rule.kepatuhan-compliance.message': 'Critical CCE control violations ({complianceViolationRate|pct1}). Requires a Cipher Compliance Engine audit.',
+
+  // Metrik jalur bawaan (builtinPaths.js)
+  'metric.assetVolatility': 'Asset Volatility',
+  'metric.marketLiquidity': 'Market Liquidity',
+  'metric.systemLatency': 'System Latency',
+  'metric.publicSentiment': 'Public Sentiment',
+  'metric.anomalyScore': 'Anomaly Score',
+  'metric.complianceViolationRate': 'CCE Control Violations',
+
+  // Validasi aturan
+  'rules.condition': 'Condition',
+  'rules.clearCondition': 'Recovery condition',
+  'rules.error.conditionObject': '{label}: the condition must be an object.',
+  'rules.error.conditionChildren': "{label}: 'all'/'any' must contain at least one condition.",
+  'rules.error.unknownMetric': "{label}: unknown metric '{metric}'.",
+  'rules.error.unknownOperator': "{label}: operator '{op}' is not supported.",
+  'rules.error.valueNumber': '{label}: the threshold must be a number.',
+  'rules.error.unknownBaseline': "{label}: unknown baseline '{baseline}' ({methods}).",
+  'rules.error.id': 'Rule ID is required (lowercase letters, digits, hyphens).',
+  'rules.error.name': 'Rule name is required.',
+  'rules.error.unknownPath': "Unknown path '{path}'.",
+  'rules.error.unknownSeverity': "Unknown severity '{severity}'.",
+  'rules.error.forScans': 'Duration (forScans) must be an integer >= 1.',
+  'rules.error.message': 'Message template is required.',
+  'common.error.duplicateId': "ID '{id}' is used more than once.",
+
+  // Insiden (incidents.js)
+  'incident.status.open': 'Open',
+  'incident.status.acknowledged': 'Acknowledged',
+  'incident.status.inProgress': 'In progress',
+  'incident.status.resolved': 'Resolved',
+  'incident.status.dismissed': 'Dismissed',
+  'incident.action.acknowledge': 'Acknowledge',
+  'incident.action.handle': 'Handle',
+  'incident.action.resolve': 'Resolve',
+  'incident.action.dismiss': 'Dismiss',
+  'incident.note.unacknowledged': 'Not acknowledged for {minutes} minutes',
+  'incident.note.recovered': 'Metric recovered',
+  'incident.error.transition': 'Transition {from} -> {to} is not allowed.',
+
+  // Siklus scan (scanCycle.js)
+  'scan.result.breaches': '{count} Critical Interventions',
+  'scan.result.normal': 'ODAS Operating Normally',
+
+  // Notifikasi (notifications.js)
+  'notifications.type.webhook': 'HTTP Webhook (HMAC)',
+  'notifications.event.opened': 'New incident',
+  'notifications.event.escalated': 'Escalation',
+  'notifications.event.test': 'Channel test',
+  'notifications.delivery.sent': 'Sent',
+  'notifications.delivery.failed': 'Failed',
+  'notifications.delivery.retrying': 'Retrying',
+  'notifications.delivery.rateLimited': 'Rate limited',
+  'notifications.blankName': 'Channel {index}',
+  'notifications.error.id': 'Channel ID must use lowercase letters, digits or "-".',
+  'notifications.error.type': 'Unknown channel type: {type}.',
+  'notifications.error.url': 'Webhook URL must start with http:// or https://.',
+  'notifications.error.smtpHost': 'SMTP host is required.',
+  'notifications.error.smtpFrom': 'Sender address is required.',
+  'notifications.error.smtpTo': 'At least one email recipient is required.',
+  'notifications.error.paths': 'Unknown paths: {paths}.',
+  'notifications.error.rateLimit': 'Rate limit must be at least 1 message per period of > 0 minutes.',
+  'notifications.error.webCrypto': 'Web Crypto is not available for HMAC signing.',
+  'notifications.error.rateLimited': 'Channel rate limit reached.',
+  'notifications.error.smtpNodeOnly': 'SMTP email can only be sent from a Node process (daemon).',
+  'notifications.error.smtpClosed': 'SMTP connection closed.',
+  'notifications.error.smtpTimeout': 'SMTP timed out.',
+  'notifications.title.escalated': 'Escalation {from} -> {to}',
+  'notifications.title.test': 'ODAS channel test',
+  'notifications.title.opened': '{severity} incident',
+  'notifications.payload.context': 'Rule: {ruleId} · Status: {status} · ID: {id}',
+  'notifications.payload.path': 'Path',
+  'notifications.payload.severity': 'Severity',
+  'notifications.payload.rule': 'Rule',
+  'notifications.payload.incident': 'Incident',
+  'notifications.payload.time': 'Time',
+
+  // Sumber data (dataSources.js)
+  'source.state.idle': 'Disconnected',
+  'source.state.connecting': 'Connecting',
+  'source.state.connected': 'Connected',
+  'source.state.error': 'Error',
+  'source.state.ended': 'Ended',
+  'source.type.random': 'Random Simulation',
+  'source.message.localSimulation': 'Local simulation (seed {seed})',
+  'source.message.reconnecting': 'Connection lost, retrying...',
+  'source.message.replayDone': 'Replay finished.',
+  'source.type.scenario': 'Scenario File (JSON)',
+  'source.message.scenario': '{name} from {file} (seed {seed})',
+  'source.message.scenarioDone': 'Scenario finished.',
+  'source.error.notObject': 'Data source payload is not an object.',
+  'source.error.missingMetrics': 'Invalid or missing metrics: {metrics}',
+  'source.error.ndjsonLine': 'Invalid NDJSON line {line}: {error}',
+  'source.error.noEndpoint': 'Endpoint URL is not set.',
+  'source.error.websocketFailed': 'WebSocket connection failed.',
+  'source.error.noWebsocketUrl': 'WebSocket URL is not set.',
+  'source.error.websocketUnavailable': 'WebSocket is not available in this environment.',
+  'source.error.emptyRecording': 'The recording file is empty.',
+  'source.error.unknownType': 'Unknown data source type: {type}',
+
+  // Registry aset (assets.js)
+  'asset.type.financial': 'Financial',
+  'asset.type.infrastructure': 'Infrastructure',
+  'asset.type.persona': 'Public Persona',
+  'asset.type.sensor': 'Sensor / Device',
+  'asset.type.digital': 'Digital Asset',
+  'asset.health.healthy': 'Healthy',
+  'asset.health.degraded': 'Degraded',
+  'asset.health.critical': 'Critical',
+  'asset.health.unknown': 'Unknown',
+  'asset.defaultName': 'Local ODAS',
+  'asset.error.overridesObject': 'Threshold overrides must be a JSON object { ruleId: value }.',
+  'asset.error.overridesNumber': 'Override values must be numbers: {ruleIds}.',
+  'asset.error.invalidJson': 'Invalid JSON: {error}',
+  'asset.error.name': 'Asset name is required.',
+  'asset.error.type': 'Unknown asset type: {type}.',
+  'asset.error.owner': 'Asset owner is required.',
+  'asset.error.health': 'Unknown health status: {health}.',
+  'asset.error.source': 'Unknown data source: {type}.',
+  'asset.error.endpoint': 'This data source requires an endpoint.',
+
+  // Playbook remediasi (playbooks.js, playbookSandbox.js)
+  'playbook.mode.dryRun': 'Simulation (dry-run)',
+  'playbook.mode.approval': 'Manual approval',
+  'playbook.mode.auto': 'Automatic',
+  'playbook.stepType.http': 'Call HTTP endpoint',
+  'playbook.stepType.script': 'Script (local sandbox)',
+  'playbook.stepType.wait': 'Wait for condition',
+  'playbook.run.dryRun': 'Simulated',
+  'playbook.run.pendingApproval': 'Awaiting approval',
+  'playbook.run.approved': 'Approved',
+  'playbook.run.rejected': 'Rejected',
+  'playbook.run.running': 'Running',
+  'playbook.run.succeeded': 'Succeeded',
+  'playbook.run.failed': 'Failed',
+  'playbook.run.rolledBack': 'Failed, rolled back',
+  'playbook.step.succeeded': 'Succeeded',
+  'playbook.step.failed': 'Failed',
+  'playbook.step.simulated': 'Simulated',
+  'playbook.blankStepName': 'Step {index}',
+  'playbook.stepLabel': 'Step {index}',
+  'playbook.rollbackLabel': 'Rollback {index}',
+  'playbook.conditionLabel': '{label}: condition',
+  'playbook.describe.script': 'Script ({length} characters)',
+  'playbook.describe.wait': 'Wait for {condition} (max {seconds} s)',
+  'playbook.detail.waitMet': 'Met: {metric} = {value}',
+  'playbook.detail.scriptResult': 'result',
+  'playbook.error.stepId': '{label}: step ID must use lowercase letters, digits or "-".',
+  'playbook.error.stepType': '{label}: unknown step type: {type}.',
+  'playbook.error.url': '{label}: URL must start with http:// or https://.',
+  'playbook.error.method': "{label}: HTTP method '{method}' is not supported.",
+  'playbook.error.script': '{label}: script is required.',
+  'playbook.error.scriptNoDaemon': '{label}: script steps need an ODAS daemon to run them, and none holds the scanner lease.',
+  'playbook.error.timeout': '{label}: timeout must be between 1 second and {minutes} minutes.',
+  'playbook.error.id': 'Playbook ID must use lowercase letters, digits or "-".',
+  'playbook.error.name': 'Playbook name is required.',
+  'playbook.error.mode': 'Unknown mode: {mode}.',
+  'playbook.error.noRules': 'Select at least one trigger rule.',
+  'playbook.error.unknownRules': 'Unknown rules: {ruleIds}.',
+  'playbook.error.noSteps': 'A playbook needs at least one step.',
+  'playbook.error.stepIdsUnique': 'Step IDs must be unique within a playbook.',
+  'playbook.error.ruleClaimed': "Rule '{ruleId}' is already mapped to playbook '{playbookId}'.",
+  'playbook.error.noPendingRun': 'No playbook is awaiting approval.',
+  'playbook.error.decision': 'Unknown decision: {decision}.',
+  'playbook.error.httpTimeout': 'Timed out after {ms} ms.',
+  'playbook.error.waitTimeout': 'Condition {condition} not met after {seconds} s (last {value}).',
+  'playbook.error.scriptNodeOnly': 'Scripts can only run in the daemon (Node sandbox).',
+  'playbook.error.unknownStepType': 'Unknown step type: {type}.',
+  'playbook.error.rollbackIncomplete': 'rollback incomplete',
+  'playbook.error.scriptAsync': 'Scripts must be synchronous (Promises are not supported).',
+  'playbook.error.scriptFalse': 'The script returned false.',
+  'playbook.error.scriptFailed': 'The script failed.',
+
+  // Ruang kerja & storage (workspaces.js, workspaceActions.js, useOdasStorage.js, storage.js)
+  'workspace.role.viewer': 'Viewer',
+  'workspace.role.operator': 'Operator',
+  'workspace.role.admin': 'Admin',
+  'workspace.personalName': 'Personal Space',
+  'workspace.error.nameRequired': 'Workspace name is required.',
+  'workspace.error.nameLength': 'Workspace name can be at most {max} characters.',
+  'workspace.error.unknownRole': 'Unknown role: {role}',
+  'workspace.error.invitationUnusable': 'Invitation not found, revoked or expired.',
+  'workspace.error.notMember': 'You are not a member of this workspace.',
+  'workspace.error.accessDenied': 'Access to the workspace was denied.',
+  'storage.kind.memory': 'Local Memory (Offline)',
+
+  // Baseline & riwayat metrik (anomalyDetection.js, metricsHistory.js)
+  'baseline.zscore': 'Rolling z-score',
+  'baseline.seasonal': 'Seasonal baseline (hourly)',
+  'history.range.15m': '15 minutes',
+  'history.range.1h': '1 hour',
+  'history.range.24h': '24 hours',
+  'history.range.7d': '7 days',
+
+  // Finality Chronicle (chronicleExport.js, ChronicleExport.jsx)
+  'chronicle.format.html': 'HTML Report',
+  'chronicle.report.count': 'Count',
+  'chronicle.report.scopePaths': 'Paths: {paths}',
+  'chronicle.report.allPaths': 'All paths',
+  'chronicle.report.scopeSeverities': 'Severity: {severities}',
+  'chronicle.report.allSeverities': 'All severities',
+  'chronicle.report.scopeAssets': 'Assets: {assets}',
+  'chronicle.report.allAssets': 'All assets',
+  'chronicle.report.print': 'Print / Save PDF',
+  'chronicle.report.title': 'Intervention Report',
+  'chronicle.report.period': 'Period',
+  'chronicle.report.scope': 'Scope',
+  'chronicle.report.generated': 'Generated',
+  'chronicle.report.by': 'by {user}',
+  'chronicle.report.summary': 'Summary',
+  'chronicle.report.topRules': 'Top rules',
+  'chronicle.report.incidents': 'Incidents',
+  'chronicle.report.list': 'Incidents ({count})',
+  'chronicle.report.escalatedFrom': 'from {severity}',
+  'chronicle.report.active': 'active',
+  'chronicle.summary.total': 'Total incidents',
+  'chronicle.summary.active': 'Still active',
+  'chronicle.summary.resolved': 'Resolved',
+  'chronicle.summary.meanTimeToResolve': 'Mean time to resolve',
+  'chronicle.column.opened': 'Opened',
+  'chronicle.column.assetPath': 'Asset · Path',
+  'chronicle.column.path': 'Path',
+  'chronicle.column.severity': 'Severity',
+  'chronicle.column.status': 'Status',
+  'chronicle.column.rule': 'Rule',
+  'chronicle.column.description': 'Description',
+  'chronicle.column.peak': 'Peak',
+  'chronicle.column.timeToResolve': 'Time to resolve',
+  'chronicle.error.format': 'Unknown export format: {format}',
+
+  // Durasi
+  'duration.seconds': '{seconds} s',
+  'duration.minutes': '{minutes} m {seconds} s',
+  'duration.hours': '{hours} h {minutes} m',
+  'duration.days': '{days} d {hours} h',
+
+  // Footer (StorageSwitcher.jsx, WorkspaceSwitcher.jsx)
+  'storage.connecting': 'Connecting...',
+  'workspace.noAccess': 'No access',
+
+  // Umum
+  'common.reset': 'Reset',
+  'common.loading': 'Loading...',
+  'common.add': 'Add',
+
+  // Log intervensi & siklus hidup insiden (IncidentLifecycle.jsx)
+  'log.filter.allPaths': 'All paths',
+  'log.filter.allSeverities': 'All severities',
+  'log.filter.allStatuses': 'All statuses',
+  'log.filter.fromDate': 'From date',
+  'log.filter.toDate': 'To date',
+  'log.filter.search': 'Search descriptions (min. {min} letters)...',
+  'log.loadMore': 'Load more',
+  'incident.history.assigned': 'assigned to {assignee}',
+  'incident.remediation.title': 'Playbook {name}:',
+  'incident.remediation.decidedBy': 'by {user}',
+  'incident.remediation.approve': 'Approve & run',
+  'incident.remediation.reject': 'Reject',
+  'incident.details': 'Details ({count})',
+  'incident.assigneePlaceholder': 'Assignee',
+  'incident.assign': 'Assign',
+  'incident.notePlaceholder': 'Operator note',
+
+  // Grafik metrik (MetricCharts.jsx)
+  'charts.noHistory': 'No history for this range yet.',
+  'charts.loadFailed': 'Failed to load metric history.',
+  'charts.historyTitle': '{title} History',
+  'charts.resolution': 'Resolution: {resolution}',
+  'charts.rawSamples': 'raw samples',
+  'charts.rollup': '{resolution} rollup',
+  'charts.points': '{count} points',
+
+  // Registry aset (AssetRegistry.jsx)
+  'assetUi.noAssets': 'No assets registered yet.',
+  'assetUi.asset': 'Asset',
+  'assetUi.health': 'Health',
+  'assetUi.name': 'Name',
+  'assetUi.owner': 'Owner',
+  'assetUi.type': 'Type',
+  'assetUi.dataSource': 'Data Source',
+  'assetUi.tags': 'Tags (comma separated)',
+  'assetUi.tagsPlaceholder': 'production, jakarta',
+  'assetUi.overrides': 'Rule Threshold Overrides (JSON, optional)',
+  'assetUi.readOnly': 'Only workspace admins can change assets and their thresholds.',
+  'assetUi.searchPlaceholder': 'Search name, owner, tag',
+  'assetUi.allTypes': 'All types',
+  'assetUi.showArchived': 'Show archived',
+  'assetUi.archived': 'Archived',
+  'assetUi.archivedAt': 'Archived {at}',
+  'assetUi.noMatches': 'No matching assets.',
+  'assetUi.newAsset': 'New Asset',
+  'assetUi.saveAsset': 'Save Asset',
+  'assetUi.timestamps': 'Created {created} · Updated {updated}',
+  'assetUi.restore': 'Restore',
+  'assetUi.archive': 'Archive',
+  'assetUi.saveChanges': 'Save Changes',
+  'assetUi.selectPrompt': 'Select an asset to see its details, or add a new one.',
+
+  // Backtest (BacktestPanel.jsx)
+  'backtest.noIncidents': 'No incidents were triggered in this replay.',
+  'backtest.scanCount': '{count} scans',
+  'backtest.error.notArray': 'The rule set must be a JSON array.',
+  'backtest.error.noSamples': 'There are no samples to replay.',
+  'backtest.source': 'Recording Source · {asset}',
+  'backtest.source.history': 'Stored History',
+  'backtest.source.file': 'Import File',
+  'backtest.range': 'Range',
+  'backtest.rangeOption': '{label} ({resolution} resolution)',
+  'backtest.raw': 'raw',
+  'backtest.fileLabel': 'CSV / NDJSON file (optional column: t / timestamp) or .json scenario',
+  'backtest.samplesLoaded': '{count} samples loaded',
+  'backtest.useBaselines': 'Compute statistical baselines during the replay',
+  'backtest.ruleSet': 'Rule Set',
+  'backtest.rules.active': 'Active Rules',
+  'backtest.rules.proposed': 'Proposed (JSON)',
+  'backtest.run': 'Run Replay',
+  'backtest.summary': '{scans} scans replayed in {elapsed} ms',
+  'backtest.col.rule': 'Rule',
+  'backtest.col.path': 'Path',
+  'backtest.col.breachScans': 'Breaching Scans',
+  'backtest.col.simulated': 'Simulated Incidents',
+  'backtest.col.actual': 'Recorded Incidents',
+  'backtest.col.delta': 'Difference',
+  'backtest.diff.matched': 'Matched',
+  'backtest.diff.onlySimulated': 'Simulated Only',
+  'backtest.diff.onlyActual': 'Recorded Only',
+
+  // Ekspor chronicle (ChronicleExport.jsx)
+  'chronicleUi.emptyMeansAll': '(empty = all)',
+  'chronicleUi.error.load': 'Failed to load history: {error}',
+  'chronicleUi.error.popupBlocked': 'The browser blocked the report window. Allow pop-ups or download the HTML Report.',
+  'chronicleUi.error.range': 'The start date must be before the end date.',
+  'chronicleUi.filter': 'Export Filter',
+  'chronicleUi.from': 'From',
+  'chronicleUi.to': 'To',
+  'chronicleUi.load': 'Load History',
+  'chronicleUi.byPath': 'By Path',
+  'chronicleUi.bySeverity': 'By Severity',
+  'chronicleUi.byStatus': 'By Status',
+  'chronicleUi.print': 'Print / PDF',
+  'chronicleUi.prompt': 'Set the filters, then load the history to see the summary and download exports.',
+
+  // Editor aturan (RuleEditor.jsx)
+  'ruleEditor.newRule.name': 'New Rule',
+  'ruleEditor.newRule.message': 'Latency {systemLatency|ms} is over the limit.',
+  'ruleEditor.rules': 'Rules (v{version})',
+  'ruleEditor.invalid': 'Invalid',
+  'ruleEditor.name': 'Name',
+  'ruleEditor.path': 'Path',
+  'ruleEditor.severity': 'Severity',
+  'ruleEditor.forScans': 'Duration (consecutive scans)',
+  'ruleEditor.enabled': 'Enabled',
+  'ruleEditor.message': 'Message Template',
+  'ruleEditor.messageHint': 'Placeholders: {metric|format}, {expectedLow}, {expectedHigh}, {z}; formats: {formats}',
+  'ruleEditor.messageKeyHint': 'The built-in text follows the panel language; editing it stores a fixed template.',
+  'ruleEditor.condition': 'Trigger Condition (JSON)',
+  'ruleEditor.conditionHint': '{ "metric", "op", "value" } or { "all": [...] } / { "any": [...] }. Operators: {operators}',
+  'ruleEditor.baselineHint': 'Baseline deviation: { "metric", "baseline", "op": ">", "value": 3 } compares |z|. Baselines: {methods}',
+  'ruleEditor.clearCondition': 'Recovery Condition / Hysteresis (JSON, optional)',
+  'ruleEditor.remove': 'Delete this rule',
+  'ruleEditor.empty': 'No rules yet. Add a new rule.',
+  'ruleEditor.readOnly': 'Only workspace admins can change rules and thresholds.',
+  'ruleEditor.notePlaceholder': 'Change note (e.g. raise the latency limit to 200ms)',
+  'ruleEditor.save': 'Save as v{version}',
+  'ruleEditor.versions': 'Version History',
+  'ruleEditor.active': 'ACTIVE',
+  'ruleEditor.noVersions': 'Using the built-in rules (v0). Save a change to create the first version.',
+
+  // Pengaturan notifikasi (NotificationSettings.jsx)
+  'notifyUi.channels': 'Notification Channels',
+  'notifyUi.noChannels': 'No channels yet. Incidents are only visible in this panel.',
+  'notifyUi.type': 'Type',
+  'notifyUi.smtpUser': 'User (optional)',
+  'notifyUi.smtpFrom': 'Sender',
+  'notifyUi.smtpTo': 'Recipients (comma separated)',
+  'notifyUi.smtpSecure': 'Implicit TLS (port 465)',
+  'notifyUi.smtpNote': 'Email is sent by the Node process (daemon); from the browser, email attempts are logged as failed.',
+  'notifyUi.routePaths': 'Path Routes',
+  'notifyUi.routeSeverities': 'Severity Routes',
+  'notifyUi.rateMax': 'Rate Limit (messages)',
+  'notifyUi.ratePer': 'Per (minutes)',
+  'notifyUi.duplicateIds': 'Channel IDs must be unique.',
+  'notifyUi.remove': 'Delete this channel',
+  'notifyUi.sending': 'Sending...',
+  'notifyUi.sendTest': 'Send test',
+  'notifyUi.empty': 'Add a channel to send Critical incidents to a webhook, chat, or email.',
+  'notifyUi.save': 'Save Channels',
+  'notifyUi.deliveryLog': 'Delivery Log',
+  'notifyUi.col.channel': 'Channel',
+  'notifyUi.col.event': 'Event',
+  'notifyUi.col.attempt': 'Attempt',
+  'notifyUi.noDeliveries': 'No delivery attempts yet.',
+
+  // Editor playbook (PlaybookEditor.jsx)
+  'playbookUi.modeHint.dryRun': 'Steps are only recorded as a simulation on the incident; no endpoint or script is called.',
+  'playbookUi.modeHint.approval': 'An operator must approve the run from the incident log before the scanner executes it.',
+  'playbookUi.modeHint.auto': 'The scanner runs the steps as soon as the incident opens.',
+  'playbookUi.timeout': 'Timeout (seconds)',
+  'playbookUi.method': 'Method',
+  'playbookUi.headers': 'Headers (one per line, "Name: value")',
+  'playbookUi.bodyHint': '(empty = incident JSON)',
+  'playbookUi.script': 'Script',
+  'playbookUi.scriptHint': '(variables: incident, sample, log(); false = failure)',
+  'playbookUi.scriptNodeOnly': 'Scripts only run in the Node daemon: script steps can be added and saved while a daemon holds the scanner lease.',
+  'playbookUi.metric': 'Metric',
+  'playbookUi.value': 'Value',
+  'playbookUi.addStep': 'Add step',
+  'playbookUi.moveUp': 'Move up',
+  'playbookUi.moveDown': 'Move down',
+  'playbookUi.removeStep': 'Remove step',
+  'playbookUi.playbooks': 'Remediation Playbooks',
+  'playbookUi.counts': '{steps} steps · {rules} rules',
+  'playbookUi.noPlaybooks': 'No playbooks yet. Incidents are only recorded and notified.',
+  'playbookUi.triggerRules': 'Trigger rules',
+  'playbookUi.steps': 'Steps (in order)',
+  'playbookUi.stepsHint': 'Add at least one step.',
+  'playbookUi.rollback': 'Rollback (when a step fails)',
+  'playbookUi.rollbackHint': 'Without rollback steps, a failed run is only recorded.',
+  'playbookUi.placeholders': 'Placeholders for the URL, headers, and body: {placeholders}',
+  'playbookUi.remove': 'Delete this playbook',
+  'playbookUi.empty': 'Add a playbook to run the actions named in intervention messages (e.g. Chronos Executor Lock or I/O resource reallocation).',
+  'playbookUi.save': 'Save Playbooks',
+
+  // Manajemen ruang kerja (WorkspaceManager.jsx)
+  'workspaceUi.roleHint.viewer': 'View the log, assets, and metrics.',
+  'workspaceUi.roleHint.operator': 'Handle incidents and run the scanner.',
+  'workspaceUi.roleHint.admin': 'Change rules, thresholds, assets, settings, and members.',
+  'workspaceUi.active': 'Active Workspace',
+  'workspaceUi.yourRole': 'Your role: {role}',
+  'workspaceUi.noAccess': 'no access',
+  'workspaceUi.leave': 'Leave workspace',
+  'workspaceUi.newTeam': 'New team workspace',
+  'workspaceUi.newTeamPlaceholder': 'e.g. Financial Operations Team',
+  'workspaceUi.create': 'Create & Switch',
+  'workspaceUi.joinCode': 'Join with an invitation code / link',
+  'workspaceUi.join': 'Join',
+  'workspaceUi.personalHint': 'The personal space is only accessible to your account. Create a team workspace or join with an invitation to share the intervention log and asset registry.',
+  'workspaceUi.members': 'Members ({count})',
+  'workspaceUi.you': '(you)',
+  'workspaceUi.removeMember': 'Remove member',
+  'workspaceUi.invitations': 'Invitations',
+  'workspaceUi.createInvitation': 'Create invitation link',
+  'workspaceUi.until': 'until {date}',
+  'workspaceUi.copyLink': 'Copy link',
+  'workspaceUi.revoke': 'Revoke invitation',
+  'workspaceUi.noInvitations': 'No active invitations.',
+
+  // Panel GCP & kartu insiden (GlobalControlPanel.jsx, ODAS_ControlPanel.jsx)
+  'gcp.connecting': 'Establishing PSV Connection...',
+  'gcp.subtitle': 'Strategic Data Consolidation Dashboard | Primary Agency Node',
+  'gcp.systemHealth': 'System Health Status',
+  'gcp.keyMetrics': 'DominationProtocol Key Metrics',
+  'gcp.card.assets': 'Total ODAS Assets',
+  'gcp.card.assets.unit': 'Assets',
+  'gcp.card.assets.description': 'Number of Digital/Strategic Assets under management.',
+  'gcp.card.persona': 'PersonaFrame Score',
+  'gcp.card.persona.description': 'Public Trust & Resonance Score (PersonaFrame).',
+  'gcp.card.interventions': 'Recorded Interventions',
+  'gcp.card.interventions.unit': 'Actions',
+  'gcp.card.interventions.description': 'Total Finality Intervention Incidents (consecutive breaches merged; forecasts and silenced breaches excluded).',
+  'gcp.card.shield': 'Agency Shield',
+  'gcp.card.shield.description': 'Health of the Compliance path fed by the Cipher Compliance Engine (CCE).',
+  'gcp.card.shield.unregistered': 'No path',
+  'gcp.assetMatrix': 'Asset Health Matrix',
+  'gcp.tab.overview': 'Intervention Log',
+  'gcp.tab.assets': 'Asset Registry',
+  'gcp.tab.reports': 'Exports & Reports',
+  'gcp.tab.team': 'Team & Access',
+  'gcp.latestLog': 'Latest Intervention Log (Finality Chronicle)',
+  'gcp.footer': 'GCP Active. Laying the foundation for ODAS Singularity (Timestamp: 16:30 WIB, 8 November 2025)',
+  'footer.storage': 'Storage:',
+  'footer.workspace': 'Workspace:',
+  'footer.language': 'Language:',
+  'log.error.load': 'Failed to load the log: {error}',
+  'log.breachActive': 'Active',
+  'log.breachRecovered': 'Recovered',
+  'log.peak': 'Peak: {value}',
+  'log.expected': 'Normal:',
+  'log.recoveredAt': 'Recovered {at}',
+  'log.noMatches': 'No incidents match the filter.',
+  'log.waiting': 'Waiting for your first Finality Intervention data.',
+
+  // Panel ODAS (ODAS_ControlPanel.jsx)
+  'odas.source.fileReadFailed': 'Failed to read the recording file.',
+  'odas.source.file': 'Recording File',
+  'odas.source.apply': 'Apply',
+  'odas.source.scenarioTemplate': 'Download scenario template',
+  'odas.scannerLabel': 'ODAS Panel (browser tab)',
+  'odas.status.initializing': 'Initializing...',
+  'odas.status.loading': 'Loading ODAS Database...',
+  'odas.status.online': 'ODAS Online',
+  'odas.status.dbError': 'Database Error',
+  'odas.rollbackNote': 'Rollback to v{version}',
+  'odas.testMessage': 'Test message from ODAS ({userId}).',
+  'odas.card.anomaly': 'Anomaly {score}',
+  'odas.card.baselineNotReady': 'Baseline not ready',
+  'odas.masterStatus': 'ODAS Master Control Status',
+  'odas.scanner': 'Scanner: {holder}',
+  'odas.scanner.thisTab': 'this tab',
+  'odas.scanner.lastScan': 'last scan {at}',
+  'odas.scanner.none': 'Scanner: no lease holder yet',
+  'odas.source': 'Source: {source}',
+  'odas.source.stale': 'Stale data: last update {at}',
+  'odas.outbox.offline': 'Offline.',
+  'odas.outbox.offlineHint': 'Scanning continues; {count} intervention writes are waiting to sync and will be sent automatically once the connection returns.',
+  'odas.outbox.retryAt': 'Retrying at {at}.',
+  'odas.outbox.retryNow': 'Retry now',
+  'odas.outbox.pending': '{count} writes pending sync',
+  'odas.outbox.failed': '{count} writes rejected by the server',
+  'odas.initializingDatabase': 'Initializing ODAS Database...',
+  'odas.subtitle': 'Global Digital Path Orchestration Control Center (ODAS Agency Simulation)',
+  'odas.tab.dashboard': 'Dashboard',
+  'odas.tab.rules': 'Rule Editor',
+  'odas.tab.backtest': 'Replay / Backtest',
+  'odas.tab.notifications': 'Notifications',
+  'odas.tab.playbooks': 'Playbooks',
+  'odas.viewerMode': 'Viewer mode: data is collected by {holder}. The source chosen here applies once this tab scans.',
+  'odas.pathMapping': 'Main Path Mapping ({asset} · {source})',
+  'odas.incidentLog': 'Finality Intervention Incident Log ({count} active)',
+  'odas.escalateAfter': 'Escalate Critical after',
+  'odas.minutes': 'minutes',
+  'odas.escalatedFrom': '(escalated from {severity})',
+  'odas.scanCount': '{count}x scans',
+  'odas.observed': 'Observed: {value}',
+  'odas.expectedRange': 'Normal range:',
+  'odas.logged': 'Logged: {at}',
+  'odas.recovered': 'Recovered: {at}',
+  'odas.allClear': 'No critical intervention needed. All paths are within limits.',
+  'odas.footer': 'ODAS is operating. All intervention data is recorded to shared storage for Agency tracking.',
+
+  // Model kesehatan sistem (healthModel.js, SystemHealth.jsx)
+  'health.status.optimal': 'Optimal',
+  'health.status.warning': 'Warning',
+  'health.status.critical': 'Critical',
+  'health.status.offline': 'Offline',
+  'health.component.metrics': 'Metrics',
+  'health.component.openIncidents': 'Open incidents',
+  'health.component.recentIncidents': 'Incidents in the last {minutes} minutes',
+  'health.error.window': 'The time window must be more than 0 minutes.',
+  'health.error.halfLife': 'The decay half-life must be more than 0 minutes.',
+  'health.error.fullHeadroom': 'Full-health headroom must be more than 0%.',
+  'health.error.incidentLimit': 'Incident weight limits must be more than 0.',
+  'health.error.weights': 'Component weights must not be negative and at least one must be above 0.',
+  'health.error.pathWeights': 'Path weights must not be negative and at least one must be above 0.',
+  'health.error.severityWeights': 'Severity weights must not be negative.',
+  'health.error.thresholds': 'Status thresholds must satisfy 0 ≤ warning < optimal ≤ 100.',
+  'health.reason.breach': '{rule} ({asset}): {value} is past the {threshold} limit',
+  'health.reason.headroom': '{rule} ({asset}): {value}, only {headroom} from the {threshold} limit',
+  'health.reason.openIncidents': '{count} {severity} incident(s) still ongoing',
+  'health.reason.recentIncidents': '{count} incident(s) opened in the last {minutes} minutes',
+  'health.reason.noMetrics': 'No metric samples for the {path} path yet; the score is based on incidents only.',
+  'healthUi.title': 'System Health by Path',
+  'healthUi.score': 'Score {score}',
+  'healthUi.trend': '{minutes}-minute trend',
+  'healthUi.why': 'Why this status?',
+  'healthUi.allClear': 'All paths are within limits and there were no incidents in the time window.',
+  'healthUi.offline': 'No metric samples or incidents yet; start the ODAS scanner or the daemon.',
+  'healthUi.loadFailed': 'Failed to load health history: {error}',
+  'healthUi.settings': 'Health Model Settings',
+  'healthUi.windowMinutes': 'Time window (minutes)',
+  'healthUi.halfLifeMinutes': 'Decay half-life (minutes)',
+  'healthUi.fullHeadroom': 'Full-health headroom (%)',
+  'healthUi.openIncidentLimit': 'Open incident weight limit',
+  'healthUi.recentIncidentLimit': 'Recent incident weight limit',
+  'healthUi.thresholdOptimal': 'Minimum optimal score',
+  'healthUi.thresholdWarning': 'Minimum warning score',
+  'healthUi.componentWeights': 'Component weights',
+  'healthUi.pathWeights': 'Path weights',
+  'healthUi.severityWeights': 'Severity weights',
+  'healthUi.save': 'Save Settings',
+
+  // Simulator skenario (scenarios.js)
+  'scenario.error.json': 'The scenario file is not valid JSON: {error}',
+  'scenario.error.notObject': 'The scenario file must contain a single JSON object.',
+  'scenario.error.unknownMetric': 'Unknown scenario metric: {metric}.',
+  'scenario.error.stepMs': 'stepMs must be more than 0.',
+  'scenario.error.steps': 'steps must be a positive integer or null (endless).',
+  'scenario.error.model': 'Model {metric}: initial, mean, volatility and trend must be numbers; volatility must not be negative.',
+  'scenario.error.reversion': 'Model {metric}: reversion must be between 0 and 1.',
+  'scenario.error.bounds': 'Model {metric}: min/max must be numbers or null, and min must not exceed max.',
+  'scenario.error.seasonality': 'Model {metric}: seasonality needs an amplitude and a periodSteps above 0.',
+  'scenario.error.correlation': 'Correlation #{index} is invalid: from and to must be different metrics and coefficient must be a number.',
+  'scenario.error.shock': 'Shock #{index} is invalid: check metric, atStep, durationSteps, magnitude, shape (step/spike/ramp) and everySteps (≥ durationSteps).',
+
+  // Korelasi antarjalur (correlation.js, CorrelationView.jsx)
+  'correlation.title': 'Cross-Path Correlation & Dependencies',
+  'correlation.graph': 'Dependency graph',
+  'correlation.graphHint': 'Arrow = a disruption upstream can trigger a breach downstream. Incidents of one asset opened within {minutes} minutes and linked by an arrow are merged into one event. Coloured nodes are breaching now.',
+  'correlation.events': 'Correlated events',
+  'correlation.noEvents': 'No correlated interventions in the time window.',
+  'correlation.event': '{count} linked interventions · {severity}',
+  'correlation.suggestedRootCause': 'Suggested root cause:',
+  'correlation.rootCause.lead': '{node}, ahead of {count} other interventions by {seconds} s.',
+  'correlation.rootCause.upstream': '{node}, upstream of {count} other interventions.',
+  'correlation.seconds': 's',
+  'correlation.tag.rootCause': 'Suggested root cause of {count} linked interventions',
+  'correlation.tag.related': 'Linked: likely caused by the {node} disruption (+{count} interventions)',
+  'correlation.settings': 'Correlation settings',
+  'correlation.windowMinutes': 'Time window (minutes)',
+  'correlation.edges': 'Dependency edges (upstream → downstream)',
+  'correlation.addEdge': 'Add edge',
+  'correlation.removeEdge': 'Remove edge',
+  'correlation.save': 'Save correlation settings',
+  'correlation.edgeLabel': 'Edge {number}',
+  'correlation.error.window': 'The time window must be more than 0 minutes.',
+  'correlation.error.node': '{label}: a node must be a known path or path/metric.',
+  'correlation.error.selfLoop': '{label}: upstream and downstream must differ.',
+  'correlation.error.duplicate': '{label}: the same edge already exists.',
+
+  // Registry plugin jalur (paths.js)
+  'paths.error.id': "A path plugin needs a text id without '/'.",
+  'paths.error.duplicate': 'Path {id} is already registered.',
+  'paths.error.metrics': 'Path {id}: declare at least one metric.',
+  'paths.error.metricKey': 'Path {id}: invalid metric key: {key}.',
+  'paths.error.metricDuplicate': 'Path {id}: metric {key} is already used by another path.',
+  'paths.error.format': 'Path {id}: the format of metric {key} must be one of {formats}.',
+  'paths.error.model': 'Path {id}: metric {key} needs a model with a numeric initial value.',
+  'paths.error.rulePath': 'Path {id}: default rule {rule} must use path {id}.',
+  'paths.error.ruleDuplicate': 'Path {id}: rule id {rule} is already in use.',
+
+  // Rantai Finality Chronicle (chronicleChain.js)
+  'chronicleChain.title': 'Finality Chronicle integrity',
+  'chronicleChain.description': 'Every new intervention and every later change to its lifecycle is hash-chained to the previous record; checkpoints are signed by the daemon.',
+  'chronicleChain.verify': 'Verify chain',
+  'chronicleChain.trustedKeysLabel': 'Trusted checkpoint keys',
+  'chronicleChain.noTrustedKeys': 'No trusted keys yet: any checkpoint with a valid signature is accepted.',
+  'chronicleChain.keyPlaceholder': 'keyId from the daemon log',
+  'chronicleChain.addKey': 'Trust',
+  'chronicleChain.removeKey': 'Remove key',
+  'chronicleChain.trustedKeys': 'Trusted keys: {keys}',
+  'chronicleChain.ok': 'Chain intact: no record was changed, broken or removed.',
+  'chronicleChain.broken': 'Chain broken: {count} findings.',
+  'chronicleChain.summary': '{checked} chained records checked up to #{lastSeq}; {verified} of {total} checkpoints verified.',
+  'chronicleChain.unchained': '{count} older interventions were logged before the chain was enabled and are not verified.',
+  'chronicleChain.firstIssue': 'First break',
+  'chronicleChain.moreIssues': '+{count} more findings (see chronicleVerify.js --json).',
+  'chronicleChain.issue.changed': 'Record {record} ({id}) was changed: its content no longer matches its hash.',
+  'chronicleChain.issue.changedField': 'Record {record} ({id}) was changed: field {field} differs from its opening seal.',
+  'chronicleChain.issue.changedLifecycle': 'Incident {id} was changed after record {record} without being chained: field {field} differs from its chained lifecycle.',
+  'chronicleChain.issue.changedHead': 'The last record {record} ({id}) was replaced: its hash does not match the chain head.',
+  'chronicleChain.issue.broken': 'Chain broken at record {record} ({id}): the previous record #{prevSeq} ({prevId}) was replaced or rewritten.',
+  'chronicleChain.issue.removed': 'Records {range} were removed, between {prevId} and {id}.',
+  'chronicleChain.issue.removedTail': 'Records {range} at the end of the chain were removed (after {prevId}).',
+  'chronicleChain.issue.duplicate': 'Sequence number {record} is used twice ({otherId} and {id}): the chain forked.',
+  'chronicleChain.issue.rewritten': 'Records {range} were rewritten: their hashes do not match signed checkpoint {id}.',
+  'chronicleChain.issue.checkpoint.signature': 'The signature of checkpoint {record} ({id}) is invalid.',
+  'chronicleChain.issue.checkpoint.untrusted': 'Checkpoint {record} ({id}) is signed by untrusted key {keyId}.',
+  'chronicleChain.error.webCrypto': 'Web Crypto is not available for Finality Chronicle hashes and signatures.',
+  'chronicleChain.error.verify': 'Verification failed: {error}',
+  'chronicleChain.cli.storage': 'Storage: {storage}',
+
+  // Maintenance windows & silences
+  'scan.result.suppressed': '({count} silenced)',
+  'silences.title': 'Maintenance Windows & Silences',
+  'silences.kind.maintenance': 'Maintenance',
+  'silences.kind.silence': 'Silence',
+  'silences.error.kind': 'Kind must be maintenance or silence.',
+  'silences.error.reason': 'A reason is required.',
+  'silences.error.path': 'Scope contains an unregistered path.',
+  'silences.error.schedule': 'Unknown schedule.',
+  'silences.error.range': 'Start time must be before end time.',
+  'silences.error.past': 'The window has already ended.',
+  'silences.error.cronKind': 'Recurring schedules are for maintenance windows only.',
+  'silences.error.cron': 'Invalid cron expression: "{cron}" (five fields: minute hour day month weekday).',
+  'silences.error.duration': 'Window duration must be 1 to {max} minutes.',
+  'silences.error.offset': 'Invalid schedule time zone.',
+  'silences.error.until': 'The schedule end must be in the future.',
+  'silences.scope.all': 'All paths, assets and rules',
+  'silences.schedule.once': '{from} – {to}',
+  'silences.schedule.cron': 'cron "{cron}" for {minutes} minutes ({offset})',
+  'silences.schedule.until': 'until {until}',
+  'silences.tag.suppressedBy': 'Silenced by {kind}: {reason}',
+  'silences.tag.suppressed': 'Silenced during a maintenance window/silence',
+  'silences.active': 'Active silences ({count})',
+  'silences.none': 'No active maintenance window or silence.',
+  'silences.upcoming': 'Scheduled maintenance',
+  'silences.activeUntil': 'Active until {at}',
+  'silences.nextWindow': 'Next {from} – {to}',
+  'silences.createdBy': 'by {user}',
+  'silences.create': 'New silence',
+  'silences.end': 'End',
+  'silences.cancelSchedule': 'Cancel',
+  'silences.reason': 'Reason',
+  'silences.reasonPlaceholder': 'e.g. database migration, incident already handled',
+  'silences.rules': 'Rules',
+  'silences.duration': 'Duration',
+  'silences.durationOption': '{minutes} minutes',
+  'silences.scheduleType': 'Schedule',
+  'silences.scheduleType.once': 'One-off',
+  'silences.scheduleType.cron': 'Recurring (cron)',
+  'silences.cron': 'Cron',
+  'silences.cronHint': 'minute hour day month weekday, e.g. 0 2 * * 6 = Saturday 02:00',
+  'silences.windowMinutes': 'Window duration (minutes)',
+  'silences.until': 'Repeat until (optional)',
+  'silences.save': 'Save',
+  'silences.cancel': 'Cancel',
+
+  // Breach forecasting
+  'severity.forecast': 'Forecast',
+  'forecast.method.linear': 'Linear trend',
+  'forecast.error.method': 'Forecast method must be one of: {methods}.',
+  'forecast.error.horizon': 'Forecast horizon must be greater than 0 minutes.',
+  'forecast.error.season': 'Season length must be 0 or a whole number of 2–{max} samples.',
+  'forecast.message': 'Forecast: {metric} is expected to cross {threshold} in ~{minutes} min ({rule}).',
+  'forecast.eta': 'Forecast to cross {threshold} in ~{minutes} min',
+  'forecast.atThreshold': 'Already at the {threshold} threshold, awaiting rule confirmation',
+  'forecast.clear': 'No breach forecast within {minutes} min',
+  'scan.result.forecast': '({count} forecast)',
+  'odas.forecast': 'Forecast',
+  'odas.forecastHorizon': 'horizon',
+  'odas.card.forecastMethod': 'Forecast model: {method}',
+
+  // Rule versions
+  'rules.error.versionConflict': 'Rule version numbers keep colliding with other saves; reload and try again.',
+
+  // Daemon pemindai (odasDaemon.js)
+  'daemon.config.invalid': 'Invalid daemon configuration:\n- {errors}',
+  'daemon.config.storageKind': 'Unknown storage.kind: {kind}.',
+  'daemon.config.firebaseConfig': 'storage.firebaseConfig is required for live Firestore.',
+  'daemon.config.interval': 'intervalMs must be at least 1000.',
+  'daemon.config.leaseTtl': 'leaseTtlMs must be greater than intervalMs.',
+  'daemon.config.checkpointEvery': 'chronicle.checkpointEvery must be a whole number of at least 1.',
+  'daemon.config.checkpointInterval': 'chronicle.checkpointIntervalMinutes must be greater than 0.',
+  'daemon.config.noPlugin': 'the module does not export a plugin (export default).',
+  'daemon.log.connected': '{label} connected to {kind} as {userId}, workspace {workspace} (holder {holderId}).',
+  'daemon.log.personalWorkspace': 'personal',
+  'daemon.log.paths': 'Registered paths: {paths}.',
+  'daemon.log.signingKey': 'Finality Chronicle checkpoint key: {keyId} ({keyFile}).',
+  'daemon.log.offline': 'Backend unreachable ({error}), incident writes are queued.',
+  'daemon.log.online': 'Backend reachable again, sending the queue.',
+  'daemon.log.rejected': '{count} incident writes rejected by the backend ({error}).',
+  'daemon.log.pendingResumed': '{count} incident writes pending from the previous session, sending them again.',
+  'daemon.log.chainBroken': 'Finality Chronicle is broken, checkpoint held: {issue}',
+  'daemon.log.checkpointSigned': 'Finality Chronicle checkpoint #{seq} signed ({keyId}).',
+  'daemon.log.leaseAcquired': 'Scanner lease acquired, scanning.',
+  'daemon.log.leaseLost': 'Scanner lease held elsewhere, scanning stopped.',
+  'daemon.log.scanned': '{count} assets scanned (rules v{version}): {result}.',
+  'daemon.log.stopping': 'Stopping ({reason}): waiting for the cycle, write queue, notifications and pending playbooks...',
+  'daemon.log.timeout': 'Timeout of {ms} ms exceeded, some work was abandoned.',
+  'daemon.log.pendingLeft': '{count} incident writes left in {file} for the next run.',
+  'daemon.log.leaseReleased': 'Scanner lease released.',
+};
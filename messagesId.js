@@ -0,0 +1,771 @@
+// --- ODAS KATALOG TEKS: BAHASA INDONESIA ---
+// Katalog bawaan dan cadangan untuk kunci yang belum ada di katalog lain (lihat i18n.js).
+
+export const MESSAGES_ID = {
+  // Severity & jalur
+  'severity.warning': 'Peringatan',
+  'severity.critical': 'Kritis',
+  'severity.emergency': 'Darurat',
+  'path.Finansial': 'Finansial',
+  'path.Infrastruktur': 'Infrastruktur',
+  'path.Persona': 'Persona',
+  'path.Sensor': 'Sensor',
+  'path.Kepatuhan': 'Kepatuhan',
+
+  // Aturan bawaan (builtinPaths.js)
+  'rule.finansial-volatility.name': 'Volatilitas Aset',
+  'rule.finansial-volatility.message': 'Volatilitas aset Kritis ({assetVolatility|pct1}). Memerlukan Chronos Executor (CE) Lock.',
+  'rule.finansial-liquidity.name': 'Likuiditas Pasar',
+  'rule.finansial-liquidity.message': 'Likuiditas rendah: {marketLiquidity|usd}. Memerlukan injeksi dana/stabilisasi.',
+  'rule.infrastruktur-latency.name': 'Latency Sistem',
+  'rule.infrastruktur-latency.message': 'Latency sistem Kritis ({systemLatency|ms}). Memerlukan realokasi sumber daya I/O.',
+  'rule.persona-sentiment.name': 'Sentimen Publik',
+  'rule.persona-sentiment.message': 'Sentimen Publik Rendah ({publicSentiment|pct0}). Memerlukan Narasi Frame Shift Otomatis.',
+  'rule.sensor-anomaly.name': 'Skor Anomali',
+  'rule.sensor-anomaly.message': 'Anomali Data Masif Terdeteksi ({anomalyScore|pct0}). Memerlukan Recursive Resonance Alert (RRA).',
+  'rule.infrastruktur-latency-deviation.name': 'Deviasi Latency dari Baseline Musiman',
+  'rule.infrastruktur-latency-deviation.message': 'Latency {systemLatency|ms} menyimpang dari pola normal ({expectedLow|ms} - {expectedHigh|ms}, z={z|num}).',
+  'rule.kepatuhan-compliance.name': 'Pelanggaran Kontrol CCE',
+  'rule.kepatuhan-compliance.message': 'Pelanggaran kontrol CCE Kritis ({complianceViolationRate|pct1}). Memerlukan audit Cipher Compliance Engine.',
+
+  // Metrik jalur bawaan (builtinPaths.js)
+  'metric.assetVolatility': 'Volatilitas Aset',
+  'metric.marketLiquidity': 'Likuiditas Pasar',
+  'metric.systemLatency': 'Latency Sistem',
+  'metric.publicSentiment': 'Sentimen Publik',
+  'metric.anomalyScore': 'Skor Anomali',
+  'metric.complianceViolationRate': 'Pelanggaran Kontrol CCE',
+
+  // Validasi aturan
+  'rules.condition': 'Kondisi',
+  'rules.clearCondition': 'Kondisi pemulihan',
+  'rules.error.conditionObject': '{label}: kondisi wajib berupa objek.',
+  'rules.error.conditionChildren': "{label}: 'all'/'any' harus berisi minimal satu kondisi.",
+  'rules.error.unknownMetric': "{label}: metrik '{metric}' tidak dikenal.",
+  'rules.error.unknownOperator': "{label}: operator '{op}' tidak didukung.",
+  'rules.error.valueNumber': '{label}: nilai batas harus berupa angka.',
+  'rules.error.unknownBaseline': "{label}: baseline '{baseline}' tidak dikenal ({methods}).",
+  'rules.error.id': 'ID aturan wajib diisi (huruf kecil, angka, tanda hubung).',
+  'rules.error.name': 'Nama aturan wajib diisi.',
+  'rules.error.unknownPath': "Jalur '{path}' tidak dikenal.",
+  'rules.error.unknownSeverity': "Severity '{severity}' tidak dikenal.",
+  'rules.error.forScans': 'Durasi (forScans) harus bilangan bulat >= 1.',
+  'rules.error.message': 'Template pesan wajib diisi.',
+  'common.error.duplicateId': "ID '{id}' dipakai lebih dari sekali.",
+
+  // Insiden (incidents.js)
+  'incident.status.open': 'Terbuka',
+  'incident.status.acknowledged': 'Diakui',
+  'incident.status.inProgress': 'Ditangani',
+  'incident.status.resolved': 'Selesai',
+  'incident.status.dismissed': 'Diabaikan',
+  'incident.action.acknowledge': 'Akui',
+  'incident.action.handle': 'Tangani',
+  'incident.action.resolve': 'Selesaikan',
+  'incident.action.dismiss': 'Abaikan',
+  'incident.note.unacknowledged': 'Belum diakui selama {minutes} menit',
+  'incident.note.recovered': 'Metrik pulih',
+  'incident.error.transition': 'Transisi {from} -> {to} tidak diizinkan.',
+
+  // Siklus scan (scanCycle.js)
+  'scan.result.breaches': 'Intervensi {count} Kritis',
+  'scan.result.normal': 'ODAS Operasional Normal',
+
+  // Notifikasi (notifications.js)
+  'notifications.type.webhook': 'Webhook HTTP (HMAC)',
+  'notifications.event.opened': 'Insiden baru',
+  'notifications.event.escalated': 'Eskalasi',
+  'notifications.event.test': 'Uji kanal',
+  'notifications.delivery.sent': 'Terkirim',
+  'notifications.delivery.failed': 'Gagal',
+  'notifications.delivery.retrying': 'Dicoba ulang',
+  'notifications.delivery.rateLimited': 'Dibatasi',
+  'notifications.blankName': 'Kanal {index}',
+  'notifications.error.id': 'ID kanal wajib berupa huruf kecil, angka, atau "-".',
+  'notifications.error.type': 'Jenis kanal tidak dikenal: {type}.',
+  'notifications.error.url': 'URL webhook harus diawali http:// atau https://.',
+  'notifications.error.smtpHost': 'Host SMTP wajib diisi.',
+  'notifications.error.smtpFrom': 'Alamat pengirim wajib diisi.',
+  'notifications.error.smtpTo': 'Minimal satu penerima email.',
+  'notifications.error.paths': 'Jalur tidak dikenal: {paths}.',
+  'notifications.error.rateLimit': 'Batas laju harus minimal 1 pesan per periode > 0 menit.',
+  'notifications.error.webCrypto': 'Web Crypto tidak tersedia untuk tanda tangan HMAC.',
+  'notifications.error.rateLimited': 'Batas laju kanal tercapai.',
+  'notifications.error.smtpNodeOnly': 'Email SMTP hanya dapat dikirim dari proses Node (daemon).',
+  'notifications.error.smtpClosed': 'Koneksi SMTP tertutup.',
+  'notifications.error.smtpTimeout': 'Batas waktu SMTP habis.',
+  'notifications.title.escalated': 'Eskalasi {from} -> {to}',
+  'notifications.title.test': 'Uji kanal ODAS',
+  'notifications.title.opened': 'Insiden {severity}',
+  'notifications.payload.context': 'Aturan: {ruleId} · Status: {status} · ID: {id}',
+  'notifications.payload.path': 'Jalur',
+  'notifications.payload.severity': 'Severity',
+  'notifications.payload.rule': 'Aturan',
+  'notifications.payload.incident': 'Insiden',
+  'notifications.payload.time': 'Waktu',
+
+  // Sumber data (dataSources.js)
+  'source.state.idle': 'Terputus',
+  'source.state.connecting': 'Menghubungkan',
+  'source.state.connected': 'Terhubung',
+  'source.state.error': 'Galat',
+  'source.state.ended': 'Selesai',
+  'source.type.random': 'Simulasi Acak',
+  'source.message.localSimulation': 'Simulasi lokal (seed {seed})',
+  'source.message.reconnecting': 'Koneksi terputus, mencoba ulang...',
+  'source.message.replayDone': 'Replay selesai.',
+  'source.type.scenario': 'File Skenario (JSON)',
+  'source.message.scenario': '{name} dari {file} (seed {seed})',
+  'source.message.scenarioDone': 'Skenario selesai.',
+  'source.error.notObject': 'Payload sumber data bukan objek.',
+  'source.error.missingMetrics': 'Metrik tidak valid atau hilang: {metrics}',
+  'source.error.ndjsonLine': 'Baris NDJSON {line} tidak valid: {error}',
+  'source.error.noEndpoint': 'URL endpoint belum diisi.',
+  'source.error.websocketFailed': 'Koneksi WebSocket gagal.',
+  'source.error.noWebsocketUrl': 'URL WebSocket belum diisi.',
+  'source.error.websocketUnavailable': 'WebSocket tidak tersedia di lingkungan ini.',
+  'source.error.emptyRecording': 'File rekaman kosong.',
+  'source.error.unknownType': 'Tipe sumber data tidak dikenal: {type}',
+
+  // Registry aset (assets.js)
+  'asset.type.financial': 'Finansial',
+  'asset.type.infrastructure': 'Infrastruktur',
+  'asset.type.persona': 'Persona Publik',
+  'asset.type.sensor': 'Sensor / Perangkat',
+  'asset.type.digital': 'Aset Digital',
+  'asset.health.healthy': 'Sehat',
+  'asset.health.degraded': 'Menurun',
+  'asset.health.critical': 'Kritis',
+  'asset.health.unknown': 'Belum Diketahui',
+  'asset.defaultName': 'ODAS Lokal',
+  'asset.error.overridesObject': 'Override batas harus berupa objek JSON { ruleId: nilai }.',
+  'asset.error.overridesNumber': 'Nilai override harus berupa angka: {ruleIds}.',
+  'asset.error.invalidJson': 'JSON tidak valid: {error}',
+  'asset.error.name': 'Nama aset wajib diisi.',
+  'asset.error.type': 'Tipe aset tidak dikenal: {type}.',
+  'asset.error.owner': 'Pemilik aset wajib diisi.',
+  'asset.error.health': 'Status kesehatan tidak dikenal: {health}.',
+  'asset.error.source': 'Sumber data tidak dikenal: {type}.',
+  'asset.error.endpoint': 'Sumber data ini memerlukan endpoint.',
+
+  // Playbook remediasi (playbooks.js, playbookSandbox.js)
+  'playbook.mode.dryRun': 'Simulasi (dry-run)',
+  'playbook.mode.approval': 'Persetujuan manual',
+  'playbook.mode.auto': 'Otomatis',
+  'playbook.stepType.http': 'Panggil endpoint HTTP',
+  'playbook.stepType.script': 'Skrip (sandbox lokal)',
+  'playbook.stepType.wait': 'Tunggu kondisi',
+  'playbook.run.dryRun': 'Simulasi',
+  'playbook.run.pendingApproval': 'Menunggu persetujuan',
+  'playbook.run.approved': 'Disetujui',
+  'playbook.run.rejected': 'Ditolak',
+  'playbook.run.running': 'Berjalan',
+  'playbook.run.succeeded': 'Berhasil',
+  'playbook.run.failed': 'Gagal',
+  'playbook.run.rolledBack': 'Gagal, di-rollback',
+  'playbook.step.succeeded': 'Berhasil',
+  'playbook.step.failed': 'Gagal',
+  'playbook.step.simulated': 'Simulasi',
+  'playbook.blankStepName': 'Langkah {index}',
+  'playbook.stepLabel': 'Langkah {index}',
+  'playbook.rollbackLabel': 'Rollback {index}',
+  'playbook.conditionLabel': '{label}: kondisi',
+  'playbook.describe.script': 'Skrip ({length} karakter)',
+  'playbook.describe.wait': 'Tunggu {condition} (maks {seconds} dtk)',
+  'playbook.detail.waitMet': 'Terpenuhi: {metric} = {value}',
+  'playbook.detail.scriptResult': 'hasil',
+  'playbook.error.stepId': '{label}: ID langkah wajib berupa huruf kecil, angka, atau "-".',
+  'playbook.error.stepType': '{label}: jenis langkah tidak dikenal: {type}.',
+  'playbook.error.url': '{label}: URL harus diawali http:// atau https://.',
+  'playbook.error.method': "{label}: metode HTTP '{method}' tidak didukung.",
+  'playbook.error.script': '{label}: skrip wajib diisi.',
+  'playbook.error.scriptNoDaemon': '{label}: langkah skrip membutuhkan daemon ODAS untuk menjalankannya, dan tidak ada yang memegang lease pemindai.',
+  'playbook.error.timeout': '{label}: batas waktu harus 1 detik sampai {minutes} menit.',
+  'playbook.error.id': 'ID playbook wajib berupa huruf kecil, angka, atau "-".',
+  'playbook.error.name': 'Nama playbook wajib diisi.',
+  'playbook.error.mode': 'Mode tidak dikenal: {mode}.',
+  'playbook.error.noRules': 'Pilih minimal satu aturan pemicu.',
+  'playbook.error.unknownRules': 'Aturan tidak dikenal: {ruleIds}.',
+  'playbook.error.noSteps': 'Playbook harus berisi minimal satu langkah.',
+  'playbook.error.stepIdsUnique': 'ID langkah harus unik dalam satu playbook.',
+  'playbook.error.ruleClaimed': "Aturan '{ruleId}' sudah dipetakan ke playbook '{playbookId}'.",
+  'playbook.error.noPendingRun': 'Tidak ada playbook yang menunggu persetujuan.',
+  'playbook.error.decision': 'Keputusan tidak dikenal: {decision}.',
+  'playbook.error.httpTimeout': 'Batas waktu {ms} ms terlampaui.',
+  'playbook.error.waitTimeout': 'Kondisi {condition} belum terpenuhi setelah {seconds} dtk (terakhir {value}).',
+  'playbook.error.scriptNodeOnly': 'Skrip hanya dapat dijalankan oleh daemon (sandbox Node).',
+  'playbook.error.unknownStepType': 'Jenis langkah tidak dikenal: {type}.',
+  'playbook.error.rollbackIncomplete': 'rollback tidak lengkap',
+  'playbook.error.scriptAsync': 'Skrip harus sinkron (Promise tidak didukung).',
+  'playbook.error.scriptFalse': 'Skrip mengembalikan false.',
+  'playbook.error.scriptFailed': 'Skrip gagal.',
+
+  // Ruang kerja & storage (workspaces.js, workspaceActions.js, useOdasStorage.js, storage.js)
+  'workspace.role.viewer': 'Pemantau',
+  'workspace.role.operator': 'Operator',
+  'workspace.role.admin': 'Admin',
+  'workspace.personalName': 'Ruang Pribadi',
+  'workspace.error.nameRequired': 'Nama ruang kerja wajib diisi.',
+  'workspace.error.nameLength': 'Nama ruang kerja maksimal {max} karakter.',
+  'workspace.error.unknownRole': 'Peran tidak dikenal: {role}',
+  'workspace.error.invitationUnusable': 'Undangan tidak ditemukan, sudah dicabut, atau kedaluwarsa.',
+  'workspace.error.notMember': 'Anda bukan anggota ruang kerja ini.',
+  'workspace.error.accessDenied': 'Akses ke ruang kerja ditolak.',
+  'storage.kind.memory': 'Memori Lokal (Offline)',
+
+  // Baseline & riwayat metrik (anomalyDetection.js, metricsHistory.js)
+  'baseline.zscore': 'Z-score bergulir',
+  'baseline.seasonal': 'Baseline musiman (per jam)',
+  'history.range.15m': '15 menit',
+  'history.range.1h': '1 jam',
+  'history.range.24h': '24 jam',
+  'history.range.7d': '7 hari',
+
+  // Finality Chronicle (chronicleExport.js, ChronicleExport.jsx)
+  'chronicle.format.html': 'Laporan HTML',
+  'chronicle.report.count': 'Jumlah',
+  'chronicle.report.scopePaths': 'Jalur: {paths}',
+  'chronicle.report.allPaths': 'Semua jalur',
+  'chronicle.report.scopeSeverities': 'Severity: {severities}',
+  'chronicle.report.allSeverities': 'Semua severity',
+  'chronicle.report.scopeAssets': 'Aset: {assets}',
+  'chronicle.report.allAssets': 'Semua aset',
+  'chronicle.report.print': 'Cetak / Simpan PDF',
+  'chronicle.report.title': 'Laporan Intervensi',
+  'chronicle.report.period': 'Periode',
+  'chronicle.report.scope': 'Cakupan',
+  'chronicle.report.generated': 'Dibuat',
+  'chronicle.report.by': 'oleh {user}',
+  'chronicle.report.summary': 'Ringkasan',
+  'chronicle.report.topRules': 'Aturan terbanyak',
+  'chronicle.report.incidents': 'Insiden',
+  'chronicle.report.list': 'Daftar Insiden ({count})',
+  'chronicle.report.escalatedFrom': 'dari {severity}',
+  'chronicle.report.active': 'aktif',
+  'chronicle.summary.total': 'Total insiden',
+  'chronicle.summary.active': 'Masih aktif',
+  'chronicle.summary.resolved': 'Diselesaikan',
+  'chronicle.summary.meanTimeToResolve': 'Rata-rata waktu penyelesaian',
+  'chronicle.column.opened': 'Dibuka',
+  'chronicle.column.assetPath': 'Aset · Jalur',
+  'chronicle.column.path': 'Jalur',
+  'chronicle.column.severity': 'Severity',
+  'chronicle.column.status': 'Status',
+  'chronicle.column.rule': 'Aturan',
+  'chronicle.column.description': 'Deskripsi',
+  'chronicle.column.peak': 'Puncak',
+  'chronicle.column.timeToResolve': 'Waktu selesai',
+  'chronicle.error.format': 'Format ekspor tidak dikenal: {format}',
+
+  // Durasi
+  'duration.seconds': '{seconds} d',
+  'duration.minutes': '{minutes} m {seconds} d',
+  'duration.hours': '{hours} j {minutes} m',
+  'duration.days': '{days} h {hours} j',
+
+  // Footer (StorageSwitcher.jsx, WorkspaceSwitcher.jsx)
+  'storage.connecting': 'Menghubungkan...',
+  'workspace.noAccess': 'Tanpa akses',
+
+  // Umum
+  'common.reset': 'Reset',
+  'common.loading': 'Memuat...',
+  'common.add': 'Tambah',
+
+  // Log intervensi & siklus hidup insiden (IncidentLifecycle.jsx)
+  'log.filter.allPaths': 'Semua jalur',
+  'log.filter.allSeverities': 'Semua severity',
+  'log.filter.allStatuses': 'Semua status',
+  'log.filter.fromDate': 'Dari tanggal',
+  'log.filter.toDate': 'Sampai tanggal',
+  'log.filter.search': 'Cari deskripsi (min. {min} huruf)...',
+  'log.loadMore': 'Muat lebih banyak',
+  'incident.history.assigned': 'ditugaskan ke {assignee}',
+  'incident.remediation.title': 'Playbook {name}:',
+  'incident.remediation.decidedBy': 'oleh {user}',
+  'incident.remediation.approve': 'Setujui & jalankan',
+  'incident.remediation.reject': 'Tolak',
+  'incident.details': 'Detail ({count})',
+  'incident.assigneePlaceholder': 'Penanggung jawab',
+  'incident.assign': 'Tugaskan',
+  'incident.notePlaceholder': 'Catatan operator',
+
+  // Grafik metrik (MetricCharts.jsx)
+  'charts.noHistory': 'Belum ada data riwayat untuk rentang ini.',
+  'charts.loadFailed': 'Gagal memuat riwayat metrik.',
+  'charts.historyTitle': 'Riwayat {title}',
+  'charts.resolution': 'Resolusi: {resolution}',
+  'charts.rawSamples': 'sampel mentah',
+  'charts.rollup': 'rollup {resolution}',
+  'charts.points': '{count} titik',
+
+  // Registry aset (AssetRegistry.jsx)
+  'assetUi.noAssets': 'Belum ada aset terdaftar.',
+  'assetUi.asset': 'Aset',
+  'assetUi.health': 'Kesehatan',
+  'assetUi.name': 'Nama',
+  'assetUi.owner': 'Pemilik',
+  'assetUi.type': 'Tipe',
+  'assetUi.dataSource': 'Sumber Data',
+  'assetUi.tags': 'Tag (pisahkan dengan koma)',
+  'assetUi.tagsPlaceholder': 'produksi, jakarta',
+  'assetUi.overrides': 'Override Batas Aturan (JSON, opsional)',
+  'assetUi.readOnly': 'Hanya admin ruang kerja yang dapat mengubah aset dan ambang batasnya.',
+  'assetUi.searchPlaceholder': 'Cari nama, pemilik, tag',
+  'assetUi.allTypes': 'Semua tipe',
+  'assetUi.showArchived': 'Tampilkan arsip',
+  'assetUi.archived': 'Diarsipkan',
+  'assetUi.archivedAt': 'Diarsipkan {at}',
+  'assetUi.noMatches': 'Belum ada aset yang cocok.',
+  'assetUi.newAsset': 'Aset Baru',
+  'assetUi.saveAsset': 'Simpan Aset',
+  'assetUi.timestamps': 'Dibuat {created} · Diperbarui {updated}',
+  'assetUi.restore': 'Pulihkan',
+  'assetUi.archive': 'Arsipkan',
+  'assetUi.saveChanges': 'Simpan Perubahan',
+  'assetUi.selectPrompt': 'Pilih aset untuk melihat detail, atau tambahkan aset baru.',
+
+  // Backtest (BacktestPanel.jsx)
+  'backtest.noIncidents': 'Tidak ada insiden yang terpicu pada replay ini.',
+  'backtest.scanCount': '{count} scan',
+  'backtest.error.notArray': 'Set aturan harus berupa array JSON.',
+  'backtest.error.noSamples': 'Tidak ada sampel untuk diputar ulang.',
+  'backtest.source': 'Sumber Rekaman · {asset}',
+  'backtest.source.history': 'Riwayat Tersimpan',
+  'backtest.source.file': 'Impor File',
+  'backtest.range': 'Rentang',
+  'backtest.rangeOption': '{label} (resolusi {resolution})',
+  'backtest.raw': 'mentah',
+  'backtest.fileLabel': 'File CSV / NDJSON (kolom opsional: t / timestamp) atau skenario .json',
+  'backtest.samplesLoaded': '{count} sampel dimuat',
+  'backtest.useBaselines': 'Hitung baseline statistik selama replay',
+  'backtest.ruleSet': 'Set Aturan',
+  'backtest.rules.active': 'Aturan Aktif',
+  'backtest.rules.proposed': 'Usulan (JSON)',
+  'backtest.run': 'Jalankan Replay',
+  'backtest.summary': '{scans} scan diputar ulang dalam {elapsed} ms',
+  'backtest.col.rule': 'Aturan',
+  'backtest.col.path': 'Jalur',
+  'backtest.col.breachScans': 'Scan Melanggar',
+  'backtest.col.simulated': 'Insiden Simulasi',
+  'backtest.col.actual': 'Insiden Tercatat',
+  'backtest.col.delta': 'Selisih',
+  'backtest.diff.matched': 'Cocok',
+  'backtest.diff.onlySimulated': 'Hanya di Simulasi',
+  'backtest.diff.onlyActual': 'Hanya Tercatat',
+
+  // Ekspor chronicle (ChronicleExport.jsx)
+  'chronicleUi.emptyMeansAll': '(kosong = semua)',
+  'chronicleUi.error.load': 'Gagal memuat riwayat: {error}',
+  'chronicleUi.error.popupBlocked': 'Jendela laporan diblokir browser. Izinkan pop-up atau unduh Laporan HTML.',
+  'chronicleUi.error.range': 'Tanggal awal harus sebelum tanggal akhir.',
+  'chronicleUi.filter': 'Filter Ekspor',
+  'chronicleUi.from': 'Dari',
+  'chronicleUi.to': 'Sampai',
+  'chronicleUi.load': 'Muat Riwayat',
+  'chronicleUi.byPath': 'Per Jalur',
+  'chronicleUi.bySeverity': 'Per Severity',
+  'chronicleUi.byStatus': 'Per Status',
+  'chronicleUi.print': 'Cetak / PDF',
+  'chronicleUi.prompt': 'Atur filter lalu muat riwayat untuk melihat ringkasan dan mengunduh ekspor.',
+
+  // Editor aturan (RuleEditor.jsx)
+  'ruleEditor.newRule.name': 'Aturan Baru',
+  'ruleEditor.newRule.message': 'Latency {systemLatency|ms} melewati batas.',
+  'ruleEditor.rules': 'Aturan (v{version})',
+  'ruleEditor.invalid': 'Tidak valid',
+  'ruleEditor.name': 'Nama',
+  'ruleEditor.path': 'Jalur',
+  'ruleEditor.severity': 'Severity',
+  'ruleEditor.forScans': 'Durasi (scan berturut-turut)',
+  'ruleEditor.enabled': 'Aktif',
+  'ruleEditor.message': 'Template Pesan',
+  'ruleEditor.messageHint': 'Placeholder: {metrik|format}, {expectedLow}, {expectedHigh}, {z}; format: {formats}',
+  'ruleEditor.messageKeyHint': 'Teks bawaan mengikuti bahasa panel; mengubahnya menyimpan template tetap.',
+  'ruleEditor.condition': 'Kondisi Pemicu (JSON)',
+  'ruleEditor.conditionHint': '{ "metric", "op", "value" } atau { "all": [...] } / { "any": [...] }. Operator: {operators}',
+  'ruleEditor.baselineHint': 'Deviasi baseline: { "metric", "baseline", "op": ">", "value": 3 } membandingkan |z|. Baseline: {methods}',
+  'ruleEditor.clearCondition': 'Kondisi Pemulihan / Hysteresis (JSON, opsional)',
+  'ruleEditor.remove': 'Hapus aturan ini',
+  'ruleEditor.empty': 'Belum ada aturan. Tambahkan aturan baru.',
+  'ruleEditor.readOnly': 'Hanya admin ruang kerja yang dapat mengubah aturan dan ambang batas.',
+  'ruleEditor.notePlaceholder': 'Catatan perubahan (mis. naikkan batas latency ke 200ms)',
+  'ruleEditor.save': 'Simpan sebagai v{version}',
+  'ruleEditor.versions': 'Riwayat Versi',
+  'ruleEditor.active': 'AKTIF',
+  'ruleEditor.noVersions': 'Menggunakan aturan bawaan (v0). Simpan perubahan untuk membuat versi pertama.',
+
+  // Pengaturan notifikasi (NotificationSettings.jsx)
+  'notifyUi.channels': 'Kanal Notifikasi',
+  'notifyUi.noChannels': 'Belum ada kanal. Insiden hanya terlihat di panel ini.',
+  'notifyUi.type': 'Jenis',
+  'notifyUi.smtpUser': 'User (opsional)',
+  'notifyUi.smtpFrom': 'Pengirim',
+  'notifyUi.smtpTo': 'Penerima (pisahkan dengan koma)',
+  'notifyUi.smtpSecure': 'TLS langsung (port 465)',
+  'notifyUi.smtpNote': 'Email dikirim oleh proses Node (daemon); dari browser percobaan email dicatat sebagai gagal.',
+  'notifyUi.routePaths': 'Rute Jalur',
+  'notifyUi.routeSeverities': 'Rute Severity',
+  'notifyUi.rateMax': 'Batas Laju (pesan)',
+  'notifyUi.ratePer': 'Per (menit)',
+  'notifyUi.duplicateIds': 'ID kanal harus unik.',
+  'notifyUi.remove': 'Hapus kanal ini',
+  'notifyUi.sending': 'Mengirim...',
+  'notifyUi.sendTest': 'Kirim uji',
+  'notifyUi.empty': 'Tambahkan kanal untuk mengirim insiden Kritis ke webhook, chat, atau email.',
+  'notifyUi.save': 'Simpan Kanal',
+  'notifyUi.deliveryLog': 'Log Pengiriman',
+  'notifyUi.col.channel': 'Kanal',
+  'notifyUi.col.event': 'Event',
+  'notifyUi.col.attempt': 'Percobaan',
+  'notifyUi.noDeliveries': 'Belum ada percobaan pengiriman.',
+
+  // Editor playbook (PlaybookEditor.jsx)
+  'playbookUi.modeHint.dryRun': 'Langkah hanya dicatat sebagai simulasi di insiden; tidak ada endpoint atau skrip yang dipanggil.',
+  'playbookUi.modeHint.approval': 'Operator harus menyetujui run dari log insiden sebelum pemindai menjalankannya.',
+  'playbookUi.modeHint.auto': 'Pemindai langsung menjalankan langkah saat insiden dibuka.',
+  'playbookUi.timeout': 'Batas Waktu (detik)',
+  'playbookUi.method': 'Metode',
+  'playbookUi.headers': 'Header (satu per baris, "Nama: nilai")',
+  'playbookUi.bodyHint': '(kosong = JSON insiden)',
+  'playbookUi.script': 'Skrip',
+  'playbookUi.scriptHint': '(variabel: incident, sample, log(); false = gagal)',
+  'playbookUi.scriptNodeOnly': 'Skrip hanya dijalankan oleh daemon Node: langkah skrip dapat ditambahkan dan disimpan selama daemon memegang lease pemindai.',
+  'playbookUi.metric': 'Metrik',
+  'playbookUi.value': 'Nilai',
+  'playbookUi.addStep': 'Tambah langkah',
+  'playbookUi.moveUp': 'Naikkan',
+  'playbookUi.moveDown': 'Turunkan',
+  'playbookUi.removeStep': 'Hapus langkah',
+  'playbookUi.playbooks': 'Playbook Remediasi',
+  'playbookUi.counts': '{steps} langkah · {rules} aturan',
+  'playbookUi.noPlaybooks': 'Belum ada playbook. Insiden hanya dicatat dan diberitahukan.',
+  'playbookUi.triggerRules': 'Aturan pemicu',
+  'playbookUi.steps': 'Langkah (berurutan)',
+  'playbookUi.stepsHint': 'Tambahkan minimal satu langkah.',
+  'playbookUi.rollback': 'Rollback (bila satu langkah gagal)',
+  'playbookUi.rollbackHint': 'Tanpa langkah rollback, run yang gagal hanya dicatat.',
+  'playbookUi.placeholders': 'Placeholder untuk URL, header, dan body: {placeholders}',
+  'playbookUi.remove': 'Hapus playbook ini',
+  'playbookUi.empty': 'Tambahkan playbook untuk menjalankan tindakan yang disebut pesan intervensi (mis. Chronos Executor Lock atau realokasi sumber daya I/O).',
+  'playbookUi.save': 'Simpan Playbook',
+
+  // Manajemen ruang kerja (WorkspaceManager.jsx)
+  'workspaceUi.roleHint.viewer': 'Melihat log, aset, dan metrik.',
+  'workspaceUi.roleHint.operator': 'Menangani insiden dan menjalankan pemindai.',
+  'workspaceUi.roleHint.admin': 'Mengubah aturan, ambang, aset, pengaturan, dan anggota.',
+  'workspaceUi.active': 'Ruang Kerja Aktif',
+  'workspaceUi.yourRole': 'Peran Anda: {role}',
+  'workspaceUi.noAccess': 'tanpa akses',
+  'workspaceUi.leave': 'Keluar dari ruang kerja',
+  'workspaceUi.newTeam': 'Ruang kerja tim baru',
+  'workspaceUi.newTeamPlaceholder': 'mis. Tim Operasi Finansial',
+  'workspaceUi.create': 'Buat & Pindah',
+  'workspaceUi.joinCode': 'Gabung dengan kode / tautan undangan',
+  'workspaceUi.join': 'Gabung',
+  'workspaceUi.personalHint': 'Ruang pribadi hanya dapat diakses oleh akun Anda. Buat ruang kerja tim atau gabung dengan undangan untuk berbagi log intervensi dan registry aset.',
+  'workspaceUi.members': 'Anggota ({count})',
+  'workspaceUi.you': '(Anda)',
+  'workspaceUi.removeMember': 'Keluarkan anggota',
+  'workspaceUi.invitations': 'Undangan',
+  'workspaceUi.createInvitation': 'Buat tautan undangan',
+  'workspaceUi.until': 's/d {date}',
+  'workspaceUi.copyLink': 'Salin tautan',
+  'workspaceUi.revoke': 'Cabut undangan',
+  'workspaceUi.noInvitations': 'Belum ada undangan aktif.',
+
+  // Panel GCP & kartu insiden (GlobalControlPanel.jsx, ODAS_ControlPanel.jsx)
+  'gcp.connecting': 'Membangun Koneksi PSV...',
+  'gcp.subtitle': 'Dashboard Konsolidasi Data Strategis | Node Agensi Utama',
+  'gcp.systemHealth': 'Status Kesehatan Sistem',
+  'gcp.keyMetrics': 'Metrik Kunci DominationProtocol',
+  'gcp.card.assets': 'Total Aset ODAS',
+  'gcp.card.assets.unit': 'Assets',
+  'gcp.card.assets.description': 'Jumlah Aset Digital/Strategis yang Dikelola.',
+  'gcp.card.persona': 'Skor PersonaFrame',
+  'gcp.card.persona.description': 'Skor Kepercayaan & Resonansi Publik (PersonaFrame).',
+  'gcp.card.interventions': 'Intervensi Tercatat',
+  'gcp.card.interventions.unit': 'Aksi',
+  'gcp.card.interventions.description': 'Total Insiden Intervensi Finalitas (pelanggaran beruntun digabung; Prediksi dan pelanggaran yang diredam tidak dihitung).',
+  'gcp.card.shield': 'Pelindung Agensi',
+  'gcp.card.shield.description': 'Kesehatan jalur Kepatuhan dari Cipher Compliance Engine (CCE).',
+  'gcp.card.shield.unregistered': 'Tanpa jalur',
+  'gcp.assetMatrix': 'Matriks Kesehatan Aset',
+  'gcp.tab.overview': 'Log Intervensi',
+  'gcp.tab.assets': 'Registry Aset',
+  'gcp.tab.reports': 'Ekspor & Laporan',
+  'gcp.tab.team': 'Tim & Akses',
+  'gcp.latestLog': 'Log Intervensi Terbaru (Finality Chronicle)',
+  'gcp.footer': 'GCP Aktif. Membangun fondasi untuk ODAS Singularity (Timestamp: 16:30 WIB, 8 November 2025)',
+  'footer.storage': 'Penyimpanan:',
+  'footer.workspace': 'Ruang kerja:',
+  'footer.language': 'Bahasa:',
+  'log.error.load': 'Gagal memuat log: {error}',
+  'log.breachActive': 'Aktif',
+  'log.breachRecovered': 'Pulih',
+  'log.peak': 'Puncak: {value}',
+  'log.expected': 'Normal:',
+  'log.recoveredAt': 'Pulih {at}',
+  'log.noMatches': 'Tidak ada insiden yang cocok dengan filter.',
+  'log.waiting': 'Menunggu data Intervensi Finalitas pertama Anda.',
+
+  // Panel ODAS (ODAS_ControlPanel.jsx)
+  'odas.source.fileReadFailed': 'Gagal membaca file rekaman.',
+  'odas.source.file': 'File Rekaman',
+  'odas.source.apply': 'Terapkan',
+  'odas.source.scenarioTemplate': 'Unduh templat skenario',
+  'odas.scannerLabel': 'Panel ODAS (tab browser)',
+  'odas.status.initializing': 'Menginisialisasi...',
+  'odas.status.loading': 'Memuat Database ODAS...',
+  'odas.status.online': 'ODAS Online',
+  'odas.status.dbError': 'Galat Database',
+  'odas.rollbackNote': 'Rollback ke v{version}',
+  'odas.testMessage': 'Pesan uji dari ODAS ({userId}).',
+  'odas.card.anomaly': 'Anomali {score}',
+  'odas.card.baselineNotReady': 'Baseline belum siap',
+  'odas.masterStatus': 'Status ODAS Master Control',
+  'odas.scanner': 'Pemindai: {holder}',
+  'odas.scanner.thisTab': 'tab ini',
+  'odas.scanner.lastScan': 'scan terakhir {at}',
+  'odas.scanner.none': 'Pemindai: belum ada pemegang lease',
+  'odas.source': 'Sumber: {source}',
+  'odas.source.stale': 'Data basi: pembaruan terakhir {at}',
+  'odas.outbox.offline': 'Offline.',
+  'odas.outbox.offlineHint': 'Scan tetap berjalan; {count} tulisan intervensi menunggu sinkronisasi dan dikirim otomatis saat koneksi kembali.',
+  'odas.outbox.retryAt': 'Coba lagi {at}.',
+  'odas.outbox.retryNow': 'Coba sekarang',
+  'odas.outbox.pending': '{count} tulisan menunggu sinkronisasi',
+  'odas.outbox.failed': '{count} tulisan ditolak server',
+  'odas.initializingDatabase': 'Menginisialisasi ODAS Database...',
+  'odas.subtitle': 'Pusat Kontrol Orkestrasi Jalur Digital Global (Simulasi Agensi ODAS)',
+  'odas.tab.dashboard': 'Dashboard',
+  'odas.tab.rules': 'Editor Aturan',
+  'odas.tab.backtest': 'Replay / Backtest',
+  'odas.tab.notifications': 'Notifikasi',
+  'odas.tab.playbooks': 'Playbook',
+  'odas.viewerMode': 'Mode penampil: data diambil oleh {holder}. Pilihan sumber di sini berlaku saat tab ini memindai.',
+  'odas.pathMapping': 'Pemetaan Jalur Utama ({asset} · {source})',
+  'odas.incidentLog': 'Log Insiden Intervensi Finalitas ({count} aktif)',
+  'odas.escalateAfter': 'Eskalasi Kritis setelah',
+  'odas.minutes': 'menit',
+  'odas.escalatedFrom': '(eskalasi dari {severity})',
+  'odas.scanCount': '{count}x scan',
+  'odas.observed': 'Teramati: {value}',
+  'odas.expectedRange': 'Rentang normal:',
+  'odas.logged': 'Dicatat: {at}',
+  'odas.recovered': 'Pulih: {at}',
+  'odas.allClear': 'Tidak ada intervensi kritis yang diperlukan. Semua jalur dalam batas.',
+  'odas.footer': 'ODAS beroperasi. Semua data intervensi dicatat ke penyimpanan bersama untuk pelacakan Agensi.',
+
+  // Model kesehatan sistem (healthModel.js, SystemHealth.jsx)
+  'health.status.optimal': 'Optimal',
+  'health.status.warning': 'Peringatan',
+  'health.status.critical': 'Kritis',
+  'health.status.offline': 'Offline',
+  'health.component.metrics': 'Metrik',
+  'health.component.openIncidents': 'Insiden aktif',
+  'health.component.recentIncidents': 'Insiden {minutes} menit terakhir',
+  'health.error.window': 'Jendela waktu harus lebih dari 0 menit.',
+  'health.error.halfLife': 'Half-life peluruhan harus lebih dari 0 menit.',
+  'health.error.fullHeadroom': 'Headroom sehat penuh harus lebih dari 0%.',
+  'health.error.incidentLimit': 'Batas bobot insiden harus lebih dari 0.',
+  'health.error.weights': 'Bobot komponen tidak boleh negatif dan minimal satu lebih dari 0.',
+  'health.error.pathWeights': 'Bobot jalur tidak boleh negatif dan minimal satu lebih dari 0.',
+  'health.error.severityWeights': 'Bobot severity tidak boleh negatif.',
+  'health.error.thresholds': 'Ambang status harus 0 ≤ peringatan < optimal ≤ 100.',
+  'health.reason.breach': '{rule} ({asset}): {value} melewati batas {threshold}',
+  'health.reason.headroom': '{rule} ({asset}): {value}, hanya {headroom} dari batas {threshold}',
+  'health.reason.openIncidents': '{count} insiden {severity} masih berlangsung',
+  'health.reason.recentIncidents': '{count} insiden dibuka dalam {minutes} menit terakhir',
+  'health.reason.noMetrics': 'Belum ada sampel metrik untuk jalur {path}; skor hanya dari insiden.',
+  'healthUi.title': 'Kesehatan Sistem per Jalur',
+  'healthUi.score': 'Skor {score}',
+  'healthUi.trend': 'Tren {minutes} menit',
+  'healthUi.why': 'Mengapa status ini?',
+  'healthUi.allClear': 'Semua jalur dalam batas dan tidak ada insiden dalam jendela waktu.',
+  'healthUi.offline': 'Belum ada sampel metrik maupun insiden; jalankan pemindai ODAS atau daemon.',
+  'healthUi.loadFailed': 'Gagal memuat riwayat kesehatan: {error}',
+  'healthUi.settings': 'Pengaturan Model Kesehatan',
+  'healthUi.windowMinutes': 'Jendela waktu (menit)',
+  'healthUi.halfLifeMinutes': 'Half-life peluruhan (menit)',
+  'healthUi.fullHeadroom': 'Headroom sehat penuh (%)',
+  'healthUi.openIncidentLimit': 'Batas bobot insiden aktif',
+  'healthUi.recentIncidentLimit': 'Batas bobot insiden terbaru',
+  'healthUi.thresholdOptimal': 'Skor minimum optimal',
+  'healthUi.thresholdWarning': 'Skor minimum peringatan',
+  'healthUi.componentWeights': 'Bobot komponen',
+  'healthUi.pathWeights': 'Bobot jalur',
+  'healthUi.severityWeights': 'Bobot severity',
+  'healthUi.save': 'Simpan Pengaturan',
+
+  // Simulator skenario (scenarios.js)
+  'scenario.error.json': 'File skenario bukan JSON yang valid: {error}',
+  'scenario.error.notObject': 'File skenario harus berisi satu objek JSON.',
+  'scenario.error.unknownMetric': 'Metrik skenario tidak dikenal: {metric}.',
+  'scenario.error.stepMs': 'stepMs harus lebih dari 0.',
+  'scenario.error.steps': 'steps harus bilangan bulat positif atau null (tanpa batas).',
+  'scenario.error.model': 'Model {metric}: initial, mean, volatility, dan trend harus angka; volatility tidak boleh negatif.',
+  'scenario.error.reversion': 'Model {metric}: reversion harus di antara 0 dan 1.',
+  'scenario.error.bounds': 'Model {metric}: min/max harus angka atau null, dan min tidak boleh melebihi max.',
+  'scenario.error.seasonality': 'Model {metric}: seasonality membutuhkan amplitude dan periodSteps lebih dari 0.',
+  'scenario.error.correlation': 'Korelasi #{index} tidak valid: from dan to harus metrik berbeda, coefficient harus angka.',
+  'scenario.error.shock': 'Shock #{index} tidak valid: periksa metric, atStep, durationSteps, magnitude, shape (step/spike/ramp), dan everySteps (≥ durationSteps).',
+
+  // Korelasi antarjalur (correlation.js, CorrelationView.jsx)
+  'correlation.title': 'Korelasi & Dependensi Antarjalur',
+  'correlation.graph': 'Graf dependensi',
+  'correlation.graphHint': 'Panah = gangguan di hulu dapat memicu pelanggaran di hilir. Insiden satu aset yang dibuka dalam {minutes} menit dan terhubung panah digabung menjadi satu peristiwa. Node berwarna sedang melanggar.',
+  'correlation.events': 'Peristiwa terkorelasi',
+  'correlation.noEvents': 'Tidak ada intervensi yang berkorelasi dalam jendela waktu.',
+  'correlation.event': '{count} intervensi terkait · {severity}',
+  'correlation.suggestedRootCause': 'Saran akar masalah:',
+  'correlation.rootCause.lead': '{node}, mendahului {count} intervensi lain {seconds} dtk.',
+  'correlation.rootCause.upstream': '{node}, hulu dari {count} intervensi lain.',
+  'correlation.seconds': 'dtk',
+  'correlation.tag.rootCause': 'Akar masalah yang disarankan untuk {count} intervensi terkait',
+  'correlation.tag.related': 'Terkait: kemungkinan akibat gangguan {node} (+{count} intervensi)',
+  'correlation.settings': 'Pengaturan korelasi',
+  'correlation.windowMinutes': 'Jendela waktu (menit)',
+  'correlation.edges': 'Edge dependensi (hulu → hilir)',
+  'correlation.addEdge': 'Tambah edge',
+  'correlation.removeEdge': 'Hapus edge',
+  'correlation.save': 'Simpan pengaturan korelasi',
+  'correlation.edgeLabel': 'Edge {number}',
+  'correlation.error.window': 'Jendela waktu harus lebih dari 0 menit.',
+  'correlation.error.node': '{label}: node harus berupa jalur atau jalur/metrik yang dikenal.',
+  'correlation.error.selfLoop': '{label}: hulu dan hilir tidak boleh sama.',
+  'correlation.error.duplicate': '{label}: edge yang sama sudah ada.',
+
+  // Registry plugin jalur (paths.js)
+  'paths.error.id': "Plugin jalur harus memiliki id teks tanpa '/'.",
+  'paths.error.duplicate': 'Jalur {id} sudah terdaftar.',
+  'paths.error.metrics': 'Jalur {id}: minimal satu metrik wajib dideklarasikan.',
+  'paths.error.metricKey': 'Jalur {id}: kunci metrik tidak valid: {key}.',
+  'paths.error.metricDuplicate': 'Jalur {id}: metrik {key} sudah dipakai jalur lain.',
+  'paths.error.format': 'Jalur {id}: format metrik {key} harus salah satu dari {formats}.',
+  'paths.error.model': 'Jalur {id}: metrik {key} memerlukan model dengan nilai initial berupa angka.',
+  'paths.error.rulePath': 'Jalur {id}: aturan bawaan {rule} harus memakai path {id}.',
+  'paths.error.ruleDuplicate': 'Jalur {id}: id aturan {rule} sudah dipakai.',
+
+  // Rantai Finality Chronicle (chronicleChain.js)
+  'chronicleChain.title': 'Integritas Finality Chronicle',
+  'chronicleChain.description': 'Setiap intervensi baru dan setiap perubahan siklus hidupnya dirantai dengan hash ke rekaman sebelumnya; checkpoint ditandatangani oleh daemon.',
+  'chronicleChain.verify': 'Verifikasi rantai',
+  'chronicleChain.trustedKeysLabel': 'Kunci checkpoint tepercaya',
+  'chronicleChain.noTrustedKeys': 'Belum ada kunci tepercaya: setiap checkpoint dengan tanda tangan sah diterima.',
+  'chronicleChain.keyPlaceholder': 'keyId dari log daemon',
+  'chronicleChain.addKey': 'Percayai',
+  'chronicleChain.removeKey': 'Hapus kunci',
+  'chronicleChain.trustedKeys': 'Kunci tepercaya: {keys}',
+  'chronicleChain.ok': 'Rantai utuh: tidak ada rekaman yang diubah, diputus, atau dihapus.',
+  'chronicleChain.broken': 'Rantai rusak: {count} temuan.',
+  'chronicleChain.summary': '{checked} rekaman berantai diperiksa sampai #{lastSeq}; {verified} dari {total} checkpoint terverifikasi.',
+  'chronicleChain.unchained': '{count} intervensi lama tercatat sebelum rantai diaktifkan dan tidak ikut diverifikasi.',
+  'chronicleChain.firstIssue': 'Kerusakan pertama',
+  'chronicleChain.moreIssues': '+{count} temuan lain (lihat chronicleVerify.js --json).',
+  'chronicleChain.issue.changed': 'Rekaman {record} ({id}) diubah: isinya tidak lagi cocok dengan hash-nya.',
+  'chronicleChain.issue.changedField': 'Rekaman {record} ({id}) diubah: field {field} berbeda dari segel pembukaannya.',
+  'chronicleChain.issue.changedLifecycle': 'Insiden {id} diubah sesudah rekaman {record} tanpa dirantai: field {field} berbeda dari siklus hidup yang dirantai.',
+  'chronicleChain.issue.changedHead': 'Rekaman terakhir {record} ({id}) diganti: hash-nya tidak cocok dengan kepala rantai.',
+  'chronicleChain.issue.broken': 'Rantai putus di rekaman {record} ({id}): rekaman sebelumnya #{prevSeq} ({prevId}) diganti atau ditulis ulang.',
+  'chronicleChain.issue.removed': 'Rekaman {range} dihapus, di antara {prevId} dan {id}.',
+  'chronicleChain.issue.removedTail': 'Rekaman {range} di ujung rantai dihapus (setelah {prevId}).',
+  'chronicleChain.issue.duplicate': 'Nomor urut {record} dipakai dua kali ({otherId} dan {id}): rantai bercabang.',
+  'chronicleChain.issue.rewritten': 'Rekaman {range} ditulis ulang: hash-nya tidak cocok dengan checkpoint bertanda tangan {id}.',
+  'chronicleChain.issue.checkpoint.signature': 'Tanda tangan checkpoint {record} ({id}) tidak sah.',
+  'chronicleChain.issue.checkpoint.untrusted': 'Checkpoint {record} ({id}) ditandatangani kunci {keyId} yang tidak dipercaya.',
+  'chronicleChain.error.webCrypto': 'Web Crypto tidak tersedia untuk hash dan tanda tangan Finality Chronicle.',
+  'chronicleChain.error.verify': 'Verifikasi gagal: {error}',
+  'chronicleChain.cli.storage': 'Storage: {storage}',
+
+  // Maintenance windows & silences
+  'scan.result.suppressed': '({count} diredam)',
+  'silences.title': 'Jendela Pemeliharaan & Silence',
+  'silences.kind.maintenance': 'Pemeliharaan',
+  'silences.kind.silence': 'Silence',
+  'silences.error.kind': 'Jenis harus pemeliharaan atau silence.',
+  'silences.error.reason': 'Alasan wajib diisi.',
+  'silences.error.path': 'Cakupan berisi jalur yang tidak terdaftar.',
+  'silences.error.schedule': 'Jadwal tidak dikenal.',
+  'silences.error.range': 'Waktu mulai harus sebelum waktu selesai.',
+  'silences.error.past': 'Jendela sudah berakhir.',
+  'silences.error.cronKind': 'Jadwal berulang hanya untuk jendela pemeliharaan.',
+  'silences.error.cron': 'Ekspresi cron tidak valid: "{cron}" (lima field: menit jam tanggal bulan hari).',
+  'silences.error.duration': 'Durasi jendela harus 1 sampai {max} menit.',
+  'silences.error.offset': 'Zona waktu jadwal tidak valid.',
+  'silences.error.until': 'Batas akhir jadwal harus di masa depan.',
+  'silences.scope.all': 'Semua jalur, aset, dan aturan',
+  'silences.schedule.once': '{from} – {to}',
+  'silences.schedule.cron': 'cron "{cron}" selama {minutes} menit ({offset})',
+  'silences.schedule.until': 'sampai {until}',
+  'silences.tag.suppressedBy': 'Diredam {kind}: {reason}',
+  'silences.tag.suppressed': 'Diredam selama jendela pemeliharaan/silence',
+  'silences.active': 'Silence aktif ({count})',
+  'silences.none': 'Tidak ada jendela pemeliharaan atau silence aktif.',
+  'silences.upcoming': 'Pemeliharaan terjadwal',
+  'silences.activeUntil': 'Berlaku hingga {at}',
+  'silences.nextWindow': 'Berikutnya {from} – {to}',
+  'silences.createdBy': 'oleh {user}',
+  'silences.create': 'Buat silence',
+  'silences.end': 'Akhiri',
+  'silences.cancelSchedule': 'Batalkan',
+  'silences.reason': 'Alasan',
+  'silences.reasonPlaceholder': 'mis. migrasi database, insiden sudah ditangani',
+  'silences.rules': 'Aturan',
+  'silences.duration': 'Durasi',
+  'silences.durationOption': '{minutes} menit',
+  'silences.scheduleType': 'Jadwal',
+  'silences.scheduleType.once': 'Sekali',
+  'silences.scheduleType.cron': 'Berulang (cron)',
+  'silences.cron': 'Cron',
+  'silences.cronHint': 'menit jam tanggal bulan hari, mis. 0 2 * * 6 = Sabtu 02:00',
+  'silences.windowMinutes': 'Durasi jendela (menit)',
+  'silences.until': 'Berulang sampai (opsional)',
+  'silences.save': 'Simpan',
+  'silences.cancel': 'Batal',
+
+  // Breach forecasting
+  'severity.forecast': 'Prediksi',
+  'forecast.method.linear': 'Tren linear',
+  'forecast.error.method': 'Metode prakiraan harus salah satu dari: {methods}.',
+  'forecast.error.horizon': 'Horizon prakiraan harus lebih dari 0 menit.',
+  'forecast.error.season': 'Panjang musim harus 0 atau bilangan bulat 2–{max} sampel.',
+  'forecast.message': 'Prediksi: {metric} diperkirakan melewati {threshold} dalam ~{minutes} menit ({rule}).',
+  'forecast.eta': 'Prediksi melewati {threshold} dalam ~{minutes} menit',
+  'forecast.atThreshold': 'Sudah di batas {threshold}, menunggu konfirmasi aturan',
+  'forecast.clear': 'Tidak ada pelanggaran diprakirakan dalam {minutes} menit',
+  'scan.result.forecast': '({count} prediksi)',
+  'odas.forecast': 'Prediksi',
+  'odas.forecastHorizon': 'horizon',
+  'odas.card.forecastMethod': 'Model prakiraan: {method}',
+
+  // Rule versions
+  'rules.error.versionConflict': 'Nomor versi aturan terus bentrok dengan penyimpanan lain; muat ulang lalu coba lagi.',
+
+  // Daemon pemindai (odasDaemon.js)
+  'daemon.config.invalid': 'Konfigurasi daemon tidak valid:\n- {errors}',
+  'daemon.config.storageKind': 'storage.kind tidak dikenal: {kind}.',
+  'daemon.config.firebaseConfig': 'storage.firebaseConfig wajib diisi untuk Firestore live.',
+  'daemon.config.interval': 'intervalMs minimal 1000.',
+  'daemon.config.leaseTtl': 'leaseTtlMs harus lebih besar dari intervalMs.',
+  'daemon.config.checkpointEvery': 'chronicle.checkpointEvery harus bilangan bulat minimal 1.',
+  'daemon.config.checkpointInterval': 'chronicle.checkpointIntervalMinutes harus lebih besar dari 0.',
+  'daemon.config.noPlugin': 'modul tidak mengekspor plugin (export default).',
+  'daemon.log.connected': '{label} terhubung ke {kind} sebagai {userId}, ruang kerja {workspace} (pemegang {holderId}).',
+  'daemon.log.personalWorkspace': 'pribadi',
+  'daemon.log.paths': 'Jalur terdaftar: {paths}.',
+  'daemon.log.signingKey': 'Kunci checkpoint Finality Chronicle: {keyId} ({keyFile}).',
+  'daemon.log.offline': 'Backend tidak terjangkau ({error}), tulisan insiden diantrekan.',
+  'daemon.log.online': 'Backend terjangkau kembali, antrean dikirim.',
+  'daemon.log.rejected': '{count} tulisan insiden ditolak backend ({error}).',
+  'daemon.log.pendingResumed': '{count} tulisan insiden tertunda dari sesi sebelumnya, dikirim ulang.',
+  'daemon.log.chainBroken': 'Finality Chronicle rusak, checkpoint ditahan: {issue}',
+  'daemon.log.checkpointSigned': 'Checkpoint Finality Chronicle #{seq} ditandatangani ({keyId}).',
+  'daemon.log.leaseAcquired': 'Lease pemindai diperoleh, mulai memindai.',
+  'daemon.log.leaseLost': 'Lease pemindai dipegang pihak lain, berhenti memindai.',
+  'daemon.log.scanned': '{count} aset dipindai (aturan v{version}): {result}.',
+  'daemon.log.stopping': 'Berhenti ({reason}): menunggu siklus, antrean tulisan, notifikasi, dan playbook tertunda...',
+  'daemon.log.timeout': 'Batas waktu {ms} ms terlampaui, sebagian pekerjaan ditinggalkan.',
+  'daemon.log.pendingLeft': '{count} tulisan insiden tetap di {file} untuk dijalankan berikutnya.',
+  'daemon.log.leaseReleased': 'Lease pemindai dilepas.',
+};
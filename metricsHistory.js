@@ -0,0 +1,89 @@
+// --- ODAS METRIC TIME-SERIES ---
+//
+// Setiap sampel scan disimpan mentah (odas_metrics) dan di-rollup ke resolusi 1 menit
+// (odas_metrics_1m) dan 1 jam (odas_metrics_1h) agar rentang panjang tetap murah dibaca.
+// Dokumen rollup: { t: awal bucket (ms), count, sum: {metrik}, sumSq: {metrik}, min: {metrik}, max: {metrik} }
+// (sumSq dipakai anomalyDetection.js untuk mempelajari baseline musiman)
+
+import { PATH_METRIC_KEYS } from './paths.js';
+import { t } from './i18n.js';
+
+export const RESOLUTIONS = {
+  raw: { collection: 'odas_metrics', bucketMs: null },
+  '1m': { collection: 'odas_metrics_1m', bucketMs: 60 * 1000 },
+  '1h': { collection: 'odas_metrics_1h', bucketMs: 60 * 60 * 1000 },
+};
+
+// Rentang waktu di detail view dan resolusi yang dipakai untuk membacanya
+export const HISTORY_RANGES = {
+  '15m': { label: t('history.range.15m'), ms: 15 * 60 * 1000, resolution: 'raw' },
+  '1h': { label: t('history.range.1h'), ms: 60 * 60 * 1000, resolution: '1m' },
+  '24h': { label: t('history.range.24h'), ms: 24 * 60 * 60 * 1000, resolution: '1m' },
+  '7d': { label: t('history.range.7d'), ms: 7 * 24 * 60 * 60 * 1000, resolution: '1h' },
+};
+
+// Jumlah sampel terakhir yang ditampilkan sebagai sparkline di StatusCard
+export const SPARKLINE_POINTS = 30;
+
+export const bucketStart = (t, bucketMs) => Math.floor(t / bucketMs) * bucketMs;
+
+/**
+ * Menggabungkan satu sampel ke akumulator bucket rollup.
+ * @param {object|null} rollup - Akumulator bucket saat ini (null untuk bucket baru).
+ * @param {object} sample - Sampel metrik.
+ * @param {number} t - Waktu sampel (ms).
+ * @param {number} bucketMs - Ukuran bucket.
+ * @returns {object} - Akumulator baru.
+ */
+export const mergeIntoRollup = (rollup, sample, t, bucketMs) => {
+  const start = bucketStart(t, bucketMs);
+  const base = rollup && rollup.t === start
+    ? rollup
+    : { t: start, count: 0, sum: {}, min: {}, max: {} };
+  const next = { t: start, count: base.count + 1, sum: { ...base.sum }, min: { ...base.min }, max: { ...base.max } };
+  for (const key of PATH_METRIC_KEYS) {
+    const value = sample[key];
+    if (typeof value !== 'number') continue;
+    next.sum[key] = (next.sum[key] || 0) + value;
+    next.min[key] = next.min[key] === undefined ? value : Math.min(next.min[key], value);
+    next.max[key] = next.max[key] === undefined ? value : Math.max(next.max[key], value);
+  }
+  return next;
+};
+
+/**
+ * Mengubah dokumen mentah atau rollup menjadi titik grafik { t, value, min, max }.
+ * @param {object} record - Dokumen dari odas_metrics / odas_metrics_1m / odas_metrics_1h.
+ * @param {string} metric - Kunci metrik.
+ * @returns {object|null}
+ */
+export const toPoint = (record, metric) => {
+  if (record.sum) {
+    if (!record.count || typeof record.sum[metric] !== 'number') return null;
+    return {
+      t: record.t,
+      value: record.sum[metric] / record.count,
+      min: record.min ? record.min[metric] : undefined,
+      max: record.max ? record.max[metric] : undefined,
+    };
+  }
+  return typeof record[metric] === 'number' ? { t: record.t, value: record[metric] } : null;
+};
+
+export const toSeries = (records, metric) => records
+  .map(record => toPoint(record, metric))
+  .filter(Boolean)
+  .sort((a, b) => a.t - b.t);
+
+/**
+ * Mengubah dokumen rollup menjadi sampel rata-rata { t, ...metrik } (untuk replay rentang panjang).
+ * Dokumen mentah dikembalikan apa adanya.
+ */
+export const toSample = (record) => {
+  if (!record.sum) return record;
+  const sample = { t: record.t };
+  for (const key of PATH_METRIC_KEYS) {
+    if (record.count && typeof record.sum[key] === 'number') sample[key] = record.sum[key] / record.count;
+  }
+  return sample;
+};
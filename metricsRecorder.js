@@ -0,0 +1,64 @@
+// --- ODAS METRIC RECORDER ---
+//
+// Menulis sampel scan ke koleksi mentah dan memperbarui dokumen rollup per bucket.
+// count & sum memakai increment() sehingga tetap akurat walau panel dimuat ulang di tengah bucket;
+// min/max berasal dari akumulator lokal.
+// Setiap dokumen membawa assetId; rollup aset lokal bawaan tetap memakai id bucket lama (tanpa prefiks).
+
+import { fieldOps } from './storage.js';
+import { PATH_METRIC_KEYS } from './paths.js';
+import { RESOLUTIONS, mergeIntoRollup } from './metricsHistory.js';
+import { DEFAULT_ASSET_ID } from './assets.js';
+
+const rollupId = (assetId, t) => (assetId === DEFAULT_ASSET_ID ? String(t) : `${assetId}_${t}`);
+
+/**
+ * @param {object} repositories - { raw, '1m', '1h' } repository metrik per resolusi (storage.js).
+ * @returns {object} - { record(sample, t, assetId) }
+ */
+export const createMetricsRecorder = (repositories) => {
+  const accumulators = {};
+
+  return {
+    record: async (sample, t = Date.now(), assetId = DEFAULT_ASSET_ID) => {
+      await repositories.raw.add({ t, assetId, ...sample, createdAt: fieldOps.serverTimestamp() });
+
+      for (const resolution of ['1m', '1h']) {
+        const accumulatorKey = `${assetId}:${resolution}`;
+        const next = mergeIntoRollup(accumulators[accumulatorKey], sample, t, RESOLUTIONS[resolution].bucketMs);
+        accumulators[accumulatorKey] = next;
+        const sums = {};
+        const squares = {};
+        for (const key of PATH_METRIC_KEYS) {
+          if (typeof sample[key] !== 'number') continue;
+          sums[key] = fieldOps.increment(sample[key]);
+          squares[key] = fieldOps.increment(sample[key] * sample[key]);
+        }
+        await repositories[resolution].set(rollupId(assetId, next.t), {
+          t: next.t,
+          assetId,
+          count: fieldOps.increment(1),
+          sum: sums,
+          sumSq: squares,
+          min: next.min,
+          max: next.max,
+        }, { merge: true });
+      }
+    },
+  };
+};
+
+/**
+ * Membaca riwayat metrik sejak fromMs (diurutkan client-side oleh toSeries()).
+ * Filter aset dilakukan client-side agar query cukup memakai indeks field tunggal 't'.
+ * @param {object} repository - Repository resolusi yang dipilih.
+ * @param {number} fromMs - Batas awal rentang (epoch ms).
+ * @param {string} [assetId] - Hanya dokumen aset ini (dokumen lama tanpa assetId milik aset bawaan).
+ * @returns {Promise<object[]>}
+ */
+export const loadMetricHistory = async (repository, fromMs, assetId) => {
+  const records = await repository.list({ where: [['t', '>=', fromMs]] });
+  return records
+    .filter(record => !assetId || (record.assetId || DEFAULT_ASSET_ID) === assetId)
+    .map(({ id, ...data }) => data);
+};
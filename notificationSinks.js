@@ -0,0 +1,114 @@
+// --- ODAS LOCAL NOTIFICATION SINKS (NODE) ---
+//
+// Penerima lokal untuk menguji kanal notifikasi tanpa layanan eksternal:
+//   - webhook : http://localhost:8787/<apa saja>, memverifikasi X-ODAS-Signature bila ODAS_WEBHOOK_SECRET diisi
+//   - SMTP    : localhost:2525, menerima semua pesan dan mencetaknya
+// Penerima juga bisa mensimulasikan kegagalan: ?fail=503 pada URL webhook membalas dengan status tersebut.
+//
+// Jalankan: ODAS_WEBHOOK_SECRET=rahasia node notificationSinks.js
+// Lalu arahkan kanal ke http://localhost:8787/hook (webhook/slack/teams) atau host localhost port 2525 (email).
+
+import http from 'node:http';
+import net from 'node:net';
+import { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './notifications.js';
+
+const WEBHOOK_PORT = Number(process.env.ODAS_WEBHOOK_PORT || 8787);
+const SMTP_PORT = Number(process.env.ODAS_SMTP_PORT || 2525);
+const WEBHOOK_SECRET = process.env.ODAS_WEBHOOK_SECRET || '';
+
+/**
+ * Penerima webhook. onMessage(entry) dipanggil untuk setiap request yang diterima.
+ */
+export const startWebhookSink = ({ port = WEBHOOK_PORT, secret = WEBHOOK_SECRET, onMessage = () => {} } = {}) => {
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', async () => {
+      const url = new URL(request.url, `http://localhost:${port}`);
+      const fail = parseInt(url.searchParams.get('fail'), 10);
+      let verified = null;
+      if (secret) {
+        const timestamp = request.headers[TIMESTAMP_HEADER.toLowerCase()];
+        const signature = request.headers[SIGNATURE_HEADER.toLowerCase()];
+        verified = Boolean(timestamp && signature) && signature === await signPayload(body, secret, timestamp);
+      }
+      onMessage({ kind: 'webhook', path: url.pathname, verified, body });
+      if (fail >= 400) {
+        response.writeHead(fail).end();
+      } else if (verified === false) {
+        response.writeHead(401).end('invalid signature');
+      } else {
+        response.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+};
+
+/**
+ * SMTP sink: menjawab perintah dasar dan menyerahkan isi DATA ke onMessage(entry).
+ */
+export const startSmtpSink = ({ port = SMTP_PORT, onMessage = () => {} } = {}) => {
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let authStep = 0;
+    let envelope = { from: null, to: [] };
+    let data = [];
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 odas-sink ESMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            onMessage({ kind: 'email', ...envelope, message: data.join('\n') });
+            envelope = { from: null, to: [] };
+            data = [];
+            reply('250 OK queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        // AUTH LOGIN: username lalu password (base64), diterima apa saja
+        if (authStep > 0) {
+          authStep = authStep === 1 ? 2 : 0;
+          reply(authStep === 2 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+          continue;
+        }
+        const command = line.toUpperCase();
+        if (command.startsWith('EHLO') || command.startsWith('HELO')) reply('250-odas-sink\r\n250 AUTH LOGIN');
+        else if (command === 'AUTH LOGIN') { authStep = 1; reply('334 VXNlcm5hbWU6'); }
+        else if (command.startsWith('MAIL FROM:')) { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+        else if (command.startsWith('RCPT TO:')) { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+        else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+        else if (command === 'RSET' || command === 'NOOP') reply('250 OK');
+        else reply('502 Command not implemented');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+};
+
+const isMain = typeof process !== 'undefined' && process.argv[1] && import.meta.url.endsWith(process.argv[1].split('/').pop());
+
+if (isMain) {
+  const print = (entry) => console.log(JSON.stringify({ at: new Date().toISOString(), ...entry }, null, 2));
+  const servers = await Promise.all([
+    startWebhookSink({ onMessage: print }),
+    startSmtpSink({ onMessage: print }),
+  ]);
+  console.log(`Webhook sink: http://localhost:${WEBHOOK_PORT} (HMAC ${WEBHOOK_SECRET ? 'diverifikasi' : 'tidak diverifikasi'})`);
+  console.log(`SMTP sink: localhost:${SMTP_PORT}`);
+  process.on('SIGINT', () => {
+    servers.forEach(server => server.close());
+    process.exit(0);
+  });
+}
@@ -0,0 +1,385 @@
+// --- ODAS NOTIFICATION DISPATCHER ---
+//
+// Mengirim insiden baru atau tereskalasi ke kanal keluar agar operator tahu tanpa membuka tab ODAS.
+// Jenis kanal:
+//   - webhook : POST JSON generik, ditandatangani HMAC-SHA256 (header X-ODAS-Signature)
+//   - slack   : payload incoming-webhook Slack ({ text, blocks })
+//   - teams   : payload incoming-webhook Microsoft Teams (MessageCard)
+//   - email   : SMTP (hanya dari proses Node, lihat smtpTransport.js)
+// Setiap kanal punya rute (jalur + severity), batas laju, dan retry dengan backoff eksponensial.
+// Setiap percobaan kirim dicatat ke log pengiriman (koleksi odas_notification_log).
+// Teks pesan memakai locale proses pengirim (i18n.js); payload webhook generik juga membawa kode severity
+// serta messageKey/messageParams agar penerima bisa merender sendiri.
+//
+// Konfigurasi kanal (disimpan di odas_settings/notifications):
+// { id, name, type, enabled, url, secret, email: { host, port, secure, user, pass, from, to },
+//   routes: { paths: [], severities: [] }, rateLimit: { max, perMinutes } }
+
+import {
+  SEVERITY,
+  normalizeSeverity,
+  severityLabel,
+  describeBreach,
+} from './ruleEngine.js';
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { fieldOps } from './storage.js';
+import { t } from './i18n.js';
+
+export const CHANNEL_TYPES = {
+  webhook: { label: t('notifications.type.webhook'), needsUrl: true },
+  slack: { label: 'Slack Incoming Webhook', needsUrl: true },
+  teams: { label: 'Microsoft Teams Webhook', needsUrl: true },
+  email: { label: 'Email (SMTP)', needsUrl: false },
+};
+
+export const NOTIFICATION_EVENTS = {
+  OPENED: 'opened',
+  ESCALATED: 'escalated',
+  TEST: 'test',
+};
+
+export const NOTIFICATION_EVENT_LABELS = {
+  [NOTIFICATION_EVENTS.OPENED]: t('notifications.event.opened'),
+  [NOTIFICATION_EVENTS.ESCALATED]: t('notifications.event.escalated'),
+  [NOTIFICATION_EVENTS.TEST]: t('notifications.event.test'),
+};
+
+export const DELIVERY_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  RETRYING: 'retrying',
+  RATE_LIMITED: 'rate-limited',
+};
+
+export const DELIVERY_STATUS_LABELS = {
+  [DELIVERY_STATUS.SENT]: t('notifications.delivery.sent'),
+  [DELIVERY_STATUS.FAILED]: t('notifications.delivery.failed'),
+  [DELIVERY_STATUS.RETRYING]: t('notifications.delivery.retrying'),
+  [DELIVERY_STATUS.RATE_LIMITED]: t('notifications.delivery.rateLimited'),
+};
+
+// Rute bawaan: hanya insiden Kritis dan Darurat dari semua jalur
+export const DEFAULT_ROUTE_SEVERITIES = [SEVERITY.CRITICAL, SEVERITY.EMERGENCY];
+
+export const RETRY_POLICY = {
+  attempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+};
+
+export const SIGNATURE_HEADER = 'X-ODAS-Signature';
+export const TIMESTAMP_HEADER = 'X-ODAS-Timestamp';
+
+export const createBlankChannel = (index) => ({
+  id: `kanal-${index}`,
+  name: t('notifications.blankName', { index }),
+  type: 'webhook',
+  enabled: true,
+  url: '',
+  secret: '',
+  email: { host: 'localhost', port: 25, secure: false, user: '', pass: '', from: 'odas@localhost', to: '' },
+  routes: { paths: [], severities: [...DEFAULT_ROUTE_SEVERITIES] },
+  rateLimit: { max: 10, perMinutes: 1 },
+});
+
+/**
+ * Validasi satu kanal sebelum disimpan.
+ * @returns {string[]} - Daftar masalah (kosong bila valid).
+ */
+export const validateChannel = (channel) => {
+  const errors = [];
+  if (!channel.id || !/^[a-z0-9-]+$/.test(channel.id)) errors.push(t('notifications.error.id'));
+  if (!CHANNEL_TYPES[channel.type]) errors.push(t('notifications.error.type', { type: channel.type }));
+  if (CHANNEL_TYPES[channel.type] && CHANNEL_TYPES[channel.type].needsUrl && !/^https?:\/\//.test(channel.url || '')) {
+    errors.push(t('notifications.error.url'));
+  }
+  if (channel.type === 'email') {
+    const email = channel.email || {};
+    if (!email.host) errors.push(t('notifications.error.smtpHost'));
+    if (!email.from) errors.push(t('notifications.error.smtpFrom'));
+    if (!String(email.to || '').trim()) errors.push(t('notifications.error.smtpTo'));
+  }
+  const unknownPaths = ((channel.routes && channel.routes.paths) || []).filter(path => !RULE_PATHS.includes(path));
+  if (unknownPaths.length > 0) errors.push(t('notifications.error.paths', { paths: unknownPaths.join(', ') }));
+  const rateLimit = channel.rateLimit || {};
+  if (!(rateLimit.max >= 1) || !(rateLimit.perMinutes > 0)) errors.push(t('notifications.error.rateLimit'));
+  return errors;
+};
+
+/**
+ * Kanal yang menerima event ini: aktif, dan jalur serta severity insiden cocok dengan rutenya.
+ * Daftar rute kosong berarti semua. Rute lama dengan teks severity dinormalisasi ke kode.
+ */
+export const routeNotification = (channels, { incident }) => channels.filter((channel) => {
+  if (channel.enabled === false) return false;
+  const { paths = [], severities = [] } = channel.routes || {};
+  return (paths.length === 0 || paths.includes(incident.path))
+    && (severities.length === 0 || severities.map(normalizeSeverity).includes(normalizeSeverity(incident.severity)));
+});
+
+// --- PAYLOADS ---
+
+const describeEvent = ({ type, incident, assetName }) => {
+  const prefix = {
+    [NOTIFICATION_EVENTS.ESCALATED]: t('notifications.title.escalated', {
+      from: incident.escalatedFrom ? severityLabel(incident.escalatedFrom) : '?',
+      to: severityLabel(incident.severity),
+    }),
+    [NOTIFICATION_EVENTS.TEST]: t('notifications.title.test'),
+  }[type] || t('notifications.title.opened', { severity: severityLabel(incident.severity) });
+  const asset = assetName ? `${assetName} · ` : '';
+  return {
+    title: `[ODAS] ${prefix}: ${asset}${pathLabel(incident.path)}`,
+    text: describeBreach(incident),
+  };
+};
+
+const TEAMS_THEME_COLORS = {
+  [SEVERITY.EMERGENCY]: 'F97316',
+  [SEVERITY.CRITICAL]: 'DC2626',
+  [SEVERITY.WARNING]: 'FACC15',
+  [SEVERITY.FORECAST]: '818CF8',
+};
+
+/**
+ * Payload untuk jenis kanal tertentu.
+ * @param {string} type - Jenis kanal.
+ * @param {object} event - { type, incident, assetName, sentAt }
+ * @returns {object} - Objek JSON (webhook/slack/teams) atau { subject, text } (email).
+ */
+export const buildPayload = (type, event) => {
+  const { title, text } = describeEvent(event);
+  const { incident } = event;
+  switch (type) {
+    case 'slack':
+      return {
+        text: `${title}\n${text}`,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: title } },
+          { type: 'section', text: { type: 'mrkdwn', text } },
+          {
+            type: 'context',
+            elements: [{
+              type: 'mrkdwn',
+              text: t('notifications.payload.context', {
+                ruleId: incident.ruleId || '-',
+                status: incident.status || 'open',
+                id: incident.id || '-',
+              }),
+            }],
+          },
+        ],
+      };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: title,
+        themeColor: TEAMS_THEME_COLORS[normalizeSeverity(incident.severity)] || TEAMS_THEME_COLORS[SEVERITY.WARNING],
+        title,
+        sections: [{
+          text,
+          facts: [
+            { name: t('notifications.payload.path'), value: pathLabel(incident.path) },
+            { name: t('notifications.payload.severity'), value: severityLabel(incident.severity) },
+            { name: t('notifications.payload.rule'), value: incident.ruleId || '-' },
+            { name: t('notifications.payload.incident'), value: incident.id || '-' },
+          ],
+        }],
+      };
+    case 'email':
+      return {
+        subject: title,
+        text: [
+          text,
+          '',
+          `${t('notifications.payload.path')}: ${pathLabel(incident.path)}`,
+          `${t('notifications.payload.severity')}: ${severityLabel(incident.severity)}`,
+          `${t('notifications.payload.rule')}: ${incident.ruleId || '-'}`,
+          `${t('notifications.payload.incident')}: ${incident.id || '-'}`,
+          `${t('notifications.payload.time')}: ${new Date(event.sentAt).toISOString()}`,
+        ].join('\n'),
+      };
+    default:
+      return {
+        event: event.type,
+        sentAt: new Date(event.sentAt).toISOString(),
+        asset: event.assetName || null,
+        incident: {
+          id: incident.id || null,
+          assetId: incident.assetId || null,
+          ruleId: incident.ruleId || null,
+          path: incident.path,
+          severity: normalizeSeverity(incident.severity),
+          escalatedFrom: incident.escalatedFrom ? normalizeSeverity(incident.escalatedFrom) : null,
+          description: describeBreach(incident),
+          messageKey: incident.messageKey || null,
+          messageParams: incident.messageParams || null,
+          metric: incident.metric || null,
+          lastValue: typeof incident.lastValue === 'number' ? incident.lastValue : null,
+          status: incident.status || 'open',
+        },
+      };
+  }
+};
+
+// --- SIGNING ---
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * HMAC-SHA256 atas "<timestamp>.<body>" (Web Crypto; tersedia di browser dan Node 20).
+ * Penerima memverifikasi dengan menghitung ulang dan membandingkan header X-ODAS-Signature.
+ * @returns {Promise<string>} - 'sha256=<hex>'
+ */
+export const signPayload = async (body, secret, timestamp) => {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) throw new Error(t('notifications.error.webCrypto'));
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return `sha256=${toHex(signature)}`;
+};
+
+// --- TRANSPORTS ---
+
+/**
+ * Transport HTTP untuk webhook/slack/teams.
+ * @param {Function} [fetchImpl] - Implementasi fetch (default: globalThis.fetch).
+ */
+export const createHttpTransport = (fetchImpl) => async (channel, payload, sentAt) => {
+  const doFetch = fetchImpl || globalThis.fetch;
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (channel.type === 'webhook' && channel.secret) {
+    headers[TIMESTAMP_HEADER] = String(sentAt);
+    headers[SIGNATURE_HEADER] = await signPayload(body, channel.secret, sentAt);
+  }
+  const response = await doFetch(channel.url, { method: 'POST', headers, body });
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.statusCode = response.status;
+    // 4xx (selain 429) tidak akan berhasil bila diulang
+    error.retryable = response.status === 429 || response.status >= 500;
+    throw error;
+  }
+  return { statusCode: response.status };
+};
+
+// --- DELIVERY LOG ---
+
+// Dokumen pengaturan kanal di koleksi odas_settings
+export const NOTIFICATION_SETTINGS_DOC = 'notifications';
+
+/**
+ * Pencatat percobaan kirim ke repository notificationLog (storage.js).
+ * atMs dipakai untuk mengurutkan log client-side; at adalah waktu server.
+ */
+export const createDeliveryLog = (repository) => (entry) => repository.add({
+  ...entry,
+  atMs: Date.now(),
+  at: fieldOps.serverTimestamp(),
+});
+
+// --- RATE LIMIT & BACKOFF ---
+
+/**
+ * Batas laju jendela geser per kanal (state di memori proses pengirim).
+ */
+export const createRateLimiter = () => {
+  const sent = new Map();
+  return {
+    allow: (channel, now = Date.now()) => {
+      const { max = 10, perMinutes = 1 } = channel.rateLimit || {};
+      const windowStart = now - perMinutes * 60 * 1000;
+      const recent = (sent.get(channel.id) || []).filter(at => at > windowStart);
+      if (recent.length >= max) {
+        sent.set(channel.id, recent);
+        return false;
+      }
+      sent.set(channel.id, [...recent, now]);
+      return true;
+    },
+  };
+};
+
+export const backoffDelay = (attempt, policy = RETRY_POLICY) => Math.min(
+  policy.maxDelayMs,
+  policy.baseDelayMs * 2 ** (attempt - 1),
+);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {object} options
+ * @param {object} options.transports - { http(channel, payload, sentAt), smtp?(channel, payload) }
+ * @param {Function} options.log - Dipanggil untuk setiap percobaan: log(entry), boleh async. Tidak ditunggu: backend
+ *   yang offline baru menyelesaikan tulisan saat tersambung lagi, dan log yang gagal tidak boleh menggagalkan pengiriman.
+ * @param {object} [options.rateLimiter] - Hasil createRateLimiter() (dibagi antar dispatcher agar batas tetap berlaku).
+ * @param {object} [options.policy] - Kebijakan retry.
+ * @param {Function} [options.sleep] - Penunda antar percobaan (dapat diganti saat pengujian).
+ * @returns {object} - { dispatch(channels, event) -> Promise<entry terakhir per kanal> }
+ */
+export const createDispatcher = ({ transports, log, rateLimiter = createRateLimiter(), policy = RETRY_POLICY, sleep = wait }) => {
+  const record = (entry) => {
+    try {
+      Promise.resolve(log(entry)).catch(error => console.error("Failed to log notification delivery:", error));
+    } catch (error) {
+      console.error("Failed to log notification delivery:", error);
+    }
+  };
+
+  const deliver = async (channel, event) => {
+    const base = {
+      channelId: channel.id,
+      channelName: channel.name,
+      channelType: channel.type,
+      event: event.type,
+      incidentId: event.incident.id || null,
+      path: event.incident.path,
+      severity: normalizeSeverity(event.incident.severity),
+    };
+
+    if (!rateLimiter.allow(channel)) {
+      const entry = { ...base, attempt: 0, status: DELIVERY_STATUS.RATE_LIMITED, error: t('notifications.error.rateLimited') };
+      record(entry);
+      return entry;
+    }
+
+    const payload = buildPayload(channel.type, event);
+    for (let attempt = 1; attempt <= policy.attempts; attempt += 1) {
+      try {
+        const transport = channel.type === 'email' ? transports.smtp : transports.http;
+        if (!transport) {
+          const error = new Error(t('notifications.error.smtpNodeOnly'));
+          error.retryable = false;
+          throw error;
+        }
+        const result = await transport(channel, payload, event.sentAt);
+        const entry = { ...base, attempt, status: DELIVERY_STATUS.SENT, statusCode: result && result.statusCode ? result.statusCode : null };
+        record(entry);
+        return entry;
+      } catch (error) {
+        const retryable = error.retryable !== false && attempt < policy.attempts;
+        const entry = {
+          ...base,
+          attempt,
+          status: retryable ? DELIVERY_STATUS.RETRYING : DELIVERY_STATUS.FAILED,
+          statusCode: error.statusCode || null,
+          error: error.message,
+        };
+        record(entry);
+        if (!retryable) return entry;
+        await sleep(backoffDelay(attempt, policy));
+      }
+    }
+    return null;
+  };
+
+  return {
+    dispatch: (channels, event) => Promise.all(
+      routeNotification(channels, event).map(channel => deliver(channel, { sentAt: Date.now(), ...event })),
+    ),
+    deliver: (channel, event) => deliver(channel, { sentAt: Date.now(), ...event }),
+  };
+};
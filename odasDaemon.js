@@ -0,0 +1,516 @@
+// --- ODAS HEADLESS SCAN DAEMON (NODE) ---
+//
+// Menjalankan loop "Chronos Executor" tanpa browser, sehingga scan, pencatatan insiden, eskalasi,
+// notifikasi, dan playbook remediasi tetap berjalan walau tidak ada tab ODAS yang terbuka. Panel menjadi penampil
+// odas_scanner/status selama daemon memegang lease (scannerLease.js).
+//
+// Jalankan:  node odasDaemon.js --config odas.daemon.json [--once]
+//   --config  file konfigurasi JSON (atau env ODAS_DAEMON_CONFIG); lihat odas.daemon.example.json
+//   --once    satu siklus lalu berhenti (untuk cron atau uji cepat)
+//   env ODAS_LOCALE=id|en memilih bahasa deskripsi insiden dan isi notifikasi (bawaan: id)
+// config.scenarios { [assetId]: 'file.json' } mengganti sumber data aset dengan file skenario (scenarios.js),
+// sehingga latihan dan demo dapat diputar ulang persis; lihat odas.scenario.example.json.
+// config.pathPlugins ['./jalur-baru.js'] memuat plugin jalur tambahan (paths.js) sebelum skenario divalidasi;
+// export default modul berupa satu plugin atau daftar plugin.
+// SIGINT/SIGTERM menghentikan loop dengan rapi: menunggu siklus berjalan, antrean tulisan, notifikasi, dan run playbook
+// tertunda, melepas lease, lalu memutus sumber data. Sinyal kedua memaksa keluar. Run playbook yang
+// melewati shutdownTimeoutMs tetap tercatat 'running' di insidennya.
+// Tulisan insiden melewati outbox (outbox.js) yang disimpan di config.outboxFile: bila backend tidak terjangkau,
+// tulisan menunggu di file dan dikirim ulang dengan backoff, juga setelah daemon dijalankan ulang.
+// Langkah skrip playbook hanya dapat dijalankan di sini (sandbox node:vm, lihat playbookSandbox.js).
+// Daemon juga menjadi notaris Finality Chronicle (chronicleChain.js): setiap checkpointEvery rekaman baru atau
+// checkpointIntervalMinutes, segmen rantai sejak checkpoint terakhir diverifikasi lalu kepalanya ditandatangani dengan
+// kunci di config.chronicle.keyFile (dibuat saat pertama dijalankan), juga saat panel yang sedang memindai.
+// Daftarkan keyId yang dicatat saat start sebagai kunci tepercaya di GCP (Laporan); verifikasi: chronicleVerify.js.
+// Checkpoint terakhir hanya menjadi titik awal verifikasi bila ditandatangani kunci daemon ini atau kunci tepercaya;
+// checkpoint lain dilaporkan sebagai kerusakan dan penandatanganan ditahan.
+//
+// Backend 'memory' memakai file JSON (storage.memoryFile); lease di dalam file hanya melindungi
+// proses yang berbagi file tersebut. Untuk beberapa mesin gunakan 'firestore' atau 'emulator'.
+// storage.workspaceId memindai ruang kerja tim; akun daemon harus anggota dengan peran operator atau admin
+// (gabung lewat tautan undangan, lihat workspaces.js), kalau tidak firestore.rules menolak semua tulisan.
+
+import os from 'node:os';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createStorage, STORAGE_KINDS } from './storage.js';
+import { filePersistence, fileOutboxStore } from './storageFile.js';
+import { createOutbox } from './outbox.js';
+import { latestRuleVersion } from './ruleEngine.js';
+import { RULE_PATHS, DEFAULT_RULES, registerPathPlugin } from './paths.js';
+import { DEFAULT_ESCALATION_TIMEOUT_MINUTES, assetIdOf } from './incidents.js';
+import { createMetricsRecorder } from './metricsRecorder.js';
+import { ACTIVE_INCIDENTS_QUERY, toIncidentView } from './interventionLog.js';
+import {
+  createDispatcher,
+  createHttpTransport,
+  createDeliveryLog,
+  NOTIFICATION_SETTINGS_DOC,
+} from './notifications.js';
+import { smtpTransport } from './smtpTransport.js';
+import { PLAYBOOK_SETTINGS_DOC, createPlaybookRunner, createRemediator } from './playbooks.js';
+import { runScriptInSandbox } from './playbookSandbox.js';
+import {
+  SCAN_INTERVAL_MS,
+  createAssetViewState,
+  selectScanTargets,
+  syncAssetSources,
+  disconnectAssetSources,
+  loadAssetSeed,
+  applyAssetSeed,
+  runScanCycle,
+  describeScanResult,
+} from './scanCycle.js';
+import { LEASE_PRIORITY, acquireLease, releaseLease, writeScannerStatus } from './scannerLease.js';
+import { parseScenario } from './scenarios.js';
+import {
+  CHRONICLE_HEAD_DOC,
+  CHRONICLE_SETTINGS_DOC,
+  LATEST_CHECKPOINT_QUERY,
+  DEFAULT_CHECKPOINT_POLICY,
+  newerHead,
+  isCheckpointDue,
+  verifyChronicle,
+  describeChainIssue,
+  generateSigningKey,
+  signCheckpoint,
+  checkpointIssue,
+  checkpointDocId,
+} from './chronicleChain.js';
+import { silencesQuery } from './silences.js';
+import { FORECAST_SETTINGS_DOC, normalizeForecastConfig } from './forecasting.js';
+import { t } from './i18n.js';
+
+export const DEFAULT_DAEMON_CONFIG = {
+  label: `odas-daemon@${os.hostname()}`,
+  intervalMs: SCAN_INTERVAL_MS,
+  leaseTtlMs: SCAN_INTERVAL_MS * 3,
+  shutdownTimeoutMs: 10 * 1000,
+  // assetId -> file skenario JSON yang menggantikan sumber data aset tersebut
+  scenarios: {},
+  // Modul plugin jalur tambahan (paths.js)
+  pathPlugins: [],
+  // Antrean tulisan insiden yang belum terkirim (outbox.js)
+  outboxFile: './.odas/outbox.json',
+  // Checkpoint bertanda tangan Finality Chronicle
+  chronicle: {
+    keyFile: './.odas/chronicle-key.json',
+    checkpointEvery: DEFAULT_CHECKPOINT_POLICY.every,
+    checkpointIntervalMinutes: DEFAULT_CHECKPOINT_POLICY.intervalMinutes,
+  },
+  storage: {
+    kind: 'memory',
+    memoryFile: './.odas/store.json',
+    userId: 'local-operator',
+    appId: 'default-app-id',
+    firebaseConfig: {},
+    initialAuthToken: null,
+    emulatorHost: 'localhost:8080',
+    authEmulatorUrl: 'http://localhost:9099',
+    dataUserId: null,
+    workspaceId: null,
+  },
+};
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+/**
+ * Membaca dan memvalidasi konfigurasi daemon; field yang tidak diisi memakai DEFAULT_DAEMON_CONFIG.
+ * Plugin jalur didaftarkan di sini agar skenario yang memakai metrik plugin lolos validasi.
+ * @param {string} [filePath] - Lokasi file JSON (tanpa file: semua nilai bawaan).
+ * @returns {Promise<object>} - Konfigurasi lengkap.
+ */
+export const loadDaemonConfig = async (filePath) => {
+  const fromFile = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const config = {
+    ...DEFAULT_DAEMON_CONFIG,
+    ...fromFile,
+    storage: { ...DEFAULT_DAEMON_CONFIG.storage, ...(fromFile.storage || {}) },
+    chronicle: { ...DEFAULT_DAEMON_CONFIG.chronicle, ...(fromFile.chronicle || {}) },
+  };
+  const errors = [];
+  if (!STORAGE_KINDS[config.storage.kind]) errors.push(t('daemon.config.storageKind', { kind: config.storage.kind }));
+  if (config.storage.kind === 'firestore' && Object.keys(config.storage.firebaseConfig || {}).length === 0) {
+    errors.push(t('daemon.config.firebaseConfig'));
+  }
+  if (!(config.intervalMs >= 1000)) errors.push(t('daemon.config.interval'));
+  if (!(config.leaseTtlMs > config.intervalMs)) errors.push(t('daemon.config.leaseTtl'));
+  if (!(Number.isInteger(config.chronicle.checkpointEvery) && config.chronicle.checkpointEvery >= 1)) {
+    errors.push(t('daemon.config.checkpointEvery'));
+  }
+  if (!(config.chronicle.checkpointIntervalMinutes > 0)) errors.push(t('daemon.config.checkpointInterval'));
+  try {
+    await loadPathPlugins(config.pathPlugins);
+    scenarioOverrides(config.scenarios);
+  } catch (error) {
+    errors.push(error.message);
+  }
+  if (errors.length > 0) throw new Error(t('daemon.config.invalid', { errors: errors.join('\n- ') }));
+  return config;
+};
+
+/**
+ * Mengimpor dan mendaftarkan plugin jalur dari config.pathPlugins.
+ * @param {string[]} modulePaths - Lokasi modul, relatif terhadap direktori kerja.
+ * @returns {Promise<string[]>} - Id jalur yang didaftarkan.
+ */
+export const loadPathPlugins = async (modulePaths) => {
+  const registered = [];
+  for (const modulePath of modulePaths || []) {
+    try {
+      const plugins = [].concat((await import(pathToFileURL(path.resolve(modulePath)).href)).default || []);
+      if (plugins.length === 0) throw new Error(t('daemon.config.noPlugin'));
+      plugins.forEach(plugin => registered.push(registerPathPlugin(plugin).id));
+    } catch (error) {
+      throw new Error(`pathPlugins (${modulePath}): ${error.message}`);
+    }
+  }
+  return registered;
+};
+
+/**
+ * Override sumber data dari config.scenarios; setiap file dibaca dan divalidasi di sini.
+ * @param {object} scenarios - { [assetId]: lokasi file }
+ * @returns {object} - { [assetId]: { type: 'scenario', config: { text, fileName } } } untuk syncAssetSources()
+ */
+export const scenarioOverrides = (scenarios) => Object.fromEntries(Object.entries(scenarios || {}).map(([assetId, filePath]) => {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    parseScenario(text);
+    return [assetId, { type: 'scenario', config: { text, fileName: filePath } }];
+  } catch (error) {
+    throw new Error(`scenarios.${assetId} (${filePath}): ${error.message}`);
+  }
+}));
+
+/**
+ * Kunci penanda tangan checkpoint; dibuat sekali bila file belum ada, hanya dapat dibaca pemiliknya.
+ * @param {string} keyFile
+ * @returns {Promise<object>} - Hasil generateSigningKey().
+ */
+export const loadSigningKey = async (keyFile) => {
+  const resolved = path.resolve(keyFile);
+  if (fs.existsSync(resolved)) return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const key = await generateSigningKey();
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  fs.writeFileSync(resolved, JSON.stringify(key, null, 2), { mode: 0o600 });
+  return key;
+};
+
+// Subscription yang juga memberi tahu kapan snapshot pertama tiba
+const subscribeReady = (subscribe, onChange, label) => {
+  let markReady;
+  const ready = new Promise((resolve) => { markReady = resolve; });
+  const unsubscribe = subscribe((data) => {
+    onChange(data);
+    markReady();
+  }, (error) => {
+    console.error(`Failed to fetch ${label}:`, error);
+  });
+  return { ready, unsubscribe };
+};
+
+/**
+ * Menjalankan daemon sampai stop() dipanggil (atau satu siklus bila once).
+ * @param {object} config - Hasil loadDaemonConfig().
+ * @param {object} [options] - { once }
+ * @returns {Promise<object>} - { stop(reason), done }
+ */
+export const startDaemon = async (config, { once = false } = {}) => {
+  const storageConfig = config.storage.kind === 'memory'
+    ? { ...config.storage, persistence: filePersistence(config.storage.memoryFile) }
+    : config.storage;
+  const { backend, repositories, kind, userId, workspaceId } = await createStorage(storageConfig);
+  const holderId = `daemon-${os.hostname()}-${process.pid}`;
+  const sourceOverrides = scenarioOverrides(config.scenarios);
+  log(t('daemon.log.connected', {
+    label: config.label,
+    kind: STORAGE_KINDS[kind],
+    userId,
+    workspace: workspaceId || t('daemon.log.personalWorkspace'),
+    holderId,
+  }));
+  log(t('daemon.log.paths', { paths: RULE_PATHS.join(', ') }));
+  const signingKey = await loadSigningKey(config.chronicle.keyFile);
+  log(t('daemon.log.signingKey', { keyId: signingKey.keyId, keyFile: config.chronicle.keyFile }));
+
+  // Live view of everything the scan cycle reads
+  const live = {
+    assets: [],
+    ruleVersions: [],
+    incidents: [],
+    escalationTimeout: DEFAULT_ESCALATION_TIMEOUT_MINUTES,
+    channels: [],
+    playbooks: [],
+    silences: [],
+    forecastConfig: normalizeForecastConfig(),
+    chronicleHead: null,
+    lastCheckpoint: null,
+    trustedKeys: [],
+  };
+  const subscriptions = [
+    subscribeReady(repositories.assets.subscribe, (docs) => { live.assets = docs; }, 'strategic assets'),
+    subscribeReady(repositories.ruleVersions.subscribe, (docs) => { live.ruleVersions = docs; }, 'rule versions'),
+    subscribeReady((onChange, onError) => repositories.interventions.subscribe(onChange, onError, ACTIVE_INCIDENTS_QUERY), (docs) => {
+      live.incidents = docs.map(toIncidentView);
+    }, 'interventions'),
+    subscribeReady((onChange, onError) => repositories.settings.subscribeDoc('lifecycle', onChange, onError), (settings) => {
+      const timeout = settings ? settings.escalationTimeoutMinutes : null;
+      live.escalationTimeout = typeof timeout === 'number' ? timeout : DEFAULT_ESCALATION_TIMEOUT_MINUTES;
+    }, 'lifecycle settings'),
+    subscribeReady((onChange, onError) => repositories.settings.subscribeDoc(NOTIFICATION_SETTINGS_DOC, onChange, onError), (settings) => {
+      live.channels = settings && Array.isArray(settings.channels) ? settings.channels : [];
+    }, 'notification settings'),
+    subscribeReady((onChange, onError) => repositories.settings.subscribeDoc(PLAYBOOK_SETTINGS_DOC, onChange, onError), (settings) => {
+      live.playbooks = settings && Array.isArray(settings.playbooks) ? settings.playbooks : [];
+    }, 'playbooks'),
+    subscribeReady((onChange, onError) => repositories.silences.subscribe(onChange, onError, silencesQuery()), (docs) => {
+      live.silences = docs;
+    }, 'silences'),
+    subscribeReady((onChange, onError) => repositories.settings.subscribeDoc(FORECAST_SETTINGS_DOC, onChange, onError), (settings) => {
+      live.forecastConfig = normalizeForecastConfig(settings);
+    }, 'forecast settings'),
+    subscribeReady((onChange, onError) => repositories.scanner.subscribeDoc(CHRONICLE_HEAD_DOC, onChange, onError), (head) => {
+      live.chronicleHead = head;
+    }, 'chronicle head'),
+    subscribeReady((onChange, onError) => repositories.chronicleCheckpoints.subscribe(onChange, onError, LATEST_CHECKPOINT_QUERY), (docs) => {
+      live.lastCheckpoint = docs[0] || null;
+    }, 'chronicle checkpoints'),
+    subscribeReady((onChange, onError) => repositories.settings.subscribeDoc(CHRONICLE_SETTINGS_DOC, onChange, onError), (settings) => {
+      live.trustedKeys = settings && Array.isArray(settings.trustedKeys) ? settings.trustedKeys : [];
+    }, 'chronicle settings'),
+  ];
+  // Never scan against an empty incident list: it would reopen every active incident
+  await Promise.all(subscriptions.map(subscription => subscription.ready));
+
+  const metricsRecorder = createMetricsRecorder(repositories.metrics);
+  const outbox = createOutbox({ backend, store: fileOutboxStore(config.outboxFile) });
+  let lastOutbox = null;
+  const unsubscribeOutbox = outbox.subscribe((status) => {
+    if (lastOutbox && status.offline && !lastOutbox.offline) log(t('daemon.log.offline', { error: status.lastError }));
+    if (lastOutbox && !status.offline && lastOutbox.offline) log(t('daemon.log.online'));
+    if (status.failed > (lastOutbox ? lastOutbox.failed : 0)) log(t('daemon.log.rejected', { count: status.failed, error: status.lastError }));
+    lastOutbox = status;
+  });
+  await outbox.ready;
+  if (outbox.status().pending > 0) log(t('daemon.log.pendingResumed', { count: outbox.status().pending }));
+  const pendingSyncs = new Set();
+  const dispatcher = createDispatcher({
+    transports: { http: createHttpTransport(), smtp: smtpTransport },
+    log: createDeliveryLog(repositories.notificationLog),
+  });
+  const pendingNotifications = new Set();
+  const notify = (type, incident) => {
+    if (live.channels.length === 0) return;
+    const assetName = (live.assets.find(asset => asset.id === assetIdOf(incident)) || {}).name;
+    const delivery = dispatcher.dispatch(live.channels, { type, incident, assetName })
+      .catch(error => console.error("Failed to dispatch notification:", error))
+      .finally(() => pendingNotifications.delete(delivery));
+    pendingNotifications.add(delivery);
+  };
+
+  const sources = new Map();
+  const seeded = new Set();
+  let states = {};
+
+  const remediator = createRemediator({
+    repository: repositories.interventions,
+    runner: createPlaybookRunner({
+      runScript: runScriptInSandbox,
+      readSample: (assetId) => (states[assetId] ? states[assetId].pathData : null),
+    }),
+  });
+  const remediate = (incident) => remediator.remediate(incident, live.playbooks);
+  let sourceStatuses = {};
+  let leading = false;
+  // Chain head after this daemon's last cycle; the stored head may still lag behind it
+  let chronicleHead = null;
+
+  const checkpointPolicy = { every: config.chronicle.checkpointEvery, intervalMinutes: config.chronicle.checkpointIntervalMinutes };
+  let signedCheckpoint = null;
+  let heldAt = null;
+  const checkpointChronicle = async () => {
+    const head = newerHead(live.chronicleHead, chronicleHead);
+    const last = newerHead(live.lastCheckpoint, signedCheckpoint);
+    if (!isCheckpointDue(head, last, checkpointPolicy, Date.now())) return;
+    // A broken chain is reported once and checked again only after it grows
+    if (heldAt !== null && heldAt === head.seq) return;
+
+    // Only a checkpoint signed by this daemon or a trusted key anchors the segment; any other one is a break
+    const anchorIssue = last ? await checkpointIssue(last, [signingKey.keyId, ...live.trustedKeys]) : null;
+    const report = anchorIssue ? null : await verifyChronicle(repositories, { from: last });
+    if (anchorIssue || !report.ok) {
+      heldAt = head.seq;
+      log(t('daemon.log.chainBroken', { issue: describeChainIssue(anchorIssue || report.issues[0]) }));
+      return;
+    }
+    heldAt = null;
+    if (report.lastSeq <= (last ? last.seq : 0)) return;
+
+    const checkpoint = await signCheckpoint(signingKey, { seq: report.lastSeq, hash: report.lastHash });
+    signedCheckpoint = checkpoint;
+    const sync = outbox.enqueue([{
+      key: `checkpoint:${checkpoint.seq}`,
+      write: repositories.chronicleCheckpoints.setOp(checkpointDocId(checkpoint.seq), checkpoint),
+    }])
+      .then(() => log(t('daemon.log.checkpointSigned', { seq: checkpoint.seq, keyId: signingKey.keyId })))
+      .catch(error => console.error("Failed to write chronicle checkpoint:", error))
+      .finally(() => pendingSyncs.delete(sync));
+    pendingSyncs.add(sync);
+  };
+
+  const tick = async () => {
+    try {
+      await checkpointChronicle();
+    } catch (error) {
+      console.error("Failed to checkpoint chronicle:", error);
+    }
+
+    const acquired = await acquireLease(repositories.scanner, {
+      holderId,
+      label: config.label,
+      priority: LEASE_PRIORITY.daemon,
+      ttlMs: config.leaseTtlMs,
+    });
+    if (acquired !== leading) log(t(acquired ? 'daemon.log.leaseAcquired' : 'daemon.log.leaseLost'));
+    leading = acquired;
+    if (!leading) {
+      // A later takeover starts from history again, like a freshly opened panel
+      disconnectAssetSources(sources);
+      seeded.clear();
+      states = {};
+      chronicleHead = null;
+      return;
+    }
+
+    const targets = selectScanTargets(live.assets);
+    syncAssetSources(sources, targets, sourceOverrides, (assetId, status) => { sourceStatuses[assetId] = status; });
+    for (const asset of targets) {
+      if (seeded.has(asset.id)) continue;
+      seeded.add(asset.id);
+      states[asset.id] = applyAssetSeed(states[asset.id] || createAssetViewState(), await loadAssetSeed(repositories, asset.id));
+    }
+
+    const activeVersion = latestRuleVersion(live.ruleVersions);
+    const scannedAt = Date.now();
+    const result = await runScanCycle({
+      repositories,
+      metricsRecorder,
+      targets,
+      sources,
+      states,
+      rules: activeVersion ? activeVersion.rules : DEFAULT_RULES,
+      incidents: live.incidents,
+      outbox,
+      escalationTimeout: live.escalationTimeout,
+      silences: live.silences,
+      forecastConfig: live.forecastConfig,
+      chronicleHead: newerHead(live.chronicleHead, chronicleHead),
+      notify,
+      remediate,
+      now: scannedAt,
+    });
+    states = { ...states, ...result.states };
+    chronicleHead = result.chronicleHead;
+    const sync = result.synced.finally(() => pendingSyncs.delete(sync));
+    pendingSyncs.add(sync);
+    sourceStatuses = { ...sourceStatuses, ...result.sourceStatuses };
+
+    await writeScannerStatus(repositories.scanner, {
+      holderId,
+      label: config.label,
+      scannedAt,
+      breachCount: result.breachCount,
+      suppressedCount: result.suppressedCount,
+      forecastCount: result.forecastCount,
+      states: Object.fromEntries(targets.filter(asset => states[asset.id]).map(asset => [asset.id, states[asset.id]])),
+      sourceStatuses,
+    });
+    log(t('daemon.log.scanned', {
+      count: targets.length,
+      version: activeVersion ? activeVersion.version : 0,
+      result: describeScanResult(result.breachCount, result.suppressedCount, result.forecastCount),
+    }));
+  };
+
+  let timer = null;
+  let running = null;
+  let stopping = false;
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+
+  const schedule = () => {
+    if (stopping) return;
+    running = tick()
+      .catch(error => console.error("Failed to run scan cycle:", error))
+      .finally(() => {
+        running = null;
+        if (once) stop('--once');
+        else if (!stopping) timer = setTimeout(schedule, config.intervalMs);
+      });
+  };
+
+  const stop = async (reason) => {
+    if (stopping) return done;
+    stopping = true;
+    log(t('daemon.log.stopping', { reason }));
+    clearTimeout(timer);
+    const drain = (async () => {
+      if (running) await running;
+      await Promise.allSettled([...pendingSyncs]);
+      await Promise.allSettled([...pendingNotifications, ...remediator.pending()]);
+    })();
+    const timedOut = await Promise.race([
+      drain.then(() => false),
+      new Promise(resolve => setTimeout(() => resolve(true), config.shutdownTimeoutMs).unref()),
+    ]);
+    if (timedOut) log(t('daemon.log.timeout', { ms: config.shutdownTimeoutMs }));
+    if (outbox.status().pending > 0) log(t('daemon.log.pendingLeft', { count: outbox.status().pending, file: config.outboxFile }));
+    unsubscribeOutbox();
+    outbox.close();
+    try {
+      if (await releaseLease(repositories.scanner, holderId)) log(t('daemon.log.leaseReleased'));
+    } catch (error) {
+      console.error("Failed to release scanner lease:", error);
+    }
+    disconnectAssetSources(sources);
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    finish();
+    return done;
+  };
+
+  schedule();
+  return { stop, done };
+};
+
+const readArgument = (name) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const isMain = typeof process !== 'undefined' && process.argv[1] && import.meta.url.endsWith(process.argv[1].split('/').pop());
+
+if (isMain) {
+  let daemon;
+  try {
+    const config = await loadDaemonConfig(readArgument('--config') || process.env.ODAS_DAEMON_CONFIG);
+    daemon = await startDaemon(config, { once: process.argv.includes('--once') });
+  } catch (error) {
+    console.error("Failed to start ODAS daemon:", error.message);
+    process.exit(1);
+  }
+
+  let signals = 0;
+  const onSignal = (signal) => {
+    signals += 1;
+    if (signals > 1) process.exit(1);
+    daemon.stop(signal);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  await daemon.done;
+  // Firebase listeners and file watchers keep the event loop alive
+  process.exit(0);
+}
@@ -0,0 +1,19 @@
+import { evaluateRules } from './ruleEngine.js';
+import { DEFAULT_RULES } from './paths.js';
+
+// --- ODAS LOGIC CORE: ORCHESTRATION ---
+
+/**
+ * Fungsi inti ODAS: Mengorkestrasi kontrol seluruh jalur digital.
+ * Batas kritis tidak lagi di-hardcode; aturan dievaluasi oleh ruleEngine.js.
+ * Murni (tanpa I/O) sehingga dapat dipakai ulang oleh panel dan mode replay/backtest.
+ * @param {object} pathData - Data real-time dari setiap jalur digital.
+ * @param {object[]} rules - Set aturan intervensi aktif.
+ * @param {object} ruleState - State durasi/hysteresis aturan dari scan sebelumnya.
+ * @param {object} deviations - Deviasi dari baseline statistik (anomalyDetection.js).
+ * @returns {object} - Status orkestrasi dan intervensi yang terdeteksi.
+ */
+export const orchestrateControl = (pathData, rules = DEFAULT_RULES, ruleState = {}, deviations = {}) => {
+  const { breaches, state } = evaluateRules(rules, pathData, ruleState, deviations);
+  return { interventions: breaches, ruleState: state };
+};
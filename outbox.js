@@ -0,0 +1,345 @@
+// --- ODAS WRITE OUTBOX ---
+//
+// Antrean tulisan intervensi yang tahan putus koneksi: siklus scan hanya memasukkan tulisan ke antrean
+// (tanpa menunggu), lalu outbox mengirimnya dalam batch atomik (backend.commit) dan mencoba ulang dengan
+// backoff eksponensial sampai berhasil.
+//   - Persisten: IndexedDB di browser, file JSON di Node (storageFile.js), atau memori.
+//   - Idempoten: setiap tulisan membawa kunci idempotensi. Insiden baru memakai id dokumen deterministik
+//     (openIncidentId) dan hanya ditulis bila dokumennya belum ada ('create'), dan pembaruan menulis nilai absolut,
+//     sehingga mengirim ulang batch yang sebenarnya sudah diterapkan (mis. proses berhenti sebelum entri dihapus,
+//     atau tab lain) tidak menggandakan data maupun mengembalikan insiden ke keadaan pembukaannya.
+//     Tulisan tertunda dengan kunci yang sama digabung.
+//   - Urutan dijaga: batch selalu diambil dari kepala antrean, jadi pembaruan tidak mendahului dokumennya.
+//   - Kegagalan permanen (mis. permission-denied) tidak memblokir antrean: batch dipecah per tulisan dan
+//     tulisan yang tetap ditolak dipindah ke daftar gagal.
+// Kontrak store: load() -> Promise<entry[]>, put(entries) -> Promise, remove(ids) -> Promise.
+
+import { fieldOps, isFieldOp } from './storage.js';
+
+// Firestore membatasi 500 tulisan per batch
+export const OUTBOX_BATCH_SIZE = 400;
+
+export const OUTBOX_BACKOFF = {
+  baseMs: 2 * 1000,
+  maxMs: 5 * 60 * 1000,
+};
+
+// Commit yang menggantung (mis. Firestore offline) dianggap gagal dan dicoba ulang
+export const OUTBOX_COMMIT_TIMEOUT_MS = 15 * 1000;
+
+// Kode galat Firestore yang tidak akan berhasil bila dicoba ulang
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument', 'not-found', 'failed-precondition', 'already-exists', 'unauthenticated'];
+
+export const isPermanentWriteError = (error) => Boolean(error && PERMANENT_ERROR_CODES.includes(error.code));
+
+export const outboxBackoffMs = (attempts) => Math.min(OUTBOX_BACKOFF.maxMs, OUTBOX_BACKOFF.baseMs * 2 ** Math.max(0, attempts - 1));
+
+// Nama antrean per backend + ruang kerja, agar tulisan tertunda tidak terkirim ke ruang kerja lain
+export const outboxName = (storage) => `${storage.kind}:${storage.repositories.interventions.name}`;
+
+// --- STORES ---
+
+export const memoryOutboxStore = () => {
+  const entries = new Map();
+  return {
+    load: async () => [...entries.values()],
+    put: async (items) => items.forEach(entry => entries.set(entry.id, entry)),
+    remove: async (ids) => ids.forEach(id => entries.delete(id)),
+  };
+};
+
+const OUTBOX_DB = 'odas-outbox';
+const OUTBOX_STORE = 'entries';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Store IndexedDB: satu record per tulisan (dengan indeks per antrean), sehingga beberapa tab yang berbagi
+ * antrean tidak saling menimpa. Tab lain yang ikut mengirim tulisan yang sama aman karena tulisannya idempoten.
+ * @param {string} name - Hasil outboxName().
+ * @param {object} [indexedDB]
+ */
+export const indexedDbOutboxStore = (name, indexedDB = globalThis.indexedDB) => {
+  let opening = null;
+  const open = () => {
+    if (!opening) {
+      const request = indexedDB.open(OUTBOX_DB, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        store.createIndex('queue', 'queue');
+      };
+      opening = requestToPromise(request);
+    }
+    return opening;
+  };
+  const transaction = async (mode, fn) => {
+    const db = await open();
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const result = fn(tx.objectStore(OUTBOX_STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  };
+
+  return {
+    load: async () => {
+      let request;
+      await transaction('readonly', (store) => {
+        request = store.index('queue').getAll(name);
+      });
+      return request.result.map(({ queue, ...entry }) => entry);
+    },
+    put: (items) => transaction('readwrite', (store) => items.forEach(entry => store.put({ ...entry, queue: name }))),
+    remove: (ids) => transaction('readwrite', (store) => ids.forEach(id => store.delete(id))),
+  };
+};
+
+// Store bawaan untuk panel: IndexedDB bila tersedia, selain itu memori (antrean hilang saat halaman ditutup)
+export const browserOutboxStore = (name) => (typeof globalThis.indexedDB !== 'undefined'
+  ? indexedDbOutboxStore(name)
+  : memoryOutboxStore());
+
+// --- COALESCING ---
+
+// Two pending patches for the same document collapse into one; arrayUnion items accumulate
+const mergePatch = (earlier, later) => {
+  const merged = { ...earlier };
+  for (const [field, value] of Object.entries(later)) {
+    const previous = merged[field];
+    if (isFieldOp(value) && value.__op === 'arrayUnion' && isFieldOp(previous) && previous.__op === 'arrayUnion') {
+      merged[field] = fieldOps.arrayUnion(...previous.items, ...value.items);
+    } else if (isFieldOp(value) && value.__op === 'increment' && isFieldOp(previous) && previous.__op === 'increment') {
+      merged[field] = fieldOps.increment(previous.amount + value.amount);
+    } else {
+      merged[field] = value;
+    }
+  }
+  return merged;
+};
+
+const coalesce = (earlier, later) => (later.type === 'update' && earlier.type === 'update'
+  ? { ...later, data: mergePatch(earlier.data, later.data) }
+  : later);
+
+// Pending timestamp as seen by readers before the server assigns one (same shape as memoryTimestamp)
+export const pendingTimestamp = (ms) => ({
+  seconds: Math.floor(ms / 1000),
+  toMillis: () => ms,
+  toDate: () => new Date(ms),
+});
+
+/**
+ * Nilai dokumen setelah tulisan tertunda diterapkan secara lokal (untuk tampilan dan scan berikutnya).
+ * @param {object|null} current - Data dokumen saat ini.
+ * @param {object} entry - Entri outbox.
+ * @returns {object}
+ */
+export const applyPendingWrite = (current, { write, enqueuedAt }) => {
+  if (write.type === 'create' && current) return current;
+  const next = write.type === 'update' || (write.options && write.options.merge) ? { ...(current || {}) } : {};
+  for (const [field, value] of Object.entries(write.data)) {
+    if (!isFieldOp(value)) {
+      next[field] = value;
+      continue;
+    }
+    switch (value.__op) {
+      case 'serverTimestamp': next[field] = pendingTimestamp(enqueuedAt); break;
+      case 'increment': next[field] = (typeof next[field] === 'number' ? next[field] : 0) + value.amount; break;
+      case 'arrayUnion': next[field] = [...(Array.isArray(next[field]) ? next[field] : []), ...value.items]; break;
+      default: break;
+    }
+  }
+  return next;
+};
+
+// --- OUTBOX ---
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`Commit melewati ${ms} ms.`), { code: 'deadline-exceeded' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.backend - Backend storage.js (memakai commit(writes)).
+ * @param {object} options.store - memoryOutboxStore() / indexedDbOutboxStore() / fileOutboxStore().
+ * @param {number} [options.commitTimeoutMs]
+ * @returns {object} - { ready, enqueue(items) -> Promise (selesai saat semua item terkirim), flush(), pending(),
+ *   status(), subscribe(listener), close() }; items: [{ key, write }] dengan write dari repository.setOp()/updateOp()/createOp().
+ */
+export const createOutbox = ({ backend, store, commitTimeoutMs = OUTBOX_COMMIT_TIMEOUT_MS }) => {
+  let entries = [];
+  let failed = [];
+  let seq = 0;
+  let attempts = 0;
+  let lastError = null;
+  let lastSyncAt = null;
+  let isolate = false;
+  let flushing = null;
+  let retryTimer = null;
+  let closed = false;
+  const inFlight = new Set();
+  const waiters = new Map();
+  const listeners = new Set();
+
+  const status = () => ({
+    pending: entries.length,
+    failed: failed.length,
+    // Transient failures only: a rejected write is not a connectivity problem
+    offline: attempts > 0 && !isPermanentWriteError(lastError),
+    lastError: lastError ? lastError.message : null,
+    lastSyncAt,
+    retryAt: retryTimer ? retryTimer.at : null,
+  });
+
+  const emit = () => {
+    const snapshot = status();
+    listeners.forEach(listener => listener(snapshot));
+  };
+
+  const settle = (ids, error) => {
+    for (const id of ids) {
+      const waiter = waiters.get(id);
+      if (!waiter) continue;
+      waiters.delete(id);
+      waiter.forEach(({ resolve, reject }) => (error ? reject(error) : resolve()));
+    }
+  };
+
+  const scheduleRetry = (delayMs) => {
+    clearTimeout(retryTimer && retryTimer.handle);
+    if (closed) return;
+    retryTimer = { at: Date.now() + delayMs, handle: setTimeout(() => { retryTimer = null; flush(); }, delayMs) };
+  };
+
+  const commitBatch = async (batch) => {
+    batch.forEach(entry => inFlight.add(entry.id));
+    try {
+      await withTimeout(backend.commit(batch.map(entry => entry.write)), commitTimeoutMs);
+      const ids = batch.map(entry => entry.id);
+      entries = entries.filter(entry => !ids.includes(entry.id));
+      await store.remove(ids).catch(error => console.error("Failed to update outbox store:", error));
+      attempts = 0;
+      lastError = null;
+      lastSyncAt = Date.now();
+      settle(ids, null);
+      return true;
+    } catch (error) {
+      lastError = error;
+      if (isPermanentWriteError(error)) {
+        if (batch.length > 1) {
+          // Find the rejected write by sending the batch one write at a time
+          isolate = true;
+          return true;
+        }
+        const [entry] = batch;
+        console.error(`Outbox write ${entry.key} rejected permanently:`, error);
+        entries = entries.filter(item => item.id !== entry.id);
+        failed = [...failed, { ...entry, error: error.message }];
+        await store.remove([entry.id]).catch(storeError => console.error("Failed to update outbox store:", storeError));
+        settle([entry.id], error);
+        return true;
+      }
+      attempts += 1;
+      scheduleRetry(outboxBackoffMs(attempts));
+      return false;
+    } finally {
+      batch.forEach(entry => inFlight.delete(entry.id));
+    }
+  };
+
+  const drain = async () => {
+    while (entries.length > 0 && !closed) {
+      const batch = entries.slice(0, isolate ? 1 : OUTBOX_BATCH_SIZE);
+      const progressed = await commitBatch(batch);
+      emit();
+      if (!progressed) return;
+      if (isolate && batch.length === 1 && lastError === null) isolate = false;
+    }
+  };
+
+  /**
+   * Mengirim antrean sekarang (mis. saat koneksi kembali); pemanggilan bersamaan berbagi satu pengiriman.
+   * @returns {Promise}
+   */
+  const flush = () => {
+    if (!flushing) {
+      clearTimeout(retryTimer && retryTimer.handle);
+      retryTimer = null;
+      flushing = drain().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  const ready = store.load()
+    .then((loaded) => {
+      entries = [...loaded, ...entries].sort((a, b) => a.seq - b.seq);
+      seq = entries.reduce((max, entry) => Math.max(max, entry.seq), seq);
+      emit();
+      if (entries.length > 0) flush();
+    })
+    .catch(error => console.error("Failed to load outbox:", error));
+
+  const enqueue = async (items) => {
+    if (items.length === 0) return;
+    await ready;
+    const now = Date.now();
+    const touched = [];
+    for (const { key, write } of items) {
+      // Merge into a pending write with the same key, unless that one is already on its way
+      const existing = entries.find(entry => entry.key === key && !inFlight.has(entry.id));
+      if (existing) {
+        Object.assign(existing, { write: coalesce(existing.write, write) });
+        if (!touched.includes(existing)) touched.push(existing);
+        continue;
+      }
+      seq += 1;
+      const entry = { id: `${key}#${seq}`, key, seq, write, enqueuedAt: now };
+      entries.push(entry);
+      touched.push(entry);
+    }
+    await store.put(touched).catch(error => console.error("Failed to persist outbox:", error));
+    emit();
+
+    const committed = Promise.all(touched.map(entry => new Promise((resolve, reject) => {
+      waiters.set(entry.id, [...(waiters.get(entry.id) || []), { resolve, reject }]);
+    })));
+    // A scheduled retry keeps its backoff; otherwise send right away
+    if (!retryTimer) flush();
+    return committed;
+  };
+
+  const handleOnline = () => flush();
+  if (typeof window !== 'undefined' && window.addEventListener) window.addEventListener('online', handleOnline);
+
+  return {
+    ready,
+    enqueue,
+    flush,
+    pending: () => entries.map(entry => ({ ...entry })),
+    failed: () => failed.map(entry => ({ ...entry })),
+    status,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(status());
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer && retryTimer.handle);
+      retryTimer = null;
+      if (typeof window !== 'undefined' && window.removeEventListener) window.removeEventListener('online', handleOnline);
+    },
+  };
+};
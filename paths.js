@@ -0,0 +1,157 @@
+// --- ODAS PATH PLUGIN REGISTRY ---
+//
+// Setiap jalur digital adalah plugin; loop scan, evaluasi aturan, simulator, kesehatan, dan kedua panel membaca
+// jalur dan metrik dari registry ini, sehingga menambah jalur tidak lagi menyentuh orchestrateControl atau panel.
+// Bentuk plugin:
+//   {
+//     id: 'Kepatuhan',               // nilai jalur yang tersimpan di aturan dan insiden
+//     label: 'Kepatuhan',            // opsional, bawaan: kunci katalog 'path.<id>', lalu id
+//     icon: 'ShieldCheck',           // nama ikon lucide-react untuk kartu panel
+//     metrics: [{
+//       key: 'complianceViolationRate',  // kunci metrik di sampel sumber data, unik di semua jalur
+//       label,                       // opsional, bawaan: kunci katalog 'metric.<key>', lalu key
+//       format: 'pct1',              // NUMBER_FORMATS (i18n.js), sekaligus satuan tampilan: pct0/pct1 = rasio 0..1
+//                                    // ditampilkan sebagai %, usd, ms, num, int; dipakai kartu, grafik, dan pesan
+//       optional: true,              // sampel tanpa metrik ini tetap valid (normalizeSample)
+//       model: { initial, mean, reversion, volatility, ... },  // sumber data simulasi (scenarios.js)
+//     }],
+//     rules: [...],                  // pemeriksaan bawaan, masuk ke DEFAULT_RULES (set aturan versi 0)
+//   }
+// Sumber data nyata (HTTP, WebSocket, replay) cukup menyertakan kunci metrik plugin di sampelnya.
+// Jalur bawaan ada di builtinPaths.js. Plugin tambahan didaftarkan dengan registerPathPlugin() sebelum panel
+// dirender atau daemon mulai (config.pathPlugins di odasDaemon.js); konstanta di bawah diperbarui di tempat
+// sehingga modul yang sudah mengimpornya ikut melihat jalur baru.
+
+import { BUILTIN_PATH_PLUGINS } from './builtinPaths.js';
+import { t, locale, messageTemplates, NUMBER_FORMATS } from './i18n.js';
+
+// Plugin terdaftar, dalam urutan pendaftaran
+export const PATH_PLUGINS = [];
+
+// Nilai jalur adalah pengenal tersimpan; teks tampilannya ada di RULE_PATH_LABELS
+export const RULE_PATHS = [];
+
+export const RULE_PATH_LABELS = {};
+
+// Metrik yang disediakan sumber data, dalam urutan jalur
+export const PATH_METRIC_KEYS = [];
+
+// Format tampilan per metrik
+export const METRIC_FORMATS = {};
+
+// Model simulator bawaan per metrik; kuncinya sama dengan PATH_METRIC_KEYS
+export const DEFAULT_METRIC_MODELS = {};
+
+// Set aturan awal (versi 0): gabungan pemeriksaan bawaan semua plugin
+export const DEFAULT_RULES = [];
+
+// Model untuk plugin yang hanya menyebut sebagian parameter: tetap di nilai awal tanpa derau
+const BASE_METRIC_MODEL = { reversion: 0.1, volatility: 0, trend: 0, min: null, max: null, seasonality: null };
+
+const catalogLabel = (key, fallback) => (messageTemplates(key).length > 0 ? t(key) : fallback);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * @param {object} plugin - Plugin jalur (lihat bentuk di atas).
+ * @returns {string[]} - Pesan kesalahan (kosong = valid).
+ */
+export const validatePathPlugin = (plugin) => {
+  const errors = [];
+  if (!plugin || typeof plugin.id !== 'string' || plugin.id.trim() === '' || plugin.id.includes('/')) {
+    return [t('paths.error.id')];
+  }
+  const { id } = plugin;
+  if (RULE_PATHS.includes(id)) errors.push(t('paths.error.duplicate', { id }));
+  if (!Array.isArray(plugin.metrics) || plugin.metrics.length === 0) {
+    errors.push(t('paths.error.metrics', { id }));
+    return errors;
+  }
+  const seen = new Set();
+  plugin.metrics.forEach((metric) => {
+    const key = metric && metric.key;
+    if (typeof key !== 'string' || !/^\w+$/.test(key)) {
+      errors.push(t('paths.error.metricKey', { id, key: String(key) }));
+      return;
+    }
+    if (PATH_METRIC_KEYS.includes(key) || seen.has(key)) errors.push(t('paths.error.metricDuplicate', { id, key }));
+    seen.add(key);
+    if (metric.format !== undefined && !NUMBER_FORMATS.includes(metric.format)) {
+      errors.push(t('paths.error.format', { id, key, formats: NUMBER_FORMATS.join(', ') }));
+    }
+    if (!metric.model || !isNumber(metric.model.initial)) errors.push(t('paths.error.model', { id, key }));
+  });
+  (plugin.rules || []).forEach((rule) => {
+    if (!rule || rule.path !== id) errors.push(t('paths.error.rulePath', { id, rule: rule && rule.id }));
+    else if (DEFAULT_RULES.some(existing => existing.id === rule.id)) errors.push(t('paths.error.ruleDuplicate', { id, rule: rule.id }));
+  });
+  return errors;
+};
+
+/**
+ * Mendaftarkan satu jalur digital.
+ * @param {object} plugin - Plugin jalur.
+ * @returns {object} - Plugin ternormalisasi (label terisi, model metrik lengkap).
+ * @throws {Error} - Bila plugin tidak valid atau bentrok dengan jalur yang sudah terdaftar.
+ */
+export const registerPathPlugin = (plugin) => {
+  const errors = validatePathPlugin(plugin);
+  if (errors.length > 0) throw new Error(errors.join(' '));
+
+  const definition = {
+    ...plugin,
+    label: plugin.label || catalogLabel(`path.${plugin.id}`, plugin.id),
+    metrics: plugin.metrics.map(metric => ({
+      ...metric,
+      path: plugin.id,
+      label: metric.label || catalogLabel(`metric.${metric.key}`, metric.key),
+      format: metric.format || 'num',
+      optional: metric.optional === true,
+      model: { mean: metric.model.initial, ...BASE_METRIC_MODEL, ...metric.model },
+    })),
+    rules: plugin.rules || [],
+  };
+
+  PATH_PLUGINS.push(definition);
+  RULE_PATHS.push(definition.id);
+  RULE_PATH_LABELS[definition.id] = definition.label;
+  for (const metric of definition.metrics) {
+    PATH_METRIC_KEYS.push(metric.key);
+    METRIC_FORMATS[metric.key] = metric.format;
+    DEFAULT_METRIC_MODELS[metric.key] = metric.model;
+  }
+  DEFAULT_RULES.push(...definition.rules);
+  return definition;
+};
+
+BUILTIN_PATH_PLUGINS.forEach(registerPathPlugin);
+
+// --- LOOKUPS ---
+
+export const pathLabel = (path) => RULE_PATH_LABELS[path] || path;
+
+export const pathPlugin = (path) => PATH_PLUGINS.find(plugin => plugin.id === path) || null;
+
+export const metricDefinition = (key) => {
+  for (const plugin of PATH_PLUGINS) {
+    const metric = plugin.metrics.find(item => item.key === key);
+    if (metric) return metric;
+  }
+  return null;
+};
+
+// Label di locale lain diambil dari katalog; label plugin tanpa kunci katalog tidak bergantung bahasa
+export const metricLabel = (key, targetLocale = locale) => {
+  if (targetLocale !== locale && messageTemplates(`metric.${key}`).length > 0) return t(`metric.${key}`, {}, targetLocale);
+  const metric = metricDefinition(key);
+  return metric ? metric.label : key;
+};
+
+// Metrik yang boleh absen dari sampel sumber data
+export const isOptionalMetric = (key) => {
+  const metric = metricDefinition(key);
+  return Boolean(metric && metric.optional);
+};
+
+// Nilai jalur sebelum scan pertama sebuah aset: nilai awal model setiap metrik
+export const initialMetricValues = () => Object.fromEntries(PATH_METRIC_KEYS.map(key => [key, DEFAULT_METRIC_MODELS[key].initial]));
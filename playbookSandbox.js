@@ -0,0 +1,80 @@
+// --- ODAS PLAYBOOK SCRIPT SANDBOX (NODE) ---
+//
+// Menjalankan langkah 'script' playbook (playbooks.js) di konteks V8 terpisah (node:vm) dengan batas waktu.
+// Hanya berjalan di Node, sehingga panel browser tidak mengimpornya; daemon memasangnya sebagai runScript.
+// Skrip hanya melihat:
+//   incident -> nilai placeholder insiden (incidentId, ruleId, assetId, path, severity, metric, lastValue, ...)
+//   sample   -> sampel metrik terbaru aset
+//   log(...) -> menambah baris ke detail hasil langkah
+// Tidak ada require, process, timer, atau jaringan, dan skrip harus sinkron. Langkah gagal bila skrip melempar
+// galat, melewati batas waktu, atau mengembalikan false; nilai lain dicatat sebagai hasil.
+// Masukan masuk ke konteks sebagai string JSON dan log() dibuat di dalam konteks, sehingga skrip tidak memegang satu pun
+// objek realm host (rantai constructor objek host berujung di Function milik host, lalu process). Hasil dan galat skrip
+// juga hanya dibaca di dalam konteks, dengan batas waktu yang sama.
+// node:vm bukan batas keamanan penuh: skrip ditulis oleh admin ruang kerja (firestore.rules), bukan pihak luar.
+
+import vm from 'node:vm';
+import { t } from './i18n.js';
+
+const MAX_DETAIL_LENGTH = 500;
+
+// Runs in the context before the step; keeps its own JSON.stringify in case the script replaces the global one
+const PRELUDE = `
+  const __stringify = JSON.stringify;
+  const __output = [];
+  globalThis.incident = JSON.parse(__input).incident;
+  globalThis.sample = JSON.parse(__input).sample;
+  globalThis.log = (...args) => { __output.push(args.map(String).join(' ')); };
+  delete globalThis.__input;
+`;
+
+// Runs in the context after the step; only a JSON string crosses back to the host
+const REPORT = `
+  __stringify({
+    output: __output.map(String),
+    async: Boolean(__result) && typeof __result.then === 'function',
+    failed: __result === false,
+    result: __result === undefined ? null : String(__stringify(__result)),
+  })
+`;
+
+const DESCRIBE_ERROR = `String(__error && __error.message !== undefined ? __error.message : __error)`;
+
+const runInSandbox = (sandbox, code, timeoutMs, filename) => vm.runInContext(code, sandbox, { timeout: timeoutMs, filename });
+
+// The thrown value may belong to the script, so its message is read in the context too
+const describeError = (sandbox, error, timeoutMs) => {
+  sandbox.__error = error;
+  try {
+    return runInSandbox(sandbox, DESCRIBE_ERROR, timeoutMs, 'playbook-error.js');
+  } catch {
+    return t('playbook.error.scriptFailed');
+  }
+};
+
+/**
+ * @param {string} code - Isi skrip; nilai ekspresi terakhir menjadi hasil.
+ * @param {object} context - { incident, sample }
+ * @param {number} timeoutMs - Batas waktu eksekusi.
+ * @returns {Promise<string>} - Baris log dan hasil skrip.
+ */
+export const runScriptInSandbox = async (code, { incident, sample }, timeoutMs) => {
+  const sandbox = vm.createContext({ __input: JSON.stringify({ incident, sample }) }, {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  runInSandbox(sandbox, PRELUDE, timeoutMs, 'playbook-prelude.js');
+  let report;
+  try {
+    sandbox.__result = runInSandbox(sandbox, code, timeoutMs, 'playbook-step.js');
+    report = JSON.parse(runInSandbox(sandbox, REPORT, timeoutMs, 'playbook-report.js'));
+  } catch (error) {
+    throw new Error(describeError(sandbox, error, timeoutMs));
+  }
+  // The sandbox drains its own microtasks inside the timeout, so a promise could never be awaited from here
+  if (report.async) throw new Error(t('playbook.error.scriptAsync'));
+  if (report.failed) throw new Error(t('playbook.error.scriptFalse'));
+  const output = Array.isArray(report.output) ? report.output.map(String) : [];
+  if (report.result !== null) output.push(`${t('playbook.detail.scriptResult')}: ${report.result}`);
+  return output.join('\n').slice(0, MAX_DETAIL_LENGTH) || null;
+};
@@ -0,0 +1,481 @@
+// --- ODAS REMEDIATION PLAYBOOKS ---
+//
+// Pesan intervensi menyebut tindakan (CE Lock, realokasi I/O, injeksi dana, RRA); playbook menjalankannya
+// sebagai langkah berurutan saat aturan yang dipetakan membuka insiden baru.
+// Jenis langkah:
+//   - http   : memanggil endpoint HTTP, berhasil bila status 2xx
+//   - script : skrip JavaScript di sandbox lokal (hanya proses Node, lihat playbookSandbox.js)
+//   - wait   : menunggu kondisi metrik aset (format kondisi ruleEngine.js), gagal bila batas waktu habis
+// Mode playbook:
+//   - dry-run  : langkah hanya disimulasikan dan dicatat, tanpa efek apa pun
+//   - approval : run menunggu persetujuan operator, lalu dijalankan oleh pemindai pemegang lease
+//   - auto     : langsung dijalankan oleh pemindai
+// Bila satu langkah gagal, langkah rollback dijalankan berurutan. Run (salinan rencana + hasil setiap
+// langkah) dicatat di field 'remediation' dokumen intervensi, sehingga yang disetujui adalah yang dijalankan.
+//
+// Konfigurasi (disimpan di odas_settings/playbooks):
+// { id, name, enabled, mode, ruleIds: [],
+//   steps: [{ id, name, type, method, url, headers, body, code, condition, timeoutMs }], rollback: [...] }
+// url, headers, dan body boleh memakai placeholder {incidentId}, {ruleId}, {assetId}, {path}, {severity},
+// {metric}, {lastValue}, {peakValue}, {description}. Angka diisi mentah (bukan format locale) dan severity
+// berupa kode, agar permintaan yang dikirim sama apa pun bahasa pemindainya.
+
+import {
+  evaluateCondition,
+  validateCondition,
+  renderMessage,
+  formatMetric,
+  normalizeSeverity,
+  describeBreach,
+} from './ruleEngine.js';
+import { assetIdOf } from './incidents.js';
+import { t } from './i18n.js';
+
+// Dokumen konfigurasi playbook di koleksi odas_settings
+export const PLAYBOOK_SETTINGS_DOC = 'playbooks';
+
+export const PLAYBOOK_MODES = {
+  DRY_RUN: 'dry-run',
+  APPROVAL: 'approval',
+  AUTO: 'auto',
+};
+
+export const PLAYBOOK_MODE_LABELS = {
+  [PLAYBOOK_MODES.DRY_RUN]: t('playbook.mode.dryRun'),
+  [PLAYBOOK_MODES.APPROVAL]: t('playbook.mode.approval'),
+  [PLAYBOOK_MODES.AUTO]: t('playbook.mode.auto'),
+};
+
+export const STEP_TYPES = {
+  http: { label: t('playbook.stepType.http') },
+  script: { label: t('playbook.stepType.script') },
+  wait: { label: t('playbook.stepType.wait') },
+};
+
+export const HTTP_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE', 'GET'];
+
+export const RUN_STATUS = {
+  DRY_RUN: 'dry-run',
+  PENDING_APPROVAL: 'pending-approval',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  ROLLED_BACK: 'rolled-back',
+};
+
+export const RUN_STATUS_LABELS = {
+  [RUN_STATUS.DRY_RUN]: t('playbook.run.dryRun'),
+  [RUN_STATUS.PENDING_APPROVAL]: t('playbook.run.pendingApproval'),
+  [RUN_STATUS.APPROVED]: t('playbook.run.approved'),
+  [RUN_STATUS.REJECTED]: t('playbook.run.rejected'),
+  [RUN_STATUS.RUNNING]: t('playbook.run.running'),
+  [RUN_STATUS.SUCCEEDED]: t('playbook.run.succeeded'),
+  [RUN_STATUS.FAILED]: t('playbook.run.failed'),
+  [RUN_STATUS.ROLLED_BACK]: t('playbook.run.rolledBack'),
+};
+
+export const STEP_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SIMULATED: 'simulated',
+};
+
+export const STEP_STATUS_LABELS = {
+  [STEP_STATUS.SUCCEEDED]: t('playbook.step.succeeded'),
+  [STEP_STATUS.FAILED]: t('playbook.step.failed'),
+  [STEP_STATUS.SIMULATED]: t('playbook.step.simulated'),
+};
+
+export const DEFAULT_STEP_TIMEOUT_MS = 10 * 1000;
+export const DEFAULT_WAIT_TIMEOUT_MS = 60 * 1000;
+export const MAX_STEP_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Langkah 'wait' memeriksa ulang kondisi setiap interval scan
+export const WAIT_POLL_INTERVAL_MS = 5000;
+
+export const createBlankStep = (type, index) => ({
+  id: `langkah-${index}`,
+  name: t('playbook.blankStepName', { index }),
+  type,
+  method: 'POST',
+  url: '',
+  headers: '',
+  body: '',
+  code: '',
+  condition: { metric: 'systemLatency', op: '<', value: 150 },
+  timeoutMs: type === 'wait' ? DEFAULT_WAIT_TIMEOUT_MS : DEFAULT_STEP_TIMEOUT_MS,
+});
+
+export const createBlankPlaybook = (index) => ({
+  id: `playbook-${index}`,
+  name: `Playbook ${index}`,
+  enabled: true,
+  mode: PLAYBOOK_MODES.DRY_RUN,
+  ruleIds: [],
+  steps: [createBlankStep('http', 1)],
+  rollback: [],
+});
+
+// --- VALIDATION ---
+
+const validateStep = (step, label, errors, { scripts }) => {
+  if (!step.id || !/^[a-z0-9-]+$/.test(step.id)) errors.push(t('playbook.error.stepId', { label }));
+  if (!STEP_TYPES[step.type]) {
+    errors.push(t('playbook.error.stepType', { label, type: step.type }));
+    return;
+  }
+  if (step.type === 'http') {
+    if (!/^https?:\/\//.test(step.url || '')) errors.push(t('playbook.error.url', { label }));
+    if (!HTTP_METHODS.includes(step.method)) errors.push(t('playbook.error.method', { label, method: step.method }));
+  }
+  if (step.type === 'script' && !String(step.code || '').trim()) errors.push(t('playbook.error.script', { label }));
+  if (step.type === 'script' && !scripts) errors.push(t('playbook.error.scriptNoDaemon', { label }));
+  if (step.type === 'wait') validateCondition(step.condition, t('playbook.conditionLabel', { label }), errors);
+  if (!Number.isInteger(step.timeoutMs) || step.timeoutMs < 1000 || step.timeoutMs > MAX_STEP_TIMEOUT_MS) {
+    errors.push(t('playbook.error.timeout', { label, minutes: MAX_STEP_TIMEOUT_MS / 60000 }));
+  }
+};
+
+/**
+ * Memvalidasi satu playbook.
+ * @param {object} playbook
+ * @param {string[]} [ruleIds] - ID aturan yang ada (untuk memeriksa pemetaan aturan).
+ * @param {object} [options] - { scripts: false = langkah skrip ditolak karena tidak ada daemon yang menjalankannya }
+ * @returns {string[]} - Daftar masalah (kosong bila valid).
+ */
+export const validatePlaybook = (playbook, ruleIds, { scripts = true } = {}) => {
+  const errors = [];
+  if (!playbook.id || !/^[a-z0-9-]+$/.test(playbook.id)) errors.push(t('playbook.error.id'));
+  if (!playbook.name || !playbook.name.trim()) errors.push(t('playbook.error.name'));
+  if (!PLAYBOOK_MODE_LABELS[playbook.mode]) errors.push(t('playbook.error.mode', { mode: playbook.mode }));
+  if (!Array.isArray(playbook.ruleIds) || playbook.ruleIds.length === 0) errors.push(t('playbook.error.noRules'));
+  const unknownRules = ruleIds ? (playbook.ruleIds || []).filter(id => !ruleIds.includes(id)) : [];
+  if (unknownRules.length > 0) errors.push(t('playbook.error.unknownRules', { ruleIds: unknownRules.join(', ') }));
+  if (!Array.isArray(playbook.steps) || playbook.steps.length === 0) errors.push(t('playbook.error.noSteps'));
+  (playbook.steps || []).forEach((step, index) => validateStep(step, t('playbook.stepLabel', { index: index + 1 }), errors, { scripts }));
+  (playbook.rollback || []).forEach((step, index) => validateStep(step, t('playbook.rollbackLabel', { index: index + 1 }), errors, { scripts }));
+  const stepIds = [...(playbook.steps || []), ...(playbook.rollback || [])].map(step => step.id);
+  if (stepIds.length !== new Set(stepIds).size) errors.push(t('playbook.error.stepIdsUnique'));
+  return errors;
+};
+
+/**
+ * Memvalidasi seluruh set playbook, termasuk keunikan ID dan satu playbook aktif per aturan.
+ * @returns {object} - Peta { [playbookId|index]: string[] } untuk playbook yang bermasalah.
+ */
+export const validatePlaybookSet = (playbooks, ruleIds, options) => {
+  const problems = {};
+  const seen = new Set();
+  const claimedRules = new Map();
+  playbooks.forEach((playbook, index) => {
+    const errors = validatePlaybook(playbook, ruleIds, options);
+    if (playbook.id && seen.has(playbook.id)) errors.push(t('common.error.duplicateId', { id: playbook.id }));
+    seen.add(playbook.id);
+    if (playbook.enabled !== false) {
+      for (const ruleId of playbook.ruleIds || []) {
+        if (claimedRules.has(ruleId)) errors.push(t('playbook.error.ruleClaimed', { ruleId, playbookId: claimedRules.get(ruleId) }));
+        else claimedRules.set(ruleId, playbook.id);
+      }
+    }
+    if (errors.length > 0) problems[playbook.id || `#${index + 1}`] = errors;
+  });
+  return problems;
+};
+
+/**
+ * Playbook aktif yang dipetakan ke aturan insiden (validatePlaybookSet menjamin paling banyak satu).
+ */
+export const findPlaybook = (playbooks, ruleId) => playbooks.find(playbook => (
+  playbook.enabled !== false && (playbook.ruleIds || []).includes(ruleId)
+)) || null;
+
+// --- TEMPLATES ---
+
+/**
+ * Nilai placeholder untuk url, headers, body, dan konteks skrip.
+ */
+export const remediationValues = (incident) => ({
+  incidentId: incident.id || '',
+  ruleId: incident.ruleId || '',
+  assetId: assetIdOf(incident),
+  path: incident.path,
+  severity: normalizeSeverity(incident.severity),
+  metric: incident.metric || '',
+  lastValue: typeof incident.lastValue === 'number' ? incident.lastValue : null,
+  peakValue: typeof incident.peakValue === 'number' ? incident.peakValue : null,
+  description: describeBreach(incident),
+});
+
+// Placeholders take raw values: a request must not change with the scanner's display locale
+const fillTemplate = (template, values) => renderMessage(template, Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, typeof value === 'number' ? String(value) : value]),
+));
+
+// Header ditulis satu per baris: "Nama: nilai"
+export const parseHeaders = (text, values = {}) => Object.fromEntries(String(text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.includes(':'))
+  .map(line => {
+    const index = line.indexOf(':');
+    return [line.slice(0, index).trim(), fillTemplate(line.slice(index + 1).trim(), values)];
+  }));
+
+const describeCondition = ({ metric, op, value }) => `${metric} ${op} ${formatMetric(metric, value)}`;
+
+/**
+ * Ringkasan satu langkah untuk simulasi dan tampilan rencana.
+ */
+export const describeStep = (step) => {
+  switch (step.type) {
+    case 'http': return `${step.method} ${step.url}`;
+    case 'script': return t('playbook.describe.script', { length: String(step.code || '').length });
+    case 'wait': return t('playbook.describe.wait', {
+      condition: step.condition ? describeCondition(step.condition) : '?',
+      seconds: step.timeoutMs / 1000,
+    });
+    default: return step.type;
+  }
+};
+
+// --- RUNS ---
+
+/**
+ * Run baru untuk insiden; rencana langkah disalin agar perubahan playbook tidak mengubah run berjalan.
+ * @returns {object} - Nilai field 'remediation' pada dokumen intervensi.
+ */
+export const createRemediationRun = (playbook, now = Date.now()) => ({
+  playbookId: playbook.id,
+  playbookName: playbook.name,
+  mode: playbook.mode,
+  status: playbook.mode === PLAYBOOK_MODES.APPROVAL ? RUN_STATUS.PENDING_APPROVAL : RUN_STATUS.RUNNING,
+  plan: { steps: playbook.steps, rollback: playbook.rollback || [] },
+  results: [],
+  requestedAt: new Date(now).toISOString(),
+  startedAt: null,
+  finishedAt: null,
+  decidedBy: null,
+  error: null,
+});
+
+/**
+ * Menyiapkan keputusan operator atas run yang menunggu persetujuan.
+ * @param {object} incident - Insiden dengan field remediation.
+ * @param {string} to - RUN_STATUS.APPROVED atau RUN_STATUS.REJECTED.
+ * @param {object} options - { actor, now }
+ * @returns {object} - { remediation, entry } (entry untuk riwayat insiden)
+ */
+export const planRemediationDecision = (incident, to, { actor = 'system', now = new Date() } = {}) => {
+  const run = incident.remediation;
+  if (!run || run.status !== RUN_STATUS.PENDING_APPROVAL) throw new Error(t('playbook.error.noPendingRun'));
+  if (to !== RUN_STATUS.APPROVED && to !== RUN_STATUS.REJECTED) throw new Error(t('playbook.error.decision', { decision: to }));
+  const at = now.toISOString();
+  return {
+    remediation: { ...run, status: to, decidedBy: actor, ...(to === RUN_STATUS.REJECTED ? { finishedAt: at } : {}) },
+    entry: { type: 'remediation', from: run.status, to, by: actor, note: run.playbookName, at },
+  };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Pelaksana langkah playbook.
+ * @param {object} options
+ * @param {Function} [options.fetchImpl] - Implementasi fetch (default: globalThis.fetch).
+ * @param {Function} [options.runScript] - runScript(code, context, timeoutMs) -> Promise<string>; tanpa ini langkah skrip gagal.
+ * @param {Function} options.readSample - readSample(assetId) -> sampel metrik terbaru aset (untuk langkah wait).
+ * @param {Function} [options.sleep] - Penunda antar pemeriksaan kondisi (dapat diganti saat pengujian).
+ * @returns {object} - { simulate(run), execute(run, incident, onProgress) }
+ */
+export const createPlaybookRunner = ({ fetchImpl, runScript, readSample, sleep = wait, pollIntervalMs = WAIT_POLL_INTERVAL_MS }) => {
+  const runHttp = async (step, values) => {
+    const doFetch = fetchImpl || globalThis.fetch;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), step.timeoutMs);
+    try {
+      const response = await doFetch(fillTemplate(step.url, values), {
+        method: step.method,
+        headers: { 'Content-Type': 'application/json', ...parseHeaders(step.headers, values) },
+        body: step.method === 'GET' ? undefined : (step.body ? fillTemplate(step.body, values) : JSON.stringify({ event: 'remediation', step: step.id, incident: values })),
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return `HTTP ${response.status}`;
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error(t('playbook.error.httpTimeout', { ms: step.timeoutMs }));
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const runWait = async (step, incident) => {
+    const deadline = Date.now() + step.timeoutMs;
+    const { metric } = step.condition;
+    for (;;) {
+      const sample = readSample(assetIdOf(incident));
+      if (sample && evaluateCondition(step.condition, sample)) return t('playbook.detail.waitMet', { metric, value: formatMetric(metric, sample[metric]) });
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(t('playbook.error.waitTimeout', {
+          condition: describeCondition(step.condition),
+          seconds: step.timeoutMs / 1000,
+          value: formatMetric(metric, sample && sample[metric]),
+        }));
+      }
+      await sleep(Math.min(pollIntervalMs, remaining));
+    }
+  };
+
+  const runStep = (step, incident, values) => {
+    switch (step.type) {
+      case 'http': return runHttp(step, values);
+      case 'wait': return runWait(step, incident);
+      case 'script':
+        if (!runScript) throw new Error(t('playbook.error.scriptNodeOnly'));
+        return runScript(step.code, { incident: values, sample: readSample(assetIdOf(incident)) || {} }, step.timeoutMs);
+      default: throw new Error(t('playbook.error.unknownStepType', { type: step.type }));
+    }
+  };
+
+  const attempt = async (step, phase, incident, values) => {
+    const startedAt = Date.now();
+    const base = { phase, stepId: step.id, name: step.name, type: step.type, startedAt: new Date(startedAt).toISOString() };
+    try {
+      const detail = await runStep(step, incident, values);
+      return { ...base, status: STEP_STATUS.SUCCEEDED, detail: detail || null, error: null, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ...base, status: STEP_STATUS.FAILED, detail: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+  };
+
+  return {
+    simulate: (run, now = Date.now()) => ({
+      ...run,
+      status: RUN_STATUS.DRY_RUN,
+      results: run.plan.steps.map(step => ({
+        phase: 'step',
+        stepId: step.id,
+        name: step.name,
+        type: step.type,
+        status: STEP_STATUS.SIMULATED,
+        detail: describeStep(step),
+        error: null,
+        startedAt: new Date(now).toISOString(),
+        durationMs: 0,
+      })),
+      finishedAt: new Date(now).toISOString(),
+    }),
+
+    /**
+     * Menjalankan langkah berurutan; onProgress(run) dipanggil setelah setiap langkah agar hasil langsung tercatat.
+     * @returns {Promise<object>} - Run akhir.
+     */
+    execute: async (run, incident, onProgress = () => {}) => {
+      const values = remediationValues(incident);
+      let current = { ...run, status: RUN_STATUS.RUNNING, startedAt: run.startedAt || new Date().toISOString(), results: [] };
+      await onProgress(current);
+
+      let failure = null;
+      for (const step of run.plan.steps) {
+        const result = await attempt(step, 'step', incident, values);
+        current = { ...current, results: [...current.results, result] };
+        await onProgress(current);
+        if (result.status === STEP_STATUS.FAILED) {
+          failure = result;
+          break;
+        }
+      }
+
+      if (!failure) {
+        current = { ...current, status: RUN_STATUS.SUCCEEDED, finishedAt: new Date().toISOString() };
+        await onProgress(current);
+        return current;
+      }
+
+      // Every rollback step runs even if an earlier one fails, so as much as possible is undone
+      let rollbackFailed = false;
+      for (const step of run.plan.rollback) {
+        const result = await attempt(step, 'rollback', incident, values);
+        rollbackFailed = rollbackFailed || result.status === STEP_STATUS.FAILED;
+        current = { ...current, results: [...current.results, result] };
+        await onProgress(current);
+      }
+      const rolledBack = run.plan.rollback.length > 0 && !rollbackFailed;
+      current = {
+        ...current,
+        status: rolledBack ? RUN_STATUS.ROLLED_BACK : RUN_STATUS.FAILED,
+        error: `${failure.name}: ${failure.error}${rollbackFailed ? ` (${t('playbook.error.rollbackIncomplete')})` : ''}`,
+        finishedAt: new Date().toISOString(),
+      };
+      await onProgress(current);
+      return current;
+    },
+  };
+};
+
+// --- REMEDIATOR ---
+
+/**
+ * Menghubungkan pelaksana dengan log intervensi, dipakai pemindai (daemon atau tab pemegang lease).
+ * remediate(incident, playbooks) dipanggil untuk insiden yang baru dibuka dan untuk insiden yang run-nya
+ * sudah disetujui; tidak ditunggu oleh loop scan.
+ * @param {object} options
+ * @param {object} options.repository - Repository interventions (storage.js).
+ * @param {object} options.runner - Hasil createPlaybookRunner().
+ * @returns {object} - { remediate(incident, playbooks) -> Promise<run|null>|null, pending() -> Promise[] }
+ */
+export const createRemediator = ({ repository, runner }) => {
+  const inFlight = new Map();
+
+  // A failed write must not abort a run halfway: the steps already taken still need their rollback
+  const record = (incidentId, run) => repository.update(incidentId, { remediation: run })
+    .catch(error => console.error("Failed to record remediation run:", error));
+
+  // Only one scanner may start an approved run, even across a lease handover
+  const claimApproved = (incidentId) => repository.transact(incidentId, (current) => {
+    if (!current || !current.remediation || current.remediation.status !== RUN_STATUS.APPROVED) return { result: null };
+    const run = { ...current.remediation, status: RUN_STATUS.RUNNING, startedAt: new Date().toISOString() };
+    return { result: run, data: { ...current, remediation: run } };
+  });
+
+  const start = async (incident, playbooks) => {
+    if (incident.remediation) {
+      if (incident.remediation.status !== RUN_STATUS.APPROVED) return null;
+      const claimed = await claimApproved(incident.id);
+      return claimed ? runner.execute(claimed, incident, run => record(incident.id, run)) : null;
+    }
+    const playbook = findPlaybook(playbooks, incident.ruleId);
+    if (!playbook) return null;
+    const run = createRemediationRun(playbook);
+    switch (playbook.mode) {
+      case PLAYBOOK_MODES.DRY_RUN: {
+        const simulated = runner.simulate(run);
+        await record(incident.id, simulated);
+        return simulated;
+      }
+      case PLAYBOOK_MODES.APPROVAL:
+        await record(incident.id, run);
+        return run;
+      default:
+        return runner.execute(run, incident, next => record(incident.id, next));
+    }
+  };
+
+  return {
+    remediate: (incident, playbooks) => {
+      if (!incident.id || inFlight.has(incident.id)) return null;
+      const running = start(incident, playbooks)
+        .catch((error) => {
+          console.error("Failed to run remediation playbook:", error);
+          return null;
+        })
+        .finally(() => inFlight.delete(incident.id));
+      inFlight.set(incident.id, running);
+      return running;
+    },
+    pending: () => [...inFlight.values()],
+  };
+};
@@ -0,0 +1,41 @@
+// --- ODAS RULE ACTIONS ---
+//
+// Operasi tulis set aturan berversi. Menerima repository ruleVersions dari storage.js.
+// Id dokumen versi adalah nomor versinya dan dibuat di dalam transaksi, sehingga dua admin yang menyimpan bersamaan
+// tidak pernah mendapat nomor versi yang sama: yang kalah mengambil nomor berikutnya. Versi tidak pernah diubah
+// (firestore.rules).
+
+import { fieldOps } from './storage.js';
+import { t } from './i18n.js';
+
+// Jumlah nomor versi sesudah versi terbaru yang diketahui yang dicoba sebelum menyerah
+const MAX_VERSION_ATTEMPTS = 20;
+
+export const ruleVersionId = (version) => `v${version}`;
+
+/**
+ * Menyimpan set aturan sebagai versi baru.
+ * @param {object} repository - Repository ruleVersions.
+ * @param {object} draft - { rules, note }
+ * @param {string} actor - userId penyimpan.
+ * @param {number} latestVersion - Nomor versi terbaru yang diketahui klien (0 = belum ada).
+ * @returns {Promise<number>} - Nomor versi yang tersimpan.
+ */
+export const saveRuleVersion = async (repository, { rules, note }, actor, latestVersion = 0) => {
+  for (let version = latestVersion + 1; version <= latestVersion + MAX_VERSION_ATTEMPTS; version += 1) {
+    const created = await repository.transact(ruleVersionId(version), (existing) => (existing
+      ? { result: false }
+      : {
+        result: true,
+        data: {
+          version,
+          rules,
+          note: note || '',
+          createdBy: actor,
+          createdAt: fieldOps.serverTimestamp(),
+        },
+      }));
+    if (created) return version;
+  }
+  throw new Error(t('rules.error.versionConflict'));
+};
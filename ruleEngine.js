@@ -0,0 +1,377 @@
+// --- ODAS RULE ENGINE ---
+//
+// Aturan intervensi disimpan sebagai data (bukan kode), sehingga batas kritis dapat
+// diubah dari panel kontrol tanpa redeploy. Bentuk aturan:
+//   {
+//     id, name, path, severity, enabled,
+//     condition: { metric, op, value } | { metric, baseline, op, value } | { all: [...] } | { any: [...] },
+//     forScans: 3,                       // kondisi harus terpenuhi N scan berturut-turut
+//     clearCondition: { metric, op, value },  // opsional, hysteresis untuk pemulihan
+//     message: 'Latency sistem Kritis ({systemLatency|ms}).',
+//     messageKey: 'rule.infrastruktur-latency.message',  // opsional, teks katalog i18n menggantikan message
+//   }
+// Severity disimpan sebagai kode (SEVERITY), bukan teks tampilan; nilai lama berbahasa Indonesia
+// dinormalisasi lewat normalizeSeverity().
+
+import { RULE_PATHS, PATH_METRIC_KEYS, METRIC_FORMATS, metricLabel } from './paths.js';
+import { BASELINE_METHODS, expectedRangeFor } from './anomalyDetection.js';
+import {
+  t,
+  locale,
+  formatTemplate,
+  formatValue,
+  templateKeys,
+  messageTemplates,
+  NUMBER_FORMATS,
+} from './i18n.js';
+
+export const SEVERITY = {
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+  EMERGENCY: 'emergency',
+  // Pra-peringatan dari forecasting.js; tidak dapat dipilih sebagai severity aturan
+  FORECAST: 'forecast',
+};
+
+export const RULE_SEVERITIES = [SEVERITY.EMERGENCY, SEVERITY.CRITICAL, SEVERITY.WARNING];
+
+// Severity yang dapat dimiliki insiden: severity aturan ditambah Prediksi
+export const INCIDENT_SEVERITIES = [...RULE_SEVERITIES, SEVERITY.FORECAST];
+
+export const SEVERITY_LABELS = {
+  [SEVERITY.WARNING]: t('severity.warning'),
+  [SEVERITY.CRITICAL]: t('severity.critical'),
+  [SEVERITY.EMERGENCY]: t('severity.emergency'),
+  [SEVERITY.FORECAST]: t('severity.forecast'),
+};
+
+// Dokumen lama menyimpan severity sebagai teks tampilan
+const LEGACY_SEVERITIES = {
+  Peringatan: SEVERITY.WARNING,
+  Kritis: SEVERITY.CRITICAL,
+  Darurat: SEVERITY.EMERGENCY,
+};
+
+export const normalizeSeverity = (severity) => LEGACY_SEVERITIES[severity] || severity;
+
+export const severityLabel = (severity) => SEVERITY_LABELS[normalizeSeverity(severity)] || severity || '-';
+
+/**
+ * Nilai tersimpan yang setara dengan satu kode severity, untuk klausa where 'in' yang juga
+ * menemukan dokumen lama.
+ * @param {string} severity - Kode severity.
+ * @returns {string[]}
+ */
+export const severityQueryValues = (severity) => [
+  severity,
+  ...Object.keys(LEGACY_SEVERITIES).filter(legacy => LEGACY_SEVERITIES[legacy] === severity),
+];
+
+export const normalizeRule = (rule) => ({ ...rule, severity: normalizeSeverity(rule.severity) });
+
+export const RULE_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+// --- CONDITION EVALUATION ---
+
+const compare = (left, op, right) => {
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+};
+
+/**
+ * Mengevaluasi kondisi (tunggal atau komposit AND/OR) terhadap data jalur.
+ * Kondisi dengan 'baseline' membandingkan deviasi absolut |z| dari baseline statistik.
+ * @param {object} condition - { metric, op, value } | { metric, baseline, op, value } | { all: [] } | { any: [] }
+ * @param {object} pathData - Sampel metrik saat ini.
+ * @param {object} deviations - Hasil computeDeviations() untuk sampel ini.
+ * @returns {boolean}
+ */
+export const evaluateCondition = (condition, pathData, deviations = {}) => {
+  if (!condition) return false;
+  if (Array.isArray(condition.all)) return condition.all.every(child => evaluateCondition(child, pathData, deviations));
+  if (Array.isArray(condition.any)) return condition.any.some(child => evaluateCondition(child, pathData, deviations));
+  if (condition.baseline) {
+    const deviation = deviations[condition.metric] && deviations[condition.metric][condition.baseline];
+    if (!deviation || !deviation.ready) return false;
+    return compare(Math.abs(deviation.z), condition.op, condition.value);
+  }
+  const value = pathData[condition.metric];
+  if (typeof value !== 'number' || Number.isNaN(value)) return false;
+  return compare(value, condition.op, condition.value);
+};
+
+/**
+ * Metrik utama aturan: metrik pertama yang muncul di kondisi.
+ * Dipakai untuk menandai StatusCard dan mencatat nilai intervensi.
+ */
+export const primaryCondition = (condition) => {
+  if (!condition) return null;
+  const children = condition.all || condition.any;
+  if (Array.isArray(children)) {
+    for (const child of children) {
+      const found = primaryCondition(child);
+      if (found) return found;
+    }
+    return null;
+  }
+  return condition.metric ? condition : null;
+};
+
+const withPrimaryValue = (condition, value) => {
+  const key = Array.isArray(condition.all) ? 'all' : Array.isArray(condition.any) ? 'any' : null;
+  if (!key) return condition.metric ? { ...condition, value } : condition;
+  const index = condition[key].findIndex(child => primaryCondition(child));
+  if (index === -1) return condition;
+  return { ...condition, [key]: condition[key].map((child, i) => (i === index ? withPrimaryValue(child, value) : child)) };
+};
+
+/**
+ * Menerapkan override batas milik satu aset: { [ruleId]: nilai } menggantikan nilai kondisi utama aturan.
+ * @param {object[]} rules - Set aturan aktif.
+ * @param {object} [overrides] - Override dari dokumen aset (thresholdOverrides).
+ * @returns {object[]}
+ */
+export const applyThresholdOverrides = (rules, overrides) => {
+  if (!overrides || Object.keys(overrides).length === 0) return rules;
+  return rules.map(rule => (typeof overrides[rule.id] === 'number'
+    ? { ...rule, condition: withPrimaryValue(rule.condition, overrides[rule.id]) }
+    : rule));
+};
+
+const leafConditions = (condition) => {
+  if (!condition) return [];
+  const children = condition.all || condition.any;
+  if (Array.isArray(children)) return children.flatMap(leafConditions);
+  return condition.metric ? [condition] : [];
+};
+
+/**
+ * Semua batas yang berlaku untuk satu metrik, untuk digambar sebagai garis di grafik riwayat.
+ * @param {object[]} rules - Set aturan aktif.
+ * @param {string} metric - Kunci metrik.
+ * @returns {object[]} - [{ value, op, severity, ruleId }]
+ */
+export const ruleThresholds = (rules, metric) => rules
+  .filter(rule => rule.enabled !== false)
+  .flatMap(rule => leafConditions(rule.condition)
+    .filter(condition => condition.metric === metric && !condition.baseline)
+    .map(condition => ({ value: condition.value, op: condition.op, severity: rule.severity, ruleId: rule.id })));
+
+// --- MESSAGE TEMPLATES ---
+
+export const TEMPLATE_FORMATS = NUMBER_FORMATS;
+
+export const formatMetric = (metric, value, targetLocale = locale) => {
+  if (typeof value !== 'number') return 'N/A';
+  return formatValue(value, METRIC_FORMATS[metric] || 'num', targetLocale);
+};
+
+/**
+ * Mengisi template pesan, mis. 'Latency {systemLatency|ms}' -> 'Latency 180ms'.
+ * @param {string} template - Template pesan aturan.
+ * @param {object} values - Nilai yang tersedia untuk placeholder.
+ * @param {string} [targetLocale] - Locale format angka (bawaan: locale aktif).
+ * @returns {string}
+ */
+export const renderMessage = (template, values, targetLocale = locale) => formatTemplate(
+  template,
+  values,
+  { defaultFormat: 'num', locale: targetLocale },
+);
+
+// Hanya nilai yang dipakai template disimpan bersama intervensi
+const messageParamsFor = (rule, values) => {
+  const keys = rule.messageKey ? messageTemplates(rule.messageKey).flatMap(templateKeys) : templateKeys(rule.message);
+  return Object.fromEntries([...new Set(keys)]
+    .filter(key => values[key] !== undefined && values[key] !== null)
+    .map(key => [key, values[key]]));
+};
+
+/**
+ * Deskripsi pelanggaran/insiden dalam satu locale: messageKey katalog, lalu template aturan kustom,
+ * lalu teks description tersimpan (dokumen lama).
+ * @param {object} record - { messageKey, messageTemplate, messageParams, description }
+ * @param {string} [targetLocale]
+ * @returns {string}
+ */
+// Parameter metric berisi kunci metrik (pra-peringatan forecasting.js): label dan batasnya dirender per locale.
+// Dokumen lama menyimpan teks yang sudah jadi dan dibiarkan apa adanya.
+const localizedParams = (params, targetLocale) => {
+  if (!PATH_METRIC_KEYS.includes(params.metric)) return params;
+  return {
+    ...params,
+    metric: metricLabel(params.metric, targetLocale),
+    threshold: typeof params.threshold === 'number' ? formatMetric(params.metric, params.threshold, targetLocale) : params.threshold,
+  };
+};
+
+export const describeBreach = (record, targetLocale = locale) => {
+  if (record.messageKey) return t(record.messageKey, localizedParams(record.messageParams || {}, targetLocale), targetLocale);
+  if (record.messageTemplate) return renderMessage(record.messageTemplate, record.messageParams || {}, targetLocale);
+  return record.description || '';
+};
+
+// --- VALIDATION ---
+
+export const validateCondition = (condition, label, errors) => {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(t('rules.error.conditionObject', { label }));
+    return;
+  }
+  const children = condition.all || condition.any;
+  if (children !== undefined) {
+    if (!Array.isArray(children) || children.length === 0) {
+      errors.push(t('rules.error.conditionChildren', { label }));
+      return;
+    }
+    children.forEach((child, index) => validateCondition(child, `${label}[${index}]`, errors));
+    return;
+  }
+  if (!PATH_METRIC_KEYS.includes(condition.metric)) {
+    errors.push(t('rules.error.unknownMetric', { label, metric: condition.metric }));
+  }
+  if (!RULE_OPERATORS.includes(condition.op)) {
+    errors.push(t('rules.error.unknownOperator', { label, op: condition.op }));
+  }
+  if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+    errors.push(t('rules.error.valueNumber', { label }));
+  }
+  if (condition.baseline !== undefined && !BASELINE_METHODS.includes(condition.baseline)) {
+    errors.push(t('rules.error.unknownBaseline', { label, baseline: condition.baseline, methods: BASELINE_METHODS.join(', ') }));
+  }
+};
+
+/**
+ * Memvalidasi satu aturan.
+ * @param {object} rule - Aturan yang akan diperiksa.
+ * @returns {string[]} - Daftar pesan galat (kosong bila valid).
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  if (!rule.id || !/^[a-z0-9-]+$/.test(rule.id)) {
+    errors.push(t('rules.error.id'));
+  }
+  if (!rule.name || !rule.name.trim()) errors.push(t('rules.error.name'));
+  if (!RULE_PATHS.includes(rule.path)) errors.push(t('rules.error.unknownPath', { path: rule.path }));
+  if (!RULE_SEVERITIES.includes(rule.severity)) errors.push(t('rules.error.unknownSeverity', { severity: rule.severity }));
+  if (!Number.isInteger(rule.forScans) || rule.forScans < 1) {
+    errors.push(t('rules.error.forScans'));
+  }
+  if (!rule.messageKey && (!rule.message || !rule.message.trim())) errors.push(t('rules.error.message'));
+  validateCondition(rule.condition, t('rules.condition'), errors);
+  if (rule.clearCondition) validateCondition(rule.clearCondition, t('rules.clearCondition'), errors);
+  return errors;
+};
+
+/**
+ * Memvalidasi seluruh set aturan, termasuk keunikan ID.
+ * @param {object[]} rules
+ * @returns {object} - Peta { [ruleId|index]: string[] } untuk aturan yang bermasalah.
+ */
+export const validateRuleSet = (rules) => {
+  const problems = {};
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const errors = validateRule(rule);
+    if (rule.id && seen.has(rule.id)) errors.push(t('common.error.duplicateId', { id: rule.id }));
+    seen.add(rule.id);
+    if (errors.length > 0) problems[rule.id || `#${index + 1}`] = errors;
+  });
+  return problems;
+};
+
+// --- EVALUATION WITH DURATION & HYSTERESIS ---
+
+/**
+ * Mengevaluasi seluruh aturan untuk satu scan.
+ * State per aturan: { consecutive, active } dibawa antar scan untuk durasi dan hysteresis.
+ * @param {object[]} rules - Set aturan aktif.
+ * @param {object} pathData - Sampel metrik saat ini.
+ * @param {object} previousState - State aturan dari scan sebelumnya.
+ * @param {object} deviations - Deviasi baseline statistik untuk sampel ini (opsional).
+ * @returns {object} - { breaches, cleared, state }
+ */
+export const evaluateRules = (rules, pathData, previousState = {}, deviations = {}) => {
+  const breaches = [];
+  const cleared = [];
+  const state = {};
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    const previous = previousState[rule.id] || { consecutive: 0, active: false };
+    const matches = evaluateCondition(rule.condition, pathData, deviations);
+    let { consecutive, active } = previous;
+
+    if (active) {
+      const recovered = rule.clearCondition
+        ? evaluateCondition(rule.clearCondition, pathData, deviations)
+        : !matches;
+      if (recovered) {
+        active = false;
+        consecutive = 0;
+        cleared.push(rule.id);
+      }
+    } else {
+      consecutive = matches ? consecutive + 1 : 0;
+      active = consecutive >= (rule.forScans || 1);
+    }
+
+    state[rule.id] = { consecutive, active };
+
+    if (active) {
+      const primary = primaryCondition(rule.condition);
+      const metric = primary ? primary.metric : null;
+      // Every breach records the expected range next to the observed value
+      const range = metric
+        ? expectedRangeFor(deviations, metric, primary.baseline, primary.baseline ? primary.value : undefined)
+        : null;
+      const method = range && deviations[metric][range.method];
+      // Stored interventions keep the message key and its values; the text is rendered per locale
+      const message = {
+        messageKey: rule.messageKey || null,
+        messageTemplate: rule.messageKey ? null : rule.message,
+        messageParams: messageParamsFor(rule, {
+          ...pathData,
+          ...(range ? { expectedLow: range.expectedLow, expectedHigh: range.expectedHigh, z: method.z } : {}),
+        }),
+      };
+      breaches.push({
+        ruleId: rule.id,
+        path: rule.path,
+        severity: normalizeSeverity(rule.severity),
+        ...message,
+        description: describeBreach(message),
+        metric,
+        // Baseline rules breach on either side of the range, so the peak is the largest deviation
+        op: primary && !primary.baseline ? primary.op : null,
+        value: metric ? pathData[metric] : null,
+        expectedLow: range ? range.expectedLow : null,
+        expectedHigh: range ? range.expectedHigh : null,
+        baselineMethod: range ? range.method : null,
+      });
+    }
+  }
+
+  return { breaches, cleared, state };
+};
+
+/**
+ * Versi terbaru dari daftar dokumen versi aturan (urut client-side berdasarkan nomor versi),
+ * dengan severity lama dinormalisasi ke kode.
+ * @param {object[]} versions - Dokumen { version, rules, ... }.
+ * @returns {object|null}
+ */
+export const latestRuleVersion = (versions) => {
+  const latest = versions.reduce(
+    (found, current) => (!found || current.version > found.version ? current : found),
+    null,
+  );
+  return latest && { ...latest, rules: (latest.rules || []).map(normalizeRule) };
+};
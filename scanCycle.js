@@ -0,0 +1,248 @@
+// --- ODAS SCAN CYCLE ---
+//
+// Satu siklus "Chronos Executor" di luar React, dipakai bersama oleh daemon (odasDaemon.js) dan
+// panel ODAS saat panel memegang lease pemindai (scannerLease.js):
+// baca sampel tiap aset -> rekam metrik -> scanAsset -> tulis insiden & kesehatan -> notifikasi & playbook -> eskalasi.
+// Insiden baru dan perubahan siklus hidup disegel ke rantai Finality Chronicle (chronicleChain.js) sebelum diantrekan.
+// Pelanggaran dalam jendela pemeliharaan atau silence (silences.js) dicatat tanpa notifikasi dan playbook.
+// Pra-peringatan Prediksi (forecasting.js) dinotifikasi sesuai rute severity kanal, tetapi tidak menjalankan playbook.
+// Tidak menyimpan state sendiri: state per aset masuk dan keluar sebagai objek biasa.
+
+import { createDataSource } from './dataSources.js';
+import { findEscalations, isForecastSeverity } from './incidents.js';
+import { planIncidentWrites, escalationWrite } from './incidentActions.js';
+import { recordAssetHealth } from './assetActions.js';
+import { scanAsset, createAssetScanState } from './scanner.js';
+import { updateBaselines, seedSeasonalBaseline } from './anomalyDetection.js';
+import { HISTORY_RANGES, SPARKLINE_POINTS } from './metricsHistory.js';
+import { loadMetricHistory } from './metricsRecorder.js';
+import { withPendingWrites } from './interventionLog.js';
+import { NOTIFICATION_EVENTS } from './notifications.js';
+import { RUN_STATUS } from './playbooks.js';
+import { sealChronicleWrites } from './chronicleChain.js';
+import { activeSilences } from './silences.js';
+import { normalizeForecastConfig, FORECAST_MODEL_CONFIG } from './forecasting.js';
+import { DEFAULT_ASSET, DEFAULT_ASSET_ID } from './assets.js';
+import { initialMetricValues } from './paths.js';
+import { t, formatTime } from './i18n.js';
+
+export const SCAN_INTERVAL_MS = 5000;
+
+// State per aset: hasil scanner (ruleState, baselines, deviations) + data jalur terakhir
+// (nilai awal model setiap metrik sebelum scan pertama aset)
+export const createAssetViewState = () => ({
+  ...createAssetScanState(),
+  pathData: { ...initialMetricValues(), lastScan: formatTime(Date.now()) },
+  recentSamples: [],
+});
+
+// Aset yang dipindai: registry non-arsip, atau aset lokal bawaan bila registry belum berisi aset aktif
+export const selectScanTargets = (assets) => {
+  const active = assets.filter(asset => !asset.archived);
+  return active.length > 0 ? active : [DEFAULT_ASSET];
+};
+
+// Sumber efektif aset: override sesi dari DataSourceSelector, atau sumber yang tertaut di registry
+export const effectiveSource = (asset, overrides = {}) => overrides[asset.id] || {
+  type: (asset.dataSource && asset.dataSource.type) || 'random',
+  config: { url: (asset.dataSource && asset.dataSource.url) || '' },
+};
+
+/**
+ * Menyelaraskan adapter sumber data dengan daftar aset: membuka yang baru, mengganti yang konfigurasinya
+ * berubah, dan memutus yang tidak lagi dipindai.
+ * @param {Map} sources - assetId -> { signature, source } (dimutasi).
+ * @param {object[]} targets - Aset yang dipindai.
+ * @param {object} overrides - Override sumber per aset.
+ * @param {Function} onStatus - onStatus(assetId, status).
+ */
+export const syncAssetSources = (sources, targets, overrides, onStatus) => {
+  const targetIds = new Set(targets.map(asset => asset.id));
+  for (const [assetId, entry] of sources) {
+    if (!targetIds.has(assetId)) {
+      entry.source.disconnect();
+      sources.delete(assetId);
+    }
+  }
+  for (const asset of targets) {
+    const { type, config } = effectiveSource(asset, overrides);
+    const signature = JSON.stringify({ type, config });
+    const existing = sources.get(asset.id);
+    if (existing && existing.signature === signature) continue;
+    if (existing) existing.source.disconnect();
+    sources.delete(asset.id);
+    try {
+      const source = createDataSource(type, { ...config, onStatus: (status) => onStatus(asset.id, status) });
+      source.connect();
+      sources.set(asset.id, { signature, source });
+    } catch (error) {
+      console.error("Failed to create data source:", error);
+    }
+  }
+};
+
+export const disconnectAssetSources = (sources) => {
+  for (const entry of sources.values()) entry.source.disconnect();
+  sources.clear();
+};
+
+/**
+ * Data awal aset dari riwayat: sampel mentah 15 menit terakhir (sparkline, baseline bergulir, dan riwayat prakiraan)
+ * dan rollup per jam 7 hari (baseline musiman).
+ * @returns {Promise<object>} - { recent, rollups } (bagian yang gagal dimuat bernilai [])
+ */
+export const loadAssetSeed = async (repositories, assetId, now = Date.now()) => {
+  const [recent, rollups] = await Promise.all([
+    loadMetricHistory(repositories.metrics.raw, now - HISTORY_RANGES['15m'].ms, assetId)
+      .catch((error) => {
+        console.error("Failed to load recent metrics:", error);
+        return [];
+      }),
+    loadMetricHistory(repositories.metrics['1h'], now - HISTORY_RANGES['7d'].ms, assetId)
+      .catch((error) => {
+        console.error("Failed to load seasonal baseline:", error);
+        return [];
+      }),
+  ]);
+  return { recent: recent.sort((a, b) => a.t - b.t), rollups };
+};
+
+export const applyAssetSeed = (state, { recent, rollups }) => ({
+  ...state,
+  recentSamples: recent.slice(-SPARKLINE_POINTS),
+  history: recent.slice(-FORECAST_MODEL_CONFIG.historySize),
+  // Warm the rolling baselines with the recent raw samples, then learn the hour-of-day baseline
+  baselines: seedSeasonalBaseline(
+    recent.reduce((baselines, record) => updateBaselines(baselines, record, record.t), state.baselines),
+    rollups,
+  ),
+});
+
+/**
+ * Menjalankan satu siklus scan untuk semua aset.
+ * @param {object} options
+ * @param {object} options.repositories - Repository storage.js.
+ * @param {object} options.metricsRecorder - Hasil createMetricsRecorder().
+ * @param {object[]} options.targets - Aset yang dipindai.
+ * @param {Map} options.sources - Adapter per aset (syncAssetSources).
+ * @param {object} options.states - State per aset dari siklus sebelumnya.
+ * @param {object[]} options.rules - Set aturan aktif.
+ * @param {object[]} options.incidents - Insiden yang pelanggarannya masih aktif (ACTIVE_INCIDENTS_QUERY, dengan openedAtMs).
+ * @param {object} options.outbox - Hasil createOutbox(); tulisan intervensi diantrekan di sini tanpa ditunggu.
+ * @param {number} options.escalationTimeout - Menit sebelum insiden Kritis dieskalasi.
+ * @param {object[]} [options.silences] - Jendela pemeliharaan dan silence (silencesQuery()); yang berlaku dihitung di sini.
+ * @param {object} [options.forecastConfig] - Hasil normalizeForecastConfig() dari odas_settings/forecast.
+ * @param {object} [options.chronicleHead] - Kepala rantai Finality Chronicle terakhir yang diketahui (odas_scanner/chronicle-head
+ *   atau chronicleHead hasil siklus sebelumnya).
+ * @param {Function} [options.notify] - notify(eventType, incident), tidak ditunggu; untuk insiden baru dipanggil setelah
+ *   insidennya terkirim dari outbox.
+ * @param {Function} [options.remediate] - remediate(incident) untuk insiden baru (setelah terkirim) dan run playbook yang
+ *   disetujui, tidak ditunggu.
+ * @param {number} [options.now] - Waktu scan (ms).
+ * @returns {Promise<object>} - { states, sourceStatuses, breachCount, suppressedCount, forecastCount, synced, chronicleHead }
+ *   (states hanya aset yang mendapat sampel baru; breachCount tanpa pelanggaran yang diredam dan pra-peringatan Prediksi; synced selesai setelah tulisan siklus ini terkirim beserta notifikasinya; chronicleHead untuk siklus berikutnya)
+ */
+export const runScanCycle = async ({
+  repositories,
+  metricsRecorder,
+  targets,
+  sources,
+  states,
+  rules,
+  incidents: activeIncidents,
+  outbox,
+  escalationTimeout,
+  silences = [],
+  forecastConfig = normalizeForecastConfig(),
+  chronicleHead = null,
+  notify = () => {},
+  remediate = () => {},
+  now = Date.now(),
+}) => {
+  const nextStates = {};
+  const sourceStatuses = {};
+  let breachCount = 0;
+  let suppressedCount = 0;
+  let forecastCount = 0;
+  const silenced = activeSilences(silences, now);
+  // Writes still waiting in the outbox count as applied, so an unsynced incident is not opened twice
+  const incidents = withPendingWrites(activeIncidents, outbox.pending(), repositories.interventions);
+  const writes = [];
+  const opened = [];
+
+  for (const asset of targets) {
+    // Read the next sample from the asset's data source adapter
+    const entry = sources.get(asset.id);
+    if (!entry) continue;
+    const previous = states[asset.id] || createAssetViewState();
+    const sample = await entry.source.read(previous.pathData);
+    sourceStatuses[asset.id] = entry.source.getStatus();
+    if (!sample) continue; // No fresh data: keep the last known values, stale warning shows in the status card
+
+    // Persist the sample to the asset's metric time-series
+    try {
+      await metricsRecorder.record(sample, now, asset.id);
+    } catch (error) {
+      console.error("Failed to record metric sample:", error);
+    }
+
+    // Run Orchestration Core with the asset's own baselines, rule state and threshold overrides
+    const result = scanAsset({ asset, sample, t: now, rules, state: previous, incidents, silences: silenced, forecastConfig });
+    const forecasted = result.breaches.filter(breach => isForecastSeverity(breach.severity));
+    const suppressed = result.breaches.filter(breach => breach.suppressedBy && !isForecastSeverity(breach.severity)).length;
+    breachCount += result.breaches.length - forecasted.length - suppressed;
+    suppressedCount += suppressed;
+    forecastCount += forecasted.filter(breach => !breach.suppressedBy).length;
+    nextStates[asset.id] = {
+      ...result.state,
+      pathData: { ...sample, lastScan: formatTime(now) },
+      recentSamples: [...previous.recentSamples, { t: now, ...sample }].slice(-SPARKLINE_POINTS),
+    };
+
+    // Group breaches into incidents: one document per asset + path + rule while the breach lasts
+    const planned = planIncidentWrites(repositories.interventions, result.plan, now);
+    writes.push(...planned.items);
+    opened.push(...planned.opened);
+    if (asset.id !== DEFAULT_ASSET_ID && asset.health !== result.health) {
+      try {
+        await recordAssetHealth(repositories.assets, asset.id, result.health);
+      } catch (error) {
+        console.error("Failed to record asset health:", error);
+      }
+    }
+  }
+
+  // Playbook runs an operator approved since the last scan
+  incidents
+    .filter(incident => incident.remediation && incident.remediation.status === RUN_STATUS.APPROVED)
+    .forEach(incident => remediate(incident));
+
+  // Auto-escalate Kritis incidents nobody acknowledged in time
+  const escalations = findEscalations(incidents, escalationTimeout, now);
+  writes.push(...escalations.map(escalation => escalationWrite(repositories.interventions, escalation)));
+
+  // Chain the new incidents and lifecycle changes onto the Finality Chronicle, then one batch for the whole cycle; the outbox retries it until it lands
+  const chained = await sealChronicleWrites(repositories, writes, { head: chronicleHead, pending: outbox.pending(), now });
+  const synced = outbox.enqueue(chained.items)
+    .then(() => {
+      opened.forEach((incident) => {
+        notify(NOTIFICATION_EVENTS.OPENED, incident);
+        if (!isForecastSeverity(incident.severity)) remediate(incident);
+      });
+      escalations.forEach((escalation) => {
+        const incident = incidents.find(item => item.id === escalation.id);
+        notify(NOTIFICATION_EVENTS.ESCALATED, { ...incident, severity: escalation.to, escalatedFrom: escalation.from });
+      });
+    })
+    .catch(error => console.error("Failed to log intervention:", error));
+
+  return { states: nextStates, sourceStatuses, breachCount, suppressedCount, forecastCount, synced, chronicleHead: chained.head };
+};
+
+// Ringkasan status utama ODAS untuk satu siklus; pelanggaran yang diredam silence dan pra-peringatan Prediksi hanya
+// disebut jumlahnya
+export const describeScanResult = (breachCount, suppressedCount = 0, forecastCount = 0) => [
+  breachCount > 0 ? t('scan.result.breaches', { count: breachCount }) : t('scan.result.normal'),
+  suppressedCount > 0 ? t('scan.result.suppressed', { count: suppressedCount }) : null,
+  forecastCount > 0 ? t('scan.result.forecast', { count: forecastCount }) : null,
+].filter(Boolean).join(' ');
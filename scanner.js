@@ -0,0 +1,81 @@
+// --- ODAS PER-ASSET SCANNER ---
+//
+// Satu langkah scan untuk satu aset, tanpa I/O: deviasi baseline milik aset, aturan aktif dengan
+// override batas aset, lalu rencana tulis insiden yang hanya menyentuh insiden aset tersebut.
+// Pelanggaran dalam jendela pemeliharaan atau silence (silences.js) tetap masuk rencana dengan suppressedBy,
+// tetapi tidak dihitung dalam kesehatan aset.
+// Prakiraan (forecasting.js) dibuat dari riwayat scan aset; pra-peringatan Prediksi masuk rencana seperti pelanggaran
+// berseverity 'forecast', juga tanpa mempengaruhi kesehatan aset.
+// State per aset: { ruleState, baselines, deviations, history, forecasts, warningState }.
+
+import { applyThresholdOverrides } from './ruleEngine.js';
+import { orchestrateControl } from './orchestration.js';
+import { reconcileIncidents, isCriticalSeverity, isForecastSeverity, assetIdOf } from './incidents.js';
+import { createBaselineState, updateBaselines, computeDeviations } from './anomalyDetection.js';
+import { ASSET_HEALTH } from './assets.js';
+import { silenceFor } from './silences.js';
+import { forecastAsset, normalizeForecastConfig, FORECAST_MODEL_CONFIG } from './forecasting.js';
+
+export const createAssetScanState = () => ({
+  ruleState: {},
+  baselines: createBaselineState(),
+  deviations: {},
+  history: [],
+  forecasts: {},
+  warningState: {},
+});
+
+/**
+ * Kesehatan aset dari pelanggaran aktif pada scan terakhir (pra-peringatan Prediksi tidak dihitung).
+ */
+export const healthFromBreaches = (breaches) => {
+  const actual = breaches.filter(breach => !isForecastSeverity(breach.severity));
+  if (actual.length === 0) return ASSET_HEALTH.HEALTHY;
+  return actual.some(breach => isCriticalSeverity(breach.severity)) ? ASSET_HEALTH.CRITICAL : ASSET_HEALTH.DEGRADED;
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.asset - Dokumen aset ({ id, thresholdOverrides }).
+ * @param {object} options.sample - Sampel metrik aset ini.
+ * @param {number} options.t - Waktu scan (ms).
+ * @param {object[]} options.rules - Set aturan aktif.
+ * @param {object} options.state - State scan aset dari scan sebelumnya.
+ * @param {object[]} options.incidents - Semua insiden (difilter ke aset ini di sini).
+ * @param {object[]} [options.silences] - Silence yang berlaku saat ini (activeSilences()).
+ * @param {object} [options.forecastConfig] - Hasil normalizeForecastConfig().
+ * @returns {object} - { state, breaches, plan: { toOpen, toUpdate, toClose }, health } (breaches dengan suppressedBy,
+ *   termasuk pra-peringatan Prediksi)
+ */
+export const scanAsset = ({ asset, sample, t, rules, state, incidents, silences = [], forecastConfig = normalizeForecastConfig() }) => {
+  // Compare against the baselines before the sample is folded into them
+  const deviations = computeDeviations(state.baselines, sample, t);
+  const baselines = updateBaselines(state.baselines, sample, t);
+
+  const effectiveRules = applyThresholdOverrides(rules, asset.thresholdOverrides);
+  const { interventions, ruleState } = orchestrateControl(sample, effectiveRules, state.ruleState, deviations);
+
+  // Forecast from the scan history including this sample; rules that already breach need no pre-warning
+  const history = [...(state.history || []), { ...sample, t }].slice(-FORECAST_MODEL_CONFIG.historySize);
+  const { forecasts, warnings, warningState } = forecastAsset({
+    history,
+    rules: effectiveRules,
+    ruleState,
+    warningState: state.warningState,
+    config: forecastConfig,
+  });
+
+  const breaches = [...interventions, ...warnings].map((breach) => {
+    const silence = silenceFor({ ...breach, assetId: asset.id }, silences);
+    return { ...breach, assetId: asset.id, suppressedBy: silence ? silence.id : null };
+  });
+
+  const openIncidents = incidents.filter(incident => incident.breachActive && assetIdOf(incident) === asset.id);
+
+  return {
+    state: { ruleState, baselines, deviations, history, forecasts, warningState },
+    breaches,
+    plan: reconcileIncidents(openIncidents, breaches),
+    health: healthFromBreaches(breaches.filter(breach => !breach.suppressedBy)),
+  };
+};
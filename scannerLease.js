@@ -0,0 +1,77 @@
+// --- ODAS SCANNER LEASE ---
+//
+// Hanya satu pemindai boleh menulis insiden dan metrik. Pemindai (daemon atau tab panel) memegang
+// lease di odas_scanner/lease yang harus diperpanjang sebelum leaseUntilMs lewat; bila pemegangnya
+// mati, lease kedaluwarsa dan kandidat lain mengambil alih. Daemon berprioritas lebih tinggi dan
+// langsung merebut lease dari panel, sehingga panel otomatis menjadi penampil saat daemon berjalan.
+// Pemindai aktif juga menulis odas_scanner/status tiap scan agar penampil melihat state per aset.
+
+export const SCANNER_LEASE_DOC = 'lease';
+export const SCANNER_STATUS_DOC = 'status';
+
+export const LEASE_PRIORITY = {
+  panel: 0,
+  daemon: 1,
+};
+
+export const DEFAULT_LEASE_TTL_MS = 15 * 1000;
+
+export const isLeaseLive = (lease, now = Date.now()) => Boolean(lease && lease.holderId && lease.leaseUntilMs > now);
+
+/**
+ * Mengambil atau memperpanjang lease secara atomik.
+ * @param {object} repository - Repository scanner (storage.js).
+ * @param {object} candidate - { holderId, label, priority, ttlMs }
+ * @returns {Promise<boolean>} - true bila kandidat kini memegang lease.
+ */
+export const acquireLease = (repository, { holderId, label, priority = LEASE_PRIORITY.panel, ttlMs = DEFAULT_LEASE_TTL_MS }, now = Date.now()) => (
+  repository.transact(SCANNER_LEASE_DOC, (current) => {
+    const isHolder = Boolean(current) && current.holderId === holderId;
+    const canTake = !isLeaseLive(current, now) || isHolder || priority > (current.priority || 0);
+    if (!canTake) return { result: false };
+    return {
+      result: true,
+      data: {
+        holderId,
+        label,
+        priority,
+        acquiredAtMs: isHolder ? current.acquiredAtMs : now,
+        renewedAtMs: now,
+        leaseUntilMs: now + ttlMs,
+      },
+    };
+  })
+);
+
+/**
+ * Melepas lease saat berhenti dengan rapi, agar kandidat lain tidak perlu menunggu TTL habis.
+ */
+export const releaseLease = (repository, holderId) => repository.transact(SCANNER_LEASE_DOC, (current) => (
+  current && current.holderId === holderId
+    ? { result: true, data: { ...current, leaseUntilMs: 0, releasedAtMs: Date.now() } }
+    : { result: false }
+));
+
+/**
+ * Snapshot state per aset untuk penampil (baseline dan riwayat prakiraan mentah tidak ditulis, hanya deviasi dan prakiraannya).
+ * @param {object} repository - Repository scanner.
+ * @param {object} status - { holderId, label, scannedAt, breachCount, suppressedCount, forecastCount, states, sourceStatuses }
+ */
+export const writeScannerStatus = (repository, { holderId, label, scannedAt, breachCount, suppressedCount = 0, forecastCount = 0, states, sourceStatuses }) => (
+  repository.set(SCANNER_STATUS_DOC, {
+    holderId,
+    label,
+    scannedAt,
+    breachCount,
+    suppressedCount,
+    forecastCount,
+    assets: Object.fromEntries(Object.entries(states).map(([assetId, state]) => [assetId, {
+      pathData: state.pathData,
+      recentSamples: state.recentSamples,
+      ruleState: state.ruleState,
+      deviations: state.deviations,
+      forecasts: state.forecasts || {},
+      sourceStatus: sourceStatuses[assetId] || null,
+    }])),
+  })
+);
@@ -0,0 +1,265 @@
+// --- ODAS SCENARIO SIMULATOR ---
+//
+// Mesin skenario untuk latihan dan demo: deret metrik yang dapat diputar ulang persis dari seed yang sama.
+// Satu langkah = satu siklus scan (stepMs hanya dipakai untuk memberi stempel waktu saat dirender ke deret).
+// Model per metrik, dijumlahkan lalu dibatasi ke [min, max]:
+//   - mean-reverting random walk: base += reversion * (mean + trend * langkah - base) + volatility * N(0, 1)
+//   - seasonality: amplitude * sin(2π * (langkah + phase) / periodSteps)
+//   - shocks: kejadian terjadwal { metric, atStep, durationSteps, magnitude, shape, everySteps }
+//   - correlations: { from, to, coefficient } menambahkan coefficient * (nilai from - mean from) ke metrik to,
+//     diterapkan berurutan sehingga lonjakan latency ikut menaikkan skor anomali.
+// Skenario disimpan sebagai file JSON bernama (lihat odas.scenario.example.json) dan dipakai oleh sumber data
+// 'scenario', daemon (config.scenarios), dan backtest. Tanpa file, sumber 'random' memutar DEMO_SCENARIO
+// dengan seed baru yang ditampilkan di status sumber.
+// Model bawaan per metrik (DEFAULT_METRIC_MODELS) dideklarasikan oleh plugin jalur (paths.js).
+
+import { PATH_METRIC_KEYS, DEFAULT_METRIC_MODELS } from './paths.js';
+import { t } from './i18n.js';
+
+export const SHOCK_SHAPES = {
+  step: () => 1, // konstan selama durasi
+  spike: (progress) => 1 - progress, // langsung penuh lalu meluruh linear
+  ramp: (progress) => progress, // naik linear sampai penuh
+};
+
+export const DEFAULT_SCENARIO_STEP_MS = 5000;
+
+// Panjang deret bila skenario tanpa batas (steps: null) dirender untuk backtest: 1 jam pada 5 detik
+export const DEFAULT_RENDER_STEPS = 720;
+
+// Demo 'Digital Chaos': tenang secara umum, dengan lonjakan berkala agar aturan bawaan sesekali terpicu
+export const DEMO_SCENARIO = {
+  name: 'digital-chaos',
+  description: 'Demo bawaan sumber Simulasi Acak',
+  seed: 'digital-chaos',
+  stepMs: DEFAULT_SCENARIO_STEP_MS,
+  steps: null,
+  loop: false,
+  metrics: {
+    systemLatency: { seasonality: { amplitude: 15, periodSteps: 360, phase: 0 } },
+    publicSentiment: { seasonality: { amplitude: 0.05, periodSteps: 720, phase: 180 } },
+  },
+  correlations: [
+    { from: 'systemLatency', to: 'anomalyScore', coefficient: 0.002 },
+    { from: 'assetVolatility', to: 'marketLiquidity', coefficient: -1500000 },
+    { from: 'assetVolatility', to: 'publicSentiment', coefficient: -1 },
+  ],
+  shocks: [
+    { metric: 'systemLatency', atStep: 40, durationSteps: 8, magnitude: 180, shape: 'spike', everySteps: 150 },
+    { metric: 'assetVolatility', atStep: 90, durationSteps: 24, magnitude: 0.12, shape: 'ramp', everySteps: 240 },
+  ],
+};
+
+// --- SEEDABLE RNG ---
+
+// FNV-1a 32-bit: seed string/angka -> state awal RNG
+export const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * RNG mulberry32: deret yang sama untuk seed yang sama di browser maupun Node.
+ * @param {string|number} seed
+ * @returns {Function} - () => angka [0, 1)
+ */
+export const createRng = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Normal baku lewat Box-Muller; selalu memakai dua angka RNG agar deret tetap sejajar
+const gaussian = (rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Seed acak untuk demo yang tidak perlu diulang; tetap ditampilkan agar bisa disalin ke file skenario
+export const randomSeed = () => Math.floor(Math.random() * 1e9).toString(36);
+
+// --- SCENARIO FILES ---
+
+/**
+ * Melengkapi skenario dengan nilai bawaan (model metrik yang tidak disebut memakai DEFAULT_METRIC_MODELS).
+ * @param {object} scenario - Isi file skenario.
+ * @returns {object}
+ */
+export const normalizeScenario = (scenario = {}) => ({
+  name: scenario.name || 'scenario',
+  description: scenario.description || '',
+  seed: scenario.seed ?? 0,
+  stepMs: scenario.stepMs ?? DEFAULT_SCENARIO_STEP_MS,
+  steps: scenario.steps ?? null,
+  loop: scenario.loop === true,
+  metrics: Object.fromEntries(PATH_METRIC_KEYS.map(metric => [metric, {
+    ...DEFAULT_METRIC_MODELS[metric],
+    ...((scenario.metrics && scenario.metrics[metric]) || {}),
+  }])),
+  correlations: scenario.correlations || [],
+  shocks: scenario.shocks || [],
+});
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * @param {object} scenario - Hasil normalizeScenario().
+ * @returns {string[]} - Pesan kesalahan (kosong = valid).
+ */
+export const validateScenario = (scenario) => {
+  const errors = [];
+  if (!(isNumber(scenario.stepMs) && scenario.stepMs > 0)) errors.push(t('scenario.error.stepMs'));
+  if (scenario.steps !== null && !(Number.isInteger(scenario.steps) && scenario.steps > 0)) errors.push(t('scenario.error.steps'));
+
+  for (const [metric, model] of Object.entries(scenario.metrics)) {
+    if (!['initial', 'mean', 'volatility', 'trend'].every(key => isNumber(model[key])) || model.volatility < 0) {
+      errors.push(t('scenario.error.model', { metric }));
+    }
+    if (!(isNumber(model.reversion) && model.reversion >= 0 && model.reversion <= 1)) errors.push(t('scenario.error.reversion', { metric }));
+    if ((model.min !== null && !isNumber(model.min)) || (model.max !== null && !isNumber(model.max))
+      || (isNumber(model.min) && isNumber(model.max) && model.min > model.max)) {
+      errors.push(t('scenario.error.bounds', { metric }));
+    }
+    const { seasonality } = model;
+    if (seasonality && !(isNumber(seasonality.amplitude) && isNumber(seasonality.periodSteps) && seasonality.periodSteps > 0)) {
+      errors.push(t('scenario.error.seasonality', { metric }));
+    }
+  }
+
+  scenario.correlations.forEach((correlation, index) => {
+    if (!scenario.metrics[correlation.from] || !scenario.metrics[correlation.to] || correlation.from === correlation.to
+      || !isNumber(correlation.coefficient)) {
+      errors.push(t('scenario.error.correlation', { index: index + 1 }));
+    }
+  });
+
+  scenario.shocks.forEach((shock, index) => {
+    const valid = scenario.metrics[shock.metric]
+      && Number.isInteger(shock.atStep) && shock.atStep >= 0
+      && Number.isInteger(shock.durationSteps) && shock.durationSteps > 0
+      && isNumber(shock.magnitude)
+      && SHOCK_SHAPES[shock.shape || 'step']
+      && (shock.everySteps === undefined || shock.everySteps === null || (Number.isInteger(shock.everySteps) && shock.everySteps >= shock.durationSteps));
+    if (!valid) errors.push(t('scenario.error.shock', { index: index + 1 }));
+  });
+  return errors;
+};
+
+/**
+ * Membaca file skenario JSON, melengkapi, dan memvalidasinya.
+ * @param {string} text - Isi file.
+ * @returns {object} - Skenario ternormalisasi.
+ * @throws {Error} - Bila JSON rusak atau skenario tidak valid.
+ */
+export const parseScenario = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(t('scenario.error.json', { error: error.message }));
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(t('scenario.error.notObject'));
+  const scenario = normalizeScenario(raw);
+  // normalizeScenario only keeps known metrics, so a typo would otherwise be dropped silently
+  const unknown = Object.keys(raw.metrics || {}).filter(metric => !DEFAULT_METRIC_MODELS[metric]);
+  const errors = [
+    ...unknown.map(metric => t('scenario.error.unknownMetric', { metric })),
+    ...validateScenario(scenario),
+  ];
+  if (errors.length > 0) throw new Error(errors.join(' '));
+  return scenario;
+};
+
+// File .json (bukan .ndjson/.jsonl) berisi satu objek skenario, bukan rekaman baris per baris
+export const isScenarioFile = (fileName = '') => /\.json$/i.test(fileName);
+
+// --- ENGINE ---
+
+const shockEffect = (shock, step) => {
+  let offset = step - shock.atStep;
+  if (offset < 0) return 0;
+  if (shock.everySteps) offset %= shock.everySteps;
+  if (offset >= shock.durationSteps) return 0;
+  return shock.magnitude * SHOCK_SHAPES[shock.shape || 'step'](offset / shock.durationSteps);
+};
+
+const clampTo = (value, model) => {
+  const lower = model.min === null ? -Infinity : model.min;
+  const upper = model.max === null ? Infinity : model.max;
+  return Math.min(upper, Math.max(lower, value));
+};
+
+/**
+ * Mesin skenario berstatus; dua mesin dengan skenario yang sama menghasilkan deret yang identik.
+ * @param {object} scenario - Hasil normalizeScenario()/parseScenario().
+ * @returns {object} - { next() -> sampel|null (null = skenario selesai), step(), reset() }
+ */
+export const createScenarioEngine = (scenario) => {
+  let rng;
+  let step;
+  let base;
+
+  const reset = () => {
+    rng = createRng(scenario.seed);
+    step = 0;
+    base = Object.fromEntries(PATH_METRIC_KEYS.map(metric => [metric, scenario.metrics[metric].initial]));
+  };
+  reset();
+
+  const next = () => {
+    if (scenario.steps !== null && step >= scenario.steps) {
+      if (!scenario.loop) return null;
+      reset();
+    }
+
+    const values = {};
+    const means = {};
+    for (const metric of PATH_METRIC_KEYS) {
+      const model = scenario.metrics[metric];
+      means[metric] = model.mean + model.trend * step;
+      // The first step reports the initial value; the walk starts moving from the second one
+      if (step > 0) {
+        base[metric] = clampTo(base[metric] + model.reversion * (means[metric] - base[metric]) + model.volatility * gaussian(rng), model);
+      }
+      const seasonal = model.seasonality
+        ? model.seasonality.amplitude * Math.sin((2 * Math.PI * (step + (model.seasonality.phase || 0))) / model.seasonality.periodSteps)
+        : 0;
+      values[metric] = base[metric] + seasonal;
+    }
+    for (const shock of scenario.shocks) values[shock.metric] += shockEffect(shock, step);
+    for (const { from, to, coefficient } of scenario.correlations) values[to] += coefficient * (values[from] - means[from]);
+
+    step += 1;
+    return Object.fromEntries(PATH_METRIC_KEYS.map(metric => [metric, clampTo(values[metric], scenario.metrics[metric])]));
+  };
+
+  return { next, step: () => step, reset };
+};
+
+/**
+ * Merender skenario menjadi deret sampel berstempel waktu { t, ...metrik } (backtest, ekspor).
+ * @param {object} scenario
+ * @param {number} [startMs] - Waktu langkah pertama.
+ * @param {number} [steps] - Bawaan: scenario.steps, atau DEFAULT_RENDER_STEPS untuk skenario tanpa batas.
+ * @returns {object[]}
+ */
+export const renderScenario = (scenario, startMs = 0, steps = scenario.steps ?? DEFAULT_RENDER_STEPS) => {
+  const engine = createScenarioEngine({ ...scenario, loop: false });
+  const samples = [];
+  for (let index = 0; index < steps; index++) {
+    const sample = engine.next();
+    if (!sample) break;
+    samples.push({ t: startMs + index * scenario.stepMs, ...sample });
+  }
+  return samples;
+};
@@ -0,0 +1,29 @@
+// --- ODAS SILENCE ACTIONS ---
+//
+// Operasi tulis jendela pemeliharaan dan silence. Menerima repository silences dari storage.js.
+// Entri tidak pernah dihapus: mengakhiri lebih awal mengisi endedAtMs sehingga riwayatnya tetap terbaca.
+
+import { fieldOps } from './storage.js';
+import { activeUntilOf } from './silences.js';
+
+export const createSilence = (repository, draft, actor) => repository.add({
+  kind: draft.kind,
+  reason: draft.reason.trim(),
+  scope: {
+    paths: draft.scope.paths || [],
+    assetIds: draft.scope.assetIds || [],
+    ruleIds: draft.scope.ruleIds || [],
+  },
+  schedule: draft.schedule,
+  activeUntilMs: activeUntilOf(draft.schedule),
+  endedAtMs: null,
+  createdBy: actor,
+  createdAt: fieldOps.serverTimestamp(),
+});
+
+export const endSilence = (repository, id, actor, now = Date.now()) => repository.update(id, {
+  endedAtMs: now,
+  activeUntilMs: now,
+  endedBy: actor,
+  endedAt: fieldOps.serverTimestamp(),
+});
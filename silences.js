@@ -0,0 +1,298 @@
+// --- ODAS MAINTENANCE WINDOWS & SILENCES ---
+//
+// Pelanggaran yang terjadi selama jendela pemeliharaan atau silence tetap dicatat sebagai insiden, tetapi ditandai
+// suppressed: tidak memicu notifikasi, playbook, maupun eskalasi, dan tidak dihitung dalam status utama ODAS,
+// kesehatan aset, dan kesehatan sistem. Bila pelanggaran berlanjut setelah jendelanya berakhir, insiden dilaporkan
+// seperti insiden baru (notifikasi dan playbook).
+//   kind 'maintenance'  pekerjaan terencana: sekali ({ type: 'once', startsAtMs, endsAtMs }) atau berulang
+//                       ({ type: 'cron', cron: '0 2 * * 6', durationMinutes, utcOffsetMinutes, untilMs })
+//   kind 'silence'      peredaman ad-hoc dari sekarang sampai kedaluwarsa, selalu dengan alasan
+// Cakupan { paths, assetIds, ruleIds }: daftar kosong = semua; pelanggaran cocok bila ketiga dimensi cocok.
+// Cron memakai lima field (menit jam tanggal bulan hari-minggu) dengan *, daftar, rentang, dan langkah, dibaca pada
+// zona utcOffsetMinutes (diisi dari zona pembuatnya) agar daemon dan panel di zona lain sepakat.
+// Dokumen disimpan di odas_silences; mengakhiri lebih awal mengisi endedAtMs, dokumen tidak pernah dihapus.
+
+import { RULE_PATHS, pathLabel } from './paths.js';
+import { assetIdOf } from './incidents.js';
+import { t, formatDateTime } from './i18n.js';
+
+export const SILENCE_KINDS = {
+  MAINTENANCE: 'maintenance',
+  SILENCE: 'silence',
+};
+
+export const SILENCE_KIND_LABELS = {
+  [SILENCE_KINDS.MAINTENANCE]: t('silences.kind.maintenance'),
+  [SILENCE_KINDS.SILENCE]: t('silences.kind.silence'),
+};
+
+export const SCHEDULE_TYPES = {
+  ONCE: 'once',
+  CRON: 'cron',
+};
+
+// Pilihan durasi silence ad-hoc (menit)
+export const SILENCE_DURATIONS = [30, 60, 120, 240, 480, 1440];
+
+// Jendela berulang terpanjang, juga batas pencarian jendela aktif
+export const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+// Jendela pemeliharaan berikutnya dicari sejauh ini ke depan
+export const UPCOMING_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// Batas activeUntilMs untuk jadwal berulang tanpa akhir
+const OPEN_ENDED_MS = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Entri yang masih mungkin berlaku sejak `now` (yang sudah berakhir tidak perlu dimuat).
+ * @param {number} [now]
+ * @returns {object} - Opsi query repository silences.
+ */
+export const silencesQuery = (now = Date.now()) => ({ where: [['activeUntilMs', '>', now]] });
+
+// --- CRON ---
+
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 }, // 0 dan 7 = Minggu
+];
+
+const parseCronField = (text, { min, max }) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return null;
+    const [, all, from, to, step] = match;
+    const start = all ? min : Number(from);
+    const end = all ? max : to !== undefined ? Number(to) : step ? max : start;
+    const by = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || by < 1) return null;
+    for (let value = start; value <= end; value += by) values.add(value);
+  }
+  return values;
+};
+
+/**
+ * @param {string} expression - Lima field cron, mis. '0 2 * * 6' (Sabtu 02:00).
+ * @returns {object|null} - Cron terurai, atau null bila tidak valid.
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) return null;
+  const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (fields.some(field => field === null)) return null;
+  const [minutes, hours, days, months, weekdays] = fields;
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+};
+
+// Same day rule as classic cron: with both day fields restricted, either one may match
+const cronMatches = (cron, ms, utcOffsetMinutes) => {
+  const date = new Date(ms + utcOffsetMinutes * MINUTE_MS);
+  if (!cron.minutes.has(date.getUTCMinutes()) || !cron.hours.has(date.getUTCHours()) || !cron.months.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay || cron.anyWeekday) return (cron.anyDay || dayMatch) && (cron.anyWeekday || weekdayMatch);
+  return dayMatch || weekdayMatch;
+};
+
+// --- WINDOWS ---
+
+const endOf = (silence, endMs) => (typeof silence.endedAtMs === 'number' ? Math.min(endMs, silence.endedAtMs) : endMs);
+
+/**
+ * Jendela yang sedang berlaku pada `now`.
+ * @param {object} silence - Dokumen odas_silences.
+ * @param {number} [now]
+ * @returns {object|null} - { startMs, endMs }
+ */
+export const windowAt = (silence, now = Date.now()) => {
+  const { schedule } = silence;
+  if (!schedule || (typeof silence.endedAtMs === 'number' && silence.endedAtMs <= now)) return null;
+  if (schedule.type === SCHEDULE_TYPES.ONCE) {
+    return schedule.startsAtMs <= now && now < schedule.endsAtMs ? { startMs: schedule.startsAtMs, endMs: endOf(silence, schedule.endsAtMs) } : null;
+  }
+  const cron = parseCron(schedule.cron);
+  if (!cron) return null;
+  const durationMs = schedule.durationMinutes * MINUTE_MS;
+  for (let start = Math.floor(now / MINUTE_MS) * MINUTE_MS; start > now - durationMs; start -= MINUTE_MS) {
+    if (typeof schedule.untilMs === 'number' && start >= schedule.untilMs) continue;
+    if (cronMatches(cron, start, schedule.utcOffsetMinutes || 0)) return { startMs: start, endMs: endOf(silence, start + durationMs) };
+  }
+  return null;
+};
+
+/**
+ * Jendela berikutnya yang dimulai setelah `now` (dalam UPCOMING_HORIZON_MS).
+ * @returns {object|null} - { startMs, endMs }
+ */
+export const nextWindow = (silence, now = Date.now()) => {
+  const { schedule } = silence;
+  if (!schedule || typeof silence.endedAtMs === 'number') return null;
+  if (schedule.type === SCHEDULE_TYPES.ONCE) {
+    return schedule.startsAtMs > now ? { startMs: schedule.startsAtMs, endMs: schedule.endsAtMs } : null;
+  }
+  const cron = parseCron(schedule.cron);
+  if (!cron) return null;
+  const first = Math.floor(now / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  for (let start = first; start <= now + UPCOMING_HORIZON_MS; start += MINUTE_MS) {
+    if (typeof schedule.untilMs === 'number' && start >= schedule.untilMs) return null;
+    if (cronMatches(cron, start, schedule.utcOffsetMinutes || 0)) return { startMs: start, endMs: start + schedule.durationMinutes * MINUTE_MS };
+  }
+  return null;
+};
+
+/**
+ * Entri yang berlaku pada `now`, masing-masing dengan jendelanya.
+ * @param {object[]} silences - Dokumen odas_silences.
+ * @param {number} [now]
+ * @returns {object[]} - [{ ...silence, window }]
+ */
+export const activeSilences = (silences, now = Date.now()) => silences
+  .map(silence => ({ ...silence, window: windowAt(silence, now) }))
+  .filter(silence => silence.window);
+
+const within = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+/**
+ * @param {object} silence
+ * @param {object} target - Pelanggaran atau insiden { path, assetId, ruleId }.
+ * @returns {boolean}
+ */
+export const matchesScope = (silence, target) => {
+  const scope = silence.scope || {};
+  return within(scope.paths, target.path) && within(scope.assetIds, assetIdOf(target)) && within(scope.ruleIds, target.ruleId);
+};
+
+/**
+ * Entri aktif pertama yang mencakup pelanggaran.
+ * @param {object} target - { path, assetId, ruleId }
+ * @param {object[]} active - Hasil activeSilences().
+ * @returns {object|null}
+ */
+export const silenceFor = (target, active) => active.find(silence => matchesScope(silence, target)) || null;
+
+// --- DRAFTS ---
+
+/**
+ * Draf baru untuk formulir; silence dimulai sekarang, pemeliharaan satu jam lagi.
+ * @param {string} kind - SILENCE_KINDS.
+ * @param {number} [now]
+ * @returns {object}
+ */
+export const createSilenceDraft = (kind, now = Date.now()) => {
+  const hour = 60 * MINUTE_MS;
+  const startsAtMs = kind === SILENCE_KINDS.SILENCE ? now : Math.ceil(now / hour) * hour + hour;
+  return {
+    kind,
+    reason: '',
+    scope: { paths: [], assetIds: [], ruleIds: [] },
+    schedule: { type: SCHEDULE_TYPES.ONCE, startsAtMs, endsAtMs: startsAtMs + hour },
+  };
+};
+
+/**
+ * Jadwal berulang bawaan untuk formulir, pada zona waktu pembuatnya.
+ * @returns {object}
+ */
+export const createCronSchedule = (now = Date.now()) => ({
+  type: SCHEDULE_TYPES.CRON,
+  cron: '0 2 * * 6',
+  durationMinutes: 120,
+  utcOffsetMinutes: -new Date(now).getTimezoneOffset(),
+  untilMs: null,
+});
+
+/**
+ * @param {object} draft - { kind, reason, scope, schedule }
+ * @param {number} [now]
+ * @returns {string[]} - Pesan kesalahan (kosong = valid).
+ */
+export const validateSilence = (draft, now = Date.now()) => {
+  const errors = [];
+  if (!Object.values(SILENCE_KINDS).includes(draft.kind)) errors.push(t('silences.error.kind'));
+  if (!String(draft.reason || '').trim()) errors.push(t('silences.error.reason'));
+  const scope = draft.scope || {};
+  if ((scope.paths || []).some(path => !RULE_PATHS.includes(path))) errors.push(t('silences.error.path'));
+
+  const { schedule } = draft;
+  if (!schedule || !Object.values(SCHEDULE_TYPES).includes(schedule.type)) {
+    errors.push(t('silences.error.schedule'));
+  } else if (schedule.type === SCHEDULE_TYPES.ONCE) {
+    if (!(Number.isFinite(schedule.startsAtMs) && Number.isFinite(schedule.endsAtMs) && schedule.startsAtMs < schedule.endsAtMs)) {
+      errors.push(t('silences.error.range'));
+    } else if (schedule.endsAtMs <= now) {
+      errors.push(t('silences.error.past'));
+    }
+  } else {
+    if (draft.kind !== SILENCE_KINDS.MAINTENANCE) errors.push(t('silences.error.cronKind'));
+    if (!parseCron(schedule.cron)) errors.push(t('silences.error.cron', { cron: String(schedule.cron || '') }));
+    if (!(Number.isInteger(schedule.durationMinutes) && schedule.durationMinutes >= 1 && schedule.durationMinutes <= MAX_WINDOW_MINUTES)) {
+      errors.push(t('silences.error.duration', { max: MAX_WINDOW_MINUTES }));
+    }
+    if (!(Number.isInteger(schedule.utcOffsetMinutes) && Math.abs(schedule.utcOffsetMinutes) <= 14 * 60)) errors.push(t('silences.error.offset'));
+    if (schedule.untilMs !== null && schedule.untilMs !== undefined && !(Number.isFinite(schedule.untilMs) && schedule.untilMs > now)) {
+      errors.push(t('silences.error.until'));
+    }
+  }
+  return errors;
+};
+
+/**
+ * Batas akhir sebuah entri untuk silencesQuery(): akhir jendela sekali jalan atau untilMs jadwal berulang.
+ * @param {object} schedule
+ * @returns {number}
+ */
+export const activeUntilOf = (schedule) => (schedule.type === SCHEDULE_TYPES.ONCE
+  ? schedule.endsAtMs
+  : (typeof schedule.untilMs === 'number' ? schedule.untilMs + schedule.durationMinutes * MINUTE_MS : OPEN_ENDED_MS));
+
+// --- DESCRIPTIONS ---
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Cakupan sebagai teks, mis. 'Infrastruktur · Aset Utama'.
+ * @param {object} silence
+ * @param {object} [names] - { assets: { [id]: nama }, rules: { [id]: nama } }
+ * @returns {string}
+ */
+export const describeScope = (silence, { assets = {}, rules = {} } = {}) => {
+  const scope = silence.scope || {};
+  const parts = [
+    ...(scope.paths || []).map(pathLabel),
+    ...(scope.assetIds || []).map(id => assets[id] || id),
+    ...(scope.ruleIds || []).map(id => rules[id] || id),
+  ];
+  return parts.length > 0 ? parts.join(' · ') : t('silences.scope.all');
+};
+
+/**
+ * Jadwal sebagai teks.
+ * @param {object} schedule
+ * @returns {string}
+ */
+export const describeSchedule = (schedule) => {
+  if (schedule.type === SCHEDULE_TYPES.ONCE) {
+    return t('silences.schedule.once', { from: formatDateTime(schedule.startsAtMs), to: formatDateTime(schedule.endsAtMs) });
+  }
+  const text = t('silences.schedule.cron', {
+    cron: schedule.cron,
+    minutes: schedule.durationMinutes,
+    offset: formatOffset(schedule.utcOffsetMinutes || 0),
+  });
+  return typeof schedule.untilMs === 'number'
+    ? `${text} ${t('silences.schedule.until', { until: formatDateTime(schedule.untilMs) })}`
+    : text;
+};
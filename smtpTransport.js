@@ -0,0 +1,119 @@
+// --- ODAS SMTP TRANSPORT (NODE) ---
+//
+// Klien SMTP minimal untuk kanal email notifications.js. Hanya berjalan di Node (node:net / node:tls),
+// sehingga panel browser tidak mengimpornya; daemon dan skrip dev yang memasangnya sebagai transports.smtp.
+// Alur: salam 220 -> EHLO -> (AUTH LOGIN) -> MAIL FROM -> RCPT TO -> DATA -> QUIT.
+// secure: true membuka koneksi TLS langsung (port 465); STARTTLS tidak didukung.
+
+import net from 'node:net';
+import tls from 'node:tls';
+import { t } from './i18n.js';
+
+const SMTP_TIMEOUT_MS = 15 * 1000;
+
+// Membaca balasan SMTP multi-baris ("250-...", "250 ...") satu per satu
+const createReplyReader = (socket) => {
+  let buffer = '';
+  const waiting = [];
+  const replies = [];
+  let failure = null;
+
+  const flush = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let lines = [];
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    if (lines.length > 0) buffer = `${lines.join('\r\n')}\r\n${buffer}`;
+    flush();
+  });
+  socket.on('error', (error) => { failure = error; flush(); });
+  socket.on('close', () => { failure = failure || new Error(t('notifications.error.smtpClosed')); flush(); });
+
+  return () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    flush();
+  });
+};
+
+const encodeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`);
+
+// Baris yang diawali '.' digandakan agar tidak mengakhiri DATA lebih awal
+const dotStuff = (text) => text.replace(/\r?\n/g, '\r\n').split('\r\n').map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+
+export const parseRecipients = (text) => String(text || '').split(/[,;\s]+/).map(address => address.trim()).filter(Boolean);
+
+/**
+ * Transport untuk createDispatcher({ transports: { smtp } }).
+ * @param {object} channel - Kanal email ({ email: { host, port, secure, user, pass, from, to } }).
+ * @param {object} payload - { subject, text } dari buildPayload('email', ...).
+ * @returns {Promise<object>} - { statusCode } kode balasan SMTP terakhir (250).
+ */
+export const smtpTransport = async (channel, payload) => {
+  const { host, port = 25, secure = false, user, pass, from, to } = channel.email || {};
+  const recipients = parseRecipients(to);
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error(t('notifications.error.smtpTimeout'))));
+  const nextReply = createReplyReader(socket);
+
+  const expect = async (codes, command) => {
+    if (command !== undefined) socket.write(`${command}\r\n`);
+    const reply = await nextReply();
+    if (!codes.includes(reply.code)) {
+      const error = new Error(`SMTP ${reply.code}: ${reply.text}`);
+      error.statusCode = reply.code;
+      // 4xx bersifat sementara, 5xx permanen
+      error.retryable = reply.code < 500;
+      throw error;
+    }
+    return reply;
+  };
+
+  try {
+    await expect([220]);
+    await expect([250], 'EHLO odas.local');
+    if (user) {
+      await expect([334], 'AUTH LOGIN');
+      await expect([334], Buffer.from(user).toString('base64'));
+      await expect([235], Buffer.from(pass || '').toString('base64'));
+    }
+    await expect([250], `MAIL FROM:<${from}>`);
+    for (const recipient of recipients) {
+      await expect([250, 251], `RCPT TO:<${recipient}>`);
+    }
+    await expect([354], 'DATA');
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${encodeHeader(payload.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      dotStuff(payload.text),
+    ].join('\r\n');
+    const accepted = await expect([250], `${message}\r\n.`);
+    socket.write('QUIT\r\n');
+    return { statusCode: accepted.code };
+  } finally {
+    socket.end();
+  }
+};
@@ -0,0 +1,212 @@
+// --- ODAS SHARED DATA LAYER ---
+//
+// Satu lapisan penyimpanan untuk ODAS dan GCP. Panel tidak lagi memanggil Firestore langsung,
+// melainkan repository (interventions, assets, metrics, ...) di atas salah satu backend:
+//   - 'firestore' : Firestore live (butuh __firebase_config)
+//   - 'emulator'  : Firestore Emulator lokal (localhost:8080, auth di localhost:9099)
+//   - 'memory'    : penyimpanan in-memory, dipersist ke localStorage (offline penuh untuk dev & demo)
+//
+// Data berada dalam ruang kerja: ruang pribadi users/{userId} atau ruang tim workspaces/{workspaceId}
+// (lihat workspaces.js). Direktori ruang kerja dan undangan berada di tingkat aplikasi.
+//
+// Kontrak backend (dipakai oleh repository); name adalah path koleksi relatif terhadap artifacts/{appId}:
+//   subscribe(name, onChange, onError, options) -> unsubscribe, onChange menerima [{ id, ...data }]
+//   subscribeDoc(name, id, onChange, onError)   -> unsubscribe, onChange menerima data | null
+//   list(name, options)                         -> Promise<[{ id, ...data }]>
+//   get(name, id)                               -> Promise<data | null>
+//   add(name, data) -> Promise<id>, set(name, id, data, { merge }), update(name, id, patch), remove(name, id)
+//   transact(name, id, fn) -> Promise<hasil fn>: baca-ubah-tulis atomik; fn(data | null) mengembalikan
+//                             { result, data } (data undefined = tidak menulis)
+//   count(name, options)    -> Promise<jumlah dokumen yang cocok> (agregasi, tanpa mengunduh dokumen)
+//   commit(writes)          -> Promise: beberapa tulisan sekaligus secara atomik (batch); writes dibuat dengan
+//                             repository.setOp()/updateOp()/createOp(): { type: 'set'|'update'|'create', name, id, data, options }
+//                             ('create' hanya ditulis bila dokumennya belum ada, dan dilewati tanpa galat bila sudah ada)
+// options.where: [[field, op, value], ...] dengan op '==', '!=', '>', '>=', '<', '<=', 'in', 'array-contains'
+// options.orderBy: [field, 'asc' | 'desc'] (id dokumen sebagai pemecah seri; dokumen tanpa field tidak ikut)
+// options.limit: jumlah maksimum dokumen; options.startAfter: kursor dari pageCursor() halaman sebelumnya
+
+import { RESOLUTIONS } from './metricsHistory.js';
+import { t } from './i18n.js';
+
+export const COLLECTIONS = {
+  interventions: 'odas_interventions',
+  assets: 'strategic_assets',
+  ruleVersions: 'odas_rule_versions',
+  settings: 'odas_settings',
+  notificationLog: 'odas_notification_log',
+  scanner: 'odas_scanner',
+  chronicleCheckpoints: 'odas_chronicle_checkpoints',
+  chronicleRecords: 'odas_chronicle_records',
+  silences: 'odas_silences',
+  members: 'members',
+  memberships: 'odas_memberships',
+};
+
+// Koleksi tingkat aplikasi (di luar ruang kerja)
+export const DIRECTORY_COLLECTIONS = {
+  workspaces: 'workspaces',
+  invitations: 'invitations',
+};
+
+export const STORAGE_KINDS = {
+  firestore: 'Firestore Live',
+  emulator: 'Firestore Emulator',
+  memory: t('storage.kind.memory'),
+};
+
+// Kunci localStorage untuk pilihan backend dari UI (StorageSwitcher)
+export const STORAGE_PREFERENCE_KEY = 'odas-storage';
+
+// Kunci localStorage untuk ruang kerja aktif (WorkspaceSwitcher); kosong = ruang pribadi
+export const WORKSPACE_PREFERENCE_KEY = 'odas-workspace';
+
+// --- FIELD OPERATIONS (netral terhadap backend) ---
+
+export const fieldOps = {
+  serverTimestamp: () => ({ __op: 'serverTimestamp' }),
+  increment: (amount) => ({ __op: 'increment', amount }),
+  arrayUnion: (...items) => ({ __op: 'arrayUnion', items }),
+};
+
+export const isFieldOp = (value) => Boolean(value && typeof value === 'object' && typeof value.__op === 'string');
+
+// --- CONFIG RESOLUTION ---
+
+const readGlobal = (name) => (typeof globalThis[name] !== 'undefined' ? globalThis[name] : undefined);
+
+const readQueryParam = (name) => {
+  if (typeof window === 'undefined' || !window.location) return null;
+  return new URLSearchParams(window.location.search).get(name);
+};
+
+const readPreference = (key) => {
+  try {
+    return globalThis.localStorage ? globalThis.localStorage.getItem(key) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Menentukan backend penyimpanan dari global yang diinjeksi, query string (?storage=memory),
+ * atau pilihan yang tersimpan. Tanpa __firebase_config, panel otomatis memakai memori lokal.
+ * Ruang kerja dipilih dari ?workspace=<id> atau pilihan tersimpan.
+ * @returns {object} - { kind, appId, firebaseConfig, initialAuthToken, emulatorHost, authEmulatorUrl, workspaceId }
+ */
+export const resolveStorageConfig = () => {
+  const appId = readGlobal('__app_id') || 'default-app-id';
+  const rawConfig = readGlobal('__firebase_config');
+  const firebaseConfig = rawConfig ? JSON.parse(rawConfig) : {};
+  const initialAuthToken = readGlobal('__initial_auth_token') || null;
+  const hasConfig = Object.keys(firebaseConfig).length > 0;
+
+  let kind = readQueryParam('storage') || readGlobal('__odas_storage') || readPreference(STORAGE_PREFERENCE_KEY) || (hasConfig ? 'firestore' : 'memory');
+  if (!STORAGE_KINDS[kind]) kind = hasConfig ? 'firestore' : 'memory';
+  if (kind === 'firestore' && !hasConfig) {
+    console.warn("Firebase config is missing, falling back to in-memory storage.");
+    kind = 'memory';
+  }
+
+  return {
+    kind,
+    appId,
+    firebaseConfig,
+    initialAuthToken,
+    emulatorHost: readQueryParam('emulatorHost') || readGlobal('__odas_emulator_host') || 'localhost:8080',
+    authEmulatorUrl: readQueryParam('authEmulatorUrl') || readGlobal('__odas_auth_emulator_url') || 'http://localhost:9099',
+    workspaceId: readQueryParam('workspace') || readPreference(WORKSPACE_PREFERENCE_KEY) || null,
+  };
+};
+
+/**
+ * Kursor halaman berikutnya dari dokumen mentah terakhir sebuah halaman (null bila halaman kosong).
+ * @param {object[]} docs - Dokumen halaman ({ id, ...data }) sebelum dipetakan untuk tampilan.
+ * @param {string} field - Field orderBy.
+ * @returns {object|null} - { value, id }
+ */
+export const pageCursor = (docs, field) => {
+  const last = docs[docs.length - 1];
+  return last ? { value: last[field], id: last.id } : null;
+};
+
+// --- REPOSITORIES ---
+
+const createCollectionRepository = (backend, name) => ({
+  name,
+  subscribe: (onChange, onError, options) => backend.subscribe(name, onChange, onError, options),
+  subscribeDoc: (id, onChange, onError) => backend.subscribeDoc(name, id, onChange, onError),
+  list: (options) => backend.list(name, options),
+  get: (id) => backend.get(name, id),
+  add: (data) => backend.add(name, data),
+  set: (id, data, options) => backend.set(name, id, data, options),
+  update: (id, patch) => backend.update(name, id, patch),
+  remove: (id) => backend.remove(name, id),
+  transact: (id, fn) => backend.transact(name, id, fn),
+  count: (options) => backend.count(name, options),
+  // Write descriptors for backend.commit() and the outbox (outbox.js)
+  setOp: (id, data, options = {}) => ({ type: 'set', name, id, data, options }),
+  updateOp: (id, patch) => ({ type: 'update', name, id, data: patch }),
+  createOp: (id, data) => ({ type: 'create', name, id, data }),
+});
+
+// Path ruang kerja relatif terhadap artifacts/{appId}
+export const workspaceScope = (ownerId, workspaceId) => (workspaceId ? `workspaces/${workspaceId}` : `users/${ownerId}`);
+
+/**
+ * Membangun repository untuk semua koleksi ODAS sebuah ruang kerja di atas satu backend.
+ * @param {object} backend - Backend Firestore / emulator / memori.
+ * @param {string} scope - Hasil workspaceScope().
+ * @returns {object} - { interventions, assets, ruleVersions, settings, notificationLog, scanner, chronicleCheckpoints, chronicleRecords, silences, members, memberships, metrics: { raw, '1m', '1h' } }
+ */
+export const createRepositories = (backend, scope) => {
+  const repository = (collection) => createCollectionRepository(backend, `${scope}/${collection}`);
+  return {
+    interventions: repository(COLLECTIONS.interventions),
+    assets: repository(COLLECTIONS.assets),
+    ruleVersions: repository(COLLECTIONS.ruleVersions),
+    settings: repository(COLLECTIONS.settings),
+    notificationLog: repository(COLLECTIONS.notificationLog),
+    scanner: repository(COLLECTIONS.scanner),
+    chronicleCheckpoints: repository(COLLECTIONS.chronicleCheckpoints),
+    chronicleRecords: repository(COLLECTIONS.chronicleRecords),
+    silences: repository(COLLECTIONS.silences),
+    members: repository(COLLECTIONS.members),
+    memberships: repository(COLLECTIONS.memberships),
+    metrics: Object.fromEntries(Object.entries(RESOLUTIONS).map(([resolution, { collection }]) => (
+      [resolution, repository(collection)]
+    ))),
+  };
+};
+
+export const createDirectory = (backend) => ({
+  workspaces: createCollectionRepository(backend, DIRECTORY_COLLECTIONS.workspaces),
+  invitations: createCollectionRepository(backend, DIRECTORY_COLLECTIONS.invitations),
+});
+
+/**
+ * Membuka backend sesuai konfigurasi dan mengembalikan repository yang siap dipakai.
+ * @param {object} config - Hasil resolveStorageConfig() (atau konfigurasi daemon); dataUserId (opsional)
+ *   memilih pemilik ruang pribadi selain akun yang login, workspaceId memilih ruang tim.
+ * @returns {Promise<object>} - { kind, userId, workspaceId, backend, repositories, personal, directory }
+ */
+export const createStorage = async (config) => {
+  let backend;
+  if (config.kind === 'memory') {
+    const { createMemoryBackend, localStoragePersistence } = await import('./storageMemory.js');
+    backend = createMemoryBackend({ persistence: config.persistence || localStoragePersistence(), userId: config.userId });
+  } else {
+    const { createFirestoreBackend } = await import('./storageFirestore.js');
+    backend = await createFirestoreBackend(config);
+  }
+  const workspaceId = config.workspaceId || null;
+  const personal = createRepositories(backend, workspaceScope(config.dataUserId || backend.userId, null));
+  return {
+    kind: config.kind,
+    userId: backend.userId,
+    workspaceId,
+    backend,
+    repositories: workspaceId ? createRepositories(backend, workspaceScope(null, workspaceId)) : personal,
+    personal,
+    directory: createDirectory(backend),
+  };
+};
@@ -0,0 +1,88 @@
+// --- ODAS FILE PERSISTENCE (NODE) ---
+//
+// Adapter persistence untuk backend memori saat berjalan di Node (daemon, CLI): seluruh store ditulis
+// sebagai satu file JSON. Penulisan lewat file sementara + rename agar pembaca tidak melihat file setengah jadi.
+// Perubahan oleh proses lain (mis. CLI lain) dideteksi dengan fs.watchFile dan dimuat ulang.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * @param {string} filePath - Lokasi file store JSON.
+ * @returns {object} - { load, save, subscribe } untuk createMemoryBackend({ persistence }).
+ */
+export const filePersistence = (filePath) => {
+  const resolved = path.resolve(filePath);
+  let lastWritten = null;
+
+  return {
+    load: () => {
+      try {
+        return fs.readFileSync(resolved, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    save: (text) => {
+      fs.mkdirSync(path.dirname(resolved), { recursive: true });
+      const temporary = `${resolved}.${process.pid}.tmp`;
+      fs.writeFileSync(temporary, text);
+      fs.renameSync(temporary, resolved);
+      lastWritten = text;
+    },
+    subscribe: (onExternalChange) => {
+      const listener = () => {
+        let text;
+        try {
+          text = fs.readFileSync(resolved, 'utf8');
+        } catch (error) {
+          return;
+        }
+        if (text !== lastWritten) onExternalChange(text);
+      };
+      fs.watchFile(resolved, { interval: 1000 }, listener);
+      return () => fs.unwatchFile(resolved, listener);
+    },
+  };
+};
+
+/**
+ * Store outbox (outbox.js) untuk daemon: seluruh antrean disimpan sebagai satu file JSON,
+ * ditulis ulang lewat file sementara + rename setiap kali berubah.
+ * @param {string} filePath - Lokasi file antrean.
+ * @returns {object} - { load, put, remove }
+ */
+export const fileOutboxStore = (filePath) => {
+  const resolved = path.resolve(filePath);
+  let entries = null;
+
+  const read = () => {
+    if (entries) return entries;
+    try {
+      entries = new Map(JSON.parse(fs.readFileSync(resolved, 'utf8')).map(entry => [entry.id, entry]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      entries = new Map();
+    }
+    return entries;
+  };
+  const write = () => {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    const temporary = `${resolved}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify([...entries.values()], null, 2));
+    fs.renameSync(temporary, resolved);
+  };
+
+  return {
+    load: async () => [...read().values()],
+    put: async (items) => {
+      items.forEach(entry => read().set(entry.id, entry));
+      write();
+    },
+    remove: async (ids) => {
+      ids.forEach(id => read().delete(id));
+      write();
+    },
+  };
+};
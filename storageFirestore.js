@@ -0,0 +1,182 @@
+// --- ODAS FIRESTORE STORAGE BACKEND ---
+//
+// Backend untuk Firestore live maupun Firestore Emulator lokal. Semua koleksi berada di bawah
+// /artifacts/{appId}/ (path ruang kerja dari storage.js). Operasi field netral dari storage.js
+// diterjemahkan ke sentinel Firestore (serverTimestamp, increment, arrayUnion).
+// Hak akses per ruang kerja dan peran ditegakkan oleh firestore.rules.
+
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import {
+  getFirestore,
+  connectFirestoreEmulator,
+  collection,
+  doc,
+  onSnapshot,
+  getDocs,
+  getDoc,
+  getCountFromServer,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  runTransaction,
+  writeBatch,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+} from 'firebase/firestore';
+import { isFieldOp } from './storage.js';
+
+// Project demo-* tidak memerlukan kredensial asli saat memakai emulator
+const EMULATOR_FALLBACK_CONFIG = { projectId: 'demo-odas', apiKey: 'demo-key', authDomain: 'demo-odas.firebaseapp.com' };
+
+const toFirestoreValue = (value) => {
+  if (isFieldOp(value)) {
+    switch (value.__op) {
+      case 'serverTimestamp': return serverTimestamp();
+      case 'increment': return increment(value.amount);
+      case 'arrayUnion': return arrayUnion(...value.items);
+      default: throw new Error(`Operasi field tidak dikenal: ${value.__op}`);
+    }
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toFirestoreValue(item)]));
+  }
+  return value;
+};
+
+const signIn = (auth, initialAuthToken) => new Promise((resolve, reject) => {
+  const unsubscribe = onAuthStateChanged(auth, async (user) => {
+    unsubscribe();
+    try {
+      if (user) {
+        resolve(user.uid);
+        return;
+      }
+      if (initialAuthToken) {
+        try {
+          const credential = await signInWithCustomToken(auth, initialAuthToken);
+          resolve(credential.user.uid);
+          return;
+        } catch (error) {
+          console.error("Custom token sign-in failed, falling back to anonymous:", error);
+        }
+      }
+      const credential = await signInAnonymously(auth);
+      resolve(credential.user.uid);
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+/**
+ * @param {object} config - Hasil resolveStorageConfig(): { kind, appId, firebaseConfig, initialAuthToken, emulatorHost, authEmulatorUrl }.
+ * @returns {Promise<object>} - Backend penyimpanan setelah sign-in selesai.
+ */
+export const createFirestoreBackend = async ({ kind, appId, firebaseConfig, initialAuthToken, emulatorHost, authEmulatorUrl }) => {
+  const useEmulator = kind === 'emulator';
+  const hasConfig = firebaseConfig && Object.keys(firebaseConfig).length > 0;
+  const app = initializeApp(hasConfig ? firebaseConfig : EMULATOR_FALLBACK_CONFIG, `odas-${kind}`);
+  const db = getFirestore(app);
+  const auth = getAuth(app);
+
+  if (useEmulator) {
+    const [host, port] = emulatorHost.split(':');
+    connectFirestoreEmulator(db, host, Number(port) || 8080);
+    connectAuthEmulator(auth, authEmulatorUrl, { disableWarnings: true });
+  }
+
+  const userId = await signIn(auth, initialAuthToken);
+  const collectionRef = (name) => collection(db, `artifacts/${appId}/${name}`);
+  const buildQuery = (name, options = {}) => {
+    const constraints = (options.where || []).map(([field, op, value]) => where(field, op, value));
+    if (options.orderBy) {
+      const [field, direction = 'asc'] = options.orderBy;
+      constraints.push(orderBy(field, direction), orderBy(documentId(), direction));
+      if (options.startAfter) constraints.push(startAfter(options.startAfter.value, options.startAfter.id));
+    }
+    if (typeof options.limit === 'number') constraints.push(limit(options.limit));
+    return query(collectionRef(name), ...constraints);
+  };
+  const mapDocs = (snapshot) => snapshot.docs.map(item => ({ id: item.id, ...item.data() }));
+
+  return {
+    kind,
+    userId,
+    db,
+    auth,
+
+    subscribe: (name, onChange, onError, options) => onSnapshot(
+      buildQuery(name, options),
+      (snapshot) => onChange(mapDocs(snapshot)),
+      onError,
+    ),
+
+    subscribeDoc: (name, id, onChange, onError) => onSnapshot(
+      doc(collectionRef(name), id),
+      (snapshot) => onChange(snapshot.exists() ? snapshot.data() : null),
+      onError,
+    ),
+
+    list: async (name, options) => mapDocs(await getDocs(buildQuery(name, options))),
+
+    get: async (name, id) => {
+      const snapshot = await getDoc(doc(collectionRef(name), id));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+
+    count: async (name, options) => (await getCountFromServer(buildQuery(name, options))).data().count,
+
+    add: async (name, data) => (await addDoc(collectionRef(name), toFirestoreValue(data))).id,
+
+    set: (name, id, data, options = {}) => setDoc(doc(collectionRef(name), id), toFirestoreValue(data), options),
+
+    update: (name, id, patch) => updateDoc(doc(collectionRef(name), id), toFirestoreValue(patch)),
+
+    remove: (name, id) => deleteDoc(doc(collectionRef(name), id)),
+
+    // A 'create' write lands only while its document is absent, which takes a transaction instead of a batch
+    commit: (writes) => {
+      if (writes.some(write => write.type === 'create')) {
+        return runTransaction(db, async (transaction) => {
+          const refs = writes.map(({ name, id }) => doc(collectionRef(name), id));
+          const snapshots = await Promise.all(writes.map((write, index) => (
+            write.type === 'create' ? transaction.get(refs[index]) : null
+          )));
+          writes.forEach(({ type, data, options = {} }, index) => {
+            if (type === 'create') {
+              if (!snapshots[index].exists()) transaction.set(refs[index], toFirestoreValue(data));
+            } else if (type === 'update') {
+              transaction.update(refs[index], toFirestoreValue(data));
+            } else {
+              transaction.set(refs[index], toFirestoreValue(data), options);
+            }
+          });
+        });
+      }
+      const batch = writeBatch(db);
+      for (const { type, name, id, data, options = {} } of writes) {
+        const ref = doc(collectionRef(name), id);
+        if (type === 'update') batch.update(ref, toFirestoreValue(data));
+        else batch.set(ref, toFirestoreValue(data), options);
+      }
+      return batch.commit();
+    },
+
+    transact: (name, id, fn) => runTransaction(db, async (transaction) => {
+      const ref = doc(collectionRef(name), id);
+      const snapshot = await transaction.get(ref);
+      const { result, data } = fn(snapshot.exists() ? snapshot.data() : null);
+      if (data !== undefined) transaction.set(ref, toFirestoreValue(data));
+      return result;
+    }),
+  };
+};
@@ -0,0 +1,302 @@
+// --- ODAS IN-MEMORY STORAGE BACKEND ---
+//
+// Backend tanpa jaringan untuk pengembangan dan demo. Semantik tulis meniru Firestore
+// (serverTimestamp, increment, arrayUnion, set merge, update) sehingga kode panel identik
+// di semua backend. Data dipersist sebagai JSON lewat adapter persistence (localStorage
+// di browser), dan tab lain ikut diperbarui lewat event 'storage'.
+
+import { isFieldOp, DIRECTORY_COLLECTIONS } from './storage.js';
+
+const DEFAULT_PERSIST_KEY = 'odas-memory-store';
+
+/**
+ * Timestamp kompatibel dengan Firestore Timestamp (toDate / toMillis) agar mapping panel tidak berubah.
+ */
+export const memoryTimestamp = (ms) => ({
+  __ts: ms,
+  seconds: Math.floor(ms / 1000),
+  toMillis: () => ms,
+  toDate: () => new Date(ms),
+});
+
+const isTimestamp = (value) => Boolean(value && typeof value === 'object' && typeof value.__ts === 'number');
+
+const isPlainObject = (value) => Boolean(value)
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !isFieldOp(value)
+  && !isTimestamp(value);
+
+const serialize = (collections) => JSON.stringify(collections, (key, value) => (
+  isTimestamp(value) ? { __ts: value.__ts } : value
+));
+
+const deserialize = (text) => JSON.parse(text, (key, value) => (
+  isTimestamp(value) ? memoryTimestamp(value.__ts) : value
+));
+
+/**
+ * Adapter persistence berbasis localStorage. Mengembalikan null bila localStorage tidak tersedia
+ * (mis. di Node), sehingga data hanya hidup selama proses berjalan.
+ */
+export const localStoragePersistence = (key = DEFAULT_PERSIST_KEY) => {
+  const storage = typeof globalThis.localStorage !== 'undefined' ? globalThis.localStorage : null;
+  if (!storage) return null;
+  return {
+    load: () => storage.getItem(key),
+    save: (text) => storage.setItem(key, text),
+    subscribe: (onExternalChange) => {
+      if (typeof window === 'undefined') return () => {};
+      const handler = (event) => {
+        if (event.key === key) onExternalChange(event.newValue);
+      };
+      window.addEventListener('storage', handler);
+      return () => window.removeEventListener('storage', handler);
+    },
+  };
+};
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const resolveValue = (current, value, now) => {
+  if (!isFieldOp(value)) return value;
+  switch (value.__op) {
+    case 'serverTimestamp':
+      return memoryTimestamp(now);
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.amount;
+    case 'arrayUnion': {
+      const base = Array.isArray(current) ? [...current] : [];
+      for (const item of value.items) {
+        if (!base.some(existing => deepEqual(existing, item))) base.push(item);
+      }
+      return base;
+    }
+    default:
+      throw new Error(`Operasi field tidak dikenal: ${value.__op}`);
+  }
+};
+
+// set() tanpa merge dan nilai baru di dalam objek: operasi di-resolve terhadap "tidak ada nilai"
+const resolveFresh = (data, now) => Object.fromEntries(Object.entries(data).map(([key, value]) => (
+  [key, isPlainObject(value) ? resolveFresh(value, now) : resolveValue(undefined, value, now)]
+)));
+
+// set(..., { merge: true }): objek bersarang digabung rekursif seperti Firestore
+const mergeDeep = (current, data, now) => {
+  const next = { ...(current || {}) };
+  for (const [key, value] of Object.entries(data)) {
+    next[key] = isPlainObject(value)
+      ? mergeDeep(isPlainObject(next[key]) ? next[key] : {}, value, now)
+      : resolveValue(next[key], value, now);
+  }
+  return next;
+};
+
+// update(): hanya field tingkat atas yang diganti
+const applyUpdate = (current, patch, now) => {
+  const next = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    next[key] = isPlainObject(value) ? resolveFresh(value, now) : resolveValue(current[key], value, now);
+  }
+  return next;
+};
+
+const comparable = (value) => {
+  if (isTimestamp(value)) return value.__ts;
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const matchesWhere = (data, [field, op, expected]) => {
+  const actual = comparable(data[field]);
+  const target = comparable(expected);
+  switch (op) {
+    case '==': return actual === target;
+    // Seperti Firestore, '!=' tidak menyertakan dokumen tanpa field tersebut
+    case '!=': return actual !== undefined && actual !== null && actual !== target;
+    case '>': return actual > target;
+    case '>=': return actual >= target;
+    case '<': return actual < target;
+    case '<=': return actual <= target;
+    case 'in': return expected.map(comparable).includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(target);
+    default: throw new Error(`Operator query tidak didukung: ${op}`);
+  }
+};
+
+// Urutan sama dengan Firestore: field lebih dulu, id dokumen memecah seri dengan arah yang sama
+const compareBy = ([field, direction = 'asc']) => (a, b) => {
+  const sign = direction === 'desc' ? -1 : 1;
+  const left = comparable(a[field]);
+  const right = comparable(b[field]);
+  if (left !== right) return (left < right ? -1 : 1) * sign;
+  return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * sign;
+};
+
+const applyQuery = (docs, options = {}) => {
+  let result = (options.where || []).reduce(
+    (filtered, clause) => filtered.filter(item => matchesWhere(item, clause)),
+    docs,
+  );
+  if (options.orderBy) {
+    const [field] = options.orderBy;
+    const compare = compareBy(options.orderBy);
+    result = result.filter(item => item[field] !== undefined).sort(compare);
+    if (options.startAfter) {
+      const cursor = { id: options.startAfter.id, [field]: options.startAfter.value };
+      result = result.filter(item => compare(item, cursor) > 0);
+    }
+  }
+  return typeof options.limit === 'number' ? result.slice(0, options.limit) : result;
+};
+
+// Kode sama dengan galat Firestore, agar pemanggil (outbox.js) dapat membedakan kegagalan permanen dari sementara
+const notFound = (name, id) => Object.assign(new Error(`Dokumen ${name}/${id} tidak ditemukan.`), { code: 'not-found' });
+
+const generateId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * @param {object} [options]
+ * @param {object|null} [options.persistence] - { load(), save(text), subscribe?(onExternalChange) } atau null.
+ * @param {string} [options.userId] - Identitas lokal (default: 'local-operator').
+ * @returns {object} - Backend penyimpanan.
+ */
+export const createMemoryBackend = ({ persistence = null, userId = 'local-operator' } = {}) => {
+  let collections = {};
+  const listeners = new Set();
+
+  // Store yang disimpan sebelum ada ruang kerja menaruh koleksi di tingkat atas: koleksi itu milik ruang pribadi
+  const directoryNames = Object.values(DIRECTORY_COLLECTIONS);
+  const migrateLegacy = (loaded) => Object.fromEntries(Object.entries(loaded).map(([name, docs]) => (
+    [name.includes('/') || directoryNames.includes(name) ? name : `users/${userId}/${name}`, docs]
+  )));
+
+  const load = (text) => {
+    try {
+      collections = text ? migrateLegacy(deserialize(text)) : {};
+    } catch (error) {
+      console.error("Failed to load in-memory store, starting empty:", error);
+      collections = {};
+    }
+  };
+
+  if (persistence) load(persistence.load());
+
+  const docsOf = (name) => Object.entries(collections[name] || {}).map(([id, data]) => ({ id, ...data }));
+
+  const notify = (name) => {
+    for (const listener of listeners) {
+      if (name === null || listener.name === name) listener.emit();
+    }
+  };
+
+  const commit = (name) => {
+    if (persistence) {
+      try {
+        persistence.save(serialize(collections));
+      } catch (error) {
+        console.error("Failed to persist in-memory store:", error);
+      }
+    }
+    // Asinkron seperti snapshot Firestore, agar penulis tidak pernah masuk kembali ke callback-nya sendiri
+    Promise.resolve().then(() => notify(name));
+  };
+
+  if (persistence && persistence.subscribe) {
+    persistence.subscribe((text) => {
+      load(text);
+      notify(null);
+    });
+  }
+
+  const addListener = (name, emit) => {
+    const listener = { name, emit };
+    listeners.add(listener);
+    Promise.resolve().then(() => listeners.has(listener) && emit());
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    kind: 'memory',
+    userId,
+
+    subscribe: (name, onChange, onError, options) => addListener(name, () => {
+      try {
+        onChange(applyQuery(docsOf(name), options));
+      } catch (error) {
+        if (onError) onError(error);
+      }
+    }),
+
+    subscribeDoc: (name, id, onChange) => addListener(name, () => {
+      const data = collections[name] && collections[name][id];
+      onChange(data ? { ...data } : null);
+    }),
+
+    list: async (name, options) => applyQuery(docsOf(name), options),
+
+    get: async (name, id) => {
+      const data = collections[name] && collections[name][id];
+      return data ? { ...data } : null;
+    },
+
+    count: async (name, options) => applyQuery(docsOf(name), options).length,
+
+    add: async (name, data) => {
+      const id = generateId();
+      collections[name] = { ...(collections[name] || {}), [id]: resolveFresh(data, Date.now()) };
+      commit(name);
+      return id;
+    },
+
+    set: async (name, id, data, { merge = false } = {}) => {
+      const current = collections[name] && collections[name][id];
+      const now = Date.now();
+      collections[name] = { ...(collections[name] || {}), [id]: merge ? mergeDeep(current, data, now) : resolveFresh(data, now) };
+      commit(name);
+    },
+
+    update: async (name, id, patch) => {
+      const current = collections[name] && collections[name][id];
+      if (!current) throw notFound(name, id);
+      collections[name] = { ...collections[name], [id]: applyUpdate(current, patch, Date.now()) };
+      commit(name);
+    },
+
+    // Semua atau tidak sama sekali: tulisan diterapkan pada salinan yang baru menggantikan store bila semua tulisan berhasil
+    commit: async (writes) => {
+      const now = Date.now();
+      const next = { ...collections };
+      for (const { type, name, id, data, options = {} } of writes) {
+        const current = next[name] && next[name][id];
+        if (type === 'update' && !current) throw notFound(name, id);
+        if (type === 'create' && current) continue;
+        const written = type === 'update'
+          ? applyUpdate(current, data, now)
+          : options.merge ? mergeDeep(current, data, now) : resolveFresh(data, now);
+        next[name] = { ...(next[name] || {}), [id]: written };
+      }
+      collections = next;
+      new Set(writes.map(write => write.name)).forEach(commit);
+    },
+
+    remove: async (name, id) => {
+      if (!collections[name] || !collections[name][id]) return;
+      const { [id]: removed, ...rest } = collections[name];
+      collections[name] = rest;
+      commit(name);
+    },
+
+    // Satu utas: baca dan tulis terjadi pada tick yang sama, sehingga tidak ada yang dapat menyela
+    transact: async (name, id, fn) => {
+      const current = collections[name] && collections[name][id];
+      const { result, data } = fn(current ? { ...current } : null);
+      if (data !== undefined) {
+        collections[name] = { ...(collections[name] || {}), [id]: resolveFresh(data, Date.now()) };
+        commit(name);
+      }
+      return result;
+    },
+  };
+};
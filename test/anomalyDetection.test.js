@@ -0,0 +1,106 @@
+// --- ODAS ANOMALY DETECTION TESTS ---
+//
+// Baseline statistik (anomalyDetection.js): jendela bergulir, EWMA, baseline musiman, rentang normal, dan aturan
+// baseline di mesin aturan.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createBaselineState,
+  updateBaselines,
+  computeDeviations,
+  computeAnomalyScores,
+  expectedRangeFor,
+  seedSeasonalBaseline,
+  BASELINE_CONFIG,
+} from '../anomalyDetection.js';
+import { evaluateRules } from '../ruleEngine.js';
+
+const T0 = Date.UTC(2026, 0, 1, 12, 0);
+const STEP_MS = 5000;
+
+// Alternating 100 / 110 ms: mean 105, standard deviation 5
+const learn = (count, state = createBaselineState()) => Array.from({ length: count }).reduce(
+  (current, _, index) => updateBaselines(current, { systemLatency: index % 2 === 0 ? 100 : 110 }, T0 + index * STEP_MS),
+  state,
+);
+
+describe('computeDeviations', () => {
+  test('is not ready before minSamples', () => {
+    const { systemLatency } = computeDeviations(learn(BASELINE_CONFIG.minSamples - 1), { systemLatency: 130 }, T0);
+    assert.equal(systemLatency.zscore.ready, false);
+  });
+
+  test('measures the rolling window deviation and the normal range', () => {
+    const { zscore } = computeDeviations(learn(20), { systemLatency: 130 }, T0).systemLatency;
+    assert.equal(zscore.ready, true);
+    assert.equal(zscore.mean, 105);
+    assert.equal(zscore.std, 5);
+    assert.equal(zscore.z, 5);
+    assert.deepEqual([zscore.expectedLow, zscore.expectedHigh], [90, 120]);
+  });
+
+  test('keeps only windowSize samples in the rolling window', () => {
+    assert.equal(learn(BASELINE_CONFIG.windowSize + 10).window.systemLatency.length, BASELINE_CONFIG.windowSize);
+  });
+
+  test('learns the seasonal baseline per hour of the day', () => {
+    const state = learn(20);
+    const sameHour = computeDeviations(state, { systemLatency: 130 }, T0).systemLatency;
+    const otherHour = computeDeviations(state, { systemLatency: 130 }, T0 + 3 * 60 * 60 * 1000).systemLatency;
+    assert.equal(sameHour.seasonal.z, 5);
+    assert.equal(otherHour.seasonal, undefined);
+    assert.ok(otherHour.zscore);
+  });
+
+  test('seeds the seasonal baseline from hourly rollups', () => {
+    const rollup = { t: T0, count: 20, sum: { systemLatency: 2100 }, sumSq: { systemLatency: 10 * (100 * 100 + 110 * 110) } };
+    const state = seedSeasonalBaseline(createBaselineState(), [rollup]);
+    const { seasonal } = computeDeviations(state, { systemLatency: 130 }, T0).systemLatency;
+    assert.deepEqual([seasonal.ready, seasonal.mean, seasonal.std], [true, 105, 5]);
+  });
+});
+
+describe('anomaly scores and ranges', () => {
+  test('scores the largest ready deviation against twice defaultK', () => {
+    const deviations = {
+      systemLatency: { zscore: { ready: true, z: -3 }, ewma: { ready: false, z: 20 } },
+      anomalyScore: { zscore: { ready: true, z: 1 }, seasonal: { ready: true, z: 12 } },
+    };
+    assert.deepEqual(computeAnomalyScores(deviations), { systemLatency: 3 / (2 * BASELINE_CONFIG.defaultK), anomalyScore: 1 });
+  });
+
+  test('falls back to the first ready method for the expected range', () => {
+    const deviations = { systemLatency: { zscore: { ready: true, mean: 105, std: 5 }, ewma: { ready: false, mean: 0, std: 0 } } };
+    assert.deepEqual(expectedRangeFor(deviations, 'systemLatency', 'ewma', 2), { method: 'zscore', expectedLow: 95, expectedHigh: 115 });
+    assert.equal(expectedRangeFor(deviations, 'anomalyScore', 'zscore'), null);
+  });
+});
+
+describe('baseline rules', () => {
+  const rule = {
+    id: 'latency-deviation',
+    path: 'Infrastruktur',
+    severity: 'warning',
+    condition: { metric: 'systemLatency', baseline: 'zscore', op: '>', value: 3 },
+    forScans: 1,
+    message: 'Latency {systemLatency|ms} ({expectedLow|ms}–{expectedHigh|ms})',
+  };
+
+  test('breach on either side of the range and record it', () => {
+    const state = learn(20);
+    for (const value of [130, 80]) {
+      const { breaches } = evaluateRules([rule], { systemLatency: value }, {}, computeDeviations(state, { systemLatency: value }, T0));
+      assert.equal(breaches.length, 1, String(value));
+      assert.deepEqual(
+        [breaches[0].op, breaches[0].baselineMethod, breaches[0].expectedLow, breaches[0].expectedHigh],
+        [null, 'zscore', 105 - 3 * 5, 105 + 3 * 5],
+      );
+    }
+  });
+
+  test('do not breach inside the range', () => {
+    const deviations = computeDeviations(learn(20), { systemLatency: 112 }, T0);
+    assert.deepEqual(evaluateRules([rule], { systemLatency: 112 }, {}, deviations).breaches, []);
+  });
+});
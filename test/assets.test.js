@@ -0,0 +1,88 @@
+// --- ODAS ASSET REGISTRY TESTS ---
+//
+// Registry aset strategis (assets.js): tag, override batas, validasi draft, dan ringkasan kartu utama GCP.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTags,
+  parseThresholdOverrides,
+  validateAsset,
+  summarizeAssets,
+  createBlankAsset,
+  ASSET_HEALTH,
+  ASSET_SOURCE_TYPES,
+} from '../assets.js';
+import { t } from '../i18n.js';
+
+const asset = (overrides = {}) => ({ ...createBlankAsset(), name: 'Gateway', owner: 'ops', ...overrides });
+
+describe('parseTags', () => {
+  test('returns unique lowercase tags', () => {
+    assert.deepEqual(parseTags(' Core, edge,,CORE , '), ['core', 'edge']);
+    assert.deepEqual(parseTags(null), []);
+  });
+});
+
+describe('parseThresholdOverrides', () => {
+  test('treats empty text as no overrides', () => {
+    assert.deepEqual(parseThresholdOverrides('  '), { overrides: {} });
+  });
+
+  test('reads a JSON object of numbers', () => {
+    assert.deepEqual(parseThresholdOverrides('{ "latency-high": 300 }'), { overrides: { 'latency-high': 300 } });
+  });
+
+  test('names the rules whose value is not a number', () => {
+    assert.deepEqual(parseThresholdOverrides('{ "a": 1, "b": "2", "c": null }'), {
+      error: t('asset.error.overridesNumber', { ruleIds: 'b, c' }),
+    });
+    assert.deepEqual(parseThresholdOverrides('[300]'), { error: t('asset.error.overridesObject') });
+  });
+
+  test('reports invalid JSON', () => {
+    assert.ok(parseThresholdOverrides('{ oops').error.startsWith(t('asset.error.invalidJson', { error: '' })));
+  });
+});
+
+describe('validateAsset', () => {
+  test('accepts a complete draft', () => {
+    assert.deepEqual(validateAsset(asset()), []);
+  });
+
+  test('lists every problem of a draft', () => {
+    assert.deepEqual(validateAsset(asset({ name: ' ', owner: '', type: 'boat', health: 'fine' })), [
+      t('asset.error.name'),
+      t('asset.error.type', { type: 'boat' }),
+      t('asset.error.owner'),
+      t('asset.error.health', { health: 'fine' }),
+    ]);
+  });
+
+  test('requires an endpoint for network sources and rejects file-only sources', () => {
+    assert.deepEqual(validateAsset(asset({ dataSource: { type: 'http', url: '' } })), [t('asset.error.endpoint')]);
+    assert.deepEqual(validateAsset(asset({ dataSource: { type: 'http', url: 'http://feed.test' } })), []);
+    assert.equal(ASSET_SOURCE_TYPES.includes('replay'), false);
+    assert.deepEqual(validateAsset(asset({ dataSource: { type: 'replay' } })), [t('asset.error.source', { type: 'replay' })]);
+  });
+});
+
+describe('summarizeAssets', () => {
+  test('counts active assets by health and type and rates persona assets', () => {
+    const summary = summarizeAssets([
+      asset({ type: 'persona', health: ASSET_HEALTH.HEALTHY }),
+      asset({ type: 'persona', health: ASSET_HEALTH.DEGRADED }),
+      asset({ type: 'persona', health: ASSET_HEALTH.UNKNOWN }),
+      asset({ type: 'sensor', health: 'legacy' }),
+      asset({ type: 'persona', health: ASSET_HEALTH.CRITICAL, archived: true }),
+    ]);
+    assert.deepEqual([summary.total, summary.archived], [4, 1]);
+    assert.deepEqual(summary.byHealth, { healthy: 1, degraded: 1, critical: 0, unknown: 2 });
+    assert.deepEqual([summary.byType.persona, summary.byType.sensor], [3, 1]);
+    assert.equal(summary.personaRating, 75);
+  });
+
+  test('has no persona rating without scored persona assets', () => {
+    assert.equal(summarizeAssets([asset({ type: 'persona' })]).personaRating, null);
+  });
+});
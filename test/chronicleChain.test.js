@@ -0,0 +1,235 @@
+// --- ODAS FINALITY CHRONICLE CHAIN TESTS ---
+//
+// Rantai Finality Chronicle (chronicleChain.js): pembukaan insiden dan perubahan siklus hidupnya dirantai, dan setiap
+// perubahan sesudahnya yang tidak ikut dirantai dilaporkan pada rekaman tempat ia terjadi.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage, fieldOps } from '../storage.js';
+import { reconcileIncidents, INCIDENT_STATUS } from '../incidents.js';
+import { planIncidentWrites, transitionIncident, addIncidentNote } from '../incidentActions.js';
+import {
+  sealChronicleWrites,
+  verifyChronicle,
+  describeChainIssue,
+  lifecycleChange,
+  lifecycleSnapshot,
+  generateSigningKey,
+  signCheckpoint,
+  checkpointIssue,
+  CHAIN_ISSUE,
+} from '../chronicleChain.js';
+import { t } from '../i18n.js';
+
+const BREACH = {
+  assetId: 'asset-1',
+  ruleId: 'latency-high',
+  path: 'Infrastruktur',
+  metric: 'systemLatency',
+  severity: 'critical',
+  description: 'Latency 250 ms',
+  value: 250,
+};
+
+// Memory timestamps have millisecond precision: keep each step in a millisecond of its own
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+describe('Finality Chronicle lifecycle chain', () => {
+  let storage;
+  let repositories;
+  let head;
+
+  // One scan cycle: seal this cycle's writes and any lifecycle changes, then commit them
+  const scan = async (writes = []) => {
+    await tick();
+    const result = await sealChronicleWrites(repositories, writes, { head, now: Date.now() });
+    head = result.head;
+    await storage.backend.commit(result.items.map(item => item.write));
+    await tick();
+  };
+
+  const open = async (breach = BREACH) => {
+    const plan = reconcileIncidents([], [breach]);
+    const { items, opened } = planIncidentWrites(repositories.interventions, plan, Date.now());
+    await scan(items);
+    return opened[0].id;
+  };
+
+  const incident = async (id) => ({ id, ...await repositories.interventions.get(id) });
+
+  const recover = async (id) => {
+    const plan = reconcileIncidents([await incident(id)], []);
+    await scan(planIncidentWrites(repositories.interventions, plan, Date.now()).items);
+  };
+
+  const lifecycleIssues = async () => (await verifyChronicle(repositories)).issues
+    .filter(issue => issue.reason === 'lifecycle');
+
+  beforeEach(async () => {
+    storage = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' });
+    repositories = storage.repositories;
+    head = null;
+  });
+
+  test('chains openings and lifecycle changes into one intact sequence', async () => {
+    const id = await open();
+    await transitionIncident(repositories.interventions, await incident(id), INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops' });
+    await addIncidentNote(repositories.interventions, await incident(id), 'restarting the gateway', 'ops');
+    await scan();
+    await recover(id);
+    await scan();
+
+    const report = await verifyChronicle(repositories);
+    assert.deepEqual(report.issues, []);
+    assert.equal(report.ok, true);
+    // The opening, the acknowledgement with its note, and the recovery
+    assert.equal(report.lastSeq, 3);
+    assert.equal(report.checked, 3);
+    assert.equal(report.unchained, 0);
+  });
+
+  test('accepts lifecycle changes the next scan has not chained yet', async () => {
+    const id = await open();
+    await transitionIncident(repositories.interventions, await incident(id), INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops' });
+    assert.deepEqual((await verifyChronicle(repositories)).issues, []);
+  });
+
+  test('reports a status rewritten without a history entry at the record it was chained in', async () => {
+    const id = await open();
+    await transitionIncident(repositories.interventions, await incident(id), INCIDENT_STATUS.RESOLVED, { actor: 'ops' });
+    await scan();
+    await repositories.interventions.update(id, { status: INCIDENT_STATUS.DISMISSED });
+
+    assert.deepEqual(await lifecycleIssues(), [{ type: CHAIN_ISSUE.CHANGED, seq: 2, id, field: 'status', reason: 'lifecycle' }]);
+  });
+
+  test('reports a status changed from its opening seal', async () => {
+    const id = await open();
+    await scan();
+    await repositories.interventions.update(id, { status: INCIDENT_STATUS.DISMISSED });
+    assert.deepEqual(await lifecycleIssues(), [{ type: CHAIN_ISSUE.CHANGED, seq: 1, id, field: 'status', reason: 'lifecycle' }]);
+  });
+
+  test('reports an edited note', async () => {
+    const id = await open();
+    await addIncidentNote(repositories.interventions, await incident(id), 'gateway restarted', 'ops');
+    await scan();
+    const { notes } = await incident(id);
+    await repositories.interventions.update(id, { notes: [{ ...notes[0], text: 'nothing happened' }] });
+
+    const [issue] = await lifecycleIssues();
+    assert.equal(issue.field, 'notes');
+    assert.equal(issue.seq, 2);
+  });
+
+  test('reports a removed history entry', async () => {
+    const id = await open();
+    await transitionIncident(repositories.interventions, await incident(id), INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops' });
+    await scan();
+    await repositories.interventions.update(id, { history: [] });
+    assert.equal((await lifecycleIssues())[0].field, 'history');
+  });
+
+  test('reports severity and description changed after recovery', async () => {
+    const id = await open();
+    await recover(id);
+    await scan();
+    await repositories.interventions.update(id, { severity: 'warning' });
+    assert.deepEqual((await lifecycleIssues()).map(issue => [issue.seq, issue.field]), [[2, 'severity']]);
+
+    await repositories.interventions.update(id, { severity: 'critical', description: 'Latency 120 ms' });
+    assert.deepEqual((await lifecycleIssues()).map(issue => [issue.seq, issue.field]), [[2, 'description']]);
+  });
+
+  test('lets the scan rewrite severity and description while the breach lasts', async () => {
+    const id = await open();
+    const plan = reconcileIncidents([await incident(id)], [{ ...BREACH, severity: 'warning', description: 'Latency 190 ms' }]);
+    await scan(planIncidentWrites(repositories.interventions, plan, Date.now()).items);
+    assert.deepEqual((await verifyChronicle(repositories)).issues, []);
+  });
+
+  test('does not chain a change that skips the history, even with a new lifecycleAt', async () => {
+    const id = await open();
+    await transitionIncident(repositories.interventions, await incident(id), INCIDENT_STATUS.RESOLVED, { actor: 'ops' });
+    await scan();
+    await repositories.interventions.update(id, { status: INCIDENT_STATUS.OPEN, lifecycleAt: fieldOps.serverTimestamp() });
+    await scan();
+
+    const report = await verifyChronicle(repositories);
+    assert.equal(report.lastSeq, 2);
+    assert.deepEqual(report.issues.map(issue => [issue.seq, issue.field]), [[2, 'status']]);
+  });
+
+  test('reports a lifecycle record whose content was changed', async () => {
+    const id = await open();
+    await transitionIncident(repositories.interventions, await incident(id), INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops' });
+    await scan();
+    const [record] = await repositories.chronicleRecords.list();
+    await repositories.chronicleRecords.update(record.id, { sealed: { ...record.sealed, status: INCIDENT_STATUS.OPEN } });
+
+    const report = await verifyChronicle(repositories);
+    assert.deepEqual(report.issues.map(issue => [issue.type, issue.seq, issue.field]), [[CHAIN_ISSUE.CHANGED, 2, 'sealed']]);
+  });
+
+  test('does not compare incidents opened before lifecycle changes were chained', async () => {
+    const id = await open();
+    const { lifecycleFromSeq, ...legacyHead } = head;
+    await repositories.scanner.set('chronicle-head', legacyHead);
+    await repositories.interventions.update(id, { status: INCIDENT_STATUS.DISMISSED });
+    assert.equal(lifecycleFromSeq, 0);
+    assert.deepEqual((await verifyChronicle(repositories)).issues, []);
+  });
+
+  test('describes lifecycle findings', async () => {
+    const issue = { type: CHAIN_ISSUE.CHANGED, seq: 4, id: 'incident-1', field: 'status', reason: 'lifecycle' };
+    assert.equal(describeChainIssue(issue), t('chronicleChain.issue.changedLifecycle', { record: '#4', id: 'incident-1', field: 'status' }));
+  });
+});
+
+describe('lifecycleChange', () => {
+  const base = lifecycleSnapshot({ id: 'i-1', status: 'open', breachActive: true, severity: 'critical', description: 'a' });
+  const entry = { type: 'transition', from: 'open', to: 'resolved', by: 'ops', at: '2026-01-01T00:00:00.000Z' };
+
+  test('accepts a status change that comes with a history entry', () => {
+    assert.equal(lifecycleChange(base, { ...base, status: 'resolved', history: [entry] }, true), null);
+  });
+
+  test('only appends when the change is not chained yet', () => {
+    assert.equal(lifecycleChange(base, { ...base, history: [entry] }, true), null);
+    assert.equal(lifecycleChange(base, { ...base, history: [entry] }, false), 'history');
+  });
+
+  test('does not let a recovered breach become active again', () => {
+    const recovered = { ...base, breachActive: false };
+    assert.equal(lifecycleChange(recovered, base, true), 'breachActive');
+  });
+
+  test('freezes an escalated severity', () => {
+    const escalated = { ...base, severity: 'critical', escalatedFrom: 'warning' };
+    assert.equal(lifecycleChange(escalated, { ...escalated, severity: 'warning' }, true), 'severity');
+  });
+});
+
+describe('checkpointIssue', () => {
+  const HEAD = { seq: 3, hash: 'a'.repeat(64) };
+
+  test('accepts a checkpoint signed by a trusted key', async () => {
+    const key = await generateSigningKey();
+    const checkpoint = { id: 'checkpoint-3', ...await signCheckpoint(key, HEAD) };
+    assert.equal(await checkpointIssue(checkpoint, [key.keyId]), null);
+  });
+
+  test('reports a validly self-signed checkpoint from another key', async () => {
+    const [own, other] = [await generateSigningKey(), await generateSigningKey()];
+    const checkpoint = { id: 'checkpoint-3', ...await signCheckpoint(other, HEAD) };
+    assert.deepEqual(await checkpointIssue(checkpoint, [own.keyId]), {
+      type: CHAIN_ISSUE.CHECKPOINT, seq: 3, id: 'checkpoint-3', reason: 'untrusted', keyId: other.keyId,
+    });
+  });
+
+  test('reports a checkpoint whose signed head was changed', async () => {
+    const key = await generateSigningKey();
+    const checkpoint = { id: 'checkpoint-3', ...await signCheckpoint(key, HEAD), seq: 4 };
+    assert.equal((await checkpointIssue(checkpoint, [key.keyId])).reason, 'signature');
+  });
+});
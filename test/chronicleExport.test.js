@@ -0,0 +1,133 @@
+// --- ODAS CHRONICLE EXPORT TESTS ---
+//
+// Ekspor Finality Chronicle (chronicleExport.js): normalisasi record, filter, CSV/NDJSON, statistik ringkasan,
+// laporan HTML, dan pembacaan rentang tanggal di backend memori.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeIncidentRecord,
+  filterChronicle,
+  loadChronicle,
+  toCsv,
+  toNdjson,
+  summarizeChronicle,
+  formatDuration,
+  renderChronicleReport,
+  serializeChronicle,
+  exportFileName,
+  toTimeMs,
+  EXPORT_COLUMNS,
+} from '../chronicleExport.js';
+import { createStorage } from '../storage.js';
+import { memoryTimestamp } from '../storageMemory.js';
+import { t } from '../i18n.js';
+
+const T0 = Date.UTC(2026, 0, 5, 8, 0);
+const MINUTE_MS = 60 * 1000;
+
+const incident = (id, extra = {}) => ({
+  id,
+  path: 'Infrastruktur',
+  severity: 'critical',
+  ruleId: 'latency-high',
+  description: 'Latency 250 ms',
+  timestamp: memoryTimestamp(T0),
+  ...extra,
+});
+
+describe('normalizeIncidentRecord', () => {
+  test('flattens timestamps to ISO and computes the time to resolve', () => {
+    const record = normalizeIncidentRecord(
+      incident('i-1', { assetId: 'a', status: 'resolved', resolvedAt: memoryTimestamp(T0 + 5 * MINUTE_MS) }),
+      { a: 'Gateway' },
+    );
+    assert.equal(record.assetName, 'Gateway');
+    assert.equal(record.openedAt, new Date(T0).toISOString());
+    assert.equal(record.timeToResolveMs, 5 * MINUTE_MS);
+    assert.deepEqual([record.breachActive, record.count, record.acknowledgedAt], [true, 1, null]);
+  });
+
+  test('falls back to the default asset and an open status', () => {
+    const record = normalizeIncidentRecord(incident('i-1'));
+    assert.deepEqual([record.assetId, record.assetName, record.status, record.timeToResolveMs], ['default', 'default', 'open', null]);
+  });
+
+  test('reads epoch, Date and ISO times', () => {
+    assert.deepEqual([toTimeMs(T0), toTimeMs(new Date(T0)), toTimeMs(new Date(T0).toISOString()), toTimeMs('nope'), toTimeMs(null)], [T0, T0, T0, null, null]);
+  });
+});
+
+describe('filterChronicle', () => {
+  const records = [
+    normalizeIncidentRecord(incident('old', { timestamp: T0 - MINUTE_MS })),
+    normalizeIncidentRecord(incident('warning', { severity: 'warning', timestamp: T0 + MINUTE_MS })),
+    normalizeIncidentRecord(incident('other-asset', { assetId: 'b', timestamp: T0 + 2 * MINUTE_MS })),
+    normalizeIncidentRecord(incident('untimed', { timestamp: null })),
+  ];
+
+  test('keeps the records of the range, newest first', () => {
+    assert.deepEqual(filterChronicle(records, { fromMs: T0 }).map(record => record.id), ['other-asset', 'warning']);
+  });
+
+  test('filters by severity and asset, an empty list meaning all', () => {
+    assert.deepEqual(filterChronicle(records, { severities: ['critical'], assetIds: ['default'] }).map(record => record.id), ['old']);
+  });
+});
+
+describe('serializers', () => {
+  test('writes RFC 4180 CSV in the export column order', () => {
+    const csv = toCsv([normalizeIncidentRecord(incident('i-1', { description: 'Latency "tinggi", 250 ms' }))]);
+    const [header, row] = csv.split('\r\n');
+    assert.equal(header, EXPORT_COLUMNS.join(','));
+    assert.ok(row.includes('"Latency ""tinggi"", 250 ms"'));
+  });
+
+  test('writes one JSON object per line without the internal sort key', () => {
+    const lines = toNdjson([normalizeIncidentRecord(incident('i-1')), normalizeIncidentRecord(incident('i-2'))]).split('\n');
+    assert.equal(lines.length, 2);
+    assert.equal('openedAtMs' in JSON.parse(lines[0]), false);
+  });
+
+  test('rejects an unknown format and names the file after the range', () => {
+    assert.throws(() => serializeChronicle('xml', { records: [] }), { message: t('chronicle.error.format', { format: 'xml' }) });
+    assert.equal(exportFileName('ndjson', { fromMs: T0, toMs: T0 + 7 * 24 * 60 * MINUTE_MS }), 'finality-chronicle_2026-01-05_2026-01-12.ndjson');
+  });
+
+  test('escapes incident text in the HTML report', () => {
+    const html = renderChronicleReport({
+      records: [normalizeIncidentRecord(incident('i-1', { description: '<script>x</script>' }))],
+      filter: { fromMs: T0, toMs: T0, paths: [], severities: [], assetIds: [] },
+    });
+    assert.ok(html.includes('&lt;script&gt;'));
+    assert.equal(html.includes('<script>x'), false);
+  });
+});
+
+describe('summarizeChronicle', () => {
+  test('counts records and averages the time to resolve', () => {
+    const resolved = minutes => normalizeIncidentRecord(incident(`r-${minutes}`, { resolvedAt: T0 + minutes * MINUTE_MS, breachActive: false }));
+    const summary = summarizeChronicle([resolved(2), resolved(4), normalizeIncidentRecord(incident('open', { ruleId: 'volatility' }))], 1);
+    assert.deepEqual([summary.total, summary.active, summary.resolvedCount], [3, 1, 2]);
+    assert.equal(summary.meanTimeToResolveMs, 3 * MINUTE_MS);
+    assert.deepEqual(summary.bySeverity, { critical: 3 });
+    assert.deepEqual(summary.topRules, [{ ruleId: 'latency-high', count: 2 }]);
+  });
+
+  test('formats durations by their largest unit', () => {
+    assert.equal(formatDuration(45 * 1000), t('duration.seconds', { seconds: 45 }));
+    assert.equal(formatDuration(125 * MINUTE_MS), t('duration.hours', { hours: 2, minutes: 5 }));
+    assert.equal(formatDuration(null), '-');
+  });
+});
+
+describe('loadChronicle', () => {
+  test('queries the opening range in storage', async () => {
+    const { repositories } = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' });
+    for (const [id, ms] of [['before', T0 - MINUTE_MS], ['inside', T0], ['after', T0 + 2 * MINUTE_MS]]) {
+      await repositories.interventions.set(id, { ...incident(id), timestamp: memoryTimestamp(ms) });
+    }
+    const records = await loadChronicle(repositories.interventions, { fromMs: T0, toMs: T0 + MINUTE_MS, paths: [], severities: [], assetIds: [] });
+    assert.deepEqual(records.map(record => record.id), ['inside']);
+  });
+});
@@ -0,0 +1,121 @@
+// --- ODAS CORRELATION TESTS ---
+//
+// Korelasi antarjalur (correlation.js): pengelompokan insiden satu aset lewat edge dependensi dan jendela waktu,
+// akar masalah yang disarankan, dan validasi konfigurasi.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  correlateIncidents,
+  correlationIndex,
+  describeRootCause,
+  validateCorrelationConfig,
+  normalizeCorrelationConfig,
+  nodeLabel,
+  DEFAULT_CORRELATION_CONFIG,
+} from '../correlation.js';
+import { t, formatNumber } from '../i18n.js';
+
+const T0 = Date.parse('2026-01-01T00:00:00.000Z');
+
+const incident = (id, path, metric, offsetSeconds, extra = {}) => ({
+  id,
+  assetId: 'asset-1',
+  ruleId: `rule-${id}`,
+  path,
+  metric,
+  severity: 'warning',
+  openedAtMs: T0 + offsetSeconds * 1000,
+  breachActive: true,
+  ...extra,
+});
+
+const latency = (offsetSeconds, extra) => incident('latency', 'Infrastruktur', 'systemLatency', offsetSeconds, extra);
+const anomaly = (offsetSeconds, extra) => incident('anomaly', 'Sensor', 'anomalyScore', offsetSeconds, extra);
+
+describe('correlateIncidents', () => {
+  test('groups incidents linked by an edge within the window and suggests the upstream one', () => {
+    const [event] = correlateIncidents([anomaly(60, { severity: 'critical' }), latency(0)]);
+    assert.equal(event.correlated, true);
+    assert.equal(event.rootCause.id, 'latency');
+    assert.deepEqual(event.incidents.map(member => member.id), ['latency', 'anomaly']);
+    assert.deepEqual(event.links, [{ from: 'latency', to: 'anomaly', edge: { from: 'Infrastruktur', to: 'Sensor' } }]);
+    assert.equal(event.severity, 'critical');
+    assert.equal(event.openedAtMs, T0);
+  });
+
+  test('suggests the upstream incident even when it opened later', () => {
+    const [event] = correlateIncidents([anomaly(0), latency(30)]);
+    assert.equal(event.rootCause.id, 'latency');
+  });
+
+  test('keeps incidents apart outside the window, across assets, or without an edge', () => {
+    const separate = (incidents) => correlateIncidents(incidents).every(event => !event.correlated);
+    assert.ok(separate([latency(0), anomaly(DEFAULT_CORRELATION_CONFIG.windowMinutes * 60 + 1)]));
+    assert.ok(separate([latency(0), anomaly(10, { assetId: 'asset-2' })]));
+    assert.ok(separate([latency(0), incident('sentiment', 'Persona', 'publicSentiment', 10)]));
+  });
+
+  test('follows edges through other nodes', () => {
+    const config = normalizeCorrelationConfig({
+      edges: [{ from: 'Infrastruktur', to: 'Sensor' }, { from: 'Sensor', to: 'Persona' }],
+    });
+    const [event] = correlateIncidents([latency(0), incident('sentiment', 'Persona', 'publicSentiment', 20)], config);
+    assert.equal(event.correlated, true);
+    assert.deepEqual(event.links[0].edge, { from: 'Infrastruktur', to: 'Persona' });
+  });
+
+  test('matches metric nodes on the metric only', () => {
+    const liquidity = incident('liquidity', 'Finansial', 'marketLiquidity', 0);
+    const volatility = incident('volatility', 'Finansial', 'assetVolatility', 30);
+    const [event] = correlateIncidents([volatility, liquidity]);
+    assert.equal(event.rootCause.id, 'liquidity');
+    assert.ok(correlateIncidents([volatility, { ...liquidity, metric: 'assetVolatility' }]).every(found => !found.correlated));
+  });
+
+  test('leaves out forecast pre-warnings and silenced incidents', () => {
+    assert.deepEqual(correlateIncidents([latency(0, { severity: 'forecast' }), anomaly(10, { suppressed: true })]), []);
+  });
+
+  test('indexes only correlated events', () => {
+    const events = correlateIncidents([latency(0), anomaly(10), incident('sentiment', 'Persona', 'publicSentiment', 10)]);
+    const index = correlationIndex(events);
+    assert.deepEqual([...index.keys()].sort(), ['anomaly', 'latency']);
+  });
+});
+
+describe('describeRootCause', () => {
+  test('reports how far the root cause led its effects', () => {
+    const [event] = correlateIncidents([latency(0), anomaly(90)]);
+    assert.equal(describeRootCause(event), t('correlation.rootCause.lead', {
+      node: nodeLabel('Infrastruktur'),
+      count: 1,
+      seconds: formatNumber(90, 0),
+    }));
+  });
+});
+
+describe('validateCorrelationConfig', () => {
+  test('accepts the default configuration', () => {
+    assert.deepEqual(validateCorrelationConfig(normalizeCorrelationConfig()), []);
+  });
+
+  test('reports the window, unknown nodes, self loops and duplicates', () => {
+    const label = number => t('correlation.edgeLabel', { number });
+    const errors = validateCorrelationConfig({
+      windowMinutes: 0,
+      edges: [
+        { from: 'Nowhere', to: 'Sensor' },
+        { from: 'Sensor', to: 'Sensor' },
+        { from: 'Infrastruktur', to: 'Sensor' },
+        { from: 'Infrastruktur', to: 'Sensor' },
+      ],
+    });
+    assert.deepEqual(errors, [
+      t('correlation.error.window'),
+      t('correlation.error.node', { label: label(1) }),
+      t('correlation.error.selfLoop', { label: label(2) }),
+      t('correlation.error.duplicate', { label: label(4) }),
+    ]);
+  });
+});
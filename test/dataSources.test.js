@@ -0,0 +1,142 @@
+// --- ODAS DATA SOURCE TESTS ---
+//
+// Adapter sumber data (dataSources.js): normalisasi sampel, parser rekaman, replay, polling HTTP, dan data basi.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSample,
+  parseRecords,
+  isSourceStale,
+  createDataSource,
+  createReplaySource,
+  createHttpPollingSource,
+  createRandomSource,
+  SOURCE_STATE,
+  STALE_AFTER_MS,
+} from '../dataSources.js';
+import { PATH_METRIC_KEYS } from '../paths.js';
+import { t } from '../i18n.js';
+
+const RAW = {
+  assetVolatility: '0.2',
+  marketLiquidity: 0.8,
+  systemLatency: 120,
+  publicSentiment: 0.7,
+  anomalyScore: 0.1,
+};
+
+const CSV = [
+  'assetVolatility,marketLiquidity,systemLatency,publicSentiment,anomalyScore',
+  '0.2,0.8,120,0.7,0.1',
+  '0.3,0.7,180,0.6,0.2',
+].join('\n');
+
+describe('normalizeSample', () => {
+  test('converts every metric to a number and lets optional metrics be absent', () => {
+    assert.deepEqual(normalizeSample(RAW), { ...RAW, assetVolatility: 0.2 });
+    assert.equal(normalizeSample({ ...RAW, complianceViolationRate: '0.05' }).complianceViolationRate, 0.05);
+  });
+
+  test('names the missing or non-numeric metrics', () => {
+    const { systemLatency, ...withoutLatency } = RAW;
+    assert.throws(() => normalizeSample({ ...withoutLatency, anomalyScore: 'n/a' }), {
+      message: t('source.error.missingMetrics', { metrics: 'systemLatency, anomalyScore' }),
+    });
+    assert.throws(() => normalizeSample(null), { message: t('source.error.notObject') });
+  });
+});
+
+describe('parseRecords', () => {
+  test('reads CSV with quoted cells', () => {
+    assert.deepEqual(parseRecords('name,note\n"Aset ""A""","x, y"\n', 'csv'), [{ name: 'Aset "A"', note: 'x, y' }]);
+  });
+
+  test('guesses the format from the file name or the content', () => {
+    const ndjson = `${JSON.stringify(RAW)}\n${JSON.stringify(RAW)}\n`;
+    assert.equal(parseRecords(ndjson, 'rekaman.jsonl').length, 2);
+    assert.equal(parseRecords(ndjson).length, 2);
+    assert.equal(parseRecords(CSV, 'rekaman.csv').length, 2);
+  });
+
+  test('reports the NDJSON line that does not parse', () => {
+    let parseError;
+    try {
+      JSON.parse('{oops}');
+    } catch (error) {
+      parseError = error;
+    }
+    assert.throws(() => parseRecords('{"a":1}\n{oops}', 'ndjson'), {
+      message: t('source.error.ndjsonLine', { line: 2, error: parseError.message }),
+    });
+  });
+});
+
+describe('createReplaySource', () => {
+  test('plays the recording and loops by default', async () => {
+    const source = createReplaySource({ text: CSV, fileName: 'rekaman.csv' });
+    source.connect();
+    const latencies = [];
+    for (let i = 0; i < 3; i += 1) latencies.push((await source.read()).systemLatency);
+    assert.deepEqual(latencies, [120, 180, 120]);
+    assert.equal(source.getStatus().state, SOURCE_STATE.CONNECTED);
+  });
+
+  test('ends without loop', async () => {
+    const source = createReplaySource({ text: CSV, fileName: 'rekaman.csv', loop: false });
+    source.connect();
+    await source.read();
+    await source.read();
+    assert.equal(await source.read(), null);
+    assert.equal(source.getStatus().state, SOURCE_STATE.ENDED);
+  });
+
+  test('reports a recording that fails validation', async () => {
+    const source = createReplaySource({ text: 'systemLatency\n120\n', fileName: 'rekaman.csv' });
+    source.connect();
+    assert.equal(source.getStatus().state, SOURCE_STATE.ERROR);
+    assert.equal(await source.read(), null);
+  });
+});
+
+describe('createHttpPollingSource', () => {
+  test('returns a normalized sample per poll', async () => {
+    const source = createHttpPollingSource({ url: 'http://feed.test/odas', fetchImpl: async () => ({ ok: true, json: async () => RAW }) });
+    source.connect();
+    assert.equal((await source.read()).assetVolatility, 0.2);
+    assert.equal(source.getStatus().state, SOURCE_STATE.CONNECTED);
+  });
+
+  test('turns an HTTP failure into an error status', async () => {
+    const source = createHttpPollingSource({ url: 'http://feed.test/odas', fetchImpl: async () => ({ ok: false, status: 503 }) });
+    source.connect();
+    assert.equal(await source.read(), null);
+    assert.deepEqual([source.getStatus().state, source.getStatus().message], [SOURCE_STATE.ERROR, 'HTTP 503']);
+  });
+});
+
+describe('createRandomSource', () => {
+  test('repeats the same samples for the same seed', async () => {
+    const run = async () => {
+      const source = createRandomSource({ seed: 'odas-test' });
+      source.connect();
+      return [await source.read(), await source.read()];
+    };
+    const [first, second] = [await run(), await run()];
+    assert.deepEqual(first, second);
+    PATH_METRIC_KEYS.forEach(key => assert.equal(typeof first[0][key], 'number', key));
+  });
+});
+
+describe('data source registry', () => {
+  test('rejects an unknown type', () => {
+    assert.throws(() => createDataSource('carrier-pigeon'), { message: t('source.error.unknownType', { type: 'carrier-pigeon' }) });
+  });
+
+  test('treats a source without new data for STALE_AFTER_MS as stale, unless it ended', () => {
+    const status = { state: SOURCE_STATE.CONNECTED, lastUpdate: 1000 };
+    assert.equal(isSourceStale(status, 1000 + STALE_AFTER_MS), false);
+    assert.equal(isSourceStale(status, 1001 + STALE_AFTER_MS), true);
+    assert.equal(isSourceStale({ ...status, state: SOURCE_STATE.ENDED }, 1001 + STALE_AFTER_MS), false);
+  });
+});
@@ -0,0 +1,382 @@
+// --- ODAS FIRESTORE RULES TESTS (EMULATOR) ---
+//
+// Menguji firestore.rules terhadap Firestore Emulator: matriks peran ruang kerja (viewer, operator, admin) untuk
+// setiap koleksi, pengguna bukan anggota dan tanpa login, pengaturan rahasia, segel Finality Chronicle, dokumen ruang
+// kerja, anggota (termasuk bergabung lewat undangan), dan undangan.
+// Jalankan:  npm run test:rules  (firebase emulators:exec menyetel FIRESTORE_EMULATOR_HOST)
+// Tanpa emulator (npm test) seluruh suite dilewati.
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import fs from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+} from 'firebase/firestore';
+import { COLLECTIONS } from '../storage.js';
+import { RESOLUTIONS } from '../metricsHistory.js';
+
+const APP_ID = 'odas-test';
+const WORKSPACE = 'ws';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USERS = {
+  owner: 'owner',
+  admin: 'admin',
+  operator: 'operator',
+  viewer: 'viewer',
+  outsider: 'outsider',
+  invitee: 'invitee',
+};
+
+// Workspace collections by the minimum role allowed to write them (writeRole() in firestore.rules)
+const OPERATOR_COLLECTIONS = [
+  COLLECTIONS.interventions,
+  COLLECTIONS.scanner,
+  COLLECTIONS.notificationLog,
+  COLLECTIONS.silences,
+  COLLECTIONS.chronicleCheckpoints,
+  COLLECTIONS.chronicleRecords,
+  ...Object.values(RESOLUTIONS).map(resolution => resolution.collection),
+];
+const ADMIN_COLLECTIONS = [
+  COLLECTIONS.assets,
+  COLLECTIONS.ruleVersions,
+  COLLECTIONS.settings,
+  COLLECTIONS.memberships,
+];
+// Created once, never updated
+const IMMUTABLE_COLLECTIONS = [COLLECTIONS.chronicleCheckpoints, COLLECTIONS.chronicleRecords, COLLECTIONS.ruleVersions];
+
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+const MEMBER_ROLES = ['viewer', 'operator', 'admin'];
+
+const workspacePath = (...segments) => ['artifacts', APP_ID, 'workspaces', WORKSPACE, ...segments].join('/');
+const invitationPath = (code) => `artifacts/${APP_ID}/invitations/${code}`;
+
+const emulatorAvailable = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+describe('firestore.rules', { skip: !emulatorAvailable && 'FIRESTORE_EMULATOR_HOST not set (npm run test:rules)' }, () => {
+  let env;
+
+  const db = (user) => (user ? env.authenticatedContext(user).firestore() : env.unauthenticatedContext().firestore());
+  const as = (role) => db(USERS[role]);
+
+  before(async () => {
+    env = await initializeTestEnvironment({
+      projectId: 'demo-odas',
+      firestore: { rules: fs.readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    });
+  });
+
+  after(async () => {
+    if (env) await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const seed = context.firestore();
+      await setDoc(doc(seed, workspacePath()), { name: 'Tim', ownerId: USERS.owner });
+      await setDoc(doc(seed, workspacePath('members', USERS.owner)), { role: 'admin', invitation: null });
+      await setDoc(doc(seed, workspacePath('members', USERS.admin)), { role: 'admin', invitation: null });
+      await setDoc(doc(seed, workspacePath('members', USERS.operator)), { role: 'operator', invitation: null });
+      await setDoc(doc(seed, workspacePath('members', USERS.viewer)), { role: 'viewer', invitation: null });
+      for (const name of [...OPERATOR_COLLECTIONS, ...ADMIN_COLLECTIONS]) {
+        await setDoc(doc(seed, workspacePath(name, 'existing')), { value: 1 });
+      }
+      await setDoc(doc(seed, workspacePath(COLLECTIONS.settings, 'notifications')), { channels: [] });
+      await setDoc(doc(seed, workspacePath(COLLECTIONS.settings, 'playbooks')), { playbooks: [] });
+      await setDoc(doc(seed, workspacePath(COLLECTIONS.assets, 'asset')), { name: 'Aset', health: 'healthy', thresholdOverrides: {} });
+      await setDoc(doc(seed, workspacePath(COLLECTIONS.interventions, 'sealed')), {
+        count: 1, status: 'open', chainSeq: 1, chainPrevHash: 'genesis', chainHash: 'abc', sealed: true,
+      });
+      const invitation = { workspaceId: WORKSPACE, workspaceName: 'Tim', role: 'operator', createdBy: USERS.owner, revoked: false };
+      await setDoc(doc(seed, invitationPath('valid')), { ...invitation, expiresAtMs: Date.now() + DAY_MS });
+      await setDoc(doc(seed, invitationPath('expired')), { ...invitation, expiresAtMs: Date.now() - DAY_MS });
+      await setDoc(doc(seed, invitationPath('revoked')), { ...invitation, revoked: true, expiresAtMs: Date.now() + DAY_MS });
+      await setDoc(doc(seed, `artifacts/${APP_ID}/users/${USERS.operator}/${COLLECTIONS.interventions}/mine`), { value: 1 });
+    });
+  });
+
+  // --- Workspace collections: role matrix ---
+
+  for (const name of [...OPERATOR_COLLECTIONS, ...ADMIN_COLLECTIONS]) {
+    const minimum = OPERATOR_COLLECTIONS.includes(name) ? 'operator' : 'admin';
+    const immutable = IMMUTABLE_COLLECTIONS.includes(name);
+
+    describe(name, () => {
+      for (const role of MEMBER_ROLES) {
+        const allowed = ROLE_RANK[role] >= ROLE_RANK[minimum];
+
+        test(`${role} can read`, async () => {
+          await assertSucceeds(getDoc(doc(as(role), workspacePath(name, 'existing'))));
+        });
+
+        test(`${role} ${allowed ? 'can' : 'cannot'} create`, async () => {
+          const write = setDoc(doc(as(role), workspacePath(name, 'created')), { value: 2 });
+          await (allowed ? assertSucceeds(write) : assertFails(write));
+        });
+
+        test(`${role} ${allowed && !immutable ? 'can' : 'cannot'} update`, async () => {
+          const write = updateDoc(doc(as(role), workspacePath(name, 'existing')), { value: 3 });
+          await (allowed && !immutable ? assertSucceeds(write) : assertFails(write));
+        });
+
+        test(`${role} cannot delete`, async () => {
+          await assertFails(deleteDoc(doc(as(role), workspacePath(name, 'existing'))));
+        });
+      }
+
+      test('non-member cannot read or write', async () => {
+        await assertFails(getDoc(doc(db(USERS.outsider), workspacePath(name, 'existing'))));
+        await assertFails(setDoc(doc(db(USERS.outsider), workspacePath(name, 'created')), { value: 2 }));
+      });
+
+      test('invitee cannot read or write before joining', async () => {
+        await assertFails(getDoc(doc(db(USERS.invitee), workspacePath(name, 'existing'))));
+        await assertFails(setDoc(doc(db(USERS.invitee), workspacePath(name, 'created')), { value: 2 }));
+      });
+
+      test('signed-out user cannot read or write', async () => {
+        await assertFails(getDoc(doc(db(null), workspacePath(name, 'existing'))));
+        await assertFails(setDoc(doc(db(null), workspacePath(name, 'created')), { value: 2 }));
+      });
+    });
+  }
+
+  // --- Secret settings (isSecretSetting) ---
+
+  describe('secret settings', () => {
+    for (const id of ['notifications', 'playbooks']) {
+      test(`${id}: viewer cannot read`, async () => {
+        await assertFails(getDoc(doc(as('viewer'), workspacePath(COLLECTIONS.settings, id))));
+      });
+
+      test(`${id}: operator and admin can read`, async () => {
+        await assertSucceeds(getDoc(doc(as('operator'), workspacePath(COLLECTIONS.settings, id))));
+        await assertSucceeds(getDoc(doc(as('admin'), workspacePath(COLLECTIONS.settings, id))));
+      });
+
+      test(`${id}: only admin can write`, async () => {
+        await assertFails(setDoc(doc(as('operator'), workspacePath(COLLECTIONS.settings, id)), { channels: [] }));
+        await assertSucceeds(setDoc(doc(as('admin'), workspacePath(COLLECTIONS.settings, id)), { channels: [] }));
+      });
+    }
+
+    test('viewer can read other settings', async () => {
+      await assertSucceeds(getDoc(doc(as('viewer'), workspacePath(COLLECTIONS.settings, 'existing'))));
+    });
+  });
+
+  // --- Asset health written by scans ---
+
+  describe('strategic asset health', () => {
+    test('operator can record health', async () => {
+      await assertSucceeds(updateDoc(doc(as('operator'), workspacePath(COLLECTIONS.assets, 'asset')), {
+        health: 'critical', healthUpdatedAt: 1,
+      }));
+    });
+
+    test('operator cannot change threshold overrides', async () => {
+      await assertFails(updateDoc(doc(as('operator'), workspacePath(COLLECTIONS.assets, 'asset')), {
+        thresholdOverrides: { rule: 1 },
+      }));
+    });
+
+    test('viewer cannot record health', async () => {
+      await assertFails(updateDoc(doc(as('viewer'), workspacePath(COLLECTIONS.assets, 'asset')), { health: 'critical' }));
+    });
+  });
+
+  // --- Finality Chronicle seal (keepsChronicleSeal) ---
+
+  describe('chronicle seal', () => {
+    test('operator can update a sealed incident', async () => {
+      await assertSucceeds(updateDoc(doc(as('operator'), workspacePath(COLLECTIONS.interventions, 'sealed')), {
+        count: 2, status: 'acknowledged',
+      }));
+    });
+
+    for (const field of ['chainSeq', 'chainPrevHash', 'chainHash', 'sealed']) {
+      test(`nobody can rewrite ${field}`, async () => {
+        const patch = { [field]: field === 'chainSeq' ? 2 : field === 'sealed' ? false : 'rewritten' };
+        await assertFails(updateDoc(doc(as('operator'), workspacePath(COLLECTIONS.interventions, 'sealed')), patch));
+        await assertFails(updateDoc(doc(as('admin'), workspacePath(COLLECTIONS.interventions, 'sealed')), patch));
+      });
+    }
+  });
+
+  // --- Personal space ---
+
+  describe('personal space', () => {
+    const path = `artifacts/${APP_ID}/users/${USERS.operator}/${COLLECTIONS.interventions}/mine`;
+
+    test('owner can read and write', async () => {
+      await assertSucceeds(getDoc(doc(db(USERS.operator), path)));
+      await assertSucceeds(setDoc(doc(db(USERS.operator), path), { value: 2 }));
+    });
+
+    test('other users cannot read or write', async () => {
+      await assertFails(getDoc(doc(db(USERS.outsider), path)));
+      await assertFails(setDoc(doc(db(USERS.admin), path), { value: 2 }));
+      await assertFails(getDoc(doc(db(null), path)));
+    });
+  });
+
+  // --- Workspace document ---
+
+  describe('workspace document', () => {
+    test('members can read, non-members cannot', async () => {
+      for (const role of MEMBER_ROLES) await assertSucceeds(getDoc(doc(as(role), workspacePath())));
+      await assertFails(getDoc(doc(db(USERS.outsider), workspacePath())));
+      await assertFails(getDoc(doc(db(null), workspacePath())));
+    });
+
+    test('anyone signed in can create a workspace they own', async () => {
+      const path = `artifacts/${APP_ID}/workspaces/new`;
+      await assertSucceeds(setDoc(doc(db(USERS.outsider), path), { name: 'Baru', ownerId: USERS.outsider }));
+    });
+
+    test('a workspace cannot be created for someone else or without a name', async () => {
+      const path = `artifacts/${APP_ID}/workspaces/new`;
+      await assertFails(setDoc(doc(db(USERS.outsider), path), { name: 'Baru', ownerId: USERS.owner }));
+      await assertFails(setDoc(doc(db(USERS.outsider), path), { name: '', ownerId: USERS.outsider }));
+      await assertFails(setDoc(doc(db(null), path), { name: 'Baru', ownerId: 'nobody' }));
+    });
+
+    test('only admins can rename, and only the name', async () => {
+      await assertSucceeds(updateDoc(doc(as('admin'), workspacePath()), { name: 'Tim Baru' }));
+      await assertFails(updateDoc(doc(as('admin'), workspacePath()), { ownerId: USERS.admin }));
+      await assertFails(updateDoc(doc(as('operator'), workspacePath()), { name: 'Tim Baru' }));
+      await assertFails(updateDoc(doc(as('viewer'), workspacePath()), { name: 'Tim Baru' }));
+    });
+
+    test('nobody can delete a workspace', async () => {
+      await assertFails(deleteDoc(doc(db(USERS.owner), workspacePath())));
+    });
+  });
+
+  // --- Members ---
+
+  describe('members', () => {
+    test('members can read the member list, non-members cannot', async () => {
+      await assertSucceeds(getDoc(doc(as('viewer'), workspacePath('members', USERS.operator))));
+      await assertFails(getDoc(doc(db(USERS.outsider), workspacePath('members', USERS.operator))));
+      await assertFails(getDoc(doc(db(USERS.invitee), workspacePath('members', USERS.operator))));
+    });
+
+    test('the creator bootstraps their own admin membership', async () => {
+      const base = `artifacts/${APP_ID}/workspaces/new`;
+      await assertSucceeds(setDoc(doc(db(USERS.outsider), base), { name: 'Baru', ownerId: USERS.outsider }));
+      await assertSucceeds(setDoc(doc(db(USERS.outsider), `${base}/members/${USERS.outsider}`), { role: 'admin', invitation: null }));
+    });
+
+    test('non-owners cannot make themselves admin', async () => {
+      await assertFails(setDoc(doc(db(USERS.outsider), workspacePath('members', USERS.outsider)), { role: 'admin', invitation: null }));
+    });
+
+    test('invitee joins with the invited role', async () => {
+      await assertSucceeds(setDoc(doc(db(USERS.invitee), workspacePath('members', USERS.invitee)), {
+        role: 'operator', invitation: 'valid', addedBy: USERS.owner,
+      }));
+      await assertSucceeds(getDoc(doc(db(USERS.invitee), workspacePath(COLLECTIONS.interventions, 'existing'))));
+    });
+
+    test('invitee cannot pick a higher role than invited', async () => {
+      await assertFails(setDoc(doc(db(USERS.invitee), workspacePath('members', USERS.invitee)), {
+        role: 'admin', invitation: 'valid', addedBy: USERS.owner,
+      }));
+    });
+
+    test('expired or revoked invitations cannot be used', async () => {
+      for (const code of ['expired', 'revoked']) {
+        await assertFails(setDoc(doc(db(USERS.invitee), workspacePath('members', USERS.invitee)), {
+          role: 'operator', invitation: code, addedBy: USERS.owner,
+        }));
+      }
+    });
+
+    test('an invitation only adds the caller', async () => {
+      await assertFails(setDoc(doc(db(USERS.invitee), workspacePath('members', USERS.outsider)), {
+        role: 'operator', invitation: 'valid', addedBy: USERS.owner,
+      }));
+    });
+
+    test('admins change roles, others cannot', async () => {
+      await assertSucceeds(updateDoc(doc(as('admin'), workspacePath('members', USERS.viewer)), { role: 'operator', changedBy: USERS.admin }));
+      await assertFails(updateDoc(doc(as('operator'), workspacePath('members', USERS.viewer)), { role: 'operator' }));
+      await assertFails(updateDoc(doc(as('viewer'), workspacePath('members', USERS.viewer)), { role: 'admin' }));
+    });
+
+    test('the owner stays an admin', async () => {
+      await assertFails(updateDoc(doc(as('admin'), workspacePath('members', USERS.owner)), { role: 'viewer' }));
+      await assertFails(deleteDoc(doc(as('admin'), workspacePath('members', USERS.owner))));
+      await assertFails(deleteDoc(doc(db(USERS.owner), workspacePath('members', USERS.owner))));
+    });
+
+    test('members can leave, admins can remove members', async () => {
+      await assertSucceeds(deleteDoc(doc(as('viewer'), workspacePath('members', USERS.viewer))));
+      await assertSucceeds(deleteDoc(doc(as('admin'), workspacePath('members', USERS.operator))));
+    });
+
+    test('non-admins cannot remove other members', async () => {
+      await assertFails(deleteDoc(doc(as('operator'), workspacePath('members', USERS.viewer))));
+      await assertFails(deleteDoc(doc(db(USERS.outsider), workspacePath('members', USERS.viewer))));
+    });
+  });
+
+  // --- Invitations ---
+
+  describe('invitations', () => {
+    const draft = (overrides = {}) => ({
+      workspaceId: WORKSPACE,
+      workspaceName: 'Tim',
+      role: 'viewer',
+      createdBy: USERS.admin,
+      revoked: false,
+      expiresAtMs: Date.now() + DAY_MS,
+      ...overrides,
+    });
+
+    test('anyone signed in can open an invite code, signed-out users cannot', async () => {
+      await assertSucceeds(getDoc(doc(db(USERS.invitee), invitationPath('valid'))));
+      await assertFails(getDoc(doc(db(null), invitationPath('valid'))));
+    });
+
+    test('only admins can list the workspace invitations', async () => {
+      const list = (firestore) => getDocs(query(collection(firestore, `artifacts/${APP_ID}/invitations`), where('workspaceId', '==', WORKSPACE)));
+      await assertSucceeds(list(as('admin')));
+      await assertFails(list(as('operator')));
+      await assertFails(list(db(USERS.invitee)));
+    });
+
+    test('admins create invitations as themselves', async () => {
+      await assertSucceeds(setDoc(doc(as('admin'), invitationPath('new')), draft()));
+      await assertFails(setDoc(doc(as('admin'), invitationPath('new')), draft({ createdBy: USERS.owner })));
+      await assertFails(setDoc(doc(as('admin'), invitationPath('new')), draft({ role: 'owner' })));
+    });
+
+    test('operators and non-members cannot create invitations', async () => {
+      await assertFails(setDoc(doc(as('operator'), invitationPath('new')), draft({ createdBy: USERS.operator })));
+      await assertFails(setDoc(doc(db(USERS.outsider), invitationPath('new')), draft({ createdBy: USERS.outsider })));
+    });
+
+    test('admins can only revoke', async () => {
+      await assertSucceeds(updateDoc(doc(as('admin'), invitationPath('valid')), { revoked: true }));
+      await assertFails(updateDoc(doc(as('admin'), invitationPath('valid')), { role: 'admin' }));
+      await assertFails(updateDoc(doc(as('operator'), invitationPath('valid')), { revoked: true }));
+    });
+
+    test('nobody can delete an invitation', async () => {
+      await assertFails(deleteDoc(doc(as('admin'), invitationPath('valid'))));
+    });
+  });
+});
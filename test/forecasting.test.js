@@ -0,0 +1,169 @@
+// --- ODAS FORECASTING TESTS ---
+//
+// Prakiraan pelanggaran (forecasting.js): pita, perkiraan waktu, dan pra-peringatan yang tersimpan tanpa bergantung bahasa.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forecastMetric, forecastAsset, normalizeForecastConfig, isForecastableRule, FORECAST_MODEL_CONFIG } from '../forecasting.js';
+import { reconcileIncidents } from '../incidents.js';
+import { SEVERITY, describeBreach, formatMetric } from '../ruleEngine.js';
+import { t } from '../i18n.js';
+
+const STEP_MS = 5000;
+const LATENCY_RULE = {
+  id: 'latency-high',
+  name: 'Latency tinggi',
+  path: 'Infrastruktur',
+  severity: 'critical',
+  condition: { metric: 'systemLatency', op: '>', value: 200 },
+};
+
+// 60 scans rising 1 ms per scan: 100 .. 159 ms
+const rising = (count = 60, start = 100, slope = 1) => Array.from({ length: count }, (_, index) => ({
+  t: index * STEP_MS,
+  systemLatency: start + slope * index,
+}));
+
+const config = normalizeForecastConfig({ horizonMinutes: 15 });
+
+describe('forecastMetric', () => {
+  test('waits for enough history', () => {
+    assert.equal(forecastMetric({ history: rising(5), metric: 'systemLatency', rules: [LATENCY_RULE], config }), null);
+  });
+
+  test('estimates when a rising metric crosses the threshold', () => {
+    const forecast = forecastMetric({ history: rising(), metric: 'systemLatency', rules: [LATENCY_RULE], config });
+    assert.equal(forecast.breaches.length, 1);
+    // 159 + 41 = 200 is not past '>', so the crossing is at step 42
+    assert.equal(forecast.breaches[0].etaMs, 42 * STEP_MS);
+  });
+
+  test('caps the horizon to the span of the history', () => {
+    const forecast = forecastMetric({ history: rising(), metric: 'systemLatency', rules: [LATENCY_RULE], config });
+    assert.equal(forecast.horizonMs, 60 * STEP_MS);
+  });
+
+  test('does not forecast a flat metric', () => {
+    const forecast = forecastMetric({ history: rising(60, 150, 0), metric: 'systemLatency', rules: [LATENCY_RULE], config });
+    assert.deepEqual(forecast.breaches, []);
+  });
+
+  test('reports a threshold already crossed with an eta of 0', () => {
+    const forecast = forecastMetric({ history: rising(60, 190), metric: 'systemLatency', rules: [LATENCY_RULE], config });
+    assert.equal(forecast.breaches[0].etaMs, 0);
+  });
+
+  test('skips composite and baseline rules', () => {
+    assert.equal(isForecastableRule({ ...LATENCY_RULE, condition: { all: [LATENCY_RULE.condition] } }), false);
+    assert.equal(isForecastableRule({ ...LATENCY_RULE, condition: { ...LATENCY_RULE.condition, baseline: 'ewma' } }), false);
+    assert.equal(isForecastableRule(LATENCY_RULE), true);
+  });
+});
+
+describe('forecastAsset', () => {
+  test('raises a forecast-severity warning for a rule that is not active yet', () => {
+    const { warnings } = forecastAsset({ history: rising(), rules: [LATENCY_RULE], config });
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].severity, SEVERITY.FORECAST);
+    assert.equal(warnings[0].ruleId, LATENCY_RULE.id);
+  });
+
+  test('leaves rules that already breach to their own incident', () => {
+    const { warnings } = forecastAsset({
+      history: rising(),
+      rules: [LATENCY_RULE],
+      ruleState: { [LATENCY_RULE.id]: { active: true, consecutive: 1 } },
+      config,
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  test('does nothing when forecasting is disabled', () => {
+    const { warnings, forecasts } = forecastAsset({ history: rising(), rules: [LATENCY_RULE], config: { ...config, enabled: false } });
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(forecasts, {});
+  });
+
+  test('stores locale-independent message params', () => {
+    const [warning] = forecastAsset({ history: rising(), rules: [LATENCY_RULE], config }).warnings;
+    assert.deepEqual(warning.messageParams, { metric: 'systemLatency', threshold: 200, minutes: 4, rule: LATENCY_RULE.id });
+  });
+
+  test('renders the pre-warning in the reader locale', () => {
+    const [warning] = forecastAsset({ history: rising(), rules: [LATENCY_RULE], config }).warnings;
+    for (const locale of ['id', 'en']) {
+      assert.equal(describeBreach(warning, locale), t('forecast.message', {
+        metric: t('metric.systemLatency', {}, locale),
+        threshold: formatMetric('systemLatency', 200, locale),
+        minutes: 4,
+        rule: LATENCY_RULE.id,
+      }, locale));
+    }
+  });
+
+  test('keeps the stored text of pre-warnings written before params were raw', () => {
+    const legacy = { messageKey: 'forecast.message', messageParams: { metric: 'Latency Sistem', threshold: '200 ms', minutes: 4, rule: 'Latency tinggi' } };
+    assert.equal(describeBreach(legacy, 'en'), t('forecast.message', legacy.messageParams, 'en'));
+  });
+});
+
+describe('pre-warning hysteresis', () => {
+  const flat = rising(60, 150, 0);
+  const warn = () => forecastAsset({ history: rising(), rules: [LATENCY_RULE], config });
+
+  // Scans with a clear forecast after the pre-warning opened
+  const clearFor = (scans, start = warn().warningState) => {
+    let warningState = start;
+    let result;
+    for (let scan = 0; scan < scans; scan += 1) {
+      result = forecastAsset({ history: flat, rules: [LATENCY_RULE], warningState, config });
+      warningState = result.warningState;
+    }
+    return result;
+  };
+
+  test('holds the pre-warning while the forecast has just cleared', () => {
+    const { warnings } = clearFor(1);
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].ruleId, LATENCY_RULE.id);
+    assert.equal(warnings[0].value, 150);
+  });
+
+  test('ends the pre-warning after clearScans clear scans', () => {
+    assert.equal(clearFor(FORECAST_MODEL_CONFIG.clearScans - 1).warnings.length, 1);
+    assert.equal(clearFor(FORECAST_MODEL_CONFIG.clearScans).warnings.length, 0);
+  });
+
+  test('restarts the clear count when the forecast crosses again', () => {
+    const { warningState } = clearFor(FORECAST_MODEL_CONFIG.clearScans - 1);
+    const again = forecastAsset({ history: rising(), rules: [LATENCY_RULE], warningState, config });
+    assert.equal(again.warningState[LATENCY_RULE.id].clearScans, 0);
+    assert.equal(clearFor(FORECAST_MODEL_CONFIG.clearScans - 1, again.warningState).warnings.length, 1);
+  });
+
+  test('drops the held pre-warning once the rule itself breaches', () => {
+    const { warnings } = forecastAsset({
+      history: flat,
+      rules: [LATENCY_RULE],
+      ruleState: { [LATENCY_RULE.id]: { active: true, consecutive: 1 } },
+      warningState: warn().warningState,
+      config,
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  test('drops the held pre-warning when the rule is removed', () => {
+    const { warnings } = forecastAsset({ history: flat, rules: [], warningState: warn().warningState, config });
+    assert.deepEqual(warnings, []);
+  });
+
+  test('a flickering forecast keeps one incident open', () => {
+    const [warning] = warn().warnings;
+    const incident = { ...warning, id: 'pre-1', assetId: 'asset-1', breachActive: true, status: 'open', count: 1 };
+    const [held] = clearFor(3).warnings;
+    const plan = reconcileIncidents([incident], [{ ...held, assetId: 'asset-1' }]);
+    assert.deepEqual(plan.toOpen, []);
+    assert.deepEqual(plan.toClose, []);
+    assert.equal(plan.toUpdate.length, 1);
+  });
+});
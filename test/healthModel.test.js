@@ -0,0 +1,149 @@
+// --- ODAS SYSTEM HEALTH MODEL TESTS ---
+//
+// Skor kesehatan (healthModel.js): headroom metrik, insiden berbobot severity, insiden yang diredam, pra-peringatan
+// Prediksi, status, dan validasi konfigurasi.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeHealth,
+  healthStatusFor,
+  validateHealthConfig,
+  normalizeHealthConfig,
+  DEFAULT_HEALTH_CONFIG,
+  HEALTH_STATUS,
+} from '../healthModel.js';
+import { SCHEDULE_TYPES, SILENCE_KINDS } from '../silences.js';
+import { t } from '../i18n.js';
+
+const AT = 1_000_000_000;
+
+const incident = (severity, extra = {}) => ({
+  id: `${severity}-1`,
+  path: 'Infrastruktur',
+  severity,
+  openedAtMs: AT - 60 * 1000,
+  recoveredAtMs: null,
+  breachActive: true,
+  ...extra,
+});
+
+const incidentComponents = (incidents, config) => {
+  const { components } = computeHealth({ rules: [], incidents, config, at: AT }).paths.Infrastruktur;
+  return { openIncidents: components.openIncidents, recentIncidents: components.recentIncidents };
+};
+
+const LATENCY_RULE = {
+  id: 'latency-high',
+  name: 'Latency tinggi',
+  path: 'Infrastruktur',
+  severity: 'critical',
+  condition: { metric: 'systemLatency', op: '>', value: 200 },
+};
+
+const infrastructure = (input) => computeHealth({ rules: [LATENCY_RULE], at: AT, ...input }).paths.Infrastruktur;
+
+describe('computeHealth metrics', () => {
+  test('scores the headroom to the threshold against fullHeadroom', () => {
+    const path = infrastructure({ samples: { 'asset-1': { systemLatency: 150 } } });
+    // 25% below the threshold is half of the 50% full headroom
+    assert.equal(path.components.metrics, 50);
+    // 0.4 * 50 + 0.4 * 100 + 0.2 * 100
+    assert.equal(path.score, 80);
+    assert.equal(path.status, HEALTH_STATUS.OPTIMAL);
+    assert.deepEqual(path.reasons.map(entry => [entry.key, entry.component]), [['health.reason.headroom', 'metrics']]);
+  });
+
+  test('scores a breached threshold as 0', () => {
+    const path = infrastructure({ samples: { 'asset-1': { systemLatency: 250 } } });
+    assert.equal(path.components.metrics, 0);
+    assert.equal(path.reasons[0].key, 'health.reason.breach');
+  });
+
+  test('applies the threshold overrides of each asset', () => {
+    const assets = [{ id: 'asset-1', name: 'Aset Utama', thresholdOverrides: { 'latency-high': 300 } }];
+    assert.equal(infrastructure({ assets, samples: { 'asset-1': { systemLatency: 150 } } }).components.metrics, 100);
+  });
+
+  test('leaves silenced rules out of the metric component', () => {
+    const silence = {
+      kind: SILENCE_KINDS.SILENCE,
+      scope: { paths: [], assetIds: [], ruleIds: ['latency-high'] },
+      schedule: { type: SCHEDULE_TYPES.ONCE, startsAtMs: AT - 1000, endsAtMs: AT + 1000 },
+    };
+    const path = infrastructure({ samples: { 'asset-1': { systemLatency: 250 } }, silences: [silence] });
+    assert.equal(path.components.metrics, null);
+    assert.equal(path.score, 100);
+    assert.deepEqual(path.reasons.map(entry => entry.key), ['health.reason.noMetrics']);
+  });
+
+  test('is offline without samples or incidents', () => {
+    const health = computeHealth({ rules: [LATENCY_RULE], at: AT });
+    assert.equal(health.score, null);
+    assert.equal(health.status, HEALTH_STATUS.OFFLINE);
+  });
+});
+
+describe('computeHealth incidents', () => {
+  test('weighs open incidents by severity against openIncidentLimit', () => {
+    // Critical weighs 3 of the limit of 6
+    assert.equal(incidentComponents([incident('critical')]).openIncidents, 50);
+    assert.equal(incidentComponents([incident('emergency')]).openIncidents, 0);
+  });
+
+  test('no longer counts a recovered incident as open, only as recent', () => {
+    const { openIncidents, recentIncidents } = incidentComponents([incident('critical', { recoveredAtMs: AT - 1000, breachActive: false })]);
+    assert.equal(openIncidents, 100);
+    assert.ok(recentIncidents < 100);
+  });
+
+  test('lets recent incidents decay with the half-life', () => {
+    const recent = minutesAgo => incidentComponents([incident('critical', { openedAtMs: AT - minutesAgo * 60 * 1000, breachActive: false, recoveredAtMs: AT - 1000 })]).recentIncidents;
+    assert.ok(recent(5) < recent(30));
+    assert.equal(recent(DEFAULT_HEALTH_CONFIG.windowMinutes + 1), 100);
+  });
+
+  test('an ongoing critical incident lowers both incident components', () => {
+    const { openIncidents, recentIncidents } = incidentComponents([incident('critical')]);
+    assert.ok(openIncidents < 100);
+    assert.ok(recentIncidents < 100);
+  });
+
+  test('silenced incidents do not lower the score', () => {
+    assert.deepEqual(incidentComponents([incident('critical', { suppressed: true })]), { openIncidents: 100, recentIncidents: 100 });
+  });
+
+  test('forecast pre-warnings do not lower the score, whatever their weight', () => {
+    const config = { ...DEFAULT_HEALTH_CONFIG, severityWeights: { ...DEFAULT_HEALTH_CONFIG.severityWeights, forecast: 3 } };
+    assert.deepEqual(incidentComponents([incident('forecast')], config), { openIncidents: 100, recentIncidents: 100 });
+  });
+
+  test('forecast pre-warnings add no incident reasons', () => {
+    const { reasons } = computeHealth({ rules: [], incidents: [incident('forecast')], at: AT }).paths.Infrastruktur;
+    assert.deepEqual(reasons.filter(entry => entry.component !== 'metrics'), []);
+  });
+});
+
+describe('health configuration', () => {
+  test('maps scores to statuses with the thresholds', () => {
+    assert.deepEqual([80, 79.9, 50, 49.9, null].map(score => healthStatusFor(score)), [
+      HEALTH_STATUS.OPTIMAL,
+      HEALTH_STATUS.WARNING,
+      HEALTH_STATUS.WARNING,
+      HEALTH_STATUS.CRITICAL,
+      HEALTH_STATUS.OFFLINE,
+    ]);
+  });
+
+  test('merges stored nested settings with the defaults', () => {
+    const config = normalizeHealthConfig({ weights: { metrics: 1 }, thresholds: { warning: 40 } });
+    assert.deepEqual(config.weights, { ...DEFAULT_HEALTH_CONFIG.weights, metrics: 1 });
+    assert.deepEqual(config.thresholds, { optimal: 80, warning: 40 });
+    assert.deepEqual(validateHealthConfig(config), []);
+  });
+
+  test('reports weights that are all zero and inverted thresholds', () => {
+    const config = normalizeHealthConfig({ weights: { metrics: 0, openIncidents: 0, recentIncidents: 0 }, thresholds: { optimal: 50, warning: 60 } });
+    assert.deepEqual(validateHealthConfig(config), [t('health.error.weights'), t('health.error.thresholds')]);
+  });
+});
@@ -0,0 +1,75 @@
+// --- ODAS I18N TESTS ---
+//
+// Lapisan bahasa (i18n.js, messagesId.js, messagesEn.js): kelengkapan katalog, cadangan kunci, placeholder, dan
+// format angka per locale.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  t,
+  formatTemplate,
+  formatValue,
+  formatDateTime,
+  templateKeys,
+  messageTemplates,
+  DEFAULT_LOCALE,
+} from '../i18n.js';
+import { MESSAGES_ID } from '../messagesId.js';
+import { MESSAGES_EN } from '../messagesEn.js';
+
+describe('catalogs', () => {
+  test('translate every key of the default catalog and no other', () => {
+    assert.deepEqual(Object.keys(MESSAGES_EN).filter(key => !(key in MESSAGES_ID)), []);
+    assert.deepEqual(Object.keys(MESSAGES_ID).filter(key => !(key in MESSAGES_EN)), []);
+  });
+
+  test('use the same placeholders in both locales', () => {
+    // The rule editor hint shows example placeholders as literal, translated text
+    const literal = ['ruleEditor.messageHint'];
+    const mismatched = Object.keys(MESSAGES_ID).filter(key => !literal.includes(key)).filter(key => (
+      JSON.stringify(templateKeys(MESSAGES_ID[key]).sort()) !== JSON.stringify(templateKeys(MESSAGES_EN[key]).sort())
+    ));
+    assert.deepEqual(mismatched, []);
+  });
+});
+
+describe('t', () => {
+  test('renders the catalog of the requested locale', () => {
+    assert.equal(t('asset.error.type', { type: 'boat' }, 'en'), 'Unknown asset type: boat.');
+    assert.equal(t('asset.error.type', { type: 'boat' }, 'id'), MESSAGES_ID['asset.error.type'].replace('{type}', 'boat'));
+  });
+
+  test('falls back to the default catalog, then to the key', () => {
+    assert.equal(DEFAULT_LOCALE, 'id');
+    assert.equal(t('asset.error.name', {}, 'fr'), MESSAGES_ID['asset.error.name']);
+    assert.equal(t('no.such.key', {}, 'en'), 'no.such.key');
+  });
+
+  test('lists the raw template of every locale', () => {
+    assert.deepEqual(messageTemplates('asset.error.name'), [MESSAGES_ID['asset.error.name'], MESSAGES_EN['asset.error.name']]);
+  });
+});
+
+describe('formatTemplate', () => {
+  test('formats numbers by placeholder format and locale', () => {
+    assert.equal(formatTemplate('{v|pct1}', { v: 0.153 }, { locale: 'en' }), '15.3%');
+    assert.equal(formatTemplate('{v|pct1}', { v: 0.153 }, { locale: 'id' }), '15,3%');
+    assert.equal(formatTemplate('{v|ms}', { v: 1234.4 }, { locale: 'id' }), '1.234ms');
+    assert.equal(formatTemplate('{v|usd}', { v: 1234 }, { locale: 'en' }), '$1,234');
+  });
+
+  test('uses the default format for numbers without one and leaves missing values', () => {
+    assert.equal(formatTemplate('{a} {b} {c|int}', { a: 1.5, c: null }, { defaultFormat: 'num', locale: 'en' }), '1.50 {b} {c|int}');
+    assert.equal(formatTemplate('{a}', { a: 'text' }), 'text');
+  });
+
+  test('reads the placeholder names of a template', () => {
+    assert.deepEqual(templateKeys('Latency {systemLatency|ms} ({expectedLow|ms})'), ['systemLatency', 'expectedLow']);
+  });
+
+  test('formats unknown formats as two decimals and invalid dates as N/A', () => {
+    assert.equal(formatValue(2, 'nope', 'en'), '2.00');
+    assert.equal(formatDateTime('not a date', 'en'), 'N/A');
+    assert.equal(formatDateTime(null, 'en'), 'N/A');
+  });
+});
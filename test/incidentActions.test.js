@@ -0,0 +1,132 @@
+// --- ODAS INCIDENT LIFECYCLE TESTS ---
+//
+// Siklus hidup insiden (incidentActions.js) di backend memori: transisi, penugasan, catatan, eskalasi otomatis,
+// dan tulisan satu siklus scan.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../storage.js';
+import { reconcileIncidents, findEscalations, INCIDENT_STATUS } from '../incidents.js';
+import {
+  planIncidentWrites,
+  transitionIncident,
+  assignIncident,
+  addIncidentNote,
+  escalationWrite,
+} from '../incidentActions.js';
+import { t } from '../i18n.js';
+
+const BREACH = {
+  assetId: 'asset-1',
+  ruleId: 'latency-high',
+  path: 'Infrastruktur',
+  metric: 'systemLatency',
+  severity: 'critical',
+  description: 'Latency 250 ms',
+  value: 250,
+};
+
+describe('incident lifecycle', () => {
+  let storage;
+  let interventions;
+
+  beforeEach(async () => {
+    storage = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' });
+    interventions = storage.repositories.interventions;
+  });
+
+  const commitScan = async (plan, now = Date.now()) => {
+    const result = planIncidentWrites(interventions, plan, now);
+    await storage.backend.commit(result.items.map(item => item.write));
+    return result;
+  };
+
+  const open = async (breach = BREACH, now = Date.now()) => {
+    const { opened } = await commitScan(reconcileIncidents([], [breach]), now);
+    return opened[0].id;
+  };
+
+  const incident = async (id) => ({ id, ...await interventions.get(id) });
+
+  test('opens an incident under a deterministic id', async () => {
+    const id = await open(BREACH, 1_700_000_000_000);
+    assert.equal(id, 'asset-1-Infrastruktur-latency-high-1700000000000');
+    const stored = await incident(id);
+    assert.equal(stored.status, INCIDENT_STATUS.OPEN);
+    assert.equal(stored.breachActive, true);
+    assert.ok(stored.searchTokens.length > 0);
+  });
+
+  test('does not report a silenced incident as opened', async () => {
+    const { items, opened } = await commitScan(reconcileIncidents([], [{ ...BREACH, suppressedBy: 'silence-1' }]));
+    assert.equal(items.length, 1);
+    assert.deepEqual(opened, []);
+  });
+
+  test('records transitions with their timestamp and history entry', async () => {
+    const id = await open();
+    await transitionIncident(interventions, await incident(id), INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops', note: 'looking' });
+    await transitionIncident(interventions, await incident(id), INCIDENT_STATUS.RESOLVED, { actor: 'ops' });
+
+    const stored = await incident(id);
+    assert.equal(stored.status, INCIDENT_STATUS.RESOLVED);
+    assert.equal(typeof stored.acknowledgedAt.toMillis(), 'number');
+    assert.equal(typeof stored.resolvedAt.toMillis(), 'number');
+    assert.deepEqual(stored.history.map(entry => [entry.from, entry.to, entry.by, entry.note]), [
+      ['open', 'acknowledged', 'ops', 'looking'],
+      ['acknowledged', 'resolved', 'ops', ''],
+    ]);
+  });
+
+  test('rejects a transition the lifecycle does not allow', async () => {
+    const id = await open();
+    await transitionIncident(interventions, await incident(id), INCIDENT_STATUS.DISMISSED, { actor: 'ops' });
+    assert.throws(
+      () => transitionIncident(interventions, { id, status: INCIDENT_STATUS.DISMISSED }, INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops' }),
+      { message: t('incident.error.transition', { from: 'dismissed', to: 'acknowledged' }) },
+    );
+  });
+
+  test('records assignments and notes', async () => {
+    const id = await open();
+    await assignIncident(interventions, await incident(id), 'dina', 'ops');
+    await assignIncident(interventions, await incident(id), 'bayu', 'ops');
+    await addIncidentNote(interventions, await incident(id), 'gateway restarted', 'bayu');
+
+    const stored = await incident(id);
+    assert.equal(stored.assignee, 'bayu');
+    assert.deepEqual(stored.history.map(entry => [entry.type, entry.from, entry.to]), [
+      ['assignment', null, 'dina'],
+      ['assignment', 'dina', 'bayu'],
+    ]);
+    assert.deepEqual(stored.notes.map(note => [note.text, note.by]), [['gateway restarted', 'bayu']]);
+  });
+
+  test('escalates an unacknowledged critical incident once', async () => {
+    const openedAtMs = Date.now() - 15 * 60 * 1000;
+    const id = await open();
+    const escalate = async () => {
+      const due = findEscalations([{ ...await incident(id), openedAtMs }], 10);
+      await storage.backend.commit(due.map(escalation => escalationWrite(interventions, escalation).write));
+      return due.length;
+    };
+
+    assert.equal(await escalate(), 1);
+    assert.equal(await escalate(), 0);
+    const stored = await incident(id);
+    assert.deepEqual([stored.severity, stored.escalatedFrom], ['emergency', 'critical']);
+    assert.deepEqual(stored.history.map(entry => entry.type), ['escalation']);
+  });
+
+  test('resolves a recovered incident but keeps the status an operator chose', async () => {
+    const recovered = await open();
+    const dismissed = await open({ ...BREACH, ruleId: 'latency-other' });
+    await transitionIncident(interventions, await incident(dismissed), INCIDENT_STATUS.DISMISSED, { actor: 'ops' });
+    await commitScan(reconcileIncidents([await incident(recovered), await incident(dismissed)], []));
+
+    const [first, second] = [await incident(recovered), await incident(dismissed)];
+    assert.deepEqual([first.status, first.breachActive], [INCIDENT_STATUS.RESOLVED, false]);
+    assert.equal(first.history[0].noteKey, 'incident.note.recovered');
+    assert.deepEqual([second.status, second.breachActive, second.history.length], [INCIDENT_STATUS.DISMISSED, false, 1]);
+  });
+});
@@ -0,0 +1,158 @@
+// --- ODAS INCIDENT TESTS ---
+//
+// Insiden (incidents.js): pencocokan pelanggaran dengan insiden terbuka, transisi status, eskalasi, dan matriks
+// pelanggaran aktif.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  activeBreachMatrix,
+  reconcileIncidents,
+  planTransition,
+  findEscalations,
+  INCIDENT_STATUS,
+} from '../incidents.js';
+import { t } from '../i18n.js';
+
+const incident = (id, severity, extra = {}) => ({
+  id,
+  assetId: 'asset-1',
+  path: 'Infrastruktur',
+  ruleId: `rule-${id}`,
+  severity,
+  breachActive: true,
+  ...extra,
+});
+
+const breach = (ruleId, value, extra = {}) => ({
+  assetId: 'asset-1',
+  path: 'Infrastruktur',
+  ruleId,
+  severity: 'critical',
+  description: `Latency ${value} ms`,
+  metric: 'systemLatency',
+  op: '>',
+  value,
+  ...extra,
+});
+
+const openIncident = (ruleId, extra = {}) => incident(ruleId, 'critical', {
+  ruleId,
+  status: INCIDENT_STATUS.OPEN,
+  count: 1,
+  peakValue: 250,
+  ...extra,
+});
+
+describe('reconcileIncidents', () => {
+  test('opens one incident per asset, path and rule', () => {
+    const { toOpen, toUpdate, toClose } = reconcileIncidents([], [breach('latency', 250), breach('latency', 260)]);
+    assert.equal(toOpen.length, 1);
+    assert.equal(toOpen[0].key, 'asset-1::Infrastruktur::latency');
+    assert.equal(toOpen[0].status, INCIDENT_STATUS.OPEN);
+    assert.equal(toOpen[0].peakValue, 250);
+    assert.deepEqual([toUpdate, toClose], [[], []]);
+  });
+
+  test('updates an open incident with an absolute count and the worst value', () => {
+    const { toOpen, toUpdate } = reconcileIncidents([openIncident('latency', { count: 3 })], [breach('latency', 300)]);
+    assert.deepEqual(toOpen, []);
+    assert.equal(toUpdate[0].id, 'latency');
+    assert.equal(toUpdate[0].patch.count, 4);
+    assert.equal(toUpdate[0].patch.peakValue, 300);
+    assert.equal(toUpdate[0].patch.lastValue, 300);
+  });
+
+  test('keeps the peak of a lower-bound rule at the lowest value', () => {
+    const existing = openIncident('liquidity', { peakValue: 0.2 });
+    const { toUpdate } = reconcileIncidents([existing], [breach('liquidity', 0.3, { op: '<' })]);
+    assert.equal(toUpdate[0].patch.peakValue, undefined);
+  });
+
+  test('does not lower the severity of an escalated incident', () => {
+    const existing = openIncident('latency', { severity: 'emergency', escalatedAt: '2026-01-01T00:00:00.000Z' });
+    const { toUpdate } = reconcileIncidents([existing], [breach('latency', 260)]);
+    assert.equal(toUpdate[0].patch.severity, undefined);
+  });
+
+  test('resolves recovered incidents and leaves ones an operator closed as they are', () => {
+    const dismissed = openIncident('cpu', { status: INCIDENT_STATUS.DISMISSED });
+    const { toClose } = reconcileIncidents([openIncident('latency'), dismissed], []);
+    assert.equal(toClose[0].id, 'latency');
+    assert.equal(toClose[0].transition.status, INCIDENT_STATUS.RESOLVED);
+    assert.equal(toClose[0].transition.entry.noteKey, 'incident.note.recovered');
+    assert.deepEqual(toClose[1], { id: 'cpu', transition: null });
+  });
+
+  test('releases a silenced incident once the silence ends', () => {
+    const existing = openIncident('latency', { suppressed: true, suppressedBy: 'silence-1' });
+    const [held] = reconcileIncidents([existing], [breach('latency', 260, { suppressedBy: 'silence-1' })]).toUpdate;
+    const [released] = reconcileIncidents([existing], [breach('latency', 260)]).toUpdate;
+    assert.equal(held.released, undefined);
+    assert.equal(released.released.suppressed, false);
+  });
+});
+
+describe('planTransition', () => {
+  const now = new Date('2026-01-01T00:00:00.000Z');
+
+  test('plans an allowed transition with its timestamp field and history entry', () => {
+    const plan = planTransition(openIncident('latency'), INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops', note: 'on it', now });
+    assert.deepEqual(plan, {
+      status: INCIDENT_STATUS.ACKNOWLEDGED,
+      timestampField: 'acknowledgedAt',
+      entry: { type: 'transition', from: 'open', to: 'acknowledged', by: 'ops', note: 'on it', at: now.toISOString() },
+    });
+  });
+
+  test('rejects a transition out of a closed status', () => {
+    assert.throws(
+      () => planTransition({ status: INCIDENT_STATUS.RESOLVED }, INCIDENT_STATUS.ACKNOWLEDGED),
+      { message: t('incident.error.transition', { from: 'resolved', to: 'acknowledged' }) },
+    );
+  });
+});
+
+describe('findEscalations', () => {
+  const now = Date.parse('2026-01-01T00:30:00.000Z');
+  const openedAtMs = now - 15 * 60000;
+
+  test('escalates an unacknowledged critical incident one step after the timeout', () => {
+    const [escalation] = findEscalations([openIncident('latency', { openedAtMs })], 10, now);
+    assert.equal(escalation.id, 'latency');
+    assert.deepEqual([escalation.from, escalation.to], ['critical', 'emergency']);
+    assert.equal(escalation.entry.noteKey, 'incident.note.unacknowledged');
+  });
+
+  test('leaves acknowledged, silenced, already escalated and recent incidents alone', () => {
+    const incidents = [
+      openIncident('a', { openedAtMs, status: INCIDENT_STATUS.ACKNOWLEDGED }),
+      openIncident('b', { openedAtMs, suppressed: true }),
+      openIncident('c', { openedAtMs, escalatedAt: '2026-01-01T00:20:00.000Z' }),
+      openIncident('d', { openedAtMs: now - 5 * 60000 }),
+      openIncident('e', { openedAtMs, severity: 'warning' }),
+    ];
+    assert.deepEqual(findEscalations(incidents, 10, now), []);
+  });
+});
+
+describe('activeBreachMatrix', () => {
+  test('keeps the worst severity and the count per asset and path', () => {
+    const matrix = activeBreachMatrix([incident('a', 'warning'), incident('b', 'critical')]);
+    assert.deepEqual(matrix, { 'asset-1': { Infrastruktur: { severity: 'critical', count: 2 } } });
+  });
+
+  test('ignores recovered and silenced incidents', () => {
+    const matrix = activeBreachMatrix([
+      incident('a', 'critical', { breachActive: false }),
+      incident('b', 'critical', { suppressed: true }),
+    ]);
+    assert.deepEqual(matrix, {});
+  });
+
+  test('ignores forecast pre-warnings', () => {
+    assert.deepEqual(activeBreachMatrix([incident('a', 'forecast')]), {});
+    const matrix = activeBreachMatrix([incident('a', 'forecast'), incident('b', 'warning')]);
+    assert.deepEqual(matrix, { 'asset-1': { Infrastruktur: { severity: 'warning', count: 1 } } });
+  });
+});
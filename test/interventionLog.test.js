@@ -0,0 +1,117 @@
+// --- ODAS INTERVENTION LOG TESTS ---
+//
+// Query log intervensi (interventionLog.js): token pencarian, klausa filter, paging berurutan di backend memori,
+// penghitung intervensi tercatat, dan tulisan outbox yang belum terkirim.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  searchTokensFor,
+  buildLogQuery,
+  matchesSearch,
+  createLogFilter,
+  isLogFilterActive,
+  recordedIncidentCount,
+  withPendingWrites,
+  toIncidentView,
+} from '../interventionLog.js';
+import { createStorage, pageCursor } from '../storage.js';
+import { memoryTimestamp } from '../storageMemory.js';
+import { severityQueryValues } from '../ruleEngine.js';
+
+const T0 = Date.UTC(2026, 0, 5, 8, 0);
+
+describe('search tokens', () => {
+  test('index every word with its prefixes from three letters', () => {
+    assert.deepEqual(searchTokensFor('Latency GW', 'db-01'), ['lat', 'late', 'laten', 'latenc', 'latency']);
+  });
+
+  test('cut long words to the stored prefix length', () => {
+    const tokens = searchTokensFor('infrastrukturjaringan');
+    assert.equal(tokens[tokens.length - 1], 'infrastruktu');
+    assert.equal(matchesSearch({ searchTokens: tokens }, 'Infrastrukturjaringan'), true);
+  });
+
+  test('match the remaining words on the client', () => {
+    const incident = { searchTokens: searchTokensFor('Latency gateway tinggi') };
+    assert.equal(matchesSearch(incident, 'gate lat'), true);
+    assert.equal(matchesSearch(incident, 'gate volatility'), false);
+    assert.equal(matchesSearch({}, 'gate'), false);
+  });
+});
+
+describe('buildLogQuery', () => {
+  test('orders by time, newest first, without clauses for an empty filter', () => {
+    assert.deepEqual(buildLogQuery(createLogFilter(), 50), { where: [], orderBy: ['timestamp', 'desc'], limit: 50 });
+    assert.equal(isLogFilterActive(createLogFilter()), false);
+  });
+
+  test('adds a clause per active filter and the longest search word', () => {
+    const filter = { ...createLogFilter(), path: 'Infrastruktur', severity: 'critical', status: 'open', fromDate: '2026-01-05', text: 'lat gateway' };
+    const { where } = buildLogQuery(filter);
+    assert.equal(isLogFilterActive(filter), true);
+    assert.deepEqual(where.map(([field, op]) => [field, op]), [
+      ['path', '=='],
+      ['severity', 'in'],
+      ['status', '=='],
+      ['timestamp', '>='],
+      ['searchTokens', 'array-contains'],
+    ]);
+    assert.deepEqual(where[1][2], severityQueryValues('critical'));
+    assert.deepEqual(where[3][2], new Date(2026, 0, 5));
+    assert.equal(where[4][2], 'gateway');
+  });
+});
+
+describe('log pages', () => {
+  let interventions;
+
+  beforeEach(async () => {
+    ({ repositories: { interventions } } = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' }));
+    for (let index = 0; index < 5; index += 1) {
+      await interventions.set(`i-${index}`, {
+        path: index % 2 === 0 ? 'Infrastruktur' : 'Finansial',
+        severity: 'critical',
+        status: 'open',
+        description: index % 2 === 0 ? 'Latency gateway' : 'Volatilitas aset',
+        searchTokens: searchTokensFor(index % 2 === 0 ? 'Latency gateway' : 'Volatilitas aset'),
+        timestamp: memoryTimestamp(T0 + index * 1000),
+      });
+    }
+  });
+
+  test('pages through the log newest first', async () => {
+    const query = buildLogQuery(createLogFilter(), 2);
+    const first = await interventions.list(query);
+    const second = await interventions.list({ ...query, startAfter: pageCursor(first, 'timestamp') });
+    assert.deepEqual([first, second].map(page => page.map(doc => doc.id)), [['i-4', 'i-3'], ['i-2', 'i-1']]);
+  });
+
+  test('finds incidents by path and search text', async () => {
+    const docs = await interventions.list(buildLogQuery({ ...createLogFilter(), path: 'Infrastruktur', text: 'gate' }));
+    assert.deepEqual(docs.map(doc => doc.id), ['i-4', 'i-2', 'i-0']);
+    assert.equal(toIncidentView(docs[0]).openedAtMs, T0 + 4000);
+  });
+
+  test('counts recorded incidents without forecasts and silenced breaches', async () => {
+    await interventions.set('forecast', { severity: 'forecast', timestamp: memoryTimestamp(T0) });
+    await interventions.set('silenced', { severity: 'critical', suppressed: true, timestamp: memoryTimestamp(T0) });
+    assert.equal(await recordedIncidentCount(interventions), 5);
+  });
+});
+
+describe('withPendingWrites', () => {
+  const repository = { name: 'users/u/odas_interventions' };
+  const entry = (type, id, data) => ({ write: { type, name: repository.name, id, data } });
+
+  test('adds pending incidents and drops the ones that recovered locally', () => {
+    const incidents = [{ id: 'a', breachActive: true }, { id: 'b', breachActive: true, count: 1 }];
+    const result = withPendingWrites(incidents, [
+      entry('create', 'c', { breachActive: true, severity: 'critical', path: 'Infrastruktur' }),
+      entry('update', 'a', { breachActive: false }),
+      entry('update', 'b', { count: 2 }),
+      { write: { type: 'set', name: 'users/u/odas_settings', id: 'x', data: {} } },
+    ], repository);
+    assert.deepEqual(result.map(incident => [incident.id, incident.count || null]), [['b', 2], ['c', null]]);
+  });
+});
@@ -0,0 +1,71 @@
+// --- ODAS METRIC TIME-SERIES TESTS ---
+//
+// Riwayat metrik (metricsHistory.js, metricsRecorder.js): rollup per bucket, titik grafik, dan pencatatan per aset di
+// backend memori.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../storage.js';
+import { mergeIntoRollup, toPoint, toSeries, toSample, bucketStart, RESOLUTIONS } from '../metricsHistory.js';
+import { createMetricsRecorder, loadMetricHistory } from '../metricsRecorder.js';
+
+const MINUTE_MS = RESOLUTIONS['1m'].bucketMs;
+const T0 = 1_700_000_040_000;
+
+describe('mergeIntoRollup', () => {
+  test('accumulates count, sum, min and max within a bucket', () => {
+    const first = mergeIntoRollup(null, { systemLatency: 100 }, T0 + 1000, MINUTE_MS);
+    const second = mergeIntoRollup(first, { systemLatency: 160 }, T0 + 2000, MINUTE_MS);
+    assert.deepEqual(second, {
+      t: bucketStart(T0, MINUTE_MS),
+      count: 2,
+      sum: { systemLatency: 260 },
+      min: { systemLatency: 100 },
+      max: { systemLatency: 160 },
+    });
+  });
+
+  test('starts over in the next bucket', () => {
+    const first = mergeIntoRollup(null, { systemLatency: 100 }, T0, MINUTE_MS);
+    const next = mergeIntoRollup(first, { systemLatency: 160 }, T0 + MINUTE_MS, MINUTE_MS);
+    assert.equal(next.count, 1);
+    assert.equal(next.t, bucketStart(T0 + MINUTE_MS, MINUTE_MS));
+  });
+});
+
+describe('chart points', () => {
+  const rollup = { t: 60_000, count: 2, sum: { systemLatency: 260 }, min: { systemLatency: 100 }, max: { systemLatency: 160 } };
+
+  test('averages rollups and keeps their range', () => {
+    assert.deepEqual(toPoint(rollup, 'systemLatency'), { t: 60_000, value: 130, min: 100, max: 160 });
+    assert.equal(toPoint(rollup, 'anomalyScore'), null);
+  });
+
+  test('reads raw samples as they are, sorted by time', () => {
+    assert.deepEqual(toSeries([{ t: 2, systemLatency: 5 }, { t: 1, systemLatency: 4 }, { t: 3 }], 'systemLatency'), [
+      { t: 1, value: 4 },
+      { t: 2, value: 5 },
+    ]);
+  });
+
+  test('turns a rollup into an average sample', () => {
+    assert.deepEqual(toSample(rollup), { t: 60_000, systemLatency: 130 });
+  });
+});
+
+describe('createMetricsRecorder', () => {
+  test('keeps raw samples and rollups per asset', async () => {
+    const { repositories } = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' });
+    const recorder = createMetricsRecorder(repositories.metrics);
+    await recorder.record({ systemLatency: 100 }, T0, 'asset-1');
+    await recorder.record({ systemLatency: 160 }, T0 + 1000, 'asset-1');
+    await recorder.record({ systemLatency: 300 }, T0 + 2000, 'asset-2');
+
+    assert.equal((await loadMetricHistory(repositories.metrics.raw, T0, 'asset-1')).length, 2);
+    const [minute] = await loadMetricHistory(repositories.metrics['1m'], 0, 'asset-1');
+    assert.equal(minute.count, 2);
+    assert.deepEqual(toPoint(minute, 'systemLatency'), { t: bucketStart(T0, MINUTE_MS), value: 130, min: 100, max: 160 });
+    assert.equal(minute.sumSq.systemLatency, 100 * 100 + 160 * 160);
+    assert.equal((await loadMetricHistory(repositories.metrics['1h'], 0)).length, 2);
+  });
+});
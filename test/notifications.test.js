@@ -0,0 +1,176 @@
+// --- ODAS NOTIFICATION TESTS ---
+//
+// Notifikasi (notifications.js): rute kanal, batas laju, retry dengan backoff, dan webhook bertanda tangan.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import {
+  routeNotification,
+  createRateLimiter,
+  createDispatcher,
+  createHttpTransport,
+  backoffDelay,
+  createBlankChannel,
+  DELIVERY_STATUS,
+  NOTIFICATION_EVENTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+} from '../notifications.js';
+import { t } from '../i18n.js';
+
+const INCIDENT = {
+  id: 'incident-1',
+  assetId: 'asset-1',
+  ruleId: 'latency-high',
+  path: 'Infrastruktur',
+  severity: 'critical',
+  description: 'Latency 250 ms',
+};
+
+const channel = (id, extra = {}) => ({ ...createBlankChannel(1), id, url: 'https://hooks.example.test/odas', ...extra });
+
+const POLICY = { attempts: 3, baseDelayMs: 1000, maxDelayMs: 30 * 1000 };
+
+// Dispatcher with a scripted transport: each call takes the next result, an Error is thrown
+const dispatcherFor = (results, options = {}) => {
+  const calls = [];
+  const entries = [];
+  const delays = [];
+  const http = async (target, payload) => {
+    calls.push({ channel: target.id, payload });
+    const result = results[Math.min(calls.length, results.length) - 1];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  const dispatcher = createDispatcher({
+    transports: { http },
+    log: entry => entries.push(entry),
+    policy: POLICY,
+    sleep: async (ms) => { delays.push(ms); },
+    ...options,
+  });
+  return { dispatcher, calls, entries, delays };
+};
+
+const httpError = (statusCode, retryable) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode, retryable });
+
+describe('routeNotification', () => {
+  test('sends critical incidents to the default route', () => {
+    assert.deepEqual(routeNotification([channel('ops')], { incident: INCIDENT }).map(found => found.id), ['ops']);
+    assert.deepEqual(routeNotification([channel('ops')], { incident: { ...INCIDENT, severity: 'warning' } }), []);
+  });
+
+  test('filters by path and skips disabled channels', () => {
+    const channels = [
+      channel('infra', { routes: { paths: ['Infrastruktur'], severities: [] } }),
+      channel('finance', { routes: { paths: ['Finansial'], severities: [] } }),
+      channel('off', { enabled: false, routes: { paths: [], severities: [] } }),
+    ];
+    assert.deepEqual(routeNotification(channels, { incident: INCIDENT }).map(found => found.id), ['infra']);
+  });
+
+  test('matches routes saved with legacy severity labels', () => {
+    const legacy = channel('legacy', { routes: { paths: [], severities: ['Kritis'] } });
+    assert.equal(routeNotification([legacy], { incident: INCIDENT }).length, 1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('allows max sends per channel within the sliding window', () => {
+    const limiter = createRateLimiter();
+    const limited = channel('ops', { rateLimit: { max: 2, perMinutes: 1 } });
+    assert.deepEqual([0, 1000, 2000].map(now => limiter.allow(limited, now)), [true, true, false]);
+    assert.equal(limiter.allow(channel('other'), 2000), true);
+    assert.equal(limiter.allow(limited, 61 * 1000), true);
+  });
+});
+
+describe('createDispatcher', () => {
+  test('retries a retryable failure with exponential backoff', async () => {
+    const { dispatcher, calls, entries, delays } = dispatcherFor([httpError(503, true), httpError(503, true), { statusCode: 200 }]);
+    const [result] = await dispatcher.dispatch([channel('ops')], { type: NOTIFICATION_EVENTS.OPENED, incident: INCIDENT });
+    assert.equal(calls.length, 3);
+    assert.deepEqual(delays, [1000, 2000]);
+    assert.deepEqual(entries.map(entry => entry.status), [DELIVERY_STATUS.RETRYING, DELIVERY_STATUS.RETRYING, DELIVERY_STATUS.SENT]);
+    assert.equal(result.attempt, 3);
+    assert.equal(result.statusCode, 200);
+  });
+
+  test('gives up at once on a permanent failure', async () => {
+    const { dispatcher, calls, delays } = dispatcherFor([httpError(400, false)]);
+    const [result] = await dispatcher.dispatch([channel('ops')], { type: NOTIFICATION_EVENTS.OPENED, incident: INCIDENT });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(delays, []);
+    assert.equal(result.status, DELIVERY_STATUS.FAILED);
+    assert.equal(result.statusCode, 400);
+  });
+
+  test('fails after the last attempt', async () => {
+    const { dispatcher, calls } = dispatcherFor([httpError(503, true)]);
+    const [result] = await dispatcher.dispatch([channel('ops')], { type: NOTIFICATION_EVENTS.OPENED, incident: INCIDENT });
+    assert.equal(calls.length, POLICY.attempts);
+    assert.equal(result.status, DELIVERY_STATUS.FAILED);
+  });
+
+  test('logs a rate-limited delivery without calling the transport', async () => {
+    const limited = channel('ops', { rateLimit: { max: 1, perMinutes: 1 } });
+    const { dispatcher, calls, entries } = dispatcherFor([{ statusCode: 200 }]);
+    await dispatcher.dispatch([limited], { type: NOTIFICATION_EVENTS.OPENED, incident: INCIDENT });
+    const [result] = await dispatcher.dispatch([limited], { type: NOTIFICATION_EVENTS.OPENED, incident: INCIDENT });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(result, {
+      channelId: 'ops',
+      channelName: limited.name,
+      channelType: 'webhook',
+      event: NOTIFICATION_EVENTS.OPENED,
+      incidentId: 'incident-1',
+      path: 'Infrastruktur',
+      severity: 'critical',
+      attempt: 0,
+      status: DELIVERY_STATUS.RATE_LIMITED,
+      error: t('notifications.error.rateLimited'),
+    });
+    assert.equal(entries.length, 2);
+  });
+
+  test('delivers even when the delivery log fails', async () => {
+    const { dispatcher } = dispatcherFor([{ statusCode: 200 }], { log: () => Promise.reject(new Error('offline')) });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const [result] = await dispatcher.dispatch([channel('ops')], { type: NOTIFICATION_EVENTS.OPENED, incident: INCIDENT });
+      assert.equal(result.status, DELIVERY_STATUS.SENT);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('backoffDelay', () => {
+  test('doubles per attempt up to the maximum', () => {
+    assert.deepEqual([1, 2, 3, 10].map(attempt => backoffDelay(attempt, POLICY)), [1000, 2000, 4000, 30 * 1000]);
+  });
+});
+
+describe('createHttpTransport', () => {
+  test('signs webhook bodies with HMAC-SHA256 over timestamp and body', async () => {
+    let request;
+    const transport = createHttpTransport(async (url, init) => {
+      request = init;
+      return { ok: true, status: 204 };
+    });
+    const result = await transport(channel('ops', { secret: 's3cret' }), { hello: 'world' }, 1700000000000);
+    const expected = createHmac('sha256', 's3cret').update(`1700000000000.${request.body}`).digest('hex');
+    assert.equal(request.headers[TIMESTAMP_HEADER], '1700000000000');
+    assert.equal(request.headers[SIGNATURE_HEADER], `sha256=${expected}`);
+    assert.deepEqual(result, { statusCode: 204 });
+  });
+
+  test('marks only 429 and 5xx responses as retryable', async () => {
+    const failing = status => createHttpTransport(async () => ({ ok: false, status }));
+    await assert.rejects(failing(404)(channel('ops'), {}, 0), { statusCode: 404, retryable: false });
+    await assert.rejects(failing(429)(channel('ops'), {}, 0), { statusCode: 429, retryable: true });
+    await assert.rejects(failing(502)(channel('ops'), {}, 0), { statusCode: 502, retryable: true });
+  });
+});
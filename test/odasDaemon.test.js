@@ -0,0 +1,116 @@
+// --- ODAS DAEMON TESTS ---
+//
+// Daemon pemindai (odasDaemon.js): validasi konfigurasi, plugin jalur dan skenario dari file, kunci penanda tangan,
+// dan satu siklus scan (--once) di penyimpanan memori berbasis file.
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { loadDaemonConfig, loadSigningKey, DEFAULT_DAEMON_CONFIG } from '../odasDaemon.js';
+import { COLLECTIONS } from '../storage.js';
+import { RULE_PATHS } from '../paths.js';
+import { INCIDENT_STATUS } from '../incidents.js';
+import { t } from '../i18n.js';
+
+// Latency held far above the built-in latency threshold, without noise
+const BREACH_SCENARIO = {
+  seed: 'daemon-test',
+  metrics: { systemLatency: { initial: 4000, mean: 4000, volatility: 0 } },
+};
+
+let directory;
+const file = (name, content) => {
+  const filePath = path.join(directory, name);
+  if (content !== undefined) fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+};
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odas-daemon-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('loadDaemonConfig', () => {
+  test('uses the defaults without a file', async () => {
+    const config = await loadDaemonConfig();
+    assert.deepEqual([config.intervalMs, config.storage.kind], [DEFAULT_DAEMON_CONFIG.intervalMs, 'memory']);
+  });
+
+  test('merges nested sections over the defaults', async () => {
+    const config = await loadDaemonConfig(file('partial.json', { storage: { userId: 'ops' }, chronicle: { checkpointEvery: 5 } }));
+    assert.deepEqual([config.storage.userId, config.storage.kind], ['ops', 'memory']);
+    assert.deepEqual([config.chronicle.checkpointEvery, config.chronicle.keyFile], [5, DEFAULT_DAEMON_CONFIG.chronicle.keyFile]);
+  });
+
+  test('lists every invalid setting', async () => {
+    const configFile = file('invalid.json', {
+      intervalMs: 500,
+      leaseTtlMs: 400,
+      storage: { kind: 'firestore' },
+      chronicle: { checkpointEvery: 0, checkpointIntervalMinutes: 0 },
+    });
+    const errors = [
+      t('daemon.config.firebaseConfig'),
+      t('daemon.config.interval'),
+      t('daemon.config.leaseTtl'),
+      t('daemon.config.checkpointEvery'),
+      t('daemon.config.checkpointInterval'),
+    ];
+    await assert.rejects(loadDaemonConfig(configFile), { message: t('daemon.config.invalid', { errors: errors.join('\n- ') }) });
+  });
+
+  test('validates scenario files and registers path plugins', async () => {
+    const broken = file('broken.scenario.json', '[]');
+    await assert.rejects(
+      loadDaemonConfig(file('scenarios.json', { scenarios: { gateway: broken } })),
+      error => error.message.includes(`scenarios.gateway (${broken}): ${t('scenario.error.notObject')}`),
+    );
+
+    const queuePlugin = { id: 'Antrian', metrics: [{ key: 'queueDepth', optional: true, model: { initial: 1 } }] };
+    const plugin = file('queuePlugin.mjs', `export default ${JSON.stringify(queuePlugin)};`);
+    const empty = file('emptyPlugin.mjs', 'export default [];');
+    await loadDaemonConfig(file('plugins.json', { pathPlugins: [plugin] }));
+    assert.ok(RULE_PATHS.includes('Antrian'));
+    await assert.rejects(
+      loadDaemonConfig(file('empty.json', { pathPlugins: [empty] })),
+      error => error.message.includes(`pathPlugins (${empty}): ${t('daemon.config.noPlugin')}`),
+    );
+  });
+});
+
+describe('loadSigningKey', () => {
+  test('creates an owner-only key once and reuses it', async () => {
+    const keyFile = path.join(directory, 'keys', 'chronicle-key.json');
+    const key = await loadSigningKey(keyFile);
+    assert.equal(fs.statSync(keyFile).mode & 0o777, 0o600);
+    assert.deepEqual(await loadSigningKey(keyFile), key);
+  });
+});
+
+describe('odasDaemon --once', () => {
+  // Run as the CLI does: the file store keeps watching its file, so only process.exit() ends the daemon
+  test('runs one scan cycle, records the breach and releases the lease', async () => {
+    const memoryFile = path.join(directory, 'once', 'store.json');
+    const configFile = file('once.json', {
+      scenarios: { default: file('breach.scenario.json', BREACH_SCENARIO) },
+      outboxFile: path.join(directory, 'once', 'outbox.json'),
+      chronicle: { keyFile: path.join(directory, 'once', 'key.json') },
+      storage: { memoryFile, userId: 'ops' },
+    });
+    const daemonFile = fileURLToPath(new URL('../odasDaemon.js', import.meta.url));
+    await promisify(execFile)(process.execPath, [daemonFile, '--config', configFile, '--once'], { timeout: 30 * 1000 });
+
+    const store = JSON.parse(fs.readFileSync(memoryFile, 'utf8'));
+    const incidents = Object.values(store[`users/ops/${COLLECTIONS.interventions}`] || {});
+    assert.ok(incidents.some(incident => incident.metric === 'systemLatency' && incident.status === INCIDENT_STATUS.OPEN));
+    assert.equal(store[`users/ops/${COLLECTIONS.scanner}`].lease.leaseUntilMs, 0);
+  });
+});
@@ -0,0 +1,169 @@
+// --- ODAS WRITE OUTBOX TESTS ---
+//
+// Outbox tulisan intervensi (outbox.js): retry dengan backoff, penggabungan tulisan tertunda, isolasi tulisan yang
+// ditolak, dan pengiriman ulang tulisan yang sudah diterapkan yang tidak boleh mengubah insiden.
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage, fieldOps } from '../storage.js';
+import { createOutbox, memoryOutboxStore, applyPendingWrite, outboxBackoffMs, OUTBOX_BACKOFF } from '../outbox.js';
+import { reconcileIncidents, INCIDENT_STATUS } from '../incidents.js';
+import { planIncidentWrites, transitionIncident } from '../incidentActions.js';
+
+const BREACH = {
+  assetId: 'asset-1',
+  ruleId: 'latency-high',
+  path: 'Infrastruktur',
+  metric: 'systemLatency',
+  severity: 'critical',
+  description: 'Latency 250 ms',
+  value: 250,
+};
+
+const update = (id, data) => ({ type: 'update', name: 'odas_interventions', id, data });
+
+// Backend whose commits fail while offline is set; rejected ids fail permanently
+const fakeBackend = () => {
+  const backend = {
+    offline: false,
+    rejected: [],
+    commits: [],
+    commit: async (writes) => {
+      if (backend.offline) throw Object.assign(new Error('unavailable'), { code: 'unavailable' });
+      if (writes.some(write => backend.rejected.includes(write.id))) {
+        throw Object.assign(new Error('denied'), { code: 'permission-denied' });
+      }
+      backend.commits.push(writes);
+    },
+  };
+  return backend;
+};
+
+describe('createOutbox', () => {
+  let backend;
+  let outbox;
+
+  beforeEach(async () => {
+    backend = fakeBackend();
+    outbox = createOutbox({ backend, store: memoryOutboxStore() });
+    await outbox.ready;
+  });
+
+  afterEach(() => outbox.close());
+
+  const settled = promise => promise.then(() => 'committed', error => error.message);
+
+  // Lets enqueue persist its entries and the first send attempt finish
+  const idle = () => new Promise(resolve => setImmediate(resolve));
+
+  test('keeps writes pending while the backend is unreachable and sends them on flush', async () => {
+    backend.offline = true;
+    const committed = settled(outbox.enqueue([{ key: 'a', write: update('a', { count: 2 }) }]));
+    await idle();
+    assert.equal(outbox.status().pending, 1);
+    assert.equal(outbox.status().offline, true);
+    assert.equal(outbox.status().lastError, 'unavailable');
+    assert.ok(outbox.status().retryAt > Date.now());
+
+    backend.offline = false;
+    await outbox.flush();
+    assert.equal(await committed, 'committed');
+    assert.equal(outbox.status().pending, 0);
+    assert.equal(outbox.status().offline, false);
+    assert.equal(outbox.status().retryAt, null);
+  });
+
+  test('merges pending writes with the same key into one', async () => {
+    backend.offline = true;
+    const first = settled(outbox.enqueue([{ key: 'a', write: update('a', { count: 2, notes: fieldOps.arrayUnion('one') }) }]));
+    await idle();
+    const second = settled(outbox.enqueue([{ key: 'a', write: update('a', { count: 3, notes: fieldOps.arrayUnion('two') }) }]));
+    await idle();
+    assert.equal(outbox.pending().length, 1);
+
+    backend.offline = false;
+    await outbox.flush();
+    assert.deepEqual([await first, await second], ['committed', 'committed']);
+    assert.deepEqual(backend.commits, [[update('a', { count: 3, notes: fieldOps.arrayUnion('one', 'two') })]]);
+  });
+
+  test('moves a permanently rejected write aside and sends the rest in order', async () => {
+    backend.rejected = ['b'];
+    const originalError = console.error;
+    console.error = () => {};
+    const results = await Promise.all(['a', 'b', 'c'].map(id => settled(outbox.enqueue([{ key: id, write: update(id, { count: 1 }) }]))))
+      .finally(() => { console.error = originalError; });
+    assert.deepEqual(results, ['committed', 'denied', 'committed']);
+    assert.deepEqual(backend.commits.flat().map(write => write.id), ['a', 'c']);
+    assert.deepEqual(outbox.failed().map(entry => [entry.key, entry.error]), [['b', 'denied']]);
+    assert.equal(outbox.status().offline, false);
+  });
+
+  test('resumes persisted writes in sequence order', async () => {
+    const store = memoryOutboxStore();
+    await store.put([
+      { id: 'b#2', key: 'b', seq: 2, write: update('b', { count: 1 }), enqueuedAt: 0 },
+      { id: 'a#1', key: 'a', seq: 1, write: update('a', { count: 1 }), enqueuedAt: 0 },
+    ]);
+    const resumed = createOutbox({ backend, store });
+    await resumed.ready;
+    await resumed.flush();
+    assert.deepEqual(backend.commits.flat().map(write => write.id), ['a', 'b']);
+    assert.deepEqual(await store.load(), []);
+    resumed.close();
+  });
+});
+
+describe('outboxBackoffMs', () => {
+  test('doubles per failed attempt up to the maximum', () => {
+    assert.deepEqual([1, 2, 3].map(outboxBackoffMs), [OUTBOX_BACKOFF.baseMs, OUTBOX_BACKOFF.baseMs * 2, OUTBOX_BACKOFF.baseMs * 4]);
+    assert.equal(outboxBackoffMs(30), OUTBOX_BACKOFF.maxMs);
+  });
+});
+
+describe('outbox replay', () => {
+  let storage;
+  let repositories;
+
+  beforeEach(async () => {
+    storage = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' });
+    repositories = storage.repositories;
+  });
+
+  // Entries as they were persisted before the commit, sent again by a restarted process or another tab
+  const replay = async (entries) => {
+    const store = memoryOutboxStore();
+    await store.put(entries);
+    const outbox = createOutbox({ backend: storage.backend, store });
+    await outbox.ready;
+    await outbox.flush();
+    outbox.close();
+    return outbox;
+  };
+
+  test('does not reset an incident whose opening write is sent again', async () => {
+    const { items, opened } = planIncidentWrites(repositories.interventions, reconcileIncidents([], [BREACH]), Date.now());
+    const outbox = createOutbox({ backend: storage.backend, store: memoryOutboxStore() });
+    await outbox.enqueue(items);
+    outbox.close();
+
+    const [{ id }] = opened;
+    await transitionIncident(repositories.interventions, { id, ...await repositories.interventions.get(id) }, INCIDENT_STATUS.ACKNOWLEDGED, { actor: 'ops' });
+    const replayed = await replay(items.map((item, index) => ({ id: `${item.key}#${index + 1}`, ...item, seq: index + 1, enqueuedAt: Date.now() })));
+
+    const incident = await repositories.interventions.get(id);
+    assert.equal(incident.status, INCIDENT_STATUS.ACKNOWLEDGED);
+    assert.equal(incident.history.length, 1);
+    assert.deepEqual(replayed.failed(), []);
+    assert.equal(replayed.status().pending, 0);
+  });
+});
+
+describe('applyPendingWrite', () => {
+  test('leaves an existing document alone for a pending create', () => {
+    const current = { status: INCIDENT_STATUS.ACKNOWLEDGED, count: 4 };
+    const entry = { write: { type: 'create', name: 'odas_interventions', id: 'i-1', data: { status: INCIDENT_STATUS.OPEN, count: 1 } }, enqueuedAt: 0 };
+    assert.equal(applyPendingWrite(current, entry), current);
+    assert.deepEqual(applyPendingWrite(null, entry), { status: INCIDENT_STATUS.OPEN, count: 1 });
+  });
+});
@@ -0,0 +1,101 @@
+// --- ODAS PATH PLUGIN TESTS ---
+//
+// Registry plugin jalur (paths.js): validasi plugin, pendaftaran jalur baru, dan jalur baru yang ikut dibaca mesin
+// aturan, normalisasi sampel, dan simulator tanpa mengubah orchestrateControl.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validatePathPlugin,
+  registerPathPlugin,
+  pathLabel,
+  metricDefinition,
+  isOptionalMetric,
+  initialMetricValues,
+  PATH_METRIC_KEYS,
+  RULE_PATHS,
+  DEFAULT_RULES,
+} from '../paths.js';
+import { orchestrateControl } from '../orchestration.js';
+import { normalizeSample } from '../dataSources.js';
+import { normalizeScenario, renderScenario } from '../scenarios.js';
+import { NUMBER_FORMATS, t } from '../i18n.js';
+
+const RULE = {
+  id: 'queue-depth-high',
+  name: 'Antrian penuh',
+  path: 'Antrian',
+  severity: 'warning',
+  enabled: true,
+  condition: { metric: 'queueDepth', op: '>', value: 1000 },
+  forScans: 1,
+  message: 'Antrian {queueDepth|int}',
+};
+
+const QUEUE_PLUGIN = {
+  id: 'Antrian',
+  icon: 'Layers',
+  metrics: [{ key: 'queueDepth', format: 'int', optional: true, model: { initial: 200 } }],
+  rules: [RULE],
+};
+
+describe('validatePathPlugin', () => {
+  test('requires an id without slashes', () => {
+    assert.deepEqual(validatePathPlugin({ id: 'a/b', metrics: [] }), [t('paths.error.id')]);
+    assert.deepEqual(validatePathPlugin(null), [t('paths.error.id')]);
+  });
+
+  test('rejects clashes with registered paths, metrics and rules', () => {
+    const [path] = RULE_PATHS;
+    const [metric] = PATH_METRIC_KEYS;
+    const [rule] = DEFAULT_RULES;
+    assert.deepEqual(validatePathPlugin({
+      id: path,
+      metrics: [{ key: metric, model: { initial: 0 } }],
+      rules: [{ ...rule, path }],
+    }), [
+      t('paths.error.duplicate', { id: path }),
+      t('paths.error.metricDuplicate', { id: path, key: metric }),
+      t('paths.error.ruleDuplicate', { id: path, rule: rule.id }),
+    ]);
+  });
+
+  test('checks every metric and the path of every rule', () => {
+    assert.deepEqual(validatePathPlugin({
+      id: 'Baru',
+      metrics: [{ key: 'bad key', model: { initial: 0 } }, { key: 'fresh', format: 'kg' }],
+      rules: [{ id: 'elsewhere', path: 'Lain' }],
+    }), [
+      t('paths.error.metricKey', { id: 'Baru', key: 'bad key' }),
+      t('paths.error.format', { id: 'Baru', key: 'fresh', formats: NUMBER_FORMATS.join(', ') }),
+      t('paths.error.model', { id: 'Baru', key: 'fresh' }),
+      t('paths.error.rulePath', { id: 'Baru', rule: 'elsewhere' }),
+    ]);
+    assert.deepEqual(validatePathPlugin({ id: 'Kosong', metrics: [] }), [t('paths.error.metrics', { id: 'Kosong' })]);
+  });
+});
+
+describe('registerPathPlugin', () => {
+  test('throws the validation errors', () => {
+    assert.throws(() => registerPathPlugin({ id: '' }), { message: t('paths.error.id') });
+  });
+
+  test('adds the path to every registry the scan loop reads', () => {
+    const definition = registerPathPlugin(QUEUE_PLUGIN);
+    assert.equal(definition.label, 'Antrian');
+    assert.equal(pathLabel('Antrian'), 'Antrian');
+    assert.deepEqual(metricDefinition('queueDepth').model, { mean: 200, reversion: 0.1, volatility: 0, trend: 0, min: null, max: null, seasonality: null, initial: 200 });
+    assert.equal(isOptionalMetric('queueDepth'), true);
+    assert.equal(initialMetricValues().queueDepth, 200);
+    assert.ok(DEFAULT_RULES.includes(RULE));
+
+    // The new rule breaches through the unchanged orchestration, and samples without the optional metric stay valid
+    const { interventions } = orchestrateControl({ queueDepth: 1500 }, [RULE]);
+    assert.deepEqual(interventions.map(breach => [breach.path, breach.ruleId]), [['Antrian', 'queue-depth-high']]);
+    const sample = { ...initialMetricValues() };
+    delete sample.queueDepth;
+    assert.equal('queueDepth' in normalizeSample(sample), false);
+    assert.equal(renderScenario(normalizeScenario({ steps: 2 }))[1].queueDepth, 200);
+    assert.throws(() => registerPathPlugin(QUEUE_PLUGIN), { message: /Antrian/ });
+  });
+});
@@ -0,0 +1,63 @@
+// --- ODAS PLAYBOOK SCRIPT SANDBOX TESTS ---
+//
+// Skrip langkah playbook tidak boleh mencapai realm host (process, require) lewat objek yang diberikan kepadanya.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScriptInSandbox } from '../playbookSandbox.js';
+import { t } from '../i18n.js';
+
+const CONTEXT = { incident: { incidentId: 'i-1', metric: 'cpu', lastValue: 97 }, sample: { cpu: 97 } };
+const TIMEOUT_MS = 1000;
+
+const resultLine = (json) => `${t('playbook.detail.scriptResult')}: ${json}`;
+const run = (code, context = CONTEXT) => runScriptInSandbox(code, context, TIMEOUT_MS);
+
+describe('runScriptInSandbox', () => {
+  test('exposes incident, sample and log', async () => {
+    const detail = await run(`log('metric', incident.metric); sample.cpu > 90`);
+    assert.equal(detail, `metric cpu\n${resultLine('true')}`);
+  });
+
+  test('records the result as JSON', async () => {
+    assert.equal(await run(`({ id: incident.incidentId })`), resultLine('{"id":"i-1"}'));
+  });
+
+  test('returns null without output or result', async () => {
+    assert.equal(await run(`undefined`), null);
+  });
+
+  test('fails when the script returns false', async () => {
+    await assert.rejects(run(`false`), { message: t('playbook.error.scriptFalse') });
+  });
+
+  test('fails when the script returns a promise', async () => {
+    await assert.rejects(run(`Promise.resolve(1)`), { message: t('playbook.error.scriptAsync') });
+  });
+
+  test('fails with the message the script threw', async () => {
+    await assert.rejects(run(`throw new Error('disk full')`), { message: 'disk full' });
+  });
+
+  test('reads a thrown value inside the sandbox', async () => {
+    await assert.rejects(run(`throw { get message() { return 'from getter'; } }`), { message: 'from getter' });
+  });
+
+  test('stops a script that runs past the timeout', async () => {
+    await assert.rejects(runScriptInSandbox(`while (true) {}`, CONTEXT, 50), /timed out/);
+  });
+
+  // Regression: a host-realm object's constructor chain used to reach the host Function and process
+  for (const name of ['incident', 'sample', 'log']) {
+    test(`${name} does not lead back to the host process`, async () => {
+      await assert.rejects(run(`${name}.constructor.constructor('return process')()`));
+    });
+  }
+
+  test('nothing in the sandbox is a host object', async () => {
+    const detail = await run(`[incident, sample, log].every(value => value instanceof Object)`);
+    assert.equal(detail, resultLine('true'));
+    await assert.rejects(run(`process`), /process is not defined/);
+    await assert.rejects(run(`require('node:fs')`), /require is not defined/);
+  });
+});
@@ -0,0 +1,207 @@
+// --- ODAS PLAYBOOK TESTS ---
+//
+// Playbook remediasi (playbooks.js): validasi (langkah skrip hanya boleh disimpan bila ada daemon yang
+// menjalankannya), pelaksana langkah dengan rollback, keputusan persetujuan, dan remediator di backend memori.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validatePlaybook,
+  validatePlaybookSet,
+  createBlankPlaybook,
+  createBlankStep,
+  createPlaybookRunner,
+  createRemediationRun,
+  createRemediator,
+  planRemediationDecision,
+  findPlaybook,
+  parseHeaders,
+  PLAYBOOK_MODES,
+  RUN_STATUS,
+  STEP_STATUS,
+} from '../playbooks.js';
+import { createStorage } from '../storage.js';
+import { t } from '../i18n.js';
+
+const RULE_IDS = ['latency-high'];
+
+const scriptPlaybook = () => ({
+  ...createBlankPlaybook(1),
+  ruleIds: RULE_IDS,
+  steps: [{ ...createBlankStep('script', 1), code: 'sample.systemLatency < 200' }],
+});
+
+describe('validatePlaybook', () => {
+  test('accepts a script step by default', () => {
+    assert.deepEqual(validatePlaybook(scriptPlaybook(), RULE_IDS), []);
+  });
+
+  test('rejects a script step when no daemon can run it', () => {
+    assert.deepEqual(validatePlaybook(scriptPlaybook(), RULE_IDS, { scripts: false }), [
+      t('playbook.error.scriptNoDaemon', { label: t('playbook.stepLabel', { index: 1 }) }),
+    ]);
+  });
+
+  test('checks rollback steps too', () => {
+    const playbook = { ...scriptPlaybook(), steps: [{ ...createBlankStep('http', 1), url: 'http://localhost:8787/lock' }] };
+    playbook.rollback = [{ ...createBlankStep('script', 2), code: 'true' }];
+    assert.deepEqual(validatePlaybook(playbook, RULE_IDS, { scripts: false }), [
+      t('playbook.error.scriptNoDaemon', { label: t('playbook.rollbackLabel', { index: 1 }) }),
+    ]);
+  });
+
+  test('passes the option through validatePlaybookSet', () => {
+    const playbook = scriptPlaybook();
+    assert.deepEqual(validatePlaybookSet([playbook], RULE_IDS, { scripts: true }), {});
+    assert.deepEqual(Object.keys(validatePlaybookSet([playbook], RULE_IDS, { scripts: false })), [playbook.id]);
+  });
+});
+
+const INCIDENT = { id: 'incident-1', assetId: 'asset-1', ruleId: 'latency-high', path: 'Infrastruktur', severity: 'critical', metric: 'systemLatency', lastValue: 250, description: 'Latency 250 ms' };
+
+const httpStep = (id, url = `http://remediation.test/${id}`) => ({ ...createBlankStep('http', 1), id, name: id, url });
+
+const playbookWith = (mode, steps, rollback = []) => ({ ...createBlankPlaybook(1), mode, ruleIds: RULE_IDS, steps, rollback });
+
+// fetch that records the requests and fails the URLs containing 'fail'
+const fakeFetch = () => {
+  const requests = [];
+  const fetchImpl = async (url, options) => {
+    requests.push({ url, ...options });
+    return url.includes('fail') ? { ok: false, status: 500 } : { ok: true, status: 200 };
+  };
+  return { requests, fetchImpl };
+};
+
+describe('createPlaybookRunner', () => {
+  test('runs the steps in order with raw placeholder values', async () => {
+    const { requests, fetchImpl } = fakeFetch();
+    const runner = createPlaybookRunner({ fetchImpl, readSample: () => null });
+    const step = { ...httpStep('lock', 'http://remediation.test/{assetId}/lock'), headers: 'X-Rule: {ruleId}', body: '{"value": {lastValue}}' };
+    const run = await runner.execute(createRemediationRun(playbookWith(PLAYBOOK_MODES.AUTO, [step, httpStep('notify')])), INCIDENT);
+
+    assert.equal(run.status, RUN_STATUS.SUCCEEDED);
+    assert.deepEqual(run.results.map(result => [result.stepId, result.status]), [['lock', STEP_STATUS.SUCCEEDED], ['notify', STEP_STATUS.SUCCEEDED]]);
+    assert.deepEqual([requests[0].url, requests[0].headers['X-Rule'], requests[0].body], ['http://remediation.test/asset-1/lock', 'latency-high', '{"value": 250}']);
+  });
+
+  test('stops at the failed step and rolls back', async () => {
+    const { requests, fetchImpl } = fakeFetch();
+    const runner = createPlaybookRunner({ fetchImpl, readSample: () => null });
+    const playbook = playbookWith(PLAYBOOK_MODES.AUTO, [httpStep('lock'), httpStep('fail'), httpStep('never')], [httpStep('unlock')]);
+    const run = await runner.execute(createRemediationRun(playbook), INCIDENT);
+
+    assert.equal(run.status, RUN_STATUS.ROLLED_BACK);
+    assert.deepEqual(requests.map(request => request.url.split('/').pop()), ['lock', 'fail', 'unlock']);
+    assert.equal(run.error, 'fail: HTTP 500');
+  });
+
+  test('reports a failed run when a rollback step fails too', async () => {
+    const { requests, fetchImpl } = fakeFetch();
+    const runner = createPlaybookRunner({ fetchImpl, readSample: () => null });
+    const playbook = playbookWith(PLAYBOOK_MODES.AUTO, [httpStep('fail')], [httpStep('fail-undo'), httpStep('unlock')]);
+    const run = await runner.execute(createRemediationRun(playbook), INCIDENT);
+
+    assert.equal(run.status, RUN_STATUS.FAILED);
+    assert.equal(requests.length, 3);
+    assert.equal(run.error, `fail: HTTP 500 (${t('playbook.error.rollbackIncomplete')})`);
+  });
+
+  test('waits until the metric condition of the asset holds', async () => {
+    const samples = [{ systemLatency: 300 }, { systemLatency: 200 }, { systemLatency: 120 }];
+    const assetIds = [];
+    const runner = createPlaybookRunner({
+      readSample: (assetId) => {
+        assetIds.push(assetId);
+        return samples.shift();
+      },
+      sleep: async () => {},
+    });
+    const step = { ...createBlankStep('wait', 1), condition: { metric: 'systemLatency', op: '<', value: 150 } };
+    const run = await runner.execute(createRemediationRun(playbookWith(PLAYBOOK_MODES.AUTO, [step])), INCIDENT);
+    assert.equal(run.status, RUN_STATUS.SUCCEEDED);
+    assert.deepEqual(assetIds, ['asset-1', 'asset-1', 'asset-1']);
+  });
+
+  test('fails script steps without a sandbox and only simulates dry runs', async () => {
+    const runner = createPlaybookRunner({ readSample: () => null });
+    const playbook = playbookWith(PLAYBOOK_MODES.AUTO, [{ ...createBlankStep('script', 1), code: 'true' }]);
+    const run = await runner.execute(createRemediationRun(playbook), INCIDENT);
+    assert.deepEqual([run.status, run.results[0].error], [RUN_STATUS.FAILED, t('playbook.error.scriptNodeOnly')]);
+
+    const simulated = runner.simulate(createRemediationRun(playbookWith(PLAYBOOK_MODES.DRY_RUN, [httpStep('lock')])));
+    assert.deepEqual([simulated.status, simulated.results[0].status, simulated.results[0].detail], [RUN_STATUS.DRY_RUN, STEP_STATUS.SIMULATED, 'POST http://remediation.test/lock']);
+  });
+
+  test('reads one header per line', () => {
+    assert.deepEqual(parseHeaders('Authorization: Bearer {ruleId}\nbroken\n X-Id : 7 ', { ruleId: 'r' }), { Authorization: 'Bearer r', 'X-Id': '7' });
+  });
+});
+
+describe('approval gates', () => {
+  test('record the operator decision on a pending run only', () => {
+    const incident = { remediation: createRemediationRun(playbookWith(PLAYBOOK_MODES.APPROVAL, [httpStep('lock')])) };
+    assert.equal(incident.remediation.status, RUN_STATUS.PENDING_APPROVAL);
+    const now = new Date(Date.UTC(2026, 0, 1));
+    const { remediation, entry } = planRemediationDecision(incident, RUN_STATUS.REJECTED, { actor: 'ops', now });
+    assert.deepEqual([remediation.status, remediation.decidedBy, remediation.finishedAt], [RUN_STATUS.REJECTED, 'ops', now.toISOString()]);
+    assert.deepEqual([entry.from, entry.to], [RUN_STATUS.PENDING_APPROVAL, RUN_STATUS.REJECTED]);
+
+    assert.throws(() => planRemediationDecision({ remediation }, RUN_STATUS.APPROVED), { message: t('playbook.error.noPendingRun') });
+    assert.throws(() => planRemediationDecision(incident, RUN_STATUS.SUCCEEDED), { message: t('playbook.error.decision', { decision: RUN_STATUS.SUCCEEDED }) });
+  });
+
+  test('pick the enabled playbook of the rule', () => {
+    const disabled = { ...playbookWith(PLAYBOOK_MODES.AUTO, []), id: 'off', enabled: false };
+    const enabled = { ...playbookWith(PLAYBOOK_MODES.AUTO, []), id: 'on' };
+    assert.equal(findPlaybook([disabled, enabled], 'latency-high').id, 'on');
+    assert.equal(findPlaybook([enabled], 'volatility'), null);
+  });
+});
+
+describe('createRemediator', () => {
+  let interventions;
+  let fetcher;
+  let remediator;
+
+  beforeEach(async () => {
+    ({ repositories: { interventions } } = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' }));
+    await interventions.set(INCIDENT.id, { ...INCIDENT });
+    fetcher = fakeFetch();
+    remediator = createRemediator({ repository: interventions, runner: createPlaybookRunner({ fetchImpl: fetcher.fetchImpl, readSample: () => null }) });
+  });
+
+  const stored = async () => ({ id: INCIDENT.id, ...await interventions.get(INCIDENT.id) });
+
+  test('holds an approval run until it is approved, then runs it once', async () => {
+    const playbooks = [playbookWith(PLAYBOOK_MODES.APPROVAL, [httpStep('lock')])];
+    await remediator.remediate(INCIDENT, playbooks);
+    assert.equal((await stored()).remediation.status, RUN_STATUS.PENDING_APPROVAL);
+    assert.equal(await remediator.remediate(await stored(), playbooks), null);
+    assert.equal(fetcher.requests.length, 0);
+
+    const { remediation } = planRemediationDecision(await stored(), RUN_STATUS.APPROVED, { actor: 'ops' });
+    await interventions.update(INCIDENT.id, { remediation });
+    const approved = await stored();
+    const [first, second] = await Promise.all([remediator.remediate(approved, playbooks), remediator.remediate(approved, playbooks)]);
+
+    assert.equal(first.status, RUN_STATUS.SUCCEEDED);
+    assert.equal(second, null);
+    assert.equal(await remediator.remediate(approved, playbooks), null);
+    assert.equal(fetcher.requests.length, 1);
+    assert.deepEqual([(await stored()).remediation.status, (await stored()).remediation.decidedBy], [RUN_STATUS.SUCCEEDED, 'ops']);
+  });
+
+  test('records a dry run without calling anything', async () => {
+    await remediator.remediate(INCIDENT, [playbookWith(PLAYBOOK_MODES.DRY_RUN, [httpStep('lock')])]);
+    assert.equal((await stored()).remediation.status, RUN_STATUS.DRY_RUN);
+    assert.equal(fetcher.requests.length, 0);
+  });
+
+  test('runs an automatic playbook right away and ignores unmapped rules', async () => {
+    assert.equal(await remediator.remediate({ ...INCIDENT, ruleId: 'volatility' }, [playbookWith(PLAYBOOK_MODES.AUTO, [httpStep('lock')])]), null);
+    await remediator.remediate(INCIDENT, [playbookWith(PLAYBOOK_MODES.AUTO, [httpStep('lock')])]);
+    assert.equal((await stored()).remediation.status, RUN_STATUS.SUCCEEDED);
+    assert.deepEqual(remediator.pending(), []);
+  });
+});
@@ -0,0 +1,136 @@
+// --- ODAS RULE ENGINE TESTS ---
+//
+// Mesin aturan (ruleEngine.js): kondisi, durasi, hysteresis, override batas per aset, dan validasi set aturan.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateCondition,
+  evaluateRules,
+  applyThresholdOverrides,
+  validateRule,
+  validateRuleSet,
+  latestRuleVersion,
+  SEVERITY,
+} from '../ruleEngine.js';
+import { t } from '../i18n.js';
+
+const LATENCY_RULE = {
+  id: 'latency-high',
+  name: 'Latency tinggi',
+  path: 'Infrastruktur',
+  severity: 'critical',
+  enabled: true,
+  condition: { metric: 'systemLatency', op: '>', value: 200 },
+  forScans: 1,
+  message: 'Latency {systemLatency|ms}',
+};
+
+// Runs the rules over consecutive samples, carrying the state like the scan cycle does
+const scanAll = (rules, samples) => samples.reduce((results, sample) => {
+  const previous = results.length > 0 ? results[results.length - 1].state : {};
+  return [...results, evaluateRules(rules, sample, previous)];
+}, []);
+
+describe('evaluateCondition', () => {
+  test('compares a single metric', () => {
+    assert.equal(evaluateCondition(LATENCY_RULE.condition, { systemLatency: 250 }), true);
+    assert.equal(evaluateCondition(LATENCY_RULE.condition, { systemLatency: 200 }), false);
+  });
+
+  test('does not match a missing or non-numeric value', () => {
+    assert.equal(evaluateCondition(LATENCY_RULE.condition, {}), false);
+    assert.equal(evaluateCondition(LATENCY_RULE.condition, { systemLatency: NaN }), false);
+  });
+
+  test('combines children with all and any', () => {
+    const all = { all: [LATENCY_RULE.condition, { metric: 'anomalyScore', op: '>=', value: 0.5 }] };
+    const any = { any: all.all };
+    assert.equal(evaluateCondition(all, { systemLatency: 250, anomalyScore: 0.2 }), false);
+    assert.equal(evaluateCondition(any, { systemLatency: 250, anomalyScore: 0.2 }), true);
+  });
+
+  test('matches a baseline condition on the absolute deviation once the baseline is ready', () => {
+    const condition = { metric: 'systemLatency', baseline: 'seasonal', op: '>', value: 3 };
+    assert.equal(evaluateCondition(condition, {}, { systemLatency: { seasonal: { ready: true, z: -4 } } }), true);
+    assert.equal(evaluateCondition(condition, {}, { systemLatency: { seasonal: { ready: false, z: -4 } } }), false);
+  });
+});
+
+describe('evaluateRules', () => {
+  test('reports a breach with the rendered message and its params', () => {
+    const { breaches, state } = evaluateRules([LATENCY_RULE], { systemLatency: 250 });
+    assert.equal(breaches.length, 1);
+    assert.equal(breaches[0].ruleId, 'latency-high');
+    assert.equal(breaches[0].severity, SEVERITY.CRITICAL);
+    assert.equal(breaches[0].metric, 'systemLatency');
+    assert.equal(breaches[0].value, 250);
+    assert.equal(breaches[0].messageTemplate, LATENCY_RULE.message);
+    assert.deepEqual(breaches[0].messageParams, { systemLatency: 250 });
+    assert.deepEqual(state, { 'latency-high': { consecutive: 1, active: true } });
+  });
+
+  test('waits forScans consecutive matches before breaching', () => {
+    const rule = { ...LATENCY_RULE, forScans: 3 };
+    const results = scanAll([rule], [{ systemLatency: 250 }, { systemLatency: 250 }, { systemLatency: 150 }, { systemLatency: 250 }, { systemLatency: 250 }, { systemLatency: 250 }]);
+    assert.deepEqual(results.map(result => result.breaches.length), [0, 0, 0, 0, 0, 1]);
+  });
+
+  test('holds the breach until the clear condition matches', () => {
+    const rule = { ...LATENCY_RULE, clearCondition: { metric: 'systemLatency', op: '<', value: 150 } };
+    const results = scanAll([rule], [{ systemLatency: 250 }, { systemLatency: 180 }, { systemLatency: 120 }]);
+    assert.deepEqual(results.map(result => result.breaches.length), [1, 1, 0]);
+    assert.deepEqual(results.map(result => result.cleared), [[], [], ['latency-high']]);
+  });
+
+  test('skips disabled rules', () => {
+    assert.deepEqual(evaluateRules([{ ...LATENCY_RULE, enabled: false }], { systemLatency: 250 }), { breaches: [], cleared: [], state: {} });
+  });
+});
+
+describe('applyThresholdOverrides', () => {
+  test('replaces the primary condition value of the overridden rule only', () => {
+    const other = { ...LATENCY_RULE, id: 'latency-other' };
+    const [overridden, untouched] = applyThresholdOverrides([LATENCY_RULE, other], { 'latency-high': 400 });
+    assert.equal(overridden.condition.value, 400);
+    assert.equal(untouched, other);
+  });
+
+  test('reaches into composite conditions', () => {
+    const rule = { ...LATENCY_RULE, condition: { all: [LATENCY_RULE.condition, { metric: 'anomalyScore', op: '>', value: 0.5 }] } };
+    const [overridden] = applyThresholdOverrides([rule], { 'latency-high': 400 });
+    assert.deepEqual(overridden.condition.all.map(condition => condition.value), [400, 0.5]);
+  });
+});
+
+describe('validateRuleSet', () => {
+  test('accepts a valid rule', () => {
+    assert.deepEqual(validateRule(LATENCY_RULE), []);
+  });
+
+  test('reports an unknown metric and operator with the condition label', () => {
+    const errors = validateRule({ ...LATENCY_RULE, condition: { metric: 'nope', op: '=~', value: 1 } });
+    assert.deepEqual(errors, [
+      t('rules.error.unknownMetric', { label: t('rules.condition'), metric: 'nope' }),
+      t('rules.error.unknownOperator', { label: t('rules.condition'), op: '=~' }),
+    ]);
+  });
+
+  test('reports duplicate ids', () => {
+    assert.deepEqual(validateRuleSet([LATENCY_RULE, LATENCY_RULE]), {
+      'latency-high': [t('common.error.duplicateId', { id: 'latency-high' })],
+    });
+  });
+});
+
+describe('latestRuleVersion', () => {
+  test('picks the highest version and normalizes legacy severities', () => {
+    const latest = latestRuleVersion([
+      { version: 2, rules: [{ ...LATENCY_RULE, severity: 'Kritis' }] },
+      { version: 1, rules: [] },
+    ]);
+    assert.equal(latest.version, 2);
+    assert.equal(latest.rules[0].severity, SEVERITY.CRITICAL);
+    assert.equal(latestRuleVersion([]), null);
+  });
+});
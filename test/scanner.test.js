@@ -0,0 +1,105 @@
+// --- ODAS PER-ASSET SCANNER TESTS ---
+//
+// Orkestrasi per aset (scanner.js, scanCycle.js): state dan override batas milik setiap aset, insiden yang hanya
+// menyentuh asetnya, kesehatan aset, silence, dan pemilihan aset yang dipindai.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanAsset, createAssetScanState, healthFromBreaches } from '../scanner.js';
+import { selectScanTargets, effectiveSource, syncAssetSources, disconnectAssetSources } from '../scanCycle.js';
+import { ASSET_HEALTH, DEFAULT_ASSET } from '../assets.js';
+
+const T0 = Date.UTC(2026, 0, 1, 12, 0);
+
+const rule = (id, severity, value) => ({
+  id,
+  name: id,
+  path: 'Infrastruktur',
+  severity,
+  enabled: true,
+  condition: { metric: 'systemLatency', op: '>', value },
+  forScans: 1,
+  message: 'Latency {systemLatency|ms}',
+});
+
+const RULES = [rule('latency-warning', 'warning', 200), rule('latency-critical', 'critical', 400)];
+
+const scan = (asset, systemLatency, extra = {}) => scanAsset({
+  asset,
+  sample: { systemLatency },
+  t: T0,
+  rules: RULES,
+  state: createAssetScanState(),
+  incidents: [],
+  ...extra,
+});
+
+describe('scanAsset', () => {
+  test('tags breaches with the asset and derives its health', () => {
+    const healthy = scan({ id: 'a' }, 100);
+    const degraded = scan({ id: 'a' }, 250);
+    const critical = scan({ id: 'a' }, 450);
+    assert.deepEqual([healthy.health, degraded.health, critical.health], [ASSET_HEALTH.HEALTHY, ASSET_HEALTH.DEGRADED, ASSET_HEALTH.CRITICAL]);
+    assert.deepEqual(critical.breaches.map(breach => [breach.assetId, breach.ruleId]), [['a', 'latency-warning'], ['a', 'latency-critical']]);
+    assert.deepEqual(critical.plan.toOpen.map(breach => breach.ruleId), ['latency-warning', 'latency-critical']);
+  });
+
+  test('applies the threshold overrides of the asset', () => {
+    const result = scan({ id: 'a', thresholdOverrides: { 'latency-warning': 300 } }, 250);
+    assert.deepEqual([result.breaches, result.health], [[], ASSET_HEALTH.HEALTHY]);
+  });
+
+  test('only reconciles the open incidents of the scanned asset', () => {
+    const incident = assetId => ({ id: assetId, assetId, path: 'Infrastruktur', ruleId: 'latency-warning', breachActive: true });
+    const { plan } = scan({ id: 'a' }, 100, { incidents: [incident('a'), incident('b'), { ...incident('c'), assetId: 'a', breachActive: false }] });
+    assert.deepEqual(plan.toClose.map(item => item.id), ['a']);
+  });
+
+  test('keeps silenced breaches in the plan without counting them in health', () => {
+    const silence = { id: 'silence-1', scope: { paths: [], assetIds: ['a'], ruleIds: [] } };
+    const silenced = scan({ id: 'a' }, 450, { silences: [silence] });
+    assert.deepEqual(silenced.breaches.map(breach => breach.suppressedBy), ['silence-1', 'silence-1']);
+    assert.equal(silenced.health, ASSET_HEALTH.HEALTHY);
+    assert.equal(scan({ id: 'b' }, 450, { silences: [silence] }).breaches[0].suppressedBy, null);
+  });
+
+  test('carries rule state and baselines into the next scan', () => {
+    const first = scan({ id: 'a' }, 250);
+    const second = scanAsset({ asset: { id: 'a' }, sample: { systemLatency: 260 }, t: T0 + 5000, rules: RULES, state: first.state, incidents: [] });
+    assert.deepEqual(second.state.history.map(entry => entry.systemLatency), [250, 260]);
+    assert.equal(second.state.baselines.window.systemLatency.length, 2);
+  });
+
+  test('ignores forecast pre-warnings for health', () => {
+    assert.equal(healthFromBreaches([{ severity: 'forecast' }]), ASSET_HEALTH.HEALTHY);
+  });
+});
+
+describe('scan targets and sources', () => {
+  test('scans the active registry or the default asset', () => {
+    assert.deepEqual(selectScanTargets([{ id: 'a', archived: true }]), [DEFAULT_ASSET]);
+    assert.deepEqual(selectScanTargets([{ id: 'a', archived: true }, { id: 'b' }]).map(asset => asset.id), ['b']);
+  });
+
+  test('prefers the session override over the linked source', () => {
+    const asset = { id: 'a', dataSource: { type: 'http', url: 'http://feed.test' } };
+    assert.deepEqual(effectiveSource(asset), { type: 'http', config: { url: 'http://feed.test' } });
+    assert.deepEqual(effectiveSource({ id: 'b' }), { type: 'random', config: { url: '' } });
+    assert.deepEqual(effectiveSource(asset, { a: { type: 'random', config: {} } }), { type: 'random', config: {} });
+  });
+
+  test('reconnects only the sources whose configuration changed', () => {
+    const sources = new Map();
+    const targets = [{ id: 'a' }, { id: 'b', dataSource: { type: 'http', url: 'http://feed.test' } }];
+    syncAssetSources(sources, targets, {}, () => {});
+    const first = sources.get('a').source;
+    syncAssetSources(sources, targets, {}, () => {});
+    assert.equal(sources.get('a').source, first);
+
+    syncAssetSources(sources, [targets[0]], { a: { type: 'http', config: { url: 'http://other.test' } } }, () => {});
+    assert.deepEqual([...sources.keys()], ['a']);
+    assert.equal(sources.get('a').source.type, 'http');
+    disconnectAssetSources(sources);
+    assert.equal(sources.size, 0);
+  });
+});
@@ -0,0 +1,86 @@
+// --- ODAS SCANNER LEASE TESTS ---
+//
+// Lease pemindai (scannerLease.js) di backend memori: pengambilan, perpanjangan, kedaluwarsa, prioritas daemon,
+// pelepasan, dan snapshot status untuk penampil.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../storage.js';
+import {
+  acquireLease,
+  releaseLease,
+  isLeaseLive,
+  writeScannerStatus,
+  LEASE_PRIORITY,
+  SCANNER_LEASE_DOC,
+  SCANNER_STATUS_DOC,
+} from '../scannerLease.js';
+
+const T0 = 1_700_000_000_000;
+const TTL_MS = 15 * 1000;
+
+const panel = (holderId) => ({ holderId, label: holderId, priority: LEASE_PRIORITY.panel, ttlMs: TTL_MS });
+const daemon = { holderId: 'daemon', label: 'daemon', priority: LEASE_PRIORITY.daemon, ttlMs: TTL_MS };
+
+describe('scanner lease', () => {
+  let scanner;
+
+  beforeEach(async () => {
+    ({ repositories: { scanner } } = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: 'u' }));
+  });
+
+  test('lets one panel hold the lease until it expires', async () => {
+    assert.equal(await acquireLease(scanner, panel('tab-1'), T0), true);
+    assert.equal(await acquireLease(scanner, panel('tab-2'), T0 + 1000), false);
+    assert.equal(await acquireLease(scanner, panel('tab-2'), T0 + TTL_MS + 1), true);
+    assert.equal((await scanner.get(SCANNER_LEASE_DOC)).holderId, 'tab-2');
+  });
+
+  test('renews the lease of its holder and keeps the acquisition time', async () => {
+    await acquireLease(scanner, panel('tab-1'), T0);
+    assert.equal(await acquireLease(scanner, panel('tab-1'), T0 + 10_000), true);
+    const lease = await scanner.get(SCANNER_LEASE_DOC);
+    assert.deepEqual([lease.acquiredAtMs, lease.renewedAtMs, lease.leaseUntilMs], [T0, T0 + 10_000, T0 + 10_000 + TTL_MS]);
+  });
+
+  test('lets the daemon take a live lease from a panel but not the other way round', async () => {
+    await acquireLease(scanner, panel('tab-1'), T0);
+    assert.equal(await acquireLease(scanner, daemon, T0 + 1000), true);
+    assert.equal(await acquireLease(scanner, panel('tab-1'), T0 + 2000), false);
+  });
+
+  test('releases only the lease of its holder', async () => {
+    await acquireLease(scanner, panel('tab-1'), T0);
+    assert.equal(await releaseLease(scanner, 'tab-2'), false);
+    assert.equal(isLeaseLive(await scanner.get(SCANNER_LEASE_DOC), T0), true);
+    assert.equal(await releaseLease(scanner, 'tab-1'), true);
+    assert.equal(isLeaseLive(await scanner.get(SCANNER_LEASE_DOC), T0), false);
+    assert.equal(await acquireLease(scanner, panel('tab-2'), T0 + 1000), true);
+  });
+
+  test('writes the per-asset status without baselines', async () => {
+    const state = { pathData: { systemLatency: 120 }, recentSamples: [], ruleState: {}, deviations: {}, baselines: { window: {} } };
+    await writeScannerStatus(scanner, {
+      holderId: 'daemon',
+      label: 'daemon',
+      scannedAt: T0,
+      breachCount: 1,
+      states: { a: state, b: { ...state, forecasts: { systemLatency: {} } } },
+      sourceStatuses: { a: { state: 'connected' } },
+    });
+    const status = await scanner.get(SCANNER_STATUS_DOC);
+    assert.deepEqual([status.suppressedCount, status.forecastCount], [0, 0]);
+    assert.deepEqual(Object.keys(status.assets.a).sort(), ['deviations', 'forecasts', 'pathData', 'recentSamples', 'ruleState', 'sourceStatus']);
+    assert.deepEqual([status.assets.a.sourceStatus, status.assets.b.sourceStatus], [{ state: 'connected' }, null]);
+    assert.deepEqual(status.assets.b.forecasts, { systemLatency: {} });
+  });
+});
+
+describe('isLeaseLive', () => {
+  test('needs a holder and a future expiry', () => {
+    assert.equal(isLeaseLive(null), false);
+    assert.equal(isLeaseLive({ holderId: '', leaseUntilMs: T0 + 1 }, T0), false);
+    assert.equal(isLeaseLive({ holderId: 'tab-1', leaseUntilMs: T0 }, T0), false);
+    assert.equal(isLeaseLive({ holderId: 'tab-1', leaseUntilMs: T0 + 1 }, T0), true);
+  });
+});
@@ -0,0 +1,117 @@
+// --- ODAS SCENARIO SIMULATOR TESTS ---
+//
+// Simulator skenario (scenarios.js): RNG ber-seed, validasi file skenario, shock, korelasi, batas nilai, dan
+// render deret berstempel waktu.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRng,
+  normalizeScenario,
+  validateScenario,
+  parseScenario,
+  createScenarioEngine,
+  renderScenario,
+  isScenarioFile,
+  DEMO_SCENARIO,
+} from '../scenarios.js';
+import { t } from '../i18n.js';
+
+// Latency held at 100 ms and anomaly score at 0.1 without noise, so shocks and correlations are exact
+const FLAT = {
+  seed: 'flat',
+  steps: 4,
+  metrics: {
+    systemLatency: { initial: 100, mean: 100, volatility: 0, reversion: 0, trend: 0, min: 1, max: 400 },
+    anomalyScore: { initial: 0.1, mean: 0.1, volatility: 0, reversion: 0, trend: 0, min: 0, max: 1 },
+  },
+};
+
+const latencies = (scenario) => renderScenario(normalizeScenario(scenario)).map(sample => sample.systemLatency);
+
+describe('createRng', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const [first, second, other] = ['odas', 'odas', 'other'].map(seed => createRng(seed));
+    const values = Array.from({ length: 5 }, () => first());
+    assert.deepEqual(Array.from({ length: 5 }, () => second()), values);
+    assert.notDeepEqual(Array.from({ length: 5 }, () => other()), values);
+    values.forEach(value => assert.ok(value >= 0 && value < 1));
+  });
+});
+
+describe('scenario engine', () => {
+  test('replays the demo scenario identically from its seed', () => {
+    const demo = normalizeScenario(DEMO_SCENARIO);
+    assert.deepEqual(renderScenario(demo, 0, 50), renderScenario(demo, 0, 50));
+  });
+
+  test('applies step, spike and ramp shocks over their duration', () => {
+    const shock = shape => ({ ...FLAT, shocks: [{ metric: 'systemLatency', atStep: 1, durationSteps: 2, magnitude: 100, shape }] });
+    assert.deepEqual(latencies(shock('step')), [100, 200, 200, 100]);
+    assert.deepEqual(latencies(shock('spike')), [100, 200, 150, 100]);
+    assert.deepEqual(latencies(shock('ramp')), [100, 100, 150, 100]);
+  });
+
+  test('repeats a shock every everySteps', () => {
+    const scenario = { ...FLAT, steps: 6, shocks: [{ metric: 'systemLatency', atStep: 0, durationSteps: 1, magnitude: 50, everySteps: 3 }] };
+    assert.deepEqual(latencies(scenario), [150, 100, 100, 150, 100, 100]);
+  });
+
+  test('carries deviations across correlated metrics and clamps to the bounds', () => {
+    const scenario = normalizeScenario({
+      ...FLAT,
+      shocks: [{ metric: 'systemLatency', atStep: 1, durationSteps: 1, magnitude: 1000 }],
+      correlations: [{ from: 'systemLatency', to: 'anomalyScore', coefficient: 0.0005 }],
+    });
+    const [calm, shocked] = renderScenario(scenario);
+    assert.equal(shocked.systemLatency, 400);
+    // The correlation follows the unclamped latency: 0.0005 * 1000
+    assert.ok(Math.abs(shocked.anomalyScore - calm.anomalyScore - 0.5) < 1e-9);
+  });
+
+  test('ends after steps unless it loops', () => {
+    const engine = createScenarioEngine(normalizeScenario({ ...FLAT, steps: 1 }));
+    assert.ok(engine.next());
+    assert.equal(engine.next(), null);
+    const looping = createScenarioEngine(normalizeScenario({ ...FLAT, steps: 1, loop: true }));
+    looping.next();
+    assert.equal(looping.next().systemLatency, 100);
+  });
+
+  test('stamps the rendered samples one stepMs apart', () => {
+    const samples = renderScenario(normalizeScenario({ ...FLAT, stepMs: 1000 }), 5000);
+    assert.deepEqual(samples.map(sample => sample.t), [5000, 6000, 7000, 8000]);
+  });
+});
+
+describe('scenario files', () => {
+  test('accepts the demo scenario', () => {
+    assert.deepEqual(validateScenario(normalizeScenario(DEMO_SCENARIO)), []);
+  });
+
+  test('lists every invalid part of a scenario', () => {
+    const scenario = normalizeScenario({
+      stepMs: 0,
+      metrics: { systemLatency: { reversion: 2, min: 10, max: 5 } },
+      correlations: [{ from: 'systemLatency', to: 'systemLatency', coefficient: 1 }],
+      shocks: [{ metric: 'systemLatency', atStep: 0, durationSteps: 4, magnitude: 1, everySteps: 2 }],
+    });
+    assert.deepEqual(validateScenario(scenario), [
+      t('scenario.error.stepMs'),
+      t('scenario.error.reversion', { metric: 'systemLatency' }),
+      t('scenario.error.bounds', { metric: 'systemLatency' }),
+      t('scenario.error.correlation', { index: 1 }),
+      t('scenario.error.shock', { index: 1 }),
+    ]);
+  });
+
+  test('names unknown metrics and rejects broken files', () => {
+    assert.throws(() => parseScenario(JSON.stringify({ metrics: { latencyy: {} } })), { message: t('scenario.error.unknownMetric', { metric: 'latencyy' }) });
+    assert.throws(() => parseScenario('[]'), { message: t('scenario.error.notObject') });
+    assert.equal(parseScenario(JSON.stringify(FLAT)).seed, 'flat');
+  });
+
+  test('recognises scenario files by their extension', () => {
+    assert.deepEqual(['a.json', 'A.JSON', 'a.ndjson', 'a.jsonl'].map(isScenarioFile), [true, true, false, false]);
+  });
+});
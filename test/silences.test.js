@@ -0,0 +1,144 @@
+// --- ODAS SILENCE TESTS ---
+//
+// Jendela pemeliharaan dan silence (silences.js): cron, jendela aktif dan berikutnya, cakupan, dan validasi draf.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCron,
+  windowAt,
+  nextWindow,
+  activeSilences,
+  silenceFor,
+  validateSilence,
+  activeUntilOf,
+  createSilenceDraft,
+  SILENCE_KINDS,
+  SCHEDULE_TYPES,
+} from '../silences.js';
+import { t } from '../i18n.js';
+
+const MINUTE_MS = 60 * 1000;
+// Saturday 3 January 2026, 02:00 UTC
+const SATURDAY_2AM = Date.UTC(2026, 0, 3, 2, 0);
+
+const once = (startsAtMs, endsAtMs, extra = {}) => ({
+  id: 'once',
+  kind: SILENCE_KINDS.SILENCE,
+  reason: 'deploy',
+  scope: { paths: [], assetIds: [], ruleIds: [] },
+  schedule: { type: SCHEDULE_TYPES.ONCE, startsAtMs, endsAtMs },
+  ...extra,
+});
+
+const weekly = (schedule = {}, extra = {}) => ({
+  id: 'weekly',
+  kind: SILENCE_KINDS.MAINTENANCE,
+  reason: 'patching',
+  scope: { paths: [], assetIds: [], ruleIds: [] },
+  schedule: { type: SCHEDULE_TYPES.CRON, cron: '0 2 * * 6', durationMinutes: 120, utcOffsetMinutes: 0, untilMs: null, ...schedule },
+  ...extra,
+});
+
+describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const cron = parseCron('*/15 1-3 1,15 * 7');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [1, 2, 3]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.ok(cron.weekdays.has(0));
+  });
+
+  test('rejects malformed expressions', () => {
+    ['', '0 2 * *', '60 2 * * *', '0 2 * * mon', '5-1 * * * *'].forEach(expression => assert.equal(parseCron(expression), null, expression));
+  });
+});
+
+describe('windowAt', () => {
+  test('covers a one-off window from its start up to its end', () => {
+    const silence = once(1000, 5000);
+    assert.deepEqual(windowAt(silence, 1000), { startMs: 1000, endMs: 5000 });
+    assert.equal(windowAt(silence, 5000), null);
+  });
+
+  test('stops a window that was ended early', () => {
+    const silence = once(1000, 5000, { endedAtMs: 3000 });
+    assert.deepEqual(windowAt(silence, 2000), { startMs: 1000, endMs: 3000 });
+    assert.equal(windowAt(silence, 3000), null);
+  });
+
+  test('finds the running occurrence of a recurring window', () => {
+    const silence = weekly();
+    assert.deepEqual(windowAt(silence, SATURDAY_2AM + 90 * MINUTE_MS), { startMs: SATURDAY_2AM, endMs: SATURDAY_2AM + 120 * MINUTE_MS });
+    assert.equal(windowAt(silence, SATURDAY_2AM + 120 * MINUTE_MS), null);
+    assert.equal(windowAt(silence, SATURDAY_2AM - MINUTE_MS), null);
+  });
+
+  test('reads the cron in the creator time zone', () => {
+    // 02:00 at UTC+07:00 is 19:00 UTC the day before
+    const silence = weekly({ utcOffsetMinutes: 7 * 60 });
+    assert.equal(windowAt(silence, SATURDAY_2AM), null);
+    assert.deepEqual(windowAt(silence, SATURDAY_2AM - 7 * 60 * MINUTE_MS), {
+      startMs: SATURDAY_2AM - 7 * 60 * MINUTE_MS,
+      endMs: SATURDAY_2AM - 5 * 60 * MINUTE_MS,
+    });
+  });
+
+  test('does not start occurrences at or after untilMs', () => {
+    assert.equal(windowAt(weekly({ untilMs: SATURDAY_2AM }), SATURDAY_2AM + MINUTE_MS), null);
+  });
+});
+
+describe('nextWindow', () => {
+  test('finds the next occurrence within a week', () => {
+    assert.deepEqual(nextWindow(weekly(), SATURDAY_2AM + 3 * 60 * MINUTE_MS), {
+      startMs: SATURDAY_2AM + 7 * 24 * 60 * MINUTE_MS,
+      endMs: SATURDAY_2AM + (7 * 24 * 60 + 120) * MINUTE_MS,
+    });
+  });
+
+  test('has none once the schedule was ended', () => {
+    assert.equal(nextWindow(weekly({}, { endedAtMs: SATURDAY_2AM }), SATURDAY_2AM), null);
+  });
+});
+
+describe('silenceFor', () => {
+  const breach = { assetId: 'asset-1', path: 'Infrastruktur', ruleId: 'latency-high' };
+
+  test('matches when every scope dimension matches', () => {
+    const scoped = once(0, 5000, { scope: { paths: ['Infrastruktur'], assetIds: ['asset-1'], ruleIds: [] } });
+    const active = activeSilences([scoped], 1000);
+    assert.equal(silenceFor(breach, active).id, 'once');
+    assert.equal(silenceFor({ ...breach, assetId: 'asset-2' }, active), null);
+  });
+
+  test('ignores entries that are not active', () => {
+    assert.equal(silenceFor(breach, activeSilences([once(0, 5000)], 6000)), null);
+  });
+});
+
+describe('validateSilence', () => {
+  const now = SATURDAY_2AM;
+
+  test('accepts a new silence with a reason', () => {
+    assert.deepEqual(validateSilence({ ...createSilenceDraft(SILENCE_KINDS.SILENCE, now), reason: 'deploy' }, now), []);
+  });
+
+  test('requires a reason and a window that has not ended', () => {
+    const draft = { ...createSilenceDraft(SILENCE_KINDS.SILENCE, now), schedule: { type: SCHEDULE_TYPES.ONCE, startsAtMs: now - 2000, endsAtMs: now - 1000 } };
+    assert.deepEqual(validateSilence(draft, now), [t('silences.error.reason'), t('silences.error.past')]);
+  });
+
+  test('only allows recurring schedules for maintenance', () => {
+    const draft = { ...weekly(), kind: SILENCE_KINDS.SILENCE, schedule: { ...weekly().schedule, cron: 'nope' } };
+    assert.deepEqual(validateSilence(draft, now), [t('silences.error.cronKind'), t('silences.error.cron', { cron: 'nope' })]);
+  });
+});
+
+describe('activeUntilOf', () => {
+  test('keeps recurring schedules without an end in the query', () => {
+    assert.equal(activeUntilOf(once(0, 5000).schedule), 5000);
+    assert.equal(activeUntilOf(weekly({ untilMs: 1000 }).schedule), 1000 + 120 * MINUTE_MS);
+    assert.equal(activeUntilOf(weekly().schedule), Number.MAX_SAFE_INTEGER);
+  });
+});
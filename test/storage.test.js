@@ -0,0 +1,144 @@
+// --- ODAS STORAGE TESTS ---
+//
+// Kontrak backend penyimpanan (storage.js, storageMemory.js) di backend memori: query, paging, operasi field,
+// transaksi, batch, persistence, dan ruang kerja.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage, pageCursor, workspaceScope, fieldOps, COLLECTIONS } from '../storage.js';
+import { createMemoryBackend } from '../storageMemory.js';
+
+const memoryPersistence = (text = null) => {
+  const saved = { text };
+  return { saved, load: () => saved.text, save: (next) => { saved.text = next; }, subscribe: () => () => {} };
+};
+
+const ids = docs => docs.map(doc => doc.id);
+
+describe('memory backend queries', () => {
+  let assets;
+
+  beforeEach(async () => {
+    ({ repositories: { assets } } = await createStorage({ kind: 'memory', persistence: memoryPersistence(), userId: 'u' }));
+    await assets.set('a', { name: 'Alfa', tier: 1, tags: ['core'] });
+    await assets.set('b', { name: 'Beta', tier: 2, tags: ['edge'] });
+    await assets.set('c', { name: 'Gamma', tier: 2, tags: ['core', 'edge'] });
+    await assets.set('d', { name: 'Delta' });
+  });
+
+  test('filters with where clauses', async () => {
+    assert.deepEqual(ids(await assets.list({ where: [['tier', '==', 2]] })), ['b', 'c']);
+    assert.deepEqual(ids(await assets.list({ where: [['tier', 'in', [1, 3]]] })), ['a']);
+    assert.deepEqual(ids(await assets.list({ where: [['tags', 'array-contains', 'core'], ['tier', '>=', 2]] })), ['c']);
+    assert.equal(await assets.count({ where: [['tier', '<', 3]] }), 3);
+  });
+
+  test('leaves documents without the field out of != and orderBy', async () => {
+    assert.deepEqual(ids(await assets.list({ where: [['tier', '!=', 1]] })), ['b', 'c']);
+    assert.deepEqual(ids(await assets.list({ orderBy: ['tier', 'asc'] })), ['a', 'b', 'c']);
+  });
+
+  test('breaks ties by document id in the order direction', async () => {
+    assert.deepEqual(ids(await assets.list({ orderBy: ['tier', 'desc'] })), ['c', 'b', 'a']);
+  });
+
+  test('pages with limit and the cursor of the previous page', async () => {
+    const options = { orderBy: ['tier', 'desc'], limit: 2 };
+    const first = await assets.list(options);
+    const second = await assets.list({ ...options, startAfter: pageCursor(first, 'tier') });
+    assert.deepEqual([ids(first), ids(second)], [['c', 'b'], ['a']]);
+    assert.equal(pageCursor([], 'tier'), null);
+  });
+
+  test('rejects an unsupported operator', async () => {
+    await assert.rejects(assets.list({ where: [['tier', 'like', 2]] }), /like/);
+  });
+});
+
+describe('memory backend writes', () => {
+  let storage;
+  let assets;
+
+  beforeEach(async () => {
+    storage = await createStorage({ kind: 'memory', persistence: memoryPersistence(), userId: 'u' });
+    ({ assets } = storage.repositories);
+  });
+
+  test('resolves field operations against the stored value', async () => {
+    await assets.set('a', { scans: 1, tags: ['core'] });
+    await assets.update('a', { scans: fieldOps.increment(2), tags: fieldOps.arrayUnion('core', 'edge'), updatedAt: fieldOps.serverTimestamp() });
+    const stored = await assets.get('a');
+    assert.deepEqual([stored.scans, stored.tags], [3, ['core', 'edge']]);
+    assert.equal(typeof stored.updatedAt.toMillis(), 'number');
+  });
+
+  test('merges nested objects with set merge but replaces them with update', async () => {
+    await assets.set('a', { limits: { latency: 200, volatility: 0.5 } });
+    await assets.set('a', { limits: { latency: 300 } }, { merge: true });
+    assert.deepEqual((await assets.get('a')).limits, { latency: 300, volatility: 0.5 });
+    await assets.update('a', { limits: { latency: 400 } });
+    assert.deepEqual((await assets.get('a')).limits, { latency: 400 });
+  });
+
+  test('fails to update a missing document with not-found', async () => {
+    await assert.rejects(assets.update('missing', { name: 'x' }), { code: 'not-found' });
+  });
+
+  test('writes a transaction only when it returns data', async () => {
+    await assets.set('a', { scans: 1 });
+    const result = await assets.transact('a', current => ({ result: current.scans, data: { scans: current.scans + 1 } }));
+    assert.equal(result, 1);
+    assert.equal(await assets.transact('a', current => ({ result: current.scans })), 2);
+    assert.equal(await assets.transact('missing', current => ({ result: current })), null);
+    assert.equal(await assets.get('missing'), null);
+  });
+
+  test('skips create for an existing document in a batch', async () => {
+    await assets.set('a', { name: 'Alfa' });
+    await storage.backend.commit([assets.createOp('a', { name: 'Other' }), assets.createOp('b', { name: 'Beta' })]);
+    assert.deepEqual([(await assets.get('a')).name, (await assets.get('b')).name], ['Alfa', 'Beta']);
+  });
+
+  test('applies no write of a batch that fails', async () => {
+    await assert.rejects(storage.backend.commit([assets.setOp('a', { name: 'Alfa' }), assets.updateOp('missing', { name: 'x' })]), { code: 'not-found' });
+    assert.equal(await assets.get('a'), null);
+  });
+
+  test('notifies subscribers with the initial snapshot and after each write', async () => {
+    const idle = () => new Promise(resolve => setImmediate(resolve));
+    const snapshots = [];
+    const unsubscribe = assets.subscribe(docs => snapshots.push(ids(docs)));
+    await idle();
+    await assets.set('a', { name: 'Alfa' });
+    await idle();
+    unsubscribe();
+    await assets.set('b', { name: 'Beta' });
+    await idle();
+    assert.deepEqual(snapshots, [[], ['a']]);
+  });
+});
+
+describe('memory persistence and workspaces', () => {
+  test('restores timestamps from the persisted text', async () => {
+    const persistence = memoryPersistence();
+    const first = createMemoryBackend({ persistence, userId: 'u' });
+    await first.set('users/u/odas_settings', 'x', { at: fieldOps.serverTimestamp() });
+    const restored = await createMemoryBackend({ persistence, userId: 'u' }).get('users/u/odas_settings', 'x');
+    assert.equal(typeof restored.at.toDate().getTime(), 'number');
+  });
+
+  test('moves collections stored before workspaces into the personal workspace', async () => {
+    const legacy = JSON.stringify({ [COLLECTIONS.assets]: { a: { name: 'Alfa' } }, workspaces: { w: { name: 'Tim' } } });
+    const { repositories, directory } = await createStorage({ kind: 'memory', persistence: memoryPersistence(legacy), userId: 'u' });
+    assert.equal((await repositories.assets.get('a')).name, 'Alfa');
+    assert.equal((await directory.workspaces.get('w')).name, 'Tim');
+  });
+
+  test('scopes repositories to the personal or team workspace', async () => {
+    assert.equal(workspaceScope('u', null), 'users/u');
+    assert.equal(workspaceScope('u', 'w'), 'workspaces/w');
+    const storage = await createStorage({ kind: 'memory', persistence: memoryPersistence(), userId: 'u', workspaceId: 'w' });
+    assert.equal(storage.repositories.assets.name, `workspaces/w/${COLLECTIONS.assets}`);
+    assert.equal(storage.personal.assets.name, `users/u/${COLLECTIONS.assets}`);
+  });
+});
@@ -0,0 +1,116 @@
+// --- ODAS WORKSPACE TESTS ---
+//
+// Ruang kerja tim (workspaces.js, workspaceActions.js): izin per peran, undangan, dan keanggotaan di backend memori.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  can,
+  validateWorkspaceName,
+  isInvitationUsable,
+  invitationLink,
+  WORKSPACE_ROLES,
+  PERMISSIONS,
+  INVITATION_TTL_MS,
+} from '../workspaces.js';
+import {
+  createWorkspace,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  changeMemberRole,
+  leaveWorkspace,
+} from '../workspaceActions.js';
+import { createStorage, createRepositories, workspaceScope } from '../storage.js';
+import { t } from '../i18n.js';
+
+const T0 = 1_700_000_000_000;
+
+describe('roles', () => {
+  test('grant each permission from its minimum role up', () => {
+    assert.deepEqual(
+      [WORKSPACE_ROLES.VIEWER, WORKSPACE_ROLES.OPERATOR, WORKSPACE_ROLES.ADMIN].map(role => can(role, 'handleIncidents')),
+      [false, true, true],
+    );
+    assert.deepEqual([can(WORKSPACE_ROLES.OPERATOR, 'editRules'), can(WORKSPACE_ROLES.ADMIN, 'editRules')], [false, true]);
+    Object.keys(PERMISSIONS).forEach(permission => assert.equal(can(null, permission), false, permission));
+  });
+});
+
+describe('workspace drafts and invitations', () => {
+  test('validate the workspace name', () => {
+    assert.equal(validateWorkspaceName(' Tim SRE '), null);
+    assert.equal(validateWorkspaceName('  '), t('workspace.error.nameRequired'));
+    assert.equal(validateWorkspaceName('x'.repeat(61)), t('workspace.error.nameLength', { max: 60 }));
+  });
+
+  test('use an invitation only before it expires and unless revoked', () => {
+    const invitation = { expiresAtMs: T0 + 1, revoked: false };
+    assert.equal(isInvitationUsable(invitation, T0), true);
+    assert.equal(isInvitationUsable(invitation, T0 + 1), false);
+    assert.equal(isInvitationUsable({ ...invitation, revoked: true }, T0), false);
+    assert.equal(isInvitationUsable(null, T0), false);
+  });
+
+  test('link an invitation to the current page', () => {
+    assert.equal(invitationLink('abc', 'https://odas.test/panel?invite=old#log'), 'https://odas.test/panel?invite=abc#log');
+  });
+});
+
+describe('workspace membership', () => {
+  let storage;
+  const ownerId = 'owner';
+  const guestId = 'guest';
+
+  beforeEach(async () => {
+    storage = await createStorage({ kind: 'memory', persistence: { load: () => null, save: () => {}, subscribe: () => () => {} }, userId: ownerId });
+  });
+
+  const guest = () => ({ ...storage, personal: createRepositories(storage.backend, workspaceScope(guestId, null)) });
+  const membersOf = workspaceId => createRepositories(storage.backend, workspaceScope(null, workspaceId)).members;
+
+  test('makes the creator an admin and lists the workspace in their memberships', async () => {
+    const workspaceId = await createWorkspace(storage, ' Tim SRE ', ownerId);
+    assert.equal((await storage.directory.workspaces.get(workspaceId)).name, 'Tim SRE');
+    assert.equal((await membersOf(workspaceId).get(ownerId)).role, WORKSPACE_ROLES.ADMIN);
+    assert.equal((await storage.personal.memberships.get(workspaceId)).name, 'Tim SRE');
+  });
+
+  test('joins with the role of the invitation', async () => {
+    const workspaceId = await createWorkspace(storage, 'Tim SRE', ownerId);
+    const code = await createInvitation(storage.directory, { id: workspaceId, name: 'Tim SRE' }, WORKSPACE_ROLES.OPERATOR, ownerId, T0);
+    assert.equal((await storage.directory.invitations.get(code)).expiresAtMs, T0 + INVITATION_TTL_MS);
+
+    assert.deepEqual(await acceptInvitation(guest(), code, guestId, T0 + 1000), { workspaceId, name: 'Tim SRE', role: WORKSPACE_ROLES.OPERATOR });
+    assert.equal((await membersOf(workspaceId).get(guestId)).invitation, code);
+    assert.equal((await guest().personal.memberships.get(workspaceId)).name, 'Tim SRE');
+  });
+
+  test('keeps the role of an existing member', async () => {
+    const workspaceId = await createWorkspace(storage, 'Tim SRE', ownerId);
+    const code = await createInvitation(storage.directory, { id: workspaceId, name: 'Tim SRE' }, WORKSPACE_ROLES.VIEWER, ownerId, T0);
+    assert.equal((await acceptInvitation(storage, code, ownerId, T0)).role, WORKSPACE_ROLES.ADMIN);
+    assert.equal((await membersOf(workspaceId).get(ownerId)).role, WORKSPACE_ROLES.ADMIN);
+  });
+
+  test('refuses a revoked or expired invitation', async () => {
+    const workspaceId = await createWorkspace(storage, 'Tim SRE', ownerId);
+    const code = await createInvitation(storage.directory, { id: workspaceId, name: 'Tim SRE' }, WORKSPACE_ROLES.VIEWER, ownerId, T0);
+    await assert.rejects(acceptInvitation(guest(), code, guestId, T0 + INVITATION_TTL_MS), { message: t('workspace.error.invitationUnusable') });
+    await revokeInvitation(storage.directory, code);
+    await assert.rejects(acceptInvitation(guest(), code, guestId, T0), { message: t('workspace.error.invitationUnusable') });
+    assert.equal(await membersOf(workspaceId).get(guestId), null);
+  });
+
+  test('changes roles, rejecting unknown ones, and leaves the workspace', async () => {
+    const workspaceId = await createWorkspace(storage, 'Tim SRE', ownerId);
+    const members = membersOf(workspaceId);
+    await members.set(guestId, { role: WORKSPACE_ROLES.VIEWER });
+    await changeMemberRole(members, guestId, WORKSPACE_ROLES.OPERATOR, ownerId);
+    assert.deepEqual([(await members.get(guestId)).role, (await members.get(guestId)).changedBy], [WORKSPACE_ROLES.OPERATOR, ownerId]);
+    assert.throws(() => changeMemberRole(members, guestId, 'root', ownerId), { message: t('workspace.error.unknownRole', { role: 'root' }) });
+
+    await leaveWorkspace(storage, members, workspaceId, ownerId);
+    assert.deepEqual([await members.get(ownerId), await storage.personal.memberships.get(workspaceId)], [null, null]);
+  });
+});
@@ -0,0 +1,56 @@
+// --- PAGINATED INTERVENTION LOG HOOK (ODAS & GCP) ---
+//
+// Log berlangganan secara real-time sebagai satu jendela terbaru (insiden baru langsung tampil di atas).
+// "Muat lebih banyak" memperbesar batas jendela itu satu halaman, sehingga dokumen yang tergeser oleh insiden
+// baru tetap berada di dalam jendela dan tidak ada celah antarhalaman. Mengganti filter kembali ke satu halaman.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { buildLogQuery, matchesSearch, toIncidentView, LOG_PAGE_SIZE } from './interventionLog.js';
+
+/**
+ * @param {object|null} repository - Repository interventions dari storage.js.
+ * @param {object} filter - Hasil createLogFilter().
+ * @param {number} [pageSize]
+ * @returns {object} - { items, hasMore, loadMore, isLoading, error }
+ */
+export const useInterventionLog = (repository, filter, pageSize = LOG_PAGE_SIZE) => {
+  const [docs, setDocs] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const filterKey = JSON.stringify(filter);
+  // Pages loaded for the current filter; a new filter starts again from one page
+  const [pages, setPages] = useState({ filterKey, count: 1 });
+  const pageCount = pages.filterKey === filterKey ? pages.count : 1;
+
+  useEffect(() => {
+    if (!repository) return;
+    setIsLoading(true);
+    setError(null);
+
+    const limit = pageCount * pageSize;
+    const unsubscribe = repository.subscribe((snapshot) => {
+        setDocs(snapshot);
+        setHasMore(snapshot.length === limit);
+        setIsLoading(false);
+    }, (subscribeError) => {
+        console.error("Failed to fetch intervention log:", subscribeError);
+        setError(subscribeError.message);
+        setIsLoading(false);
+    }, buildLogQuery(filter, limit));
+
+    return () => unsubscribe();
+  // filterKey stands in for the filter object, which is recreated on every render
+  }, [repository, filterKey, pageSize, pageCount]);
+
+  const loadMore = useCallback(() => {
+    if (!repository || isLoading || !hasMore) return;
+    setPages({ filterKey, count: pageCount + 1 });
+  }, [repository, filterKey, pageCount, isLoading, hasMore]);
+
+  const items = useMemo(() => docs
+    .filter(doc => matchesSearch(doc, filter.text))
+    .map(toIncidentView), [docs, filterKey]);
+
+  return { items, hasMore, loadMore, isLoading, error };
+};
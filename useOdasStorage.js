@@ -0,0 +1,114 @@
+// --- SHARED STORAGE HOOK (ODAS & GCP) ---
+//
+// Pengganti hook useFirebase yang sebelumnya disalin di kedua panel. Memilih backend lewat
+// resolveStorageConfig(), menunggu sign-in, lalu menyediakan repository yang sama untuk kedua panel.
+// Repository mengarah ke ruang kerja aktif (workspaces.js); peran pengguna di ruang kerja itu
+// diikuti secara real-time. Tautan ?invite=<kode> diterima otomatis setelah sign-in.
+
+import { useState, useEffect } from 'react';
+import { createStorage, resolveStorageConfig, WORKSPACE_PREFERENCE_KEY } from './storage.js';
+import { WORKSPACE_ROLES, PERSONAL_WORKSPACE_NAME } from './workspaces.js';
+import { acceptInvitation } from './workspaceActions.js';
+import { t } from './i18n.js';
+
+// Berpindah ruang kerja memuat ulang halaman agar semua langganan dan lease dibuka dari awal
+export const switchWorkspace = (workspaceId) => {
+  if (workspaceId) window.localStorage.setItem(WORKSPACE_PREFERENCE_KEY, workspaceId);
+  else window.localStorage.removeItem(WORKSPACE_PREFERENCE_KEY);
+  const url = new URL(window.location.href);
+  url.searchParams.delete('workspace');
+  url.searchParams.delete('invite');
+  window.location.replace(url.toString());
+};
+
+const readInviteCode = () => (typeof window !== 'undefined' && window.location
+  ? new URLSearchParams(window.location.search).get('invite')
+  : null);
+
+export const useOdasStorage = () => {
+  const [storage, setStorage] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [workspaceName, setWorkspaceName] = useState(null);
+  const [role, setRole] = useState(null);
+  const [memberships, setMemberships] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    createStorage(resolveStorageConfig())
+      .then(async (opened) => {
+        const inviteCode = readInviteCode();
+        if (inviteCode) {
+          try {
+            const joined = await acceptInvitation(opened, inviteCode, opened.userId);
+            switchWorkspace(joined.workspaceId);
+            return;
+          } catch (error) {
+            console.error("Failed to accept invitation:", error);
+            if (!cancelled) setStorageError(error.message);
+          }
+        }
+        if (!cancelled) setStorage(opened);
+      })
+      .catch((error) => {
+        console.error("Failed to open storage:", error);
+        if (!cancelled) setStorageError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Role and name of the active workspace; the personal space always belongs to its user
+  useEffect(() => {
+    if (!storage) return;
+    if (!storage.workspaceId) {
+      setRole(WORKSPACE_ROLES.ADMIN);
+      setWorkspaceName(PERSONAL_WORKSPACE_NAME);
+      return;
+    }
+
+    const unsubscribeMember = storage.repositories.members.subscribeDoc(storage.userId, (member) => {
+        setRole(member ? member.role : null);
+        if (!member) setStorageError(t('workspace.error.notMember'));
+    }, (error) => {
+        console.error("Failed to fetch workspace membership:", error);
+        setRole(null);
+        setStorageError(t('workspace.error.accessDenied'));
+    });
+    const unsubscribeWorkspace = storage.directory.workspaces.subscribeDoc(storage.workspaceId, (workspace) => {
+        setWorkspaceName(workspace ? workspace.name : storage.workspaceId);
+    }, (error) => {
+        console.error("Failed to fetch workspace:", error);
+    });
+
+    return () => {
+        unsubscribeMember();
+        unsubscribeWorkspace();
+    };
+  }, [storage]);
+
+  // Workspaces this user has created or joined (for the switcher)
+  useEffect(() => {
+    if (!storage) return;
+
+    const unsubscribe = storage.personal.memberships.subscribe((docs) => {
+        setMemberships(docs.sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    }, (error) => {
+        console.error("Failed to fetch workspace memberships:", error);
+    });
+
+    return () => unsubscribe();
+  }, [storage]);
+
+  return {
+    userId: storage ? storage.userId : null,
+    isAuthReady: Boolean(storage),
+    storageKind: storage ? storage.kind : null,
+    storageError,
+    repositories: storage ? storage.repositories : null,
+    storage,
+    workspace: storage ? { id: storage.workspaceId, name: workspaceName } : null,
+    role,
+    memberships,
+  };
+};
@@ -0,0 +1,90 @@
+// --- ODAS WORKSPACE ACTIONS ---
+//
+// Operasi tulis ruang kerja, keanggotaan, dan undangan. Menerima directory (workspaces, invitations)
+// dan repository ruang kerja dari storage.js. Urutan tulis mengikuti firestore.rules: dokumen ruang
+// kerja dibuat lebih dulu agar pembuatnya boleh menulis keanggotaan admin miliknya sendiri.
+
+import { fieldOps, createRepositories, workspaceScope } from './storage.js';
+import {
+  WORKSPACE_ROLES,
+  INVITATION_TTL_MS,
+  isValidRole,
+  isInvitationUsable,
+  validateWorkspaceName,
+} from './workspaces.js';
+import { t } from './i18n.js';
+
+const membersOf = (backend, workspaceId) => createRepositories(backend, workspaceScope(null, workspaceId)).members;
+
+/**
+ * @returns {Promise<string>} - id ruang kerja baru (pembuat menjadi admin).
+ */
+export const createWorkspace = async ({ backend, directory, personal }, name, userId) => {
+  const error = validateWorkspaceName(name);
+  if (error) throw new Error(error);
+  const workspaceId = await directory.workspaces.add({
+    name: name.trim(),
+    ownerId: userId,
+    createdAt: fieldOps.serverTimestamp(),
+  });
+  await membersOf(backend, workspaceId).set(userId, {
+    role: WORKSPACE_ROLES.ADMIN,
+    invitation: null,
+    addedBy: userId,
+    joinedAt: fieldOps.serverTimestamp(),
+  });
+  await personal.memberships.set(workspaceId, { name: name.trim(), joinedAt: fieldOps.serverTimestamp() });
+  return workspaceId;
+};
+
+/**
+ * @returns {Promise<string>} - Kode undangan (id dokumen acak).
+ */
+export const createInvitation = (directory, workspace, role, actor, now = Date.now()) => {
+  if (!isValidRole(role)) throw new Error(t('workspace.error.unknownRole', { role }));
+  return directory.invitations.add({
+    workspaceId: workspace.id,
+    workspaceName: workspace.name,
+    role,
+    createdBy: actor,
+    createdAt: fieldOps.serverTimestamp(),
+    expiresAtMs: now + INVITATION_TTL_MS,
+    revoked: false,
+  });
+};
+
+export const revokeInvitation = (directory, code) => directory.invitations.update(code, { revoked: true });
+
+/**
+ * Bergabung ke ruang kerja dengan kode undangan; peran diambil dari undangan.
+ * @returns {Promise<object>} - { workspaceId, name, role }
+ */
+export const acceptInvitation = async ({ backend, directory, personal }, code, userId, now = Date.now()) => {
+  const invitation = await directory.invitations.get(code);
+  if (!isInvitationUsable(invitation, now)) throw new Error(t('workspace.error.invitationUnusable'));
+  const members = membersOf(backend, invitation.workspaceId);
+  // Existing members keep their role; re-opening an invite link must not demote an admin
+  const existing = await members.get(userId).catch(() => null);
+  if (!existing) {
+    await members.set(userId, {
+      role: invitation.role,
+      invitation: code,
+      addedBy: invitation.createdBy,
+      joinedAt: fieldOps.serverTimestamp(),
+    });
+  }
+  await personal.memberships.set(invitation.workspaceId, { name: invitation.workspaceName, joinedAt: fieldOps.serverTimestamp() });
+  return { workspaceId: invitation.workspaceId, name: invitation.workspaceName, role: existing ? existing.role : invitation.role };
+};
+
+export const changeMemberRole = (members, memberId, role, actor) => {
+  if (!isValidRole(role)) throw new Error(t('workspace.error.unknownRole', { role }));
+  return members.update(memberId, { role, changedBy: actor, changedAt: fieldOps.serverTimestamp() });
+};
+
+export const removeMember = (members, memberId) => members.remove(memberId);
+
+export const leaveWorkspace = async ({ personal }, members, workspaceId, userId) => {
+  await members.remove(userId);
+  await personal.memberships.remove(workspaceId);
+};
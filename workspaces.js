@@ -0,0 +1,83 @@
+// --- ODAS TEAM WORKSPACES & ROLES ---
+//
+// Ruang kerja tim berbagi satu log intervensi, registry aset, aturan, dan pengaturan. Setiap anggota
+// memiliki satu peran:
+//   viewer   -> hanya melihat
+//   operator -> menangani insiden (akui, tugaskan, catatan, setujui playbook) dan menjalankan pemindai
+//   admin    -> mengubah aturan/ambang, registry aset, playbook, pengaturan, dan keanggotaan
+// Ruang pribadi (tanpa workspaceId) selalu dimiliki penuh oleh penggunanya.
+//
+// Struktur data (relatif terhadap artifacts/{appId}):
+//   workspaces/{workspaceId}                   -> { name, ownerId, createdAt }
+//   workspaces/{workspaceId}/members/{userId}  -> { role, invitation, addedBy, joinedAt }
+//   invitations/{kode}                         -> { workspaceId, workspaceName, role, createdBy, expiresAtMs, revoked }
+//   users/{userId}/odas_memberships/{id}       -> { name, joinedAt } (daftar ruang kerja milik pengguna)
+// UI hanya menyembunyikan aksi; firestore.rules menegakkan peran yang sama di server.
+
+import { t } from './i18n.js';
+
+export const WORKSPACE_ROLES = {
+  VIEWER: 'viewer',
+  OPERATOR: 'operator',
+  ADMIN: 'admin',
+};
+
+export const ROLE_LABELS = {
+  [WORKSPACE_ROLES.VIEWER]: t('workspace.role.viewer'),
+  [WORKSPACE_ROLES.OPERATOR]: t('workspace.role.operator'),
+  [WORKSPACE_ROLES.ADMIN]: t('workspace.role.admin'),
+};
+
+const ROLE_RANK = {
+  [WORKSPACE_ROLES.VIEWER]: 1,
+  [WORKSPACE_ROLES.OPERATOR]: 2,
+  [WORKSPACE_ROLES.ADMIN]: 3,
+};
+
+// Peran minimum per izin (harus sejalan dengan firestore.rules)
+export const PERMISSIONS = {
+  handleIncidents: WORKSPACE_ROLES.OPERATOR,
+  runScanner: WORKSPACE_ROLES.OPERATOR,
+  silenceAlerts: WORKSPACE_ROLES.OPERATOR,
+  editRules: WORKSPACE_ROLES.ADMIN,
+  manageAssets: WORKSPACE_ROLES.ADMIN,
+  manageSettings: WORKSPACE_ROLES.ADMIN,
+  manageMembers: WORKSPACE_ROLES.ADMIN,
+  managePlaybooks: WORKSPACE_ROLES.ADMIN,
+};
+
+export const PERSONAL_WORKSPACE_NAME = t('workspace.personalName');
+
+// Masa berlaku tautan undangan
+export const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const isValidRole = (role) => Object.values(WORKSPACE_ROLES).includes(role);
+
+/**
+ * @param {string|null} role - Peran pengguna di ruang kerja aktif (null = bukan anggota).
+ * @param {string} permission - Kunci PERMISSIONS.
+ * @returns {boolean}
+ */
+export const can = (role, permission) => (ROLE_RANK[role] || 0) >= ROLE_RANK[PERMISSIONS[permission]];
+
+export const validateWorkspaceName = (name) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return t('workspace.error.nameRequired');
+  if (trimmed.length > 60) return t('workspace.error.nameLength', { max: 60 });
+  return null;
+};
+
+export const isInvitationUsable = (invitation, now = Date.now()) => Boolean(
+  invitation
+  && !invitation.revoked
+  && typeof invitation.expiresAtMs === 'number'
+  && now < invitation.expiresAtMs,
+);
+
+// Tautan undangan: halaman yang sama dengan ?invite=<kode>
+export const invitationLink = (code, baseUrl) => {
+  const url = new URL(baseUrl);
+  url.search = '';
+  url.searchParams.set('invite', code);
+  return url.toString();
+};